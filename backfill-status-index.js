@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Status Index Backfill
+ *
+ * The status-createdAt-index only contains job descriptions that have a
+ * createdAt attribute. Jobs stored before the index existed only carry
+ * scrapedAt/discoveredAt, so this one-off script copies that timestamp into
+ * createdAt for every job that is missing it.
+ *
+ * Usage:
+ *   node backfill-status-index.js            # Backfill missing createdAt values
+ *   node backfill-status-index.js --dry-run  # Only report what would change
+ */
+
+import { getStorageBackend, isConditionalCheckFailed } from './src/shared/storage/index.js';
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const tableName = process.env.DYNAMODB_TABLE || 'job_descriptions';
+  const backend = getStorageBackend();
+
+  console.log(`🔧 Backfilling createdAt on ${tableName}${dryRun ? ' (dry run)' : ''}`);
+
+  let startKey;
+  let scanned = 0;
+  let updated = 0;
+
+  do {
+    const page = await backend.scan({
+      TableName: tableName,
+      FilterExpression: 'attribute_not_exists(#createdAt)',
+      ExpressionAttributeNames: { '#createdAt': 'createdAt' },
+      ...(startKey && { ExclusiveStartKey: startKey })
+    });
+
+    scanned += page.ScannedCount || 0;
+
+    for (const job of page.Items || []) {
+      const createdAt = job.scrapedAt || job.discoveredAt || job.created_at || new Date().toISOString();
+
+      if (dryRun) {
+        console.log(`   - ${job.jd_id}: createdAt = ${createdAt}`);
+        updated++;
+        continue;
+      }
+
+      try {
+        await backend.update({
+          TableName: tableName,
+          Key: { jd_id: job.jd_id },
+          UpdateExpression: 'SET #createdAt = :createdAt',
+          ConditionExpression: 'attribute_not_exists(#createdAt)',
+          ExpressionAttributeNames: { '#createdAt': 'createdAt' },
+          ExpressionAttributeValues: { ':createdAt': createdAt }
+        });
+        updated++;
+      } catch (error) {
+        // Someone else wrote createdAt in the meantime, nothing to do
+        if (!isConditionalCheckFailed(error)) {
+          throw error;
+        }
+      }
+    }
+
+    startKey = page.LastEvaluatedKey;
+  } while (startKey);
+
+  console.log(`✅ Scanned ${scanned} jobs, ${dryRun ? 'would update' : 'updated'} ${updated}`);
+}
+
+main().catch(error => {
+  console.error('❌ Backfill failed:', error.message);
+  process.exit(1);
+});
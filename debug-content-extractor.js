@@ -4,7 +4,7 @@
  */
 
 import contentExtractorNode from './src/new-nodes/processing/contentExtractorNode.js';
-import { enhancedStagehandClient } from './src/shared/utils/enhancedStagehand.js';
+import { closeBrowserPool, getBrowserPool } from './src/shared/utils/browserPool.js';
 
 /**
  * Debug the content extractor node
@@ -13,9 +13,8 @@ async function debugContentExtractor() {
   console.log('Debugging Content Extractor Node...\n');
 
   try {
-    // Initialize Stagehand
-    await enhancedStagehandClient.start();
-    const page = await enhancedStagehandClient.newPage();
+    // Lease a browser session
+    const { page } = await getBrowserPool().acquire();
     
     // Create test state with job data and page
     const testState = {
@@ -60,7 +59,7 @@ async function debugContentExtractor() {
   } finally {
     // Clean up
     try {
-      await enhancedStagehandClient.close();
+      await closeBrowserPool();
       console.log('Debug cleanup completed');
     } catch (error) {
       console.warn('Warning: Error during cleanup:', error.message);
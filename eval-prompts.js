@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Evaluation
+ *
+ * Runs a prompt version and the version before it against the stored fixture
+ * inputs of the prompt (test/fixtures/prompts/<name>.jsonl) and prints the
+ * differences between their rendered prompts and model outputs. Chat prompts
+ * go through the configured LLM provider; instruction prompts (Stagehand) are
+ * only rendered. The full report is written to output/prompt-evals/.
+ *
+ * Usage:
+ *   node eval-prompts.js --list                                   # Registered prompts and versions
+ *   node eval-prompts.js <name>                                   # Current version vs the previous one
+ *   node eval-prompts.js <name> --version=3 --against=1           # Any two versions
+ *   node eval-prompts.js <name> --model=gpt-4o --fail-on-diff     # Exit 1 when an output changed
+ *   node eval-prompts.js <name> --show-prompts                    # Also print the prompt diffs
+ *   node eval-prompts.js <name> --fixtures=path/to/dir            # Other fixtures directory
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { config } from './src/shared/config/environment.js';
+import { comparePromptVersions, listPrompts } from './src/shared/prompts/index.js';
+
+function option(name) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+function printList() {
+  console.log('📝 Registered prompts\n');
+  for (const prompt of listPrompts()) {
+    console.log(`   ${prompt.name} (${prompt.kind}) v${prompt.current} [versions: ${prompt.versions.join(', ')}]`);
+    console.log(`      ${prompt.description}`);
+  }
+}
+
+function printDiff(title, lines) {
+  console.log(`   ${title}:`);
+  lines.forEach(line => console.log(`      ${line}`));
+}
+
+async function main() {
+  if (process.argv.includes('--list')) {
+    printList();
+    return 0;
+  }
+
+  const name = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+  if (!name) {
+    console.error('Usage: node eval-prompts.js <prompt name> [--version=N] [--against=M] [--model=name] [--fail-on-diff] | --list');
+    return 1;
+  }
+
+  const version = option('version');
+  const against = option('against');
+  const report = await comparePromptVersions(name, {
+    version: version && Number(version),
+    against: against && Number(against),
+    fixturesDir: option('fixtures'),
+    model: option('model')
+  });
+
+  console.log(`🧪 ${name}: v${report.version} against v${report.against} on ${report.summary.fixtures} fixture(s)\n`);
+
+  for (const result of report.results) {
+    const status = result.before.error || result.after.error ? '⚠️' : result.outputChanged ? '🔀' : '✅';
+    console.log(`${status} ${result.id}${result.promptChanged ? '' : ' (same prompt)'}`);
+    [result.before, result.after].filter(run => run.error).forEach(run => console.log(`   ${run.id} error: ${run.error}`));
+    if (process.argv.includes('--show-prompts') && result.promptChanged) {
+      printDiff('Prompt', result.promptDiff);
+    }
+    if (result.outputChanged) {
+      printDiff('Output', result.outputDiff);
+    }
+  }
+
+  const { promptsChanged, outputsChanged, errors } = report.summary;
+  console.log(`\n📊 ${promptsChanged} prompt(s) changed, ${outputsChanged} output(s) changed, ${errors} error(s)`);
+  if (report.kind !== 'chat') {
+    console.log('   Instruction prompts run inside Stagehand, so only their rendered text was compared.');
+  }
+
+  const outputDir = path.join(config.paths.outputDir, 'prompt-evals');
+  mkdirSync(outputDir, { recursive: true });
+  const reportPath = path.join(outputDir, `${name}@${report.version}-vs-${report.against}.json`);
+  writeFileSync(reportPath, JSON.stringify({ ...report, evaluatedAt: new Date().toISOString() }, null, 2));
+  console.log(`💾 Report: ${reportPath}`);
+
+  return process.argv.includes('--fail-on-diff') && (outputsChanged > 0 || errors > 0) ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Prompt evaluation failed:', error.message);
+    process.exit(1);
+  });
@@ -1,80 +1,26 @@
 import cron from 'node-cron';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { logger } from '../src/shared/utils/logger.js';
+import { isPausedByBudget } from '../src/shared/utils/llmUsage.js';
+import { COMPANY_STATUS, resetCompanySchedule, summarizeCompanies } from '../src/shared/utils/companyRegistry.js';
 import { runCareerDiscovery } from '../src/new-workflows/career-page-discovery/index.js';
 
 /**
  * Career Discovery Job
- * Runs career discovery workflow for companies from CSV
- * Processes one company at a time with state tracking
+ * Runs career discovery workflow for the companies of the company registry
+ * Processes one company at a time, the next due by priority and staleness
  */
 export class CareerDiscoveryJob {
   constructor() {
     this.isRunning = false;
-    this.stateFile = './data/career_discovery_state.json';
-    this.inputCsvPath = './data/companies.csv';
+    this.lastRun = null;
   }
 
   /**
-   * Load career discovery state (current CSV row index)
+   * Make every company due again, so the next runs go through all of them
+   * @returns {Promise<number>} Companies rescheduled
    */
-  loadState() {
-    try {
-      if (!existsSync(this.stateFile)) {
-        // Initialize state file if it doesn't exist
-        const initialState = { 
-          csvRowIndex: 1, 
-          csvFilePath: null, 
-          totalRows: 0,
-          lastRun: null 
-        };
-        writeFileSync(this.stateFile, JSON.stringify(initialState, null, 2));
-        return initialState;
-      }
-      
-      const stateData = readFileSync(this.stateFile, 'utf-8');
-      return JSON.parse(stateData);
-    } catch (error) {
-      logger.error('Failed to load career discovery state:', error.message);
-      return { 
-        csvRowIndex: 1, 
-        csvFilePath: null, 
-        totalRows: 0,
-        lastRun: null 
-      };
-    }
-  }
-
-  /**
-   * Save career discovery state
-   */
-  saveState(state) {
-    try {
-      writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
-    } catch (error) {
-      logger.error('Failed to save career discovery state:', error.message);
-    }
-  }
-
-  /**
-   * Check if input CSV exists and has companies to process
-   */
-  checkInputCsv() {
-    try {
-      if (!existsSync(this.inputCsvPath)) {
-        logger.warn(`⚠️ Input CSV not found: ${this.inputCsvPath}`);
-        return { exists: false, totalRows: 0 };
-      }
-      
-      const csvData = readFileSync(this.inputCsvPath, 'utf-8');
-      const lines = csvData.split('\n').filter(line => line.trim());
-      const totalRows = Math.max(0, lines.length - 1); // Exclude header
-      
-      return { exists: true, totalRows };
-    } catch (error) {
-      logger.error('Failed to check input CSV:', error.message);
-      return { exists: false, totalRows: 0 };
-    }
+  async resetSchedule() {
+    return resetCompanySchedule();
   }
 
   /**
@@ -83,7 +29,7 @@ export class CareerDiscoveryJob {
   async runCareerDiscovery() {
     if (this.isRunning) {
       logger.warn('⚠️ Career discovery job already running, skipping...');
-      return;
+      return { success: false, skipped: true, reason: 'Career discovery job is already running' };
     }
 
     this.isRunning = true;
@@ -92,66 +38,48 @@ export class CareerDiscoveryJob {
     logger.info('🚀 Starting Career Discovery Job');
     
     try {
-      // Check input CSV
-      const csvCheck = this.checkInputCsv();
-      if (!csvCheck.exists) {
-        logger.warn('⚠️ No input CSV found, skipping career discovery');
-        return;
-      }
-      
-      if (csvCheck.totalRows === 0) {
-        logger.warn('⚠️ No companies to process in input CSV');
-        return;
-      }
-      
-      // Load current state
-      const state = this.loadState();
-      
-      logger.info(`📊 Processing company ${state.csvRowIndex}/${csvCheck.totalRows}`);
-      logger.info(`📁 Input CSV: ${this.inputCsvPath}`);
-      logger.info(`📁 State file: ${this.stateFile}`);
-      
-      // Run career discovery workflow for one company
+      // Run career discovery workflow for the next due company
       const result = await runCareerDiscovery();
       
       const endTime = new Date();
       const duration = endTime - startTime;
+      this.lastRun = endTime.toISOString();
       
-      // Update state for next run
-      const newState = {
-        csvRowIndex: state.csvRowIndex + 1,
-        csvFilePath: this.inputCsvPath,
-        totalRows: csvCheck.totalRows,
-        lastRun: new Date().toISOString(),
-        lastProcessedRow: state.csvRowIndex,
-        nextRowToProcess: state.csvRowIndex + 1
-      };
-      
-      // Reset to first row if we've processed all companies
-      if (newState.csvRowIndex > csvCheck.totalRows) {
-        newState.csvRowIndex = 1;
-        newState.nextRowToProcess = 1;
-        logger.info('🔄 Completed all companies, resetting to first row');
+      if (!result.companyId) {
+        logger.info(`⏭️ ${result.message || result.error}`);
+        return { success: false, skipped: true, reason: result.message || result.error, durationMs: duration };
       }
       
-      this.saveState(newState);
+      const errors = result.result?.errors || [];
       
       // Summary
       logger.info('📈 Career Discovery Job Summary:');
-      logger.info(`   - Processed row: ${state.csvRowIndex}/${csvCheck.totalRows}`);
-      logger.info(`   - Next row: ${newState.nextRowToProcess}`);
-      logger.info(`   - Success: ${result.success}`);
+      logger.info(`   - Company: ${result.companyName} (${result.registryStatus})`);
+      logger.info(`   - Due again: ${result.nextAttemptAt}`);
+      logger.info(`   - Next company: ${result.nextCompany || 'none due'}`);
       logger.info(`   - Duration: ${duration}ms`);
       
-      if (result.errors && result.errors.length > 0) {
-        logger.warn(`⚠️ Career discovery had ${result.errors.length} errors`);
-        result.errors.forEach(error => {
-          logger.error(`   - ${error.step}: ${error.error}`);
+      if (errors.length > 0) {
+        logger.warn(`⚠️ Career discovery had ${errors.length} errors`);
+        errors.forEach(error => {
+          logger.error(`   - ${error.step || 'error'}: ${error.error || error}`);
         });
       }
+
+      return {
+        success: result.registryStatus === COMPANY_STATUS.DISCOVERED,
+        companyId: result.companyId,
+        companyName: result.companyName,
+        registryStatus: result.registryStatus,
+        nextAttemptAt: result.nextAttemptAt,
+        nextCompany: result.nextCompany,
+        durationMs: duration,
+        errors
+      };
       
     } catch (error) {
       logger.error('❌ Career discovery job failed:', error.message);
+      return { success: false, error: error.message };
     } finally {
       this.isRunning = false;
     }
@@ -167,10 +95,15 @@ export class CareerDiscoveryJob {
     
     logger.info(`⏰ Starting Career Discovery Job - runs every ${intervalText}`);
     
-    cron.schedule(interval, () => {
+    cron.schedule(interval, async () => {
       const timestamp = new Date().toISOString();
       logger.info(`🕐 [${timestamp}] Career Discovery Job triggered`);
       
+      // Skipped until the next UTC day once a daily LLM budget is used up
+      if (await isPausedByBudget('Career Discovery Job')) {
+        return;
+      }
+      
       this.runCareerDiscovery().catch(error => {
         logger.error('❌ Career discovery job error:', error.message);
       });
@@ -191,19 +124,18 @@ export class CareerDiscoveryJob {
   /**
    * Get current status for API
    */
-  getStatus() {
+  async getStatus() {
     try {
-      const state = this.loadState();
-      const csvCheck = this.checkInputCsv();
+      const companies = await summarizeCompanies();
       
       return {
         isRunning: this.isRunning,
-        lastRun: state.lastRun,
-        currentRow: state.csvRowIndex,
-        totalRows: csvCheck.totalRows,
-        nextRow: state.nextRowToProcess,
-        inputCsvExists: csvCheck.exists,
-        hasCompanies: csvCheck.totalRows > 0
+        lastRun: this.lastRun || companies.lastAttemptAt,
+        companies: companies.byStatus,
+        totalCompanies: companies.total,
+        dueCompanies: companies.due,
+        nextCompany: companies.next,
+        hasCompanies: companies.total > 0
       };
     } catch (error) {
       logger.error('Failed to get career discovery status:', error.message);
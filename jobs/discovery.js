@@ -1,6 +1,8 @@
 import cron from 'node-cron';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { logger } from '../src/shared/utils/logger.js';
+import { isPausedByBudget } from '../src/shared/utils/llmUsage.js';
+import { mergePoliteness } from '../src/shared/utils/domainGovernor.js';
 import { runJobDiscoveryFromConfig } from '../src/new-workflows/job-discovery/index.js';
 
 /**
@@ -72,6 +74,8 @@ export class DiscoveryJob {
    */
   async runDiscoveryForInput(input) {
     const { name, domain, filters, config_path, description, enabled } = input;
+    // Per-domain request rules: settings.politeness, overridden by the input's own
+    const politeness = mergePoliteness(this.config.settings?.politeness, input.politeness);
     
     if (!enabled) {
       logger.info(`⏭️ Skipping disabled discovery: ${name}`);
@@ -88,7 +92,7 @@ export class DiscoveryJob {
       const startTime = new Date();
       
       // Run job discovery workflow
-      const result = await runJobDiscoveryFromConfig(config_path, domain, filters);
+      const result = await runJobDiscoveryFromConfig(config_path, domain, filters, { politeness });
       
       const endTime = new Date();
       const duration = endTime - startTime;
@@ -96,6 +100,7 @@ export class DiscoveryJob {
       logger.info(`✅ Discovery completed for ${name}:`);
       logger.info(`   - Processed URLs: ${result.processedUrls?.length || 0}`);
       logger.info(`   - Scraped Jobs: ${result.scrapedJobs?.length || 0}`);
+      logger.info(`   - New / already known jobs: ${result.storageSummary?.new || 0} / ${result.storageSummary?.known || 0}`);
       logger.info(`   - Duration: ${duration}ms`);
       logger.info(`   - Success: ${result.success}`);
       
@@ -206,10 +211,15 @@ export class DiscoveryJob {
     
     logger.info(`⏰ Starting Discovery Job - runs every ${intervalText}`);
     
-    cron.schedule(interval, () => {
+    cron.schedule(interval, async () => {
       const timestamp = new Date().toISOString();
       logger.info(`🕐 [${timestamp}] Discovery Job triggered`);
       
+      // Skipped until the next UTC day once a daily LLM budget is used up
+      if (await isPausedByBudget('Discovery Job')) {
+        return;
+      }
+      
       this.runDiscovery().catch(error => {
         logger.error('❌ Discovery job error:', error.message);
       });
@@ -1,15 +1,37 @@
 import cron from 'node-cron';
 import { logger } from '../src/shared/utils/logger.js';
-import { queryItems, scanItems } from '../src/shared/utils/dynamoDB.js';
+import { isPausedByBudget } from '../src/shared/utils/llmUsage.js';
+import { queryJobsByStatus } from '../src/shared/utils/dynamoDB.js';
+import { JOB_STATUS } from '../src/shared/utils/jobLifecycle.js';
+import ExtractionWorker from '../src/new-workflows/job-extraction/worker.js';
 
 /**
  * Processor Job
- * Picks oldest discovered job and processes it
+ * Claims the oldest discovered jobs from the job queue and extracts them
  */
 export class ProcessorJob {
   constructor() {
     this.isRunning = false;
     this.tableName = process.env.DYNAMODB_TABLE || 'job_descriptions';
+    this.worker = new ExtractionWorker({
+      tableName: this.tableName,
+      workflowOptions: {
+        extractRawContent: true,
+        validateQuality: true,
+        confidenceThreshold: 0.8
+      }
+    });
+  }
+
+  /**
+   * Find the N oldest jobs with a given status via the status index
+   */
+  async findOldestJobsByStatus(status, limit = 1) {
+    const { items } = await queryJobsByStatus(status, {
+      limit,
+      tableName: this.tableName
+    });
+    return items;
   }
 
   /**
@@ -17,40 +39,17 @@ export class ProcessorJob {
    */
   async findOldestDiscoveredJob() {
     try {
-      // Scan for jobs with status "discovered" and filter by timestamp
-      const scanParams = {
-        FilterExpression: '#status = :status',
-        ExpressionAttributeNames: {
-          '#status': 'status'
-        },
-        ExpressionAttributeValues: {
-          ':status': 'discovered'
-        }
-      };
-
-      const items = await scanItems(this.tableName, scanParams);
-      
-      if (items && items.length > 0) {
-        // Sort by timestamp to get the oldest job
-        const sortedItems = items.sort((a, b) => {
-          const timeA = new Date(a.scrapedAt || a.createdAt || 0);
-          const timeB = new Date(b.scrapedAt || b.createdAt || 0);
-          return timeA - timeB; // Ascending order (oldest first)
-        });
-        
-        return sortedItems[0];
-      }
-      
-      return null;
+      const [job] = await this.findOldestJobsByStatus(JOB_STATUS.DISCOVERED, 1);
+      return job || null;
       
     } catch (error) {
-      logger.error('Failed to scan oldest discovered job:', error.message);
+      logger.error('Failed to query oldest discovered job:', error.message);
       return null;
     }
   }
 
   /**
-   * Process a single job by calling the API
+   * Claim and process a single job
    */
   async processJob(job) {
     const { jd_id, url, company } = job;
@@ -60,39 +59,14 @@ export class ProcessorJob {
     logger.info(`   - Company: ${company}`);
     
     try {
-      // Call the job extraction API
-      const response = await fetch(`http://localhost:${process.env.PORT || 3000}/api/v1/job-extraction`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.API_KEY || 'test-api-key'
-        },
-        body: JSON.stringify({
-          job_id: jd_id,
-          options: {
-            extractRawContent: true,
-            validateQuality: true,
-            confidenceThreshold: 0.8
-          }
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API call failed: ${response.status} - ${errorText}`);
-      }
-
-      const result = await response.json();
-      
-      logger.info(`✅ Job processing completed: ${jd_id}`);
-      logger.info(`   - Success: ${result.success}`);
-      logger.info(`   - Duration: ${result.duration}ms`);
-      
-      if (result.errors && result.errors.length > 0) {
-        logger.warn(`⚠️ Job processing had ${result.errors.length} errors`);
-        result.errors.forEach(error => {
-          logger.error(`   - ${error}`);
-        });
+      const result = await this.worker.claimAndRun(jd_id);
+      
+      if (!result) {
+        return {
+          success: false,
+          error: 'Job could not be claimed (already leased or no longer discovered)',
+          jd_id
+        };
       }
       
       return result;
@@ -120,32 +94,28 @@ export class ProcessorJob {
     const startTime = new Date();
     
     try {
-      logger.info('🔍 Looking for oldest discovered job...');
+      logger.info(`🔍 Claiming up to ${this.worker.concurrency} discovered job(s)...`);
       
-      // Find oldest discovered job
-      const job = await this.findOldestDiscoveredJob();
+      const results = await this.worker.runOnce();
       
-      if (!job) {
-        logger.info('ℹ️ No discovered jobs found to process');
-        return;
+      if (results.length === 0) {
+        logger.info('ℹ️ No claimable discovered jobs found to process');
+        return results;
       }
       
-      logger.info(`📋 Found job to process: ${job.jd_id}`);
-      
-      // Process the job
-      const result = await this.processJob(job);
-      
       const endTime = new Date();
       const duration = endTime - startTime;
       
       logger.info(`📊 Processor Job Summary:`);
-      logger.info(`   - Job ID: ${job.jd_id}`);
-      logger.info(`   - Success: ${result.success}`);
+      logger.info(`   - Jobs processed: ${results.length}`);
+      logger.info(`   - Succeeded: ${results.filter(result => result.success).length}`);
       logger.info(`   - Duration: ${duration}ms`);
       
-      if (!result.success) {
-        logger.error(`   - Error: ${result.error}`);
-      }
+      results.filter(result => !result.success).forEach(result => {
+        logger.error(`   - ${result.jd_id} (attempt ${result.attempts}, now ${result.status}): ${result.error}`);
+      });
+      
+      return results;
       
     } catch (error) {
       logger.error('❌ Processor job failed:', error.message);
@@ -164,10 +134,15 @@ export class ProcessorJob {
     
     logger.info(`⏰ Starting Processor Job - runs every ${intervalText}`);
     
-    cron.schedule(interval, () => {
+    cron.schedule(interval, async () => {
       const timestamp = new Date().toISOString();
       logger.info(`🕐 [${timestamp}] Processor Job triggered`);
       
+      // Skipped until the next UTC day once a daily LLM budget is used up
+      if (await isPausedByBudget('Processor Job')) {
+        return;
+      }
+      
       this.runProcessor().catch(error => {
         logger.error('❌ Processor job error:', error.message);
       });
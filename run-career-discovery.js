@@ -4,15 +4,17 @@
  * Career Discovery Scheduled Job Runner
  * 
  * This script is designed to be run as a scheduled job (e.g., cron job).
- * Each execution processes ONE company from the CSV and updates the state.
+ * Each execution processes ONE company of the company registry and reschedules it.
  * 
  * Usage:
- *   node run-career-discovery.js                    # Process next company
- *   node run-career-discovery.js --force-row 1     # Force process specific row
+ *   node run-career-discovery.js                    # Process next due company
+ *   node run-career-discovery.js --company acme     # Force process a company (ID, name or domain)
  *   node run-career-discovery.js --status          # Show current status
  */
 
-import { runCareerDiscovery, loadState } from './src/new-workflows/career-page-discovery/index.js';
+import { runCareerDiscovery } from './src/new-workflows/career-page-discovery/index.js';
+import { closeBrowserPool } from './src/shared/utils/browserPool.js';
+import { summarizeCompanies } from './src/shared/utils/companyRegistry.js';
 
 async function main() {
   const args = process.argv.slice(2);
@@ -23,21 +25,21 @@ async function main() {
     console.log('==========================');
     
     try {
-      const state = await loadState();
+      const summary = await summarizeCompanies();
       
-      if (!state.csvFilePath) {
-        console.log('No CSV file configured yet. Run without --status to start processing.');
+      if (summary.total === 0) {
+        console.log('The company registry is empty. Run without --status to import data/companies.csv.');
         return;
       }
       
-      console.log(`CSV File: ${state.csvFilePath}`);
-      console.log(`Current Row: ${state.csvRowIndex}`);
-      console.log(`Total Rows: ${state.totalRows}`);
+      console.log(`Companies: ${summary.total}`);
+      console.log(`Due: ${summary.due}`);
+      Object.entries(summary.byStatus).forEach(([status, count]) => console.log(`   ${status}: ${count}`));
       
-      if (state.csvRowIndex > state.totalRows) {
-        console.log('\n🔄 Status: Ready to reset to first row');
+      if (summary.next) {
+        console.log(`\n📋 Next company to process: ${summary.next.name}`);
       } else {
-        console.log(`\n📋 Next company to process: Row ${state.csvRowIndex}`);
+        console.log('\n⏸️ Status: No company is due');
       }
       
     } catch (error) {
@@ -47,12 +49,11 @@ async function main() {
     return;
   }
   
-  // Check for force row
-  let forceRowIndex = null;
-  if (args.includes('--force-row')) {
-    const rowArg = args[args.indexOf('--force-row') + 1];
-    forceRowIndex = parseInt(rowArg);
-    console.log(`🔄 Force processing row: ${forceRowIndex}`);
+  // Check for a given company
+  let company = null;
+  if (args.includes('--company')) {
+    company = args[args.indexOf('--company') + 1];
+    console.log(`🔄 Force processing company: ${company}`);
   }
   
   // Run career discovery
@@ -60,23 +61,21 @@ async function main() {
     console.log('🚀 Starting Career Discovery Job');
     console.log('================================');
     
-    const result = await runCareerDiscovery({ forceRowIndex });
+    const result = await runCareerDiscovery({ company });
+    await closeBrowserPool();
     
     if (result.message) {
-      // Company already processed or other message
+      // No company is due
       console.log('\n' + result.message);
-      if (result.nextRow) {
-        console.log(`Next row to process: ${result.nextRow}`);
-      }
     } else if (result.error) {
       console.log(`\n❌ Error: ${result.error}`);
       process.exit(1);
     } else {
       // Single company processed
       console.log(`\n✅ Processed: ${result.companyName}`);
-      console.log(`   Row: ${result.rowIndex}/${result.totalRows}`);
-      console.log(`   Status: ${result.status}`);
-      console.log(`   Next Row: ${result.nextRow}`);
+      console.log(`   Status: ${result.status} (${result.registryStatus})`);
+      console.log(`   Due again: ${result.nextAttemptAt}`);
+      console.log(`   Next Company: ${result.nextCompany || 'none due'}`);
       
       if (result.result) {
         console.log(`   Career Page: ${result.result.careerPageUrl || 'Not found'}`);
@@ -90,6 +89,7 @@ async function main() {
     
   } catch (error) {
     console.error('❌ Career discovery failed:', error.message);
+    await closeBrowserPool();
     process.exit(1);
   }
 }
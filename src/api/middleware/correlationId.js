@@ -0,0 +1,10 @@
+import { CORRELATION_HEADER, isValidCorrelationId, newCorrelationId, withLogContext } from '../../shared/utils/correlation.js';
+
+// Takes the caller's X-Correlation-ID (or X-Request-ID), or assigns one, echoes
+// it on the response and runs the rest of the request in its log context
+export const correlationId = (req, res, next) => {
+  const sent = req.get(CORRELATION_HEADER) || req.get('X-Request-ID');
+  req.correlationId = isValidCorrelationId(sent) ? sent : newCorrelationId();
+  res.set(CORRELATION_HEADER, req.correlationId);
+  withLogContext({ correlationId: req.correlationId }, next);
+};
@@ -1,20 +1,21 @@
 import { logger } from '../../shared/utils/logger.js';
+import { authenticateApiKey, consumeRateLimit, hasScope, recordApiKeyUse } from '../../shared/utils/apiKeys.js';
 
-export const validateApiKey = (req, res, next) => {
+export const validateApiKey = async (req, res, next) => {
   // Skip validation for health check
   if (req.path === '/health') {
     return next();
   }
 
   const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-  
+
   if (!apiKey) {
     logger.warn('API request without API key', {
       method: req.method,
       url: req.originalUrl,
       ip: req.ip
     });
-    
+
     return res.status(401).json({
       success: false,
       error: 'Unauthorized',
@@ -23,28 +24,78 @@ export const validateApiKey = (req, res, next) => {
     });
   }
 
-  // For now, accept any API key (you can implement proper validation later)
-  // In production, you'd validate against a database or environment variable
-  const validApiKeys = process.env.VALID_API_KEYS?.split(',') || ['test-api-key'];
-  
-  if (!validApiKeys.includes(apiKey)) {
+  const keyRecord = await authenticateApiKey(apiKey);
+
+  if (!keyRecord) {
     logger.warn('Invalid API key used', {
       method: req.method,
       url: req.originalUrl,
       ip: req.ip,
       providedKey: apiKey.substring(0, 8) + '...'
     });
-    
+
     return res.status(401).json({
       success: false,
       error: 'Unauthorized',
-      message: 'Invalid API key',
+      message: 'Invalid, revoked or expired API key',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const rateLimit = consumeRateLimit(keyRecord.key_id, keyRecord.rateLimitPerMinute);
+  res.set({
+    'X-RateLimit-Limit': String(rateLimit.limit),
+    'X-RateLimit-Remaining': String(rateLimit.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(rateLimit.resetAt / 1000))
+  });
+
+  if (!rateLimit.allowed) {
+    logger.warn('API key rate limit exceeded', {
+      method: req.method,
+      url: req.originalUrl,
+      keyId: keyRecord.key_id
+    });
+
+    res.set('Retry-After', String(Math.max(Math.ceil((rateLimit.resetAt - Date.now()) / 1000), 1)));
+    return res.status(429).json({
+      success: false,
+      error: 'Too Many Requests',
+      message: `Rate limit of ${rateLimit.limit} requests per minute exceeded for this API key`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  recordApiKeyUse(keyRecord, { ip: req.ip });
+
+  // Key ID (never the key itself) for logging, and the scopes for requireScope
+  req.apiKey = keyRecord.key_id;
+  req.apiKeyScopes = keyRecord.scopes;
+
+  next();
+};
+
+/**
+ * Reject requests whose API key lacks a scope (admin keys have every scope).
+ * Mounted by documentRoutes() for routes that declare a scope.
+ * @param {string} scope - One of API_KEY_SCOPES
+ * @returns {Function} Express middleware
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req.apiKeyScopes, scope)) {
+    logger.warn('API key without the required scope', {
+      method: req.method,
+      url: req.originalUrl,
+      keyId: req.apiKey,
+      scope
+    });
+
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: `This API key does not have the '${scope}' scope`,
       timestamp: new Date().toISOString()
     });
   }
 
-  // Add API key info to request for logging
-  req.apiKey = apiKey.substring(0, 8) + '...';
-  
   next();
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,80 @@
+import { z } from 'zod';
+
+/**
+ * Validate the path parameters, query string and body of a request against
+ * the zod schemas of its route definition (see src/api/openapi/registry.js).
+ *
+ * Parsed values (with coercions and defaults applied) are exposed as
+ * req.validatedParams, req.validatedQuery and req.validatedData (body).
+ * Any failure answers 400 with every issue found.
+ *
+ * @param {Object} schemas - { params?, query?, body? } zod schemas
+ * @returns {Function} Express middleware
+ */
+export const validateRequest = ({ params, query, body } = {}) => {
+  const parts = [
+    ['params', params, 'validatedParams'],
+    ['query', query, 'validatedQuery'],
+    ['body', body, 'validatedData']
+  ].filter(([, schema]) => schema);
+
+  return (req, res, next) => {
+    const details = [];
+
+    for (const [location, schema, target] of parts) {
+      const input = location === 'body' ? (req.body ?? {}) : req[location];
+      const parsed = schema.safeParse(input);
+
+      if (parsed.success) {
+        req[target] = parsed.data;
+      } else {
+        details.push(...parsed.error.errors.map(err => ({
+          in: location,
+          field: err.path.join('.'),
+          message: err.message,
+          code: err.code
+        })));
+      }
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Invalid request data',
+        details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Pagination cursor query parameter: the base64url JSON nextCursor returned
+ * by list endpoints, parsed back into a storage start key
+ */
+export const cursorQuerySchema = z.string()
+  .describe('nextCursor returned by the previous page')
+  .transform((cursor, ctx) => {
+    try {
+      return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'The cursor parameter is not a value returned by this endpoint' });
+      return z.NEVER;
+    }
+  });
+
+/**
+ * Page size query parameter shared by list endpoints
+ */
+export const limitQuerySchema = z.coerce.number().int().min(1).max(100).default(25)
+  .describe('Page size (1-100)');
+
+/**
+ * Encode a storage LastEvaluatedKey as the opaque nextCursor of a list response
+ */
+export const encodeCursor = lastEvaluatedKey => (lastEvaluatedKey
+  ? Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url')
+  : null);
@@ -0,0 +1,207 @@
+/**
+ * OpenAPI Document
+ * Builds the OpenAPI 3.0 document served at /api/v1/openapi.json from the
+ * routes declared through the registry and their zod schemas.
+ */
+
+import { readFileSync } from 'fs';
+import { ZodOptional } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { API_KEY_SCOPES } from '../../shared/utils/apiKeys.js';
+import { getOperations, getSchemaComponents, getTags } from './registry.js';
+
+const packageJson = JSON.parse(readFileSync(new URL('../../../package.json', import.meta.url), 'utf-8'));
+
+const API_KEY_DESCRIPTION = `Keys carry scopes (${Object.values(API_KEY_SCOPES).join(', ')}; admin grants all); `
+  + 'an operation\'s x-required-scope names the one it needs.';
+
+const JSON_SCHEMA_OPTIONS = {
+  target: 'openApi3',
+  basePath: ['#', 'components'],
+  definitionPath: 'schemas',
+  removeAdditionalStrategy: 'strict'
+};
+
+/**
+ * zod schema to an OpenAPI schema object; named components become $refs
+ */
+function toOpenApiSchema(schema, components, { asComponent = null } = {}) {
+  for (const [name, component] of components) {
+    if (component === schema && name !== asComponent) {
+      return { $ref: `#/components/schemas/${name}` };
+    }
+  }
+
+  const definitions = Object.fromEntries([...components].filter(([name]) => name !== asComponent));
+  const converted = zodToJsonSchema(schema, { ...JSON_SCHEMA_OPTIONS, definitions });
+  const { schemas, $schema, ...jsonSchema } = converted;
+  return inlinePointerRefs(jsonSchema, { components: converted });
+}
+
+/**
+ * zod-to-json-schema references a sub-schema it has already emitted by its
+ * JSON pointer (#/components/schemas/Webhook/properties/events). Only whole
+ * components are addressable in the served document, so copy those in place.
+ */
+function inlinePointerRefs(node, root) {
+  if (Array.isArray(node)) {
+    return node.map(item => inlinePointerRefs(item, root));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  if (typeof node.$ref === 'string' && !/^#\/components\/schemas\/[^/]+$/.test(node.$ref)) {
+    const target = node.$ref.split('/').slice(1).reduce((value, key) => value?.[key], root);
+    const { $ref, ...rest } = node;
+    return inlinePointerRefs({ ...target, ...rest }, root);
+  }
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, inlinePointerRefs(value, root)]));
+}
+
+/**
+ * Fields of an object schema, looking through refinements and transforms
+ */
+function objectShape(schema) {
+  let current = schema;
+  while (current?._def?.schema || current?._def?.innerType) {
+    current = current._def.schema || current._def.innerType;
+  }
+  return typeof current?.shape === 'object' ? current.shape : {};
+}
+
+function buildParameters(operation, components) {
+  const parameters = [];
+  const pathParams = objectShape(operation.params);
+
+  for (const [, name] of operation.path.matchAll(/\{([^}]+)\}/g)) {
+    const field = pathParams[name];
+    parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      ...(field?.description && { description: field.description }),
+      schema: field ? toOpenApiSchema(field, components) : { type: 'string' }
+    });
+  }
+
+  for (const [name, field] of Object.entries(objectShape(operation.query))) {
+    // Optionality is carried by `required`; converted on its own an optional field becomes anyOf [not {}, ...]
+    const schema = field instanceof ZodOptional ? field.unwrap() : field;
+    parameters.push({
+      name,
+      in: 'query',
+      required: !field.isOptional(),
+      ...(field.description && { description: field.description }),
+      schema: toOpenApiSchema(schema, components)
+    });
+  }
+
+  return parameters;
+}
+
+function buildResponse({ description, schema, headers }, components) {
+  return {
+    description,
+    ...(headers && {
+      headers: Object.fromEntries(Object.entries(headers).map(([name, headerDescription]) => [
+        name,
+        { description: headerDescription, schema: { type: 'string' } }
+      ]))
+    }),
+    ...(schema && { content: { 'application/json': { schema: toOpenApiSchema(schema, components) } } })
+  };
+}
+
+function defaultOperationId(operation) {
+  const words = `${operation.method} ${operation.path}`
+    .replace(/\{([^}]+)\}/g, 'by $1')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(word => word && word !== 'api' && word !== 'v1');
+  return words.map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+}
+
+function buildOperation(operation, components) {
+  const responses = {};
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    responses[status] = buildResponse(response, components);
+  }
+  if ((operation.params || operation.query || operation.body) && !responses[400]) {
+    responses[400] = { description: 'Invalid request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } };
+  }
+  if (!operation.public && !responses[401]) {
+    responses[401] = { description: 'Missing or invalid API key', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+  }
+  if (operation.scope && !responses[403]) {
+    responses[403] = { description: `API key without the ${operation.scope} scope`, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+  }
+  if (!operation.public && !responses[429]) {
+    responses[429] = {
+      description: 'Rate limit of the API key exceeded',
+      headers: { 'Retry-After': { description: 'Seconds until the next window', schema: { type: 'integer' } } },
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  }
+  if (!responses[500]) {
+    responses[500] = { description: 'Unexpected error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+  }
+
+  const parameters = buildParameters(operation, components);
+
+  return {
+    operationId: operation.operationId || defaultOperationId(operation),
+    ...(operation.tag && { tags: [operation.tag] }),
+    summary: operation.summary,
+    ...(operation.description && { description: operation.description }),
+    ...(operation.scope && { 'x-required-scope': operation.scope }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(operation.body && {
+      requestBody: {
+        required: !operation.body.isOptional(),
+        content: { 'application/json': { schema: toOpenApiSchema(operation.body, components) } }
+      }
+    }),
+    responses,
+    ...(operation.public && { security: [] }),
+    ...(operation.deprecated && { deprecated: true })
+  };
+}
+
+/**
+ * Build the OpenAPI document of every declared route
+ * @param {Object} options - { serverUrl }
+ * @returns {Object} OpenAPI 3.0 document
+ */
+export function buildOpenApiDocument({ serverUrl = '/' } = {}) {
+  const components = getSchemaComponents();
+  const paths = {};
+
+  for (const operation of getOperations()) {
+    paths[operation.path] = {
+      ...paths[operation.path],
+      [operation.method]: buildOperation(operation, components)
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Job Application API',
+      version: packageJson.version,
+      description: packageJson.description
+    },
+    servers: [{ url: serverUrl }],
+    tags: getTags(),
+    security: [{ ApiKeyHeader: [] }, { BearerApiKey: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: API_KEY_DESCRIPTION },
+        BearerApiKey: { type: 'http', scheme: 'bearer', description: `The API key as a bearer token. ${API_KEY_DESCRIPTION}` }
+      },
+      schemas: Object.fromEntries([...components].map(([name, schema]) => [
+        name,
+        toOpenApiSchema(schema, components, { asComponent: name })
+      ]))
+    }
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * API Route Registry
+ * Single source for the request/response definitions of every API route.
+ * Routes are declared through documentRoutes(), which both mounts them on the
+ * Express router behind validateRequest() and records them for the OpenAPI
+ * document (see document.js), so validation and docs cannot drift apart.
+ *
+ *   const api = documentRoutes(router, { basePath: '/api/v1/runs', tag: 'Runs', scope: API_KEY_SCOPES.JOBS_READ });
+ *   api.get('/:id', { summary: 'Get a run', params, responses: { 200: jsonResponse('The run', runSchema) } }, handler);
+ *
+ * A route's `scope` (or the router's default) is enforced with requireScope()
+ * before validation; `scope: null` accepts any valid API key.
+ */
+
+import { requireScope } from '../middleware/validateApiKey.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+
+const operations = [];
+const components = new Map();
+const tags = new Map();
+
+const METHODS = ['get', 'post', 'put', 'delete'];
+
+/**
+ * Express path (/runs/:id) to OpenAPI path (/runs/{id})
+ */
+function toOpenApiPath(basePath, path) {
+  const fullPath = `${basePath}${path === '/' ? '' : path}` || '/';
+  return fullPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * Give a zod schema a name so it is emitted once under components/schemas and referenced elsewhere
+ * @param {string} name - Component name
+ * @param {Object} schema - zod schema
+ * @returns {Object} The same schema
+ */
+export function registerSchema(name, schema) {
+  components.set(name, schema);
+  return schema;
+}
+
+/**
+ * Response definition with a JSON body
+ * @param {string} description - What the response means
+ * @param {Object} [schema] - zod schema of the body
+ * @param {Object} [headers] - { name: description }
+ */
+export function jsonResponse(description, schema = null, headers = null) {
+  return { description, schema, headers };
+}
+
+/**
+ * Declare routes on an Express router
+ * @param {Object} router - Express router
+ * @param {Object} options - { basePath: mount path of the router, tag: OpenAPI tag, description?, public?: no API key, scope?: default API key scope }
+ * @returns {Object} { get, post, put, delete }(path, definition, ...handlers)
+ */
+export function documentRoutes(router, { basePath, tag, description = '', public: isPublic = false, scope = null }) {
+  if (tag && !tags.has(tag)) {
+    tags.set(tag, description);
+  }
+
+  return Object.fromEntries(METHODS.map(method => [method, (path, definition, ...handlers) => {
+    const operation = {
+      method,
+      path: toOpenApiPath(basePath, path),
+      tag,
+      public: isPublic,
+      scope: isPublic ? null : scope,
+      ...definition
+    };
+    operations.push(operation);
+
+    const { params, query, body } = definition;
+    const guards = operation.scope ? [requireScope(operation.scope)] : [];
+    const validators = params || query || body ? [validateRequest({ params, query, body })] : [];
+    router[method](path, ...guards, ...validators, ...handlers);
+    return operation;
+  }]));
+}
+
+/**
+ * @returns {Array<Object>} Every declared operation
+ */
+export function getOperations() {
+  return [...operations];
+}
+
+/**
+ * @returns {Map<string, Object>} Named schemas
+ */
+export function getSchemaComponents() {
+  return new Map(components);
+}
+
+/**
+ * @returns {Array<{name: string, description: string}>} Tags in declaration order
+ */
+export function getTags() {
+  return [...tags.entries()].map(([name, description]) => ({ name, description }));
+}
@@ -0,0 +1,99 @@
+/**
+ * Shared API Schemas
+ * Response envelopes and the domain schemas from src/shared/types/schemas.js
+ * that appear in more than one route, registered as named OpenAPI components.
+ */
+
+import { z } from 'zod';
+import {
+  applicationResultSchema,
+  batchJobApplicationInputSchema,
+  candidatePersonalSchema,
+  candidateProfileSchema,
+  educationSchema,
+  experienceSchema,
+  jobApplicationInputSchema
+} from '../../shared/types/schemas.js';
+import { jsonResponse, registerSchema } from './registry.js';
+
+registerSchema('CandidatePersonal', candidatePersonalSchema);
+registerSchema('Experience', experienceSchema);
+registerSchema('Education', educationSchema);
+registerSchema('CandidateProfile', candidateProfileSchema);
+registerSchema('JobApplicationInput', jobApplicationInputSchema);
+registerSchema('BatchJobApplicationInput', batchJobApplicationInputSchema);
+registerSchema('ApplicationResult', applicationResultSchema);
+
+export const errorResponseSchema = registerSchema('Error', z.object({
+  success: z.literal(false),
+  error: z.string(),
+  message: z.string().optional(),
+  timestamp: z.string().optional()
+}).passthrough());
+
+export const validationErrorSchema = registerSchema('ValidationError', z.object({
+  success: z.literal(false),
+  error: z.literal('Validation Error'),
+  message: z.string(),
+  details: z.array(z.object({
+    in: z.enum(['params', 'query', 'body']),
+    field: z.string(),
+    message: z.string(),
+    code: z.string()
+  })),
+  timestamp: z.string()
+}));
+
+/**
+ * { success: true, data, timestamp } envelope around a data schema
+ */
+export const successResponse = dataSchema => z.object({
+  success: z.literal(true),
+  data: dataSchema,
+  timestamp: z.string()
+});
+
+/**
+ * Loosely typed object for workflow outputs whose shape depends on the run
+ */
+export const looseObjectSchema = z.record(z.string(), z.any());
+
+const usageCountersSchema = z.object({
+  calls: z.number(),
+  cached_calls: z.number(),
+  prompt_tokens: z.number(),
+  completion_tokens: z.number(),
+  total_tokens: z.number(),
+  cost_usd: z.number().describe('Estimated from the price table (USD)')
+});
+
+export const usageCountersComponent = registerSchema('LlmUsageCounters', usageCountersSchema);
+
+/**
+ * LLM usage stored on run records (usage) and job items (llm_usage)
+ */
+export const usageSummarySchema = registerSchema('LlmUsage', usageCountersSchema.extend({
+  by_node: z.record(z.string(), usageCountersSchema),
+  by_model: z.record(z.string(), usageCountersSchema)
+}));
+
+export const runAcceptedSchema = registerSchema('RunAccepted', successResponse(z.object({
+  run_id: z.string(),
+  type: z.string(),
+  status: z.string(),
+  statusUrl: z.string()
+})));
+
+/**
+ * 202 response of routes that start a background run
+ */
+export const runAcceptedResponse = jsonResponse(
+  'Run accepted; poll statusUrl (GET /api/v1/runs/{id}) or stream /events for progress',
+  runAcceptedSchema,
+  { Location: 'URL of the run record' }
+);
+
+/**
+ * Error response with the standard error body
+ */
+export const errorResponse = description => jsonResponse(description, errorResponseSchema);
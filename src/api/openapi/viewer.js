@@ -0,0 +1,158 @@
+/* global document, fetch, location */
+// Renders /api/v1/openapi.json without external assets (served under the API's CSP)
+(function () {
+  var spec;
+
+  function el(tag, attrs, children) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (key) {
+      if (key === 'text') node.textContent = attrs[key];
+      else node.setAttribute(key, attrs[key]);
+    });
+    (children || []).forEach(function (child) { if (child) node.appendChild(child); });
+    return node;
+  }
+
+  function resolve(schema) {
+    if (!schema || !schema.$ref) return schema;
+    return spec.components.schemas[schema.$ref.split('/').pop()];
+  }
+
+  // TypeScript-like outline of a schema, expanding $refs once per branch
+  function outline(schema, indent, seen) {
+    indent = indent || '';
+    seen = seen || [];
+    if (!schema) return 'any';
+    if (schema.$ref) {
+      var name = schema.$ref.split('/').pop();
+      if (seen.indexOf(name) !== -1) return name;
+      return outline(resolve(schema), indent, seen.concat(name));
+    }
+    var nullable = schema.nullable ? ' | null' : '';
+    if (schema.enum) return schema.enum.map(function (value) { return JSON.stringify(value); }).join(' | ') + nullable;
+    if (schema.anyOf || schema.oneOf) {
+      return (schema.anyOf || schema.oneOf).map(function (option) { return outline(option, indent, seen); }).join(' | ') + nullable;
+    }
+    if (schema.allOf) return schema.allOf.map(function (option) { return outline(option, indent, seen); }).join(' & ');
+    if (schema.type === 'array') return outline(schema.items, indent, seen) + '[]' + nullable;
+    if (schema.type === 'object' || schema.properties) {
+      var properties = schema.properties || {};
+      var keys = Object.keys(properties);
+      if (keys.length === 0) {
+        return (schema.additionalProperties && schema.additionalProperties !== true
+          ? '{ [key: string]: ' + outline(schema.additionalProperties, indent, seen) + ' }'
+          : 'object') + nullable;
+      }
+      var required = schema.required || [];
+      var inner = indent + '  ';
+      return '{\n' + keys.map(function (key) {
+        var property = properties[key];
+        var notes = [];
+        if (property && property.format) notes.push(property.format);
+        if (property && property.default !== undefined) notes.push('default ' + JSON.stringify(property.default));
+        if (property && property.description) notes.push(property.description);
+        return inner + key + (required.indexOf(key) === -1 ? '?' : '') + ': ' + outline(property, inner, seen)
+          + (notes.length ? '  // ' + notes.join(', ') : '');
+      }).join('\n') + '\n' + indent + '}' + nullable;
+    }
+    if (schema.type) return schema.type + (schema.format ? ' (' + schema.format + ')' : '') + nullable;
+    return 'any';
+  }
+
+  function renderParameters(parameters) {
+    var rows = parameters.map(function (parameter) {
+      return el('tr', {}, [
+        el('td', { class: 'path', text: parameter.name + (parameter.required ? '' : '?') }),
+        el('td', { text: parameter.in }),
+        el('td', { class: 'path', text: outline(parameter.schema) }),
+        el('td', { text: parameter.description || '' })
+      ]);
+    });
+    return el('table', {}, [el('tr', {}, ['Name', 'In', 'Type', 'Description'].map(function (title) {
+      return el('th', { text: title });
+    }))].concat(rows));
+  }
+
+  function renderOperation(path, method, operation) {
+    var body = el('div', { class: 'body' });
+    if (operation.description) body.appendChild(el('p', { text: operation.description }));
+    if (operation.parameters) {
+      body.appendChild(el('h4', { text: 'Parameters' }));
+      body.appendChild(renderParameters(operation.parameters));
+    }
+    if (operation.requestBody) {
+      body.appendChild(el('h4', { text: 'Request body' + (operation.requestBody.required ? '' : ' (optional)') }));
+      body.appendChild(el('pre', { text: outline(operation.requestBody.content['application/json'].schema) }));
+    }
+    body.appendChild(el('h4', { text: 'Responses' }));
+    Object.keys(operation.responses).forEach(function (status) {
+      var response = operation.responses[status];
+      body.appendChild(el('div', {}, [
+        el('span', { class: 'status', text: status + ' ' }),
+        el('span', { text: response.description })
+      ]));
+      if (response.content) {
+        body.appendChild(el('pre', { text: outline(response.content['application/json'].schema) }));
+      }
+    });
+
+    var id = operation.operationId;
+    return el('details', { class: 'operation', id: id, 'data-search': (method + ' ' + path + ' ' + (operation.summary || '')).toLowerCase() }, [
+      el('summary', {}, [
+        el('span', { class: 'method ' + method, text: method }),
+        el('span', { class: 'path', text: path }),
+        el('span', { class: 'summary', text: operation.summary || '' }),
+        operation.security && operation.security.length === 0 ? null : el('span', { class: 'lock', text: operation['x-required-scope'] ? 'scope ' + operation['x-required-scope'] : 'API key' })
+      ]),
+      body
+    ]);
+  }
+
+  function render() {
+    document.getElementById('title').textContent = spec.info.title;
+    document.getElementById('version').textContent = 'v' + spec.info.version + ' · OpenAPI ' + spec.openapi;
+    document.title = spec.info.title;
+
+    var byTag = {};
+    var tagOrder = (spec.tags || []).map(function (tag) { return tag.name; });
+    Object.keys(spec.paths).forEach(function (path) {
+      Object.keys(spec.paths[path]).forEach(function (method) {
+        var operation = spec.paths[path][method];
+        var tag = (operation.tags || ['Other'])[0];
+        if (tagOrder.indexOf(tag) === -1) tagOrder.push(tag);
+        (byTag[tag] = byTag[tag] || []).push(renderOperation(path, method, operation));
+      });
+    });
+
+    var content = document.getElementById('content');
+    var toc = document.getElementById('toc');
+    content.textContent = '';
+    tagOrder.filter(function (tag) { return byTag[tag]; }).forEach(function (tag) {
+      var description = ((spec.tags || []).filter(function (entry) { return entry.name === tag; })[0] || {}).description;
+      content.appendChild(el('section', { class: 'tag' }, [el('h2', { text: tag }), description ? el('p', { text: description }) : null].concat(byTag[tag])));
+      toc.appendChild(el('h3', { text: tag }));
+      byTag[tag].forEach(function (operation) {
+        var link = el('a', { href: '#' + operation.id, text: operation.querySelector('.method').textContent.toUpperCase() + ' ' + operation.querySelector('.path').textContent });
+        link.addEventListener('click', function () { operation.open = true; });
+        toc.appendChild(link);
+      });
+    });
+
+    if (location.hash) {
+      var target = document.getElementById(location.hash.slice(1));
+      if (target) { target.open = true; target.scrollIntoView(); }
+    }
+  }
+
+  document.getElementById('filter').addEventListener('input', function (event) {
+    var query = event.target.value.toLowerCase();
+    Array.prototype.forEach.call(document.querySelectorAll('details.operation'), function (operation) {
+      operation.style.display = operation.getAttribute('data-search').indexOf(query) === -1 ? 'none' : '';
+    });
+  });
+
+  fetch('/api/v1/openapi.json')
+    .then(function (response) { return response.json(); })
+    .then(function (loaded) { spec = loaded; render(); })
+    .catch(function (error) { document.getElementById('content').textContent = 'Could not load the API description: ' + error.message; });
+})();
@@ -0,0 +1,145 @@
+import express from 'express';
+import { z } from 'zod';
+import { logger } from '../../shared/utils/logger.js';
+import {
+  API_KEY_SCOPES,
+  API_KEY_STATUS,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  toPublicApiKey
+} from '../../shared/utils/apiKeys.js';
+import { documentRoutes, jsonResponse, registerSchema } from '../openapi/registry.js';
+import { errorResponse, successResponse } from '../openapi/schemas.js';
+
+const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1/api-keys',
+  tag: 'API Keys',
+  description: 'Keys accepted by this API, with their scopes and rate limits',
+  scope: API_KEY_SCOPES.ADMIN
+});
+
+const scopeSchema = z.enum(Object.values(API_KEY_SCOPES));
+
+const createApiKeySchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100).describe('Who or what the key is for'),
+  scopes: z.array(scopeSchema).min(1, 'Grant at least one scope'),
+  rateLimitPerMinute: z.number().int().min(1).max(10000).optional()
+    .describe('Requests per minute (default API_KEY_RATE_LIMIT)'),
+  expiresAt: z.string().datetime().optional()
+    .refine(expiresAt => !expiresAt || new Date(expiresAt).getTime() > Date.now(), 'expiresAt must be in the future')
+});
+
+const apiKeySchema = registerSchema('ApiKey', z.object({
+  key_id: z.string(),
+  name: z.string(),
+  scopes: z.array(scopeSchema),
+  rateLimitPerMinute: z.number(),
+  status: z.enum(Object.values(API_KEY_STATUS)),
+  expiresAt: z.string().nullable(),
+  createdBy: z.string().nullable(),
+  createdAt: z.string(),
+  lastUsedAt: z.string().nullable(),
+  lastUsedIp: z.string().nullable().optional(),
+  revokedAt: z.string().nullable(),
+  revokedBy: z.string().nullable().optional()
+}));
+
+const createdApiKeySchema = registerSchema('CreatedApiKey', apiKeySchema.extend({
+  key: z.string().describe('The key to send as X-API-Key; only returned here')
+}));
+
+const apiKeyParamsSchema = z.object({ id: z.string().describe('Key ID (ak_...)') });
+
+const apiKeyNotFound = errorResponse('API key not found');
+
+const sendServerError = (res, action, error) => {
+  logger.error(`Failed to ${action}:`, error.message);
+  return res.status(500).json({
+    success: false,
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+};
+
+// POST /api-keys - Create a key (the key itself is only returned here)
+api.post('/', {
+  summary: 'Create an API key',
+  body: createApiKeySchema,
+  responses: { 201: jsonResponse('The key record and the key', successResponse(createdApiKeySchema), { Location: 'URL of the key record' }) }
+}, async (req, res) => {
+  try {
+    const apiKey = await createApiKey({ ...req.validatedData, createdBy: req.apiKey || null });
+    res.status(201).location(`/api/v1/api-keys/${apiKey.key_id}`).json({
+      success: true,
+      data: apiKey,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendServerError(res, 'create API key', error);
+  }
+});
+
+// GET /api-keys - List stored keys (never the keys or their hashes)
+api.get('/', {
+  summary: 'List API keys',
+  responses: { 200: jsonResponse('All stored keys, revoked ones included', successResponse(z.object({ apiKeys: z.array(apiKeySchema), count: z.number() }))) }
+}, async (req, res) => {
+  try {
+    const apiKeys = (await listApiKeys()).map(toPublicApiKey);
+    res.json({
+      success: true,
+      data: { apiKeys, count: apiKeys.length },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendServerError(res, 'list API keys', error);
+  }
+});
+
+// GET /api-keys/:id - One key, with its last use
+api.get('/:id', {
+  summary: 'Get an API key',
+  params: apiKeyParamsSchema,
+  responses: { 200: jsonResponse('The key record', successResponse(apiKeySchema)), 404: apiKeyNotFound }
+}, async (req, res) => {
+  try {
+    const apiKey = await getApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        message: `API key ${req.params.id} not found`
+      });
+    }
+    res.json({ success: true, data: toPublicApiKey(apiKey), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'get API key', error);
+  }
+});
+
+// DELETE /api-keys/:id - Revoke a key (the record is kept)
+api.delete('/:id', {
+  summary: 'Revoke an API key',
+  description: 'Requests with the key are rejected from then on; the record is kept with revokedAt.',
+  params: apiKeyParamsSchema,
+  responses: { 200: jsonResponse('The revoked key', successResponse(apiKeySchema)), 404: apiKeyNotFound }
+}, async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id, { revokedBy: req.apiKey || null });
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        message: `API key ${req.params.id} not found`
+      });
+    }
+    res.json({ success: true, data: toPublicApiKey(apiKey), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'revoke API key', error);
+  }
+});
+
+export default router;
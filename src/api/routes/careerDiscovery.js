@@ -2,8 +2,19 @@ import express from 'express';
 import { logger } from '../../shared/utils/logger.js';
 import { runCareerDiscovery } from '../../new-workflows/career-page-discovery/index.js';
 import CareerDiscoveryJob from '../../../jobs/career-discovery.js';
+import { RUN_TYPES, startRun } from '../../shared/utils/runManager.js';
+import { sendRunAccepted } from './runs.js';
+import { API_KEY_SCOPES } from '../../shared/utils/apiKeys.js';
+import { documentRoutes, jsonResponse } from '../openapi/registry.js';
+import { errorResponse, runAcceptedResponse } from '../openapi/schemas.js';
 
 const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1/career-discovery',
+  tag: 'Career Discovery',
+  description: 'Find career pages for the companies of the company registry, one company per run',
+  scope: API_KEY_SCOPES.DISCOVERY_TRIGGER
+});
 
 // Initialize career discovery job instance
 const careerDiscoveryJob = new CareerDiscoveryJob();
@@ -12,9 +23,13 @@ const careerDiscoveryJob = new CareerDiscoveryJob();
  * GET /api/career-discovery/status
  * Get current career discovery job status
  */
-router.get('/status', async (req, res) => {
+api.get('/status', {
+  summary: 'Career discovery job status',
+  scope: API_KEY_SCOPES.JOBS_READ,
+  responses: { 200: jsonResponse('Cron and progress status') }
+}, async (req, res) => {
   try {
-    const status = careerDiscoveryJob.getStatus();
+    const status = await careerDiscoveryJob.getStatus();
     
     res.json({
       success: true,
@@ -33,9 +48,12 @@ router.get('/status', async (req, res) => {
 
 /**
  * POST /api/career-discovery/trigger
- * Manually trigger career discovery for one company
+ * Manually trigger career discovery for one company (202 with a run ID)
  */
-router.post('/trigger', async (req, res) => {
+api.post('/trigger', {
+  summary: 'Run career discovery for the next company',
+  responses: { 202: runAcceptedResponse, 409: errorResponse('Career discovery job is already running') }
+}, async (req, res) => {
   try {
     // Check if job is already running
     if (careerDiscoveryJob.isRunning) {
@@ -48,22 +66,17 @@ router.post('/trigger', async (req, res) => {
 
     logger.info('🚀 Manual career discovery trigger requested');
     
-    // Run career discovery for one company
-    const result = await careerDiscoveryJob.runCareerDiscovery();
-    
-    // Get updated status
-    const status = careerDiscoveryJob.getStatus();
-    
-    res.json({
-      success: true,
-      data: {
-        result,
-        status,
-        message: 'Career discovery triggered successfully'
-      },
-      timestamp: new Date().toISOString()
+    // Run career discovery for one company in the background
+    const run = await startRun(RUN_TYPES.CAREER_DISCOVERY, {}, async () => {
+      const result = await careerDiscoveryJob.runCareerDiscovery();
+      return {
+        ...result,
+        status: await careerDiscoveryJob.getStatus()
+      };
     });
     
+    return sendRunAccepted(res, run);
+    
   } catch (error) {
     logger.error('Failed to trigger career discovery:', error.message);
     res.status(500).json({
@@ -78,7 +91,11 @@ router.post('/trigger', async (req, res) => {
  * POST /api/career-discovery/start
  * Start the career discovery cron job
  */
-router.post('/start', async (req, res) => {
+api.post('/start', {
+  summary: 'Start the hourly career discovery cron job',
+  scope: API_KEY_SCOPES.ADMIN,
+  responses: { 200: jsonResponse('Cron job started') }
+}, async (req, res) => {
   try {
     careerDiscoveryJob.start();
     
@@ -105,7 +122,11 @@ router.post('/start', async (req, res) => {
  * POST /api/career-discovery/stop
  * Stop the career discovery cron job
  */
-router.post('/stop', async (req, res) => {
+api.post('/stop', {
+  summary: 'Stop the career discovery cron job',
+  scope: API_KEY_SCOPES.ADMIN,
+  responses: { 200: jsonResponse('Cron job stopped') }
+}, async (req, res) => {
   try {
     careerDiscoveryJob.stop();
     
@@ -129,24 +150,21 @@ router.post('/stop', async (req, res) => {
 
 /**
  * POST /api/career-discovery/reset
- * Reset career discovery state to start from first company
+ * Make every enabled company due again, so the next runs revisit all of them
  */
-router.post('/reset', async (req, res) => {
+api.post('/reset', {
+  summary: 'Make every enabled company due for career discovery again',
+  scope: API_KEY_SCOPES.ADMIN,
+  responses: { 200: jsonResponse('Companies rescheduled') }
+}, async (req, res) => {
   try {
-    const initialState = { 
-      csvRowIndex: 1, 
-      csvFilePath: null, 
-      totalRows: 0,
-      lastRun: null 
-    };
-    
-    careerDiscoveryJob.saveState(initialState);
+    const rescheduled = await careerDiscoveryJob.resetSchedule();
     
     res.json({
       success: true,
       data: {
         message: 'Career discovery state reset successfully',
-        state: initialState
+        rescheduled
       },
       timestamp: new Date().toISOString()
     });
@@ -0,0 +1,273 @@
+import express from 'express';
+import { z } from 'zod';
+import { logger } from '../../shared/utils/logger.js';
+import { API_KEY_SCOPES } from '../../shared/utils/apiKeys.js';
+import { documentRoutes, jsonResponse, registerSchema } from '../openapi/registry.js';
+import { errorResponse, successResponse } from '../openapi/schemas.js';
+import {
+  COMPANY_ERRORS,
+  COMPANY_STATUS,
+  CompanyRegistryError,
+  createCompany,
+  deleteCompany,
+  exportCompaniesCsv,
+  getCompany,
+  importCompaniesCsv,
+  listCompanies,
+  updateCompany
+} from '../../shared/utils/companyRegistry.js';
+
+const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1/companies',
+  tag: 'Companies',
+  description: 'Company registry worked through by career discovery: domains, aliases, ATS, career URLs and status history',
+  scope: API_KEY_SCOPES.ADMIN
+});
+
+const companyStatusSchema = z.enum(Object.values(COMPANY_STATUS));
+
+const atsSchema = z.object({
+  platform: z.string(),
+  boardId: z.string().optional(),
+  boardUrl: z.string()
+}).passthrough();
+
+const companyFieldsSchema = {
+  domain: z.string().min(1).describe('Website domain or URL (normalized to the host, without www.)'),
+  aliases: z.array(z.string().min(1)).describe('Other names the company is known by'),
+  ats: atsSchema.nullable(),
+  careerPageUrl: z.string().url().nullable(),
+  jobListingsUrl: z.string().url().nullable(),
+  urlTemplate: z.string().nullable().describe('Search URL template (see /job-discovery value_mappings)'),
+  priority: z.number().int().describe('Higher priorities are discovered first'),
+  nextAttemptAt: z.string().datetime().nullable().describe('When career discovery may run again; null for now')
+};
+
+const createCompanySchema = z.object({
+  name: z.string().trim().min(1, 'Company name is required').max(200),
+  ...Object.fromEntries(Object.entries(companyFieldsSchema).map(([field, schema]) => [field, schema.optional()])),
+  status: companyStatusSchema.optional()
+});
+
+const updateCompanySchema = z.object({
+  name: z.string().trim().min(1).max(200).optional(),
+  ...Object.fromEntries(Object.entries(companyFieldsSchema).map(([field, schema]) => [field, schema.optional()])),
+  status: companyStatusSchema.optional(),
+  reason: z.string().max(500).optional().describe('Recorded in the status history when the status changes')
+}).refine(changes => Object.keys(changes).some(field => field !== 'reason'), 'Provide at least one field to change');
+
+const companySchema = registerSchema('Company', z.object({
+  company_id: z.string(),
+  name: z.string(),
+  domain: z.string().nullable(),
+  aliases: z.array(z.string()),
+  ats: atsSchema.nullable(),
+  careerPageUrl: z.string().nullable(),
+  jobListingsUrl: z.string().nullable(),
+  urlTemplate: z.string().nullable(),
+  priority: z.number(),
+  status: companyStatusSchema,
+  statusHistory: z.array(z.object({
+    from: z.string().nullable(),
+    to: z.string(),
+    at: z.string(),
+    reason: z.string().nullable().optional(),
+    actor: z.string().nullable().optional()
+  })),
+  lastVerifiedAt: z.string().nullable(),
+  lastAttemptAt: z.string().nullable(),
+  nextAttemptAt: z.string().nullable(),
+  consecutiveFailures: z.number(),
+  lastError: z.string().nullable(),
+  createdAt: z.string(),
+  updatedAt: z.string()
+}));
+
+const companyParamsSchema = z.object({ id: z.string().describe('Company ID (slug of the name, e.g. acme-inc)') });
+
+const companyNotFound = errorResponse('Company not found');
+
+const sendCompanyNotFound = (res, companyId) => res.status(404).json({
+  success: false,
+  error: 'Company not found',
+  message: `Company ${companyId} not found`
+});
+
+const sendServerError = (res, action, error) => {
+  logger.error(`Failed to ${action}:`, error.message);
+  return res.status(500).json({
+    success: false,
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+};
+
+// GET /companies - List companies, optionally of one status
+api.get('/', {
+  summary: 'List companies by name',
+  scope: API_KEY_SCOPES.JOBS_READ,
+  query: z.object({ status: companyStatusSchema.optional() }),
+  responses: { 200: jsonResponse('Companies', successResponse(z.object({ companies: z.array(companySchema), count: z.number() }))) }
+}, async (req, res) => {
+  try {
+    const companies = await listCompanies({ status: req.validatedQuery.status });
+    res.json({
+      success: true,
+      data: { companies, count: companies.length },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendServerError(res, 'list companies', error);
+  }
+});
+
+// GET /companies/export - The registry as CSV, in the format POST /companies/import reads
+api.get('/export', {
+  summary: 'Export the registry as CSV',
+  scope: API_KEY_SCOPES.JOBS_READ,
+  query: z.object({ status: companyStatusSchema.optional() }),
+  responses: { 200: { description: 'text/csv with the columns name, domain, aliases, ats_platform, ats_board_id, ats_board_url, career_page_url, job_listings_url, url_template, priority, status, last_verified_at' } }
+}, async (req, res) => {
+  try {
+    const csv = await exportCompaniesCsv({ status: req.validatedQuery.status });
+    res.status(200)
+      .type('text/csv')
+      .attachment('companies.csv')
+      .send(csv);
+  } catch (error) {
+    sendServerError(res, 'export companies', error);
+  }
+});
+
+// POST /companies/import - Add or update the companies of a CSV
+api.post('/import', {
+  summary: 'Import companies from CSV',
+  description: 'Reads the export columns, and the company_name,status,reason rows of the companies.csv of earlier versions. Companies already registered are updated.',
+  scope: API_KEY_SCOPES.DISCOVERY_TRIGGER,
+  body: z.object({ csv: z.string().min(1, 'CSV text is required').describe('CSV with a header row') }),
+  responses: {
+    200: jsonResponse('Import summary', successResponse(z.object({
+      created: z.number(),
+      updated: z.number(),
+      skipped: z.array(z.object({ line: z.number(), reason: z.string() }))
+    }))),
+    400: errorResponse('The CSV cannot be read')
+  }
+}, async (req, res) => {
+  try {
+    const summary = await importCompaniesCsv(req.validatedData.csv, { actor: req.apiKey || 'api' });
+    res.json({ success: true, data: summary, timestamp: new Date().toISOString() });
+  } catch (error) {
+    if (error instanceof CompanyRegistryError && error.type === COMPANY_ERRORS.INVALID_CSV) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid CSV',
+        message: error.message
+      });
+    }
+    sendServerError(res, 'import companies', error);
+  }
+});
+
+// POST /companies - Add a company
+api.post('/', {
+  summary: 'Add a company',
+  scope: API_KEY_SCOPES.DISCOVERY_TRIGGER,
+  body: createCompanySchema,
+  responses: {
+    201: jsonResponse('The company', successResponse(companySchema), { Location: 'URL of the company' }),
+    409: errorResponse('A company of the same ID exists')
+  }
+}, async (req, res) => {
+  try {
+    const company = await createCompany(req.validatedData, { actor: req.apiKey || 'api' });
+    res.status(201).location(`/api/v1/companies/${company.company_id}`).json({
+      success: true,
+      data: company,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof CompanyRegistryError && error.type === COMPANY_ERRORS.DUPLICATE) {
+      return res.status(409).json({
+        success: false,
+        error: 'Company already exists',
+        message: error.message
+      });
+    }
+    sendServerError(res, 'create company', error);
+  }
+});
+
+// GET /companies/:id - One company with its status history
+api.get('/:id', {
+  summary: 'Get a company with its status history',
+  scope: API_KEY_SCOPES.JOBS_READ,
+  params: companyParamsSchema,
+  responses: { 200: jsonResponse('The company', successResponse(companySchema)), 404: companyNotFound }
+}, async (req, res) => {
+  try {
+    const company = await getCompany(req.params.id);
+    if (!company) {
+      return sendCompanyNotFound(res, req.params.id);
+    }
+    res.json({ success: true, data: company, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'get company', error);
+  }
+});
+
+// PUT /companies/:id - Change a company; a status change is added to its history
+api.put('/:id', {
+  summary: 'Change a company',
+  scope: API_KEY_SCOPES.DISCOVERY_TRIGGER,
+  params: companyParamsSchema,
+  body: updateCompanySchema,
+  responses: {
+    200: jsonResponse('The updated company', successResponse(companySchema)),
+    404: companyNotFound,
+    409: errorResponse('The status changed while the company was updated')
+  }
+}, async (req, res) => {
+  try {
+    const { reason, ...changes } = req.validatedData;
+    const company = await updateCompany(req.params.id, changes, {
+      reason: reason || 'Changed through the API',
+      actor: req.apiKey || 'api'
+    });
+    if (!company) {
+      return sendCompanyNotFound(res, req.params.id);
+    }
+    res.json({ success: true, data: company, timestamp: new Date().toISOString() });
+  } catch (error) {
+    if (error instanceof CompanyRegistryError && error.type === COMPANY_ERRORS.STATUS_CHANGED) {
+      return res.status(409).json({
+        success: false,
+        error: 'Company status changed',
+        message: error.message
+      });
+    }
+    sendServerError(res, 'update company', error);
+  }
+});
+
+// DELETE /companies/:id - Remove a company (its URL template is kept)
+api.delete('/:id', {
+  summary: 'Delete a company',
+  params: companyParamsSchema,
+  responses: {
+    200: jsonResponse('Deleted', successResponse(z.object({ company_id: z.string(), deleted: z.literal(true) }))),
+    404: companyNotFound
+  }
+}, async (req, res) => {
+  try {
+    if (!(await deleteCompany(req.params.id))) {
+      return sendCompanyNotFound(res, req.params.id);
+    }
+    res.json({ success: true, data: { company_id: req.params.id, deleted: true }, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'delete company', error);
+  }
+});
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { readFileSync } from 'fs';
+import { buildOpenApiDocument } from '../openapi/document.js';
+import { documentRoutes, jsonResponse } from '../openapi/registry.js';
+import { logger } from '../../shared/utils/logger.js';
+
+const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1',
+  tag: 'Docs',
+  description: 'This API description and its viewer (no API key needed)',
+  public: true
+});
+
+const viewerHtml = readFileSync(new URL('../openapi/viewer.html', import.meta.url), 'utf-8');
+const viewerScript = readFileSync(new URL('../openapi/viewer.js', import.meta.url), 'utf-8');
+
+// Built on first request, once every route module has registered its operations
+let openApiDocument = null;
+
+// GET /openapi.json - OpenAPI 3 description of the API
+api.get('/openapi.json', {
+  summary: 'OpenAPI 3 description of this API',
+  responses: { 200: jsonResponse('OpenAPI document') }
+}, (req, res) => {
+  try {
+    openApiDocument = openApiDocument || buildOpenApiDocument();
+    res.json(openApiDocument);
+  } catch (error) {
+    logger.error('Failed to build OpenAPI document:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build OpenAPI document',
+      message: error.message
+    });
+  }
+});
+
+// GET /docs - HTML viewer for openapi.json
+api.get('/docs', {
+  summary: 'HTML viewer for the OpenAPI description',
+  responses: { 200: { description: 'HTML page' } }
+}, (req, res) => {
+  res.type('html').send(viewerHtml);
+});
+
+// Viewer script, served separately so the page works under the default helmet CSP
+router.get('/docs/viewer.js', (req, res) => {
+  res.type('application/javascript').send(viewerScript);
+});
+
+export default router;
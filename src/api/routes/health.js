@@ -1,10 +1,21 @@
 import express from 'express';
 import { logger } from '../../shared/utils/logger.js';
+import { getBrowserPool } from '../../shared/utils/browserPool.js';
+import { documentRoutes, jsonResponse } from '../openapi/registry.js';
 
 const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/health',
+  tag: 'Health',
+  description: 'Liveness checks (no API key needed)',
+  public: true
+});
 
 // Basic health check
-router.get('/', (req, res) => {
+api.get('/', {
+  summary: 'Liveness check',
+  responses: { 200: jsonResponse('Service is up') }
+}, (req, res) => {
   res.json({
     success: true,
     status: 'healthy',
@@ -16,7 +27,10 @@ router.get('/', (req, res) => {
 });
 
 // Detailed health check
-router.get('/detailed', async (req, res) => {
+api.get('/detailed', {
+  summary: 'Memory, runtime, browser pool and required environment variables',
+  responses: { 200: jsonResponse('Detailed health; checks.environment.status is warning when variables are missing, checks.browserPool.status when leases are queued') }
+}, async (req, res) => {
   try {
     const healthStatus = {
       success: true,
@@ -41,10 +55,18 @@ router.get('/detailed', async (req, res) => {
             platform: process.platform,
             arch: process.arch
           }
+        },
+        browserPool: {
+          status: 'healthy',
+          details: getBrowserPool().stats()
         }
       }
     };
 
+    if (healthStatus.checks.browserPool.details.waiting > 0) {
+      healthStatus.checks.browserPool.status = 'warning';
+    }
+
     // Check if required environment variables are set
     const requiredEnvVars = ['OPENAI_API_KEY', 'BROWSERBASE_API_KEY'];
     const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
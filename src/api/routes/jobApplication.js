@@ -1,44 +1,38 @@
 import express from 'express';
-import { z } from 'zod';
 import { logger } from '../../shared/utils/logger.js';
 import { applyToJob, applyToMultipleJobs } from '../../workflows/job-application/index.js';
 import { candidateProfileSchema, jobApplicationInputSchema, batchJobApplicationInputSchema } from '../../shared/types/schemas.js';
 import { exampleCandidateData } from '../../shared/types/schemas.js';
 import { runEasyApplyWorkflow } from '../../new-workflows/easyApply/index.js';
-import { enhancedStagehandClient } from '../../shared/utils/enhancedStagehand.js';
+import { canTransition, JOB_STATUS } from '../../shared/utils/jobLifecycle.js';
+import { getItem } from '../../shared/utils/dynamoDB.js';
+import { RUN_TYPES, startRun } from '../../shared/utils/runManager.js';
+import { sendRunAccepted } from './runs.js';
+import { API_KEY_SCOPES } from '../../shared/utils/apiKeys.js';
+import { documentRoutes, jsonResponse } from '../openapi/registry.js';
+import { errorResponse, runAcceptedResponse, successResponse } from '../openapi/schemas.js';
 
 const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1/job-application',
+  tag: 'Job Application',
+  description: 'Fill and submit application forms with candidate data',
+  scope: API_KEY_SCOPES.APPLICATIONS_WRITE
+});
 
-// Validation middleware
-const validateRequest = (schema) => {
-  return (req, res, next) => {
-    try {
-      const validatedData = schema.parse(req.body);
-      req.validatedData = validatedData;
-      next();
-    } catch (error) {
-      if (error instanceof z.ZodError) {
-        return res.status(400).json({
-          success: false,
-          error: 'Validation Error',
-          message: 'Invalid request data',
-          details: error.errors.map(err => ({
-            field: err.path.join('.'),
-            message: err.message,
-            code: err.code
-          })),
-          timestamp: new Date().toISOString()
-        });
-      }
-      next(error);
-    }
-  };
-};
-
-// Single job application
-router.post('/single', validateRequest(jobApplicationInputSchema), async (req, res) => {
+// Single job application (202 with a run ID)
+api.post('/single', {
+  summary: 'Apply to a single job',
+  description: 'When jdId is given, the job must be in a status that allows applying; its status follows the application outcome.',
+  body: jobApplicationInputSchema,
+  responses: {
+    202: runAcceptedResponse,
+    404: errorResponse('Job jdId not found'),
+    409: errorResponse('Job jdId cannot be applied to in its current status')
+  }
+}, async (req, res) => {
   try {
-    const { jobUrl, candidateData, resumeId, jobDescription, applicationSettings } = req.validatedData;
+    const { jobUrl, candidateData, resumeId, jdId, jobDescription, applicationSettings } = req.validatedData;
     
     logger.info('API: Single job application request', {
       jobUrl,
@@ -48,21 +42,40 @@ router.post('/single', validateRequest(jobApplicationInputSchema), async (req, r
       apiKey: req.apiKey
     });
 
-    const result = await runEasyApplyWorkflow(jobUrl, candidateData, enhancedStagehandClient, resumeId);
-    
-    logger.info('API: Single job application completed', {
-      jobUrl,
-      status: result.status,
-      applicationId: result.confirmationDetails?.applicationId,
-      apiKey: req.apiKey
-    });
+    // Reject jobs that cannot be applied to before accepting the run
+    if (jdId) {
+      const job = await getItem(process.env.DYNAMODB_TABLE || 'job_descriptions', { jd_id: jdId });
+      if (!job || !canTransition(job.status, JOB_STATUS.APPLYING)) {
+        return res.status(job ? 409 : 404).json({
+          success: false,
+          error: 'Application Failed',
+          message: job ? `Job ${jdId} has status '${job.status}' and cannot be applied to` : `Job ${jdId} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
 
-    res.json({
-      success: true,
-      data: result,
-      timestamp: new Date().toISOString()
+    const run = await startRun(RUN_TYPES.JOB_APPLICATION, req.validatedData, async () => {
+      const result = await runEasyApplyWorkflow(jobUrl, candidateData, resumeId, jdId);
+      
+      logger.info('API: Single job application completed', {
+        jobUrl,
+        status: result.status,
+        applicationId: result.confirmationDetails?.applicationId,
+        apiKey: req.apiKey
+      });
+
+      // The final workflow state still holds the browser page and agent
+      const { page, agent, ...data } = result;
+      return {
+        success: true,
+        data,
+        timestamp: new Date().toISOString()
+      };
     });
 
+    return sendRunAccepted(res, run);
+
   } catch (error) {
     logger.error('API: Single job application failed', {
       error: error.message,
@@ -80,7 +93,11 @@ router.post('/single', validateRequest(jobApplicationInputSchema), async (req, r
 });
 
 // Batch job applications
-router.post('/batch', validateRequest(batchJobApplicationInputSchema), async (req, res) => {
+api.post('/batch', {
+  summary: 'Apply to several jobs with one candidate (synchronous)',
+  body: batchJobApplicationInputSchema,
+  responses: { 200: jsonResponse('Per-job results and a summary') }
+}, async (req, res) => {
   try {
     const { jobUrls, candidateData, jobDescriptions, applicationSettings } = req.validatedData;
     
@@ -123,7 +140,10 @@ router.post('/batch', validateRequest(batchJobApplicationInputSchema), async (re
 });
 
 // Get example candidate data
-router.get('/example-candidate', (req, res) => {
+api.get('/example-candidate', {
+  summary: 'Example candidate data',
+  responses: { 200: jsonResponse('A valid CandidateProfile', successResponse(candidateProfileSchema)) }
+}, (req, res) => {
   res.json({
     success: true,
     data: exampleCandidateData,
@@ -132,7 +152,11 @@ router.get('/example-candidate', (req, res) => {
 });
 
 // Validate candidate data
-router.post('/validate-candidate', validateRequest(candidateProfileSchema), (req, res) => {
+api.post('/validate-candidate', {
+  summary: 'Validate candidate data without applying',
+  body: candidateProfileSchema,
+  responses: { 200: jsonResponse('Candidate data is valid') }
+}, (req, res) => {
   res.json({
     success: true,
     message: 'Candidate data is valid',
@@ -141,19 +165,27 @@ router.post('/validate-candidate', validateRequest(candidateProfileSchema), (req
   });
 });
 
-// Get API documentation
-router.get('/docs', (req, res) => {
+// Get API documentation (superseded by /api/v1/openapi.json)
+api.get('/docs', {
+  summary: 'Summary of the job application endpoints',
+  scope: null,
+  deprecated: true,
+  description: 'Use GET /api/v1/openapi.json or the viewer at /api/v1/docs instead.',
+  responses: { 200: jsonResponse('Endpoint summary') }
+}, (req, res) => {
   res.json({
     success: true,
     message: 'Job Application API Documentation',
     version: '1.0.0',
+    openapi: '/api/v1/openapi.json',
     endpoints: {
       'POST /single': {
-        description: 'Apply to a single job',
+        description: 'Apply to a single job (returns 202 with a run ID, poll GET /api/v1/runs/:id)',
         body: {
           jobUrl: 'string (required)',
           candidateData: 'object (required)',
           resumeId: 'string (optional) - S3 resume ID for resume upload',
+          jdId: 'string (optional) - job_descriptions record to move to applying/applied/application_failed',
           jobDescription: 'object (optional)',
           applicationSettings: 'object (optional)'
         },
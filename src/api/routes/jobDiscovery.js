@@ -1,69 +1,105 @@
 import express from 'express';
+import { z } from 'zod';
 import { readFileSync, existsSync } from 'fs';
 import { runJobDiscoveryFromConfig } from '../../new-workflows/job-discovery/index.js';
 import { logger } from '../../shared/utils/logger.js';
+import { RUN_TYPES, startRun } from '../../shared/utils/runManager.js';
+import { sendRunAccepted } from './runs.js';
+import { API_KEY_SCOPES } from '../../shared/utils/apiKeys.js';
+import { mergePoliteness, politenessSchema } from '../../shared/utils/domainGovernor.js';
+import { documentRoutes, jsonResponse } from '../openapi/registry.js';
+import { errorResponse, runAcceptedResponse } from '../openapi/schemas.js';
 
 const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1/job-discovery',
+  tag: 'Job Discovery',
+  description: 'Scrape job listings for a domain from the URL templates in the discovery config',
+  scope: API_KEY_SCOPES.DISCOVERY_TRIGGER
+});
+
+const discoveryRequestSchema = z.object({
+  domain: z.string({ required_error: 'Domain is required' }).min(1, 'Domain is required')
+    .describe('Domain name as it appears in the config CSV'),
+  filters: z.record(z.string(), z.any()).default({}).describe('Filter values substituted into the URL templates'),
+  configPath: z.string().default('./data/job_discovery_urls.csv'),
+  politeness: politenessSchema.default({})
+    .describe('Per-domain request rules for this run, keyed by domain ("*" for every host)'),
+  valueMappings: z.record(z.string(), z.record(z.string(), z.record(z.string(), z.string()))).default({})
+    .describe('Filter value -> site value tables per parameter for the URL templates, keyed by company ("*" for every company)')
+});
+
+const triggerParamsSchema = z.object({
+  domainIndex: z.coerce.number().int().min(0).describe('Index among the enabled discovery inputs (see GET /state)')
+});
+
+/**
+ * Response body of a discovery run (stored as the run result)
+ */
+function buildDiscoveryResult(result, domain, filters) {
+  const processedUrls = result.processedUrls || [];
+  const scrapedJobs = result.scrapedJobs || [];
+
+  return {
+    success: true,
+    domain,
+    filters,
+    processedUrls: processedUrls.map(url => ({
+      originalTemplate: url.originalTemplate,
+      finalUrl: url.finalUrl,
+      description: url.description,
+      construction: url.construction // ats, template, stored_template or llm
+    })),
+    urlConstruction: result.urlConstruction || null,
+    scrapedJobs: scrapedJobs.map(job => ({
+      title: job.title,
+      company: job.company,
+      description: job.description,
+      salary: job.salary,
+      postedDate: job.postedDate,
+      source: job.source,
+      scrapedAt: job.scrapedAt
+    })),
+    jobDescriptions: result.jobDescriptions || [], // Add the complete job description format
+    storedJobs: result.storedJobs || [], // Add the stored jobs from DynamoDB
+    storageErrors: result.storageErrors || [], // Add storage errors
+    count: {
+      urls: processedUrls.length,
+      jobs: scrapedJobs.length,
+      stored: result.storedJobs?.length || 0,
+      new: result.storageSummary?.new || 0, // first time this canonical URL was seen
+      known: result.storageSummary?.known || 0, // already in the table, only lastSeenAt/seenCount updated
+      duplicates: result.storageSummary?.duplicates || 0, // same posting scraped more than once in this run
+      storageErrors: result.storageErrors?.length || 0
+    },
+    timestamp: new Date().toISOString()
+  };
+}
 
 // POST /job-discovery
-router.post('/', async (req, res) => {
+api.post('/', {
+  summary: 'Run job discovery for a domain',
+  body: discoveryRequestSchema,
+  responses: { 202: runAcceptedResponse }
+}, async (req, res) => {
   try {
-    const { domain, filters = {}, configPath = './data/job_discovery_urls.csv' } = req.body;
+    const { domain, filters, configPath, politeness, valueMappings } = req.validatedData;
     
     logger.info('🔍 Job Discovery API request received', {
       domain,
       filters,
-      configPath
+      configPath,
+      politeness
     });
     
-    // Validate required fields
-    if (!domain) {
-      return res.status(400).json({
-        success: false,
-        error: 'Domain is required',
-        message: 'Please provide a domain for job discovery'
-      });
-    }
-    
-    // Run the job discovery workflow
-    const result = await runJobDiscoveryFromConfig(configPath, domain, filters);
-    
-    // Extract processed URLs and scraped jobs
-    const processedUrls = result.processedUrls || [];
-    const scrapedJobs = result.scrapedJobs || [];
-    
-    logger.info(`✅ Job Discovery completed. Processed ${processedUrls.length} URLs, scraped ${scrapedJobs.length} jobs`);
-    
-    // Return processed URLs and scraped jobs
-    res.json({
-      success: true,
-      domain,
-      filters,
-      processedUrls: processedUrls.map(url => ({
-        originalTemplate: url.originalTemplate,
-        finalUrl: url.finalUrl,
-        description: url.description
-      })),
-      scrapedJobs: scrapedJobs.map(job => ({
-        title: job.title,
-        company: job.company,
-        description: job.description,
-        salary: job.salary,
-        postedDate: job.postedDate,
-        source: job.source,
-        scrapedAt: job.scrapedAt
-      })),
-      jobDescriptions: result.jobDescriptions || [], // Add the complete job description format
-      storedJobs: result.storedJobs || [], // Add the stored jobs from DynamoDB
-      storageErrors: result.storageErrors || [], // Add storage errors
-      count: {
-        urls: processedUrls.length,
-        jobs: scrapedJobs.length,
-        stored: result.storedJobs?.length || 0,
-        storageErrors: result.storageErrors?.length || 0
-      },
-      timestamp: new Date().toISOString()
+    // Run the job discovery workflow in the background; GET /runs/:id returns the result
+    const run = await startRun(RUN_TYPES.JOB_DISCOVERY, { domain, filters, configPath, politeness, valueMappings }, async () => {
+      const result = await runJobDiscoveryFromConfig(configPath, domain, filters, { politeness, valueMappings });
+      logger.info(`✅ Job Discovery completed. Processed ${result.processedUrls?.length || 0} URLs, scraped ${result.scrapedJobs?.length || 0} jobs`);
+      return buildDiscoveryResult(result, domain, filters);
     });
+
+    return sendRunAccepted(res, run);
     
   } catch (error) {
     logger.error('❌ Job Discovery API failed:', error.message);
@@ -78,7 +114,11 @@ router.post('/', async (req, res) => {
 });
 
 // GET /job-discovery/state - Get current discovery state
-router.get('/state', async (req, res) => {
+api.get('/state', {
+  summary: 'Scheduled discovery position and the enabled domains',
+  scope: API_KEY_SCOPES.JOBS_READ,
+  responses: { 200: jsonResponse('Discovery state') }
+}, async (req, res) => {
   try {
     const stateFile = './config/discovery_state.json';
     
@@ -133,9 +173,13 @@ router.get('/state', async (req, res) => {
 });
 
 // POST /job-discovery/trigger/:domainIndex - Manually trigger specific domain
-router.post('/trigger/:domainIndex', async (req, res) => {
+api.post('/trigger/:domainIndex', {
+  summary: 'Run discovery for one configured domain',
+  params: triggerParamsSchema,
+  responses: { 202: runAcceptedResponse, 400: errorResponse('Invalid request or domain index out of range') }
+}, async (req, res) => {
   try {
-    const domainIndex = parseInt(req.params.domainIndex);
+    const { domainIndex } = req.validatedParams;
     
     // Load config
     const configPath = './config/discovery_inputs.json';
@@ -143,7 +187,7 @@ router.post('/trigger/:domainIndex', async (req, res) => {
     const config = JSON.parse(configData);
     const enabledInputs = config.discovery_inputs.filter(input => input.enabled !== false);
     
-    if (domainIndex < 0 || domainIndex >= enabledInputs.length) {
+    if (domainIndex >= enabledInputs.length) {
       return res.status(400).json({
         success: false,
         error: 'Invalid domain index',
@@ -155,28 +199,38 @@ router.post('/trigger/:domainIndex', async (req, res) => {
     
     logger.info(`🔧 Manually triggering discovery for domain: ${targetInput.name}`);
     
-    // Run discovery for the specific domain
-    const result = await runJobDiscoveryFromConfig(
-      targetInput.config_path, 
-      targetInput.domain, 
-      targetInput.filters
-    );
-    
-    logger.info(`✅ Manual discovery completed for ${targetInput.name}`);
-    
-    res.json({
-      success: true,
-      domain: targetInput.name,
-      domainIndex,
-      result: {
-        processedUrls: result.processedUrls?.length || 0,
-        scrapedJobs: result.scrapedJobs?.length || 0,
-        storedJobs: result.storedJobs?.length || 0,
-        errors: result.errors?.length || 0
-      },
-      timestamp: new Date().toISOString()
+    // Run discovery for the specific domain in the background
+    const run = await startRun(RUN_TYPES.JOB_DISCOVERY, { domainIndex, domain: targetInput.name }, async () => {
+      const result = await runJobDiscoveryFromConfig(
+        targetInput.config_path, 
+        targetInput.domain, 
+        targetInput.filters,
+        {
+          politeness: mergePoliteness(config.settings?.politeness, targetInput.politeness),
+          valueMappings: targetInput.value_mappings
+        }
+      );
+      
+      logger.info(`✅ Manual discovery completed for ${targetInput.name}`);
+      
+      return {
+        success: true,
+        domain: targetInput.name,
+        domainIndex,
+        result: {
+          processedUrls: result.processedUrls?.length || 0,
+          scrapedJobs: result.scrapedJobs?.length || 0,
+          storedJobs: result.storedJobs?.length || 0,
+          newJobs: result.storageSummary?.new || 0,
+          knownJobs: result.storageSummary?.known || 0,
+          errors: result.errors?.length || 0
+        },
+        timestamp: new Date().toISOString()
+      };
     });
     
+    return sendRunAccepted(res, run);
+    
   } catch (error) {
     logger.error('❌ Manual discovery trigger failed:', error.message);
     
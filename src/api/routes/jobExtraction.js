@@ -4,30 +4,51 @@
  */
 
 import express from 'express';
+import { z } from 'zod';
 import { getItem } from '../../shared/utils/dynamoDB.js';
+import { JOB_STATUS, canTransition, statusesLeadingTo } from '../../shared/utils/jobLifecycle.js';
 import { logger } from '../../shared/utils/logger.js';
-import JobExtractionWorkflow from '../../new-workflows/job-extraction/index.js';
+import { API_KEY_SCOPES } from '../../shared/utils/apiKeys.js';
+import ExtractionWorker from '../../new-workflows/job-extraction/worker.js';
+import { RUN_TYPES, RunError, startRun, throwIfCancelled } from '../../shared/utils/runManager.js';
+import { sendRunAccepted } from './runs.js';
+import { documentRoutes, jsonResponse } from '../openapi/registry.js';
+import { errorResponse, runAcceptedResponse } from '../openapi/schemas.js';
 
 const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1',
+  tag: 'Job Extraction',
+  description: 'Extract and analyze a discovered job description',
+  scope: API_KEY_SCOPES.DISCOVERY_TRIGGER
+});
+
+const extractionRequestSchema = z.object({
+  job_id: z.string({ required_error: 'Job ID is required to start extraction workflow' })
+    .min(1, 'Job ID is required to start extraction workflow')
+    .describe('jd_id of a discovered job'),
+  options: z.object({
+    maxRetries: z.number().int().min(1).optional(),
+    retryDelay: z.number().int().min(0).optional(),
+    stopOnError: z.boolean().optional()
+  }).passthrough().default({}).describe('JobExtractionWorkflow options')
+});
 
 /**
  * POST /api/v1/job-extraction
- * Trigger job extraction workflow for a single job
+ * Trigger job extraction workflow for a single job (202 with a run ID)
  */
-router.post('/job-extraction', async (req, res) => {
+api.post('/job-extraction', {
+  summary: 'Extract a discovered job in the background',
+  body: extractionRequestSchema,
+  responses: {
+    202: runAcceptedResponse,
+    400: errorResponse('Invalid request, or the job status does not allow extraction'),
+    404: errorResponse('Job not found')
+  }
+}, async (req, res) => {
   try {
-    const startTime = new Date();
-    
-    // Validate input
-    const { job_id, options = {} } = req.body;
-    
-    if (!job_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter: job_id',
-        message: 'Job ID is required to start extraction workflow'
-      });
-    }
+    const { job_id, options } = req.validatedData;
 
     logger.info(`JobExtractionAPI: Starting extraction for job ${job_id}`);
 
@@ -43,78 +64,52 @@ router.post('/job-extraction', async (req, res) => {
       });
     }
 
-    if (job.status !== 'discovered') {
+    if (!canTransition(job.status, JOB_STATUS.EXTRACTING)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid job status',
-        message: `Job ${job_id} has status '${job.status}', expected 'discovered'`
+        message: `Job ${job_id} has status '${job.status}', expected ${statusesLeadingTo(JOB_STATUS.EXTRACTING).map(status => `'${status}'`).join(' or ')}`
       });
     }
 
-    // Initialize workflow with configuration
-    const workflowConfig = {
-      maxRetries: options.maxRetries || 3,
-      retryDelay: options.retryDelay || 2000,
-      stopOnError: options.stopOnError !== false,
-      enableLogging: options.enableLogging !== false,
-      contentExtractor: {
-        timeout: options.timeout || 30000,
-        waitForNetworkIdle: true
-      },
-      jobAnalyzer: {
-        extractRawContent: options.extractRawContent !== false,
-        confidenceThreshold: options.confidenceThreshold || 0.8
-      },
-      qualityValidator: {
-        confidenceThreshold: options.confidenceThreshold || 0.7,
-        completenessThreshold: options.completenessThreshold || 0.8,
-        qualityThreshold: options.qualityThreshold || 0.75
-      },
-      storage: {
-        tableName: tableName,
-        updateStatus: true
-      }
-    };
+    // Claim the job through the queue so the processor cannot pick it up concurrently
+    const worker = new ExtractionWorker({ tableName, workflowOptions: options });
 
-    // Create workflow instance
-    const workflow = new JobExtractionWorkflow(workflowConfig);
-    
-    // Validate workflow configuration
-    const validation = workflow.validateConfiguration();
-    if (!validation.isValid) {
-      return res.status(500).json({
-        success: false,
-        error: 'Workflow configuration invalid',
-        message: 'Failed to initialize workflow',
-        details: validation.errors
-      });
-    }
+    const run = await startRun(RUN_TYPES.JOB_EXTRACTION, { job_id, options }, async ({ signal }) => {
+      throwIfCancelled(signal);
 
-    // Prepare initial job data
-    const initialJobData = {
-      jd_id: job.jd_id,
-      url: job.url,
-      status: job.status,
-      filters: job.filters || {},
-      metadata: job.metadata || {}
-    };
-
-    // Execute workflow
-    logger.info(`JobExtractionAPI: Executing workflow for job ${job_id}`);
-    const workflowResult = await workflow.execute(initialJobData);
-    
-    const endTime = new Date();
-    const duration = endTime - startTime;
+      logger.info(`JobExtractionAPI: Executing workflow for job ${job_id}`);
+      const startTime = new Date();
+      const workflowResult = await worker.claimAndRun(job_id);
+
+      if (!workflowResult) {
+        throw new RunError(`Job ${job_id} is already being processed or is waiting for a retry`, { statusCode: 409 });
+      }
+
+      const duration = new Date() - startTime;
+
+      if (!workflowResult.success) {
+        logger.error(`JobExtractionAPI: Workflow failed for job ${job_id}: ${workflowResult.error}`);
+        return {
+          success: false,
+          workflow_id: workflowResult.workflow_id,
+          job_id: job_id,
+          error: workflowResult.error || 'Workflow execution failed',
+          duration_ms: duration,
+          duration_seconds: Math.round(duration / 1000),
+          errors: workflowResult.errors || [],
+          summary: workflowResult.summary
+        };
+      }
 
-    // Prepare response
-    if (workflowResult.success) {
       const finalState = workflowResult.final_state;
-      
-      const response = {
+
+      logger.info(`JobExtractionAPI: Successfully extracted job ${job_id} in ${duration}ms`);
+      return {
         success: true,
         workflow_id: workflowResult.workflow_id,
         job_id: job_id,
-        status: finalState.job_data?.status || 'extracted',
+        status: finalState.job_data?.status || JOB_STATUS.EXTRACTED,
         duration_ms: duration,
         duration_seconds: Math.round(duration / 1000),
         quality_metrics: finalState.quality_metrics || {},
@@ -136,26 +131,9 @@ router.post('/job-extraction', async (req, res) => {
         },
         summary: workflowResult.summary
       };
+    });
 
-      logger.info(`JobExtractionAPI: Successfully extracted job ${job_id} in ${duration}ms`);
-      return res.status(200).json(response);
-
-    } else {
-      // Workflow failed
-      const errorResponse = {
-        success: false,
-        workflow_id: workflowResult.workflow_id,
-        job_id: job_id,
-        error: workflowResult.error || 'Workflow execution failed',
-        duration_ms: duration,
-        duration_seconds: Math.round(duration / 1000),
-        errors: workflowResult.errors || [],
-        summary: workflowResult.summary
-      };
-
-      logger.error(`JobExtractionAPI: Workflow failed for job ${job_id}: ${workflowResult.error}`);
-      return res.status(500).json(errorResponse);
-    }
+    return sendRunAccepted(res, run);
 
   } catch (error) {
     logger.error('JobExtractionAPI: Unexpected error:', error);
@@ -173,7 +151,12 @@ router.post('/job-extraction', async (req, res) => {
  * GET /api/v1/job-extraction/status/:workflow_id
  * Get workflow status and progress
  */
-router.get('/job-extraction/status/:workflow_id', async (req, res) => {
+api.get('/job-extraction/status/:workflow_id', {
+  summary: 'Workflow status (placeholder; use GET /api/v1/runs/{id})',
+  scope: API_KEY_SCOPES.JOBS_READ,
+  deprecated: true,
+  responses: { 200: jsonResponse('Placeholder status') }
+}, async (req, res) => {
   try {
     const { workflow_id } = req.params;
     
@@ -201,7 +184,11 @@ router.get('/job-extraction/status/:workflow_id', async (req, res) => {
  * GET /api/v1/job-extraction/health
  * Health check endpoint
  */
-router.get('/job-extraction/health', (req, res) => {
+api.get('/job-extraction/health', {
+  summary: 'Job extraction service health',
+  scope: API_KEY_SCOPES.JOBS_READ,
+  responses: { 200: jsonResponse('Service is up') }
+}, (req, res) => {
   return res.status(200).json({
     success: true,
     service: 'job-extraction-api',
@@ -1,10 +1,49 @@
 import express from 'express';
+import { z } from 'zod';
 import { logger } from '../../shared/utils/logger.js';
+import { queryJobsByStatus } from '../../shared/utils/dynamoDB.js';
+import { requeueJob } from '../../shared/utils/jobQueue.js';
+import { JOB_STATUS, JOB_TRANSITIONS, transitionJob, isJobTransitionError } from '../../shared/utils/jobLifecycle.js';
+import { API_KEY_SCOPES } from '../../shared/utils/apiKeys.js';
+import { cursorQuerySchema, encodeCursor, limitQuerySchema } from '../middleware/validateRequest.js';
+import { documentRoutes, jsonResponse, registerSchema } from '../openapi/registry.js';
+import { errorResponse, looseObjectSchema, successResponse, usageSummarySchema } from '../openapi/schemas.js';
 
 const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1/jobs',
+  tag: 'Jobs',
+  description: 'Cron jobs, the job description queue and the job lifecycle',
+  scope: API_KEY_SCOPES.JOBS_READ
+});
+
+const jobStatusSchema = z.enum(Object.values(JOB_STATUS));
+const jdIdParamsSchema = z.object({ jdId: z.string().describe('Job description ID') });
+
+const jobSchema = registerSchema('JobDescription', z.object({
+  jd_id: z.string(),
+  status: jobStatusSchema,
+  statusHistory: z.array(looseObjectSchema).optional(),
+  llm_usage: usageSummarySchema.optional().describe('LLM usage of the latest extraction attempt')
+}).passthrough().describe('Stored job description; other fields depend on the workflow stage'));
+
+const queueQuerySchema = z.object({
+  limit: limitQuerySchema,
+  cursor: cursorQuerySchema.optional(),
+  order: z.enum(['asc', 'desc']).default('asc').describe('asc: oldest first (queue order)')
+});
+
+const transitionSchema = z.object({
+  to: jobStatusSchema.describe('Target status'),
+  from: jobStatusSchema.optional().describe('Only transition if the job is currently in this status'),
+  reason: z.string().optional()
+});
 
 // Get job status
-router.get('/status', async (req, res) => {
+api.get('/status', {
+  summary: 'Cron job status',
+  responses: { 200: jsonResponse('Status of the discovery and processor jobs') }
+}, async (req, res) => {
   try {
     // Import job manager dynamically to avoid circular dependencies
     const { JobManager } = await import('../../../jobs/index.js');
@@ -29,7 +68,11 @@ router.get('/status', async (req, res) => {
 });
 
 // Manually trigger discovery job
-router.post('/discovery/trigger', async (req, res) => {
+api.post('/discovery/trigger', {
+  summary: 'Run the discovery cron job now',
+  scope: API_KEY_SCOPES.DISCOVERY_TRIGGER,
+  responses: { 200: jsonResponse('Discovery job result') }
+}, async (req, res) => {
   try {
     // Import job manager dynamically to avoid circular dependencies
     const { JobManager } = await import('../../../jobs/index.js');
@@ -56,7 +99,11 @@ router.post('/discovery/trigger', async (req, res) => {
 });
 
 // Manually trigger processor job
-router.post('/processor/trigger', async (req, res) => {
+api.post('/processor/trigger', {
+  summary: 'Run the extraction processor cron job now',
+  scope: API_KEY_SCOPES.DISCOVERY_TRIGGER,
+  responses: { 200: jsonResponse('Processor job result') }
+}, async (req, res) => {
   try {
     // Import job manager dynamically to avoid circular dependencies
     const { JobManager } = await import('../../../jobs/index.js');
@@ -82,4 +129,150 @@ router.post('/processor/trigger', async (req, res) => {
   }
 });
 
+// List the oldest job descriptions in a status (paginated with an opaque cursor)
+api.get('/queue/:status', {
+  summary: 'Job descriptions in a status, oldest first',
+  params: z.object({ status: jobStatusSchema }),
+  query: queueQuerySchema,
+  responses: {
+    200: jsonResponse('A page of jobs', successResponse(z.object({
+      status: jobStatusSchema,
+      jobs: z.array(jobSchema),
+      count: z.number(),
+      nextCursor: z.string().nullable()
+    })))
+  }
+}, async (req, res) => {
+  try {
+    const { status } = req.validatedParams;
+    const { limit, cursor, order } = req.validatedQuery;
+
+    const { items, lastEvaluatedKey } = await queryJobsByStatus(status, {
+      limit,
+      startKey: cursor,
+      newestFirst: order === 'desc'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        status,
+        jobs: items,
+        count: items.length,
+        nextCursor: encodeCursor(lastEvaluatedKey)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to list jobs by status:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list jobs by status',
+      message: error.message
+    });
+  }
+});
+
+// Describe the job lifecycle: statuses and the moves allowed between them
+api.get('/lifecycle', {
+  summary: 'Job statuses and the transitions allowed between them',
+  responses: {
+    200: jsonResponse('Lifecycle', successResponse(z.object({
+      statuses: z.array(jobStatusSchema),
+      transitions: z.record(z.string(), z.array(jobStatusSchema))
+    })))
+  }
+}, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      statuses: Object.values(JOB_STATUS),
+      transitions: JOB_TRANSITIONS
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Move a job to another status (e.g. mark it matched or expired)
+api.post('/lifecycle/:jdId/transition', {
+  summary: 'Move a job to another status',
+  scope: API_KEY_SCOPES.ADMIN,
+  params: jdIdParamsSchema,
+  body: transitionSchema,
+  responses: {
+    200: jsonResponse('The job in its new status', successResponse(jobSchema)),
+    404: errorResponse('Job not found'),
+    409: errorResponse('Transition not allowed from the current status; allowed lists the valid targets')
+  }
+}, async (req, res) => {
+  try {
+    const { to, from, reason } = req.validatedData;
+
+    const job = await transitionJob(req.params.jdId, to, {
+      expectedFrom: from,
+      reason,
+      actor: 'api'
+    });
+
+    res.json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (isJobTransitionError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: 'Transition not allowed',
+        message: error.message,
+        from: error.from,
+        allowed: JOB_TRANSITIONS[error.from] || []
+      });
+    }
+
+    logger.error('Failed to transition job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to transition job',
+      message: error.message
+    });
+  }
+});
+
+// Put a dead-lettered or failed job back in the extraction queue
+api.post('/dead-letter/:jdId/requeue', {
+  summary: 'Put a dead-lettered or failed job back in the extraction queue',
+  scope: API_KEY_SCOPES.ADMIN,
+  params: jdIdParamsSchema,
+  responses: { 200: jsonResponse('The requeued job', successResponse(jobSchema)), 409: errorResponse('Job does not exist or is not dead-lettered') }
+}, async (req, res) => {
+  try {
+    const job = await requeueJob(req.params.jdId);
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job not dead-lettered',
+        message: `Job ${req.params.jdId} does not exist or is not in the '${JOB_STATUS.DEAD_LETTER}' or '${JOB_STATUS.EXTRACTION_FAILED}' status`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to requeue job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to requeue job',
+      message: error.message
+    });
+  }
+});
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,400 @@
+import express from 'express';
+import { z } from 'zod';
+import { logger } from '../../shared/utils/logger.js';
+import { API_KEY_SCOPES, hasScope } from '../../shared/utils/apiKeys.js';
+import { RUN_STATUS, RUN_TYPES, getRun, listRuns, cancelRun } from '../../shared/utils/runManager.js';
+import { RUN_EVENT_TYPES, getRunEvents, isFinalEvent, subscribeToRun } from '../../shared/utils/runEvents.js';
+import { EVIDENCE_PHASES } from '../../shared/utils/evidence.js';
+import { getArtifactStore } from '../../shared/artifacts/index.js';
+import { cursorQuerySchema, encodeCursor, limitQuerySchema } from '../middleware/validateRequest.js';
+import { documentRoutes, jsonResponse, registerSchema } from '../openapi/registry.js';
+import { errorResponse, looseObjectSchema, successResponse, usageSummarySchema } from '../openapi/schemas.js';
+
+const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1/runs',
+  tag: 'Runs',
+  description: 'Background runs started by the workflow endpoints',
+  scope: API_KEY_SCOPES.JOBS_READ
+});
+
+const artifactFileSchema = z.object({
+  key: z.string(),
+  location: z.string().describe('File path or s3:// URL in the artifact store'),
+  link: z.string().describe('GET /api/v1/runs/:id/artifacts/:name')
+});
+
+const runArtifactSchema = registerSchema('RunArtifact', z.object({
+  workflow: z.string(),
+  node: z.string(),
+  phase: z.enum(Object.values(EVIDENCE_PHASES)),
+  url: z.string().nullable().describe('Page URL when captured'),
+  capturedAt: z.string(),
+  error: z.string().optional(),
+  screenshot: artifactFileSchema.optional(),
+  dom: artifactFileSchema.optional().describe('Trimmed page HTML')
+}));
+
+const runSchema = registerSchema('Run', z.object({
+  run_id: z.string(),
+  type: z.enum(Object.values(RUN_TYPES)),
+  status: z.enum(Object.values(RUN_STATUS)),
+  correlation_id: z.string().optional().describe('Correlation ID of the request that started the run (X-Correlation-ID), on every log entry of the run'),
+  input: looseObjectSchema,
+  result: looseObjectSchema.nullable().optional(),
+  error: z.object({
+    message: z.string(),
+    name: z.string().optional(),
+    statusCode: z.number().optional(),
+    details: z.any().optional()
+  }).optional(),
+  createdAt: z.string(),
+  updatedAt: z.string(),
+  startedAt: z.string().optional(),
+  finishedAt: z.string().optional(),
+  cancelledAt: z.string().optional(),
+  durationMs: z.number().optional(),
+  usage: usageSummarySchema.optional().describe('LLM usage of the run, stored when it finishes'),
+  artifacts: z.array(runArtifactSchema).optional().describe('Evidence captured by the browser nodes (EVIDENCE_CAPTURE), stored when the run finishes')
+}));
+
+const runParamsSchema = z.object({ id: z.string().describe('Run ID (run_...)') });
+
+const artifactParamsSchema = runParamsSchema.extend({
+  name: z.string().regex(/^[\w-]+\.(png|html)$/, 'Expected an artifact file name').describe('Artifact file name, as in its link')
+});
+
+const ARTIFACT_CONTENT_TYPES = { png: 'image/png', html: 'text/html; charset=utf-8' };
+
+const listRunsQuerySchema = z.object({
+  type: z.enum(Object.values(RUN_TYPES)).optional(),
+  status: z.enum(Object.values(RUN_STATUS)).optional(),
+  since: z.string().datetime({ offset: true }).optional().describe('Created at or after (ISO 8601)'),
+  until: z.string().datetime({ offset: true }).optional().describe('Created before (ISO 8601)'),
+  limit: limitQuerySchema,
+  cursor: cursorQuerySchema.optional()
+});
+
+const runNotFound = errorResponse('Run not found');
+
+const runForbidden = errorResponse('API key without the jobs:read scope, or without applications:write for a job-application run');
+
+// Job-application runs hold the candidate's data (candidateData in the input, the
+// filled-in application in the result and artifacts): reading them takes the
+// scope that submits applications, not jobs:read
+const RUN_TYPE_SCOPES = Object.freeze({
+  [RUN_TYPES.JOB_APPLICATION]: API_KEY_SCOPES.APPLICATIONS_WRITE
+});
+
+function canReadRunType(req, type) {
+  const scope = RUN_TYPE_SCOPES[type];
+  return !scope || hasScope(req.apiKeyScopes, scope);
+}
+
+function sendRunTypeForbidden(res, type) {
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: `This API key does not have the '${RUN_TYPE_SCOPES[type]}' scope needed for ${type} runs`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+const FINISHED_RUN_STATUSES = [RUN_STATUS.SUCCEEDED, RUN_STATUS.FAILED, RUN_STATUS.CANCELLED];
+
+// Comment lines sent on idle streams so proxies do not close them
+const SSE_HEARTBEAT_MS = 15000;
+
+function writeSseEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Answer a request that started a background run: 202 with the run ID
+ * and where to poll for it
+ */
+export function sendRunAccepted(res, run) {
+  const statusUrl = `/api/v1/runs/${run.run_id}`;
+  return res.status(202).location(statusUrl).json({
+    success: true,
+    data: {
+      run_id: run.run_id,
+      type: run.type,
+      status: run.status,
+      statusUrl
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+// GET /runs - List runs, filtered by type, status and creation time
+api.get('/', {
+  summary: 'List runs',
+  description: 'Newest first when filtered by type or status; without filters, newest first within each page. '
+    + 'Job-application runs are left out for keys without the applications:write scope.',
+  query: listRunsQuerySchema,
+  responses: {
+    200: jsonResponse('A page of runs', successResponse(z.object({
+      runs: z.array(runSchema),
+      count: z.number(),
+      nextCursor: z.string().nullable()
+    }))),
+    403: runForbidden
+  }
+}, async (req, res) => {
+  try {
+    const { type, status, since, until, limit, cursor } = req.validatedQuery;
+
+    if (type && !canReadRunType(req, type)) {
+      return sendRunTypeForbidden(res, type);
+    }
+
+    const { items, lastEvaluatedKey } = await listRuns({
+      type,
+      status,
+      createdAfter: since,
+      createdBefore: until,
+      limit,
+      startKey: cursor
+    });
+
+    // Pages may come back short; nextCursor still continues after the scanned items
+    const runs = items.filter(run => canReadRunType(req, run.type));
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        count: runs.length,
+        nextCursor: encodeCursor(lastEvaluatedKey)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to list runs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list runs',
+      message: error.message
+    });
+  }
+});
+
+// GET /runs/:id - Get one run with its result or error
+api.get('/:id', {
+  summary: 'Get a run with its result or error',
+  params: runParamsSchema,
+  responses: { 200: jsonResponse('The run', successResponse(runSchema)), 403: runForbidden, 404: runNotFound }
+}, async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found',
+        message: `Run ${req.params.id} not found`
+      });
+    }
+
+    if (!canReadRunType(req, run.type)) {
+      return sendRunTypeForbidden(res, run.type);
+    }
+
+    res.json({
+      success: true,
+      data: run,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to get run:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get run',
+      message: error.message
+    });
+  }
+});
+
+// GET /runs/:id/events - Stream run progress as Server-Sent Events
+api.get('/:id/events', {
+  summary: 'Stream run progress as Server-Sent Events',
+  description: 'Events: status, node_start, step, partial_result, artifact, node_error, node_finish. '
+    + 'The stream ends after the final status event. Send Last-Event-ID (or ?lastEventId=) to resume.',
+  params: runParamsSchema,
+  query: z.object({ lastEventId: z.coerce.number().int().min(0).optional().describe('Resume after this event ID') }),
+  responses: { 200: { description: 'text/event-stream of run events' }, 403: runForbidden, 404: runNotFound }
+}, async (req, res) => {
+  let run;
+  try {
+    run = await getRun(req.params.id);
+  } catch (error) {
+    logger.error('Failed to get run:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get run',
+      message: error.message
+    });
+  }
+
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      error: 'Run not found',
+      message: `Run ${req.params.id} not found`
+    });
+  }
+
+  if (!canReadRunType(req, run.type)) {
+    return sendRunTypeForbidden(res, run.type);
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Reconnecting clients send the last event ID they saw
+  const lastEventId = parseInt(req.get('Last-Event-ID')) || req.validatedQuery.lastEventId || 0;
+  let sentId = lastEventId;
+  let heartbeat = null;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = event => {
+    if (event.id <= sentId) return;
+    sentId = event.id;
+    writeSseEvent(res, event);
+    if (isFinalEvent(event)) close();
+  };
+
+  // Subscribe before replaying the buffer so no event falls in between
+  unsubscribe = subscribeToRun(run.run_id, send);
+  getRunEvents(run.run_id, lastEventId).forEach(send);
+
+  if (res.writableEnded) return;
+
+  if (FINISHED_RUN_STATUSES.includes(run.status)) {
+    // The client already saw the final event
+    if (getRunEvents(run.run_id).some(isFinalEvent)) {
+      return close();
+    }
+    // Finished outside this process's buffer (restart or another instance): send the outcome and stop
+    writeSseEvent(res, {
+      id: sentId + 1,
+      run_id: run.run_id,
+      type: RUN_EVENT_TYPES.STATUS,
+      timestamp: run.finishedAt || run.cancelledAt || run.updatedAt,
+      data: { status: run.status, type: run.type, final: true, ...(run.error && { error: run.error }) }
+    });
+    return close();
+  }
+
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', close);
+});
+
+// GET /runs/:id/artifacts/:name - Download a screenshot or DOM snapshot of a run
+api.get('/:id/artifacts/:name', {
+  summary: 'Download an evidence artifact of a run',
+  description: 'Screenshot (png) or trimmed DOM (html) linked from the run\'s artifacts.',
+  params: artifactParamsSchema,
+  responses: { 200: { description: 'image/png or text/html artifact' }, 403: runForbidden, 404: errorResponse('Run or artifact not found') }
+}, async (req, res) => {
+  try {
+    const { id, name } = req.validatedParams;
+    const run = await getRun(id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found',
+        message: `Run ${id} not found`
+      });
+    }
+
+    if (!canReadRunType(req, run.type)) {
+      return sendRunTypeForbidden(res, run.type);
+    }
+
+    const body = await getArtifactStore().get(`runs/${id}/${name}`);
+
+    if (!body) {
+      return res.status(404).json({
+        success: false,
+        error: 'Artifact not found',
+        message: `Run ${id} has no artifact ${name}`
+      });
+    }
+
+    res.status(200).type(ARTIFACT_CONTENT_TYPES[name.split('.').pop()]).send(body);
+
+  } catch (error) {
+    logger.error('Failed to get run artifact:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get run artifact',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /runs/:id - Cancel a queued or running run
+api.delete('/:id', {
+  summary: 'Cancel a queued or running run',
+  scope: API_KEY_SCOPES.ADMIN,
+  params: runParamsSchema,
+  responses: {
+    200: jsonResponse('The cancelled run', successResponse(runSchema)),
+    404: runNotFound,
+    409: errorResponse('Run already finished')
+  }
+}, async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found',
+        message: `Run ${req.params.id} not found`
+      });
+    }
+
+    const cancelled = await cancelRun(req.params.id);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Run already finished',
+        message: `Run ${req.params.id} is ${run.status} and can no longer be cancelled`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: cancelled,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to cancel run:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel run',
+      message: error.message
+    });
+  }
+});
+
+export default router;
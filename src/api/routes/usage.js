@@ -0,0 +1,119 @@
+import express from 'express';
+import { z } from 'zod';
+import { logger } from '../../shared/utils/logger.js';
+import { API_KEY_SCOPES } from '../../shared/utils/apiKeys.js';
+import { USAGE_GROUPS, checkDailyBudget, getUsageReport, usageDay } from '../../shared/utils/llmUsage.js';
+import { documentRoutes, jsonResponse } from '../openapi/registry.js';
+import { successResponse, usageCountersComponent } from '../openapi/schemas.js';
+
+const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1/usage',
+  tag: 'Usage',
+  description: 'LLM token usage, estimated cost and daily budgets',
+  scope: API_KEY_SCOPES.JOBS_READ
+});
+
+// Longest range a single report reads (one ledger partition per day)
+const MAX_REPORT_DAYS = 31;
+
+const daySchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a UTC day (YYYY-MM-DD)');
+
+const usageQuerySchema = z.object({
+  from: daySchema.optional().describe('First UTC day (YYYY-MM-DD), default today'),
+  to: daySchema.optional().describe('Last UTC day, inclusive (default: from)'),
+  groupBy: z.enum(USAGE_GROUPS).default('day'),
+  run_id: z.string().optional(),
+  jd_id: z.string().optional(),
+  workflow: z.string().optional(),
+  model: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(100).describe('Groups returned, highest cost first (1-500)')
+});
+
+const budgetSchema = z.object({
+  day: z.string(),
+  exceeded: z.boolean().describe('true while the cron jobs are paused'),
+  reason: z.string().nullable(),
+  usage: usageCountersComponent.extend({ day: z.string() }),
+  budget: z.object({
+    costUsd: z.number().nullable(),
+    tokens: z.number().nullable()
+  })
+});
+
+// GET /usage - Usage report over a range of days
+api.get('/', {
+  summary: 'LLM usage report',
+  description: `Tokens and estimated cost of the LLM calls made on the given UTC days (at most ${MAX_REPORT_DAYS}), `
+    + 'grouped by day, model, workflow, node, run or job, with today\'s budget status.',
+  query: usageQuerySchema,
+  responses: {
+    200: jsonResponse('Usage report', successResponse(z.object({
+      from: z.string(),
+      to: z.string(),
+      groupBy: z.enum(USAGE_GROUPS),
+      totals: usageCountersComponent,
+      groups: z.array(usageCountersComponent.extend({ key: z.string().nullable() })),
+      budget: budgetSchema
+    })))
+  }
+}, async (req, res) => {
+  try {
+    const { from = usageDay(), to = from, groupBy, run_id, jd_id, workflow, model, limit } = req.validatedQuery;
+
+    const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (Number.isNaN(days) || days < 1 || days > MAX_REPORT_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid range',
+        message: `from must be a day on or before to, at most ${MAX_REPORT_DAYS} days apart`
+      });
+    }
+
+    const report = await getUsageReport({ from, to, groupBy, runId: run_id, jdId: jd_id, workflow, model, limit });
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        budget: await checkDailyBudget()
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to build usage report:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build usage report',
+      message: error.message
+    });
+  }
+});
+
+// GET /usage/budget - Today's usage against the daily budgets
+api.get('/budget', {
+  summary: 'Daily budget status',
+  description: 'Budgets are set with LLM_DAILY_BUDGET_USD and LLM_DAILY_TOKEN_BUDGET; while one is exceeded the cron jobs skip their runs.',
+  responses: {
+    200: jsonResponse('Today\'s usage and budgets', successResponse(budgetSchema))
+  }
+}, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await checkDailyBudget(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to check the daily budget:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check the daily budget',
+      message: error.message
+    });
+  }
+});
+
+export default router;
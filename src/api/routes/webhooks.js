@@ -0,0 +1,322 @@
+import express from 'express';
+import { z } from 'zod';
+import { logger } from '../../shared/utils/logger.js';
+import { API_KEY_SCOPES } from '../../shared/utils/apiKeys.js';
+import { cursorQuerySchema, encodeCursor, limitQuerySchema } from '../middleware/validateRequest.js';
+import { documentRoutes, jsonResponse, registerSchema } from '../openapi/registry.js';
+import { errorResponse, looseObjectSchema, successResponse } from '../openapi/schemas.js';
+import {
+  ALL_WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  WEBHOOK_EVENTS,
+  createWebhook,
+  deleteWebhook,
+  getDelivery,
+  getWebhook,
+  listDeliveries,
+  listWebhooks,
+  redeliver,
+  rotateWebhookSecret,
+  sendTestEvent,
+  toPublicWebhook,
+  updateWebhook
+} from '../../shared/utils/webhooks.js';
+
+const router = express.Router();
+const api = documentRoutes(router, {
+  basePath: '/api/v1/webhooks',
+  tag: 'Webhooks',
+  description: 'Subscriptions to job lifecycle events, delivered as signed JSON POSTs',
+  scope: API_KEY_SCOPES.ADMIN
+});
+
+const webhookEventSchema = z.enum([...Object.values(WEBHOOK_EVENTS), ALL_WEBHOOK_EVENTS]);
+
+const webhookUrlSchema = z.string().url('A valid webhook URL is required')
+  .refine(url => /^https?:\/\//i.test(url), 'Webhook URL must use http or https');
+
+const createWebhookSchema = z.object({
+  url: webhookUrlSchema,
+  events: z.array(webhookEventSchema).min(1, 'Subscribe to at least one event'),
+  description: z.string().max(500).optional(),
+  secret: z.string().min(16, 'Secret must be at least 16 characters').optional(),
+  active: z.boolean().optional()
+});
+
+const updateWebhookSchema = z.object({
+  url: webhookUrlSchema.optional(),
+  events: z.array(webhookEventSchema).min(1, 'Subscribe to at least one event').optional(),
+  description: z.string().max(500).nullable().optional(),
+  active: z.boolean().optional()
+}).refine(changes => Object.keys(changes).length > 0, 'Provide at least one field to change');
+
+const webhookSchema = registerSchema('Webhook', z.object({
+  webhook_id: z.string(),
+  url: z.string(),
+  events: z.array(webhookEventSchema),
+  description: z.string().nullable(),
+  active: z.boolean(),
+  createdAt: z.string(),
+  updatedAt: z.string()
+}));
+
+const webhookWithSecretSchema = registerSchema('WebhookWithSecret', webhookSchema.extend({
+  secret: z.string().describe('HMAC-SHA256 signing secret; only returned on create and rotate-secret')
+}));
+
+const deliverySchema = registerSchema('WebhookDelivery', z.object({
+  delivery_id: z.string(),
+  webhook_id: z.string(),
+  event: z.string(),
+  url: z.string(),
+  payload: z.object({ id: z.string(), event: z.string(), createdAt: z.string(), data: looseObjectSchema }),
+  status: z.enum(Object.values(DELIVERY_STATUS)),
+  attemptCount: z.number(),
+  attempts: z.array(z.object({
+    at: z.string(),
+    url: z.string().optional(),
+    statusCode: z.number().nullable().optional(),
+    durationMs: z.number().optional(),
+    error: z.string().nullable().optional(),
+    responseBody: z.string().nullable().optional()
+  })),
+  nextAttemptAt: z.string().nullable().optional(),
+  deliveredAt: z.string().optional(),
+  lastStatusCode: z.number().nullable().optional(),
+  lastError: z.string().nullable().optional(),
+  createdAt: z.string(),
+  updatedAt: z.string()
+}));
+
+const webhookParamsSchema = z.object({ id: z.string().describe('Webhook ID (wh_...)') });
+const deliveryParamsSchema = z.object({ deliveryId: z.string().describe('Delivery ID (dlv_...)') });
+
+const webhookNotFound = errorResponse('Webhook not found');
+const deliveryNotFound = errorResponse('Delivery not found');
+
+const sendWebhookNotFound = (res, webhookId) => res.status(404).json({
+  success: false,
+  error: 'Webhook not found',
+  message: `Webhook ${webhookId} not found`
+});
+
+const sendServerError = (res, action, error) => {
+  logger.error(`Failed to ${action}:`, error.message);
+  return res.status(500).json({
+    success: false,
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+};
+
+// GET /webhooks/events - Events that can be subscribed to
+api.get('/events', {
+  summary: 'Events that can be subscribed to',
+  responses: {
+    200: jsonResponse('Event names', successResponse(z.object({ events: z.array(z.string()), wildcard: z.literal(ALL_WEBHOOK_EVENTS) })))
+  }
+}, (req, res) => {
+  res.json({
+    success: true,
+    data: { events: Object.values(WEBHOOK_EVENTS), wildcard: ALL_WEBHOOK_EVENTS },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// POST /webhooks - Register a subscription (the secret is only returned here and on rotation)
+api.post('/', {
+  summary: 'Register a webhook',
+  body: createWebhookSchema,
+  responses: { 201: jsonResponse('The webhook, with its secret', successResponse(webhookWithSecretSchema), { Location: 'URL of the webhook' }) }
+}, async (req, res) => {
+  try {
+    const webhook = await createWebhook(req.validatedData);
+    res.status(201).location(`/api/v1/webhooks/${webhook.webhook_id}`).json({
+      success: true,
+      data: webhook,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendServerError(res, 'create webhook', error);
+  }
+});
+
+// GET /webhooks - List subscriptions
+api.get('/', {
+  summary: 'List webhooks (without secrets)',
+  responses: { 200: jsonResponse('All webhooks', successResponse(z.object({ webhooks: z.array(webhookSchema), count: z.number() }))) }
+}, async (req, res) => {
+  try {
+    const webhooks = (await listWebhooks()).map(toPublicWebhook);
+    res.json({
+      success: true,
+      data: { webhooks, count: webhooks.length },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendServerError(res, 'list webhooks', error);
+  }
+});
+
+// GET /webhooks/deliveries/:deliveryId - One delivery with all its attempts
+api.get('/deliveries/:deliveryId', {
+  summary: 'Get a delivery with all its attempts',
+  params: deliveryParamsSchema,
+  responses: { 200: jsonResponse('The delivery', successResponse(deliverySchema)), 404: deliveryNotFound }
+}, async (req, res) => {
+  try {
+    const delivery = await getDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found',
+        message: `Delivery ${req.params.deliveryId} not found`
+      });
+    }
+    res.json({ success: true, data: delivery, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'get delivery', error);
+  }
+});
+
+// POST /webhooks/deliveries/:deliveryId/redeliver - Send a delivery again
+api.post('/deliveries/:deliveryId/redeliver', {
+  summary: 'Send a delivery again',
+  params: deliveryParamsSchema,
+  responses: { 202: jsonResponse('Redelivery scheduled', successResponse(deliverySchema)), 404: deliveryNotFound }
+}, async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found',
+        message: `Delivery ${req.params.deliveryId} not found`
+      });
+    }
+    res.status(202).json({ success: true, data: delivery, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'redeliver', error);
+  }
+});
+
+// GET /webhooks/:id - One subscription
+api.get('/:id', {
+  summary: 'Get a webhook',
+  params: webhookParamsSchema,
+  responses: { 200: jsonResponse('The webhook', successResponse(webhookSchema)), 404: webhookNotFound }
+}, async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      return sendWebhookNotFound(res, req.params.id);
+    }
+    res.json({ success: true, data: toPublicWebhook(webhook), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'get webhook', error);
+  }
+});
+
+// PUT /webhooks/:id - Change url, events, description or active
+api.put('/:id', {
+  summary: 'Change a webhook',
+  params: webhookParamsSchema,
+  body: updateWebhookSchema,
+  responses: { 200: jsonResponse('The updated webhook', successResponse(webhookSchema)), 404: webhookNotFound }
+}, async (req, res) => {
+  try {
+    const webhook = await updateWebhook(req.params.id, req.validatedData);
+    if (!webhook) {
+      return sendWebhookNotFound(res, req.params.id);
+    }
+    res.json({ success: true, data: toPublicWebhook(webhook), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'update webhook', error);
+  }
+});
+
+// DELETE /webhooks/:id - Remove a subscription (its delivery log is kept)
+api.delete('/:id', {
+  summary: 'Delete a webhook (its delivery log is kept)',
+  params: webhookParamsSchema,
+  responses: {
+    200: jsonResponse('Deleted', successResponse(z.object({ webhook_id: z.string(), deleted: z.literal(true) }))),
+    404: webhookNotFound
+  }
+}, async (req, res) => {
+  try {
+    if (!(await deleteWebhook(req.params.id))) {
+      return sendWebhookNotFound(res, req.params.id);
+    }
+    res.json({ success: true, data: { webhook_id: req.params.id, deleted: true }, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'delete webhook', error);
+  }
+});
+
+// POST /webhooks/:id/rotate-secret - Replace the signing secret
+api.post('/:id/rotate-secret', {
+  summary: 'Replace the signing secret',
+  params: webhookParamsSchema,
+  responses: { 200: jsonResponse('The webhook with its new secret', successResponse(webhookWithSecretSchema)), 404: webhookNotFound }
+}, async (req, res) => {
+  try {
+    const webhook = await rotateWebhookSecret(req.params.id);
+    if (!webhook) {
+      return sendWebhookNotFound(res, req.params.id);
+    }
+    res.json({ success: true, data: webhook, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'rotate webhook secret', error);
+  }
+});
+
+// POST /webhooks/:id/test - Send a webhook.test event to this subscription
+api.post('/:id/test', {
+  summary: 'Send a webhook.test event to this webhook',
+  params: webhookParamsSchema,
+  responses: { 202: jsonResponse('Test delivery created', successResponse(deliverySchema)), 404: webhookNotFound }
+}, async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      return sendWebhookNotFound(res, req.params.id);
+    }
+    const delivery = await sendTestEvent(webhook);
+    res.status(202).json({ success: true, data: delivery, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendServerError(res, 'send test event', error);
+  }
+});
+
+// GET /webhooks/:id/deliveries - Delivery log, newest first
+api.get('/:id/deliveries', {
+  summary: 'Delivery log of a webhook, newest first',
+  params: webhookParamsSchema,
+  query: z.object({ limit: limitQuerySchema, cursor: cursorQuerySchema.optional() }),
+  responses: {
+    200: jsonResponse('A page of deliveries', successResponse(z.object({
+      deliveries: z.array(deliverySchema),
+      count: z.number(),
+      nextCursor: z.string().nullable()
+    })))
+  }
+}, async (req, res) => {
+  try {
+    const { limit, cursor } = req.validatedQuery;
+    const { items, lastEvaluatedKey } = await listDeliveries(req.params.id, { limit, startKey: cursor });
+    res.json({
+      success: true,
+      data: {
+        deliveries: items,
+        count: items.length,
+        nextCursor: encodeCursor(lastEvaluatedKey)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendServerError(res, 'list deliveries', error);
+  }
+});
+
+export default router;
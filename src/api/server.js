@@ -4,6 +4,7 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import { config } from '../shared/config/environment.js';
 import { logger } from '../shared/utils/logger.js';
+import { correlationId } from './middleware/correlationId.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFoundHandler } from './middleware/notFoundHandler.js';
 import { requestLogger } from './middleware/requestLogger.js';
@@ -14,7 +15,13 @@ import jobDiscoveryRoutes from './routes/jobDiscovery.js';
 import jobExtractionRoutes from './routes/jobExtraction.js';
 import jobRoutes from './routes/jobs.js';
 import careerDiscoveryRoutes from './routes/careerDiscovery.js';
-import { enhancedStagehandClient } from '../shared/utils/enhancedStagehand.js';
+import companyRoutes from './routes/companies.js';
+import runRoutes from './routes/runs.js';
+import webhookRoutes from './routes/webhooks.js';
+import docsRoutes from './routes/docs.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import usageRoutes from './routes/usage.js';
+import { closeBrowserPool } from '../shared/utils/browserPool.js';
 import JobManager from '../../jobs/index.js';
 
 const app = express();
@@ -31,17 +38,24 @@ app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Correlation-ID', 'X-Request-ID'],
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After', 'X-Correlation-ID']
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Correlation ID of the request, added to every log entry it causes
+app.use(correlationId);
+
 // Logging middleware
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 app.use(requestLogger);
 
+// OpenAPI document and viewer (no auth required)
+app.use('/api/v1', docsRoutes);
+
 // API key validation for protected routes
 app.use('/api/v1', validateApiKey);
 
@@ -54,6 +68,11 @@ app.use('/api/v1/job-discovery', jobDiscoveryRoutes);
 app.use('/api/v1', jobExtractionRoutes);
 app.use('/api/v1/jobs', jobRoutes);
 app.use('/api/v1/career-discovery', careerDiscoveryRoutes);
+app.use('/api/v1/companies', companyRoutes);
+app.use('/api/v1/runs', runRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/api-keys', apiKeyRoutes);
+app.use('/api/v1/usage', usageRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -66,10 +85,10 @@ process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   try {
     jobManager.stop();
-    await enhancedStagehandClient.close();
-    logger.info('Stagehand client closed successfully');
+    await closeBrowserPool();
+    logger.info('Browser sessions closed successfully');
   } catch (error) {
-    logger.warn('Error closing Stagehand client:', error.message);
+    logger.warn('Error closing browser sessions:', error.message);
   }
   process.exit(0);
 });
@@ -78,10 +97,10 @@ process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
   try {
     jobManager.stop();
-    await enhancedStagehandClient.close();
-    logger.info('Stagehand client closed successfully');
+    await closeBrowserPool();
+    logger.info('Browser sessions closed successfully');
   } catch (error) {
-    logger.warn('Error closing Stagehand client:', error.message);
+    logger.warn('Error closing browser sessions:', error.message);
   }
   process.exit(0);
 });
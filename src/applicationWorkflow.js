@@ -1,6 +1,5 @@
 import { StateGraph, END } from '@langchain/langgraph';
 import { logger } from './utils/logger.js';
-import { enhancedStagehandClient } from './shared/utils/enhancedStagehand.js';
 import { jobClassifierNode } from './nodes/jobClassifier.js';
 import { applicationRouterNode } from './nodes/applicationRouter.js';
 import { easyApplyNode } from './nodes/easyApplyNode.js';
@@ -127,10 +126,7 @@ export async function applyToJob(jobUrl, candidateData, jobDescription = null) {
   logger.info('Starting job application process', { jobUrl });
   
   try {
-    // Initialize Stagehand client
-    await enhancedStagehandClient.initialize();
-    
-    // Create workflow
+    // Create workflow (nodes lease browser sessions from the pool as they need them)
     const workflow = createApplicationWorkflow();
     
     // Prepare initial state
@@ -173,14 +169,6 @@ export async function applyToJob(jobUrl, candidateData, jobDescription = null) {
     };
     
     return errorResult;
-    
-  } finally {
-    // Clean up Stagehand client
-    try {
-      await enhancedStagehandClient.close();
-    } catch (error) {
-      logger.warn('Error closing Stagehand client', { error: error.message });
-    }
   }
 }
 
@@ -6,7 +6,7 @@ import { urlProcessorNode } from './nodes/urlProcessor.js';
 import { jobScraperNode } from './nodes/jobScraper.js';
 import { dataProcessorNode } from './nodes/dataProcessor.js';
 import { outputGeneratorNode } from './nodes/outputGenerator.js';
-import { enhancedStagehandClient } from './shared/utils/enhancedStagehand.js';
+import { closeBrowserPool } from './shared/utils/browserPool.js';
 
 // Define the state schema
 const stateSchema = {
@@ -202,21 +202,21 @@ async function main() {
     console.error('Application failed:', error.message);
     process.exit(1);
   } finally {
-    // Clean up Stagehand client
-    await enhancedStagehandClient.close();
+    // Close the browser sessions
+    await closeBrowserPool();
   }
 }
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Received SIGINT, shutting down gracefully...');
-  await enhancedStagehandClient.close();
+  await closeBrowserPool();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down gracefully...');
-  await enhancedStagehandClient.close();
+  await closeBrowserPool();
   process.exit(0);
 });
 
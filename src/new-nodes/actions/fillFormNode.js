@@ -1,7 +1,9 @@
 import { z } from 'zod';
+import { logger } from '../../shared/utils/logger.js';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
 
 export async function fillFormNode(state) {
-  console.log('📝 FillFormNode: Starting form filling...');
+  logger.info('📝 FillFormNode: Starting form filling...');
   
   try {
     const { page, fieldMapping, pageLoadAnalysis } = state;
@@ -11,7 +13,7 @@ export async function fillFormNode(state) {
     }
     
     if (!pageLoadAnalysis?.hasForm) {
-      console.log('No form detected, skipping form filling');
+      logger.info('No form detected, skipping form filling');
       return {
         ...state,
         formFilled: false,
@@ -25,7 +27,7 @@ export async function fillFormNode(state) {
     }
     
     if (!fieldMapping?.success || !fieldMapping?.mappings) {
-      console.log('No field mapping available, skipping form filling');
+      logger.info('No field mapping available, skipping form filling');
       return {
         ...state,
         formFilled: false,
@@ -38,12 +40,12 @@ export async function fillFormNode(state) {
       };
     }
     
-    console.log('Filling form with mapped fields:', fieldMapping.mappings);
+    logger.info('Filling form with mapped fields', { mappedFields: fieldMapping.mappings?.length ?? 0 });
     
     // Fill the form using the mapped fields
     const formFillResult = await fillFormWithMappedFields(page, fieldMapping.mappings);
     
-    console.log('📊 Form Fill State:', {
+    logger.info('📊 Form Fill State', {
       success: formFillResult.success,
       fieldsFilled: formFillResult.fieldsFilled,
       totalFields: formFillResult.fieldsMapped?.length || 0,
@@ -59,7 +61,7 @@ export async function fillFormNode(state) {
     };
     
   } catch (error) {
-    console.error('❌ FillFormNode error:', error.message);
+    logger.error('❌ FillFormNode error', { error: error.message });
     return {
       ...state,
       formFilled: false,
@@ -83,7 +85,7 @@ async function fillFormWithMappedFields(page, mappedFields) {
     const fieldsToFill = mappedFields.filter(field => field.mapped && field.confidence > 0.5);
     
     if (fieldsToFill.length === 0) {
-      console.log('No fields to fill - all fields have low confidence or are unmapped');
+      logger.info('No fields to fill - all fields have low confidence or are unmapped');
       return {
         success: false,
         fieldsFilled: 0,
@@ -97,25 +99,11 @@ async function fillFormWithMappedFields(page, mappedFields) {
     const fieldDetails = fieldsToFill.map(field => 
       `- ${field.fieldName} (${field.fieldType}): "${field.value}" (confidence: ${field.confidence})`
     ).join('\n');
+    const fillPrompt = renderPrompt('application.form_fill', { fields: fieldDetails });
     
     // Use Stagehand's AI-powered form filling
     const fillResult = await page.extract({
-      instruction: `Fill out this job application form with the provided candidate data. 
-      
-FIELDS TO FILL:
-${fieldDetails}
-
-INSTRUCTIONS:
-1. Find each field on the page and fill it with the provided value
-2. For text fields: Enter the exact value provided
-3. For email fields: Enter the email address
-4. For select/dropdown fields: Choose the option that best matches the provided value
-5. For textarea fields: Enter the full text content
-6. For file upload fields: Skip for now (handled separately)
-7. Be precise and accurate with the data provided
-8. If a field is not found, skip it and continue with others
-
-IMPORTANT: Only fill the fields listed above. Do not fill any other fields on the page.`,
+      instruction: fillPrompt.instruction,
       schema: z.object({
         fieldsFilled: z.array(z.object({
           fieldName: z.string(),
@@ -142,18 +130,19 @@ IMPORTANT: Only fill the fields listed above. Do not fill any other fields on th
     }
     
     const success = fillResult.success || fieldsFilled > 0;
-    console.log(`✅ Form Filling: ${fieldsFilled}/${fieldsToFill.length} fields filled`);
+    logger.info(`✅ Form Filling: ${fieldsFilled}/${fieldsToFill.length} fields filled`);
     
     return {
       success: success,
       fieldsFilled: fieldsFilled,
       fieldsMapped: filledFields,
       issues: fillResult.issues || [],
+      promptVersions: withPromptVersions({}, fillPrompt),
       reasoning: `AI-powered form filling completed. Filled ${fieldsFilled} fields out of ${fieldsToFill.length} provided fields.`
     };
     
   } catch (error) {
-    console.error('Error during AI-powered form filling:', error.message);
+    logger.error('Error during AI-powered form filling', { error: error.message });
     return {
       success: false,
       fieldsFilled: 0,
@@ -1,13 +1,14 @@
 import { fieldMappingTool } from '../../shared/utils/fieldMappingTool.js';
+import { logger } from '../../shared/utils/logger.js';
 
 export async function mapFieldsNode(state) {
-  console.log('🗺️ MapFieldsNode: Starting field mapping...');
+  logger.info('🗺️ MapFieldsNode: Starting field mapping...');
   
   try {
     const { formAnalysis, candidateData } = state;
     
     if (!formAnalysis?.success || !formAnalysis?.fields) {
-      console.log('No form analysis available, skipping field mapping');
+      logger.info('No form analysis available, skipping field mapping');
       return {
         ...state,
         fieldMapping: {
@@ -20,9 +21,8 @@ export async function mapFieldsNode(state) {
       };
     }
     
-    console.log('Mapping form fields to candidate data using AI...');
-    console.log('Candidate data:', candidateData);
-    console.log('Form fields:', formAnalysis.fields);
+    logger.info('Mapping form fields to candidate data using AI...');
+    logger.debug('Form fields to map', { fields: formAnalysis.fields?.length ?? 0 });
     
     // Use the field mapping tool
     const mappingResult = await fieldMappingTool.invoke({
@@ -30,7 +30,7 @@ export async function mapFieldsNode(state) {
       candidateData: candidateData
     });
     
-    console.log('Field mapping result:', mappingResult);
+    logger.info('Field mapping result', { success: mappingResult?.success, mappedFields: mappingResult?.mappedFields?.length ?? 0, unmappedFields: mappingResult?.unmappedFields?.length ?? 0 });
     
     return {
       ...state,
@@ -39,7 +39,7 @@ export async function mapFieldsNode(state) {
     };
     
   } catch (error) {
-    console.error('❌ MapFieldsNode error:', error.message);
+    logger.error('❌ MapFieldsNode error', { error: error.message });
     return {
       ...state,
       fieldMapping: {
@@ -1,8 +1,9 @@
 import { getResumeFileFromS3 } from '../tooling/s3.js';
 import { z } from 'zod';
+import { logger } from '../../shared/utils/logger.js';
 
 export async function submitResumeNode(state) {
-  console.log('📄 SubmitResumeNode: Starting resume upload...');
+  logger.info('📄 SubmitResumeNode: Starting resume upload...');
 
   try {
     const { page, formAnalysis, resumeId, agent } = state;
@@ -59,7 +60,7 @@ INSTRUCTIONS:
 IMPORTANT: Only upload to the resume/CV field, not any other file upload fields.`);
 
     // 4. Return success (agent.execute() doesn't return structured data)
-    console.log('📊 Resume Upload State:', {
+    logger.info('📊 Resume Upload State', {
       success: true,
       field: resumeField.name,
       filePath: resumeFilePath,
@@ -82,7 +83,7 @@ IMPORTANT: Only upload to the resume/CV field, not any other file upload fields.
     };
   } catch (error) {
     // TODO: Add more robust error handling and edge cases
-    console.log('❌ Resume Upload Error:', error.message);
+    logger.error('❌ Resume Upload Error', { error: error.message });
     return {
       ...state,
       resumeUpload: {
@@ -3,9 +3,39 @@
  * Pure function for classifying jobs into supported domains using OpenAI utility
  */
 
-import { chatCompletion } from '../../shared/utils/openai.js';
+import { z } from 'zod';
+import { structuredCompletion } from '../../shared/utils/openai.js';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { logger } from '../../shared/utils/logger.js';
+
+/**
+ * Schema of a classification: a domain > sub_domain > role path that exists in the hierarchy
+ * @param {Object} supportedDomains - supported_domains of supported_domains.json
+ */
+function classificationSchema(supportedDomains) {
+  return z.object({
+    domain: z.enum(Object.keys(supportedDomains)),
+    sub_domain: z.string(),
+    role: z.string()
+  }).superRefine(({ domain, sub_domain: subDomain, role }, ctx) => {
+    const subDomains = supportedDomains[domain].sub_domains;
+    if (!subDomains[subDomain]) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['sub_domain'],
+        message: `Invalid sub-domain: ${subDomain} for domain: ${domain} (expected one of ${Object.keys(subDomains).join(', ')})`
+      });
+    } else if (!subDomains[subDomain].roles.includes(role)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['role'],
+        message: `Invalid role: ${role} for sub-domain: ${subDomain} (expected one of ${subDomains[subDomain].roles.join(', ')})`
+      });
+    }
+  });
+}
 
 /**
  * Domain Classifier Node - Pure Function
@@ -15,15 +45,13 @@ import path from 'path';
  */
 async function domainClassifierNode(state) {
   try {
-    console.log('DomainClassifierNode: Starting domain classification...');
-    console.log('DomainClassifierNode: State:', JSON.stringify(state, null, 2));
-    console.log('DomainClassifierNode: analysis_results present:', !!state.analysis_results);
-    console.log('DomainClassifierNode: analysis_results keys:', state.analysis_results ? Object.keys(state.analysis_results) : 'N/A');
-    console.log('DomainClassifierNode: analysis_results.rawText:', state.analysis_results?.rawText ? `${state.analysis_results.rawText.length} characters` : 'MISSING');
+    logger.info('DomainClassifierNode: Starting domain classification...', {
+      analysisFields: Object.keys(state.analysis_results || {}),
+      rawTextLength: state.analysis_results?.rawText?.length || 0
+    });
     
     if (!state.analysis_results || !state.analysis_results.rawText) {
-      console.error('DomainClassifierNode: No job analysis available');
-      console.error('DomainClassifierNode: analysis_results:', state.analysis_results);
+      logger.error('DomainClassifierNode: No job analysis available');
       return {
         ...state,
         errors: [
@@ -45,70 +73,56 @@ async function domainClassifierNode(state) {
 
     const rawText = state.analysis_results.rawText;
     
-    console.log(`DomainClassifierNode: Classifying content with ${rawText.length} characters`);
+    logger.info(`DomainClassifierNode: Classifying content with ${rawText.length} characters`);
     
     // Load supported domains hierarchy
     const domainsPath = path.join(process.cwd(), 'src/new-workflows/job-extraction/config/supported_domains.json');
     const domainsData = JSON.parse(await fs.readFile(domainsPath, 'utf8'));
     const supportedDomains = Object.keys(domainsData.supported_domains);
     
-    console.log(`DomainClassifierNode: Available domains: ${supportedDomains.join(', ')}`);
+    logger.info(`DomainClassifierNode: Available domains: ${supportedDomains.join(', ')}`);
     
-    // Build hierarchical classification prompt
-    let hierarchyPrompt = 'Classify this job posting into the hierarchical structure:\n\n';
+    // Domain > sub-domain > roles tree of the classification prompt
+    let hierarchy = '';
     for (const domain of supportedDomains) {
-      hierarchyPrompt += `${domain}:\n`;
+      hierarchy += `${domain}:\n`;
       const subDomains = domainsData.supported_domains[domain].sub_domains;
       for (const [subDomain, subData] of Object.entries(subDomains)) {
-        hierarchyPrompt += `  ${subDomain}:\n`;
-        hierarchyPrompt += `    ${subData.roles.join(', ')}\n`;
+        hierarchy += `  ${subDomain}:\n`;
+        hierarchy += `    ${subData.roles.join(', ')}\n`;
       }
-      hierarchyPrompt += '\n';
+      hierarchy += '\n';
     }
     
-    // Use OpenAI utility to classify the job hierarchically
-    const messages = [
-      { role: 'system', content: 'You are a job domain classifier. Even if a job includes ML systems or AI infra, do not restrict to backend roles. Instead, match role like ml_engineer or ai_engineer from data_science if it fits better. Return JSON with domain, sub_domain, and role. Use only the domain, sub_domain, and role that are in the hierarchyPrompt.' },
-      { role: 'user', content: `${hierarchyPrompt}\n\nJob posting:\n${rawText.substring(0, 4000)}\n\nReturn JSON: {"domain": "...", "sub_domain": "...", "role": "..."}` }
-    ];
+    const prompt = renderPrompt('extraction.domain_classifier', {
+      hierarchy,
+      posting: rawText.substring(0, 4000)
+    });
     
-    const classification = await chatCompletion(messages, {
+    // Classifications outside the hierarchy are sent back to the model with the valid options
+    const classification = await structuredCompletion(prompt.messages, classificationSchema(domainsData.supported_domains), {
       model: 'gpt-4o-mini',
       maxTokens: 10000,
-      responseFormat: { type: 'json_object' }
+      responseFormat: { type: 'json_object' },
+      name: 'domain classification'
     });
     
     if (!classification.success) {
-      throw new Error(`Classification failed: ${classification.error}`);
+      throw classification.failure;
     }
     
-    const classificationResult = JSON.parse(classification.data);
-    const { domain: selectedDomain, sub_domain: selectedSubDomain, role: selectedRole } = classificationResult;
-    
-    // Validate the classification against our hierarchy
-    const domainConfig = domainsData.supported_domains[selectedDomain];
-    if (!domainConfig) {
-      throw new Error(`Invalid domain: ${selectedDomain}`);
-    }
-    
-    const subDomainConfig = domainConfig.sub_domains[selectedSubDomain];
-    if (!subDomainConfig) {
-      throw new Error(`Invalid sub-domain: ${selectedSubDomain} for domain: ${selectedDomain}`);
-    }
-    
-    if (!subDomainConfig.roles.includes(selectedRole)) {
-      throw new Error(`Invalid role: ${selectedRole} for sub-domain: ${selectedSubDomain}`);
-    }
+    const { domain: selectedDomain, sub_domain: selectedSubDomain, role: selectedRole } = classification.data;
     
     const domainClassification = {
       domain: selectedDomain,
       sub_domain: selectedSubDomain,
       role: selectedRole,
       confidence: 0.8, // Default confidence for hierarchical classification
-      classifiedAt: new Date().toISOString()
+      classifiedAt: new Date().toISOString(),
+      prompt_versions: withPromptVersions({}, prompt)
     };
     
-    console.log(`DomainClassifierNode: Successfully classified job as: ${selectedDomain} > ${selectedSubDomain} > ${selectedRole}`);
+    logger.info(`DomainClassifierNode: Successfully classified job as: ${selectedDomain} > ${selectedSubDomain} > ${selectedRole}`);
     
     // Return updated state with domain classification
     return {
@@ -127,7 +141,7 @@ async function domainClassifierNode(state) {
     };
 
   } catch (error) {
-    console.error('DomainClassifierNode: Error classifying domain:', error);
+    logger.error('DomainClassifierNode: Error classifying domain', { error });
     
     return {
       ...state,
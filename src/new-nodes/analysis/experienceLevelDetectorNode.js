@@ -3,9 +3,12 @@
  * Pure function for detecting job experience level using OpenAI utility
  */
 
-import { chatCompletion } from '../../shared/utils/openai.js';
+import { z } from 'zod';
+import { STRUCTURED_OUTPUT_FAILURES, structuredCompletion } from '../../shared/utils/openai.js';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { logger } from '../../shared/utils/logger.js';
 
 /**
  * Experience Level Detector Node - Pure Function
@@ -15,10 +18,10 @@ import path from 'path';
  */
 async function experienceLevelDetectorNode(state) {
   try {
-    console.log('ExperienceLevelDetectorNode: Starting experience level detection...');
+    logger.info('ExperienceLevelDetectorNode: Starting experience level detection...');
     
     if (!state.analysis_results || !state.analysis_results.rawText) {
-      console.error('ExperienceLevelDetectorNode: No job analysis available');
+      logger.error('ExperienceLevelDetectorNode: No job analysis available');
       return {
         ...state,
         errors: [
@@ -39,7 +42,7 @@ async function experienceLevelDetectorNode(state) {
     }
 
     if (!state.domain_classification || !state.domain_classification.role) {
-      console.error('ExperienceLevelDetectorNode: No domain classification available');
+      logger.error('ExperienceLevelDetectorNode: No domain classification available');
       return {
         ...state,
         errors: [
@@ -62,7 +65,7 @@ async function experienceLevelDetectorNode(state) {
     const rawText = state.analysis_results.rawText;
     const { domain, role } = state.domain_classification;
     
-    console.log(`ExperienceLevelDetectorNode: Detecting experience level for role: ${role} in domain: ${domain}`);
+    logger.info(`ExperienceLevelDetectorNode: Detecting experience level for role: ${role} in domain: ${domain}`);
     
     // Load domain configuration to get available experience levels
     const configPath = path.join(process.cwd(), `src/new-workflows/job-extraction/config/domains/${domain}.json`);
@@ -78,58 +81,40 @@ async function experienceLevelDetectorNode(state) {
       throw new Error(`No experience levels defined for role: ${role} in domain: ${domain}`);
     }
     
-    console.log(`ExperienceLevelDetectorNode: Available levels for ${role}: ${availableLevels.join(', ')}`);
+    logger.info(`ExperienceLevelDetectorNode: Available levels for ${role}: ${availableLevels.join(', ')}`);
     
-    // Build classification prompt with available levels
-    const levelsList = availableLevels.join(', ');
-    const prompt = `Analyze this job posting and determine the experience level. Consider job title, requirements, responsibilities, and years of experience mentioned.
-
-Available experience levels: ${levelsList}
-
-Job posting:
-${rawText.substring(0, 4000)}
-
-Return a JSON object with the experience level: {"level": "selected_level"}`;
-
-    const messages = [
-      { role: 'system', content: 'You are an experience level classifier. Return a JSON object with the experience level.' },
-      { role: 'user', content: prompt }
-    ];
+    const prompt = renderPrompt('extraction.experience_level_detector', {
+      levels: availableLevels.join(', '),
+      posting: rawText.substring(0, 4000)
+    });
     
-    const classification = await chatCompletion(messages, {
+    const classification = await structuredCompletion(prompt.messages, z.object({ level: z.enum(availableLevels) }), {
       model: 'gpt-4o-mini',
       maxTokens: 10000,
-      responseFormat: { type: 'json_object' }
+      responseFormat: { type: 'json_object' },
+      name: 'experience level'
     });
     
-    if (!classification.success) {
+    if (!classification.success && classification.failure.type !== STRUCTURED_OUTPUT_FAILURES.INVALID_OUTPUT) {
       throw new Error(`Experience level classification failed: ${classification.error}`);
     }
     
-    let detectedLevel;
-    try {
-      const result = JSON.parse(classification.data);
-      detectedLevel = result.level;
-    } catch (error) {
-      console.warn(`ExperienceLevelDetectorNode: Failed to parse JSON response: ${classification.data}`);
-      // If JSON parsing fails, try to extract level from plain text
-      const response = classification.data.toLowerCase();
-      detectedLevel = availableLevels.find(level => response.includes(level));
-    }
-    
-    if (!detectedLevel || !availableLevels.includes(detectedLevel)) {
-      console.warn(`ExperienceLevelDetectorNode: Invalid level detected: ${detectedLevel}, using default: ${availableLevels[0]}`);
-      detectedLevel = availableLevels[0]; // Use first available level as default
+    let detectedLevel = classification.data?.level;
+    if (!detectedLevel) {
+      // The dimension mapper needs a level, so a classification that never became valid falls back to the first one
+      logger.warn(`ExperienceLevelDetectorNode: ${classification.error}, using default: ${availableLevels[0]}`);
+      detectedLevel = availableLevels[0];
     }
     
     const detectionResult = {
       level: detectedLevel,
       confidence: 0.8, // Default confidence for classification
       reasoning: `Classified as ${detectedLevel} based on job requirements and experience criteria`,
-      detectedAt: new Date().toISOString()
+      detectedAt: new Date().toISOString(),
+      prompt_versions: withPromptVersions({}, prompt)
     };
     
-    console.log(`ExperienceLevelDetectorNode: Successfully detected experience level: ${detectionResult.level}`);
+    logger.info(`ExperienceLevelDetectorNode: Successfully detected experience level: ${detectionResult.level}`);
     
     // Return updated state with experience level detection
     return {
@@ -147,7 +132,7 @@ Return a JSON object with the experience level: {"level": "selected_level"}`;
     };
 
   } catch (error) {
-    console.error('ExperienceLevelDetectorNode: Error detecting experience level:', error);
+    logger.error('ExperienceLevelDetectorNode: Error detecting experience level', { error });
     
     return {
       ...state,
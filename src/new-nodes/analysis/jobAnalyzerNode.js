@@ -4,6 +4,8 @@
  */
 
 import { z } from 'zod';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
+import { logger } from '../../shared/utils/logger.js';
 
 /**
  * Job Analyzer Node - Pure Function
@@ -13,10 +15,10 @@ import { z } from 'zod';
  */
 async function jobAnalyzerNode(state) {
   try {
-    console.log('JobAnalyzerNode: Starting company extraction...');
+    logger.info('JobAnalyzerNode: Starting company extraction...');
     
     if (!state.extracted_content || !state.extracted_content.rawText) {
-      console.error('JobAnalyzerNode: No extracted content available');
+      logger.error('JobAnalyzerNode: No extracted content available');
       return {
         ...state,
         errors: [
@@ -39,11 +41,12 @@ async function jobAnalyzerNode(state) {
     const rawText = state.extracted_content.rawText;
     const page = state.page;
     
-    console.log(`JobAnalyzerNode: Analyzing content with ${rawText.length} characters`);
+    logger.info(`JobAnalyzerNode: Analyzing content with ${rawText.length} characters`);
     
     // Use AI prompting to extract only company name
+    const prompt = renderPrompt('extraction.job_analyzer');
     const analysis = await page.extract({
-      instruction: "Extract only the company name from this job posting. Look for the company that is hiring or posting this job. Return just the company name, nothing else.",
+      instruction: prompt.instruction,
       schema: z.object({
         company: z.string()
       })
@@ -59,11 +62,12 @@ async function jobAnalyzerNode(state) {
     const analysisResults = {
       rawText: rawText,
       company: analysis.company,
-      extractedAt: new Date().toISOString()
+      extractedAt: new Date().toISOString(),
+      prompt_versions: withPromptVersions({}, prompt)
     };
     
-    console.log(`JobAnalyzerNode: Successfully extracted company: ${jobAnalysis.company}`);
-    console.log(`JobAnalyzerNode: Successfully extracted company raw text: ${jobAnalysis?.rawText}`);
+    logger.info(`JobAnalyzerNode: Successfully extracted company: ${jobAnalysis.company}`);
+    logger.info(`JobAnalyzerNode: Successfully extracted company raw text: ${jobAnalysis?.rawText}`);
     
     // Return updated state with company extraction
     return {
@@ -80,7 +84,7 @@ async function jobAnalyzerNode(state) {
     };
 
   } catch (error) {
-    console.error('JobAnalyzerNode: Error extracting company:', error);
+    logger.error('JobAnalyzerNode: Error extracting company', { error });
     
     return {
       ...state,
@@ -2,6 +2,8 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { z } from 'zod';
+import { logger } from '../../shared/utils/logger.js';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -9,7 +11,7 @@ const fieldListPath = join(__dirname, 'fieldList.json');
 const fieldList = JSON.parse(readFileSync(fieldListPath, 'utf8'));
 
 export async function analyzeFormNode(state) {
-    console.log('🔍 AnalyzeFormNode: Starting form analysis...');
+    logger.info('🔍 AnalyzeFormNode: Starting form analysis...');
 
     try {
         const { page, pageLoadAnalysis } = state;
@@ -19,7 +21,7 @@ export async function analyzeFormNode(state) {
         }
 
         if (!pageLoadAnalysis?.hasForm) {
-            console.log('No form detected, skipping form analysis');
+            logger.info('No form detected, skipping form analysis');
             return {
                 ...state,
                 formAnalysis: {
@@ -31,20 +33,13 @@ export async function analyzeFormNode(state) {
             };
         }
 
-        console.log('Analyzing form fields with AI...');
+        logger.info('Analyzing form fields with AI...');
 
         try {
             // Use Stagehand's extract method with simpler schema
+            const fieldsPrompt = renderPrompt('application.form_fields', { fieldNames: getAllFieldNames().slice(0, 20).join(', ') });
             const formAnalysis = await page.extract({
-              instruction: `Look for form fields on this job application page. Common field names to look for: ${getAllFieldNames().slice(0, 20).join(', ')}. 
-              
-For each field found, extract:
-- Field name
-- Field type (text, email, select, textarea, file, etc.)
-
-Focus on text, email, textarea, select, and file upload fields. Pay special attention to resume/CV upload fields.
-
-Return a simple array of field objects with name and type.`,
+              instruction: fieldsPrompt.instruction,
               schema: z.object({
                 fields: z.array(z.object({
                   name: z.string(),
@@ -56,8 +51,8 @@ Return a simple array of field objects with name and type.`,
             // Parse the AI response to extract field information
             const fields = parseFormFields(formAnalysis);
 
-            console.log(`✅ Form Analysis: Found ${fields.length} fields`);
-            console.log('📊 Form Analysis State:', {
+            logger.info(`✅ Form Analysis: Found ${fields.length} fields`);
+            logger.info('📊 Form Analysis State', {
                 success: true,
                 fieldCount: fields.length,
                 requiredFields: fields.filter(f => f.required).length,
@@ -75,18 +70,19 @@ Return a simple array of field objects with name and type.`,
                     requiredFields: fields.filter(f => f.required).length,
                     optionalFields: fields.filter(f => !f.required).length,
                     fieldTypes: getFieldTypeSummary(fields),
-                    aiResponse: formAnalysis
+                    aiResponse: formAnalysis,
+                    promptVersions: withPromptVersions({}, fieldsPrompt)
                 },
                 currentStep: 'form_analyzed'
             };
 
         } catch (extractError) {
-            console.log('❌ AI extraction failed, using fallback parsing');
+            logger.warn('❌ AI extraction failed, using fallback parsing');
             
             // Fallback: use a simpler approach without structured extraction
             const fallbackFields = getFallbackFields();
             
-            console.log('📊 Form Analysis State (Fallback):', {
+            logger.info('📊 Form Analysis State (Fallback)', {
                 success: true,
                 fieldCount: fallbackFields.length,
                 requiredFields: fallbackFields.filter(f => f.required).length,
@@ -113,7 +109,7 @@ Return a simple array of field objects with name and type.`,
         }
 
     } catch (error) {
-        console.error('❌ AnalyzeFormNode error:', error.message);
+        logger.error('❌ AnalyzeFormNode error', { error: error.message });
         return {
             ...state,
             formAnalysis: {
@@ -185,7 +181,7 @@ function parseFormFields(aiResponse) {
             }
         }
     } catch (e) {
-        console.log('Could not parse as structured data, using fallback parsing');
+        logger.info('Could not parse as structured data, using fallback parsing');
     }
 
     // Fallback parsing using imported field list
@@ -1,12 +1,14 @@
 import { z } from 'zod';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
+import { logger } from '../../shared/utils/logger.js';
 
 // No logger import needed for now
 
 export async function detectPageLoadNode(state) {
-  console.log('🔍 DetectPageLoadNode: Starting page load detection...');
+  logger.info('🔍 DetectPageLoadNode: Starting page load detection...');
   
   try {
-    // console.log("state", JSON.stringify(state, null, 2));
+    // logger.info("state", JSON.stringify(state, null, 2));
     const { url, page } = state;
     
     if (!page) {
@@ -33,21 +35,23 @@ export async function detectPageLoadNode(state) {
     });
     
     // Use AI to visually analyze the page for blockers
-    const blockers = await detectBlockersWithAI(page);
+    const blockerPrompt = renderPrompt('application.blocker_detection');
+    const blockers = await detectBlockersWithAI(page, blockerPrompt);
     
-    console.log(`✅ Page Load: Form detected: ${analysis.hasForm}, Blockers: ${Object.values(blockers).filter(b => b).length}`);
+    logger.info(`✅ Page Load: Form detected: ${analysis.hasForm}, Blockers: ${Object.values(blockers).filter(b => b).length}`);
     
     return {
       ...state,
       pageLoadAnalysis: {
         ...analysis,
-        blockers
+        blockers,
+        promptVersions: withPromptVersions({}, blockerPrompt)
       },
       currentStep: 'page_loaded'
     };
     
   } catch (error) {
-    console.error('❌ DetectPageLoadNode error:', error.message);
+    logger.error('❌ DetectPageLoadNode error', { error: error.message });
     return {
       ...state,
       pageLoadAnalysis: {
@@ -69,17 +73,10 @@ export async function detectPageLoadNode(state) {
 }
 
 // Helper function to detect blockers using AI visual analysis
-async function detectBlockersWithAI(page) {
+async function detectBlockersWithAI(page, prompt) {
   try {
     const blockerAnalysis = await page.extract({
-      instruction: `Check for visible popups/modals that block job application submission:
-- Login popups/modals
-- Google OAuth buttons
-- Email verification prompts
-- Registration required popups
-- Any modal that prevents form submission: should be only login or otp modal, else we can consider non blocking
-
-Report only visible popups that block the application process.`,
+      instruction: prompt.instruction,
       schema: z.object({
         hasLoginRequired: z.boolean(),
         hasGoogleOAuth: z.boolean(),
@@ -99,7 +96,7 @@ Report only visible popups that block the application process.`,
     };
     
   } catch (error) {
-    console.log('Error during AI blocker detection:', error.message);
+    logger.warn('Error during AI blocker detection', { error: error.message });
     return {
       hasLoginRequired: false,
       hasGoogleOAuth: false,
@@ -5,8 +5,28 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import { chatCompletion } from '../../shared/utils/openai.js';
+import { z } from 'zod';
+import { structuredCompletion } from '../../shared/utils/openai.js';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
 import { formatDimensionMappingToDDBEntities } from '../../shared/utils/ddbEntitiesFormatter.js';
+import { logger } from '../../shared/utils/logger.js';
+
+// A dimension the posting does not mention comes back empty or null
+const dimensionValueSchema = z.union([
+  z.string(),
+  z.number(),
+  z.boolean(),
+  z.array(z.any()),
+  z.record(z.string(), z.any())
+]).nullable();
+
+/**
+ * Schema of an extraction: one entry per configured dimension
+ * @param {Object} dimensions - Dimension configs by name
+ */
+function extractionSchema(dimensions) {
+  return z.object(Object.fromEntries(Object.keys(dimensions).map(name => [name, dimensionValueSchema])));
+}
 
 /**
  * Dimension Mapper Node - Pure Function
@@ -16,10 +36,10 @@ import { formatDimensionMappingToDDBEntities } from '../../shared/utils/ddbEntit
  */
 async function dimensionMapperNode(state) {
   try {
-    console.log('DimensionMapperNode: Starting dimension mapping...');
+    logger.info('DimensionMapperNode: Starting dimension mapping...');
     
     if (!state.analysis_results || !state.analysis_results.rawText) {
-      console.error('DimensionMapperNode: No job analysis available');
+      logger.error('DimensionMapperNode: No job analysis available');
       return {
         ...state,
         errors: [
@@ -40,7 +60,7 @@ async function dimensionMapperNode(state) {
     }
 
     if (!state.domain_classification || !state.domain_classification.role) {
-      console.error('DimensionMapperNode: No domain classification available');
+      logger.error('DimensionMapperNode: No domain classification available');
       return {
         ...state,
         errors: [
@@ -61,9 +81,9 @@ async function dimensionMapperNode(state) {
     }
 
     if (!state.experience_detection || !state.experience_detection.level) {
-      console.error('DimensionMapperNode: No experience level detection available');
-      console.log('DimensionMapperNode: Available state keys:', Object.keys(state));
-      console.log('DimensionMapperNode: Experience detection:', state.experience_detection);
+      logger.warn('DimensionMapperNode: No experience level detection available', {
+        experienceDetection: state.experience_detection || null
+      });
       
       // Create fallback experience level
       const fallbackExperience = {
@@ -72,7 +92,7 @@ async function dimensionMapperNode(state) {
         detectedAt: new Date().toISOString()
       };
       
-      console.log('DimensionMapperNode: Using fallback experience level:', fallbackExperience);
+      logger.info('DimensionMapperNode: Using fallback experience level', fallbackExperience);
       state.experience_detection = fallbackExperience;
     }
 
@@ -80,7 +100,7 @@ async function dimensionMapperNode(state) {
     const { domain, role } = state.domain_classification;
     const { level } = state.experience_detection;
     
-    console.log(`DimensionMapperNode: Mapping dimensions for role: ${role} in domain: ${domain} with experience level: ${level}`);
+    logger.info(`DimensionMapperNode: Mapping dimensions for role: ${role} in domain: ${domain} with experience level: ${level}`);
     
     // 1. Get dimensions from domain config
     const configPath = path.join(process.cwd(), `src/new-workflows/job-extraction/config/domains/${domain}.json`);
@@ -98,31 +118,24 @@ async function dimensionMapperNode(state) {
       throw new Error(`No dimensions found for role: ${role} at experience level: ${level}`);
     }
     
-    // Build a single prompt for all dimensions
-    const dimensionPrompts = Object.entries(dimensions).map(
-      ([name, config]) => `- ${name}: ${config.extraction_prompt}`
-    ).join('\n');
-
-    // Build the expected JSON schema for the prompt
-    const schemaFields = Object.entries(dimensions).map(
-      ([name, config]) => `\"${name}\": \"...\"`
-    ).join(',\n  ');
-
-    const prompt = `Extract the following information from the job posting:\n${dimensionPrompts}\n\nReturn a JSON object with the following fields:\n{\n  ${schemaFields}\n}\nJob posting:\n${rawText.substring(0, 4000)}`;
-
-    const messages = [
-      { role: 'system', content: 'You are a job dimension extractor. Extract all requested fields as JSON.' },
-      { role: 'user', content: prompt }
-    ];
+    // A single prompt for all dimensions
+    const prompt = renderPrompt('extraction.dimension_mapper', {
+      dimensions: Object.entries(dimensions).map(
+        ([name, config]) => `- ${name}: ${config.extraction_prompt}`
+      ).join('\n'),
+      fields: Object.keys(dimensions).map(name => `"${name}": "..."`).join(',\n  '),
+      posting: rawText.substring(0, 4000)
+    });
 
-    const extraction = await chatCompletion(messages, {
+    const extraction = await structuredCompletion(prompt.messages, extractionSchema(dimensions), {
       model: 'gpt-4o-mini',
       maxTokens: 10000,
-      responseFormat: { type: 'json_object' }
+      responseFormat: { type: 'json_object' },
+      name: 'dimension extraction'
     });
 
     if (!extraction.success) {
-      console.warn(`DimensionMapperNode: Failed to extract dimensions: ${extraction.error}`);
+      logger.warn(`DimensionMapperNode: Failed to extract dimensions: ${extraction.error}`);
       return {
         ...state,
         errors: [
@@ -130,6 +143,7 @@ async function dimensionMapperNode(state) {
           {
             node: 'dimension_mapper',
             error: extraction.error,
+            failure_type: extraction.failure.type,
             timestamp: new Date().toISOString()
           }
         ],
@@ -142,28 +156,7 @@ async function dimensionMapperNode(state) {
       };
     }
 
-    let extractionResult;
-    try {
-      extractionResult = JSON.parse(extraction.data);
-    } catch (err) {
-      return {
-        ...state,
-        errors: [
-          ...state.errors,
-          {
-            node: 'dimension_mapper',
-            error: 'Failed to parse OpenAI response as JSON',
-            timestamp: new Date().toISOString()
-          }
-        ],
-        metadata: {
-          ...state.metadata,
-          dimension_mapper_failed: true,
-          dimension_mapper_error: 'Failed to parse OpenAI response as JSON',
-          dimension_mapper_timestamp: new Date().toISOString()
-        }
-      };
-    }
+    const extractionResult = extraction.data;
 
     // Validate and format each dimension
     const mappedDimensions = {};
@@ -194,17 +187,16 @@ async function dimensionMapperNode(state) {
       required_dimensions: requiredDimensions.length,
       extracted_required: extractedRequired.length,
       completeness_score: completenessScore,
-      mappedAt: new Date().toISOString()
+      mappedAt: new Date().toISOString(),
+      prompt_versions: withPromptVersions({}, prompt)
     };
 
-    console.log(`DimensionMapperNode: Mapping completed. Completeness: ${completenessScore} (${extractedRequired.length}/${requiredDimensions.length} required)`);
+    logger.info(`DimensionMapperNode: Mapping completed. Completeness: ${completenessScore} (${extractedRequired.length}/${requiredDimensions.length} required)`);
 
     // Format dimension mapping to DDB entities
-    console.log('DimensionMapperNode: Starting DDB entities formatting...');
+    logger.info('DimensionMapperNode: Starting DDB entities formatting...');
     const ddbEntities = await formatDimensionMappingToDDBEntities(dimensionMapping);
-    console.log('DimensionMapperNode: DDB entities formatted successfully');
-    console.log('DimensionMapperNode: Entities keys:', Object.keys(ddbEntities));
-    console.log('DimensionMapperNode: Entities sample:', JSON.stringify(ddbEntities, null, 2).substring(0, 300) + '...');
+    logger.info('DimensionMapperNode: DDB entities formatted successfully', { entities: Object.keys(ddbEntities) });
 
     // Return updated state with dimension mapping and formatted entities
     const updatedState = {
@@ -225,14 +217,10 @@ async function dimensionMapperNode(state) {
       }
     };
 
-    console.log('DimensionMapperNode: Final state keys:', Object.keys(updatedState));
-    console.log('DimensionMapperNode: Has entities in state:', !!updatedState.entities);
-    console.log('DimensionMapperNode: Returning state with entities...');
-
     return updatedState;
 
   } catch (error) {
-    console.error('DimensionMapperNode: Error mapping dimensions:', error);
+    logger.error('DimensionMapperNode: Error mapping dimensions', { error });
     
     return {
       ...state,
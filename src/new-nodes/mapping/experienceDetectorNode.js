@@ -5,6 +5,9 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { z } from 'zod';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
+import { logger } from '../../shared/utils/logger.js';
 
 /**
  * Experience Level Detector Node - Pure Function
@@ -14,10 +17,10 @@ import path from 'path';
  */
 async function experienceDetectorNode(state) {
   try {
-    console.log('ExperienceDetectorNode: Starting experience level detection...');
+    logger.info('ExperienceDetectorNode: Starting experience level detection...');
     
     if (!state.job_analysis || !state.job_analysis.rawText) {
-      console.error('ExperienceDetectorNode: No job analysis available');
+      logger.error('ExperienceDetectorNode: No job analysis available');
       return {
         ...state,
         errors: [
@@ -38,7 +41,7 @@ async function experienceDetectorNode(state) {
     }
 
     if (!state.domain_classification || !state.domain_classification.role) {
-      console.error('ExperienceDetectorNode: No domain classification available');
+      logger.error('ExperienceDetectorNode: No domain classification available');
       return {
         ...state,
         errors: [
@@ -61,7 +64,7 @@ async function experienceDetectorNode(state) {
     const rawText = state.job_analysis.rawText;
     const { domain, role } = state.domain_classification;
     
-    console.log(`ExperienceDetectorNode: Analyzing content for role: ${role} in domain: ${domain}`);
+    logger.info(`ExperienceDetectorNode: Analyzing content for role: ${role} in domain: ${domain}`);
     
     // Load domain configuration
     const configPath = path.join(process.cwd(), `src/new-workflows/job-extraction/config/domains/${domain}.json`);
@@ -75,42 +78,37 @@ async function experienceDetectorNode(state) {
     
     // Get experience levels for this role
     const experienceLevels = roleConfig.experience_levels;
-    console.log(`ExperienceDetectorNode: Available experience levels for ${role}: ${Object.keys(experienceLevels).join(', ')}`);
+    logger.info(`ExperienceDetectorNode: Available experience levels for ${role}: ${Object.keys(experienceLevels).join(', ')}`);
     
-    // Build classification prompt based on role's experience levels
-    let classificationPrompt = `Classify the experience level for this ${role} job posting. Available levels:\n\n`;
+    // Keywords of each experience level of the role
+    let levels = '';
     for (const [level, config] of Object.entries(experienceLevels)) {
-      classificationPrompt += `${level}: ${config.keywords.join(', ')}\n`;
+      levels += `${level}: ${config.keywords.join(', ')}\n`;
     }
     
-    // Use OpenAI utility to classify experience level
-    const messages = [
-      { role: 'system', content: 'You are an experience level classifier. Return JSON with level and confidence.' },
-      { role: 'user', content: `${classificationPrompt}\n\nJob posting:\n${rawText.substring(0, 4000)}\n\nReturn JSON: {"level": "one_of_available_levels", "confidence": 0.0-1.0, "reasoning": "..."}` }
-    ];
+    const prompt = renderPrompt('extraction.experience_detector', {
+      role,
+      levels,
+      posting: rawText.substring(0, 4000)
+    });
     
-    const { chatCompletion } = await import('../../shared/utils/openai.js');
-    const classification = await chatCompletion(messages, {
+    const { structuredCompletion } = await import('../../shared/utils/openai.js');
+    const classification = await structuredCompletion(prompt.messages, z.object({
+      level: z.enum(Object.keys(experienceLevels)),
+      confidence: z.number().min(0).max(1),
+      reasoning: z.string().optional()
+    }), {
       model: 'gpt-4o-mini',
       maxTokens: 150,
-      responseFormat: { type: 'json_object' }
+      responseFormat: { type: 'json_object' },
+      name: 'experience level'
     });
     
     if (!classification.success) {
-      throw new Error(`Experience level classification failed: ${classification.error}`);
+      throw classification.failure;
     }
     
-    const classificationResult = JSON.parse(classification.data);
-    const { level: selectedLevel, confidence: levelConfidence, reasoning } = classificationResult;
-    
-    // Validate the classification against role's available levels
-    if (!Object.keys(experienceLevels).includes(selectedLevel)) {
-      throw new Error(`Invalid experience level: ${selectedLevel} for role: ${role}. Available: ${Object.keys(experienceLevels).join(', ')}`);
-    }
-    
-    if (levelConfidence < 0 || levelConfidence > 1) {
-      throw new Error(`Invalid confidence score: ${levelConfidence}`);
-    }
+    const { level: selectedLevel, confidence: levelConfidence, reasoning } = classification.data;
     
     // Get the selected level's configuration
     const selectedLevelConfig = experienceLevels[selectedLevel];
@@ -121,11 +119,12 @@ async function experienceDetectorNode(state) {
       reasoning: reasoning || '',
       required_dimensions: selectedLevelConfig.required_dimensions,
       analysis_depth: selectedLevelConfig.analysis_depth,
-      detectedAt: new Date().toISOString()
+      detectedAt: new Date().toISOString(),
+      prompt_versions: withPromptVersions({}, prompt)
     };
     
-    console.log(`ExperienceDetectorNode: Successfully classified as: ${selectedLevel} (confidence: ${levelConfidence})`);
-    console.log(`ExperienceDetectorNode: Required dimensions: ${selectedLevelConfig.required_dimensions}, Analysis depth: ${selectedLevelConfig.analysis_depth}`);
+    logger.info(`ExperienceDetectorNode: Successfully classified as: ${selectedLevel} (confidence: ${levelConfidence})`);
+    logger.info(`ExperienceDetectorNode: Required dimensions: ${selectedLevelConfig.required_dimensions}, Analysis depth: ${selectedLevelConfig.analysis_depth}`);
     
     // Return updated state with experience level classification
     return {
@@ -145,7 +144,7 @@ async function experienceDetectorNode(state) {
     };
 
   } catch (error) {
-    console.error('ExperienceDetectorNode: Error detecting experience level:', error);
+    logger.error('ExperienceDetectorNode: Error detecting experience level', { error });
     
     return {
       ...state,
@@ -4,6 +4,8 @@
  */
 
 import { z } from 'zod';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
+import { logger } from '../../shared/utils/logger.js';
 
 /**
  * Content Extractor Node - Pure Function
@@ -13,49 +15,36 @@ import { z } from 'zod';
  */
 async function contentExtractorNode(state) {
   try {
-    console.log('ContentExtractorNode: Starting content extraction...');
-    
-    // Debug logging to see what's in the state
-    console.log('ContentExtractorNode: State debug info:');
-    console.log('- job_data present:', !!state.job_data);
-    console.log('- job_data.url:', state.job_data?.url || 'MISSING');
-    console.log('- page present:', !!state.page);
-    console.log('- page type:', typeof state.page);
-    
-    // Log all fields in job_data to understand the structure
-    if (state.job_data) {
-      console.log('ContentExtractorNode: Job data fields:');
-      console.log('- All keys:', Object.keys(state.job_data));
-      console.log('- Full job_data:', JSON.stringify(state.job_data, null, 2));
-    }
+    logger.info('ContentExtractorNode: Starting content extraction...', {
+      url: state.job_data?.url || null,
+      hasPage: Boolean(state.page)
+    });
+    logger.debug('ContentExtractorNode: Job data fields', { fields: Object.keys(state.job_data || {}) });
     
     // Handle case where job_data is null but page is available (for testing)
     if (!state.job_data && state.page) {
-      console.log('ContentExtractorNode: No job data but page available, using test URL');
+      logger.info('ContentExtractorNode: No job data but page available, using test URL');
       const testUrl = 'https://www.linkedin.com/jobs/view/4253471300';
       
-      console.log(`ContentExtractorNode: Using test URL: ${testUrl}`);
+      logger.info(`ContentExtractorNode: Using test URL: ${testUrl}`);
       
       try {
         const url = testUrl;
         const page = state.page;
         
-        console.log(`ContentExtractorNode: About to navigate to test URL: ${url}`);
-        console.log(`ContentExtractorNode: Page object type: ${typeof page}`);
-        console.log(`ContentExtractorNode: Page has goto method: ${typeof page.goto === 'function'}`);
-        
         // Navigate to job page
-        console.log(`ContentExtractorNode: Navigating to: ${url}`);
+        logger.info(`ContentExtractorNode: Navigating to: ${url}`);
         await page.goto(url, { waitUntil: 'networkidle' });
         
         // Wait a bit for dynamic content to load
-        console.log('ContentExtractorNode: Waiting for dynamic content...');
+        logger.info('ContentExtractorNode: Waiting for dynamic content...');
         await page.waitForTimeout(2000);
         
         // Use AI prompting to extract raw content
-        console.log('ContentExtractorNode: Extracting content with AI...');
+        logger.info('ContentExtractorNode: Extracting content with AI...');
+        const prompt = renderPrompt('extraction.content_extractor');
         const extractedContent = await page.extract({
-          instruction: "Extract the complete raw text content of this job posting page. Include all job description text, requirements, responsibilities, qualifications, and any other job-related information. Return the full text content as it appears on the page.",
+          instruction: prompt.instruction,
           schema: z.object({
             rawText: z.string(),
             pageTitle: z.string().optional()
@@ -66,11 +55,12 @@ async function contentExtractorNode(state) {
           url: url,
           rawText: extractedContent.rawText,
           pageTitle: extractedContent.pageTitle || '',
-          extractedAt: new Date().toISOString()
+          extractedAt: new Date().toISOString(),
+          prompt_versions: withPromptVersions({}, prompt)
         };
         
-        console.log(`ContentExtractorNode: Successfully extracted ${content.rawText.length} characters of content`);
-        console.log(`ContentExtractorNode: Page title: ${content.pageTitle}`);
+        logger.info(`ContentExtractorNode: Successfully extracted ${content.rawText.length} characters of content`);
+        logger.info(`ContentExtractorNode: Page title: ${content.pageTitle}`);
         
         // Return updated state with extracted content
         return {
@@ -87,9 +77,7 @@ async function contentExtractorNode(state) {
         };
         
       } catch (error) {
-        console.error('ContentExtractorNode: Error extracting content from test URL:', error);
-        console.error('ContentExtractorNode: Error details:', error.message);
-        console.error('ContentExtractorNode: Error stack:', error.stack);
+        logger.error('ContentExtractorNode: Error extracting content from test URL', { error });
         
         return {
           ...state,
@@ -112,10 +100,11 @@ async function contentExtractorNode(state) {
     }
     
     if (!state.job_data || !state.job_data.url || !state.page) {
-      console.error('ContentExtractorNode: Missing job URL or page');
-      console.error('- job_data:', state.job_data ? 'Present' : 'Missing');
-      console.error('- job_data.url:', state.job_data?.url || 'Missing');
-      console.error('- page:', state.page ? 'Present' : 'Missing');
+      logger.error('ContentExtractorNode: Missing job URL or page', {
+        hasJobData: Boolean(state.job_data),
+        url: state.job_data?.url || null,
+        hasPage: Boolean(state.page)
+      });
       return {
         ...state,
         errors: [
@@ -138,12 +127,8 @@ async function contentExtractorNode(state) {
     const url = state.job_data.url;
     const page = state.page;
     
-    console.log(`ContentExtractorNode: About to navigate to URL: ${url}`);
-    console.log(`ContentExtractorNode: Page object type: ${typeof page}`);
-    console.log(`ContentExtractorNode: Page has goto method: ${typeof page.goto === 'function'}`);
-    
     // Navigate to job page with retry logic
-    console.log(`ContentExtractorNode: Navigating to: ${url}`);
+    logger.info(`ContentExtractorNode: Navigating to: ${url}`);
     
     let navigationSuccess = false;
     let retryCount = 0;
@@ -156,40 +141,41 @@ async function contentExtractorNode(state) {
           timeout: 60000 // Increased timeout to 60 seconds
         });
         navigationSuccess = true;
-        console.log(`ContentExtractorNode: Navigation successful on attempt ${retryCount + 1}`);
+        logger.info(`ContentExtractorNode: Navigation successful on attempt ${retryCount + 1}`);
       } catch (error) {
         retryCount++;
-        console.warn(`ContentExtractorNode: Navigation attempt ${retryCount} failed:`, error.message);
+        logger.warn(`ContentExtractorNode: Navigation attempt ${retryCount} failed`, { error: error.message });
         
         if (retryCount >= maxRetries) {
           throw new Error(`Failed to navigate to ${url} after ${maxRetries} attempts: ${error.message}`);
         }
         
         // Wait before retry
-        console.log(`ContentExtractorNode: Waiting 2 seconds before retry...`);
+        logger.info(`ContentExtractorNode: Waiting 2 seconds before retry...`);
         await page.waitForTimeout(2000);
       }
     }
     
     // Wait a bit for dynamic content to load
-    console.log('ContentExtractorNode: Waiting for dynamic content...');
+    logger.info('ContentExtractorNode: Waiting for dynamic content...');
     await page.waitForTimeout(5000); // Increased wait time to 5 seconds
     
     // Try to wait for job-specific content to load
     try {
-      console.log('ContentExtractorNode: Waiting for job content to load...');
+      logger.info('ContentExtractorNode: Waiting for job content to load...');
       await page.waitForSelector('h1, .job-title, .title, [data-testid*="title"], [class*="title"]', { 
         timeout: 10000 
       });
-      console.log('ContentExtractorNode: Job title element found');
+      logger.info('ContentExtractorNode: Job title element found');
     } catch (error) {
-      console.warn('ContentExtractorNode: Could not find job title element, proceeding anyway:', error.message);
+      logger.warn('ContentExtractorNode: Could not find job title element, proceeding anyway', { error: error.message });
     }
     
     // Use AI prompting to extract raw content
-    console.log('ContentExtractorNode: Extracting content with AI...');
+    logger.info('ContentExtractorNode: Extracting content with AI...');
+    const prompt = renderPrompt('extraction.content_extractor');
     const extractedContent = await page.extract({
-      instruction: "Extract the complete raw text content of this job posting page. Include all job description text, requirements, responsibilities, qualifications, and any other job-related information. Return the full text content as it appears on the page.",
+      instruction: prompt.instruction,
       schema: z.object({
         rawText: z.string(),
         pageTitle: z.string().optional()
@@ -200,11 +186,12 @@ async function contentExtractorNode(state) {
       url: url,
       rawText: extractedContent.rawText,
       pageTitle: extractedContent.pageTitle || '',
-      extractedAt: new Date().toISOString()
+      extractedAt: new Date().toISOString(),
+      prompt_versions: withPromptVersions({}, prompt)
     };
     
-    console.log(`ContentExtractorNode: Successfully extracted ${content.rawText.length} characters of content`);
-    console.log(`ContentExtractorNode: Page title: ${content.pageTitle}`);
+    logger.info(`ContentExtractorNode: Successfully extracted ${content.rawText.length} characters of content`);
+    logger.info(`ContentExtractorNode: Page title: ${content.pageTitle}`);
     
     // Return updated state with extracted content
     return {
@@ -221,9 +208,7 @@ async function contentExtractorNode(state) {
     };
 
   } catch (error) {
-    console.error('ContentExtractorNode: Error extracting content:', error);
-    console.error('ContentExtractorNode: Error details:', error.message);
-    console.error('ContentExtractorNode: Error stack:', error.stack);
+    logger.error('ContentExtractorNode: Error extracting content', { error });
     
     return {
       ...state,
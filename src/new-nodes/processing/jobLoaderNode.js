@@ -4,8 +4,8 @@
  */
 
 import { getItem } from '../../shared/utils/dynamoDB.js';
+import { JOB_STATUS, canTransition, statusesLeadingTo } from '../../shared/utils/jobLifecycle.js';
 import { logger } from '../../shared/utils/logger.js';
-import { enhancedStagehandClient } from '../../shared/utils/enhancedStagehand.js';
 
 /**
  * Job Loader Node - Pure Function
@@ -15,7 +15,7 @@ import { enhancedStagehandClient } from '../../shared/utils/enhancedStagehand.js
  */
 async function jobLoaderNode(state) {
   try {
-    console.log('JobLoaderNode: Starting job loading...');
+    logger.info('JobLoaderNode: Starting job loading...');
     
     // Configuration
     const tableName = process.env.DYNAMODB_TABLE || 'job_descriptions';
@@ -24,7 +24,7 @@ async function jobLoaderNode(state) {
     const jobId = state.job_data?.jd_id || state.initial_job_id;
     
     if (!jobId) {
-      console.error('JobLoaderNode: No job ID provided');
+      logger.error('JobLoaderNode: No job ID provided');
       return {
         ...state,
         errors: [
@@ -44,28 +44,17 @@ async function jobLoaderNode(state) {
       };
     }
     
-    console.log(`JobLoaderNode: Loading job with ID: ${jobId}`);
+    logger.info(`JobLoaderNode: Loading job with ID: ${jobId}`);
     
     // Load single job from DynamoDB
     const job = await loadJobFromDynamoDB(tableName, jobId);
     
     if (!job) {
-      console.log(`JobLoaderNode: Job with ID ${jobId} not found`);
-      
-      // Initialize Stagehand page object even if job not found (for testing)
-      let page = null;
-      try {
-        await enhancedStagehandClient.start();
-        page = await enhancedStagehandClient.newPage();
-        console.log('JobLoaderNode: Stagehand page initialized for testing');
-      } catch (error) {
-        console.error('JobLoaderNode: Failed to initialize Stagehand page:', error.message);
-      }
+      logger.info(`JobLoaderNode: Job with ID ${jobId} not found`);
       
       return {
         ...state,
         job_data: null,
-        page: page,
         current_node: 'job_loader',
         metadata: {
           ...state.metadata,
@@ -77,16 +66,18 @@ async function jobLoaderNode(state) {
       };
     }
 
-    // Validate job status
-    if (job.status !== 'discovered') {
-      console.error(`JobLoaderNode: Job ${jobId} has status '${job.status}', expected 'discovered'`);
+    // Validate job status: the job must be able to move to 'extracted' when the storage node runs
+    // (jobs run through the job queue are claimed as 'extracting')
+    if (!canTransition(job.status, JOB_STATUS.EXTRACTED)) {
+      const expected = statusesLeadingTo(JOB_STATUS.EXTRACTED).map(status => `'${status}'`).join(' or ');
+      logger.error(`JobLoaderNode: Job ${jobId} has status '${job.status}', expected ${expected}`);
       return {
         ...state,
         errors: [
           ...state.errors,
           {
             node: 'job_loader',
-            error: `Job ${jobId} has status '${job.status}', expected 'discovered'`,
+            error: `Job ${jobId} has status '${job.status}', expected ${expected}`,
             timestamp: new Date().toISOString()
           }
         ],
@@ -99,38 +90,29 @@ async function jobLoaderNode(state) {
       };
     }
 
-    console.log(`JobLoaderNode: Successfully loaded job: ${job.jd_id} with status: ${job.status}`);
-    console.log(`JobLoaderNode: Job URL: ${job.url}`);
-    console.log(`JobLoaderNode: Job data structure:`, {
-      jd_id: job.jd_id,
-      url: job.url,
-      status: job.status,
-      hasUrl: !!job.url
+    logger.info(`JobLoaderNode: Successfully loaded job: ${job.jd_id} with status: ${job.status}`, {
+      url: job.url || job.source_url,
+      fields: Object.keys(job)
     });
-    console.log(`JobLoaderNode: Complete job object:`, JSON.stringify(job, null, 2));
     
-    // Initialize Stagehand page object for content extraction
-    let page = null;
-    try {
-      await enhancedStagehandClient.start();
-      page = await enhancedStagehandClient.newPage();
-      console.log('JobLoaderNode: Stagehand page initialized successfully');
-    } catch (error) {
-      console.error('JobLoaderNode: Failed to initialize Stagehand page:', error.message);
+    // Stagehand page for content extraction, leased by the workflow for this run
+    const page = state.page;
+    if (!page) {
+      logger.error('JobLoaderNode: No Stagehand page in state');
       return {
         ...state,
         errors: [
           ...state.errors,
           {
             node: 'job_loader',
-            error: `Failed to initialize Stagehand page: ${error.message}`,
+            error: 'No Stagehand page in state (the workflow leases one from the browser pool)',
             timestamp: new Date().toISOString()
           }
         ],
         metadata: {
           ...state.metadata,
           job_loader_failed: true,
-          job_loader_error: `Stagehand initialization failed: ${error.message}`,
+          job_loader_error: 'Stagehand page missing',
           job_loader_timestamp: new Date().toISOString()
         }
       };
@@ -159,16 +141,10 @@ async function jobLoaderNode(state) {
       }
     };
     
-    console.log('JobLoaderNode: Returning state with:');
-    console.log('- job_data present:', !!updatedState.job_data);
-    console.log('- job_data.url:', updatedState.job_data?.url || 'MISSING');
-    console.log('- page present:', !!updatedState.page);
-    console.log('- page type:', typeof updatedState.page);
-    
     return updatedState;
 
   } catch (error) {
-    console.error('JobLoaderNode: Error loading job:', error);
+    logger.error('JobLoaderNode: Error loading job', { error });
     
     return {
       ...state,
@@ -198,21 +174,21 @@ async function jobLoaderNode(state) {
  */
 async function loadJobFromDynamoDB(tableName, jobId) {
   try {
-    console.log(`JobLoaderNode: Loading job with ID ${jobId} from ${tableName}`);
+    logger.info(`JobLoaderNode: Loading job with ID ${jobId} from ${tableName}`);
     
     // Get job by jd_id (primary key)
     const job = await getItem(tableName, { jd_id: jobId });
 
     if (!job) {
-      console.log(`JobLoaderNode: Job with ID ${jobId} not found`);
+      logger.info(`JobLoaderNode: Job with ID ${jobId} not found`);
       return null;
     }
 
-    console.log(`JobLoaderNode: Found job: ${job.jd_id}, status: ${job.status}`);
+    logger.info(`JobLoaderNode: Found job: ${job.jd_id}, status: ${job.status}`);
     return job;
     
   } catch (error) {
-    console.error(`JobLoaderNode: Failed to load job: ${error.message}`);
+    logger.error(`JobLoaderNode: Failed to load job: ${error.message}`);
     throw new Error(`Failed to load job: ${error.message}`);
   }
 }
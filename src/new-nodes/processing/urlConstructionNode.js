@@ -1,11 +1,21 @@
 import { readFileSync } from 'fs';
 import { parse } from 'csv-parse/sync';
-import OpenAI from 'openai';
+import { z } from 'zod';
+import { structuredCompletion } from '../../shared/utils/openai.js';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
 import { logger } from '../../shared/utils/logger.js';
+import { atsFeedsEnabled, detectAtsFromUrl } from '../../shared/ats/index.js';
+import { expandUrlTemplate, filterValueFor, getUrlTemplate, templatePlaceholders, TEMPLATE_PARAMETERS } from '../../shared/utils/urlTemplate.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  model: "gpt-4o-mini"
+// The answer is the bare URL, nothing around it
+const finalUrlSchema = z.string().trim().refine(isValidUrl, 'Expected only the final URL, with no explanation around it');
+
+// How the final URL of a config row was built
+export const URL_CONSTRUCTION_PATHS = Object.freeze({
+  ATS: 'ats',                         // board listed from its ATS feed
+  TEMPLATE: 'template',               // {placeholders} of the config row expanded
+  STORED_TEMPLATE: 'stored_template', // template derived by career discovery for the company
+  LLM: 'llm'                          // the model read the row and its description
 });
 
 export const urlConstructionNode = async (state) => {
@@ -24,41 +34,93 @@ export const urlConstructionNode = async (state) => {
     logger.info(`Loaded ${records.length} URL templates from CSV`);
     
     const processedUrls = [];
+    const report = {
+      ...Object.fromEntries(Object.values(URL_CONSTRUCTION_PATHS).map(path => [path, 0])),
+      failed: []
+    };
     
     // Process each URL template
     for (const record of records) {
       const { url: urlTemplate, description, company } = record;
       
+      // ATS boards are listed from their feed, which takes no search filters; atsListingNode applies them
+      const board = atsFeedsEnabled() ? detectAtsFromUrl(urlTemplate) : null;
+      if (board) {
+        logger.info(`Listing ${urlTemplate} from the ${board.platform} feed`, { boardId: board.boardId });
+        processedUrls.push({
+          originalTemplate: urlTemplate,
+          finalUrl: board.boardUrl,
+          description,
+          company,
+          domain,
+          filters,
+          urlType,
+          ats: board,
+          construction: URL_CONSTRUCTION_PATHS.ATS
+        });
+        report[URL_CONSTRUCTION_PATHS.ATS]++;
+        continue;
+      }
+      
+      // Expand the template without the model when its placeholders are known
+      const expanded = await expandTemplate(record, domain, filters, state.valueMappings);
+      if (expanded) {
+        processedUrls.push({
+          originalTemplate: urlTemplate,
+          finalUrl: expanded.finalUrl,
+          description,
+          company,
+          domain,
+          filters,
+          urlType,
+          construction: expanded.construction
+        });
+        report[expanded.construction]++;
+        continue;
+      }
+      
       // Generate the final URL using OpenAI
-      const finalUrl = await generateUrlWithOpenAI(urlTemplate, description, domain, filters, urlType);
+      const generated = await generateUrlWithOpenAI(urlTemplate, description, domain, filters, urlType);
       
-      if (finalUrl) {
+      if (generated.finalUrl) {
         processedUrls.push({
           originalTemplate: urlTemplate,
-          finalUrl,
+          finalUrl: generated.finalUrl,
           description,
           company,
           domain,
           filters,
-          urlType
+          urlType,
+          promptVersions: generated.promptVersions,
+          construction: URL_CONSTRUCTION_PATHS.LLM
         });
+        report[URL_CONSTRUCTION_PATHS.LLM]++;
+      } else {
+        report.failed.push({ template: urlTemplate, company, error: generated.error });
       }
     }
     
-    logger.info(`URL construction completed. Generated ${processedUrls.length} URLs`);
+    logger.info(`URL construction completed. Generated ${processedUrls.length} URLs`, { ...report, failed: report.failed.length });
+    logger.debug('Constructed URLs', { urls: processedUrls.map(url => url.finalUrl) });
     
-    console.log('🔍 URL Construction Debug - Returning state:');
-    console.log('- processedUrls.length:', processedUrls.length);
-    console.log('- processedUrls:', JSON.stringify(processedUrls, null, 2));
+    // Rows without a URL are reported, not just left out
+    const failedRows = report.failed.map(({ template, error }) => ({
+      step: 'url_construction',
+      error: `No URL built for ${template}: ${error}`,
+      url: template,
+      timestamp: new Date().toISOString()
+    }));
     
     return {
       ...state,
       processedUrls,
+      urlConstruction: report,
+      errors: failedRows.length > 0 ? [...(state.errors || []), ...failedRows] : state.errors,
       currentStep: 'url_construction_complete'
     };
     
   } catch (error) {
-    logger.error('URL construction failed:', error.message);
+    logger.error('URL construction failed', { error: error.message });
     
     return {
       ...state,
@@ -72,60 +134,92 @@ export const urlConstructionNode = async (state) => {
   }
 };
 
-async function generateUrlWithOpenAI(urlTemplate, description, domain, filters, urlType) {
-  try {
-    const prompt = `
-You are a URL generation expert. Given a URL template with parameters and specific filters, generate the final URL.
+/**
+ * Value tables of a company's row: the '*' entry of valueMappings, then the company's own
+ * ({ '*': { location: { Remote: '4021' } }, Acme: { location: { Berlin: '17' } } })
+ */
+function mappingsFor(valueMappings = {}, company) {
+  const all = valueMappings['*'] || {};
+  const own = (company && valueMappings[company]) || {};
+  return Object.fromEntries([...new Set([...Object.keys(all), ...Object.keys(own)])]
+    .map(parameter => [parameter, { ...all[parameter], ...own[parameter] }]));
+}
 
-URL Template: ${urlTemplate}
-Description: ${description}
-Target Domain: ${domain}
-URL Type: ${urlType}
-Filters: ${JSON.stringify(filters, null, 2)}
+/**
+ * Final URL of a row from its {placeholders}, else from the template career discovery
+ * stored for its company. Null when neither applies or expansion fails, so the model
+ * reads the row instead.
+ */
+async function expandTemplate(record, domain, filters, valueMappings) {
+  const { url: urlTemplate, company } = record;
+  // The target domain is the search keyword unless a filter gives one
+  const values = domain && filterValueFor(filters, TEMPLATE_PARAMETERS.KEYWORD) === undefined
+    ? { ...filters, [TEMPLATE_PARAMETERS.KEYWORD]: domain }
+    : filters;
+  const mappings = mappingsFor(valueMappings, company);
 
-Instructions:
-1. Analyze the URL template and identify all parameter placeholders (e.g., {keywords}, {location}, {experience})
-2. Use the provided filters to fill in these parameters appropriately
-3. If a parameter doesn't have a corresponding filter, do not include it in the final URL. for exmaple, if location is not provided, do not include it in the final URL.
-4. Ensure the final URL is properly encoded and valid
-5. Return ONLY the final URL, nothing else
+  let template = urlTemplate;
+  let construction = URL_CONSTRUCTION_PATHS.TEMPLATE;
 
-Example:
-- Template: https://example.com/jobs?q={keywords}&l={location}
-- Filters: {keywords: "software engineer", location: "San Francisco"}
-- Result: https://example.com/jobs?q=software%20engineer&l=San%20Francisco
+  if (templatePlaceholders(urlTemplate).length === 0) {
+    const stored = company ? await findStoredTemplate(company) : null;
+    // A template that did not reproduce the combined filter URL is not trusted
+    if (!stored || stored.verified === false) return null;
+    template = stored;
+    construction = URL_CONSTRUCTION_PATHS.STORED_TEMPLATE;
+  }
 
-Generate the final URL:`;
+  try {
+    const { url, omitted, unmapped } = expandUrlTemplate(template, values, { mappings });
+    if (unmapped.length > 0) {
+      logger.warn(`No mapped value for ${unmapped.join(', ')} in ${urlTemplate}; using the filter values as they are`, { company });
+    }
+    logger.info(`Built ${url} from ${construction === URL_CONSTRUCTION_PATHS.TEMPLATE ? 'the row template' : `the stored template of ${company}`}`, { omitted });
+    return { finalUrl: url, construction };
+  } catch (error) {
+    logger.warn(`Template expansion failed for ${urlTemplate}, asking the model`, { company, error: error.message, failure_type: error.type });
+    return null;
+  }
+}
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a URL generation expert. Return only the final URL, no explanations or additional text."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
+async function findStoredTemplate(company) {
+  try {
+    return await getUrlTemplate(company);
+  } catch (error) {
+    logger.warn('Could not read the stored URL template', { company, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * @returns {Promise<{ finalUrl?: string, promptVersions?: Object, error?: string }>}
+ */
+async function generateUrlWithOpenAI(urlTemplate, description, domain, filters, urlType) {
+  try {
+    const prompt = renderPrompt('discovery.url_construction', {
+      urlTemplate,
+      description: description ?? '',
+      domain: domain ?? '',
+      urlType,
+      filters
+    });
+
+    const completion = await structuredCompletion(prompt.messages, finalUrlSchema, {
       temperature: 0.1,
-      max_tokens: 500
+      maxTokens: 500,
+      name: 'job search URL'
     });
 
-    const finalUrl = completion.choices[0].message.content.trim();
-    
-    // Validate the URL
-    if (!isValidUrl(finalUrl)) {
-      logger.warn(`Generated URL appears invalid: ${finalUrl}`);
-      return null;
+    if (!completion.success) {
+      logger.warn(`No valid URL generated for ${urlTemplate}: ${completion.error}`);
+      return { error: completion.error };
     }
     
-    return finalUrl;
+    return { finalUrl: completion.data, promptVersions: withPromptVersions({}, prompt) };
     
   } catch (error) {
-    logger.error('OpenAI URL generation failed:', error.message);
-    return null;
+    logger.error('OpenAI URL generation failed', { error: error.message });
+    return { error: error.message };
   }
 }
 
@@ -0,0 +1,62 @@
+import { logger } from '../../shared/utils/logger.js';
+import { filterAtsPostings, listAtsPostings } from '../../shared/ats/index.js';
+
+/**
+ * List the postings of the current URL's ATS board from the ATS feed, keeping
+ * those that match the run's domain and filters (the feed returns the whole board).
+ * Replaces the page scrape, the LLM URL filter and pagination for boards
+ * recognized by urlConstructionNode; when the feed fails, the workflow falls
+ * back to scraping the board page.
+ */
+export const atsListingNode = async (state) => {
+  const { currentUrl, scrapedJobs = [] } = state;
+  const board = currentUrl?.ats;
+
+  try {
+    const listed = await listAtsPostings(board, { politeness: state.politeness });
+    const postings = filterAtsPostings(listed, { domain: currentUrl.domain, filters: currentUrl.filters });
+    const scrapedAt = new Date().toISOString();
+
+    const newJobs = postings.map(posting => ({
+      title: posting.title,
+      url: posting.url,
+      company: currentUrl.company || board.boardId,
+      source: `ats:${board.platform}`,
+      posting: {
+        platformJobId: posting.platformJobId,
+        location: posting.location,
+        department: posting.department,
+        employmentType: posting.employmentType,
+        postedAt: posting.postedAt
+      },
+      scrapedAt
+    }));
+
+    logger.info(`ATS listing completed for ${board.platform}/${board.boardId}. Found ${newJobs.length} of ${listed.length} jobs matching the filters. Total jobs: ${scrapedJobs.length + newJobs.length}`);
+
+    return {
+      ...state,
+      scrapedJobs: [...scrapedJobs, ...newJobs],
+      currentStep: 'ats_listing_complete'
+    };
+
+  } catch (error) {
+    logger.warn('ATS listing failed, scraping the board page instead', {
+      platform: board?.platform,
+      boardId: board?.boardId,
+      error: error.message
+    });
+
+    return {
+      ...state,
+      errors: [...(state.errors || []), {
+        step: 'ats_listing',
+        error: error.message,
+        failure_type: error.type,
+        url: currentUrl?.finalUrl,
+        timestamp: new Date().toISOString()
+      }],
+      currentStep: 'ats_listing_failed'
+    };
+  }
+};
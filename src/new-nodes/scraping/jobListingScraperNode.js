@@ -1,7 +1,23 @@
 import { logger } from '../../shared/utils/logger.js';
 import { z } from 'zod';
 import { insertJobDescriptions } from '../../shared/utils/dynamoDB.js';
-import { chatCompletion } from '../../shared/utils/openai.js';
+import { structuredCompletion } from '../../shared/utils/openai.js';
+import { renderPrompt, withPromptVersions } from '../../shared/prompts/index.js';
+import { getDomainGovernor } from '../../shared/utils/domainGovernor.js';
+
+/**
+ * Schema of the URL filter answer: a subset of the URLs found on the page
+ * @param {Array<string>} allUrls - URLs extracted from the listing page
+ */
+function urlFilterSchema(allUrls) {
+  const pageUrls = new Set(allUrls);
+  return z.object({
+    jobDetailUrls: z.array(z.string().refine(url => pageUrls.has(url), url => ({
+      message: `${url} is not one of the URLs to filter; copy URLs exactly from the list`
+    }))),
+    reasoning: z.string().default('')
+  });
+}
 
 export const jobListingScraperNode = async (state) => {
   const { currentUrl, page, agent, scrapedJobs = [] } = state;
@@ -20,8 +36,23 @@ export const jobListingScraperNode = async (state) => {
       };
     }
     
-    // Navigate to the current job search page
-    await page.goto(currentUrl.finalUrl, { waitUntil: 'networkidle' });
+    // Navigate to the current job search page, spaced and backed off per host
+    const response = await getDomainGovernor().goto(page, currentUrl.finalUrl, { waitUntil: 'networkidle' }, state.politeness);
+    const status = response?.status?.();
+    if (status === 403 || status === 429) {
+      // Reading the block page would only feed its links to the URL filter
+      logger.warn(`Job listing page blocked (HTTP ${status}): ${currentUrl.finalUrl}`);
+      return {
+        ...state,
+        errors: [...(state.errors || []), {
+          step: 'job_scraping',
+          error: `Blocked by ${currentUrl.finalUrl} (HTTP ${status})`,
+          url: currentUrl.finalUrl,
+          timestamp: new Date().toISOString()
+        }],
+        currentStep: 'job_scraping_failed'
+      };
+    }
     
     // Use page.evaluate() to get ALL URLs from the page
     const allUrls = await page.evaluate(() => {
@@ -37,52 +68,33 @@ export const jobListingScraperNode = async (state) => {
     }
 
     // Use OpenAI to filter URLs to get only job detail URLs
-    const filterPrompt = `You are a URL filter for job platforms. I will give you a list of URLs from a job listing page. Your task is to filter and return only the URLs that point to individual job detail pages.
-
-Look for URLs that point to pages with:
-- Specific job titles
-- Job descriptions
-- Apply buttons
-- Individual job postings
-
-Return a JSON object with this structure:
-{
-  "jobDetailUrls": ["url1", "url2", ...],
-  "reasoning": "Brief explanation of filtering logic"
-}
+    const filterPrompt = renderPrompt('discovery.job_url_filter', { urls: allUrls.join('\n') });
 
-URLs to filter:
-${allUrls.join('\n')}`;
-
-    const filterResult = await chatCompletion([
-      { role: 'user', content: filterPrompt }
-    ], {
+    const filterResult = await structuredCompletion(filterPrompt.messages, urlFilterSchema(allUrls), {
       maxTokens: 2000,
-      temperature: 0.1
+      temperature: 0.1,
+      name: 'job URL filter'
     });
 
-    let jobDetailUrls = [];
-    let reasoning = '';
-
-    if (filterResult.success) {
-      logger.info(`OpenAI response: ${filterResult.data}`);
-      try {
-        const parsed = JSON.parse(filterResult.data);
-        jobDetailUrls = parsed.jobDetailUrls || [];
-        reasoning = parsed.reasoning || '';
-        logger.info(`OpenAI filtering reasoning: ${reasoning}`);
-      } catch (error) {
-        logger.error('Failed to parse OpenAI filtering response:', error.message);
-        logger.error('Raw OpenAI response:', filterResult.data);
-        // Fallback: treat all URLs as potential job details
-        jobDetailUrls = allUrls;
-      }
-    } else {
-      logger.error('OpenAI filtering failed:', filterResult.error);
-      // Fallback: treat all URLs as potential job details
-      jobDetailUrls = allUrls;
+    if (!filterResult.success) {
+      // Storing every link of the page as a job would send navigation and footer links to extraction
+      logger.error('Job URL filtering failed:', filterResult.error);
+      return {
+        ...state,
+        errors: [...(state.errors || []), {
+          step: 'job_scraping',
+          error: filterResult.error,
+          failure_type: filterResult.failure.type,
+          url: currentUrl.finalUrl,
+          timestamp: new Date().toISOString()
+        }],
+        currentStep: 'job_scraping_failed'
+      };
     }
 
+    const { jobDetailUrls, reasoning } = filterResult.data;
+    logger.info(`OpenAI filtering reasoning: ${reasoning}`);
+
     logger.info(`AI filtered to ${jobDetailUrls.length} JobDetail URLs`);
     if (jobDetailUrls.length > 0) {
       logger.info(`Sample job detail URLs: ${jobDetailUrls.slice(0, 3).join(', ')}`);
@@ -93,6 +105,7 @@ ${allUrls.join('\n')}`;
       title: `Job ${index + 1}`,
       url: url,
       company: currentUrl.company || extractCompanyFromUrl(url),
+      promptVersions: withPromptVersions({}, filterPrompt),
       scrapedAt: new Date().toISOString()
     }));
     
@@ -1,5 +1,7 @@
 import { logger } from '../../shared/utils/logger.js';
 import { z } from 'zod';
+import { getDomainGovernor } from '../../shared/utils/domainGovernor.js';
+import { renderPrompt } from '../../shared/prompts/index.js';
 
 export const paginationScraperNode = async (state) => {
   const { currentUrl, pagination = {}, page, agent } = state;
@@ -27,7 +29,13 @@ export const paginationScraperNode = async (state) => {
       };
     }
     
-    const nextPageUrl = await detectNextPage(page, agent, currentUrl?.finalUrl, currentPage);
+    let nextPageUrl = await detectNextPage(page, agent, currentUrl?.finalUrl, currentPage);
+    
+    // Pages robots.txt disallows are not followed (only checked when the domain's rules respect it)
+    if (nextPageUrl && !(await getDomainGovernor().isAllowed(nextPageUrl, state.politeness))) {
+      logger.info(`Next page disallowed by robots.txt, stopping pagination: ${nextPageUrl}`);
+      nextPageUrl = null;
+    }
     
     const hasMorePages = !!nextPageUrl;
     
@@ -116,34 +124,7 @@ async function detectNextPage(page, agent, currentUrl, currentPage) {
 async function detectNextPageWithAI(page, agent, currentUrl, currentPage) {
   try {
     const result = await page.extract({
-      instruction: `You are a pagination detection expert. Analyze this job listing page and find the next page URL.
-
-Current URL: ${currentUrl}
-Current Page: ${currentPage}
-
-Your task:
-1. Look for pagination controls on the page
-2. Find "Next" buttons, page numbers, or pagination links
-3. Determine if there are more pages available
-4. Extract the URL for the next page
-
-IMPORTANT: 
-- Look for actual "Next" buttons or links on the page
-- Don't just append "&page=X" to the current URL
-- Find the actual href attribute of next page links
-- If you see "Next" button, extract its href value
-- If you see page numbers, find the next page number link
-
-Look for these elements:
-- "Next" buttons or links with href attributes
-- Page numbers (current + 1) with href attributes
-- Pagination controls with actual links
-- "Load more" buttons
-- Navigation arrows with href
-
-Return the actual next page URL if found, or indicate no more pages.
-do not return url by appending page number to the current url. it should be the actual next page url.
-`,
+      instruction: renderPrompt('discovery.next_page', { currentUrl: String(currentUrl), currentPage: String(currentPage) }).instruction,
       schema: z.object({
         nextPageUrl: z.string().optional(),
         hasMorePages: z.boolean(),
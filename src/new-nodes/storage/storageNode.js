@@ -3,24 +3,22 @@
  * Saves extracted job data to DynamoDB with status "extracted"
  */
 
-import { insertItem, getItem, updateItem } from '../../shared/utils/dynamoDB.js';
+import { insertItem, getItem } from '../../shared/utils/dynamoDB.js';
+import { JOB_STATUS, statusHistoryEntry, transitionJob } from '../../shared/utils/jobLifecycle.js';
 import { logger } from '../../shared/utils/logger.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent } from '../../shared/utils/webhooks.js';
 
 /**
  * Storage Node (Pure Function)
  * Saves extracted job data to DynamoDB with status "extracted"
  */
 const storageNode = async (state) => {
-  console.log('=== STORAGE NODE START ===');
-  console.log('State Keys:', Object.keys(state));
-  console.log('Job Data Keys:', Object.keys(state.job_data || {}));
-  console.log('Analysis Results Keys:', Object.keys(state.analysis_results || {}));
-  console.log('Dimension Mapping Keys:', Object.keys(state.dimension_mapping || {}));
-  console.log('Domain Classification Keys:', Object.keys(state.domain_classification || {}));
-  console.log('Quality Metrics Keys:', Object.keys(state.quality_metrics || {}));
-  console.log('Extracted Content Keys:', Object.keys(state.extracted_content || {}));
-  console.log('Entities Keys:', Object.keys(state.entities || {}));
-  console.log('=== STORAGE NODE END ===');
+  logger.info('StorageNode: Starting job storage...', {
+    jobId: state.job_data?.jd_id,
+    hasAnalysis: Boolean(state.analysis_results),
+    hasDimensionMapping: Boolean(state.dimension_mapping),
+    hasEntities: Boolean(state.entities)
+  });
   try {
     if (!state.job_data || !state.analysis_results) {
       throw new Error('No job data or analysis results available for storage');
@@ -28,7 +26,7 @@ const storageNode = async (state) => {
 
     // Handle missing dimension mapping with fallback
     if (!state.dimension_mapping) {
-      console.log('StorageNode: No dimension mapping available, creating fallback...');
+      logger.info('StorageNode: No dimension mapping available, creating fallback...');
       state.dimension_mapping = {
         dimensions: {},
         total_dimensions: 0,
@@ -40,11 +38,7 @@ const storageNode = async (state) => {
     }
 
     if (!state.entities) {
-      console.log('StorageNode: No entities found in state');
-      console.log('StorageNode: Available state keys:', Object.keys(state));
-      console.log('StorageNode: Job data keys:', Object.keys(state.job_data || {}));
-      console.log('StorageNode: Dimension mapping available:', !!state.dimension_mapping);
-      console.log('StorageNode: Analysis results available:', !!state.analysis_results);
+      logger.warn('StorageNode: No entities found in state, using fallback entities');
       
       // Create basic entities from available data as fallback
       const fallbackEntities = {
@@ -53,7 +47,6 @@ const storageNode = async (state) => {
         inferred_sections: {}
       };
       
-      console.log('StorageNode: Using fallback entities:', fallbackEntities);
       state.entities = fallbackEntities;
     }
 
@@ -102,7 +95,7 @@ const storageNode = async (state) => {
     const storageData = {
       jd_id: jobData.jd_id || jobData.id,
       url: jobData.url,
-      status: 'extracted',
+      status: JOB_STATUS.EXTRACTED,
       data: {
         ...jobData,
         extracted_data: extractedDimensions,
@@ -128,24 +121,27 @@ const storageNode = async (state) => {
         confidence_score: qualityMetrics?.confidence_score || 0,
         completeness_score: qualityMetrics?.completeness_score || 0,
         validation_passed: qualityMetrics?.passed || false,
-        entities_formatted: true
+        entities_formatted: true,
+        // Versions of the prompts behind this extraction (src/shared/prompts)
+        prompt_versions: {
+          ...extractedContent?.prompt_versions,
+          ...analysisResults?.prompt_versions,
+          ...domainClassification?.prompt_versions,
+          ...state.experience_detection?.prompt_versions,
+          ...dimensionMapping?.prompt_versions
+        }
       }
     };
 
-    // Log the storage data before insertion
-    console.log('=== STORAGE DATA BEFORE INSERTION ===');
-    console.log('Storage Data Keys:', Object.keys(storageData));
-    console.log('JD ID:', storageData.jd_id);
-    console.log('URL:', storageData.url);
-    console.log('Status:', storageData.status);
-    console.log('Domain:', storageData.domain);
-    console.log('Role:', storageData.role);
-    console.log('Experience Level:', storageData.experience_level);
-    console.log('Entities Keys:', Object.keys(storageData.entities || {}));
-    console.log('Entities Sample:', JSON.stringify(storageData.entities, null, 2).substring(0, 500) + '...');
-    console.log('Data Keys:', Object.keys(storageData.data || {}));
-    console.log('Extraction Metadata:', storageData.extraction_metadata);
-    console.log('=== END STORAGE DATA ===');
+    logger.info('StorageNode: Storing extracted job', {
+      jdId: storageData.jd_id,
+      url: storageData.url,
+      status: storageData.status,
+      domain: storageData.domain,
+      role: storageData.role,
+      experienceLevel: storageData.experience_level,
+      entities: Object.keys(storageData.entities || {})
+    });
 
     // Check if record exists and implement upsert logic
     const tableName = process.env.DYNAMODB_TABLE || 'job_descriptions';
@@ -153,7 +149,7 @@ const storageNode = async (state) => {
     
     let finalStorageData;
     if (existingRecord) {
-      console.log('StorageNode: Existing record found, implementing upsert logic...');
+      logger.info('StorageNode: Existing record found, implementing upsert logic...');
       
       
       // Merge extracted_dimensions (replace overlapping, keep existing non-overlapping)
@@ -181,50 +177,70 @@ const storageNode = async (state) => {
       
       finalStorageData = { jd_id, ...updateData };
       
-      console.log('StorageNode: Merged with existing record');
-      console.log('StorageNode: Original entities keys:', Object.keys(existingRecord.entities || {}));
-      console.log('StorageNode: New entities keys:', Object.keys(storageData.entities || {}));
-      // console.log('StorageNode: Merged entities keys:', Object.keys(mergedEntities));
+      logger.info('StorageNode: Merged with existing record', {
+        previousEntities: Object.keys(existingRecord.entities || {}),
+        entities: Object.keys(storageData.entities || {})
+      });
       
-      // Update existing record (excluding key fields)
-      await updateItem(tableName, { jd_id: storageData.jd_id }, updateData);
-      console.log('StorageNode: Updated existing record');
+      // Move the existing record to "extracted" together with the extracted data
+      await transitionJob(storageData.jd_id, JOB_STATUS.EXTRACTED, {
+        updates: updateData,
+        reason: 'extraction stored',
+        actor: 'job-extraction',
+        tableName
+      });
+      logger.info('StorageNode: Updated existing record');
       
     } else {
-      console.log('StorageNode: No existing record found, creating new record...');
+      logger.info('StorageNode: No existing record found, creating new record...');
       finalStorageData = storageData;
       
       // Insert new record
       await insertItem(tableName, finalStorageData, {
         idField: 'jd_id',
         idPrefix: 'job',
-        additionalFields: {},
+        additionalFields: {
+          statusHistory: [statusHistoryEntry(null, JOB_STATUS.EXTRACTED, { reason: 'extraction stored', actor: 'job-extraction' })]
+        },
         statusField: 'status',
-        statusValue: 'extracted',
+        statusValue: JOB_STATUS.EXTRACTED,
         timestampField: 'updated_at'
       });
-      console.log('StorageNode: Created new record');
+      logger.info('StorageNode: Created new record');
     }
 
     logger.info(`StorageNode: Successfully stored job data for job ID: ${jobData.jd_id || jobData.id}`);
 
+    await emitWebhookEvent(WEBHOOK_EVENTS.JOB_EXTRACTED, {
+      jd_id: storageData.jd_id,
+      url: storageData.url,
+      title: jobData.title || entities?.job_title,
+      company: jobData.company || entities?.company_name,
+      domain: storageData.domain,
+      sub_domain: storageData.sub_domain,
+      role: storageData.role,
+      experience_level: storageData.experience_level,
+      quality_score: storageData.extraction_metadata.quality_score,
+      extractedAt: storageData.updated_at
+    });
+
     return {
       ...state,
       job_data: {
         ...jobData,
-        status: 'extracted',
+        status: JOB_STATUS.EXTRACTED,
         updated_at: new Date().toISOString()
       },
       storage_result: {
         job_id: jobData.jd_id || jobData.id,
-        status: 'extracted',
+        status: JOB_STATUS.EXTRACTED,
         message: 'Job data stored successfully'
       },
       current_node: 'storage'
     };
   } catch (error) {
-    logger.error('StorageNode: Error storing data:', error);
-    logger.error('StorageNode: Error details:', {
+    logger.error('StorageNode: Error storing data', { error });
+    logger.error('StorageNode: Error details', {
       errorName: error.name,
       errorMessage: error.message,
       errorStack: error.stack,
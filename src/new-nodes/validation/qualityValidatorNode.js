@@ -3,6 +3,8 @@
  * Pure function for validating extraction quality and completeness
  */
 
+import { logger } from '../../shared/utils/logger.js';
+
 /**
  * Quality Validator Node - Pure Function
  * Takes state and returns updated state with quality validation
@@ -11,10 +13,10 @@
  */
 async function qualityValidatorNode(state) {
   try {
-    console.log('QualityValidatorNode: Starting quality validation...');
+    logger.info('QualityValidatorNode: Starting quality validation...');
     
     if (!state.dimension_mapping) {
-      console.error('QualityValidatorNode: No dimension mapping available');
+      logger.error('QualityValidatorNode: No dimension mapping available');
       return {
         ...state,
         errors: [
@@ -37,12 +39,12 @@ async function qualityValidatorNode(state) {
     const dimensionMapping = state.dimension_mapping;
     const dimensions = dimensionMapping.dimensions;
     
-    console.log(`QualityValidatorNode: Validating ${Object.keys(dimensions).length} dimensions`);
+    logger.info(`QualityValidatorNode: Validating ${Object.keys(dimensions).length} dimensions`);
     
     // Validate dimensions and calculate quality metrics
     const qualityMetrics = validateDimensions(dimensions, dimensionMapping);
     
-    console.log(`QualityValidatorNode: Validation ${qualityMetrics.passed ? 'PASSED' : 'FAILED'} (score: ${qualityMetrics.quality_score})`);
+    logger.info(`QualityValidatorNode: Validation ${qualityMetrics.passed ? 'PASSED' : 'FAILED'} (score: ${qualityMetrics.quality_score})`);
     
     // Return updated state with quality validation
     return {
@@ -60,7 +62,7 @@ async function qualityValidatorNode(state) {
     };
 
   } catch (error) {
-    console.error('QualityValidatorNode: Error validating quality:', error);
+    logger.error('QualityValidatorNode: Error validating quality', { error });
     
     return {
       ...state,
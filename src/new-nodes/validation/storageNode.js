@@ -4,6 +4,7 @@
  */
 
 import { updateItem, insertItem } from '../../shared/utils/dynamoDB.js';
+import { logger } from '../../shared/utils/logger.js';
 
 /**
  * Storage Node Class
@@ -22,7 +23,7 @@ class StorageNode {
    */
   async execute(state) {
     try {
-      console.log('StorageNode: Starting job storage...');
+      logger.info('StorageNode: Starting job storage...');
       
       if (!state.currentJob || !state.currentJob.id) {
         throw new Error('No job ID available for storage');
@@ -38,7 +39,7 @@ class StorageNode {
       const experienceClassification = state.experience_classification;
       const qualityValidation = state.quality_validation;
       
-      console.log(`StorageNode: Storing job ${jobId} with ${Object.keys(dimensionMapping.dimensions).length} dimensions`);
+      logger.info(`StorageNode: Storing job ${jobId} with ${Object.keys(dimensionMapping.dimensions).length} dimensions`);
       
       // Prepare storage data
       const storageData = this.prepareStorageData(state);
@@ -49,7 +50,7 @@ class StorageNode {
       // Store extraction metadata
       const metadataResult = await this.storeExtractionMetadata(jobId, state);
       
-      console.log(`StorageNode: Successfully stored job ${jobId} with status "extracted"`);
+      logger.info(`StorageNode: Successfully stored job ${jobId} with status "extracted"`);
       
       return {
         success: true,
@@ -71,7 +72,7 @@ class StorageNode {
       };
 
     } catch (error) {
-      console.error('StorageNode: Error storing job:', error);
+      logger.error('StorageNode: Error storing job', { error });
       return {
         success: false,
         error: error.message,
@@ -196,12 +197,12 @@ class StorageNode {
       };
 
       const result = await updateItem(updateParams);
-      console.log(`StorageNode: Updated job ${jobId} status to "extracted"`);
+      logger.info(`StorageNode: Updated job ${jobId} status to "extracted"`);
       
       return result;
       
     } catch (error) {
-      console.error(`StorageNode: Error updating job ${jobId}:`, error);
+      logger.error(`StorageNode: Error updating job ${jobId}`, { error });
       throw new Error(`Failed to update job status: ${error.message}`);
     }
   }
@@ -237,12 +238,12 @@ class StorageNode {
       };
 
       const result = await insertItem(insertParams);
-      console.log(`StorageNode: Stored metadata for job ${jobId}`);
+      logger.info(`StorageNode: Stored metadata for job ${jobId}`);
       
       return result;
       
     } catch (error) {
-      console.error(`StorageNode: Error storing metadata for job ${jobId}:`, error);
+      logger.error(`StorageNode: Error storing metadata for job ${jobId}`, { error });
       throw new Error(`Failed to store metadata: ${error.message}`);
     }
   }
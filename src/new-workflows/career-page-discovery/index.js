@@ -2,127 +2,26 @@
  * Career Discovery Workflow - Main Orchestrator
  * 
  * Uses LangGraph to coordinate the career discovery pipeline:
- * Career Page Finder → Job Listings Navigator → Filter Analyzer → Metadata Constructor
+ * Website Resolver → Career Page Finder → Job Listings Navigator → Filter Analyzer → Metadata Constructor
  */
 
 import { StateGraph, END } from '@langchain/langgraph';
 import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { enhancedStagehandClient } from '../../shared/utils/enhancedStagehand.js';
+import { config } from '../../shared/config/environment.js';
+import { closeBrowserPool, getBrowserPool } from '../../shared/utils/browserPool.js';
+import { currentCorrelationId, newCorrelationId, withLogContext } from '../../shared/utils/correlation.js';
 import { logger } from '../../shared/utils/logger.js';
+import { withRunEvents } from '../../shared/utils/runEvents.js';
+import { withEvidence } from '../../shared/utils/evidence.js';
+import { COMPANY_STATUS, findCompany, importCompaniesCsv, listCompanies, recordDiscoveryResult, selectNextCompany } from '../../shared/utils/companyRegistry.js';
 
 // Import nodes
+import websiteResolverNode from './nodes/websiteResolverNode.js';
 import careerPageFinderNode from './nodes/careerPageFinderNode.js';
 import jobListingsNavigatorNode from './nodes/jobListingsNavigatorNode.js';
 import filterAnalyzerNode from './nodes/filterAnalyzerNode.js';
 import metadataConstructorNode from './nodes/metadataConstructorNode.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// State file path for tracking progress
-const STATE_FILE_PATH = path.join(__dirname, '../../../data/career_discovery_state.json');
-
-/**
- * Load current state from file
- */
-async function loadState() {
-  try {
-    const stateData = await fs.readFile(STATE_FILE_PATH, 'utf-8');
-    return JSON.parse(stateData);
-  } catch (error) {
-    // If file doesn't exist, return initial state
-    return {
-      csvRowIndex: 1, // Start from row 1 (after header)
-      csvFilePath: null,
-      totalRows: 0
-    };
-  }
-}
-
-/**
- * Save current state to file
- */
-async function saveState(state) {
-  await fs.writeFile(STATE_FILE_PATH, JSON.stringify(state, null, 2));
-}
-
-/**
- * Read specific row from CSV file
- */
-async function readCSVRow(csvFilePath, rowIndex) {
-  try {
-    const csvContent = await fs.readFile(csvFilePath, 'utf-8');
-    const lines = csvContent.split('\n').filter(line => line.trim());
-    
-    if (rowIndex >= lines.length) {
-      return null; // Row doesn't exist
-    }
-    
-    const line = lines[rowIndex];
-    const values = line.split(',').map(val => val.replace(/"/g, '').trim());
-    
-    return {
-      companyName: values[0] || '',
-      status: values[1] || '',
-      reason: values[2] || ''
-    };
-  } catch (error) {
-    logger.error('Failed to read CSV row', { rowIndex, error: error.message });
-    return null;
-  }
-}
-
-/**
- * Update CSV row with status and reason
- */
-async function updateCSVRow(csvFilePath, rowIndex, status, reason = '') {
-  try {
-    const csvContent = await fs.readFile(csvFilePath, 'utf-8');
-    const lines = csvContent.split('\n').filter(line => line.trim());
-    
-    if (rowIndex >= lines.length) {
-      logger.error('Row index out of bounds', { rowIndex, totalLines: lines.length });
-      return false;
-    }
-    
-    // Parse the line
-    const values = lines[rowIndex].split(',').map(val => val.replace(/"/g, '').trim());
-    
-    // Update status and reason
-    values[1] = status;
-    values[2] = reason;
-    
-    // Reconstruct the line
-    lines[rowIndex] = values.map(val => `"${val}"`).join(',');
-    
-    // Write back to file
-    await fs.writeFile(csvFilePath, lines.join('\n') + '\n');
-    
-    logger.info('Updated CSV row', { rowIndex, status, reason });
-    return true;
-    
-  } catch (error) {
-    logger.error('Failed to update CSV row', { rowIndex, status, reason, error: error.message });
-    return false;
-  }
-}
-
-/**
- * Get total rows in CSV file
- */
-async function getCSVTotalRows(csvFilePath) {
-  try {
-    const csvContent = await fs.readFile(csvFilePath, 'utf-8');
-    const lines = csvContent.split('\n').filter(line => line.trim());
-    return lines.length;
-  } catch (error) {
-    logger.error('Failed to get CSV total rows', { error: error.message });
-    return 0;
-  }
-}
-
 /**
  * Create the career discovery workflow
  */
@@ -130,29 +29,40 @@ function createCareerDiscoveryWorkflow() {
   const workflow = new StateGraph({
     channels: {
       companyName: { type: 'string' },
+      companyDomain: { type: 'string', optional: true },
+      companyAliases: { type: 'array', optional: true },
       page: { type: 'object' },
+      companyWebsite: { type: 'object', optional: true },
+      careerPageCandidates: { type: 'array', optional: true },
       careerPageUrl: { type: 'string', optional: true },
       jobListingsUrl: { type: 'string', optional: true },
       filteredJobUrl: { type: 'string', optional: true },
+      ats: { type: 'object', optional: true },
       metadata: { type: 'object', optional: true },
       status: { type: 'string' },
       errors: { type: 'array', optional: true },
       currentStep: { type: 'string' },
       urlParameters: { type: 'object', optional: true },
-      filters: { type: 'object', optional: true }
+      filters: { type: 'object', optional: true },
+      urlTemplate: { type: 'object', optional: true },
+      promptVersions: { type: 'object', optional: true },
+      politeness: { type: 'object', optional: true },
+      correlationId: { type: 'string', optional: true }
     }
   });
 
   // Add nodes
-  workflow.addNode('career_page_finder', careerPageFinderNode);
-  workflow.addNode('job_listings_navigator', jobListingsNavigatorNode);
-  workflow.addNode('filter_analyzer', filterAnalyzerNode);
-  workflow.addNode('metadata_constructor', metadataConstructorNode);
+  workflow.addNode('website_resolver', withRunEvents('career-discovery', 'website_resolver', websiteResolverNode));
+  workflow.addNode('career_page_finder', withRunEvents('career-discovery', 'career_page_finder', withEvidence('career-discovery', 'career_page_finder', careerPageFinderNode)));
+  workflow.addNode('job_listings_navigator', withRunEvents('career-discovery', 'job_listings_navigator', withEvidence('career-discovery', 'job_listings_navigator', jobListingsNavigatorNode)));
+  workflow.addNode('filter_analyzer', withRunEvents('career-discovery', 'filter_analyzer', withEvidence('career-discovery', 'filter_analyzer', filterAnalyzerNode)));
+  workflow.addNode('metadata_constructor', withRunEvents('career-discovery', 'metadata_constructor', withEvidence('career-discovery', 'metadata_constructor', metadataConstructorNode)));
 
   // Set entry point
-  workflow.setEntryPoint('career_page_finder');
+  workflow.setEntryPoint('website_resolver');
 
   // Linear flow - no conditional edges needed
+  workflow.addEdge('website_resolver', 'career_page_finder');
   workflow.addEdge('career_page_finder', 'job_listings_navigator');
   workflow.addEdge('job_listings_navigator', 'filter_analyzer');
   workflow.addEdge('filter_analyzer', 'metadata_constructor');
@@ -163,41 +73,57 @@ function createCareerDiscoveryWorkflow() {
 
 /**
  * Process a single company through the workflow
+ * @param {string} companyName - Company to discover
+ * @param {Object} workflow - Compiled workflow
+ * @param {Object} [options] - { domain: website domain, when known, aliases: other names of the company,
+ *   politeness: per-domain request rules (domainGovernor.js) }
  */
-async function processCompany(companyName, workflow) {
-  logger.info('Starting career discovery for company', { companyName });
+async function processCompany(companyName, workflow, options = {}) {
+  // Companies processed outside a request or API run get their own correlation ID
+  const correlationId = currentCorrelationId() || newCorrelationId();
+  logger.info('Starting career discovery for company', { companyName, correlationId });
   
+  let lease = null;
   try {
-    // Initialize enhanced Stagehand client
-    await enhancedStagehandClient.initialize();
-    
-    // Create fresh incognito page
-    const page = await enhancedStagehandClient.newPage();
+    // Lease a browser session (reset between runs, so the page starts clean)
+    lease = await getBrowserPool().acquire();
+    const page = lease.page;
     
     // Initial state
     const initialState = {
       companyName,
+      companyDomain: options.domain || null,
+      companyAliases: options.aliases || [],
       page,
       status: 'pending',
-      currentStep: 'career_page_finder',
+      currentStep: 'website_resolver',
+      companyWebsite: null,
+      careerPageCandidates: [],
       errors: [],
       careerPageUrl: null,
       jobListingsUrl: null,
       filteredJobUrl: null,
+      ats: null,
       metadata: null,
       urlParameters: null,
-      filters: null
+      filters: null,
+      urlTemplate: null,
+      promptVersions: {},
+      politeness: options.politeness || {},
+      correlationId
     };
     
     // Run the workflow
-    const result = await workflow.invoke(initialState);
+    const result = await withLogContext({ correlationId }, () => workflow.invoke(initialState));
     
     logger.info('Career discovery completed for company', { 
       companyName, 
       status: result.status,
       careerPageUrl: result.careerPageUrl,
       jobListingsUrl: result.jobListingsUrl,
-      filteredJobUrl: result.filteredJobUrl
+      filteredJobUrl: result.filteredJobUrl,
+      ats: result.ats,
+      urlTemplate: result.urlTemplate?.url
     });
     
     return result;
@@ -216,118 +142,85 @@ async function processCompany(companyName, workflow) {
     };
     
   } finally {
-    // Cleanup
-    await enhancedStagehandClient.close();
+    // Return the session to the pool
+    await lease?.release();
   }
 }
 
 /**
- * Main function to run career discovery workflow - SIMPLE STATE APPROACH
- * Processes ONE company at a time based on CSV row index
+ * Import the seed CSV (COMPANIES_CSV, data/companies.csv) into an empty registry
+ */
+async function seedRegistry(csvFilePath) {
+  if ((await listCompanies()).length > 0) return;
+
+  try {
+    const csv = await fs.readFile(csvFilePath, 'utf-8');
+    logger.info('Empty company registry - importing seed CSV', { csvFilePath });
+    await importCompaniesCsv(csv, { actor: 'career-discovery' });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    logger.warn('No seed CSV for the company registry', { csvFilePath });
+  }
+}
+
+/**
+ * Run career discovery for ONE company of the registry: the one given, else the
+ * next due by priority and staleness (selectNextCompany())
+ * @param {Object} [options] - { company: ID, name or domain to run now,
+ *   csvFilePath: seed CSV for an empty registry, politeness: per-domain request rules (domainGovernor.js) }
  */
 async function runCareerDiscovery(options = {}) {
   const {
-    csvFilePath = path.join(__dirname, '../../../data/companies.csv'),
-    forceRowIndex = null // Optional: force processing a specific row
+    company: requested = null,
+    csvFilePath = config.companies.seedCsv,
+    politeness = {}
   } = options;
   
   try {
-    // Load current state
-    const state = await loadState();
-    
-    // Initialize state if first run
-    if (!state.csvFilePath) {
-      logger.info('First run - initializing state', { csvFilePath });
-      state.csvFilePath = csvFilePath;
-      state.csvRowIndex = 1;
-      state.totalRows = await getCSVTotalRows(csvFilePath);
-      
-      if (state.totalRows === 0) {
-        logger.warn('No companies found in CSV file');
-        return { message: 'No companies found in CSV file' };
-      }
-      
-      await saveState(state);
-    }
+    await seedRegistry(csvFilePath);
     
-    // Determine which row to process
-    let targetRowIndex = forceRowIndex !== null ? forceRowIndex : state.csvRowIndex;
-    
-    // Check if we've reached the end
-    if (targetRowIndex > state.totalRows) {
-      logger.info('Reached end of CSV, resetting to first row');
-      targetRowIndex = 1;
-      state.csvRowIndex = 1;
-      await saveState(state);
-    }
-    
-    // Read the company from CSV
-    const company = await readCSVRow(csvFilePath, targetRowIndex);
+    const company = requested ? await findCompany(requested) : await selectNextCompany();
     
     if (!company) {
-      logger.error('Failed to read company from CSV', { targetRowIndex });
-      return { error: 'Failed to read company from CSV' };
-    }
-    
-    // Check if company is already processed
-    if (company.status === 'success' || company.status === 'failed') {
-      logger.info('Company already processed, moving to next', { 
-        companyName: company.companyName, 
-        status: company.status,
-        reason: company.reason,
-        rowIndex: targetRowIndex 
-      });
-      
-      // Move to next row
-      state.csvRowIndex = targetRowIndex + 1;
-      await saveState(state);
-      
-      return { 
-        message: `Company already processed: ${company.companyName} (${company.status})`,
-        nextRow: state.csvRowIndex
-      };
+      const message = requested ? `Company not found: ${requested}` : 'No company is due for career discovery';
+      logger.info(message);
+      return requested ? { error: message } : { message };
     }
     
-    // Process the company
-    logger.info('Processing company', { 
-      companyName: company.companyName,
-      rowIndex: targetRowIndex,
-      totalRows: state.totalRows
+    logger.info(`🔄 Processing company: ${company.name}`, {
+      companyId: company.company_id,
+      status: company.status,
+      priority: company.priority,
+      lastAttemptAt: company.lastAttemptAt
     });
     
-    console.log(`🔄 Processing company ${targetRowIndex}/${state.totalRows}: ${company.companyName}`);
-    
     // Create workflow and process company
     const workflow = createCareerDiscoveryWorkflow();
-    const result = await processCompany(company.companyName, workflow);
+    const result = await processCompany(company.name, workflow, {
+      domain: company.domain,
+      aliases: company.aliases,
+      politeness
+    });
     
-    // Update CSV based on result
-    if (result.status === 'metadata_constructed') {
-      await updateCSVRow(csvFilePath, targetRowIndex, 'success', 'Career discovery completed successfully');
-      console.log(`✅ Success: ${company.companyName}`);
-      logger.info('Company processed successfully', { companyName: company.companyName });
+    // Record the outcome and when the company is due again
+    const updated = await recordDiscoveryResult(company.company_id, result);
+    
+    if (updated.status === COMPANY_STATUS.DISCOVERED) {
+      logger.info(`✅ Success: ${company.name}`);
     } else {
-      const errorReason = result.errors ? result.errors.join(', ') : 'Unknown error';
-      await updateCSVRow(csvFilePath, targetRowIndex, 'failed', errorReason);
-      console.log(`❌ Failed: ${company.companyName} - ${errorReason}`);
-      logger.error('Company processing failed', { 
-        companyName: company.companyName, 
-        error: errorReason 
-      });
+      logger.warn(`❌ Failed: ${company.name} - ${updated.lastError}`);
     }
     
-    // Move to next row
-    state.csvRowIndex = targetRowIndex + 1;
-    await saveState(state);
+    const next = await selectNextCompany();
     
-    // Return result
     return {
-      companyName: company.companyName,
-      rowIndex: targetRowIndex,
+      companyId: company.company_id,
+      companyName: company.name,
       status: result.status,
+      registryStatus: updated.status,
+      nextAttemptAt: updated.nextAttemptAt,
       result,
-      nextRow: state.csvRowIndex,
-      totalRows: state.totalRows
+      nextCompany: next?.name || null
     };
     
   } catch (error) {
@@ -340,21 +233,15 @@ async function runCareerDiscovery(options = {}) {
 export {
   runCareerDiscovery,
   processCompany,
-  createCareerDiscoveryWorkflow,
-  loadState,
-  saveState
+  createCareerDiscoveryWorkflow
 };
 
 // Run if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
   
-  // Check for force row index option
-  let forceRowIndex = null;
-  if (args.includes('--force-row')) {
-    const rowArg = args[args.indexOf('--force-row') + 1];
-    forceRowIndex = parseInt(rowArg);
-  }
+  // Run a given company (ID, name or domain) instead of the next due one
+  const company = args.includes('--company') ? args[args.indexOf('--company') + 1] : null;
   
-  runCareerDiscovery({ forceRowIndex });
+  runCareerDiscovery({ company }).finally(closeBrowserPool);
 } 
\ No newline at end of file
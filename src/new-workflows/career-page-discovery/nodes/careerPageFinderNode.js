@@ -1,15 +1,22 @@
 /**
  * Career Page Finder Node
  * 
- * Purpose: Find the career page URL for a given company name using AI-powered search
- * and fallback domain construction strategies.
+ * Purpose: Find the career page URL for a given company name: the career pages
+ * linked from its website (website resolver), else AI-powered search and fallback
+ * domain construction strategies, and detect the applicant tracking system (ATS)
+ * the page is hosted on or embeds.
  */
 
 import { logger } from '../../../../src/shared/utils/logger.js';
 import { z } from 'zod';
+import { renderPrompt, withPromptVersions } from '../../../../src/shared/prompts/index.js';
+import { getDomainGovernor } from '../../../../src/shared/utils/domainGovernor.js';
+import { detectAtsOnPage } from '../../../../src/shared/ats/index.js';
+import { guessDomains } from '../../../../src/shared/utils/companyWebsite.js';
 
 const careerPageFinderNode = async (state) => {
   const { companyName, page } = state;
+  const domain = state.companyWebsite?.domain || null;
   
   logger.info('Starting Career Page Finder Node', { companyName });
   logger.info('Career Page Finder - Input State:', { 
@@ -29,8 +36,28 @@ const careerPageFinderNode = async (state) => {
       throw new Error('No Stagehand page provided');
     }
 
-    // Strategy 1: AI-powered Google search
-    const careerPageUrl = await findCareerPageWithAI(page, companyName);
+    // Strategy 1: Career pages linked from the company website, best ranked first
+    const linked = await findCareerPageOnWebsite(page, companyName, state.careerPageCandidates, state.politeness);
+    
+    if (linked) {
+      logger.info('Career page found on the company website', { 
+        companyName, 
+        careerPageUrl: linked.url,
+        source: linked.source
+      });
+      
+      return {
+        ...state,
+        careerPageUrl: linked.url,
+        ats: await detectBoard(page, companyName),
+        status: 'career_page_found',
+        currentStep: 'career_page_finder'
+      };
+    }
+
+    // Strategy 2: AI-powered Google search
+    const prompt = renderPrompt('career.career_page_finder', { companyName });
+    const careerPageUrl = await findCareerPageWithAI(page, companyName, domain, prompt, state.politeness);
     
     if (careerPageUrl) {
       logger.info('Career page found via AI search', { 
@@ -41,13 +68,15 @@ const careerPageFinderNode = async (state) => {
       return {
         ...state,
         careerPageUrl,
+        ats: await detectBoard(page, companyName),
+        promptVersions: withPromptVersions(state.promptVersions, prompt),
         status: 'career_page_found',
         currentStep: 'career_page_finder'
       };
     }
 
-    // Strategy 2: Fallback domain construction
-    const fallbackUrl = await findCareerPageWithFallback(page, companyName);
+    // Strategy 3: Fallback domain construction
+    const fallbackUrl = await findCareerPageWithFallback(page, companyName, domain, state.politeness);
     
     if (fallbackUrl) {
       logger.info('Career page found via fallback strategy', { 
@@ -58,6 +87,7 @@ const careerPageFinderNode = async (state) => {
       return {
         ...state,
         careerPageUrl: fallbackUrl,
+        ats: await detectBoard(page, companyName),
         status: 'career_page_found',
         currentStep: 'career_page_finder'
       };
@@ -91,14 +121,47 @@ const careerPageFinderNode = async (state) => {
 };
 
 /**
- * Strategy 1: AI-powered Google search for career pages using Stagehand's observe()
+ * ATS board of the career page the browser is on, recorded for the later nodes
+ */
+async function detectBoard(page, companyName) {
+  const ats = await detectAtsOnPage(page);
+  if (ats) {
+    logger.info('Career page is hosted on an ATS', { companyName, ...ats });
+  }
+  return ats;
+}
+
+/**
+ * Strategy 1: Career page candidates of the website resolver, opened in rank order
  */
-async function findCareerPageWithAI(page, companyName) {
+async function findCareerPageOnWebsite(page, companyName, candidates = [], politeness) {
+  for (const candidate of candidates || []) {
+    try {
+      logger.info('Testing career page linked from the website', { companyName, url: candidate.url, score: candidate.score });
+      const response = await getDomainGovernor().goto(page, candidate.url, undefined, politeness);
+      
+      if (response && response.ok()) {
+        return candidate;
+      }
+      
+    } catch (error) {
+      logger.debug('Linked career page failed to load', { companyName, url: candidate.url, error: error.message });
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Strategy 2: AI-powered Google search for career pages using Stagehand's observe()
+ */
+async function findCareerPageWithAI(page, companyName, domain, prompt, politeness) {
   try {
-    logger.info('Attempting AI-powered career page search via observe()', { companyName });
+    logger.info('Attempting AI-powered career page search via observe()', { companyName, domain });
 
-    const searchQuery = `${companyName} careers`;
-    await page.goto('https://www.google.com');
+    // The resolved domain tells apart companies of the same name
+    const searchQuery = domain ? `${companyName} careers ${domain}` : `${companyName} careers`;
+    await getDomainGovernor().goto(page, 'https://www.google.com', undefined, politeness);
     await page.waitForSelector('input[name="q"]');
     await page.type('input[name="q"]', searchQuery);
     await page.keyboard.press('Enter');
@@ -106,14 +169,13 @@ async function findCareerPageWithAI(page, companyName) {
     await page.waitForNavigation({ waitUntil: 'domcontentloaded' });
 
     const { link } = await page.observe({
-      instruction: `From the search results page, identify and return the best link that leads to the official careers or jobs page for ${companyName}.
-        Prefer links that mention "careers", "jobs", "employment", or "work with us". Avoid aggregator sites like Glassdoor, Indeed, or LinkedIn.`,
+      instruction: prompt.instruction,
       schema: z.object({ link: z.string() }),
     });
 
     if (link && link.startsWith('http')) {
       logger.info('Career page link chosen by AI observe()', { companyName, careerUrl: link });
-      await page.goto(link);
+      await getDomainGovernor().goto(page, link, undefined, politeness);
       return link;
     }
 
@@ -125,22 +187,28 @@ async function findCareerPageWithAI(page, companyName) {
 }
 
 /**
- * Strategy 2: Fallback domain construction with common patterns
+ * Strategy 3: Fallback domain construction with common patterns, on the resolved
+ * domain or else the most likely domain of the name
  */
-async function findCareerPageWithFallback(page, companyName) {
+async function findCareerPageWithFallback(page, companyName, domain, politeness) {
+  const site = domain || guessDomains(companyName)[0];
+  if (!site) {
+    return null;
+  }
+  
   const commonPatterns = [
-    `https://${companyName.toLowerCase().replace(/\s+/g, '')}.com/intl/en-in/careers`,
-    `https://${companyName.toLowerCase().replace(/\s+/g, '')}.com/intl/en-us/careers`,
-    `https://${companyName.toLowerCase().replace(/\s+/g, '')}.com/careers`,
-    `https://careers.${companyName.toLowerCase().replace(/\s+/g, '')}.com`,
-    `https://${companyName.toLowerCase().replace(/\s+/g, '')}.com/jobs`,
-    `https://${companyName.toLowerCase().replace(/\s+/g, '')}.com/join-us`,
-    `https://${companyName.toLowerCase().replace(/\s+/g, '')}.com/work-with-us`,
-    `https://${companyName.toLowerCase().replace(/\s+/g, '')}.com/employment`,
-    `https://${companyName.toLowerCase().replace(/\s+/g, '')}.com/opportunities`,
-    `https://jobs.${companyName.toLowerCase().replace(/\s+/g, '')}.com`,
-    `https://${companyName.toLowerCase().replace(/\s+/g, '')}.com/career`,
-    `https://${companyName.toLowerCase().replace(/\s+/g, '')}.com/team`
+    `https://${site}/intl/en-in/careers`,
+    `https://${site}/intl/en-us/careers`,
+    `https://${site}/careers`,
+    `https://careers.${site}`,
+    `https://${site}/jobs`,
+    `https://${site}/join-us`,
+    `https://${site}/work-with-us`,
+    `https://${site}/employment`,
+    `https://${site}/opportunities`,
+    `https://jobs.${site}`,
+    `https://${site}/career`,
+    `https://${site}/team`
   ];
   
   logger.info('Attempting fallback domain construction', { 
@@ -152,10 +220,10 @@ async function findCareerPageWithFallback(page, companyName) {
     try {
       logger.info('Testing fallback URL', { companyName, url });
       
-      // Just check if the URL is accessible (basic HTTP check)
-      const response = await page.goto(url);
+      // Just check if the URL is accessible (basic HTTP check), spaced per host
+      const response = await getDomainGovernor().goto(page, url, undefined, politeness);
       
-      if (response && response.ok) {
+      if (response && response.ok()) {
         logger.info('Fallback URL is accessible', { companyName, url });
         return url;
       }
@@ -3,19 +3,50 @@
  * 
  * Purpose: Analyze job listings pages to identify available filters and URL parameters
  * for job search functionality. This helps understand how to construct filtered job URLs.
+ *
+ * Once the filters work together, each found filter is submitted on its own and the
+ * resulting URLs diffed against the unfiltered page to derive a URL template
+ * (src/shared/utils/urlTemplate.js) that metadataConstructorNode stores.
  */
 
 import { logger } from '../../../../src/shared/utils/logger.js';
 import { z } from 'zod';
+import { renderPrompt, withPromptVersions } from '../../../../src/shared/prompts/index.js';
+import { getDomainGovernor } from '../../../../src/shared/utils/domainGovernor.js';
+import { deriveUrlTemplate, detectPagination, TEMPLATE_PARAMETERS } from '../../../../src/shared/utils/urlTemplate.js';
 
 const ARBITRARY_FILTERS = {
   domain: "software engineer",
   location: "remote",
   department: "engineering",
+  remote: "remote",
+  experience: "entry level",
+}
+
+// Template parameter each filter fills
+const FILTER_PARAMETERS = {
+  domain: TEMPLATE_PARAMETERS.KEYWORD,
+  location: TEMPLATE_PARAMETERS.LOCATION,
+  department: TEMPLATE_PARAMETERS.DEPARTMENT,
+  remote: TEMPLATE_PARAMETERS.REMOTE,
+  experience: TEMPLATE_PARAMETERS.EXPERIENCE,
+}
+
+// Time given to the results page to load after the filters are submitted
+const FILTER_SETTLE_MS = 5000;
+
+/**
+ * Render a prompt and remember it, so the node can record the versions it used
+ */
+function usePrompt(used, name, variables) {
+  const prompt = renderPrompt(name, variables);
+  used.push(prompt);
+  return prompt;
 }
 
 const filterAnalyzerNode = async (state) => {
   const { jobListingsUrl, page } = state;
+  const usedPrompts = [];
   
   logger.info('Starting Filter Analyzer Node', { jobListingsUrl });
   logger.info('Filter Analyzer - Input State:', { 
@@ -40,10 +71,11 @@ const filterAnalyzerNode = async (state) => {
     }
 
     // Navigate to job listings page
-    await page.goto(jobListingsUrl);
+    await getDomainGovernor().goto(page, jobListingsUrl, undefined, state.politeness);
+    const unfilteredUrl = page.url() || jobListingsUrl;
     
     // Analyze the page for available filters
-    const filters = await analyzeJobFilters(page, jobListingsUrl);
+    const filters = await analyzeJobFilters(page, jobListingsUrl, usedPrompts);
 
     const values = {};
 
@@ -53,9 +85,9 @@ const filterAnalyzerNode = async (state) => {
       }
     });
 
-    const url = await constructAndValidateUrl(page, values, filters);
+    const url = await constructAndValidateUrl(page, values, filters, usedPrompts);
 
-    const isValidUrl = await validateJobListingUrl(url, page, filters);
+    const isValidUrl = await validateJobListingUrl(url, page, filters, usedPrompts);
 
     logger.info('Validating job listing url', { url, isValidUrl });
 
@@ -69,7 +101,7 @@ const filterAnalyzerNode = async (state) => {
         errors.push('Applying filters did not show list of jobs as per the filters.');
       }
 
-      return await tryWithFullPrompt(page, url, {
+      return await tryWithFullPrompt(page, url, usedPrompts, {
         ...state,
         filteredJobUrl: jobListingsUrl,
         urlParameters: {},
@@ -84,12 +116,22 @@ const filterAnalyzerNode = async (state) => {
 
     logger.info('Filters applied successfully', { url });
 
+    const urlTemplate = await deriveTemplate(page, {
+      unfilteredUrl,
+      filteredUrl: url,
+      values,
+      filters,
+      politeness: state.politeness
+    }, usedPrompts);
+
     return {
       ...state,
       filteredJobUrl: url,
       urlParameters: values,
       filters: filters,
+      urlTemplate,
       pageValidated: true,
+      promptVersions: withPromptVersions(state.promptVersions, ...usedPrompts),
       status: 'success',
       currentStep: 'filter_analyzer'
     };
@@ -116,7 +158,7 @@ const filterAnalyzerNode = async (state) => {
 /**
  * Analyze job listings page for available filters
  */
-async function analyzeJobFilters(page, jobListingsUrl) {
+async function analyzeJobFilters(page, jobListingsUrl, usedPrompts) {
   try {
     logger.info('Analyzing job filters on page', { jobListingsUrl });
 
@@ -124,7 +166,7 @@ async function analyzeJobFilters(page, jobListingsUrl) {
 
     // extract search bar
     const searchBar = await page.extract({
-      instruction: `Identify the search input field (search bar) on the page that allows users to search for job roles or keywords. This is typically a text box where users can type job titles or skills. If such a search bar exists, set isFound to true and return its selector and field name. If not found, set isFound to false and searchBar to an empty string. Ensure the output strictly matches the following format: { searchBar: string, isFound: boolean, selector: string } as per the provided schema.`,
+      instruction: usePrompt(usedPrompts, 'career.filter_search_bar').instruction,
       schema: z.object({
         searchBar: z.string(),
         isFound: z.boolean(),
@@ -140,7 +182,7 @@ async function analyzeJobFilters(page, jobListingsUrl) {
 
     // extract location filter
     const locationFilter = await page.extract({
-      instruction: `Identify the location filter on the page that allows users to filter jobs by location. This is typically a dropdown or a list of locations. If such a filter exists, set isFound to true and return its selector and field name. If not found, set isFound to false and locationFilter to an empty string. Ensure the output strictly matches the following format: { locationFilter: string, isFound: boolean, selector: string, fieldName: string } as per the provided schema.`,
+      instruction: usePrompt(usedPrompts, 'career.filter_location').instruction,
       schema: z.object({
         locationFilter: z.string(),
         isFound: z.boolean(),
@@ -156,7 +198,7 @@ async function analyzeJobFilters(page, jobListingsUrl) {
 
     // extract department filter
     const departmentFilter = await page.extract({
-      instruction: `Identify the department filter on the page that allows users to filter jobs by department. This is typically a dropdown or a list of departments. If such a filter exists, set isFound to true and return its selector and field name. If not found, set isFound to false and departmentFilter to an empty string. Ensure the output strictly matches the following format: { departmentFilter: string, isFound: boolean, selector: string, fieldName: string } as per the provided schema.`,
+      instruction: usePrompt(usedPrompts, 'career.filter_department').instruction,
       schema: z.object({
         departmentFilter: z.string(),
         isFound: z.boolean(),
@@ -170,6 +212,38 @@ async function analyzeJobFilters(page, jobListingsUrl) {
       field: departmentFilter.departmentFilter
     };
 
+    // extract remote filter
+    const remoteFilter = await page.extract({
+      instruction: usePrompt(usedPrompts, 'career.filter_remote').instruction,
+      schema: z.object({
+        remoteFilter: z.string(),
+        isFound: z.boolean(),
+        selector: z.string()
+      })
+    });
+
+    filters.remote = {
+      isFound: remoteFilter.isFound,
+      selector: remoteFilter.selector,
+      field: remoteFilter.remoteFilter
+    };
+
+    // extract experience level filter
+    const experienceFilter = await page.extract({
+      instruction: usePrompt(usedPrompts, 'career.filter_experience').instruction,
+      schema: z.object({
+        experienceFilter: z.string(),
+        isFound: z.boolean(),
+        selector: z.string()
+      })
+    });
+
+    filters.experience = {
+      isFound: experienceFilter.isFound,
+      selector: experienceFilter.selector,
+      field: experienceFilter.experienceFilter
+    };
+
     logger.info('Filters found', { filters });
 
     return filters;
@@ -179,46 +253,103 @@ async function analyzeJobFilters(page, jobListingsUrl) {
   }
 }
 
-async function constructAndValidateUrl(page, values, filters) {
-  
-  let prompt = `fill up these fields with the value provided. \n`;
+async function constructAndValidateUrl(page, values, filters, usedPrompts) {
+  await submitFilters(page, values, filters, usedPrompts);
+
+  const url = page.url();
+  logger.info('Current url', { url });
+
+  return url;
+}
+
+/**
+ * Fill the given filters, submit them and wait for the results page
+ */
+async function submitFilters(page, values, filters, usedPrompts) {
   const fields = {}
   for (const key in values) {
     fields[filters[key].field] = values[key];
   }
 
-  prompt += `\n${JSON.stringify(fields)} \n`;
-
   await page.act({  
-    action: `fill in the form with the following values: ${Object.entries(fields).map(([k, v]) => `%${k}%`).join(', ')}`,
+    action: usePrompt(usedPrompts, 'career.filter_fill', {
+      fields: Object.keys(fields).map(field => `%${field}%`).join(', ')
+    }).instruction,
     variables: fields,
   });
 
   await page.act({
-    action: `click the submit button or search job button to get jobs as per the filters. if no such button is found, hit enter while keeping focus on search input`,
+    action: usePrompt(usedPrompts, 'career.filter_submit').instruction,
   });
 
-  logger.info('Waiting for 5 seconds to let the page load');
-  await new Promise(resolve => setTimeout(resolve, 5000));
+  logger.info(`Waiting for ${FILTER_SETTLE_MS / 1000} seconds to let the page load`);
+  await page.waitForTimeout(FILTER_SETTLE_MS);
+}
 
+/**
+ * Links of the current page, to find its pagination parameter
+ */
+async function pageLinks(page) {
+  try {
+    return await page.evaluate(() => Array.from(document.querySelectorAll('a[href]')).map(link => link.href)) || [];
+  } catch (error) {
+    logger.debug('Could not read the links of the filtered page', { error: error.message });
+    return [];
+  }
+}
 
-  const urlResult = await page.extract({
-    instruction: `get current url for the page`,
-    schema: z.object({
-      url: z.string()
-    })
-  });
+/**
+ * Submit each found filter on its own and derive the URL template from the URLs
+ * they lead to. A single filter needs no further submission: the filtered URL is
+ * its own. Returns null when no parameter shows in the URLs.
+ */
+async function deriveTemplate(page, { unfilteredUrl, filteredUrl, values, filters, politeness }, usedPrompts) {
+  try {
+    // Read while the page still shows the filtered results
+    const pagination = detectPagination(filteredUrl, await pageLinks(page));
+    const keys = Object.keys(values);
+    const submissions = [];
+
+    if (keys.length === 1) {
+      submissions.push({ parameter: FILTER_PARAMETERS[keys[0]], value: values[keys[0]], url: filteredUrl });
+    } else {
+      for (const key of keys) {
+        try {
+          await getDomainGovernor().goto(page, unfilteredUrl, undefined, politeness);
+          await submitFilters(page, { [key]: values[key] }, filters, usedPrompts);
+          submissions.push({ parameter: FILTER_PARAMETERS[key], value: values[key], url: page.url() });
+        } catch (error) {
+          logger.warn('Filter submission for the URL template failed', { filter: key, error: error.message });
+        }
+      }
+    }
 
-  logger.info('Current url', { url: urlResult.url });
+    const combined = {
+      url: filteredUrl,
+      values: Object.fromEntries(keys.map(key => [FILTER_PARAMETERS[key], values[key]]))
+    };
+    const template = deriveUrlTemplate(unfilteredUrl, submissions, { pagination, combined });
 
-  return urlResult.url;
-}
+    if (!template) {
+      logger.warn('No filter showed in the URL; no URL template derived', { unfilteredUrl, filteredUrl });
+      return null;
+    }
 
-async function validateJobListingUrl(url, page, filters) {
-  let prompt = `check if the url is a valid job listing url. it should show list of jobs\n`;
+    logger.info('URL template derived', {
+      template: template.url,
+      verified: template.verified,
+      unresolved: template.unresolved
+    });
+    return template;
+  } catch (error) {
+    logger.warn('URL template derivation failed', { unfilteredUrl, error: error.message });
+    return null;
+  }
+}
 
+async function validateJobListingUrl(url, page, filters, usedPrompts) {
   const result = await page.extract({
-    instruction: prompt,
+    instruction: usePrompt(usedPrompts, 'career.filtered_listing_check').instruction,
     schema: z.object({
       isValid: z.boolean()
     })
@@ -227,27 +358,27 @@ async function validateJobListingUrl(url, page, filters) {
   return result.isValid;
 }
 
-async function tryWithFullPrompt(page, url, state, filters) {
-  await page.goto(url);
+async function tryWithFullPrompt(page, url, usedPrompts, state, filters) {
+  await getDomainGovernor().goto(page, url, undefined, state.politeness);
   const observations = await page.observe({
-    instruction: `understand the page, and get the action to search for jobs as per the filters`,
+    instruction: usePrompt(usedPrompts, 'career.filter_search_observe').instruction,
   });
 
   logger.info('Observations', { observations });
 
   await page.act({
-    action: `try filling filters with values`,
+    action: usePrompt(usedPrompts, 'career.filter_fill_fallback').instruction,
     variables: {
       ...filters,
     }
   });
 
   await page.act({
-    action: `try submitting the form. submit cna be a button click or keyboard enter keystroke on the search input`
+    action: usePrompt(usedPrompts, 'career.filter_submit_fallback').instruction
   })
 
   const result = await page.extract({
-    instruction: `get the url of the page after the filters are applied`,
+    instruction: usePrompt(usedPrompts, 'career.filtered_url').instruction,
     schema: z.object({
       url: z.string()
     })
@@ -255,7 +386,10 @@ async function tryWithFullPrompt(page, url, state, filters) {
 
   if (result.url === url) {
     logger.error('Applying filters did not change the URL; filters may not be functional or detectable', { jobListingsUrl: url });
-    return state;
+    return {
+      ...state,
+      promptVersions: withPromptVersions(state.promptVersions, ...usedPrompts)
+    };
   }
 
   logger.info('Filters applied on full prompt successfully', { url: result.url });
@@ -266,6 +400,7 @@ async function tryWithFullPrompt(page, url, state, filters) {
     urlParameters: filters,
     filters: filters,
     pageValidated: true,
+    promptVersions: withPromptVersions(state.promptVersions, ...usedPrompts),
     status: 'success',
     currentStep: 'filter_analyzer'
   }
@@ -2,12 +2,17 @@
  * Job Listings Navigator Node
  * 
  * Purpose: Find the job listings page from the career homepage using CTA phrase matching
- * and fallback strategies.
+ * and fallback strategies. When the career page is hosted on an applicant tracking
+ * system (ATS), its board is the listings page; otherwise the listings page found is
+ * checked for an ATS board.
  */
 
 import { logger } from '../../../../src/shared/utils/logger.js';
 import { z } from 'zod';
+import { renderPrompt, withPromptVersions } from '../../../../src/shared/prompts/index.js';
 import { readCsvFile } from '../../../../src/shared/utils/csvReader.js';
+import { getDomainGovernor } from '../../../../src/shared/utils/domainGovernor.js';
+import { detectAtsOnPage } from '../../../../src/shared/ats/index.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -39,8 +44,24 @@ const jobListingsNavigatorNode = async (state) => {
       throw new Error('No career page URL provided from previous node');
     }
 
+    // The board of an ATS found on the career page lists every posting
+    if (state.ats) {
+      logger.info('Job listings page is the ATS board', { careerPageUrl, ...state.ats });
+
+      return {
+        ...state,
+        jobListingsUrl: state.ats.boardUrl,
+        status: 'job_listings_found',
+        currentStep: 'job_listings_navigator'
+      };
+    }
+
     // Strategy 1: CTA phrase matching
-    const jobListingsUrl = await findJobListingsWithCTA(page, careerPageUrl);
+    const ctaPrompts = {
+      link: renderPrompt('career.job_listings_link'),
+      verification: renderPrompt('career.job_listings_verification')
+    };
+    const jobListingsUrl = await findJobListingsWithCTA(page, careerPageUrl, ctaPrompts, state.politeness);
     
     if (jobListingsUrl) {
       logger.info('Job listings page found via CTA matching', { 
@@ -51,13 +72,16 @@ const jobListingsNavigatorNode = async (state) => {
       return {
         ...state,
         jobListingsUrl,
+        ats: await detectBoard(page, jobListingsUrl),
+        promptVersions: withPromptVersions(state.promptVersions, ctaPrompts.link, ctaPrompts.verification),
         status: 'job_listings_found',
         currentStep: 'job_listings_navigator'
       };
     }
 
     // Strategy 2: Fallback URL patterns
-    const fallbackUrl = await findJobListingsWithFallback(page, careerPageUrl);
+    const checkPrompt = renderPrompt('career.job_listings_quick_check');
+    const fallbackUrl = await findJobListingsWithFallback(page, careerPageUrl, checkPrompt, state.politeness);
     
     if (fallbackUrl) {
       logger.info('Job listings page found via fallback strategy', { 
@@ -68,6 +92,8 @@ const jobListingsNavigatorNode = async (state) => {
       return {
         ...state,
         jobListingsUrl: fallbackUrl,
+        ats: await detectBoard(page, fallbackUrl),
+        promptVersions: withPromptVersions(state.promptVersions, checkPrompt),
         status: 'job_listings_found',
         currentStep: 'job_listings_navigator'
       };
@@ -100,10 +126,21 @@ const jobListingsNavigatorNode = async (state) => {
   }
 };
 
+/**
+ * ATS board of the listings page the browser is on (many career sites link or embed it there)
+ */
+async function detectBoard(page, jobListingsUrl) {
+  const ats = await detectAtsOnPage(page);
+  if (ats) {
+    logger.info('Job listings page is backed by an ATS', { jobListingsUrl, ...ats });
+  }
+  return ats;
+}
+
 /**
  * Strategy 1: CTA phrase matching for job listings discovery
  */
-async function findJobListingsWithCTA(page, careerPageUrl) {
+async function findJobListingsWithCTA(page, careerPageUrl, prompts, politeness) {
   try {
     logger.info('Attempting CTA phrase matching for job listings', { careerPageUrl });
     
@@ -112,13 +149,11 @@ async function findJobListingsWithCTA(page, careerPageUrl) {
     logger.info('Loaded CTA phrases', { count: ctaPhrases.length });
     
     // Navigate to career page
-    await page.goto(careerPageUrl);
+    await getDomainGovernor().goto(page, careerPageUrl, undefined, politeness);
     
     // Use AI to find the single best clickable link matching CTA phrases
     const { link } = await page.extract({
-      instruction: `You are on the company's career or jobs landing page. Identify the single best clickable link or button that will take you to the actual job listings page — the one that displays open roles or search results.
-Avoid links that loop back to the same page or lead to generic descriptions. Focus on CTAs like "Search Jobs", "Browse Openings", "View Opportunities", etc.
-Return the absolute URL (starting with http:// or https://) of that link.`,
+      instruction: prompts.link.instruction,
       schema: z.object({
         link: z.string().url()
       }),
@@ -128,14 +163,10 @@ Return the absolute URL (starting with http:// or https://) of that link.`,
       logger.info('Job listings CTA link selected by AI', { link });
 
       try {
-        await page.goto(link);
+        await getDomainGovernor().goto(page, link, undefined, politeness);
 
         const { isValid } = await page.extract({
-          instruction: `Verify this page is a job listings or job search page by checking for:
-            - Multiple job titles or roles listed
-            - Job filters, locations, or departments
-            - "Apply" buttons or links
-            Return true if this is a job listings/search results page.`,
+          instruction: prompts.verification.instruction,
           schema: z.object({ isValid: z.boolean() })
         });
 
@@ -185,7 +216,7 @@ async function loadCTAPhrases() {
 /**
  * Strategy 2: Fallback URL patterns
  */
-async function findJobListingsWithFallback(page, careerPageUrl) {
+async function findJobListingsWithFallback(page, careerPageUrl, checkPrompt, politeness) {
   const commonPatterns = [
     '/jobs',
     '/careers/jobs',
@@ -217,15 +248,13 @@ async function findJobListingsWithFallback(page, careerPageUrl) {
       const testUrl = new URL(pattern, careerPageUrl).href;
       logger.info('Testing fallback URL pattern', { pattern, testUrl });
       
-      // Navigate to the test URL
-      const response = await page.goto(testUrl);
+      // Navigate to the test URL, spaced per host
+      const response = await getDomainGovernor().goto(page, testUrl, undefined, politeness);
       
-      if (response && response.ok) {
+      if (response && response.ok()) {
         // Validate the page is a job listings page
         const { isValid } = await page.extract({
-          instruction: `Quickly check if this page has job listings or job search functionality.
-            Look for job postings, search boxes, or job-related content.
-            Return true if this appears to be a job listings page.`,
+          instruction: checkPrompt.instruction,
           schema: z.object({ isValid: z.boolean() })
         });
         
@@ -6,7 +6,9 @@
  */
 
 import { logger } from '../../../../src/shared/utils/logger.js';
-import { chatCompletion } from '../../../../src/shared/utils/openai.js';
+import { structuredCompletion } from '../../../../src/shared/utils/openai.js';
+import { renderPrompt, withPromptVersions } from '../../../../src/shared/prompts/index.js';
+import { saveUrlTemplate } from '../../../../src/shared/utils/urlTemplate.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -23,7 +25,9 @@ const metadataConstructorNode = async (state) => {
     jobListingsUrl, 
     filteredJobUrl,
     urlParameters,
-    filters
+    filters,
+    ats,
+    urlTemplate
   } = state;
   
   logger.info('Starting Metadata Constructor Node', { companyName });
@@ -46,12 +50,15 @@ const metadataConstructorNode = async (state) => {
     }
 
     // Step 2: Build Filter Summary (handle missing data gracefully)
-    const metadata = await buildFilterSummary(filters, urlParameters, jobListingsUrl, companyName);
+    const usedPrompts = [];
+    const metadata = await buildFilterSummary(filters, urlParameters, jobListingsUrl, companyName, usedPrompts);
+    const promptVersions = withPromptVersions(state.promptVersions, ...usedPrompts);
     
 
-    // Step 3: Append to CSV File (only if we have a job listings URL)
+    // Step 3: Append to CSV File (only if we have a job listings URL). An ATS board is
+    // recorded by its board URL, which job discovery recognizes and lists from the ATS feed.
     if (jobListingsUrl) {
-      const csvResult = await appendToCSV(jobListingsUrl, metadata, companyName);
+      const csvResult = await appendToCSV(ats?.boardUrl || jobListingsUrl, metadata, companyName);
       
       if (!csvResult.success) {
         logger.error('Failed to append to CSV', { 
@@ -62,6 +69,7 @@ const metadataConstructorNode = async (state) => {
         return {
           ...state,
           metadata,
+          promptVersions,
           status: 'metadata_construction_failed',
           errors: [...(state.errors || []), `CSV append failed: ${csvResult.error}`],
           currentStep: 'metadata_constructor'
@@ -73,7 +81,17 @@ const metadataConstructorNode = async (state) => {
       logger.info(`Skipping CSV write for ${companyName} - no job listings URL found`);
     }
 
-    // Step 4: Update Status
+    // Step 4: Store the URL template, so search URLs can be built without the model.
+    // The CSV row stays the record of the discovery; a failed write only loses the template.
+    if (urlTemplate) {
+      try {
+        await saveUrlTemplate(companyName, urlTemplate, { jobListingsUrl: ats?.boardUrl || jobListingsUrl });
+      } catch (error) {
+        logger.warn('Failed to store URL template', { companyName, error: error.message });
+      }
+    }
+
+    // Step 5: Update Status
     logger.info('Metadata construction completed successfully', { 
         companyName,
         metadata,
@@ -84,6 +102,7 @@ const metadataConstructorNode = async (state) => {
     return {
       ...state,
       metadata,
+      promptVersions,
       status: 'metadata_constructed',
       currentStep: 'metadata_constructor'
     };
@@ -105,34 +124,34 @@ const metadataConstructorNode = async (state) => {
 
 /**
  * Step 2: Build Filter Summary
+ * The prompt is added to usedPrompts when the summary comes from the model.
  */
-async function buildFilterSummary(filters, url, jobListingsUrl, companyName) {
+async function buildFilterSummary(filters, url, jobListingsUrl, companyName, usedPrompts) {
   try {
     // Handle missing data gracefully
     const filtersStr = filters ? JSON.stringify(filters) : 'No filters found';
     const urlStr = url || jobListingsUrl || 'No URL found';
     
-    const prompt = `Build metadata for the job search URL for company ${companyName}. 
-    Filter list: ${filtersStr}
-    URL: ${urlStr}
-    Example format: ${MOCK_CSV}
-    
-    Return a simple string describing the job search capabilities.`;
+    const prompt = renderPrompt('career.metadata_summary', {
+      companyName,
+      filters: filtersStr,
+      url: urlStr,
+      example: MOCK_CSV
+    });
     
-    const { success, data, error } = await chatCompletion([
-      {
-        role: 'user',
-        content: prompt
-      }
-    ], {
+    const { success, data, error } = await structuredCompletion(prompt.messages, z.string().trim().min(1, 'The summary is empty'), {
       model: 'gpt-4o-mini',
-      responseFormat: { type: 'text' }
+      responseFormat: { type: 'text' },
+      name: 'filter summary'
     });
 
     if (success) {
+      usedPrompts.push(prompt);
       return data;
     }
 
+    logger.warn('Filter summary generation failed, using fallback', { companyName, error });
+
     // Fallback if AI call fails
     return `Job search metadata for ${companyName}: ${urlStr}`;
     
@@ -0,0 +1,51 @@
+/**
+ * Website Resolver Node
+ *
+ * Purpose: Resolve the company's website before the career page search: the
+ * explicit domain of the company when it has one, else candidates from the
+ * company-domain dictionary or the company name, ranked by inspecting their
+ * homepages. The career pages the winning homepage links to (nav, header and
+ * footer links, sitemap.xml entries) are handed to the career page finder.
+ */
+
+import { logger } from '../../../../src/shared/utils/logger.js';
+import { resolveCompanyWebsite } from '../../../../src/shared/utils/companyWebsite.js';
+
+const websiteResolverNode = async (state) => {
+  const { companyName, companyDomain, companyAliases } = state;
+
+  logger.info('Starting Website Resolver Node', { companyName, companyDomain });
+
+  try {
+    const { careerPages, ...website } = await resolveCompanyWebsite(companyName, {
+      domain: companyDomain,
+      aliases: companyAliases || [],
+      politeness: state.politeness
+    });
+
+    return {
+      ...state,
+      companyWebsite: website,
+      careerPageCandidates: careerPages,
+      status: website.domain ? 'website_resolved' : 'website_unresolved',
+      currentStep: 'website_resolver'
+    };
+
+  } catch (error) {
+    // The career page finder still searches the web without a website
+    logger.warn('Website Resolver Node failed, falling back to search', {
+      companyName,
+      error: error.message
+    });
+
+    return {
+      ...state,
+      companyWebsite: null,
+      careerPageCandidates: [],
+      status: 'website_unresolved',
+      currentStep: 'website_resolver'
+    };
+  }
+};
+
+export default websiteResolverNode;
@@ -1,20 +1,22 @@
+import { logger } from '../../shared/utils/logger.js';
+
 export const afterPageLoadDecision = (state) => {
-  console.log('🤔 AfterPageLoadDecision: Analyzing page load results...');
+  logger.info('🤔 AfterPageLoadDecision: Analyzing page load results...');
   
   const { pageLoadAnalysis } = state;
   
   if (!pageLoadAnalysis) {
-    console.log('No page load analysis found, ending workflow');
+    logger.info('No page load analysis found, ending workflow');
     return 'end';
   }
   
   if (pageLoadAnalysis.error) {
-    console.log('Page load failed, ending workflow');
+    logger.info('Page load failed, ending workflow');
     return 'end';
   }
   
   if (!pageLoadAnalysis.isLoaded) {
-    console.log('Page not loaded, ending workflow');
+    logger.info('Page not loaded, ending workflow');
     return 'end';
   }
   
@@ -22,36 +24,36 @@ export const afterPageLoadDecision = (state) => {
   const { blockers } = pageLoadAnalysis;
   
   if (blockers?.hasCaptcha) {
-    console.log('CAPTCHA detected, switching to captcha workflow');
+    logger.info('CAPTCHA detected, switching to captcha workflow');
     return 'switch_to_captcha_workflow';
   }
   
   if (blockers?.hasAntiBot) {
-    console.log('Anti-bot protection detected, switching to anti-bot workflow');
+    logger.info('Anti-bot protection detected, switching to anti-bot workflow');
     return 'switch_to_anti_bot_workflow';
   }
   
   if (blockers?.hasLoginRequired) {
-    console.log('Login required detected, switching to login workflow');
+    logger.info('Login required detected, switching to login workflow');
     return 'switch_to_login_workflow';
   }
   
   if (blockers?.hasGoogleOAuth) {
-    console.log('Google OAuth required, switching to oauth workflow');
+    logger.info('Google OAuth required, switching to oauth workflow');
     return 'switch_to_oauth_workflow';
   }
   
   if (blockers?.hasEmailVerification) {
-    console.log('Email verification required, switching to email verification workflow');
+    logger.info('Email verification required, switching to email verification workflow');
     return 'switch_to_email_verification_workflow';
   }
   
   // If no blockers, check for forms
   if (pageLoadAnalysis.hasForm) {
-    console.log('Form detected, proceeding to form analysis');
+    logger.info('Form detected, proceeding to form analysis');
     return 'analyze_form';
   } else {
-    console.log('No form detected, ending workflow');
+    logger.info('No form detected, ending workflow');
     return 'end';
   }
 }; 
\ No newline at end of file
@@ -6,6 +6,13 @@ import { fillFormNode } from '../../new-nodes/actions/fillFormNode.js';
 import { submitResumeNode } from '../../new-nodes/actions/submitResumeNode.js';
 import { afterPageLoadDecision } from './decisionFunctions.js';
 import { easyApplyStateSchema } from '../../shared/utils/easyApplyState.js';
+import { JOB_STATUS, transitionJob } from '../../shared/utils/jobLifecycle.js';
+import { getBrowserPool } from '../../shared/utils/browserPool.js';
+import { currentCorrelationId, newCorrelationId, withLogContext } from '../../shared/utils/correlation.js';
+import { logger } from '../../shared/utils/logger.js';
+import { withRunEvents } from '../../shared/utils/runEvents.js';
+import { withEvidence } from '../../shared/utils/evidence.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent } from '../../shared/utils/webhooks.js';
 
 const createEasyApplyWorkflow = () => {
   const workflow = new StateGraph({
@@ -13,11 +20,11 @@ const createEasyApplyWorkflow = () => {
   });
   
   // Add nodes
-  workflow.addNode('detect_page_load', detectPageLoadNode);
-  workflow.addNode('analyze_form', analyzeFormNode);
-  workflow.addNode('field_mapping', fieldMappingNode);
-  workflow.addNode('fill_form', fillFormNode);
-  workflow.addNode('submit_resume', submitResumeNode);
+  workflow.addNode('detect_page_load', withRunEvents('easy-apply', 'detect_page_load', withEvidence('easy-apply', 'detect_page_load', detectPageLoadNode)));
+  workflow.addNode('analyze_form', withRunEvents('easy-apply', 'analyze_form', withEvidence('easy-apply', 'analyze_form', analyzeFormNode)));
+  workflow.addNode('field_mapping', withRunEvents('easy-apply', 'field_mapping', fieldMappingNode));
+  workflow.addNode('fill_form', withRunEvents('easy-apply', 'fill_form', withEvidence('easy-apply', 'fill_form', fillFormNode)));
+  workflow.addNode('submit_resume', withRunEvents('easy-apply', 'submit_resume', withEvidence('easy-apply', 'submit_resume', submitResumeNode)));
   
   // Add edges
   workflow.addConditionalEdges(
@@ -52,14 +59,61 @@ const createEasyApplyWorkflow = () => {
   return workflow.compile();
 };
 
-export const runEasyApplyWorkflow = async (jobUrl, candidateData, stagehandClient, resumeId = null) => {
-  console.log('🚀 Starting Easy Apply Workflow');
+/**
+ * Whether the workflow submitted the application, and why not
+ */
+const applicationOutcome = (result, error = null) => ({
+  applied: !error && result?.resumeUpload?.success === true,
+  reason: error?.message || result?.resumeUpload?.error || result?.error || result?.currentStep
+});
+
+/**
+ * Move the job_descriptions record (when there is one) to its application outcome
+ */
+const recordApplicationOutcome = async (jdId, result, error = null) => {
+  const { applied, reason } = applicationOutcome(result, error);
+
+  await transitionJob(jdId, applied ? JOB_STATUS.APPLIED : JOB_STATUS.APPLICATION_FAILED, {
+    expectedFrom: JOB_STATUS.APPLYING,
+    updates: {
+      lastApplicationStep: result?.currentStep || 'error',
+      ...(applied ? { appliedAt: new Date().toISOString() } : { lastApplicationError: reason })
+    },
+    reason,
+    actor: 'easy-apply'
+  });
+};
+
+/**
+ * Tell webhook subscribers how the application ended
+ */
+const announceApplicationOutcome = async (jobUrl, jdId, result, error = null) => {
+  const { applied, reason } = applicationOutcome(result, error);
+
+  await emitWebhookEvent(applied ? WEBHOOK_EVENTS.APPLICATION_SUBMITTED : WEBHOOK_EVENTS.APPLICATION_FAILED, {
+    jd_id: jdId,
+    jobUrl,
+    step: result?.currentStep || 'error',
+    ...(applied ? { submittedAt: new Date().toISOString() } : { error: reason })
+  });
+};
+
+export const runEasyApplyWorkflow = async (jobUrl, candidateData, resumeId = null, jdId = null) => {
+  // Applications started outside a request or API run get their own correlation ID
+  const correlationId = currentCorrelationId() || newCorrelationId();
+  logger.info('🚀 Starting Easy Apply Workflow', { jobUrl, jdId, correlationId });
+
+  if (jdId) {
+    // Throws JobTransitionError if the job is not in a status that can be applied to
+    await transitionJob(jdId, JOB_STATUS.APPLYING, { reason: 'application started', actor: 'easy-apply' });
+  }
   
-  await stagehandClient.start();
+  let lease = null;
   try {
-    // Initialize page and agent
-    const page = await stagehandClient.newPage();
-    const agent = await stagehandClient.newAgent();
+    // Leased browser session; concurrent applications each get their own
+    lease = await getBrowserPool().acquire();
+    const page = lease.page;
+    const agent = await lease.newAgent();
     
     // Create initial state
     const initialState = {
@@ -68,22 +122,32 @@ export const runEasyApplyWorkflow = async (jobUrl, candidateData, stagehandClien
       page,
       agent,
       resumeId,
+      correlationId,
       currentStep: 'start'
     };
     
     // Run workflow
     const workflow = createEasyApplyWorkflow();
-    const result = await workflow.invoke(initialState);
+    const result = await withLogContext({ correlationId }, () => workflow.invoke(initialState));
     
-    console.log('✅ Easy Apply Workflow completed');
-    // console.log('Final state:', JSON.stringify(result, null, 2));
+    logger.info('✅ Easy Apply Workflow completed', { jobUrl, currentStep: result.currentStep, isComplete: result.isComplete });
+
+    if (jdId) {
+      await recordApplicationOutcome(jdId, result);
+    }
+    await announceApplicationOutcome(jobUrl, jdId, result);
     
     return result;
     
   } catch (error) {
-    console.error('❌ Easy Apply Workflow failed:', error.message);
+    logger.error('❌ Easy Apply Workflow failed', { jobUrl, error: error.message });
+    if (jdId) {
+      await recordApplicationOutcome(jdId, null, error)
+        .catch(transitionError => logger.error('❌ Could not record application failure', { jdId, error: transitionError.message }));
+    }
+    await announceApplicationOutcome(jobUrl, jdId, null, error);
     throw error;
   } finally {
-    await stagehandClient.stop();
+    await lease?.release();
   }
-}; 
\ No newline at end of file
+};
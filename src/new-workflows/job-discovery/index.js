@@ -1,12 +1,16 @@
 import { StateGraph, END } from '@langchain/langgraph';
 import { urlConstructionNode } from '../../new-nodes/processing/urlConstructionNode.js';
 import { jobListingScraperNode } from '../../new-nodes/scraping/jobListingScraperNode.js';
+import { atsListingNode } from '../../new-nodes/scraping/atsListingNode.js';
 import { paginationScraperNode } from '../../new-nodes/scraping/paginationScraperNode.js';
 import { urlIteratorNode } from './urlIteratorNode.js';
 import { storageNode } from './storageNode.js';
 import { jobDiscoveryStateSchema } from '../../shared/utils/jobDiscoveryState.js';
-import { enhancedStagehandClient } from '../../shared/utils/enhancedStagehand.js';
+import { getBrowserPool } from '../../shared/utils/browserPool.js';
+import { currentCorrelationId, newCorrelationId, withLogContext } from '../../shared/utils/correlation.js';
 import { logger } from '../../shared/utils/logger.js';
+import { withRunEvents } from '../../shared/utils/runEvents.js';
+import { withEvidence } from '../../shared/utils/evidence.js';
 
 const createJobDiscoveryWorkflow = (urlCount = 5) => {
   const workflow = new StateGraph({
@@ -14,15 +18,17 @@ const createJobDiscoveryWorkflow = (urlCount = 5) => {
   });
 
   // Add nodes
-  workflow.addNode('url_construction', urlConstructionNode);
-  workflow.addNode('url_iterator', urlIteratorNode);
-  workflow.addNode('job_scraper', jobListingScraperNode);
-  workflow.addNode('pagination_scraper', paginationScraperNode);
-  workflow.addNode('storage', storageNode);
+  workflow.addNode('url_construction', withRunEvents('job-discovery', 'url_construction', urlConstructionNode));
+  workflow.addNode('url_iterator', withRunEvents('job-discovery', 'url_iterator', urlIteratorNode));
+  workflow.addNode('ats_listing', withRunEvents('job-discovery', 'ats_listing', atsListingNode));
+  workflow.addNode('job_scraper', withRunEvents('job-discovery', 'job_scraper', withEvidence('job-discovery', 'job_scraper', jobListingScraperNode)));
+  workflow.addNode('pagination_scraper', withRunEvents('job-discovery', 'pagination_scraper', paginationScraperNode));
+  workflow.addNode('storage', withRunEvents('job-discovery', 'storage', storageNode));
 
   // Add edges
   workflow.addEdge('url_construction', 'url_iterator');
   workflow.addConditionalEdges('url_iterator', shouldContinueToNextUrl);
+  workflow.addConditionalEdges('ats_listing', afterAtsListing);
   workflow.addEdge('job_scraper', 'pagination_scraper');
   workflow.addConditionalEdges('pagination_scraper', shouldContinueToNextPage);
   workflow.addEdge('storage', END);
@@ -51,16 +57,25 @@ const createJobDiscoveryWorkflow = (urlCount = 5) => {
   return compiledWorkflow;
 };
 
-export const runJobDiscoveryWorkflow = async (configPath, domain = null, filters = {}) => {
-  logger.info('🚀 Starting Job Discovery Workflow');
-
+/**
+ * Run job discovery for the URL templates of a config CSV
+ * @param {string} configPath - CSV of URL templates
+ * @param {string} [domain] - Target domain
+ * @param {Object} [filters] - Filter values for the templates
+ * @param {Object} [options] - { politeness: per-domain request rules of the run (domainGovernor.js),
+ *   valueMappings: filter value -> site value tables for the URL templates, keyed by company ("*" for all) }
+ */
+export const runJobDiscoveryWorkflow = async (configPath, domain = null, filters = {}, options = {}) => {
+  // Runs started outside a request or API run get their own correlation ID
+  const correlationId = currentCorrelationId() || newCorrelationId();
+  logger.info('🚀 Starting Job Discovery Workflow', { correlationId });
+
+  let lease = null;
   try {
-    // Use enhanced stagehand client
-    await enhancedStagehandClient.start();
-
-    // Initialize page and agent
-    const page = await enhancedStagehandClient.newPage();
-    const agent = await enhancedStagehandClient.newAgent();
+    // Leased browser session, returned to the pool when the run ends
+    lease = await getBrowserPool().acquire();
+    const page = lease.page;
+    const agent = await lease.newAgent();
 
     // Read CSV to get URL count for recursion limit
     const { readFileSync } = await import('fs');
@@ -80,6 +95,9 @@ export const runJobDiscoveryWorkflow = async (configPath, domain = null, filters
       configPath,
       domain,
       filters,
+      politeness: options.politeness || {},
+      valueMappings: options.valueMappings || {},
+      correlationId,
       page,
       agent,
       currentStep: 'start',
@@ -92,9 +110,9 @@ export const runJobDiscoveryWorkflow = async (configPath, domain = null, filters
     // Run workflow with dynamic recursion limit
     const workflow = createJobDiscoveryWorkflow(urlCount);
     logger.info(`📊 About to invoke workflow with ${urlCount} URLs`);
-    const result = await workflow.invoke(initialState, {
+    const result = await withLogContext({ correlationId }, () => workflow.invoke(initialState, {
       recursionLimit: Math.max(100, urlCount * 15) // Ensure high enough limit
-    });
+    }));
 
     logger.info('✅ Job Discovery Workflow completed');
     logger.info(`�� Processed ${result.processedUrls?.length || 0} URLs`);
@@ -105,6 +123,8 @@ export const runJobDiscoveryWorkflow = async (configPath, domain = null, filters
   } catch (error) {
     logger.error('❌ Job Discovery Workflow failed:', error.message);
     throw error;
+  } finally {
+    await lease?.release();
   }
 };
 
@@ -133,12 +153,24 @@ const shouldContinueToNextUrl = (state) => {
   if (currentStep === 'url_iterator_complete') {
     logger.info('✅ All URLs processed, moving to storage');
     return 'storage';
+  } else if (state.currentUrl?.ats) {
+    logger.info(`🔄 Continuing to next URL, listed from the ${state.currentUrl.ats.platform} feed`);
+    return 'ats_listing';
   } else {
     logger.info('🔄 Continuing to next URL');
     return 'job_scraper'
   }
 };
 
-export const runJobDiscoveryFromConfig = async (configPath, domain = null, filters = {}) => {
-  return await runJobDiscoveryWorkflow(configPath, domain, filters);
+// A board the feed could not list is scraped like any listing page
+const afterAtsListing = (state) => {
+  if (state.currentStep === 'ats_listing_failed') {
+    logger.info('🔄 Falling back to scraping the board page');
+    return 'job_scraper';
+  }
+  return 'url_iterator';
+};
+
+export const runJobDiscoveryFromConfig = async (configPath, domain = null, filters = {}, options = {}) => {
+  return await runJobDiscoveryWorkflow(configPath, domain, filters, options);
 };
@@ -1,6 +1,8 @@
 import { logger } from '../../shared/utils/logger.js';
-import { insertJobDescriptions } from '../../shared/utils/dynamoDB.js';
-import crypto from 'crypto';
+import { upsertJobDescriptions } from '../../shared/utils/dynamoDB.js';
+import { JOB_STATUS } from '../../shared/utils/jobLifecycle.js';
+import { identifyJobUrl } from '../../shared/utils/urlCanonicalizer.js';
+import { WEBHOOK_EVENTS, emitWebhookEvents } from '../../shared/utils/webhooks.js';
 
 export const storageNode = async (state) => {
   const { scrapedJobs = [], currentUrl } = state;
@@ -15,31 +17,70 @@ export const storageNode = async (state) => {
         ...state,
         currentStep: 'storage_complete',
         storedJobs: [],
-        storageErrors: []
+        storageErrors: [],
+        storageSummary: { new: 0, known: 0, duplicates: 0, invalid: 0 }
       };
     }
     
-    // Format jobs for DynamoDB storage
-    const jobDescriptions = scrapedJobs.map((job, index) => ({
-      jd_id: crypto.randomUUID(), // Generate proper UUID
-      url: job.url,
-      company: job.company,
-      domain: currentUrl?.domain,
-      filters: currentUrl?.filters,
-      status: 'discovered',
-      discoveredAt: new Date().toISOString()
-    }));
+    // Format jobs for DynamoDB storage. jd_id is derived from the canonical URL,
+    // so the same posting found again (or twice in this run) maps to one record.
+    const jobDescriptions = new Map();
+    let storageErrors = [];
+    let duplicates = 0;
+
+    for (const job of scrapedJobs) {
+      let identity;
+      try {
+        identity = identifyJobUrl(job.url);
+      } catch (error) {
+        storageErrors.push({ item: job, error: `Invalid job URL: ${job.url}` });
+        continue;
+      }
+
+      if (jobDescriptions.has(identity.jd_id)) {
+        duplicates++;
+        continue;
+      }
+
+      jobDescriptions.set(identity.jd_id, {
+        jd_id: identity.jd_id,
+        url: identity.url,
+        originalUrl: job.url,
+        platform: identity.platform,
+        platformJobId: identity.platformJobId,
+        company: job.company,
+        // Postings listed from an ATS feed come with their title and details
+        ...(job.posting && { title: job.title, posting: job.posting }),
+        domain: currentUrl?.domain,
+        filters: currentUrl?.filters,
+        status: JOB_STATUS.DISCOVERED,
+        scrapedAt: job.scrapedAt,
+        discoveredAt: new Date().toISOString()
+      });
+    }
+    const invalid = storageErrors.length;
     
     // Store job descriptions in DynamoDB
-    let storedJobs = [];
-    let storageErrors = [];
+    let newJobs = [];
+    let knownJobs = [];
     
     try {
-      const storageResult = await insertJobDescriptions(jobDescriptions);
-      storedJobs = storageResult.results;
-      storageErrors = storageResult.errors;
+      const storageResult = await upsertJobDescriptions([...jobDescriptions.values()]);
+      newJobs = storageResult.newJobs;
+      knownJobs = storageResult.knownJobs;
+      storageErrors = [...storageErrors, ...storageResult.errors];
       
-      logger.info(`Stored ${storedJobs.length} jobs in DynamoDB, ${storageErrors.length} failed`);
+      logger.info(`Stored ${newJobs.length} new jobs in DynamoDB, ${knownJobs.length} already known, ${duplicates} duplicates in this run, ${storageErrors.length} failed`);
+
+      // Only postings seen for the first time are announced
+      await emitWebhookEvents(WEBHOOK_EVENTS.JOB_DISCOVERED, newJobs.map(job => ({
+        jd_id: job.jd_id,
+        url: job.url,
+        company: job.company,
+        domain: job.domain,
+        platform: job.platform,
+        discoveredAt: job.discoveredAt
+      })));
     } catch (error) {
       logger.error('Failed to store jobs in DynamoDB:', error.message);
       storageErrors.push({ error: error.message });
@@ -47,8 +88,9 @@ export const storageNode = async (state) => {
     
     return {
       ...state,
-      storedJobs,
+      storedJobs: [...newJobs, ...knownJobs],
       storageErrors,
+      storageSummary: { new: newJobs.length, known: knownJobs.length, duplicates, invalid },
       currentStep: 'storage_complete'
     };
     
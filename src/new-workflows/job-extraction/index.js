@@ -13,7 +13,10 @@ import dimensionMapperNode from '../../new-nodes/mapping/dimensionMapperNode.js'
 import qualityValidatorNode from '../../new-nodes/validation/qualityValidatorNode.js';
 import storageNode from '../../new-nodes/storage/storageNode.js';
 import StateManager from './utils/stateManager.js';
-import { enhancedStagehandClient } from '../../shared/utils/enhancedStagehand.js';
+import { closeBrowserPool, getBrowserPool } from '../../shared/utils/browserPool.js';
+import { currentCorrelationId, newCorrelationId, withLogContext } from '../../shared/utils/correlation.js';
+import { logger } from '../../shared/utils/logger.js';
+import { withRunEvents } from '../../shared/utils/runEvents.js';
 
 /**
  * Job Extraction Workflow Class
@@ -67,7 +70,8 @@ class JobExtractionWorkflow {
         entities: { value: null },
         current_node: { value: 'job_loader' },
         errors: { value: [] },
-        metadata: { value: {} }
+        metadata: { value: {} },
+        correlationId: { value: null }
       }
     });
 
@@ -106,15 +110,16 @@ class JobExtractionWorkflow {
   createNodeWrapper(nodeName) {
     return async (state) => {
       try {
-        console.log(`JobExtractionWorkflow: Executing node: ${nodeName}`);
+        logger.debug(`JobExtractionWorkflow: Executing node: ${nodeName}`);
         
-        const node = this.nodes[nodeName];
+        // Publishes node progress to the API run executing this workflow, if any
+        const node = withRunEvents('job-extraction', nodeName, this.nodes[nodeName]);
         
         // All nodes are pure functions - call directly and return updated state
         return await node(state);
         
       } catch (error) {
-        console.error(`JobExtractionWorkflow: Error executing node ${nodeName}:`, error);
+        logger.error(`JobExtractionWorkflow: Error executing node ${nodeName}`, { error });
         
         const errorState = { ...state };
         errorState.errors = [
@@ -149,14 +154,20 @@ class JobExtractionWorkflow {
    */
   async execute(initialJobData) {
     const startTime = new Date();
+    let lease = null;
+    // Jobs extracted outside a request or API run get their own correlation ID
+    const correlationId = currentCorrelationId() || newCorrelationId();
     
     try {
-      console.log('JobExtractionWorkflow: Starting LangGraph workflow execution...');
+      logger.info('JobExtractionWorkflow: Starting LangGraph workflow execution...', { jobId: initialJobData?.id, correlationId });
+      
+      // Browser session for this run (queued when every pooled session is leased)
+      lease = await getBrowserPool().acquire();
       
       // Initialize state for LangGraph
       const initialState = {
         job_data: initialJobData,
-        page: null,
+        page: lease.page,
         extracted_content: null,
         analysis_results: null,
         domain_classification: null,
@@ -169,11 +180,12 @@ class JobExtractionWorkflow {
         metadata: {
           workflow_start: new Date().toISOString(),
           workflow_id: `workflow_${Date.now()}`
-        }
+        },
+        correlationId
       };
       
       // Execute LangGraph workflow
-      const result = await this.workflow.invoke(initialState);
+      const result = await withLogContext({ correlationId }, () => this.workflow.invoke(initialState));
       
       const endTime = new Date();
       const duration = endTime - startTime;
@@ -190,12 +202,12 @@ class JobExtractionWorkflow {
         errors: result.errors
       };
 
-      console.log(`JobExtractionWorkflow: LangGraph workflow completed. Success: ${workflowResult.success}, Duration: ${duration}ms`);
+      logger.info(`JobExtractionWorkflow: LangGraph workflow completed. Success: ${workflowResult.success}, Duration: ${duration}ms`);
       
       return workflowResult;
 
     } catch (error) {
-      console.error('JobExtractionWorkflow: LangGraph workflow execution failed:', error);
+      logger.error('JobExtractionWorkflow: LangGraph workflow execution failed', { error });
       
       const endTime = new Date();
       return {
@@ -213,25 +225,24 @@ class JobExtractionWorkflow {
         }
       };
     } finally {
-      // Clean up Stagehand client
+      // Return the browser session to the pool
       try {
-        await enhancedStagehandClient.close();
-        console.log('JobExtractionWorkflow: Stagehand client closed successfully');
+        await lease?.release();
       } catch (error) {
-        console.warn('JobExtractionWorkflow: Error closing Stagehand client:', error.message);
+        logger.warn('JobExtractionWorkflow: Error releasing browser session', { error: error.message });
       }
     }
   }
 
   /**
-   * Clean up resources
+   * Clean up resources: closes the browser pool, for scripts that exit after running the workflow
    */
   async cleanup() {
     try {
-      await enhancedStagehandClient.close();
-      console.log('JobExtractionWorkflow: Cleanup completed successfully');
+      await closeBrowserPool();
+      logger.info('JobExtractionWorkflow: Cleanup completed successfully');
     } catch (error) {
-      console.warn('JobExtractionWorkflow: Error during cleanup:', error.message);
+      logger.warn('JobExtractionWorkflow: Error during cleanup', { error: error.message });
     }
   }
 
@@ -241,7 +252,7 @@ class JobExtractionWorkflow {
    * @returns {Promise<Object>} Batch execution results
    */
   async executeBatch(jobBatch) {
-    console.log(`JobExtractionWorkflow: Starting batch execution for ${jobBatch.length} jobs`);
+    logger.info(`JobExtractionWorkflow: Starting batch execution for ${jobBatch.length} jobs`);
     
     const batchResults = {
       total_jobs: jobBatch.length,
@@ -265,7 +276,7 @@ class JobExtractionWorkflow {
         }
         
       } catch (error) {
-        console.error(`JobExtractionWorkflow: Error processing job ${jobData.id}:`, error);
+        logger.error(`JobExtractionWorkflow: Error processing job ${jobData.id}`, { error });
         batchResults.failed_jobs++;
         batchResults.results.push({
           success: false,
@@ -279,7 +290,7 @@ class JobExtractionWorkflow {
     batchResults.duration = batchResults.end_time - batchResults.start_time;
     batchResults.success_rate = batchResults.total_jobs > 0 ? batchResults.successful_jobs / batchResults.total_jobs : 0;
 
-    console.log(`JobExtractionWorkflow: Batch execution completed. Success rate: ${(batchResults.success_rate * 100).toFixed(1)}%`);
+    logger.info(`JobExtractionWorkflow: Batch execution completed. Success rate: ${(batchResults.success_rate * 100).toFixed(1)}%`);
     
     return batchResults;
   }
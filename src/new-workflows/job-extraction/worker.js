@@ -0,0 +1,206 @@
+/**
+ * Job Extraction Worker
+ * Claims discovered jobs from the job queue and runs the JobExtractionWorkflow
+ * on them in process, with a bounded number of jobs in flight.
+ */
+
+import JobExtractionWorkflow from './index.js';
+import { config } from '../../shared/config/environment.js';
+import { logger } from '../../shared/utils/logger.js';
+import { JOB_STATUS } from '../../shared/utils/jobLifecycle.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent } from '../../shared/utils/webhooks.js';
+import { createUsageSummary, saveJobUsage, withUsageContext } from '../../shared/utils/llmUsage.js';
+import {
+  claimJob,
+  completeJob,
+  createWorkerId,
+  extendLease,
+  failJob,
+  findClaimableJobs
+} from '../../shared/utils/jobQueue.js';
+
+/**
+ * Build the JobExtractionWorkflow configuration from request-style options
+ * @param {Object} options - Extraction options (as accepted by POST /job-extraction)
+ * @param {string} tableName - Job descriptions table
+ * @returns {Object} Workflow configuration
+ */
+export function buildExtractionConfig(options = {}, tableName = process.env.DYNAMODB_TABLE || 'job_descriptions') {
+  return {
+    maxRetries: options.maxRetries || 3,
+    retryDelay: options.retryDelay || 2000,
+    stopOnError: options.stopOnError !== false,
+    enableLogging: options.enableLogging !== false,
+    contentExtractor: {
+      timeout: options.timeout || 30000,
+      waitForNetworkIdle: true
+    },
+    jobAnalyzer: {
+      extractRawContent: options.extractRawContent !== false,
+      confidenceThreshold: options.confidenceThreshold || 0.8
+    },
+    qualityValidator: {
+      confidenceThreshold: options.confidenceThreshold || 0.7,
+      completenessThreshold: options.completenessThreshold || 0.8,
+      qualityThreshold: options.qualityThreshold || 0.75
+    },
+    storage: {
+      tableName: tableName,
+      updateStatus: true
+    }
+  };
+}
+
+/**
+ * Extraction Worker Class
+ */
+class ExtractionWorker {
+  constructor(options = {}) {
+    this.tableName = options.tableName || process.env.DYNAMODB_TABLE || 'job_descriptions';
+    this.workerId = options.workerId || createWorkerId('extraction');
+    this.concurrency = options.concurrency || config.processor.concurrency;
+    this.maxAttempts = options.maxAttempts || config.processor.maxAttempts;
+    this.leaseMs = options.leaseMs || config.processor.leaseMs;
+    this.backoffMs = options.backoffMs || config.processor.retryBackoffMs;
+    this.workflowOptions = options.workflowOptions || {};
+    this.active = new Set();
+  }
+
+  /**
+   * Claim and process as many jobs as there are free worker slots
+   * @returns {Promise<Array<Object>>} One summary per processed job
+   */
+  async runOnce() {
+    const freeSlots = this.concurrency - this.active.size;
+    if (freeSlots <= 0) {
+      logger.info(`ExtractionWorker: all ${this.concurrency} slots busy`);
+      return [];
+    }
+
+    const candidates = await findClaimableJobs({
+      limit: freeSlots * 2, // Some claims will lose races with other workers
+      tableName: this.tableName
+    });
+
+    const claimed = [];
+    for (const candidate of candidates) {
+      if (claimed.length >= freeSlots) break;
+      const job = await this.claim(candidate.jd_id);
+      if (job) claimed.push(job);
+    }
+
+    if (claimed.length === 0) {
+      return [];
+    }
+
+    logger.info(`ExtractionWorker: processing ${claimed.length} job(s) with concurrency ${this.concurrency}`);
+    return Promise.all(claimed.map(job => this.process(job)));
+  }
+
+  /**
+   * Claim a specific job and process it
+   * @param {string} jdId - Job ID
+   * @returns {Promise<Object|null>} Workflow result, or null if the job could not be claimed
+   */
+  async claimAndRun(jdId) {
+    const job = await this.claim(jdId);
+    if (!job) {
+      return null;
+    }
+    return (await this.process(job)).result;
+  }
+
+  async claim(jdId) {
+    return claimJob(jdId, {
+      workerId: this.workerId,
+      leaseMs: this.leaseMs,
+      tableName: this.tableName
+    });
+  }
+
+  /**
+   * Run the extraction workflow on a claimed job, keeping its lease alive
+   * @param {Object} job - Claimed job
+   * @returns {Promise<Object>} { jd_id, success, attempts, status, result }
+   */
+  async process(job) {
+    const { jd_id } = job;
+    this.active.add(jd_id);
+
+    const heartbeat = setInterval(() => {
+      extendLease(jd_id, { workerId: this.workerId, leaseMs: this.leaseMs, tableName: this.tableName })
+        .catch(error => logger.warn(`ExtractionWorker: lease renewal failed for ${jd_id}: ${error.message}`));
+    }, Math.max(1000, Math.floor(this.leaseMs / 3)));
+
+    // LLM usage of this attempt, stored on the job item as llm_usage
+    const usage = createUsageSummary();
+
+    let result;
+    try {
+      if (!job.url) {
+        // Retrying cannot fix this, so the job goes to 'extraction_failed' instead of the backoff
+        result = { success: false, retryable: false, error: 'Job has no URL to extract from', errors: [] };
+      } else {
+        const workflow = new JobExtractionWorkflow(buildExtractionConfig(this.workflowOptions, this.tableName));
+        result = await withUsageContext({ jdId: jd_id }, () => workflow.execute({
+          jd_id,
+          url: job.url,
+          status: job.status,
+          filters: job.filters || {},
+          metadata: job.metadata || {}
+        }), usage);
+      }
+    } catch (error) {
+      result = { success: false, error: error.message, errors: [] };
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    if (usage.calls > 0) {
+      await saveJobUsage(jd_id, usage, this.tableName);
+    }
+
+    try {
+      if (result.success) {
+        await completeJob(jd_id, { workerId: this.workerId, tableName: this.tableName });
+        logger.info(`ExtractionWorker: ${jd_id} extracted in ${result.duration}ms`);
+        return { jd_id, success: true, attempts: job.attempts, status: JOB_STATUS.EXTRACTED, result };
+      }
+
+      return await this.recordFailure(job, result);
+
+    } finally {
+      this.active.delete(jd_id);
+    }
+  }
+
+  /**
+   * Record a failed run through the queue (retry, dead-letter or extraction_failed)
+   * @returns {Promise<Object>} Failure summary in the same shape as process()
+   */
+  async recordFailure(job, result) {
+    const reason = result.error || (result.errors || []).map(error => `${error.node}: ${error.error}`).join('; ') || 'Workflow execution failed';
+    const failed = await failJob(job, reason, {
+      workerId: this.workerId,
+      maxAttempts: this.maxAttempts,
+      backoffMs: this.backoffMs,
+      retryable: result.retryable !== false,
+      tableName: this.tableName
+    });
+
+    // Retries stay internal; only a job that is out of attempts is announced
+    if (failed && failed.status !== JOB_STATUS.DISCOVERED) {
+      await emitWebhookEvent(WEBHOOK_EVENTS.JOB_EXTRACTION_FAILED, {
+        jd_id: job.jd_id,
+        url: job.url,
+        status: failed.status,
+        attempts: failed.attempts,
+        error: reason
+      });
+    }
+
+    return { jd_id: job.jd_id, success: false, attempts: job.attempts, status: failed?.status, error: reason, result };
+  }
+}
+
+export default ExtractionWorker;
@@ -1,4 +1,3 @@
-import { enhancedStagehandClient } from '../shared/utils/enhancedStagehand.js';
 import { logger } from '../utils/logger.js';
 
 export async function confirmationHandlerNode(state) {
@@ -31,10 +30,12 @@ export async function confirmationHandlerNode(state) {
     // Extract additional confirmation details if available
     let additionalDetails = {};
     
-    if (applicationResult.applicationId) {
+    // Only possible while the state still holds the application's page; the
+    // session the application leased is back in the browser pool by now otherwise
+    if (applicationResult.applicationId && state.page) {
       // Try to extract more details from the confirmation page
       try {
-        const page = enhancedStagehandClient.stagehand.page;
+        const page = state.page;
         const currentUrl = page.url();
         
         if (currentUrl.includes('confirmation') || currentUrl.includes('success')) {
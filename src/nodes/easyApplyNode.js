@@ -1,4 +1,4 @@
-import { enhancedStagehandClient } from '../shared/utils/enhancedStagehand.js';
+import { withBrowserSession } from '../shared/utils/browserPool.js';
 import { createCandidateProfile } from '../utils/candidateProfile.js';
 import { logger } from '../utils/logger.js';
 
@@ -28,7 +28,7 @@ export async function easyApplyNode(state) {
     }
     
     // Handle easy apply using Stagehand
-    const result = await enhancedStagehandClient.handleEasyApply(jobUrl, candidateProfile.toJSON());
+    const result = await withBrowserSession(({ client }) => client.handleEasyApply(jobUrl, candidateProfile.toJSON()));
     
     logger.info('Easy apply completed', { 
       jobUrl, 
@@ -1,4 +1,4 @@
-import { enhancedStagehandClient } from '../shared/utils/enhancedStagehand.js';
+import { withBrowserSession } from '../shared/utils/browserPool.js';
 import { createCandidateProfile } from '../utils/candidateProfile.js';
 import { logger } from '../utils/logger.js';
 
@@ -34,11 +34,11 @@ export async function formSubmissionNode(state) {
     }
     
     // Handle form submission using Stagehand
-    const result = await enhancedStagehandClient.handleFormSubmission(
+    const result = await withBrowserSession(({ client }) => client.handleFormSubmission(
       jobUrl, 
       candidateProfile.toJSON(), 
       requirements
-    );
+    ));
     
     logger.info('Form submission completed', { 
       jobUrl, 
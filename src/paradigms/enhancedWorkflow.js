@@ -6,7 +6,7 @@ import { urlProcessorNode } from '../nodes/urlProcessor.js';
 import { jobScraperNode } from '../nodes/jobScraper.js';
 import { dataProcessorNode } from '../nodes/dataProcessor.js';
 import { outputGeneratorNode } from '../nodes/outputGenerator.js';
-import { enhancedStagehandClient } from '../shared/utils/enhancedStagehand.js';
+import { closeBrowserPool, withBrowserSession } from '../shared/utils/browserPool.js';
 
 // Import AI Agent Paradigms
 import { reflectionNode } from './reflectionNode.js';
@@ -186,7 +186,7 @@ async function scrapeWithRecommendations(jobUrl, strategy, approach, recommendat
   const enhancedConfig = applyRecommendations(scrapingConfig, recommendations);
   
   // Perform the enhanced scraping
-      const jobData = await enhancedStagehandClient.scrapeJob(jobUrl);
+      const jobData = await withBrowserSession(({ client }) => client.scrapeJob(jobUrl));
   
   // Apply post-processing based on recommendations
   return applyPostProcessing(jobData, enhancedConfig);
@@ -486,21 +486,21 @@ async function mainWithParadigms() {
     console.error('Enhanced application failed:', error.message);
     process.exit(1);
   } finally {
-    // Clean up Stagehand client
-    await enhancedStagehandClient.close();
+    // Close the browser sessions
+    await closeBrowserPool();
   }
 }
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Received SIGINT, shutting down enhanced workflow gracefully...');
-  await enhancedStagehandClient.close();
+  await closeBrowserPool();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down enhanced workflow gracefully...');
-  await enhancedStagehandClient.close();
+  await closeBrowserPool();
   process.exit(0);
 });
 
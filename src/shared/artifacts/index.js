@@ -0,0 +1,53 @@
+/**
+ * Artifacts
+ * Selects the store run artifacts (evidence screenshots and DOM snapshots) are
+ * written to. Every store implements:
+ *   put(key, body, { contentType }) -> { key, location }
+ *   get(key) -> Buffer | null
+ *
+ * EVIDENCE_STORE=local (default, under EVIDENCE_DIR) | s3 (EVIDENCE_S3_BUCKET, EVIDENCE_S3_ENDPOINT)
+ */
+
+import { config } from '../config/environment.js';
+import LocalArtifactStore from './localStore.js';
+import S3ArtifactStore from './s3Store.js';
+
+export { LocalArtifactStore, S3ArtifactStore };
+
+let activeStore = null;
+
+/**
+ * Create an artifact store
+ * @param {string} type - 'local' or 's3'
+ * @param {Object} options - Store options (local: directory; s3: bucket, prefix, region, endpoint)
+ * @returns {Object} Artifact store
+ */
+export function createArtifactStore(type = config.evidence.store, options = {}) {
+  switch (type) {
+    case 'local':
+      return new LocalArtifactStore({ directory: config.evidence.directory, ...options });
+    case 's3':
+      return new S3ArtifactStore({ ...config.evidence.s3, ...options });
+    default:
+      throw new Error(`Unknown artifact store: ${type}`);
+  }
+}
+
+/**
+ * Get the configured artifact store (created on first use)
+ * @returns {Object} Artifact store
+ */
+export function getArtifactStore() {
+  if (!activeStore) {
+    activeStore = createArtifactStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the active artifact store (tests, scripts)
+ * @param {Object|null} store - Artifact store; null creates the configured one on next use
+ */
+export function setArtifactStore(store) {
+  activeStore = store;
+}
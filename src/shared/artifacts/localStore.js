@@ -0,0 +1,52 @@
+/**
+ * Local Artifact Store
+ * Keeps run artifacts (screenshots, DOM snapshots) as files under a directory,
+ * one file per key.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+
+class LocalArtifactStore {
+  /**
+   * @param {Object} options - { directory }
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.directory = path.resolve(options.directory);
+  }
+
+  pathOf(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(`${this.directory}${path.sep}`)) {
+      throw new Error(`Artifact key outside the artifact directory: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store an artifact
+   * @param {string} key - Artifact key (a relative path)
+   * @param {Buffer|string} body - Content
+   * @param {Object} [options] - { contentType } (not kept; served by extension)
+   * @returns {Promise<{ key: string, location: string }>}
+   */
+  async put(key, body) {
+    const filePath = this.pathOf(key);
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileSync(filePath, body);
+    return { key, location: filePath };
+  }
+
+  /**
+   * Read an artifact
+   * @param {string} key - Artifact key
+   * @returns {Promise<Buffer|null>} Content, or null when there is none
+   */
+  async get(key) {
+    const filePath = this.pathOf(key);
+    return existsSync(filePath) ? readFileSync(filePath) : null;
+  }
+}
+
+export default LocalArtifactStore;
@@ -0,0 +1,61 @@
+/**
+ * S3 Artifact Store
+ * Keeps run artifacts in an S3 bucket, or any S3-compatible store (MinIO, R2, ...)
+ * when an endpoint is given.
+ */
+
+import { GetObjectCommand, PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
+
+class S3ArtifactStore {
+  /**
+   * @param {Object} options - { bucket, prefix, region, endpoint, client }
+   */
+  constructor(options = {}) {
+    if (!options.bucket) {
+      throw new Error('An S3 artifact store needs a bucket (EVIDENCE_S3_BUCKET or AWS_S3_BUCKET)');
+    }
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.prefix = options.prefix ? `${options.prefix.replace(/\/+$/, '')}/` : '';
+    this.client = options.client || new S3Client({
+      region: options.region || 'us-east-1',
+      ...(options.endpoint && { endpoint: options.endpoint, forcePathStyle: true })
+    });
+  }
+
+  /**
+   * Store an artifact
+   * @param {string} key - Artifact key
+   * @param {Buffer|string} body - Content
+   * @param {Object} [options] - { contentType }
+   * @returns {Promise<{ key: string, location: string }>}
+   */
+  async put(key, body, options = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: `${this.prefix}${key}`,
+      Body: body,
+      ...(options.contentType && { ContentType: options.contentType })
+    }));
+    return { key, location: `s3://${this.bucket}/${this.prefix}${key}` };
+  }
+
+  /**
+   * Read an artifact
+   * @param {string} key - Artifact key
+   * @returns {Promise<Buffer|null>} Content, or null when there is none
+   */
+  async get(key) {
+    try {
+      const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: `${this.prefix}${key}` }));
+      return Buffer.from(await Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+export default S3ArtifactStore;
@@ -0,0 +1,57 @@
+/**
+ * Ashby
+ * Boards: jobs.ashbyhq.com/{organization}, also embedded with a script from there.
+ * Feed: api.ashbyhq.com/posting-api/job-board/{organization}, every posting in one answer.
+ */
+
+import { z } from 'zod';
+import { parseFeed } from '../client.js';
+
+const feedSchema = z.object({
+  jobs: z.array(z.object({
+    id: z.string(),
+    title: z.string(),
+    jobUrl: z.string(),
+    location: z.string().nullish(),
+    department: z.string().nullish(),
+    team: z.string().nullish(),
+    employmentType: z.string().nullish(),
+    publishedAt: z.string().nullish(),
+    isListed: z.boolean().optional()
+  }))
+});
+
+function board(organization) {
+  return { boardId: organization, boardUrl: `https://jobs.ashbyhq.com/${organization}` };
+}
+
+export default {
+  platform: 'ashby',
+
+  match(url) {
+    const host = url.hostname.toLowerCase();
+    if (host === 'api.ashbyhq.com') {
+      const api = url.pathname.match(/^\/posting-api\/job-board\/([\w.-]+)/);
+      return api ? board(api[1]) : null;
+    }
+    if (host !== 'jobs.ashbyhq.com') return null;
+
+    const segment = url.pathname.split('/')[1];
+    return segment && /^[\w.-]+$/.test(segment) ? board(segment) : null;
+  },
+
+  async list({ boardId }, request) {
+    const feed = parseFeed(feedSchema, await request(`https://api.ashbyhq.com/posting-api/job-board/${boardId}`), 'ashby');
+    return feed.jobs
+      .filter(job => job.isListed !== false)
+      .map(job => ({
+        platformJobId: job.id,
+        title: job.title,
+        url: job.jobUrl,
+        location: job.location || null,
+        department: job.department || job.team || null,
+        employmentType: job.employmentType || null,
+        postedAt: job.publishedAt || null
+      }));
+  }
+};
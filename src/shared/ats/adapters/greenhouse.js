@@ -0,0 +1,61 @@
+/**
+ * Greenhouse
+ * Boards: boards.greenhouse.io/{token}, job-boards.greenhouse.io/{token} and
+ * embedded boards (.../embed/job_board?for={token}).
+ * Feed: boards-api.greenhouse.io/v1/boards/{token}/jobs, every posting in one answer.
+ */
+
+import { z } from 'zod';
+import { parseFeed } from '../client.js';
+
+const BOARD_HOSTS = new Set(['boards.greenhouse.io', 'job-boards.greenhouse.io', 'boards.eu.greenhouse.io', 'job-boards.eu.greenhouse.io']);
+
+const feedSchema = z.object({
+  jobs: z.array(z.object({
+    id: z.union([z.number(), z.string()]),
+    title: z.string(),
+    absolute_url: z.string(),
+    location: z.object({ name: z.string().nullish() }).nullish(),
+    departments: z.array(z.object({ name: z.string() })).optional(),
+    updated_at: z.string().nullish(),
+    first_published: z.string().nullish()
+  }))
+});
+
+function board(token) {
+  const boardId = token.toLowerCase();
+  return { boardId, boardUrl: `https://boards.greenhouse.io/${boardId}` };
+}
+
+export default {
+  platform: 'greenhouse',
+
+  match(url) {
+    const host = url.hostname.toLowerCase();
+    if (host === 'boards-api.greenhouse.io') {
+      const api = url.pathname.match(/^\/v1\/boards\/([\w-]+)/);
+      return api ? board(api[1]) : null;
+    }
+    if (!BOARD_HOSTS.has(host)) return null;
+
+    const segment = url.pathname.split('/')[1];
+    if (segment === 'embed') {
+      const token = url.searchParams.get('for');
+      return token ? board(token) : null;
+    }
+    return segment && /^[\w-]+$/.test(segment) ? board(segment) : null;
+  },
+
+  async list({ boardId }, request) {
+    const feed = parseFeed(feedSchema, await request(`https://boards-api.greenhouse.io/v1/boards/${boardId}/jobs`), 'greenhouse');
+    return feed.jobs.map(job => ({
+      platformJobId: String(job.id),
+      title: job.title,
+      url: job.absolute_url,
+      location: job.location?.name || null,
+      department: job.departments?.[0]?.name || null,
+      employmentType: null,
+      postedAt: job.first_published || job.updated_at || null
+    }));
+  }
+};
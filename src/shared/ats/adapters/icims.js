@@ -0,0 +1,92 @@
+/**
+ * iCIMS
+ * Boards: {portal}.icims.com (usually careers-{company}), also embedded in an iframe.
+ * iCIMS has no public JSON feed, so the search pages of the portal are read
+ * in their iframe layout (/jobs/search?pr={page}&in_iframe=1) and the postings
+ * taken from their /jobs/{id}/{slug}/job links. Paging stops at a page
+ * without new postings.
+ */
+
+import { config } from '../../config/environment.js';
+
+// icims.com hosts that are not career portals
+const NON_PORTAL_HOSTS = new Set(['www', 'api', 'community', 'developer', 'care', 'login']);
+
+const POSTING_LINK = /<a\b([^>]*\bhref="([^"]*\/jobs\/(\d+)\/[^"/]+\/job[^"]*)"[^>]*)>([\s\S]*?)<\/a>/gi;
+
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, '\'')
+    .replace(/&nbsp;/g, ' ');
+}
+
+function textOf(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Title of a posting link: its heading, else its title attribute ("1234 - Title"),
+ * else its text (which may include screen reader labels)
+ */
+function titleOf(attributes, inner, jobId) {
+  const heading = inner.match(/<h\d[^>]*>([\s\S]*?)<\/h\d>/i);
+  if (heading) return textOf(heading[1]);
+  const attribute = attributes.match(/\btitle="([^"]*)"/i);
+  if (attribute) return decodeEntities(attribute[1]).replace(new RegExp(`^${jobId}\\s*-\\s*`), '').trim();
+  return textOf(inner);
+}
+
+/**
+ * Postings linked from a search page
+ * @param {string} html - Search page
+ * @param {string} pageUrl - URL of the page, to resolve relative links
+ * @returns {Array<Object>} Postings
+ */
+export function parseSearchPage(html, pageUrl) {
+  const postings = new Map();
+  for (const [, attributes, href, jobId, inner] of html.matchAll(POSTING_LINK)) {
+    const title = titleOf(attributes, inner, jobId);
+    if (!title || postings.has(jobId)) continue;
+
+    const url = new URL(decodeEntities(href), pageUrl);
+    url.searchParams.delete('in_iframe');
+    postings.set(jobId, {
+      platformJobId: jobId,
+      title,
+      url: url.href,
+      location: null,
+      department: null,
+      employmentType: null,
+      postedAt: null
+    });
+  }
+  return [...postings.values()];
+}
+
+export default {
+  platform: 'icims',
+
+  match(url) {
+    const portal = url.hostname.toLowerCase().match(/^([\w-]+)\.icims\.com$/)?.[1];
+    if (!portal || NON_PORTAL_HOSTS.has(portal)) return null;
+    return { boardId: portal, boardUrl: `https://${portal}.icims.com/jobs` };
+  },
+
+  async list({ boardId }, request) {
+    const postings = new Map();
+
+    for (let page = 0; page < config.ats.maxPages; page++) {
+      const url = `https://${boardId}.icims.com/jobs/search?pr=${page}&in_iframe=1`;
+      const found = parseSearchPage(await request(url, { type: 'text' }), url)
+        .filter(posting => !postings.has(posting.platformJobId));
+      if (found.length === 0) break;
+      found.forEach(posting => postings.set(posting.platformJobId, posting));
+    }
+
+    return [...postings.values()];
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * ATS Adapters
+ * One adapter per applicant tracking system:
+ *   platform                      name recorded with the board
+ *   match(url: URL)               { boardId, boardUrl } when the URL belongs to a board, else null
+ *   list(board, request)          postings of the board, every feed page read:
+ *                                 { platformJobId, title, url, location, department, employmentType, postedAt }
+ *                                 request(url, { method, body, type }) is requestFeed() of the run
+ */
+
+import greenhouse from './greenhouse.js';
+import lever from './lever.js';
+import ashby from './ashby.js';
+import workday from './workday.js';
+import smartrecruiters from './smartrecruiters.js';
+import icims from './icims.js';
+
+export const ATS_ADAPTERS = Object.freeze([greenhouse, lever, ashby, workday, smartrecruiters, icims]);
@@ -0,0 +1,67 @@
+/**
+ * Lever
+ * Boards: jobs.lever.co/{company} (jobs.eu.lever.co for EU accounts).
+ * Feed: api.lever.co/v0/postings/{company}?mode=json, paged with skip/limit.
+ */
+
+import { z } from 'zod';
+import { config } from '../../config/environment.js';
+import { parseFeed } from '../client.js';
+
+const PAGE_SIZE = 100;
+
+const feedSchema = z.array(z.object({
+  id: z.string(),
+  text: z.string(),
+  hostedUrl: z.string(),
+  createdAt: z.number().nullish(),
+  categories: z.object({
+    location: z.string().nullish(),
+    team: z.string().nullish(),
+    department: z.string().nullish(),
+    commitment: z.string().nullish()
+  }).nullish()
+}));
+
+function board(company, eu) {
+  const boardId = company.toLowerCase();
+  return { boardId, boardUrl: `https://jobs.${eu ? 'eu.' : ''}lever.co/${boardId}` };
+}
+
+export default {
+  platform: 'lever',
+
+  match(url) {
+    const host = url.hostname.toLowerCase();
+    if (host === 'api.lever.co' || host === 'api.eu.lever.co') {
+      const api = url.pathname.match(/^\/v0\/postings\/([\w.-]+)/);
+      return api ? board(api[1], host === 'api.eu.lever.co') : null;
+    }
+    if (host !== 'jobs.lever.co' && host !== 'jobs.eu.lever.co') return null;
+
+    const segment = url.pathname.split('/')[1];
+    return segment && /^[\w.-]+$/.test(segment) ? board(segment, host === 'jobs.eu.lever.co') : null;
+  },
+
+  async list({ boardId, boardUrl }, request) {
+    const apiHost = new URL(boardUrl).hostname === 'jobs.eu.lever.co' ? 'api.eu.lever.co' : 'api.lever.co';
+    const postings = [];
+
+    for (let page = 0; page < config.ats.maxPages; page++) {
+      const url = `https://${apiHost}/v0/postings/${boardId}?mode=json&skip=${page * PAGE_SIZE}&limit=${PAGE_SIZE}`;
+      const feed = parseFeed(feedSchema, await request(url), 'lever');
+      postings.push(...feed.map(posting => ({
+        platformJobId: posting.id,
+        title: posting.text,
+        url: posting.hostedUrl,
+        location: posting.categories?.location || null,
+        department: posting.categories?.department || posting.categories?.team || null,
+        employmentType: posting.categories?.commitment || null,
+        postedAt: posting.createdAt ? new Date(posting.createdAt).toISOString() : null
+      })));
+      if (feed.length < PAGE_SIZE) break;
+    }
+
+    return postings;
+  }
+};
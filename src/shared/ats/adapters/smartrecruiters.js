@@ -0,0 +1,83 @@
+/**
+ * SmartRecruiters
+ * Boards: jobs.smartrecruiters.com/{company} or careers.smartrecruiters.com/{company}.
+ * Feed: api.smartrecruiters.com/v1/companies/{company}/postings, paged with offset/limit.
+ */
+
+import { z } from 'zod';
+import { config } from '../../config/environment.js';
+import { parseFeed } from '../client.js';
+
+const PAGE_SIZE = 100;
+
+const BOARD_HOSTS = new Set(['jobs.smartrecruiters.com', 'careers.smartrecruiters.com']);
+
+const labelled = z.object({ label: z.string().nullish() }).nullish();
+
+const feedSchema = z.object({
+  totalFound: z.number(),
+  content: z.array(z.object({
+    id: z.string(),
+    name: z.string(),
+    releasedDate: z.string().nullish(),
+    location: z.object({
+      city: z.string().nullish(),
+      region: z.string().nullish(),
+      country: z.string().nullish(),
+      remote: z.boolean().nullish()
+    }).nullish(),
+    department: labelled,
+    typeOfEmployment: labelled
+  }))
+});
+
+function board(company) {
+  return { boardId: company, boardUrl: `https://jobs.smartrecruiters.com/${company}` };
+}
+
+function locationOf(location) {
+  if (!location) return null;
+  const parts = [location.city, location.region, location.country?.toUpperCase()].filter(Boolean);
+  if (location.remote) parts.push('Remote');
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+export default {
+  platform: 'smartrecruiters',
+
+  match(url) {
+    const host = url.hostname.toLowerCase();
+    if (host === 'api.smartrecruiters.com') {
+      const api = url.pathname.match(/^\/v1\/companies\/([\w-]+)/);
+      return api ? board(api[1]) : null;
+    }
+    if (!BOARD_HOSTS.has(host)) return null;
+
+    const segment = url.pathname.split('/')[1];
+    return segment && /^[\w-]+$/.test(segment) ? board(segment) : null;
+  },
+
+  async list({ boardId }, request) {
+    const postings = [];
+
+    for (let page = 0; page < config.ats.maxPages; page++) {
+      const offset = page * PAGE_SIZE;
+      const url = `https://api.smartrecruiters.com/v1/companies/${boardId}/postings?limit=${PAGE_SIZE}&offset=${offset}`;
+      const feed = parseFeed(feedSchema, await request(url), 'smartrecruiters');
+
+      postings.push(...feed.content.map(posting => ({
+        platformJobId: posting.id,
+        title: posting.name,
+        url: `https://jobs.smartrecruiters.com/${boardId}/${posting.id}`,
+        location: locationOf(posting.location),
+        department: posting.department?.label || null,
+        employmentType: posting.typeOfEmployment?.label || null,
+        postedAt: posting.releasedDate || null
+      })));
+
+      if (feed.content.length === 0 || offset + feed.content.length >= feed.totalFound) break;
+    }
+
+    return postings;
+  }
+};
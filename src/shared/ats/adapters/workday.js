@@ -0,0 +1,73 @@
+/**
+ * Workday
+ * Boards: {tenant}.wd{N}.myworkdayjobs.com/{locale}/{site}; the board ID is "{tenant}/{site}".
+ * Feed: POST {host}/wday/cxs/{tenant}/{site}/jobs, paged with offset/limit. Only the
+ * first page reports the total, so paging stops at that total or an empty page.
+ */
+
+import { z } from 'zod';
+import { config } from '../../config/environment.js';
+import { parseFeed } from '../client.js';
+
+// The largest page the feed accepts
+const PAGE_SIZE = 20;
+
+const LOCALE = /^[a-z]{2}-[A-Z]{2}$/;
+
+const feedSchema = z.object({
+  total: z.number().optional(),
+  jobPostings: z.array(z.object({
+    title: z.string(),
+    externalPath: z.string(),
+    locationsText: z.string().nullish(),
+    postedOn: z.string().nullish(),
+    bulletFields: z.array(z.string()).optional()
+  })).default([])
+});
+
+export default {
+  platform: 'workday',
+
+  match(url) {
+    const host = url.hostname.toLowerCase();
+    const tenant = host.match(/^([\w-]+)\.wd\d+\.myworkdayjobs\.com$/)?.[1];
+    if (!tenant) return null;
+
+    const segments = url.pathname.split('/').filter(Boolean);
+    const cxs = segments[0] === 'wday' && segments[1] === 'cxs';
+    const site = cxs ? segments[3] : segments.find(segment => !LOCALE.test(segment));
+    if (!site || !/^[\w-]+$/.test(site)) return null;
+
+    return { boardId: `${tenant}/${site}`, boardUrl: `https://${host}/${site}` };
+  },
+
+  async list({ boardId, boardUrl }, request) {
+    const host = new URL(boardUrl).hostname;
+    const [tenant, site] = boardId.split('/');
+    const url = `https://${host}/wday/cxs/${tenant}/${site}/jobs`;
+    const postings = [];
+    let total = null;
+
+    for (let page = 0; page < config.ats.maxPages; page++) {
+      const offset = page * PAGE_SIZE;
+      const body = { appliedFacets: {}, limit: PAGE_SIZE, offset, searchText: '' };
+      const feed = parseFeed(feedSchema, await request(url, { method: 'POST', body }), 'workday');
+      total ??= feed.total ?? null;
+
+      postings.push(...feed.jobPostings.map(posting => ({
+        platformJobId: posting.bulletFields?.[0] || posting.externalPath.match(/_([A-Za-z0-9-]+)$/)?.[1] || posting.externalPath,
+        title: posting.title,
+        url: `https://${host}/${site}${posting.externalPath}`,
+        location: posting.locationsText || null,
+        department: null,
+        employmentType: null,
+        // Only relative ("Posted 3 Days Ago") in the feed
+        postedAt: null
+      })));
+
+      if (feed.jobPostings.length === 0 || (total !== null && offset + PAGE_SIZE >= total)) break;
+    }
+
+    return postings;
+  }
+};
@@ -0,0 +1,134 @@
+/**
+ * ATS Feed Client
+ * HTTP for the ATS adapters. Feed requests go through the domain governor, so
+ * they are spaced and backed off per host like page loads. They time out after
+ * config.ats.timeoutMs and fail with an AtsError.
+ *
+ * With ATS_FIXTURES set to a manifest (see test/fixtures/ats/manifest.json),
+ * saved responses answer instead of the network:
+ *
+ *   [{ "method": "POST", "url": "https://acme.wd5.myworkdayjobs.com/wday/cxs/acme/External/jobs",
+ *      "body": { "offset": 0 }, "file": "workday-acme-0.json" }]
+ *
+ * An entry matches when the method and URL are the same and every field of its
+ * body has the same value in the request body.
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { config } from '../config/environment.js';
+import { getDomainGovernor } from '../utils/domainGovernor.js';
+
+export const ATS_ERRORS = Object.freeze({
+  UNSUPPORTED_PLATFORM: 'unsupported_platform',
+  REQUEST_FAILED: 'request_failed',
+  INVALID_RESPONSE: 'invalid_response',
+  FIXTURE_MISSING: 'fixture_missing'
+});
+
+export class AtsError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'AtsError';
+    this.type = type;
+  }
+}
+
+/**
+ * fetch() answering from the saved responses of a manifest
+ * @param {string} manifestPath - JSON manifest; response files are resolved from its directory
+ * @returns {Function} (url, init) => Promise<Response>
+ */
+export function createFixtureFetch(manifestPath) {
+  const entries = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+  const directory = path.dirname(manifestPath);
+
+  return async (url, init = {}) => {
+    const method = (init.method || 'GET').toUpperCase();
+    const body = init.body ? JSON.parse(init.body) : null;
+    const entry = entries.find(candidate => (candidate.method || 'GET').toUpperCase() === method
+      && candidate.url === String(url)
+      && Object.entries(candidate.body || {}).every(([key, value]) => isDeepStrictEqual(body?.[key], value)));
+
+    if (!entry) {
+      throw new AtsError(ATS_ERRORS.FIXTURE_MISSING, `No saved response for ${method} ${url} in ${manifestPath}`);
+    }
+
+    const contentType = entry.contentType || (entry.file.endsWith('.json') ? 'application/json' : 'text/html');
+    return new Response(readFileSync(path.join(directory, entry.file)), {
+      status: entry.status || 200,
+      headers: { 'content-type': contentType }
+    });
+  };
+}
+
+let fixtureFetch = null;
+
+function defaultFetch() {
+  if (!config.ats.fixtures) {
+    return fetch;
+  }
+  if (fixtureFetch?.manifest !== config.ats.fixtures) {
+    fixtureFetch = { manifest: config.ats.fixtures, fetch: createFixtureFetch(config.ats.fixtures) };
+  }
+  return fixtureFetch.fetch;
+}
+
+/**
+ * Request a feed page
+ * @param {string} url - Feed URL
+ * @param {Object} [options] - { method, body (sent as JSON), type: 'json' | 'text',
+ *   fetch (default: global fetch, or the ATS_FIXTURES responses), politeness (per-domain rules of the run) }
+ * @returns {Promise<*>} Parsed JSON or text
+ * @throws {AtsError} REQUEST_FAILED for network errors and non-2xx answers,
+ *   INVALID_RESPONSE for bodies that cannot be parsed
+ */
+export async function requestFeed(url, options = {}) {
+  const { method = 'GET', body = null, type = 'json', politeness } = options;
+  const fetchImpl = options.fetch || defaultFetch();
+
+  let response;
+  try {
+    response = await getDomainGovernor().run(url, () => fetchImpl(url, {
+      method,
+      headers: {
+        Accept: type === 'json' ? 'application/json' : 'text/html',
+        'User-Agent': config.politeness.userAgent,
+        ...(body && { 'Content-Type': 'application/json' })
+      },
+      ...(body && { body: JSON.stringify(body) }),
+      signal: AbortSignal.timeout(config.ats.timeoutMs)
+    }), politeness);
+  } catch (error) {
+    if (error instanceof AtsError) throw error;
+    throw new AtsError(ATS_ERRORS.REQUEST_FAILED, `${method} ${url} failed: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new AtsError(ATS_ERRORS.REQUEST_FAILED, `${method} ${url} answered HTTP ${response.status}`);
+  }
+
+  try {
+    return type === 'json' ? await response.json() : await response.text();
+  } catch (error) {
+    throw new AtsError(ATS_ERRORS.INVALID_RESPONSE, `${method} ${url} returned an unreadable body: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a feed page against the shape an adapter relies on
+ * @param {Object} schema - zod schema
+ * @param {*} data - Parsed feed page
+ * @param {string} platform - ATS, for the error message
+ * @returns {*} Parsed data
+ * @throws {AtsError} INVALID_RESPONSE
+ */
+export function parseFeed(schema, data, platform) {
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new AtsError(ATS_ERRORS.INVALID_RESPONSE, `Unexpected ${platform} feed: ${issue.path.join('.') || 'response'} ${issue.message}`);
+  }
+  return result.data;
+}
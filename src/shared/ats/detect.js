@@ -0,0 +1,90 @@
+/**
+ * ATS Detection
+ * Finds the applicant tracking system behind a career page and the board
+ * identifier its feed is listed by. Signals, strongest first:
+ *   url     the page itself is (or redirected to) a board
+ *   embed   a script or iframe of the page is loaded from a board
+ *   links   links of the page point to a board (the most linked board wins)
+ */
+
+import { ATS_ADAPTERS } from './adapters/index.js';
+import { logger } from '../utils/logger.js';
+
+export const ATS_SIGNALS = Object.freeze({
+  URL: 'url',
+  EMBED: 'embed',
+  LINKS: 'links'
+});
+
+/**
+ * Board a URL belongs to
+ * @param {string} url - Any URL
+ * @returns {Object|null} { platform, boardId, boardUrl }, or null for URLs of no known ATS
+ */
+export function detectAtsFromUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  for (const adapter of ATS_ADAPTERS) {
+    const board = adapter.match(parsed);
+    if (board) {
+      return { platform: adapter.platform, ...board };
+    }
+  }
+  return null;
+}
+
+/**
+ * Board behind a page, from its URL, embedded scripts/iframes and links
+ * @param {Object} signals - { url, scripts: [src], frames: [src], links: [href] }
+ * @returns {Object|null} { platform, boardId, boardUrl, detectedFrom }
+ */
+export function detectAts({ url = null, scripts = [], frames = [], links = [] } = {}) {
+  const fromUrl = url && detectAtsFromUrl(url);
+  if (fromUrl) {
+    return { ...fromUrl, detectedFrom: ATS_SIGNALS.URL };
+  }
+
+  for (const src of [...scripts, ...frames]) {
+    const board = detectAtsFromUrl(src);
+    if (board) {
+      return { ...board, detectedFrom: ATS_SIGNALS.EMBED };
+    }
+  }
+
+  const linked = new Map();
+  for (const href of links) {
+    const board = detectAtsFromUrl(href);
+    if (!board) continue;
+    const key = `${board.platform}:${board.boardId}`;
+    linked.set(key, { board, count: (linked.get(key)?.count || 0) + 1 });
+  }
+  // Map order breaks ties in favour of the board linked first
+  const [best] = [...linked.values()].sort((a, b) => b.count - a.count);
+  return best ? { ...best.board, detectedFrom: ATS_SIGNALS.LINKS } : null;
+}
+
+/**
+ * Board behind the page a browser is on
+ * @param {Object} page - Stagehand page
+ * @returns {Promise<Object|null>} { platform, boardId, boardUrl, detectedFrom }; null when
+ *   none is found or the page cannot be read
+ */
+export async function detectAtsOnPage(page) {
+  try {
+    const signals = await page.evaluate(() => ({
+      url: window.location.href,
+      scripts: Array.from(document.querySelectorAll('script[src]')).map(script => script.src),
+      frames: Array.from(document.querySelectorAll('iframe[src]')).map(frame => frame.src),
+      links: Array.from(document.querySelectorAll('a[href]')).map(link => link.href)
+    }));
+    return detectAts(signals || {});
+  } catch (error) {
+    logger.debug('ATS detection could not read the page', { error: error.message });
+    return null;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Applicant Tracking Systems
+ * Career pages hosted on Greenhouse, Lever, Ashby, Workday, SmartRecruiters or
+ * iCIMS are recognized from their URLs, embeds and links (detect.js), and
+ * their postings listed from the ATS feed (adapters/) instead of scraping the
+ * listing page and filtering its links with the LLM.
+ *
+ * A board is recorded as { platform, boardId, boardUrl }:
+ *
+ *   const board = detectAtsFromUrl('https://boards.greenhouse.io/acme');
+ *   const postings = await listAtsPostings(board, { politeness: state.politeness });
+ *
+ * Feeds return the whole board; filterAtsPostings() keeps the postings that
+ * match the discovery domain and the keyword, location and department filters.
+ *
+ * ATS_ADAPTERS=false turns the feeds off; ATS_FIXTURES answers them from saved
+ * responses (client.js).
+ */
+
+import { config } from '../config/environment.js';
+import { ATS_ADAPTERS } from './adapters/index.js';
+import { ATS_ERRORS, AtsError, requestFeed } from './client.js';
+import { logger } from '../utils/logger.js';
+import { filterValueFor, normalizeValue, TEMPLATE_PARAMETERS } from '../utils/urlTemplate.js';
+
+export { ATS_ADAPTERS };
+export { ATS_ERRORS, AtsError, createFixtureFetch, requestFeed } from './client.js';
+export { ATS_SIGNALS, detectAts, detectAtsFromUrl, detectAtsOnPage } from './detect.js';
+
+export const ATS_PLATFORMS = Object.freeze(Object.fromEntries(ATS_ADAPTERS.map(adapter => [adapter.platform.toUpperCase(), adapter.platform])));
+
+/**
+ * Whether postings are listed from ATS feeds (ATS_ADAPTERS)
+ * @returns {boolean}
+ */
+export function atsFeedsEnabled() {
+  return config.ats.enabled;
+}
+
+/**
+ * Adapter of a platform
+ * @param {string} platform - One of ATS_PLATFORMS
+ * @returns {Object} Adapter
+ * @throws {AtsError} UNSUPPORTED_PLATFORM
+ */
+export function getAtsAdapter(platform) {
+  const adapter = ATS_ADAPTERS.find(candidate => candidate.platform === platform);
+  if (!adapter) {
+    throw new AtsError(ATS_ERRORS.UNSUPPORTED_PLATFORM, `No ATS adapter for ${platform}`);
+  }
+  return adapter;
+}
+
+/**
+ * Every posting of a board
+ * @param {Object} board - { platform, boardId, boardUrl }
+ * @param {Object} [options] - { fetch, politeness } (see requestFeed())
+ * @returns {Promise<Array<Object>>} { platformJobId, title, url, location, department, employmentType, postedAt }
+ * @throws {AtsError}
+ */
+export async function listAtsPostings(board, options = {}) {
+  const adapter = getAtsAdapter(board.platform);
+  const request = (url, requestOptions = {}) => requestFeed(url, { ...requestOptions, fetch: options.fetch, politeness: options.politeness });
+
+  const postings = await adapter.list(board, request);
+  logger.info('Listed ATS postings', { platform: board.platform, boardId: board.boardId, count: postings.length });
+  return postings;
+}
+
+// Words that do not narrow a filter
+const FILTER_STOP_WORDS = new Set(['and', 'of', 'the', 'in', 'for']);
+
+/**
+ * Words of a filter value, cut to a stem so "engineering" matches "Engineer"
+ * and "science" matches "Scientist"
+ */
+function filterStems(value) {
+  return normalizeValue(value).split(' ')
+    .filter(word => word && !FILTER_STOP_WORDS.has(word))
+    .map(word => (word.length > 5 ? word.slice(0, Math.max(5, word.length - 4)) : word));
+}
+
+function textMatches(text, value, { allWords = true } = {}) {
+  const words = normalizeValue(text).split(' ');
+  const stems = filterStems(value);
+  const found = stem => words.some(word => word.startsWith(stem));
+  return stems.length === 0 || (allWords ? stems.every(found) : stems.some(found));
+}
+
+// Filter values may be one value or a list of alternatives
+function anyValueMatches(value, matches) {
+  return (Array.isArray(value) ? value : [value]).some(matches);
+}
+
+function isUnset(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Postings of a board that match a discovery request. The keyword and
+ * department filters need all their words in the title or department, the
+ * domain ("software_engineering") any of its words; a location filter needs
+ * its words in the location, and remote: true a remote location. Postings
+ * whose feed leaves a field out are kept for that field's filter.
+ * @param {Array<Object>} postings - From listAtsPostings()
+ * @param {Object} [request] - { domain, filters }
+ * @returns {Array<Object>} Matching postings
+ */
+export function filterAtsPostings(postings, { domain = null, filters = {} } = {}) {
+  const keyword = filterValueFor(filters, TEMPLATE_PARAMETERS.KEYWORD);
+  const location = filterValueFor(filters, TEMPLATE_PARAMETERS.LOCATION);
+  const department = filterValueFor(filters, TEMPLATE_PARAMETERS.DEPARTMENT);
+  const remote = filterValueFor(filters, TEMPLATE_PARAMETERS.REMOTE);
+
+  return postings.filter(posting => {
+    const role = `${posting.title || ''} ${posting.department || ''}`;
+    if (domain && !textMatches(role, domain, { allWords: false })) return false;
+    if (!isUnset(keyword) && !anyValueMatches(keyword, value => textMatches(role, value))) return false;
+    if (!isUnset(department) && posting.department && !anyValueMatches(department, value => textMatches(posting.department, value))) return false;
+    if (!isUnset(location) && posting.location && !anyValueMatches(location, value => textMatches(posting.location, value))) return false;
+    if ((remote === true || remote === 'true') && posting.location && !textMatches(posting.location, 'remote')) return false;
+    return true;
+  });
+}
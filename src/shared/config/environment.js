@@ -4,6 +4,10 @@ import path from 'path';
 // Load environment variables
 dotenv.config();
 
+// Browser snapshot mode, which also picks the LLM defaults (src/shared/snapshots)
+const snapshotMode = process.env.BROWSER_SNAPSHOT_MODE || 'live';
+const snapshotDirectory = process.env.BROWSER_SNAPSHOTS || path.join(process.cwd(), 'test', 'fixtures', 'snapshots', 'default');
+
 const config = {
   // OpenAI configuration
   openai: {
@@ -13,6 +17,39 @@ const config = {
     maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 2000,
   },
 
+  // Chat model provider behind chatCompletion() and Stagehand (src/shared/llm)
+  llm: {
+    provider: process.env.LLM_PROVIDER || (snapshotMode === 'replay' ? 'stub' : 'openai'),
+    model: process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    timeout: parseInt(process.env.LLM_TIMEOUT_MS) || 30000,
+    fixtures: process.env.LLM_FIXTURES || (snapshotMode === 'replay' ? path.join(snapshotDirectory, 'llm.jsonl') : undefined),
+    recordFixtures: process.env.LLM_RECORD_FIXTURES || (snapshotMode === 'record' ? path.join(snapshotDirectory, 'llm.jsonl') : undefined),
+    // Response cache keyed by prompt hash (src/shared/llm/cache.js)
+    cache: {
+      enabled: process.env.LLM_CACHE !== 'false',
+      directory: process.env.LLM_CACHE_DIR || path.join(process.cwd(), 'data', 'llm-cache'),
+      ttlMs: parseInt(process.env.LLM_CACHE_TTL_MS) || 7 * 24 * 60 * 60 * 1000,
+    },
+    // Re-prompts of structuredCompletion() after an answer fails its schema
+    maxRepairs: parseInt(process.env.LLM_MAX_REPAIRS ?? '2', 10),
+    // Price table additions/overrides, USD per 1M tokens (src/shared/llm/pricing.js)
+    prices: process.env.LLM_PRICES ? JSON.parse(process.env.LLM_PRICES) : {},
+  },
+
+  // Prompt registry (src/shared/prompts): versions pinned instead of the latest
+  prompts: {
+    versions: process.env.PROMPT_VERSIONS ? JSON.parse(process.env.PROMPT_VERSIONS) : {},
+    fixturesDir: process.env.PROMPT_FIXTURES_DIR || path.join(process.cwd(), 'test', 'fixtures', 'prompts'),
+  },
+
+  // LLM usage accounting and daily budgets (src/shared/utils/llmUsage.js)
+  usage: {
+    dailyBudgetUsd: parseFloat(process.env.LLM_DAILY_BUDGET_USD) || null,
+    dailyTokenBudget: parseInt(process.env.LLM_DAILY_TOKEN_BUDGET) || null,
+  },
+
   // Stagehand configuration
   stagehand: {
     env: process.env.STAGEHAND_ENV || 'LOCAL',
@@ -24,6 +61,83 @@ const config = {
     retries: parseInt(process.env.STAGEHAND_RETRIES) || 3,
   },
 
+  // Browser sessions leased to workflow runs (src/shared/utils/browserPool.js)
+  browserPool: {
+    size: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+    idleTimeoutMs: parseInt(process.env.BROWSER_POOL_IDLE_TIMEOUT_MS ?? '300000', 10),
+    acquireTimeoutMs: parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT_MS ?? '600000', 10),
+    healthCheckTimeoutMs: parseInt(process.env.BROWSER_POOL_HEALTH_CHECK_TIMEOUT_MS) || 5000,
+  },
+
+  // Offline page snapshots: live, record or replay (src/shared/snapshots)
+  snapshots: {
+    mode: snapshotMode,
+    directory: snapshotDirectory,
+    maxBodyBytes: parseInt(process.env.BROWSER_SNAPSHOT_MAX_BODY_BYTES) || 512 * 1024,
+  },
+
+  // Screenshots and DOM of the browser nodes, kept as run artifacts (src/shared/utils/evidence.js)
+  evidence: {
+    mode: process.env.EVIDENCE_CAPTURE || 'off',
+    store: process.env.EVIDENCE_STORE || 'local',
+    directory: process.env.EVIDENCE_DIR || path.join(process.cwd(), 'data', 'artifacts'),
+    maxDomBytes: parseInt(process.env.EVIDENCE_MAX_DOM_BYTES) || 256 * 1024,
+    timeoutMs: parseInt(process.env.EVIDENCE_TIMEOUT_MS) || 10000,
+    s3: {
+      bucket: process.env.EVIDENCE_S3_BUCKET || process.env.AWS_S3_BUCKET,
+      prefix: process.env.EVIDENCE_S3_PREFIX || 'artifacts',
+      region: process.env.AWS_REGION,
+      endpoint: process.env.EVIDENCE_S3_ENDPOINT,
+    },
+  },
+
+  // Per-host request spacing, concurrency, backoff and robots.txt (src/shared/utils/domainGovernor.js)
+  politeness: {
+    minIntervalMs: parseInt(process.env.POLITENESS_MIN_INTERVAL_MS ?? '2000', 10),
+    maxConcurrent: parseInt(process.env.POLITENESS_MAX_CONCURRENT) || 2,
+    backoffBaseMs: parseInt(process.env.POLITENESS_BACKOFF_BASE_MS) || 10000,
+    backoffMaxMs: parseInt(process.env.POLITENESS_BACKOFF_MAX_MS) || 5 * 60 * 1000,
+    maxRetries: parseInt(process.env.POLITENESS_MAX_RETRIES ?? '2', 10),
+    respectRobots: process.env.POLITENESS_RESPECT_ROBOTS === 'true',
+    userAgent: process.env.POLITENESS_USER_AGENT || 'job-in-js',
+    robotsCacheTtlMs: parseInt(process.env.POLITENESS_ROBOTS_TTL_MS) || 60 * 60 * 1000,
+    // Per-domain rules, e.g. {"linkedin.com":{"minIntervalMs":10000,"maxConcurrent":1}}
+    domains: process.env.POLITENESS_DOMAINS ? JSON.parse(process.env.POLITENESS_DOMAINS) : {},
+  },
+
+  // Structured job feeds of applicant tracking systems (src/shared/ats)
+  ats: {
+    enabled: process.env.ATS_ADAPTERS !== 'false',
+    // Manifest of saved feed responses answering instead of the network (test/fixtures/ats)
+    fixtures: process.env.ATS_FIXTURES || null,
+    timeoutMs: parseInt(process.env.ATS_TIMEOUT_MS) || 15000,
+    maxPages: parseInt(process.env.ATS_MAX_PAGES) || 25,
+  },
+
+  // Company registry of career discovery (src/shared/utils/companyRegistry.js)
+  companies: {
+    // Imported into an empty registry on the first career discovery run
+    seedCsv: process.env.COMPANIES_CSV || path.join(process.cwd(), 'data', 'companies.csv'),
+    // Discovered companies are verified again after this long
+    reverifyAfterMs: (parseInt(process.env.COMPANY_REVERIFY_AFTER_DAYS) || 30) * 24 * 60 * 60 * 1000,
+    // Failed companies are retried after this long, doubled for each further failure
+    retryAfterMs: (parseInt(process.env.COMPANY_RETRY_AFTER_HOURS) || 24) * 60 * 60 * 1000,
+  },
+
+  // Website resolution before the career page search (src/shared/utils/companyWebsite.js)
+  companyWebsite: {
+    // Company-domain dictionary: name,domain,aliases rows
+    dictionary: process.env.COMPANY_DOMAINS_CSV || path.join(process.cwd(), 'data', 'company_domains.csv'),
+    // Top-level domains tried for companies neither given a domain nor in the dictionary
+    tlds: (process.env.COMPANY_WEBSITE_TLDS || 'com,io,co,ai').split(',').map(tld => tld.trim().replace(/^\./, '')).filter(Boolean),
+    // Homepages probed for guessed domains
+    maxProbes: parseInt(process.env.COMPANY_WEBSITE_MAX_PROBES) || 6,
+    // Career page candidates handed to the career page finder
+    maxCareerPages: parseInt(process.env.COMPANY_WEBSITE_MAX_CAREER_PAGES) || 5,
+    sitemaps: process.env.COMPANY_WEBSITE_SITEMAPS !== 'false',
+    timeoutMs: parseInt(process.env.COMPANY_WEBSITE_TIMEOUT_MS) || 10000,
+  },
+
   // Application settings
   application: {
     maxConcurrentApplications: parseInt(process.env.MAX_CONCURRENT_APPLICATIONS) || 1,
@@ -39,11 +153,41 @@ const config = {
     downloadsDir: process.env.DOWNLOADS_DIR || path.join(process.cwd(), 'downloads'),
   },
 
-  // Logging
+  // Job extraction queue (ProcessorJob and the job-extraction route)
+  processor: {
+    concurrency: parseInt(process.env.PROCESSOR_CONCURRENCY) || 1,
+    maxAttempts: parseInt(process.env.PROCESSOR_MAX_ATTEMPTS) || 3,
+    leaseMs: parseInt(process.env.PROCESSOR_LEASE_MS) || 15 * 60 * 1000,
+    retryBackoffMs: parseInt(process.env.PROCESSOR_RETRY_BACKOFF_MS) || 60000,
+  },
+
+  // Outbound webhook deliveries
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryBackoffMs: parseInt(process.env.WEBHOOK_RETRY_BACKOFF_MS) || 30000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  },
+
+  // API keys (validateApiKey middleware)
+  apiKeys: {
+    defaultRateLimitPerMinute: parseInt(process.env.API_KEY_RATE_LIMIT) || 120,
+    lastUsedIntervalMs: parseInt(process.env.API_KEY_LAST_USED_INTERVAL_MS) || 60000,
+  },
+
+  // Storage backend behind the dynamoDB.js helpers
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'dynamodb',
+    localDir: process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'data', 'local-db'),
+    dynamoEndpoint: process.env.DYNAMODB_ENDPOINT,
+  },
+
+  // Logging (src/shared/utils/logger.js): console format, optional rotated JSON lines file
   logging: {
     level: process.env.LOG_LEVEL || 'info',
-    format: process.env.LOG_FORMAT || 'json',
-    file: process.env.LOG_FILE || path.join(process.cwd(), 'logs', 'application.log'),
+    format: process.env.LOG_FORMAT || 'text',
+    file: process.env.LOG_FILE || null,
+    maxFileBytes: parseInt(process.env.LOG_MAX_FILE_BYTES) || 10 * 1024 * 1024,
+    maxFiles: parseInt(process.env.LOG_MAX_FILES ?? '5', 10),
   },
 
   // Validation
@@ -56,9 +200,14 @@ const config = {
 };
 
 // Validate required environment variables
-const requiredEnvVars = [
-  'OPENAI_API_KEY',
-];
+const requiredEnvVars = [];
+
+// The OpenAI key is only needed when OpenAI serves the chat model
+if (config.llm.provider === 'openai') {
+  requiredEnvVars.push('OPENAI_API_KEY');
+} else if (config.llm.provider === 'openai-compatible') {
+  requiredEnvVars.push('LLM_BASE_URL');
+}
 
 // Only require Browserbase credentials if not running locally
 if (process.env.STAGEHAND_ENV !== 'LOCAL') {
@@ -0,0 +1,175 @@
+/**
+ * LLM Response Cache
+ * Content-addressed cache in front of the LLM providers: a completion is
+ * stored under the hash of everything that shapes the answer (provider and its
+ * endpoint, model, messages, response format, temperature, token limit), so re-extracting the same
+ * posting or re-filtering the same listing page is answered from disk.
+ *
+ * Entries are one JSON file each under the cache directory, sharded by the
+ * first two characters of the key, and expire after their TTL. Only successful
+ * completions are stored. Providers that answer locally (stub) or must see
+ * every request (recording) set `cacheable = false` and are never cached.
+ *
+ * LLM_CACHE=false disables the cache, LLM_CACHE_DIR moves it, LLM_CACHE_TTL_MS
+ * sets the default TTL. Callers opt out per call with { cache: false } or
+ * override the TTL with { cache: { ttlMs } }.
+ */
+
+import crypto from 'crypto';
+import { existsSync, mkdirSync, readFileSync, renameSync, rmSync, unlinkSync, writeFileSync } from 'fs';
+import path from 'path';
+import { config } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+import { messageText } from './fixtures.js';
+
+export class LlmResponseCache {
+  /**
+   * @param {Object} options - { directory, ttlMs }
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || config.llm.cache.directory;
+    this.ttlMs = options.ttlMs || config.llm.cache.ttlMs;
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * Cache key of a request. The provider name and base URL are part of it, so
+   * two endpoints serving the same model name never share answers.
+   * @param {Object} request - { model, messages, responseFormat, temperature, maxTokens }
+   * @param {Object} provider - Provider answering the request ({ name, baseUrl })
+   * @returns {string} sha256 hex
+   */
+  keyFor({ model, messages, responseFormat = null, temperature = null, maxTokens = null }, provider = {}) {
+    const normalized = {
+      provider: provider.name || null,
+      baseUrl: provider.baseUrl || null,
+      model: model || null,
+      messages: messages.map(message => ({ role: message.role, content: messageText(message.content) })),
+      responseFormat,
+      temperature,
+      maxTokens
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  entryPath(key) {
+    return path.join(this.directory, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Read a cached response; expired or unreadable entries are removed
+   * @param {string} key - Cache key
+   * @returns {Object|null} { content, usage, model } or null
+   */
+  get(key) {
+    const filePath = this.entryPath(key);
+    if (!existsSync(filePath)) {
+      this.stats.misses++;
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(readFileSync(filePath, 'utf-8'));
+      if (Date.parse(entry.expiresAt) > Date.now()) {
+        this.stats.hits++;
+        return { content: entry.content, usage: entry.usage, model: entry.model };
+      }
+    } catch (error) {
+      logger.warn(`Discarding unreadable LLM cache entry ${key}: ${error.message}`);
+    }
+
+    this.delete(key);
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {Object} response - { content, usage, model }
+   * @param {number} ttlMs - Time to live (default: the cache TTL)
+   */
+  set(key, response, ttlMs = this.ttlMs) {
+    const filePath = this.entryPath(key);
+    const now = Date.now();
+    const entry = {
+      key,
+      content: response.content,
+      usage: response.usage || null,
+      model: response.model || null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString()
+    };
+
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(entry));
+    renameSync(tempPath, filePath);
+    this.stats.writes++;
+  }
+
+  delete(key) {
+    try {
+      unlinkSync(this.entryPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    rmSync(this.directory, { recursive: true, force: true });
+  }
+}
+
+let activeCache;
+
+/**
+ * Get the configured response cache
+ * @returns {LlmResponseCache|null} null when LLM_CACHE=false
+ */
+export function getLlmCache() {
+  if (activeCache === undefined) {
+    activeCache = config.llm.cache.enabled ? new LlmResponseCache() : null;
+  }
+  return activeCache;
+}
+
+/**
+ * Replace the active response cache (tests, scripts); null disables caching
+ * @param {LlmResponseCache|null} cache - Cache instance
+ */
+export function setLlmCache(cache) {
+  activeCache = cache;
+}
+
+/**
+ * Complete a request through the response cache
+ * @param {Object} provider - LLM provider
+ * @param {Object} request - Provider request
+ * @param {boolean|Object} cacheOption - false to bypass, or { ttlMs }
+ * @returns {Promise<Object>} Provider response, with cached: true when served from the cache
+ */
+export async function completeWithCache(provider, request, cacheOption = true) {
+  const cache = getLlmCache();
+  if (!cache || cacheOption === false || provider.cacheable === false) {
+    return provider.complete(request);
+  }
+
+  const key = cache.keyFor(request, provider);
+  const cached = cache.get(key);
+  if (cached) {
+    logger.debug(`LLM cache hit ${key}`);
+    return { ...cached, cached: true };
+  }
+
+  const response = await provider.complete(request);
+  try {
+    cache.set(key, response, cacheOption?.ttlMs);
+  } catch (error) {
+    logger.warn(`Failed to write LLM cache entry ${key}: ${error.message}`);
+  }
+  return response;
+}
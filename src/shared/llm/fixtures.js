@@ -0,0 +1,82 @@
+/**
+ * LLM Fixtures
+ * Recorded chat completions, stored one exchange per line (JSONL) so fixture
+ * files diff cleanly. A request is identified by the hash of its messages and
+ * response format; the model is left out so fixtures recorded against one
+ * model replay under any other.
+ */
+
+import crypto from 'crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import path from 'path';
+
+/**
+ * Text of a message content (string, or an array of content parts)
+ */
+export function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+  }
+  return content == null ? '' : JSON.stringify(content);
+}
+
+/**
+ * Fixture key of a request
+ * @param {Object} request - { messages, responseFormat }
+ * @returns {string} sha256 hex
+ */
+export function fixtureKey({ messages, responseFormat = null }) {
+  const normalized = {
+    messages: messages.map(message => ({ role: message.role, content: messageText(message.content) })),
+    responseFormat: responseFormat?.type || null
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * Read a fixture file
+ * @param {string} filePath - JSONL file
+ * @returns {Map<string, Object>} key -> recorded exchange (the last one wins)
+ */
+export function readFixtures(filePath) {
+  const fixtures = new Map();
+  if (!filePath || !existsSync(filePath)) {
+    return fixtures;
+  }
+
+  const lines = readFileSync(filePath, 'utf-8').split('\n');
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      const fixture = JSON.parse(line);
+      fixtures.set(fixture.key, fixture);
+    } catch (error) {
+      throw new Error(`Invalid LLM fixture at ${filePath}:${index + 1}: ${error.message}`);
+    }
+  });
+  return fixtures;
+}
+
+/**
+ * Append an exchange to a fixture file
+ * @param {string} filePath - JSONL file
+ * @param {Object} request - { messages, responseFormat }
+ * @param {Object} response - { content, usage, model }
+ * @returns {Object} The stored fixture
+ */
+export function appendFixture(filePath, request, response) {
+  const fixture = {
+    key: fixtureKey(request),
+    messages: request.messages.map(message => ({ role: message.role, content: messageText(message.content) })),
+    responseFormat: request.responseFormat?.type || null,
+    content: response.content,
+    usage: response.usage || null,
+    model: response.model || request.model || null,
+    recordedAt: new Date().toISOString()
+  };
+
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  appendFileSync(filePath, `${JSON.stringify(fixture)}\n`);
+  return fixture;
+}
@@ -0,0 +1,79 @@
+/**
+ * LLM Providers
+ * Selects the chat model provider behind chatCompletion() (src/shared/utils/openai.js)
+ * and the Stagehand browser client.
+ *
+ * Every provider implements:
+ *   name, defaultModel
+ *   complete({ model, messages, maxTokens, temperature, responseFormat })
+ *     -> { content, usage, model }
+ *   stagehandOptions(model?) -> Promise of the model options of the Stagehand constructor
+ *
+ * LLM_PROVIDER=openai (default) | openai-compatible | stub
+ * LLM_MODEL, LLM_BASE_URL + LLM_API_KEY (openai-compatible), LLM_FIXTURES (stub replay)
+ * LLM_RECORD_FIXTURES=<file.jsonl> records every exchange of the configured provider
+ * LLM_CACHE, LLM_CACHE_DIR, LLM_CACHE_TTL_MS: response cache (cache.js)
+ *
+ * Providers set `cacheable = false` when their answers must not be cached.
+ */
+
+import { config } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+import OpenAIProvider from './openaiProvider.js';
+import RecordingLlmProvider from './recordingProvider.js';
+import StubLlmProvider from './stubProvider.js';
+
+export { fixtureKey, readFixtures } from './fixtures.js';
+export { LlmResponseCache, completeWithCache, getLlmCache, setLlmCache } from './cache.js';
+export { StubLlmProvider, RecordingLlmProvider };
+
+let activeProvider = null;
+
+/**
+ * Create an LLM provider
+ * @param {string} type - 'openai', 'openai-compatible' or 'stub'
+ * @param {Object} options - Provider options (openai: apiKey, model, baseUrl, timeout; stub: script, fixtures, model)
+ * @returns {Object} LLM provider
+ */
+export function createLlmProvider(type = config.llm.provider, options = {}) {
+  switch (type) {
+    case 'openai':
+      return new OpenAIProvider({ apiKey: config.llm.apiKey, model: config.llm.model, timeout: config.llm.timeout, ...options });
+    case 'openai-compatible':
+      return new OpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: config.llm.apiKey,
+        baseUrl: config.llm.baseUrl,
+        model: config.llm.model,
+        timeout: config.llm.timeout,
+        ...options
+      });
+    case 'stub':
+      return new StubLlmProvider({ fixtures: config.llm.fixtures, ...options });
+    default:
+      throw new Error(`Unknown LLM provider: ${type}`);
+  }
+}
+
+/**
+ * Get the configured LLM provider (created on first use)
+ * @returns {Object} LLM provider
+ */
+export function getLlmProvider() {
+  if (!activeProvider) {
+    activeProvider = createLlmProvider();
+    if (config.llm.recordFixtures) {
+      activeProvider = new RecordingLlmProvider(activeProvider, config.llm.recordFixtures);
+    }
+    logger.info(`LLM provider: ${activeProvider.name} (${activeProvider.defaultModel})`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active LLM provider (tests, scripts)
+ * @param {Object} provider - LLM provider instance
+ */
+export function setLlmProvider(provider) {
+  activeProvider = provider;
+}
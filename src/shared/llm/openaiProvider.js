@@ -0,0 +1,62 @@
+/**
+ * OpenAI LLM Provider
+ * Chat completions from OpenAI, or from any server implementing the OpenAI
+ * chat completions API (vLLM, Ollama, LM Studio, llama.cpp...) when a base
+ * URL is given.
+ */
+
+import OpenAI from 'openai';
+
+class OpenAIProvider {
+  /**
+   * @param {Object} options - { apiKey, baseUrl?, model, timeout, name? }
+   */
+  constructor(options = {}) {
+    this.name = options.name || (options.baseUrl ? 'openai-compatible' : 'openai');
+    this.defaultModel = options.model || 'gpt-4o-mini';
+    this.apiKey = options.apiKey;
+    this.baseUrl = options.baseUrl || null;
+    this.client = new OpenAI({
+      // Local servers usually ignore the key, but the client requires one
+      apiKey: options.apiKey || (options.baseUrl ? 'not-needed' : undefined),
+      ...(options.baseUrl && { baseURL: options.baseUrl }),
+      timeout: options.timeout || 30000
+    });
+  }
+
+  /**
+   * @param {Object} request - { model, messages, maxTokens?, temperature?, responseFormat? }
+   * @returns {Promise<{content: string, usage: Object, model: string}>}
+   */
+  async complete({ model, messages, maxTokens = null, temperature = null, responseFormat = null }) {
+    const response = await this.client.chat.completions.create({
+      model: model || this.defaultModel,
+      messages,
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(temperature !== null && temperature !== undefined && { temperature }),
+      ...(responseFormat && { response_format: responseFormat })
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      usage: response.usage,
+      model: response.model
+    };
+  }
+
+  /**
+   * Model options for the Stagehand constructor
+   * @param {string} [model] - Model for Stagehand (defaults to the provider model)
+   */
+  stagehandOptions(model = this.defaultModel) {
+    return {
+      modelName: model.includes('/') ? model : `openai/${model}`,
+      modelClientOptions: {
+        apiKey: this.apiKey,
+        ...(this.baseUrl && { baseURL: this.baseUrl })
+      }
+    };
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,55 @@
+/**
+ * LLM Pricing
+ * Price table used to estimate the cost of recorded LLM usage, in USD per one
+ * million tokens. Models are matched by their longest listed prefix, so dated
+ * snapshots (gpt-4o-mini-2024-07-18) price like their family. Entries can be
+ * added or overridden with LLM_PRICES, a JSON object in the same shape:
+ *   LLM_PRICES='{"llama3": {"input": 0, "output": 0}}'
+ * Models missing from the table are recorded with a cost of 0 and priced: false.
+ */
+
+import { config } from '../config/environment.js';
+
+export const PRICE_TABLE = Object.freeze({
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o3': { input: 2, output: 8 },
+  'stub': { input: 0, output: 0 }
+});
+
+/**
+ * Price of a model
+ * @param {string} model - Model name, with or without a provider prefix (openai/gpt-4o)
+ * @returns {Object|null} { input, output } in USD per 1M tokens, or null when unknown
+ */
+export function getModelPrice(model) {
+  if (!model) return null;
+  const prices = { ...PRICE_TABLE, ...config.llm.prices };
+  const name = model.includes('/') ? model.slice(model.lastIndexOf('/') + 1) : model;
+  const match = Object.keys(prices)
+    .filter(prefix => name === prefix || name.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+/**
+ * Estimated cost of one LLM call
+ * @param {string} model - Model name
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @returns {{ costUsd: number, priced: boolean }}
+ */
+export function estimateCost(model, usage = {}) {
+  const price = getModelPrice(model);
+  if (!price) {
+    return { costUsd: 0, priced: false };
+  }
+  const costUsd = ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+  return { costUsd, priced: true };
+}
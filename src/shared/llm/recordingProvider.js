@@ -0,0 +1,40 @@
+/**
+ * Recording LLM Provider
+ * Wraps a provider and appends every new exchange to a fixture file, so a run
+ * against a real model can later be replayed offline by the stub provider
+ * (LLM_PROVIDER=stub LLM_FIXTURES=<same file>).
+ */
+
+import { appendFixture, fixtureKey, readFixtures } from './fixtures.js';
+
+class RecordingLlmProvider {
+  /**
+   * @param {Object} provider - Provider answering the requests
+   * @param {string} fixturesPath - JSONL file to append to
+   */
+  constructor(provider, fixturesPath) {
+    this.name = `${provider.name}+recording`;
+    // Every request has to reach the provider to be recorded
+    this.cacheable = false;
+    this.defaultModel = provider.defaultModel;
+    this.provider = provider;
+    this.fixturesPath = fixturesPath;
+    this.recordedKeys = new Set(readFixtures(fixturesPath).keys());
+  }
+
+  async complete(request) {
+    const response = await this.provider.complete(request);
+    const key = fixtureKey(request);
+    if (!this.recordedKeys.has(key)) {
+      appendFixture(this.fixturesPath, request, response);
+      this.recordedKeys.add(key);
+    }
+    return response;
+  }
+
+  async stagehandOptions(model) {
+    return this.provider.stagehandOptions(model);
+  }
+}
+
+export default RecordingLlmProvider;
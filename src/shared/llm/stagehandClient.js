@@ -0,0 +1,57 @@
+/**
+ * Stagehand LLM Client
+ * Adapts a provider from this directory to Stagehand's LLMClient interface so
+ * act/extract/observe can be answered by providers Stagehand cannot reach on
+ * its own (the stub). Structured calls (response_model) resolve to
+ * { data, usage } with the JSON answer checked against the schema; plain calls
+ * resolve to an OpenAI-shaped chat completion. Requests go through the
+ * response cache like chatCompletion().
+ */
+
+import { LLMClient } from '@browserbasehq/stagehand';
+import { completeWithCache } from './cache.js';
+import { messageText } from './fixtures.js';
+
+class ProviderStagehandClient extends LLMClient {
+  constructor(provider) {
+    super(provider.defaultModel);
+    this.type = provider.name;
+    this.hasVision = false;
+    this.clientOptions = {};
+    this.provider = provider;
+  }
+
+  async createChatCompletion({ options }) {
+    const messages = options.messages.map(message => ({ role: message.role, content: messageText(message.content) }));
+    const response = await completeWithCache(this.provider, {
+      model: this.provider.defaultModel,
+      messages,
+      maxTokens: options.maxTokens || null,
+      temperature: options.temperature ?? null,
+      responseFormat: options.response_model ? { type: 'json_object' } : null
+    });
+
+    if (options.response_model) {
+      const parsed = options.response_model.schema.safeParse(JSON.parse(response.content));
+      if (!parsed.success) {
+        throw new Error(`LLM answer does not match the ${options.response_model.name} schema: ${parsed.error.message}`);
+      }
+      return { data: parsed.data, usage: response.usage };
+    }
+
+    return {
+      id: `stub-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: response.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: response.content, tool_calls: [] },
+        finish_reason: 'stop'
+      }],
+      usage: response.usage
+    };
+  }
+}
+
+export default ProviderStagehandClient;
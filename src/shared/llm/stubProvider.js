@@ -0,0 +1,109 @@
+/**
+ * Stub LLM Provider
+ * Deterministic, offline chat completions for tests and local runs:
+ *   - scripted rules, tried in order: { match, respond, times?, usage? }
+ *       match:   substring or RegExp tested against the message text, or
+ *                (request) => boolean; omitted matches every request
+ *       respond: string, object (sent as JSON) or (request) => string | object
+ *       times:   how many requests the rule answers (default: unlimited)
+ *   - recorded fixtures (see fixtures.js), replayed by request hash
+ * A request matching neither throws, naming its fixture key, so a missing
+ * recording is never mistaken for a model answer.
+ */
+
+import { fixtureKey, messageText, readFixtures } from './fixtures.js';
+
+function requestText(messages) {
+  return messages.map(message => messageText(message.content)).join('\n');
+}
+
+function matches(rule, request, text) {
+  if (rule.match === undefined) return true;
+  if (typeof rule.match === 'string') return text.includes(rule.match);
+  if (rule.match instanceof RegExp) return rule.match.test(text);
+  return Boolean(rule.match(request));
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+class StubLlmProvider {
+  /**
+   * @param {Object} options - { script?: Array<rule>, fixtures?: JSONL path, model? }
+   */
+  constructor(options = {}) {
+    this.name = 'stub';
+    // Answers are already local; caching them would hide script changes
+    this.cacheable = false;
+    this.defaultModel = options.model || 'stub';
+    this.rules = [...(options.script || [])].map(rule => ({ ...rule, used: 0 }));
+    this.fixturesPath = options.fixtures || null;
+    this.fixtures = readFixtures(this.fixturesPath);
+    this.calls = [];
+  }
+
+  /**
+   * Add a scripted rule after the existing ones
+   * @param {Object} rule - { match?, respond, times?, usage? }
+   * @returns {StubLlmProvider} this
+   */
+  script(rule) {
+    this.rules.push({ ...rule, used: 0 });
+    return this;
+  }
+
+  /**
+   * Forget the scripted rules and recorded calls (fixtures are kept)
+   */
+  reset() {
+    this.rules = [];
+    this.calls = [];
+  }
+
+  async complete(request) {
+    const text = requestText(request.messages);
+    const key = fixtureKey(request);
+    const rule = this.rules.find(candidate => (candidate.times === undefined || candidate.used < candidate.times)
+      && matches(candidate, request, text));
+
+    let content;
+    let usage;
+    let source;
+
+    if (rule) {
+      rule.used++;
+      const answer = typeof rule.respond === 'function' ? await rule.respond(request) : rule.respond;
+      content = typeof answer === 'string' ? answer : JSON.stringify(answer);
+      usage = rule.usage;
+      source = 'script';
+    } else if (this.fixtures.has(key)) {
+      const fixture = this.fixtures.get(key);
+      content = fixture.content;
+      usage = fixture.usage;
+      source = 'fixture';
+    } else {
+      const preview = text.slice(-200).replace(/\s+/g, ' ');
+      throw new Error(`Stub LLM has no scripted response or fixture for request ${key} ("...${preview}")`);
+    }
+
+    usage = usage || {
+      prompt_tokens: estimateTokens(text),
+      completion_tokens: estimateTokens(content),
+      total_tokens: estimateTokens(text) + estimateTokens(content)
+    };
+
+    this.calls.push({ key, model: request.model, messages: request.messages, responseFormat: request.responseFormat ?? null, content, source });
+    return { content, usage, model: request.model || this.defaultModel };
+  }
+
+  /**
+   * Stagehand options answering act/extract/observe from this stub
+   */
+  async stagehandOptions() {
+    const { default: ProviderStagehandClient } = await import('./stagehandClient.js');
+    return { llmClient: new ProviderStagehandClient(this) };
+  }
+}
+
+export default StubLlmProvider;
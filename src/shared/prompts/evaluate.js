@@ -0,0 +1,183 @@
+/**
+ * Prompt Evaluation
+ * Runs two versions of a prompt against stored fixture inputs and diffs the
+ * rendered prompts and the model outputs (eval-prompts.js is the command line).
+ *
+ * Fixture inputs are JSONL files, one per prompt, one input per line:
+ *   test/fixtures/prompts/extraction.domain_classifier.jsonl
+ *   {"id": "backend-senior", "variables": {"hierarchy": "...", "posting": "..."}}
+ *
+ * Chat prompts are sent through chatCompletion() at temperature 0, so the
+ * configured LLM provider (and the response cache, which makes re-running an
+ * unchanged version free) apply. Instruction prompts need a browser page, so
+ * only their rendered text is compared.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { config } from '../config/environment.js';
+import { withUsageContext } from '../utils/llmUsage.js';
+import { chatCompletion } from '../utils/openai.js';
+import { getPrompt, getPromptVersions, PROMPT_KINDS, PromptError, renderPrompt } from './registry.js';
+
+/**
+ * Read the fixture inputs of a prompt
+ * @param {string} name - Prompt name
+ * @param {string} [directory] - Fixtures directory (PROMPT_FIXTURES_DIR, default test/fixtures/prompts)
+ * @returns {Array<Object>} [{ id, variables }]
+ */
+export function loadPromptFixtures(name, directory = config.prompts.fixturesDir) {
+  const filePath = path.join(directory, `${name}.jsonl`);
+  if (!existsSync(filePath)) {
+    throw new PromptError(`No fixtures for prompt ${name}: ${filePath} does not exist`);
+  }
+
+  return readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => line.trim())
+    .map(({ line, index }) => {
+      try {
+        const fixture = JSON.parse(line);
+        return { id: fixture.id || `line-${index + 1}`, variables: fixture.variables || {} };
+      } catch (error) {
+        throw new PromptError(`Invalid prompt fixture at ${filePath}:${index + 1}: ${error.message}`);
+      }
+    });
+}
+
+function promptText(rendered) {
+  if (rendered.kind === PROMPT_KINDS.INSTRUCTION) {
+    return rendered.instruction;
+  }
+  return rendered.messages.map(message => `[${message.role}]\n${message.content}`).join('\n\n');
+}
+
+function outputText(output) {
+  if (output === null || output === undefined) return '';
+  return typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+}
+
+/**
+ * Render a prompt version with fixture variables and, for chat prompts, run it
+ * @param {string} name - Prompt name
+ * @param {Object} variables - Template variables
+ * @param {Object} [options] - { version, model }
+ * @returns {Promise<Object>} { id, prompt (rendered text), output (parsed JSON or text, null for instructions), error }
+ */
+export async function runPrompt(name, variables, options = {}) {
+  const { version, model } = options;
+  const rendered = renderPrompt(name, variables, { version });
+  const result = { id: rendered.id, prompt: promptText(rendered), output: null, error: null };
+
+  if (rendered.kind !== PROMPT_KINDS.CHAT) {
+    return result;
+  }
+
+  const completion = await withUsageContext({ workflow: 'prompt-eval', node: name }, () => chatCompletion(rendered.messages, {
+    ...(model && { model }),
+    temperature: 0,
+    responseFormat: rendered.format === 'json' ? { type: 'json_object' } : null
+  }));
+
+  if (!completion.success) {
+    return { ...result, error: completion.error };
+  }
+
+  if (rendered.format === 'json') {
+    try {
+      return { ...result, output: JSON.parse(completion.data) };
+    } catch (error) {
+      return { ...result, output: completion.data, error: `Output is not valid JSON: ${error.message}` };
+    }
+  }
+  return { ...result, output: completion.data.trim() };
+}
+
+/**
+ * Line diff (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<string>} Lines prefixed with '  ' (kept), '- ' (removed) or '+ ' (added)
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  while (i < a.length) lines.push(`- ${a[i++]}`);
+  while (j < b.length) lines.push(`+ ${b[j++]}`);
+  return lines;
+}
+
+/**
+ * Run a prompt version and the version it replaces against the fixture inputs
+ * @param {string} name - Prompt name
+ * @param {Object} [options] - { version (default: current), against (default: the version before it),
+ *   fixtures ([{ id, variables }], default: loadPromptFixtures(name)), fixturesDir, model }
+ * @returns {Promise<Object>} { name, kind, version, against, results: [{ id, promptChanged, outputChanged,
+ *   promptDiff, outputDiff, before, after }], summary: { fixtures, promptsChanged, outputsChanged, errors } }
+ */
+export async function comparePromptVersions(name, options = {}) {
+  const definition = getPrompt(name, options.version);
+  const version = definition.version;
+  const against = options.against ?? getPromptVersions(name).filter(registered => registered < version).pop();
+  if (against === undefined) {
+    throw new PromptError(`Prompt ${name}@${version} has no earlier version to compare with`);
+  }
+  getPrompt(name, against);
+
+  const fixtures = options.fixtures || loadPromptFixtures(name, options.fixturesDir);
+  const results = [];
+
+  for (const fixture of fixtures) {
+    const before = await runPrompt(name, fixture.variables, { version: against, model: options.model });
+    const after = await runPrompt(name, fixture.variables, { version, model: options.model });
+    const promptChanged = before.prompt !== after.prompt;
+    const outputChanged = outputText(before.output) !== outputText(after.output);
+
+    results.push({
+      id: fixture.id,
+      promptChanged,
+      outputChanged,
+      promptDiff: promptChanged ? diffLines(before.prompt, after.prompt) : [],
+      outputDiff: outputChanged ? diffLines(outputText(before.output), outputText(after.output)) : [],
+      before,
+      after
+    });
+  }
+
+  return {
+    name,
+    kind: definition.kind,
+    version,
+    against: Number(against),
+    results,
+    summary: {
+      fixtures: results.length,
+      promptsChanged: results.filter(result => result.promptChanged).length,
+      outputsChanged: results.filter(result => result.outputChanged).length,
+      errors: results.filter(result => result.before.error || result.after.error).length
+    }
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Prompts
+ * Entry point of the prompt registry: loads every template module, so that
+ * importing this file makes all prompts available to renderPrompt().
+ *
+ * Templates live in ./templates, one module per workflow. Prompt names are
+ * prefixed with their area (extraction., career., discovery., application.).
+ * Fixture inputs for eval-prompts.js live in test/fixtures/prompts/<name>.jsonl.
+ */
+
+import './templates/application.js';
+import './templates/careerDiscovery.js';
+import './templates/extraction.js';
+import './templates/jobDiscovery.js';
+
+export {
+  PROMPT_KINDS,
+  PromptError,
+  definePrompt,
+  getPrompt,
+  getPromptVersions,
+  listPrompts,
+  renderPrompt,
+  withPromptVersions
+} from './registry.js';
+export { comparePromptVersions, diffLines, loadPromptFixtures, runPrompt } from './evaluate.js';
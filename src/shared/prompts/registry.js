@@ -0,0 +1,179 @@
+/**
+ * Prompt Registry
+ * Named, versioned prompt templates. A template is registered once per version
+ * with definePrompt() and rendered with renderPrompt(); variables are written
+ * {{name}} and every one of them must be supplied. Versions are immutable: a
+ * change to a prompt is a new version registered next to the old one, so the
+ * two can be compared with eval-prompts.js before the new one goes live.
+ *
+ * Two kinds of prompts:
+ *   chat        - system/user messages for chatCompletion()/structuredCompletion()
+ *   instruction - a single instruction for Stagehand's extract/observe/act
+ *
+ * renderPrompt() uses the latest version unless PROMPT_VERSIONS pins another:
+ *   PROMPT_VERSIONS='{"extraction.domain_classifier": 1}'
+ * Nodes record the versions they rendered on their outputs (prompt_versions, or
+ * promptVersions in camelCase state) with withPromptVersions().
+ */
+
+import { config } from '../config/environment.js';
+
+export const PROMPT_KINDS = Object.freeze({
+  CHAT: 'chat',
+  INSTRUCTION: 'instruction'
+});
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// name -> Map(version -> definition)
+const prompts = new Map();
+
+export class PromptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptError';
+  }
+}
+
+function templateVariables(...templates) {
+  const variables = new Set();
+  templates.filter(Boolean).forEach(template => {
+    for (const [, variable] of template.matchAll(VARIABLE_PATTERN)) {
+      variables.add(variable);
+    }
+  });
+  return [...variables];
+}
+
+/**
+ * Register one version of a prompt
+ * @param {Object} definition - { name, version (integer >= 1), kind, description, changes?,
+ *   system? and user (chat), instruction (instruction), format? ('json' | 'text', chat only) }
+ * @returns {Object} The frozen definition, with its variables
+ */
+export function definePrompt(definition) {
+  const { name, version, kind = PROMPT_KINDS.CHAT } = definition;
+
+  if (!name || !Number.isInteger(version) || version < 1) {
+    throw new PromptError(`Prompt definitions need a name and an integer version >= 1 (got ${name}@${version})`);
+  }
+  if (!Object.values(PROMPT_KINDS).includes(kind)) {
+    throw new PromptError(`Unknown kind of prompt ${name}@${version}: ${kind}`);
+  }
+  if (kind === PROMPT_KINDS.CHAT ? !definition.user : !definition.instruction) {
+    throw new PromptError(`Prompt ${name}@${version} has no ${kind === PROMPT_KINDS.CHAT ? 'user message' : 'instruction'}`);
+  }
+
+  const versions = prompts.get(name) || new Map();
+  if (versions.has(version)) {
+    throw new PromptError(`Prompt ${name}@${version} is already registered; register changes as a new version`);
+  }
+
+  const registered = Object.freeze({
+    ...definition,
+    kind,
+    format: kind === PROMPT_KINDS.CHAT ? definition.format || 'json' : null,
+    variables: templateVariables(definition.system, definition.user, definition.instruction)
+  });
+  versions.set(version, registered);
+  prompts.set(name, versions);
+  return registered;
+}
+
+/**
+ * Registered versions of a prompt, oldest first
+ * @param {string} name - Prompt name
+ * @returns {number[]}
+ */
+export function getPromptVersions(name) {
+  return [...(prompts.get(name)?.keys() || [])].sort((a, b) => a - b);
+}
+
+/**
+ * Definition of a prompt version
+ * @param {string} name - Prompt name
+ * @param {number} [version] - Defaults to the pinned version (PROMPT_VERSIONS), else the latest
+ * @returns {Object} Prompt definition
+ */
+export function getPrompt(name, version) {
+  const versions = prompts.get(name);
+  if (!versions) {
+    throw new PromptError(`Unknown prompt: ${name}`);
+  }
+
+  const wanted = version ?? config.prompts.versions[name] ?? Math.max(...versions.keys());
+  const definition = versions.get(Number(wanted));
+  if (!definition) {
+    throw new PromptError(`Unknown version of prompt ${name}: ${wanted} (registered: ${getPromptVersions(name).join(', ')})`);
+  }
+  return definition;
+}
+
+/**
+ * All registered prompts with their versions
+ * @returns {Array<Object>} [{ name, kind, description, versions, current }]
+ */
+export function listPrompts() {
+  return [...prompts.keys()].sort().map(name => {
+    const current = getPrompt(name);
+    return {
+      name,
+      kind: current.kind,
+      description: current.description,
+      versions: getPromptVersions(name),
+      current: current.version
+    };
+  });
+}
+
+function fill(template, values, id) {
+  return template.replace(VARIABLE_PATTERN, (placeholder, variable) => {
+    const value = values[variable];
+    if (value === undefined) {
+      throw new PromptError(`Missing variable ${variable} for prompt ${id}`);
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  });
+}
+
+/**
+ * Render a prompt. Object and array values are inserted as indented JSON.
+ * @param {string} name - Prompt name
+ * @param {Object} variables - Template variables
+ * @param {Object} [options] - { version }
+ * @returns {Object} { name, version, id ('name@version'), kind, format,
+ *   messages (chat) or instruction (instruction) }
+ */
+export function renderPrompt(name, variables = {}, options = {}) {
+  const definition = getPrompt(name, options.version);
+  const id = `${name}@${definition.version}`;
+  const rendered = {
+    name,
+    version: definition.version,
+    id,
+    kind: definition.kind,
+    format: definition.format
+  };
+
+  if (definition.kind === PROMPT_KINDS.INSTRUCTION) {
+    return { ...rendered, instruction: fill(definition.instruction, variables, id) };
+  }
+
+  return {
+    ...rendered,
+    messages: [
+      ...(definition.system ? [{ role: 'system', content: fill(definition.system, variables, id) }] : []),
+      { role: 'user', content: fill(definition.user, variables, id) }
+    ]
+  };
+}
+
+/**
+ * Add the versions of rendered prompts to a prompt_versions record
+ * @param {Object} [versions] - Existing record ({ name: version })
+ * @param {...Object} rendered - Results of renderPrompt()
+ * @returns {Object} New record
+ */
+export function withPromptVersions(versions, ...rendered) {
+  return rendered.reduce((record, prompt) => ({ ...record, [prompt.name]: prompt.version }), { ...versions });
+}
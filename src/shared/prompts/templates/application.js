@@ -0,0 +1,129 @@
+/**
+ * Job Application Prompts
+ * Prompts of the job application nodes (src/new-nodes/detection, mapping and actions).
+ */
+
+import { definePrompt, PROMPT_KINDS } from '../registry.js';
+
+definePrompt({
+  name: 'application.blocker_detection',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Login, OAuth, verification or registration popups blocking an application (Stagehand extract)',
+  instruction: `Check for visible popups/modals that block job application submission:
+- Login popups/modals
+- Google OAuth buttons
+- Email verification prompts
+- Registration required popups
+- Any modal that prevents form submission: should be only login or otp modal, else we can consider non blocking
+
+Report only visible popups that block the application process.`
+});
+
+definePrompt({
+  name: 'application.form_fields',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Names and types of the fields of an application form (Stagehand extract)',
+  instruction: `Look for form fields on this job application page. Common field names to look for: {{fieldNames}}.
+
+For each field found, extract:
+- Field name
+- Field type (text, email, select, textarea, file, etc.)
+
+Focus on text, email, textarea, select, and file upload fields. Pay special attention to resume/CV upload fields.
+
+Return a simple array of field objects with name and type.`
+});
+
+definePrompt({
+  name: 'application.field_mapping',
+  version: 1,
+  description: 'Values of the candidate data for the fields of an application form, as a JSON array',
+  system: 'You are a field mapping expert. Return ONLY valid JSON arrays without any markdown formatting, code blocks, or extra text. Just the JSON array.',
+  user: `
+You are mapping form fields to candidate data for a job application.
+
+DETECTED FORM FIELDS:
+{{fields}}
+
+CANDIDATE DATA:
+{{candidateData}}
+
+TASK: For each detected field, determine if there's a matching candidate data field and provide the actual value.
+
+RULES:
+1. Map exact matches (e.g., "email" field → "john@example.com")
+2. Map similar fields (e.g., "firstname" → "John")
+3. Map compound fields (e.g., "fullname" → "John Doe")
+4. For text areas, map to longer text (e.g., "coverletter" → "I am excited to apply...")
+
+COMPLEX MAPPINGS:
+5. Extract first name from full name: "John Doe" → "John" for firstname field
+6. Calculate age from DOB: "1990-05-15" → "34" for age field
+7. Infer country from city: "Chennai" → "India", "New York" → "USA", "London" → "UK"
+8. Extract skills from experience: skills array → "JavaScript, React, Node.js"
+9. Combine education: degree + institution → "Bachelor of Science, Stanford University"
+
+SELECT FIELD HANDLING:
+10. For select fields, choose the best matching option from the available dropdown options
+11. If no exact match, choose the closest option or leave unmapped
+12. For country fields: match "India" to "India" option, "USA" to "United States" option
+13. For gender fields: match "Male" to "Male" option, "Female" to "Female" option
+14. For experience fields: choose appropriate range like "3-5 years" from available options
+
+EXPERIENCE & SKILLS DECISION MAKING:
+15. For experience questions: Look at experience.years, experience array, and make intelligent decisions
+16. For skill questions: Look at experience.skills, education, and decide based on context
+17. For education questions: Look at education array and make informed decisions
+18. CONFIDENCE: Even 50% confidence is acceptable - make your best guess based on available data
+19. CONTEXT: Use all available information (experience, education, skills) to answer questions
+
+Return a JSON array of mappings with this structure:
+[
+  {
+    "fieldName": "email",
+    "fieldType": "email", 
+    "mapped": true,
+    "value": "john@example.com",
+    "confidence": 0.95
+  }
+]
+
+IMPORTANT: 
+- Provide the actual values, not field references
+- For experience/skills questions, make intelligent decisions even with 50% confidence
+- Use all available candidate data to make informed guesses
+- Examples:
+  - "firstname": "John" (not "candidateData.personal.firstName")
+  - "email": "john@example.com" (not "candidateData.personal.email")
+  - "skills": "JavaScript, React, Node.js" (not "candidateData.experience.skills")
+  - "experience": "5 years" (based on experience.years)
+  - "programming_languages": "JavaScript, Python" (based on skills array)
+  - "country": "India" (for select field with options: ["USA", "India", "UK"])
+  - "gender": "Male" (for select field with options: ["Male", "Female", "Other"])
+`
+});
+
+definePrompt({
+  name: 'application.form_fill',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Filling an application form with the mapped candidate values (Stagehand extract)',
+  instruction: `Fill out this job application form with the provided candidate data.
+
+FIELDS TO FILL:
+{{fields}}
+
+INSTRUCTIONS:
+1. Find each field on the page and fill it with the provided value
+2. For text fields: Enter the exact value provided
+3. For email fields: Enter the email address
+4. For select/dropdown fields: Choose the option that best matches the provided value
+5. For textarea fields: Enter the full text content
+6. For file upload fields: Skip for now (handled separately)
+7. Be precise and accurate with the data provided
+8. If a field is not found, skip it and continue with others
+
+IMPORTANT: Only fill the fields listed above. Do not fill any other fields on the page.`
+});
@@ -0,0 +1,167 @@
+/**
+ * Career Page Discovery Prompts
+ * Prompts of the career page discovery workflow nodes
+ * (src/new-workflows/career-page-discovery/nodes). Version 1 of each keeps the
+ * text the nodes used inline, indentation included.
+ */
+
+import { definePrompt, PROMPT_KINDS } from '../registry.js';
+
+definePrompt({
+  name: 'career.career_page_finder',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Official careers page among the search results for the company (Stagehand observe)',
+  instruction: `From the search results page, identify and return the best link that leads to the official careers or jobs page for {{companyName}}.
+        Prefer links that mention "careers", "jobs", "employment", or "work with us". Avoid aggregator sites like Glassdoor, Indeed, or LinkedIn.`
+});
+
+definePrompt({
+  name: 'career.job_listings_link',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Link from a careers landing page to its job listings (Stagehand extract)',
+  instruction: `You are on the company's career or jobs landing page. Identify the single best clickable link or button that will take you to the actual job listings page — the one that displays open roles or search results.
+Avoid links that loop back to the same page or lead to generic descriptions. Focus on CTAs like "Search Jobs", "Browse Openings", "View Opportunities", etc.
+Return the absolute URL (starting with http:// or https://) of that link.`
+});
+
+definePrompt({
+  name: 'career.job_listings_verification',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Whether the page reached through a listings link lists jobs (Stagehand extract)',
+  instruction: `Verify this page is a job listings or job search page by checking for:
+            - Multiple job titles or roles listed
+            - Job filters, locations, or departments
+            - "Apply" buttons or links
+            Return true if this is a job listings/search results page.`
+});
+
+definePrompt({
+  name: 'career.job_listings_quick_check',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Whether a guessed listings URL lists jobs or offers a job search (Stagehand extract)',
+  instruction: `Quickly check if this page has job listings or job search functionality.
+            Look for job postings, search boxes, or job-related content.
+            Return true if this appears to be a job listings page.`
+});
+
+definePrompt({
+  name: 'career.filter_search_bar',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Keyword search input of a job listings page (Stagehand extract)',
+  instruction: 'Identify the search input field (search bar) on the page that allows users to search for job roles or keywords. This is typically a text box where users can type job titles or skills. If such a search bar exists, set isFound to true and return its selector and field name. If not found, set isFound to false and searchBar to an empty string. Ensure the output strictly matches the following format: { searchBar: string, isFound: boolean, selector: string } as per the provided schema.'
+});
+
+definePrompt({
+  name: 'career.filter_location',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Location filter of a job listings page (Stagehand extract)',
+  instruction: 'Identify the location filter on the page that allows users to filter jobs by location. This is typically a dropdown or a list of locations. If such a filter exists, set isFound to true and return its selector and field name. If not found, set isFound to false and locationFilter to an empty string. Ensure the output strictly matches the following format: { locationFilter: string, isFound: boolean, selector: string, fieldName: string } as per the provided schema.'
+});
+
+definePrompt({
+  name: 'career.filter_department',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Department filter of a job listings page (Stagehand extract)',
+  instruction: 'Identify the department filter on the page that allows users to filter jobs by department. This is typically a dropdown or a list of departments. If such a filter exists, set isFound to true and return its selector and field name. If not found, set isFound to false and departmentFilter to an empty string. Ensure the output strictly matches the following format: { departmentFilter: string, isFound: boolean, selector: string, fieldName: string } as per the provided schema.'
+});
+
+definePrompt({
+  name: 'career.filter_remote',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Remote work filter of a job listings page (Stagehand extract)',
+  instruction: 'Identify the filter on the page that allows users to show only remote jobs (work from home, remote or hybrid). This is typically a checkbox, a toggle or a dropdown of workplace types. If such a filter exists, set isFound to true and return its selector and field name. If not found, set isFound to false and remoteFilter to an empty string. Ensure the output strictly matches the following format: { remoteFilter: string, isFound: boolean, selector: string } as per the provided schema.'
+});
+
+definePrompt({
+  name: 'career.filter_experience',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Experience level filter of a job listings page (Stagehand extract)',
+  instruction: 'Identify the filter on the page that allows users to filter jobs by experience or seniority level (entry level, mid level, senior, internship). This is typically a dropdown or a list of levels. If such a filter exists, set isFound to true and return its selector and field name. If not found, set isFound to false and experienceFilter to an empty string. Ensure the output strictly matches the following format: { experienceFilter: string, isFound: boolean, selector: string } as per the provided schema.'
+});
+
+definePrompt({
+  name: 'career.filter_fill',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Fill the found filters with their values, given as %field% variables (Stagehand act)',
+  instruction: 'fill in the form with the following values: {{fields}}'
+});
+
+definePrompt({
+  name: 'career.filter_submit',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Submit the filled filters (Stagehand act)',
+  instruction: 'click the submit button or search job button to get jobs as per the filters. if no such button is found, hit enter while keeping focus on search input'
+});
+
+definePrompt({
+  name: 'career.current_url',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'URL of the page once the filters are applied (Stagehand extract)',
+  instruction: 'get current url for the page'
+});
+
+definePrompt({
+  name: 'career.filtered_listing_check',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Whether the filtered page lists jobs (Stagehand extract)',
+  instruction: `check if the url is a valid job listing url. it should show list of jobs
+`
+});
+
+definePrompt({
+  name: 'career.filter_search_observe',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Fallback: actions that search for jobs with the filters (Stagehand observe)',
+  instruction: 'understand the page, and get the action to search for jobs as per the filters'
+});
+
+definePrompt({
+  name: 'career.filter_fill_fallback',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Fallback: fill whatever filters the page has (Stagehand act)',
+  instruction: 'try filling filters with values'
+});
+
+definePrompt({
+  name: 'career.filter_submit_fallback',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Fallback: submit the filters (Stagehand act)',
+  instruction: 'try submitting the form. submit cna be a button click or keyboard enter keystroke on the search input'
+});
+
+definePrompt({
+  name: 'career.filtered_url',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Fallback: URL of the page once the filters are applied (Stagehand extract)',
+  instruction: 'get the url of the page after the filters are applied'
+});
+
+definePrompt({
+  name: 'career.metadata_summary',
+  version: 1,
+  format: 'text',
+  description: 'One-line description of the search capabilities of a job listings URL',
+  user: `Build metadata for the job search URL for company {{companyName}}. 
+    Filter list: {{filters}}
+    URL: {{url}}
+    Example format: {{example}}
+    
+    Return a simple string describing the job search capabilities.`
+});
@@ -0,0 +1,84 @@
+/**
+ * Job Extraction Prompts
+ * Prompts of the job extraction workflow nodes (src/new-nodes/processing,
+ * analysis and mapping).
+ */
+
+import { definePrompt, PROMPT_KINDS } from '../registry.js';
+
+definePrompt({
+  name: 'extraction.content_extractor',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Raw text and title of a job posting page (Stagehand extract)',
+  instruction: 'Extract the complete raw text content of this job posting page. Include all job description text, requirements, responsibilities, qualifications, and any other job-related information. Return the full text content as it appears on the page.'
+});
+
+definePrompt({
+  name: 'extraction.job_analyzer',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Hiring company of a job posting page (Stagehand extract)',
+  instruction: 'Extract only the company name from this job posting. Look for the company that is hiring or posting this job. Return just the company name, nothing else.'
+});
+
+definePrompt({
+  name: 'extraction.domain_classifier',
+  version: 1,
+  description: 'Domain > sub-domain > role of a posting, from the supported domains hierarchy',
+  system: 'You are a job domain classifier. Even if a job includes ML systems or AI infra, do not restrict to backend roles. Instead, match role like ml_engineer or ai_engineer from data_science if it fits better. Return JSON with domain, sub_domain, and role. Use only the domain, sub_domain, and role that are in the hierarchyPrompt.',
+  user: `Classify this job posting into the hierarchical structure:
+
+{{hierarchy}}
+
+Job posting:
+{{posting}}
+
+Return JSON: {"domain": "...", "sub_domain": "...", "role": "..."}`
+});
+
+definePrompt({
+  name: 'extraction.experience_level_detector',
+  version: 1,
+  description: 'Experience level of a posting among the levels configured for its role',
+  system: 'You are an experience level classifier. Return a JSON object with the experience level.',
+  user: `Analyze this job posting and determine the experience level. Consider job title, requirements, responsibilities, and years of experience mentioned.
+
+Available experience levels: {{levels}}
+
+Job posting:
+{{posting}}
+
+Return a JSON object with the experience level: {"level": "selected_level"}`
+});
+
+definePrompt({
+  name: 'extraction.experience_detector',
+  version: 1,
+  description: 'Experience level with confidence, from the keywords of each level of the role',
+  system: 'You are an experience level classifier. Return JSON with level and confidence.',
+  user: `Classify the experience level for this {{role}} job posting. Available levels:
+
+{{levels}}
+
+Job posting:
+{{posting}}
+
+Return JSON: {"level": "one_of_available_levels", "confidence": 0.0-1.0, "reasoning": "..."}`
+});
+
+definePrompt({
+  name: 'extraction.dimension_mapper',
+  version: 1,
+  description: 'Values of the dimensions configured for a role and experience level',
+  system: 'You are a job dimension extractor. Extract all requested fields as JSON.',
+  user: `Extract the following information from the job posting:
+{{dimensions}}
+
+Return a JSON object with the following fields:
+{
+  {{fields}}
+}
+Job posting:
+{{posting}}`
+});
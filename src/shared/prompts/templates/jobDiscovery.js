@@ -0,0 +1,93 @@
+/**
+ * Job Discovery Prompts
+ * Prompts of the job discovery workflow nodes (src/new-nodes/processing and scraping).
+ */
+
+import { definePrompt, PROMPT_KINDS } from '../registry.js';
+
+definePrompt({
+  name: 'discovery.url_construction',
+  version: 1,
+  format: 'text',
+  description: 'Job search URL from a URL template and the search filters',
+  system: 'You are a URL generation expert. Return only the final URL, no explanations or additional text.',
+  user: `
+You are a URL generation expert. Given a URL template with parameters and specific filters, generate the final URL.
+
+URL Template: {{urlTemplate}}
+Description: {{description}}
+Target Domain: {{domain}}
+URL Type: {{urlType}}
+Filters: {{filters}}
+
+Instructions:
+1. Analyze the URL template and identify all parameter placeholders (e.g., {keywords}, {location}, {experience})
+2. Use the provided filters to fill in these parameters appropriately
+3. If a parameter doesn't have a corresponding filter, do not include it in the final URL. for exmaple, if location is not provided, do not include it in the final URL.
+4. Ensure the final URL is properly encoded and valid
+5. Return ONLY the final URL, nothing else
+
+Example:
+- Template: https://example.com/jobs?q={keywords}&l={location}
+- Filters: {keywords: "software engineer", location: "San Francisco"}
+- Result: https://example.com/jobs?q=software%20engineer&l=San%20Francisco
+
+Generate the final URL:`
+});
+
+definePrompt({
+  name: 'discovery.job_url_filter',
+  version: 1,
+  description: 'Links of a job listing page that point to individual job postings',
+  user: `You are a URL filter for job platforms. I will give you a list of URLs from a job listing page. Your task is to filter and return only the URLs that point to individual job detail pages.
+
+Look for URLs that point to pages with:
+- Specific job titles
+- Job descriptions
+- Apply buttons
+- Individual job postings
+
+Return a JSON object with this structure:
+{
+  "jobDetailUrls": ["url1", "url2", ...],
+  "reasoning": "Brief explanation of filtering logic"
+}
+
+URLs to filter:
+{{urls}}`
+});
+
+definePrompt({
+  name: 'discovery.next_page',
+  version: 1,
+  kind: PROMPT_KINDS.INSTRUCTION,
+  description: 'Next page link of a job listing page (Stagehand extract)',
+  instruction: `You are a pagination detection expert. Analyze this job listing page and find the next page URL.
+
+Current URL: {{currentUrl}}
+Current Page: {{currentPage}}
+
+Your task:
+1. Look for pagination controls on the page
+2. Find "Next" buttons, page numbers, or pagination links
+3. Determine if there are more pages available
+4. Extract the URL for the next page
+
+IMPORTANT: 
+- Look for actual "Next" buttons or links on the page
+- Don't just append "&page=X" to the current URL
+- Find the actual href attribute of next page links
+- If you see "Next" button, extract its href value
+- If you see page numbers, find the next page number link
+
+Look for these elements:
+- "Next" buttons or links with href attributes
+- Page numbers (current + 1) with href attributes
+- Pagination controls with actual links
+- "Load more" buttons
+- Navigation arrows with href
+
+Return the actual next page URL if found, or indicate no more pages.
+do not return url by appending page number to the current url. it should be the actual next page url.
+`
+});
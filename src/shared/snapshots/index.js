@@ -0,0 +1,75 @@
+/**
+ * Browser Snapshots
+ * Record a workflow against live sites once, then replay it offline.
+ *
+ * BROWSER_SNAPSHOT_MODE=live (default) | record | replay
+ * BROWSER_SNAPSHOTS=<directory> (default test/fixtures/snapshots/default)
+ *
+ *   record  sessions of the browser pool drive a real browser and append every
+ *           page/agent call, the page HTML and the network responses to the directory
+ *   replay  sessions are fake pages/agents answering from the directory; no browser
+ *           or network is used
+ *
+ * The LLM calls of the nodes follow the mode: recording also records them to
+ * <directory>/llm.jsonl (LLM_RECORD_FIXTURES) and replay answers them with the
+ * stub provider from that file, unless LLM_PROVIDER/LLM_FIXTURES say otherwise.
+ */
+
+import { config } from '../config/environment.js';
+import { EnhancedStagehandClient } from '../utils/enhancedStagehand.js';
+import RecordingStagehandClient from './recordingSession.js';
+import ReplayStagehandClient from './replaySession.js';
+import { SnapshotStore } from './store.js';
+
+export const SNAPSHOT_MODES = Object.freeze({
+  LIVE: 'live',
+  RECORD: 'record',
+  REPLAY: 'replay'
+});
+
+export { SnapshotMissError, SnapshotStore, normalizeArgument, stepKey } from './store.js';
+export { RECORDED_INPUT_METHODS, RECORDED_PAGE_METHODS, serializeResult } from './recordingSession.js';
+export { ReplayAgent, ReplayPage } from './replaySession.js';
+export { RecordingStagehandClient, ReplayStagehandClient };
+
+// One store per directory, so replay cursors and recorded step ids are shared by every session
+const stores = new Map();
+
+/**
+ * Snapshot store of a directory
+ * @param {string} directory - Snapshot directory
+ * @returns {SnapshotStore}
+ */
+export function getSnapshotStore(directory = config.snapshots.directory) {
+  if (!stores.has(directory)) {
+    stores.set(directory, new SnapshotStore(directory));
+  }
+  return stores.get(directory);
+}
+
+/**
+ * Forget the cached stores (replays start again from the first recorded step)
+ */
+export function resetSnapshotStores() {
+  stores.clear();
+}
+
+/**
+ * Create an uninitialized browser session for the configured mode (the browser pool's session factory)
+ * @param {Object} [options] - { mode, directory, maxBodyBytes } (defaults: config.snapshots)
+ * @returns {Object} EnhancedStagehandClient, RecordingStagehandClient or ReplayStagehandClient
+ */
+export function createBrowserSession(options = {}) {
+  const { mode, directory, maxBodyBytes } = { ...config.snapshots, ...options };
+
+  switch (mode) {
+    case SNAPSHOT_MODES.LIVE:
+      return new EnhancedStagehandClient();
+    case SNAPSHOT_MODES.RECORD:
+      return new RecordingStagehandClient(new EnhancedStagehandClient(), getSnapshotStore(directory), { maxBodyBytes });
+    case SNAPSHOT_MODES.REPLAY:
+      return new ReplayStagehandClient(getSnapshotStore(directory));
+    default:
+      throw new Error(`Unknown browser snapshot mode: ${mode} (expected live, record or replay)`);
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Recording Browser Session
+ * Wraps a live Stagehand session: every page/agent call a node makes goes to the
+ * real browser and its result is written to a snapshot (store.js), together with
+ * the URL and HTML of the page after calls that can change it and the
+ * document/XHR/fetch responses the page received.
+ */
+
+import { logger } from '../utils/logger.js';
+
+// Page calls that are recorded; other properties pass through unrecorded
+export const RECORDED_PAGE_METHODS = Object.freeze([
+  'goto', 'goBack', 'reload', 'extract', 'observe', 'act', 'evaluate',
+  'click', 'fill', 'type', 'press', 'check', 'uncheck', 'hover', 'selectOption', 'setInputFiles',
+  'waitForSelector', 'waitForNavigation', 'waitForLoadState', 'waitForURL'
+]);
+export const RECORDED_INPUT_METHODS = Object.freeze({
+  keyboard: ['press', 'type', 'down', 'up', 'insertText'],
+  mouse: ['click', 'dblclick', 'move', 'down', 'up', 'wheel']
+});
+
+// Calls after which the page URL and HTML are captured
+const PAGE_CHANGING = new Set([
+  'goto', 'goBack', 'reload', 'act', 'click', 'fill', 'type', 'press', 'check', 'uncheck',
+  'selectOption', 'setInputFiles', 'waitForNavigation', 'waitForLoadState', 'waitForURL',
+  'keyboard.press', 'keyboard.type', 'keyboard.insertText', 'mouse.click', 'mouse.dblclick', 'agent.execute'
+]);
+
+const RECORDED_RESOURCE_TYPES = new Set(['document', 'xhr', 'fetch']);
+
+/**
+ * Stored form of a call result; browser objects (responses, element handles)
+ * are reduced to what the replay needs
+ * @param {string} method - Method name
+ * @param {*} result - Call result
+ * @returns {*} JSON-compatible value
+ */
+export function serializeResult(method, result) {
+  if (result === undefined || result === null) return null;
+  if (method === 'goto' || method === 'goBack' || method === 'reload') {
+    return {
+      $type: 'Response',
+      status: result.status(),
+      ok: result.ok(),
+      url: result.url(),
+      headers: result.headers?.() || {}
+    };
+  }
+  if (typeof result === 'object' && !Array.isArray(result) && Object.getPrototypeOf(result) !== Object.prototype) {
+    return { $type: result.constructor?.name || 'object' };
+  }
+  try {
+    return JSON.parse(JSON.stringify(result));
+  } catch (error) {
+    return { $type: typeof result };
+  }
+}
+
+class RecordingStagehandClient {
+  /**
+   * @param {Object} client - Live session (EnhancedStagehandClient)
+   * @param {Object} store - SnapshotStore to append to
+   * @param {Object} [options] - { maxBodyBytes }
+   */
+  constructor(client, store, options = {}) {
+    this.client = client;
+    this.store = store;
+    this.maxBodyBytes = options.maxBodyBytes ?? 512 * 1024;
+    this.livePage = null;
+    this.recordingPage = null;
+    this.onResponse = null;
+  }
+
+  async initialize() {
+    await this.client.initialize();
+    logger.info('Recording browser snapshot', { directory: this.store.directory });
+  }
+
+  async newPage() {
+    const page = await this.client.newPage();
+    if (page !== this.livePage) {
+      this.detachNetwork();
+      this.livePage = page;
+      this.recordingPage = this.wrapPage(page);
+      this.attachNetwork(page);
+    }
+    return this.recordingPage;
+  }
+
+  async newAgent() {
+    const agent = await this.client.newAgent();
+    return {
+      execute: (...args) => this.record(this.livePage, 'agent', 'execute', args, () => agent.execute(...args))
+    };
+  }
+
+  async checkHealth() {
+    return this.client.checkHealth();
+  }
+
+  async reset() {
+    return this.client.reset();
+  }
+
+  async close() {
+    this.detachNetwork();
+    return this.client.close();
+  }
+
+  wrapPage(page) {
+    const recorder = this;
+    const inputs = Object.fromEntries(Object.entries(RECORDED_INPUT_METHODS).map(([device, methods]) => [device, new Proxy(page[device] || {}, {
+      get(target, property) {
+        const value = Reflect.get(target, property);
+        if (typeof value !== 'function') return value;
+        if (!methods.includes(property)) return value.bind(target);
+        return (...args) => recorder.record(page, 'page', `${device}.${property}`, args, () => value.apply(target, args));
+      }
+    })]));
+
+    return new Proxy(page, {
+      get(target, property) {
+        if (inputs[property]) return inputs[property];
+        const value = Reflect.get(target, property);
+        if (typeof value !== 'function') return value;
+        if (!RECORDED_PAGE_METHODS.includes(property)) return value.bind(target);
+        return (...args) => recorder.record(page, 'page', property, args, () => value.apply(target, args));
+      }
+    });
+  }
+
+  /**
+   * Run a call against the live browser and append it to the snapshot
+   */
+  async record(page, target, method, args, call) {
+    let result;
+    let failure = null;
+    try {
+      result = await call();
+    } catch (error) {
+      failure = error;
+    }
+
+    const name = target === 'agent' ? 'agent.execute' : method;
+    let url = null;
+    let html = null;
+    try {
+      url = page?.url() || null;
+      if (PAGE_CHANGING.has(name)) {
+        html = await page.content();
+      }
+    } catch (error) {
+      logger.debug('Could not capture the page for the snapshot', { method: name, error: error.message });
+    }
+
+    this.store.appendStep({
+      target,
+      method,
+      args,
+      result: failure ? null : serializeResult(method, result),
+      error: failure ? { name: failure.name, message: failure.message } : null,
+      url,
+      html
+    });
+
+    if (failure) throw failure;
+    return result;
+  }
+
+  attachNetwork(page) {
+    if (!page?.on) return;
+    this.onResponse = async response => {
+      try {
+        const request = response.request();
+        const resourceType = request.resourceType();
+        if (!RECORDED_RESOURCE_TYPES.has(resourceType)) return;
+
+        let body = null;
+        let truncated = false;
+        try {
+          body = await response.text();
+          if (body.length > this.maxBodyBytes) {
+            body = body.substring(0, this.maxBodyBytes);
+            truncated = true;
+          }
+        } catch (error) {
+          // Redirects and aborted requests have no body
+        }
+
+        this.store.appendResponse({
+          url: response.url(),
+          method: request.method(),
+          status: response.status(),
+          headers: response.headers(),
+          resourceType,
+          body,
+          truncated
+        });
+      } catch (error) {
+        logger.debug('Could not record a network response', { error: error.message });
+      }
+    };
+    page.on('response', this.onResponse);
+  }
+
+  detachNetwork() {
+    if (this.livePage && this.onResponse) {
+      this.livePage.off?.('response', this.onResponse);
+    }
+    this.onResponse = null;
+  }
+}
+
+export default RecordingStagehandClient;
@@ -0,0 +1,173 @@
+/**
+ * Replay Browser Session
+ * Serves a recorded snapshot (store.js) through a fake page and agent with the
+ * API the nodes use, so a workflow runs offline and deterministically: every
+ * recorded call returns its recorded result (or throws its recorded error),
+ * url()/content()/title() follow the recorded page, waits return at once and a
+ * call that was never recorded throws SnapshotMissError.
+ */
+
+import { logger } from '../utils/logger.js';
+import { RECORDED_INPUT_METHODS, RECORDED_PAGE_METHODS } from './recordingSession.js';
+
+function replayResponse(recorded) {
+  return {
+    status: () => recorded.status,
+    ok: () => recorded.ok ?? (recorded.status >= 200 && recorded.status < 400),
+    url: () => recorded.url,
+    headers: () => recorded.headers || {},
+    text: async () => recorded.body ?? '',
+    json: async () => JSON.parse(recorded.body ?? 'null')
+  };
+}
+
+function replayResult(result) {
+  if (result?.$type === 'Response') return replayResponse(result);
+  // Element handles and other browser objects: a placeholder, so truthiness checks still hold
+  if (result?.$type) return Object.freeze({ replayed: result.$type });
+  return result;
+}
+
+export class ReplayPage {
+  /**
+   * @param {Object} store - Loaded SnapshotStore
+   */
+  constructor(store) {
+    this.store = store;
+    this.currentUrl = 'about:blank';
+    this.html = '<html><head></head><body></body></html>';
+    this.listeners = new Map();
+    this.closed = false;
+
+    Object.entries(RECORDED_INPUT_METHODS).forEach(([device, methods]) => {
+      this[device] = Object.fromEntries(methods.map(method => [method, (...args) => this.replay('page', `${device}.${method}`, args)]));
+    });
+  }
+
+  /**
+   * Replay the next recorded step of a call
+   */
+  async replay(target, method, args) {
+    const step = this.store.nextStep(target, method, args);
+
+    if (step.url) this.currentUrl = step.url;
+    const html = this.store.readDom(step);
+    if (html !== null) this.html = html;
+    if (method === 'goto' || method === 'reload') {
+      this.emitResponses(step.url);
+    }
+
+    if (step.error) {
+      const error = new Error(step.error.message);
+      error.name = step.error.name || 'Error';
+      throw error;
+    }
+    return replayResult(step.result);
+  }
+
+  emitResponses(url) {
+    const listeners = this.listeners.get('response') || [];
+    if (!url || listeners.length === 0) return;
+    this.store.responsesFor(url).forEach(recorded => listeners.forEach(listener => listener(replayResponse(recorded))));
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  async content() {
+    return this.html;
+  }
+
+  async title() {
+    return this.html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1]?.trim() || '';
+  }
+
+  async waitForTimeout() {}
+
+  async screenshot() {
+    return Buffer.alloc(0);
+  }
+
+  on(event, listener) {
+    this.listeners.set(event, [...(this.listeners.get(event) || []), listener]);
+    return this;
+  }
+
+  off(event, listener) {
+    this.listeners.set(event, (this.listeners.get(event) || []).filter(registered => registered !== listener));
+    return this;
+  }
+
+  isClosed() {
+    return this.closed;
+  }
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+RECORDED_PAGE_METHODS.forEach(method => {
+  ReplayPage.prototype[method] = function (...args) {
+    return this.replay('page', method, args);
+  };
+});
+
+export class ReplayAgent {
+  /**
+   * @param {ReplayPage} page - Page the agent acts on
+   */
+  constructor(page) {
+    this.page = page;
+  }
+
+  async execute(...args) {
+    return this.page.replay('agent', 'execute', args);
+  }
+}
+
+class ReplayStagehandClient {
+  /**
+   * @param {Object} store - SnapshotStore to replay
+   */
+  constructor(store) {
+    this.store = store;
+    this.page = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    if (!this.store.loaded) {
+      this.store.load();
+    }
+    this.page = new ReplayPage(this.store);
+    this.isInitialized = true;
+    logger.info('Replaying browser snapshot', { directory: this.store.directory, steps: this.store.steps.length });
+  }
+
+  async newPage() {
+    return this.page;
+  }
+
+  async newAgent() {
+    return new ReplayAgent(this.page);
+  }
+
+  async checkHealth() {
+    return this.page && !this.page.isClosed()
+      ? { status: 'healthy', message: 'Replaying snapshot', isInitialized: this.isInitialized }
+      : { status: 'error', message: 'No page available', isInitialized: this.isInitialized };
+  }
+
+  async reset() {
+    this.page = new ReplayPage(this.store);
+  }
+
+  async close() {
+    this.page?.close();
+    this.isInitialized = false;
+  }
+}
+
+export default ReplayStagehandClient;
@@ -0,0 +1,192 @@
+/**
+ * Snapshot Store
+ * A recorded browser snapshot is a directory:
+ *
+ *   steps.jsonl    one page/agent call per line: { id, key, target, method, args,
+ *                  result, error, url, dom, recordedAt }
+ *   network.jsonl  one document/XHR/fetch response per line: { url, method, status,
+ *                  headers, resourceType, body, truncated, recordedAt }
+ *   dom/<hash>.html  the page HTML after a step (identical pages are stored once)
+ *
+ * A step is identified by the hash of its target, method and arguments, so the
+ * n-th replayed extract() with an instruction gets the n-th recorded result of
+ * that same extract(), whatever else ran in between.
+ */
+
+import crypto from 'crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+
+export class SnapshotMissError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotMissError';
+  }
+}
+
+/**
+ * Arguments as stored in a step: functions become their source, zod schemas
+ * and other class instances a placeholder
+ * @param {*} value - Argument
+ * @returns {*} JSON-compatible value
+ */
+export function normalizeArgument(value) {
+  if (typeof value === 'function') return `[function] ${value.toString()}`;
+  if (value === undefined) return null;
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(normalizeArgument);
+  if (value._def) return '[schema]';
+  if (Object.getPrototypeOf(value) !== Object.prototype) return `[${value.constructor?.name || 'object'}]`;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, entry]) => entry !== undefined)
+    .map(([name, entry]) => [name, normalizeArgument(entry)]));
+}
+
+/**
+ * Key of a page or agent call
+ * @param {string} target - 'page' or 'agent'
+ * @param {string} method - Method name ('goto', 'keyboard.press', 'execute', ...)
+ * @param {Array} args - Call arguments
+ * @returns {string} sha256 hex
+ */
+export function stepKey(target, method, args) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ target, method, args: normalizeArgument(args) }))
+    .digest('hex');
+}
+
+function readJsonl(filePath) {
+  if (!existsSync(filePath)) return [];
+  return readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => line.trim())
+    .map(({ line, index }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid snapshot line at ${filePath}:${index + 1}: ${error.message}`);
+      }
+    });
+}
+
+export class SnapshotStore {
+  /**
+   * @param {string} directory - Snapshot directory
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.stepsPath = path.join(directory, 'steps.jsonl');
+    this.networkPath = path.join(directory, 'network.jsonl');
+    this.domDirectory = path.join(directory, 'dom');
+    this.loaded = false;
+    this.nextId = 1;
+  }
+
+  /**
+   * Read the recorded steps and responses (replay)
+   * @returns {SnapshotStore} this
+   */
+  load() {
+    if (!existsSync(this.stepsPath)) {
+      throw new SnapshotMissError(`No browser snapshot at ${this.directory} (steps.jsonl missing); record one with BROWSER_SNAPSHOT_MODE=record`);
+    }
+    this.steps = readJsonl(this.stepsPath);
+    this.network = readJsonl(this.networkPath);
+    this.byKey = new Map();
+    this.steps.forEach(step => {
+      this.byKey.set(step.key, [...(this.byKey.get(step.key) || []), step]);
+    });
+    this.cursors = new Map();
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Next recorded step of a call. Once the recorded occurrences of a call are
+   * used up, the last one is repeated (polling loops, retried runs).
+   * @param {string} target - 'page' or 'agent'
+   * @param {string} method - Method name
+   * @param {Array} args - Call arguments
+   * @returns {Object} Step
+   */
+  nextStep(target, method, args) {
+    if (!this.loaded) this.load();
+    const key = stepKey(target, method, args);
+    const recorded = this.byKey.get(key);
+    if (!recorded) {
+      throw new SnapshotMissError(`No recorded ${target}.${method}(${JSON.stringify(normalizeArgument(args)).slice(1, -1).slice(0, 300)}) in ${this.directory}`);
+    }
+    const cursor = this.cursors.get(key) || 0;
+    this.cursors.set(key, cursor + 1);
+    return recorded[Math.min(cursor, recorded.length - 1)];
+  }
+
+  /**
+   * HTML stored for a step
+   * @param {Object} step - Step with a dom reference
+   * @returns {string|null}
+   */
+  readDom(step) {
+    if (!step?.dom) return null;
+    const filePath = path.join(this.directory, step.dom);
+    return existsSync(filePath) ? readFileSync(filePath, 'utf-8') : null;
+  }
+
+  /**
+   * Recorded responses of a URL, in recording order
+   * @param {string} url - Response URL
+   * @returns {Array<Object>}
+   */
+  responsesFor(url) {
+    if (!this.loaded) this.load();
+    return this.network.filter(response => response.url === url);
+  }
+
+  /**
+   * Append a step (record)
+   * @param {Object} step - { target, method, args, result, error, url, html }
+   * @returns {Object} The stored step
+   */
+  appendStep({ target, method, args, result = null, error = null, url = null, html = null }) {
+    mkdirSync(this.directory, { recursive: true });
+    if (this.nextId === 1 && existsSync(this.stepsPath)) {
+      this.nextId = readJsonl(this.stepsPath).length + 1;
+    }
+
+    let dom = null;
+    if (html !== null && html !== undefined) {
+      const hash = crypto.createHash('sha256').update(html).digest('hex').substring(0, 16);
+      dom = `dom/${hash}.html`;
+      mkdirSync(this.domDirectory, { recursive: true });
+      const domPath = path.join(this.directory, dom);
+      if (!existsSync(domPath)) {
+        writeFileSync(domPath, html);
+      }
+    }
+
+    const step = {
+      id: this.nextId++,
+      key: stepKey(target, method, args),
+      target,
+      method,
+      args: normalizeArgument(args),
+      result,
+      error,
+      url,
+      dom,
+      recordedAt: new Date().toISOString()
+    };
+    appendFileSync(this.stepsPath, `${JSON.stringify(step)}\n`);
+    return step;
+  }
+
+  /**
+   * Append a network response (record)
+   * @param {Object} response - { url, method, status, headers, resourceType, body, truncated }
+   */
+  appendResponse(response) {
+    mkdirSync(this.directory, { recursive: true });
+    appendFileSync(this.networkPath, `${JSON.stringify({ ...response, recordedAt: new Date().toISOString() })}\n`);
+  }
+}
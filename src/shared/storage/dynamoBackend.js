@@ -0,0 +1,54 @@
+/**
+ * DynamoDB Storage Backend
+ * Thin adapter from the storage interface onto the DynamoDB document client
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, UpdateCommand, GetCommand, QueryCommand, DeleteCommand, BatchWriteCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
+
+class DynamoStorageBackend {
+  constructor(options = {}) {
+    this.name = 'dynamodb';
+
+    const client = new DynamoDBClient({
+      region: options.region || process.env.AWS_REGION || 'us-east-1',
+      ...(options.endpoint && { endpoint: options.endpoint }),
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      }
+    });
+
+    this.docClient = DynamoDBDocumentClient.from(client);
+  }
+
+  async put(params) {
+    return this.docClient.send(new PutCommand(params));
+  }
+
+  async get(params) {
+    return this.docClient.send(new GetCommand(params));
+  }
+
+  async update(params) {
+    return this.docClient.send(new UpdateCommand(params));
+  }
+
+  async delete(params) {
+    return this.docClient.send(new DeleteCommand(params));
+  }
+
+  async query(params) {
+    return this.docClient.send(new QueryCommand(params));
+  }
+
+  async scan(params) {
+    return this.docClient.send(new ScanCommand(params));
+  }
+
+  async batchWrite(params) {
+    return this.docClient.send(new BatchWriteCommand(params));
+  }
+}
+
+export default DynamoStorageBackend;
@@ -0,0 +1,493 @@
+/**
+ * DynamoDB Expression Evaluator
+ * Evaluates the subset of DynamoDB condition and update expressions used by
+ * this project so the local storage backend behaves like the real table
+ */
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE']);
+
+/**
+ * Error raised when an expression cannot be parsed
+ */
+export class ExpressionError extends Error {
+  constructor(message, expression) {
+    super(`${message} in expression: ${expression}`);
+    this.name = 'ValidationException';
+  }
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Raw expression
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const twoChars = expression.slice(i, i + 2);
+    if (['<>', '<=', '>='].includes(twoChars)) {
+      tokens.push({ type: 'op', value: twoChars });
+      i += 2;
+      continue;
+    }
+
+    if ('=<>'.includes(char)) {
+      tokens.push({ type: 'op', value: char });
+      i++;
+      continue;
+    }
+
+    if ('(),.[]+-'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      i++;
+      continue;
+    }
+
+    const match = expression.slice(i).match(/^[:#]?[A-Za-z0-9_]+/);
+    if (!match) {
+      throw new ExpressionError(`Unexpected character '${char}'`, expression);
+    }
+
+    const word = match[0];
+    if (word.startsWith(':')) {
+      tokens.push({ type: 'value', value: word });
+    } else if (word.startsWith('#')) {
+      tokens.push({ type: 'name', value: word });
+    } else if (/^\d+$/.test(word)) {
+      tokens.push({ type: 'number', value: parseInt(word, 10) });
+    } else if (KEYWORDS.has(word.toUpperCase())) {
+      tokens.push({ type: 'keyword', value: word.toUpperCase() });
+    } else {
+      tokens.push({ type: 'ident', value: word });
+    }
+    i += word.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over a token list
+ */
+class Parser {
+  constructor(expression, names = {}, values = {}) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+    this.names = names;
+    this.values = values;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isAt(type, value) {
+    const token = this.peek();
+    return !!token && token.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+      throw new ExpressionError(`Expected ${value || type}`, this.expression);
+    }
+    return token;
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  // path := name ('.' name | '[' number ']')*
+  parsePath() {
+    const segments = [this.parsePathName()];
+
+    while (this.isAt('punct', '.') || this.isAt('punct', '[')) {
+      if (this.next().value === '.') {
+        segments.push(this.parsePathName());
+      } else {
+        segments.push(this.expect('number').value);
+        this.expect('punct', ']');
+      }
+    }
+
+    return { kind: 'path', segments };
+  }
+
+  parsePathName() {
+    const token = this.next();
+    if (token?.type === 'ident') {
+      return token.value;
+    }
+    if (token?.type === 'name') {
+      if (!(token.value in this.names)) {
+        throw new ExpressionError(`Undefined attribute name ${token.value}`, this.expression);
+      }
+      return this.names[token.value];
+    }
+    throw new ExpressionError('Expected attribute path', this.expression);
+  }
+
+  // operand := :value | size(path) | if_not_exists(path, operand) | list_append(operand, operand) | path
+  parseOperand() {
+    const token = this.peek();
+
+    if (token?.type === 'value') {
+      this.next();
+      if (!(token.value in this.values)) {
+        throw new ExpressionError(`Undefined attribute value ${token.value}`, this.expression);
+      }
+      return { kind: 'literal', value: this.values[token.value] };
+    }
+
+    if (token?.type === 'ident' && this.peek(1)?.value === '(') {
+      const fn = token.value;
+      this.next();
+      this.expect('punct', '(');
+      const args = [this.parseOperand()];
+      while (this.isAt('punct', ',')) {
+        this.next();
+        args.push(this.parseOperand());
+      }
+      this.expect('punct', ')');
+      return { kind: 'function', fn, args };
+    }
+
+    return this.parsePath();
+  }
+
+  // condition := and (OR and)*
+  parseCondition() {
+    let left = this.parseAnd();
+    while (this.isAt('keyword', 'OR')) {
+      this.next();
+      left = { kind: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isAt('keyword', 'AND')) {
+      this.next();
+      left = { kind: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isAt('keyword', 'NOT')) {
+      this.next();
+      return { kind: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    if (this.isAt('punct', '(')) {
+      this.next();
+      const inner = this.parseCondition();
+      this.expect('punct', ')');
+      return inner;
+    }
+
+    const operand = this.parseOperand();
+
+    // Boolean functions stand on their own
+    if (operand.kind === 'function' && ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'].includes(operand.fn)) {
+      return { kind: 'call', fn: operand.fn, args: operand.args };
+    }
+
+    if (this.isAt('op')) {
+      const op = this.next().value;
+      return { kind: 'compare', op, left: operand, right: this.parseOperand() };
+    }
+
+    if (this.isAt('keyword', 'BETWEEN')) {
+      this.next();
+      const low = this.parseOperand();
+      this.expect('keyword', 'AND');
+      return { kind: 'between', operand, low, high: this.parseOperand() };
+    }
+
+    if (this.isAt('keyword', 'IN')) {
+      this.next();
+      this.expect('punct', '(');
+      const candidates = [this.parseOperand()];
+      while (this.isAt('punct', ',')) {
+        this.next();
+        candidates.push(this.parseOperand());
+      }
+      this.expect('punct', ')');
+      return { kind: 'in', operand, candidates };
+    }
+
+    throw new ExpressionError('Expected comparison', this.expression);
+  }
+
+  // value := operand (('+' | '-') operand)?
+  parseSetValue() {
+    const left = this.parseOperand();
+    if (this.isAt('punct', '+') || this.isAt('punct', '-')) {
+      const op = this.next().value;
+      return { kind: 'arithmetic', op, left, right: this.parseOperand() };
+    }
+    return left;
+  }
+
+  parseUpdateAction(clause) {
+    const path = this.parsePath();
+    if (clause === 'SET') {
+      this.expect('op', '=');
+      return { clause, path, value: this.parseSetValue() };
+    }
+    if (clause === 'REMOVE') {
+      return { clause, path };
+    }
+    return { clause, path, value: this.parseOperand() };
+  }
+
+  // update := (SET|REMOVE|ADD|DELETE) action (',' action)* ...
+  parseUpdate() {
+    const actions = [];
+
+    while (!this.done()) {
+      const clause = this.expect('keyword').value;
+      if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause)) {
+        throw new ExpressionError(`Unexpected keyword ${clause}`, this.expression);
+      }
+
+      actions.push(this.parseUpdateAction(clause));
+      while (this.isAt('punct', ',')) {
+        this.next();
+        actions.push(this.parseUpdateAction(clause));
+      }
+    }
+
+    return actions;
+  }
+}
+
+/**
+ * Read the value at a parsed path
+ */
+function resolvePath(item, segments) {
+  let current = item;
+  for (const segment of segments) {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Write a value at a parsed path, creating intermediate maps as needed
+ */
+function assignPath(item, segments, value) {
+  let current = item;
+  segments.slice(0, -1).forEach((segment, index) => {
+    if (current[segment] === undefined || current[segment] === null) {
+      current[segment] = typeof segments[index + 1] === 'number' ? [] : {};
+    }
+    current = current[segment];
+  });
+  current[segments[segments.length - 1]] = value;
+}
+
+function removePath(item, segments) {
+  const parent = resolvePath(item, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent) && typeof last === 'number') {
+    parent.splice(last, 1);
+  } else if (parent && typeof parent === 'object') {
+    delete parent[last];
+  }
+}
+
+function evaluateOperand(node, item) {
+  switch (node.kind) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return resolvePath(item, node.segments);
+    case 'arithmetic': {
+      const left = evaluateOperand(node.left, item);
+      const right = evaluateOperand(node.right, item);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw Object.assign(new Error('An operand in the update expression has an incorrect data type'), { name: 'ValidationException' });
+      }
+      return node.op === '+' ? left + right : left - right;
+    }
+    case 'function': {
+      if (node.fn === 'size') {
+        const value = evaluateOperand(node.args[0], item);
+        if (typeof value === 'string' || Array.isArray(value)) return value.length;
+        if (value && typeof value === 'object') return Object.keys(value).length;
+        return undefined;
+      }
+      if (node.fn === 'if_not_exists') {
+        const existing = evaluateOperand(node.args[0], item);
+        return existing === undefined ? evaluateOperand(node.args[1], item) : existing;
+      }
+      if (node.fn === 'list_append') {
+        const first = evaluateOperand(node.args[0], item) || [];
+        const second = evaluateOperand(node.args[1], item) || [];
+        return [...first, ...second];
+      }
+      throw Object.assign(new Error(`Unsupported function: ${node.fn}`), { name: 'ValidationException' });
+    }
+    default:
+      throw Object.assign(new Error(`Unsupported operand: ${node.kind}`), { name: 'ValidationException' });
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'NULL';
+  if (Array.isArray(value)) return 'L';
+  if (typeof value === 'string') return 'S';
+  if (typeof value === 'number') return 'N';
+  if (typeof value === 'boolean') return 'BOOL';
+  if (typeof value === 'object') return 'M';
+  return undefined;
+}
+
+function compare(op, left, right) {
+  // DynamoDB comparisons never match missing attributes or mismatched types
+  if (left === undefined || right === undefined) {
+    return op === '<>' && !(left === undefined && right === undefined);
+  }
+  if (op === '=') return JSON.stringify(left) === JSON.stringify(right);
+  if (op === '<>') return JSON.stringify(left) !== JSON.stringify(right);
+  if (typeof left !== typeof right) return false;
+  if (op === '<') return left < right;
+  if (op === '<=') return left <= right;
+  if (op === '>') return left > right;
+  if (op === '>=') return left >= right;
+  return false;
+}
+
+function evaluateCondition(node, item) {
+  switch (node.kind) {
+    case 'or':
+      return evaluateCondition(node.left, item) || evaluateCondition(node.right, item);
+    case 'and':
+      return evaluateCondition(node.left, item) && evaluateCondition(node.right, item);
+    case 'not':
+      return !evaluateCondition(node.operand, item);
+    case 'compare':
+      return compare(node.op, evaluateOperand(node.left, item), evaluateOperand(node.right, item));
+    case 'between': {
+      const value = evaluateOperand(node.operand, item);
+      return compare('>=', value, evaluateOperand(node.low, item)) && compare('<=', value, evaluateOperand(node.high, item));
+    }
+    case 'in': {
+      const value = evaluateOperand(node.operand, item);
+      return node.candidates.some(candidate => compare('=', value, evaluateOperand(candidate, item)));
+    }
+    case 'call': {
+      const [first, second] = node.args;
+      const value = evaluateOperand(first, item);
+      switch (node.fn) {
+        case 'attribute_exists':
+          return value !== undefined;
+        case 'attribute_not_exists':
+          return value === undefined;
+        case 'attribute_type':
+          return typeOf(value) === evaluateOperand(second, item);
+        case 'begins_with': {
+          const prefix = evaluateOperand(second, item);
+          return typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix);
+        }
+        case 'contains': {
+          const needle = evaluateOperand(second, item);
+          if (typeof value === 'string') return typeof needle === 'string' && value.includes(needle);
+          if (Array.isArray(value)) return value.some(entry => JSON.stringify(entry) === JSON.stringify(needle));
+          return false;
+        }
+        default:
+          return false;
+      }
+    }
+    default:
+      throw Object.assign(new Error(`Unsupported condition: ${node.kind}`), { name: 'ValidationException' });
+  }
+}
+
+/**
+ * Compile a condition expression (FilterExpression, ConditionExpression, KeyConditionExpression)
+ * @param {string} expression - Expression text
+ * @param {Object} names - ExpressionAttributeNames
+ * @param {Object} values - ExpressionAttributeValues
+ * @returns {Function} Predicate taking an item (or undefined) and returning a boolean
+ */
+export function compileCondition(expression, names = {}, values = {}) {
+  if (!expression) {
+    return () => true;
+  }
+
+  const parser = new Parser(expression, names, values);
+  const tree = parser.parseCondition();
+  if (!parser.done()) {
+    throw new ExpressionError('Unexpected trailing tokens', expression);
+  }
+
+  return (item) => evaluateCondition(tree, item || {});
+}
+
+/**
+ * Apply an update expression to a copy of an item
+ * @param {Object} item - Existing item (already a copy)
+ * @param {string} expression - UpdateExpression text
+ * @param {Object} names - ExpressionAttributeNames
+ * @param {Object} values - ExpressionAttributeValues
+ * @returns {Object} Updated item
+ */
+export function applyUpdate(item, expression, names = {}, values = {}) {
+  const parser = new Parser(expression, names, values);
+  const actions = parser.parseUpdate();
+
+  // Every right-hand side reads the item as it was before the update
+  const original = JSON.parse(JSON.stringify(item));
+  const assignments = actions.map(action => ({
+    ...action,
+    resolved: action.value ? evaluateOperand(action.value, original) : undefined
+  }));
+
+  for (const action of assignments) {
+    if (action.clause === 'SET') {
+      assignPath(item, action.path.segments, action.resolved);
+    } else if (action.clause === 'REMOVE') {
+      removePath(item, action.path.segments);
+    } else if (action.clause === 'ADD') {
+      const current = resolvePath(original, action.path.segments);
+      if (Array.isArray(action.resolved)) {
+        const merged = [...(current || [])];
+        action.resolved.forEach(entry => { if (!merged.includes(entry)) merged.push(entry); });
+        assignPath(item, action.path.segments, merged);
+      } else {
+        assignPath(item, action.path.segments, (current || 0) + action.resolved);
+      }
+    } else if (action.clause === 'DELETE') {
+      const current = resolvePath(original, action.path.segments) || [];
+      assignPath(item, action.path.segments, current.filter(entry => !action.resolved.includes(entry)));
+    }
+  }
+
+  return item;
+}
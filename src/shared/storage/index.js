@@ -0,0 +1,70 @@
+/**
+ * Storage
+ * Selects the storage backend behind the dynamoDB.js helpers.
+ *
+ * Every backend implements the same DynamoDB-shaped interface:
+ *   put, get, update, delete, query, scan, batchWrite
+ * taking the same params as the matching document client command and
+ * resolving to the same output shape. Conditional failures are thrown as
+ * errors named 'ConditionalCheckFailedException' by every backend.
+ *
+ * STORAGE_BACKEND=dynamodb (default) | local
+ * LOCAL_STORAGE_DIR=./data/local-db | :memory:
+ */
+
+import { config } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+import DynamoStorageBackend from './dynamoBackend.js';
+import LocalStorageBackend from './localBackend.js';
+
+export { registerTable, getTableSchema, JOB_STATUS_INDEX, RUNS_TABLE, RUN_TYPE_INDEX, RUN_STATUS_INDEX,
+  WEBHOOKS_TABLE, WEBHOOK_DELIVERIES_TABLE, WEBHOOK_DELIVERY_INDEX, API_KEYS_TABLE, LLM_USAGE_TABLE, URL_TEMPLATES_TABLE, COMPANIES_TABLE } from './tables.js';
+export { MEMORY_DIRECTORY } from './localBackend.js';
+
+let activeBackend = null;
+
+/**
+ * Create a storage backend
+ * @param {string} type - 'dynamodb' or 'local'
+ * @param {Object} options - Backend options (local: directory; dynamodb: region, endpoint)
+ * @returns {Object} Storage backend
+ */
+export function createStorageBackend(type = config.storage.backend, options = {}) {
+  switch (type) {
+    case 'local':
+      return new LocalStorageBackend({ directory: config.storage.localDir, ...options });
+    case 'dynamodb':
+      return new DynamoStorageBackend({ endpoint: config.storage.dynamoEndpoint, ...options });
+    default:
+      throw new Error(`Unknown storage backend: ${type}`);
+  }
+}
+
+/**
+ * Get the configured storage backend (created on first use)
+ * @returns {Object} Storage backend
+ */
+export function getStorageBackend() {
+  if (!activeBackend) {
+    activeBackend = createStorageBackend();
+    logger.info(`Storage backend: ${activeBackend.name}${activeBackend.directory ? ` (${activeBackend.directory})` : ''}`);
+  }
+  return activeBackend;
+}
+
+/**
+ * Replace the active storage backend (tests, scripts)
+ * @param {Object} backend - Storage backend instance
+ */
+export function setStorageBackend(backend) {
+  activeBackend = backend;
+}
+
+/**
+ * Check whether an error is a failed ConditionExpression
+ * @param {Error} error - Error thrown by a backend
+ * @returns {boolean} True when the write was rejected by its condition
+ */
+export function isConditionalCheckFailed(error) {
+  return error?.name === 'ConditionalCheckFailedException';
+}
@@ -0,0 +1,316 @@
+/**
+ * Local Storage Backend
+ * Embedded, file-backed table store with DynamoDB semantics (conditional writes,
+ * update expressions, filter/key conditions, Limit/ExclusiveStartKey paging).
+ * Each table is persisted as one JSON file under the configured directory; the
+ * special directory ':memory:' keeps everything in process for tests.
+ *
+ * Reads and writes are synchronous inside each call so a conditional write can
+ * never interleave with another write from the same process. Sharing one
+ * directory between several processes is not supported.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import path from 'path';
+import { compileCondition, applyUpdate } from './expressions.js';
+import { getTableSchema } from './tables.js';
+
+export const MEMORY_DIRECTORY = ':memory:';
+
+/**
+ * Build the error DynamoDB returns when a ConditionExpression is not met
+ */
+function conditionalCheckFailed() {
+  const error = new Error('The conditional request failed');
+  error.name = 'ConditionalCheckFailedException';
+  return error;
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationException';
+  return error;
+}
+
+/**
+ * Copy an item the way marshalling would (drops undefined, functions, class instances)
+ */
+function copy(item) {
+  return item === undefined ? undefined : JSON.parse(JSON.stringify(item));
+}
+
+/**
+ * Order two key values the way DynamoDB orders sort keys
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+class LocalStorageBackend {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.directory = options.directory || MEMORY_DIRECTORY;
+    this.tables = new Map();
+
+    if (this.directory !== MEMORY_DIRECTORY && !existsSync(this.directory)) {
+      mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  /**
+   * Load a table into memory (lazily, once)
+   * @param {string} tableName - Table name
+   * @returns {Map<string, Object>} Items keyed by their primary key
+   */
+  table(tableName) {
+    if (!this.tables.has(tableName)) {
+      const items = new Map();
+      const filePath = this.tablePath(tableName);
+
+      if (filePath && existsSync(filePath)) {
+        const stored = JSON.parse(readFileSync(filePath, 'utf-8'));
+        for (const item of stored.items || []) {
+          items.set(this.keyString(tableName, item), item);
+        }
+      }
+
+      this.tables.set(tableName, items);
+    }
+
+    return this.tables.get(tableName);
+  }
+
+  tablePath(tableName) {
+    if (this.directory === MEMORY_DIRECTORY) {
+      return null;
+    }
+    return path.join(this.directory, `${tableName.replace(/[^A-Za-z0-9_.-]/g, '_')}.json`);
+  }
+
+  /**
+   * Write a table back to disk (atomic rename so a crash never leaves half a file)
+   */
+  persist(tableName) {
+    const filePath = this.tablePath(tableName);
+    if (!filePath) {
+      return;
+    }
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const items = Array.from(this.table(tableName).values());
+    writeFileSync(tempPath, JSON.stringify({ table: tableName, items }, null, 2));
+    renameSync(tempPath, filePath);
+  }
+
+  keyString(tableName, keySource) {
+    const { partitionKey, sortKey } = getTableSchema(tableName);
+    const key = [keySource[partitionKey]];
+    if (sortKey) {
+      key.push(keySource[sortKey]);
+    }
+    return JSON.stringify(key);
+  }
+
+  /**
+   * Validate a Key parameter against the table schema
+   */
+  checkKey(tableName, key) {
+    const { partitionKey, sortKey } = getTableSchema(tableName, key);
+    const expected = sortKey ? [partitionKey, sortKey] : [partitionKey];
+
+    if (!key || expected.some(field => key[field] === undefined) || Object.keys(key).length !== expected.length) {
+      throw validationError('The provided key element does not match the schema');
+    }
+  }
+
+  checkCondition(params, existing) {
+    if (!params.ConditionExpression) {
+      return;
+    }
+
+    const condition = compileCondition(params.ConditionExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+    if (!condition(existing)) {
+      throw conditionalCheckFailed();
+    }
+  }
+
+  async put(params) {
+    const { TableName, Item } = params;
+    const { partitionKey, sortKey } = getTableSchema(TableName);
+
+    if (Item?.[partitionKey] === undefined || (sortKey && Item[sortKey] === undefined)) {
+      throw validationError(`One or more parameter values were invalid: Missing the key ${partitionKey} in the item`);
+    }
+
+    const items = this.table(TableName);
+    const keyString = this.keyString(TableName, Item);
+    const existing = items.get(keyString);
+
+    this.checkCondition(params, existing);
+
+    items.set(keyString, copy(Item));
+    this.persist(TableName);
+
+    return params.ReturnValues === 'ALL_OLD' ? { Attributes: copy(existing) } : {};
+  }
+
+  async get(params) {
+    const { TableName, Key } = params;
+    this.checkKey(TableName, Key);
+
+    return { Item: copy(this.table(TableName).get(this.keyString(TableName, Key))) };
+  }
+
+  async update(params) {
+    const { TableName, Key, UpdateExpression, ExpressionAttributeNames, ExpressionAttributeValues, ReturnValues = 'NONE' } = params;
+    this.checkKey(TableName, Key);
+
+    const items = this.table(TableName);
+    const keyString = this.keyString(TableName, Key);
+    const existing = items.get(keyString);
+
+    this.checkCondition(params, existing);
+
+    const updated = applyUpdate(copy(existing) || copy(Key), UpdateExpression, ExpressionAttributeNames, ExpressionAttributeValues);
+
+    for (const field of Object.keys(Key)) {
+      if (JSON.stringify(updated[field]) !== JSON.stringify(Key[field])) {
+        throw validationError(`One or more parameter values were invalid: Cannot update attribute ${field}. This attribute is part of the key`);
+      }
+    }
+
+    items.set(keyString, copy(updated));
+    this.persist(TableName);
+
+    if (ReturnValues === 'ALL_NEW' || ReturnValues === 'UPDATED_NEW') {
+      return { Attributes: copy(updated) };
+    }
+    if (ReturnValues === 'ALL_OLD' || ReturnValues === 'UPDATED_OLD') {
+      return { Attributes: copy(existing) };
+    }
+    return {};
+  }
+
+  async delete(params) {
+    const { TableName, Key } = params;
+    this.checkKey(TableName, Key);
+
+    const items = this.table(TableName);
+    const keyString = this.keyString(TableName, Key);
+    const existing = items.get(keyString);
+
+    this.checkCondition(params, existing);
+
+    if (existing) {
+      items.delete(keyString);
+      this.persist(TableName);
+    }
+
+    return params.ReturnValues === 'ALL_OLD' ? { Attributes: copy(existing) } : {};
+  }
+
+  /**
+   * Order items by (sort key, table key) so pagination is stable
+   */
+  orderedItems(tableName, indexName = null) {
+    const schema = getTableSchema(tableName);
+    const index = indexName ? schema.indexes[indexName] : null;
+
+    if (indexName && !index) {
+      throw validationError(`The table does not have the specified index: ${indexName}`);
+    }
+
+    const keyFields = [
+      ...(index ? [index.partitionKey, index.sortKey] : []),
+      schema.sortKey,
+      schema.partitionKey
+    ].filter(Boolean);
+
+    const items = Array.from(this.table(tableName).values())
+      // Secondary indexes are sparse: items without the index keys are not in them
+      .filter(item => !index || (item[index.partitionKey] !== undefined && (!index.sortKey || item[index.sortKey] !== undefined)));
+
+    const compareItems = (a, b) => {
+      for (const field of keyFields) {
+        const result = compareValues(a[field], b[field]);
+        if (result !== 0) return result;
+      }
+      return 0;
+    };
+
+    return { items: items.sort(compareItems), compareItems, keyFields, index };
+  }
+
+  /**
+   * Shared implementation of Query and Scan
+   */
+  read(params, keyCondition) {
+    const { TableName, IndexName, FilterExpression, ExpressionAttributeNames, ExpressionAttributeValues, Limit, ExclusiveStartKey, ScanIndexForward = true, Select } = params;
+    const { items, compareItems, keyFields } = this.orderedItems(TableName, IndexName);
+
+    let candidates = items.filter(keyCondition);
+    if (!ScanIndexForward) {
+      candidates = candidates.reverse();
+    }
+
+    if (ExclusiveStartKey) {
+      const direction = ScanIndexForward ? 1 : -1;
+      candidates = candidates.filter(item => compareItems(item, ExclusiveStartKey) * direction > 0);
+    }
+
+    // Like DynamoDB, Limit caps the items evaluated, before the filter runs
+    const evaluated = Limit ? candidates.slice(0, Limit) : candidates;
+    const filter = compileCondition(FilterExpression, ExpressionAttributeNames, ExpressionAttributeValues);
+    const matched = evaluated.filter(filter);
+
+    const result = {
+      Count: matched.length,
+      ScannedCount: evaluated.length
+    };
+
+    if (Select !== 'COUNT') {
+      result.Items = matched.map(copy);
+    }
+
+    if (Limit && candidates.length > Limit) {
+      const last = evaluated[evaluated.length - 1];
+      result.LastEvaluatedKey = Object.fromEntries(keyFields.map(field => [field, last[field]]));
+    }
+
+    return result;
+  }
+
+  async query(params) {
+    const { KeyConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues } = params;
+
+    if (!KeyConditionExpression) {
+      throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified in the request');
+    }
+
+    return this.read(params, compileCondition(KeyConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues));
+  }
+
+  async scan(params) {
+    return this.read(params, () => true);
+  }
+
+  async batchWrite(params) {
+    for (const [tableName, requests] of Object.entries(params.RequestItems || {})) {
+      for (const request of requests) {
+        if (request.PutRequest) {
+          await this.put({ TableName: tableName, Item: request.PutRequest.Item });
+        } else if (request.DeleteRequest) {
+          await this.delete({ TableName: tableName, Key: request.DeleteRequest.Key });
+        }
+      }
+    }
+
+    return { UnprocessedItems: {} };
+  }
+}
+
+export default LocalStorageBackend;
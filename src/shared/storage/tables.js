@@ -0,0 +1,113 @@
+/**
+ * Table Schemas
+ * Key schema for each table so the local backend can address items the same
+ * way DynamoDB does. DynamoDB itself owns the real schema; this mirrors it.
+ */
+
+const tableSchemas = new Map();
+
+/**
+ * GSI on job_descriptions: status (partition) + createdAt (sort).
+ * Lets consumers read "the N oldest jobs in status X" without a table scan.
+ */
+export const JOB_STATUS_INDEX = process.env.DYNAMODB_STATUS_INDEX || 'status-createdAt-index';
+
+const jobDescriptionsSchema = {
+  partitionKey: 'jd_id',
+  indexes: {
+    [JOB_STATUS_INDEX]: { partitionKey: 'status', sortKey: 'createdAt' }
+  }
+};
+
+/**
+ * Run records for long API operations (see src/shared/utils/runManager.js),
+ * listable by type or status, newest first.
+ */
+export const RUNS_TABLE = process.env.RUNS_TABLE || 'workflow_runs';
+export const RUN_TYPE_INDEX = 'type-createdAt-index';
+export const RUN_STATUS_INDEX = 'status-createdAt-index';
+
+/**
+ * Webhook subscriptions and their delivery log (see src/shared/utils/webhooks.js).
+ * Deliveries are listable per subscription, newest first.
+ */
+export const WEBHOOKS_TABLE = process.env.WEBHOOKS_TABLE || 'webhook_subscriptions';
+export const WEBHOOK_DELIVERIES_TABLE = process.env.WEBHOOK_DELIVERIES_TABLE || 'webhook_deliveries';
+export const WEBHOOK_DELIVERY_INDEX = 'webhook-createdAt-index';
+
+/**
+ * API keys (see src/shared/utils/apiKeys.js). Only a hash of each key's secret is stored.
+ */
+export const API_KEYS_TABLE = process.env.API_KEYS_TABLE || 'api_keys';
+
+/**
+ * LLM usage ledger (see src/shared/utils/llmUsage.js): one item per LLM call
+ * plus a running 'total' item, partitioned by UTC day.
+ */
+export const LLM_USAGE_TABLE = process.env.LLM_USAGE_TABLE || 'llm_usage';
+
+/**
+ * Search URL templates derived by the career discovery filter analyzer
+ * (see src/shared/utils/urlTemplate.js), one per company.
+ */
+export const URL_TEMPLATES_TABLE = process.env.URL_TEMPLATES_TABLE || 'url_templates';
+
+/**
+ * Companies career discovery works through (see src/shared/utils/companyRegistry.js)
+ */
+export const COMPANIES_TABLE = process.env.COMPANIES_TABLE || 'companies';
+
+/**
+ * Register (or replace) the key schema of a table
+ * @param {string} tableName - Table name
+ * @param {Object} schema - { partitionKey, sortKey?, indexes?: { [indexName]: { partitionKey, sortKey? } } }
+ */
+export function registerTable(tableName, schema) {
+  tableSchemas.set(tableName, {
+    partitionKey: schema.partitionKey,
+    sortKey: schema.sortKey || null,
+    indexes: { ...(tableSchemas.get(tableName)?.indexes || {}), ...(schema.indexes || {}) }
+  });
+}
+
+/**
+ * Get the key schema of a table
+ * @param {string} tableName - Table name
+ * @param {Object} key - Optional key object used to learn the schema of unregistered tables
+ * @returns {Object} Table schema
+ */
+export function getTableSchema(tableName, key = null) {
+  if (!tableSchemas.has(tableName) && key) {
+    const [partitionKey, sortKey] = Object.keys(key);
+    registerTable(tableName, { partitionKey, sortKey });
+  }
+
+  return tableSchemas.get(tableName) || { partitionKey: 'id', sortKey: null, indexes: {} };
+}
+
+// Tables used across the workflows
+registerTable('job_descriptions', jobDescriptionsSchema);
+registerTable('user_profiles', { partitionKey: 'id' });
+registerTable('application_data', { partitionKey: 'id' });
+registerTable(RUNS_TABLE, {
+  partitionKey: 'run_id',
+  indexes: {
+    [RUN_TYPE_INDEX]: { partitionKey: 'type', sortKey: 'createdAt' },
+    [RUN_STATUS_INDEX]: { partitionKey: 'status', sortKey: 'createdAt' }
+  }
+});
+registerTable(WEBHOOKS_TABLE, { partitionKey: 'webhook_id' });
+registerTable(API_KEYS_TABLE, { partitionKey: 'key_id' });
+registerTable(LLM_USAGE_TABLE, { partitionKey: 'day', sortKey: 'entry_id' });
+registerTable(URL_TEMPLATES_TABLE, { partitionKey: 'template_id' });
+registerTable(COMPANIES_TABLE, { partitionKey: 'company_id' });
+registerTable(WEBHOOK_DELIVERIES_TABLE, {
+  partitionKey: 'delivery_id',
+  indexes: {
+    [WEBHOOK_DELIVERY_INDEX]: { partitionKey: 'webhook_id', sortKey: 'createdAt' }
+  }
+});
+
+if (process.env.DYNAMODB_TABLE && process.env.DYNAMODB_TABLE !== 'job_descriptions') {
+  registerTable(process.env.DYNAMODB_TABLE, jobDescriptionsSchema);
+}
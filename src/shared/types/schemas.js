@@ -82,6 +82,7 @@ export const jobApplicationInputSchema = z.object({
   jobUrl: z.string().url("Valid job URL is required"),
   candidateData: candidateProfileSchema,
   resumeId: z.string().optional(), // S3 resume ID for resume upload
+  jdId: z.string().optional(), // job_descriptions record to move through applying -> applied/application_failed
   jobDescription: z.object({
     title: z.string().optional(),
     company: z.string().optional(),
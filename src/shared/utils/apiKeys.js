@@ -0,0 +1,266 @@
+/**
+ * API Keys
+ * Store of the keys accepted by the API, their scopes and request rate limits.
+ *
+ * A key is `${key_id}.${secret}`. Only the SHA-256 of the secret is stored, so
+ * a key is shown once, when it is created, and cannot be recovered afterwards.
+ * Secrets are 192 random bits, which is why a fast hash is enough here.
+ *
+ * Keys listed in VALID_API_KEYS are accepted with the scopes written after them
+ * (`key=admin`, `key=jobs:read+discovery:trigger`), which is how the first
+ * stored key is created. Entries without scopes only get jobs:read.
+ *
+ * Rate limit windows and last-used throttling live in this process; with
+ * several API processes each one enforces the limit on its own.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/environment.js';
+import { getStorageBackend, isConditionalCheckFailed, API_KEYS_TABLE } from '../storage/index.js';
+import { getItem, scanAllItems } from './dynamoDB.js';
+import { logger } from './logger.js';
+
+export const API_KEY_SCOPES = Object.freeze({
+  JOBS_READ: 'jobs:read',
+  DISCOVERY_TRIGGER: 'discovery:trigger',
+  APPLICATIONS_WRITE: 'applications:write',
+  ADMIN: 'admin'
+});
+
+export const API_KEY_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  REVOKED: 'revoked'
+});
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// key_id -> { windowStart, count }
+const rateLimitWindows = new Map();
+
+// key_id -> time lastUsedAt was last written
+const lastUsedWrites = new Map();
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function hashesMatch(expectedHex, actualHex) {
+  const expected = Buffer.from(expectedHex, 'hex');
+  const actual = Buffer.from(actualHex, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Scopes of VALID_API_KEYS entries written without any
+const LEGACY_ENVIRONMENT_SCOPES = Object.freeze([API_KEY_SCOPES.JOBS_READ]);
+
+/**
+ * Keys from VALID_API_KEYS (`key` or `key=scope+scope`), as key records.
+ * Unknown scopes are dropped; an entry left without scopes gets the legacy ones.
+ */
+function environmentKeys() {
+  const entries = process.env.VALID_API_KEYS?.split(',').map(entry => entry.trim()).filter(Boolean) || [];
+  const knownScopes = Object.values(API_KEY_SCOPES);
+
+  return entries.map((entry, index) => {
+    // Trailing '=' is base64 padding of the key, not a scope list
+    const [, key, scopeList = ''] = entry.match(/^(.+?)(?:=([^=]+))?$/);
+    const scopes = scopeList.split('+').map(scope => scope.trim()).filter(scope => knownScopes.includes(scope));
+
+    return {
+      key_id: `env_${index + 1}`,
+      name: 'VALID_API_KEYS',
+      key_hash: hashSecret(key),
+      scopes: scopes.length > 0 ? scopes : [...LEGACY_ENVIRONMENT_SCOPES],
+      rateLimitPerMinute: config.apiKeys.defaultRateLimitPerMinute,
+      status: API_KEY_STATUS.ACTIVE,
+      source: 'environment'
+    };
+  });
+}
+
+/**
+ * Key record without its hash, for API responses
+ */
+export function toPublicApiKey(apiKey) {
+  if (!apiKey) return apiKey;
+  const { key_hash, ...publicFields } = apiKey;
+  return publicFields;
+}
+
+/**
+ * Whether a set of scopes grants a scope (admin grants every scope)
+ * @param {Array<string>} scopes - Scopes of a key
+ * @param {string} scope - Required scope
+ * @returns {boolean}
+ */
+export function hasScope(scopes, scope) {
+  return Array.isArray(scopes) && (scopes.includes(scope) || scopes.includes(API_KEY_SCOPES.ADMIN));
+}
+
+/**
+ * Create a key
+ * @param {Object} input - { name, scopes, rateLimitPerMinute?, expiresAt?, createdBy? }
+ * @returns {Promise<Object>} Key record with `key`, the only time the full key is returned
+ */
+export async function createApiKey({ name, scopes, rateLimitPerMinute = null, expiresAt = null, createdBy = null }) {
+  const keyId = `ak_${crypto.randomBytes(8).toString('hex')}`;
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const apiKey = {
+    key_id: keyId,
+    name,
+    key_hash: hashSecret(secret),
+    scopes: [...new Set(scopes)],
+    rateLimitPerMinute: rateLimitPerMinute || config.apiKeys.defaultRateLimitPerMinute,
+    status: API_KEY_STATUS.ACTIVE,
+    expiresAt,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  await getStorageBackend().put({
+    TableName: API_KEYS_TABLE,
+    Item: apiKey,
+    ConditionExpression: 'attribute_not_exists(key_id)'
+  });
+
+  logger.info(`API keys: created ${keyId} (${name}) with scopes ${apiKey.scopes.join(', ')}`);
+  return { ...toPublicApiKey(apiKey), key: `${keyId}.${secret}` };
+}
+
+/**
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object|null>} Key record, including its hash
+ */
+export async function getApiKey(keyId) {
+  return (await getItem(API_KEYS_TABLE, { key_id: keyId })) || null;
+}
+
+/**
+ * @returns {Promise<Array<Object>>} All stored keys, oldest first
+ */
+export async function listApiKeys() {
+  const apiKeys = await scanAllItems(API_KEYS_TABLE);
+  return apiKeys.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+/**
+ * Revoke a key; the record is kept for auditing
+ * @param {string} keyId - Key ID
+ * @param {Object} options - { revokedBy }
+ * @returns {Promise<Object|null>} Revoked key, or null if it does not exist
+ */
+export async function revokeApiKey(keyId, { revokedBy = null } = {}) {
+  try {
+    const { Attributes } = await getStorageBackend().update({
+      TableName: API_KEYS_TABLE,
+      Key: { key_id: keyId },
+      UpdateExpression: 'SET #status = :revoked, revokedAt = if_not_exists(revokedAt, :now), revokedBy = :revokedBy',
+      ConditionExpression: 'attribute_exists(key_id)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':revoked': API_KEY_STATUS.REVOKED, ':now': new Date().toISOString(), ':revokedBy': revokedBy },
+      ReturnValues: 'ALL_NEW'
+    });
+    rateLimitWindows.delete(keyId);
+    lastUsedWrites.delete(keyId);
+    logger.info(`API keys: revoked ${keyId}`);
+    return Attributes;
+  } catch (error) {
+    if (isConditionalCheckFailed(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the active key a request presents
+ * @param {string} presentedKey - Value of X-API-Key or the bearer token
+ * @returns {Promise<Object|null>} Key record, or null when unknown, revoked or expired
+ */
+export async function authenticateApiKey(presentedKey) {
+  if (!presentedKey) {
+    return null;
+  }
+
+  const presentedHash = hashSecret(presentedKey);
+  const environmentKey = environmentKeys().find(apiKey => hashesMatch(apiKey.key_hash, presentedHash));
+  if (environmentKey) {
+    return environmentKey;
+  }
+
+  const separator = presentedKey.indexOf('.');
+  if (!presentedKey.startsWith('ak_') || separator === -1) {
+    return null;
+  }
+
+  const apiKey = await getApiKey(presentedKey.slice(0, separator));
+  if (!apiKey || !hashesMatch(apiKey.key_hash, hashSecret(presentedKey.slice(separator + 1)))) {
+    return null;
+  }
+  if (apiKey.status !== API_KEY_STATUS.ACTIVE) {
+    return null;
+  }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+  return apiKey;
+}
+
+/**
+ * Count a request against a key's fixed one-minute window
+ * @param {string} keyId - Key ID
+ * @param {number} limit - Requests allowed per minute
+ * @param {number} [now] - Current time in ms
+ * @returns {{allowed: boolean, limit: number, remaining: number, resetAt: number}} resetAt in ms
+ */
+export function consumeRateLimit(keyId, limit, now = Date.now()) {
+  let window = rateLimitWindows.get(keyId);
+  if (!window || now - window.windowStart >= RATE_LIMIT_WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    rateLimitWindows.set(keyId, window);
+  }
+
+  const allowed = window.count < limit;
+  if (allowed) {
+    window.count++;
+  }
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(limit - window.count, 0),
+    resetAt: window.windowStart + RATE_LIMIT_WINDOW_MS
+  };
+}
+
+/**
+ * Record that a key was used; written at most once per API_KEY_LAST_USED_INTERVAL_MS per key.
+ * Never throws: a failed write must not fail the request.
+ * @param {Object} apiKey - Key record
+ * @param {Object} details - { ip }
+ */
+export async function recordApiKeyUse(apiKey, { ip = null } = {}) {
+  if (apiKey.source === 'environment') {
+    return;
+  }
+
+  const now = Date.now();
+  if (now - (lastUsedWrites.get(apiKey.key_id) || 0) < config.apiKeys.lastUsedIntervalMs) {
+    return;
+  }
+  lastUsedWrites.set(apiKey.key_id, now);
+
+  try {
+    await getStorageBackend().update({
+      TableName: API_KEYS_TABLE,
+      Key: { key_id: apiKey.key_id },
+      UpdateExpression: 'SET lastUsedAt = :now, lastUsedIp = :ip',
+      ConditionExpression: 'attribute_exists(key_id)',
+      ExpressionAttributeValues: { ':now': new Date(now).toISOString(), ':ip': ip }
+    });
+  } catch (error) {
+    logger.warn(`API keys: could not record use of ${apiKey.key_id}: ${error.message}`);
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * Browser Session Pool
+ * Hands out Stagehand browser sessions to workflow runs so that concurrent runs
+ * never share (or close) each other's browser.
+ *
+ * A session is one EnhancedStagehandClient (its own browser and context), or its
+ * recording/replay counterpart under BROWSER_SNAPSHOT_MODE (src/shared/snapshots). A run
+ * leases a session, uses its page/agent and releases it; released sessions are
+ * reset (cookies cleared, about:blank) and kept warm for the next lease until
+ * they have been idle for BROWSER_POOL_IDLE_TIMEOUT_MS. At most BROWSER_POOL_SIZE
+ * sessions exist; further leases wait in a FIFO queue, for up to
+ * BROWSER_POOL_ACQUIRE_TIMEOUT_MS. Idle sessions are health-checked before they
+ * are handed out and replaced when the check fails.
+ *
+ *   await withBrowserSession(async ({ page, newAgent }) => { ... });
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/environment.js';
+import { createBrowserSession } from '../snapshots/index.js';
+import { logger } from './logger.js';
+import { currentRunId } from './runEvents.js';
+
+export const BROWSER_POOL_ERRORS = Object.freeze({
+  QUEUE_TIMEOUT: 'queue_timeout',
+  POOL_CLOSED: 'pool_closed'
+});
+
+export class BrowserPoolError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'BrowserPoolError';
+    this.type = type;
+  }
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export class BrowserPool {
+  /**
+   * @param {Object} [options] - { size, idleTimeoutMs, acquireTimeoutMs (0 waits forever),
+   *   healthCheckTimeoutMs, createSession (returns an uninitialized client; default: a live, recording
+   *   or replay session depending on BROWSER_SNAPSHOT_MODE) }
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size ?? config.browserPool.size);
+    this.idleTimeoutMs = options.idleTimeoutMs ?? config.browserPool.idleTimeoutMs;
+    this.acquireTimeoutMs = options.acquireTimeoutMs ?? config.browserPool.acquireTimeoutMs;
+    this.healthCheckTimeoutMs = options.healthCheckTimeoutMs ?? config.browserPool.healthCheckTimeoutMs;
+    this.createSession = options.createSession || (() => createBrowserSession());
+
+    this.sessions = new Map();
+    this.idle = [];
+    this.waiters = [];
+    this.starting = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Lease a browser session, waiting in the queue when all sessions are leased
+   * @param {Object} [options] - { owner (default: the current API run, if any), timeoutMs }
+   * @returns {Promise<Object>} Lease { id, sessionId, owner, acquiredAt, client, page, newAgent(), release({ discard }) }
+   */
+  async acquire(options = {}) {
+    if (this.closed) {
+      throw new BrowserPoolError(BROWSER_POOL_ERRORS.POOL_CLOSED, 'Browser pool is closed');
+    }
+
+    const owner = options.owner ?? currentRunId() ?? null;
+    const timeoutMs = options.timeoutMs ?? this.acquireTimeoutMs;
+
+    const session = await new Promise((resolve, reject) => {
+      const waiter = { owner, resolve, reject, timer: null, queuedAt: Date.now() };
+      if (timeoutMs > 0) {
+        waiter.timer = setTimeout(() => {
+          waiter.settled = true;
+          this.waiters = this.waiters.filter(queued => queued !== waiter);
+          reject(new BrowserPoolError(BROWSER_POOL_ERRORS.QUEUE_TIMEOUT,
+            `No browser session became available within ${timeoutMs}ms (pool size ${this.size})`));
+        }, timeoutMs);
+      }
+      this.waiters.push(waiter);
+      if (this.waiters.length > 1 || (this.idle.length === 0 && this.sessions.size + this.starting >= this.size)) {
+        logger.info('Browser pool exhausted, lease queued', { owner, waiting: this.waiters.length, size: this.size });
+      }
+      this.dispatch();
+    });
+
+    try {
+      const page = await session.client.newPage();
+      const lease = {
+        id: crypto.randomUUID(),
+        sessionId: session.id,
+        owner,
+        acquiredAt: new Date().toISOString(),
+        client: session.client,
+        page,
+        newAgent: () => session.client.newAgent(),
+        release: (releaseOptions) => this.release(lease, releaseOptions)
+      };
+      session.lease = lease;
+      session.leases++;
+      return lease;
+    } catch (error) {
+      await this.destroy(session, 'page unavailable');
+      throw error;
+    }
+  }
+
+  /**
+   * Return a leased session to the pool
+   * @param {Object} lease - Lease from acquire()
+   * @param {Object} [options] - { discard: close the session instead of reusing it }
+   */
+  async release(lease, options = {}) {
+    const session = this.sessions.get(lease.sessionId);
+    if (!session || session.lease !== lease) return;
+    session.lease = null;
+
+    if (this.closed || options.discard) {
+      await this.destroy(session, options.discard ? 'discarded' : 'pool closed');
+      return;
+    }
+
+    try {
+      await withTimeout(session.client.reset(), this.healthCheckTimeoutMs, 'reset timed out');
+    } catch (error) {
+      logger.warn('Browser session could not be reset, replacing it', { sessionId: session.id, error: error.message });
+      await this.destroy(session, 'reset failed');
+      return;
+    }
+
+    session.lastUsedAt = Date.now();
+    this.makeIdle(session);
+    this.dispatch();
+  }
+
+  /**
+   * Hand idle or new sessions to queued leases, oldest first
+   */
+  dispatch() {
+    while (this.waiters.length > 0) {
+      const idleSession = this.idle.pop();
+      if (idleSession) {
+        clearTimeout(idleSession.idleTimer);
+        this.handOver(idleSession, this.waiters.shift());
+      } else if (this.sessions.size + this.starting < this.size) {
+        this.startSession(this.waiters.shift());
+      } else {
+        return;
+      }
+    }
+  }
+
+  async handOver(session, waiter) {
+    const health = await this.checkSession(session);
+    if (!health.healthy) {
+      logger.warn('Idle browser session failed its health check, replacing it', { sessionId: session.id, error: health.error });
+      if (!waiter.settled) {
+        this.waiters.unshift(waiter);
+      }
+      await this.destroy(session, 'unhealthy');
+      return;
+    }
+    this.resolveWaiter(waiter, session);
+  }
+
+  async startSession(waiter) {
+    this.starting++;
+    let client;
+    try {
+      client = this.createSession();
+      await client.initialize();
+    } catch (error) {
+      this.starting--;
+      logger.error('Failed to start a browser session', { error: error.message });
+      await client?.close().catch(() => {});
+      if (!waiter.settled) {
+        waiter.settled = true;
+        clearTimeout(waiter.timer);
+        waiter.reject(error);
+      }
+      this.dispatch();
+      return;
+    }
+    this.starting--;
+
+    const session = { id: crypto.randomUUID(), client, lease: null, leases: 0, createdAt: Date.now(), lastUsedAt: Date.now(), idleTimer: null };
+    this.sessions.set(session.id, session);
+    logger.info('Browser session started', { sessionId: session.id, sessions: this.sessions.size, size: this.size });
+    this.resolveWaiter(waiter, session);
+  }
+
+  resolveWaiter(waiter, session) {
+    if (this.closed || !this.sessions.has(session.id)) {
+      this.destroy(session, 'pool closed');
+      if (!waiter.settled) {
+        waiter.settled = true;
+        clearTimeout(waiter.timer);
+        waiter.reject(new BrowserPoolError(BROWSER_POOL_ERRORS.POOL_CLOSED, 'Browser pool closed while waiting for a session'));
+      }
+      return;
+    }
+    // The lease timed out while its session was being checked or started
+    if (waiter.settled) {
+      this.makeIdle(session);
+      this.dispatch();
+      return;
+    }
+    waiter.settled = true;
+    clearTimeout(waiter.timer);
+    // Reserved until acquire() attaches the lease
+    session.lease = { pending: true };
+    waiter.resolve(session);
+  }
+
+  makeIdle(session) {
+    this.idle.push(session);
+    if (this.idleTimeoutMs > 0) {
+      session.idleTimer = setTimeout(() => {
+        this.idle = this.idle.filter(idleSession => idleSession !== session);
+        this.destroy(session, 'idle timeout');
+      }, this.idleTimeoutMs);
+      session.idleTimer.unref?.();
+    }
+  }
+
+  /**
+   * Check that a session's browser still responds
+   * @param {Object} session - Pool session
+   * @returns {Promise<Object>} { healthy, error }
+   */
+  async checkSession(session) {
+    try {
+      const health = await withTimeout(session.client.checkHealth(), this.healthCheckTimeoutMs, 'health check timed out');
+      return health.status === 'healthy' ? { healthy: true } : { healthy: false, error: health.message };
+    } catch (error) {
+      return { healthy: false, error: error.message };
+    }
+  }
+
+  async destroy(session, reason) {
+    clearTimeout(session.idleTimer);
+    this.idle = this.idle.filter(idleSession => idleSession !== session);
+    if (!this.sessions.delete(session.id)) return;
+
+    logger.info('Closing browser session', { sessionId: session.id, reason, leases: session.leases });
+    try {
+      await session.client.close();
+    } catch (error) {
+      logger.warn('Error closing browser session', { sessionId: session.id, error: error.message });
+    }
+    if (!this.closed) {
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Pool occupancy
+   * @returns {Object} { size, sessions, leased, idle, starting, waiting, leases: [{ id, owner, sessionId, acquiredAt }] }
+   */
+  stats() {
+    const leased = [...this.sessions.values()].filter(session => session.lease?.id);
+    return {
+      size: this.size,
+      sessions: this.sessions.size,
+      leased: leased.length,
+      idle: this.idle.length,
+      starting: this.starting,
+      waiting: this.waiters.length,
+      leases: leased.map(({ lease }) => ({ id: lease.id, owner: lease.owner, sessionId: lease.sessionId, acquiredAt: lease.acquiredAt }))
+    };
+  }
+
+  /**
+   * Close every session, leased ones included, and reject queued leases
+   */
+  async close() {
+    this.closed = true;
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(waiter => {
+      waiter.settled = true;
+      clearTimeout(waiter.timer);
+      waiter.reject(new BrowserPoolError(BROWSER_POOL_ERRORS.POOL_CLOSED, 'Browser pool closed while waiting for a session'));
+    });
+    await Promise.all([...this.sessions.values()].map(session => this.destroy(session, 'pool closed')));
+    logger.info('Browser pool closed');
+  }
+}
+
+let pool = null;
+
+/**
+ * The process-wide browser pool (created from config.browserPool on first use)
+ * @returns {BrowserPool}
+ */
+export function getBrowserPool() {
+  if (!pool || pool.closed) {
+    pool = new BrowserPool();
+  }
+  return pool;
+}
+
+/**
+ * Replace the process-wide pool (tests, or a pool with other options)
+ * @param {BrowserPool|null} browserPool - Pool; null creates a default one on next use
+ */
+export function setBrowserPool(browserPool) {
+  pool = browserPool;
+}
+
+/**
+ * Close the process-wide pool, if one was created (shutdown hooks)
+ */
+export async function closeBrowserPool() {
+  if (pool) {
+    await pool.close();
+  }
+}
+
+/**
+ * Run a function with a leased browser session and release it afterwards
+ * @param {Function} fn - async (lease) => result
+ * @param {Object} [options] - acquire() options, plus { pool }
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withBrowserSession(fn, options = {}) {
+  const { pool: browserPool = getBrowserPool(), ...acquireOptions } = options;
+  const lease = await browserPool.acquire(acquireOptions);
+  try {
+    return await fn(lease);
+  } finally {
+    await lease.release();
+  }
+}
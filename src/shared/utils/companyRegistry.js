@@ -0,0 +1,477 @@
+/**
+ * Company Registry
+ * The companies career discovery works through, and what it learned about each:
+ *
+ *   {
+ *     company_id: 'acme-inc', name: 'Acme, Inc.', domain: 'acme.com', aliases: ['Acme'],
+ *     ats: { platform, boardId, boardUrl }, careerPageUrl, jobListingsUrl,
+ *     urlTemplate: 'https://acme.com/jobs?q={keyword}',  // full template in URL_TEMPLATES_TABLE
+ *     priority: 0, status: 'discovered', statusHistory: [{ from, to, at, reason, actor }],
+ *     lastVerifiedAt, lastAttemptAt, nextAttemptAt, consecutiveFailures, lastError
+ *   }
+ *
+ * selectNextCompany() picks the company career discovery runs next: the highest
+ * priority among the companies that are due, companies never tried first, then
+ * the stalest. A discovered company is due again after config.companies.reverifyAfterMs,
+ * a failed one after config.companies.retryAfterMs, doubled for each further failure.
+ *
+ * importCompaniesCsv() / exportCompaniesCsv() move the registry to and from CSV,
+ * including the companies.csv of earlier versions (company_name,status,reason).
+ */
+
+import { parse } from 'csv-parse/sync';
+import { config } from '../config/environment.js';
+import { detectAtsFromUrl } from '../ats/detect.js';
+import { COMPANIES_TABLE, getStorageBackend, isConditionalCheckFailed } from '../storage/index.js';
+import { getItem, scanAllItems } from './dynamoDB.js';
+import { statusHistoryEntry } from './jobLifecycle.js';
+import { logger } from './logger.js';
+import { normalizeValue, slugifyValue } from './urlTemplate.js';
+
+export const COMPANY_STATUS = Object.freeze({
+  PENDING: 'pending',
+  DISCOVERED: 'discovered',
+  FAILED: 'failed',
+  DISABLED: 'disabled'
+});
+
+export const COMPANY_ERRORS = Object.freeze({
+  DUPLICATE: 'duplicate',
+  INVALID_CSV: 'invalid_csv',
+  STATUS_CHANGED: 'status_changed'
+});
+
+export class CompanyRegistryError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'CompanyRegistryError';
+    this.type = type;
+  }
+}
+
+// Columns of exported CSVs, in order
+export const COMPANY_CSV_COLUMNS = [
+  'name', 'domain', 'aliases', 'ats_platform', 'ats_board_id', 'ats_board_url', 'career_page_url',
+  'job_listings_url', 'url_template', 'priority', 'status', 'last_verified_at'
+];
+
+// Aliases are written in one CSV cell, separated by "|"
+const ALIAS_SEPARATOR = '|';
+
+// Statuses of the companies.csv of earlier versions
+const LEGACY_STATUS = { success: COMPANY_STATUS.DISCOVERED, failed: COMPANY_STATUS.FAILED };
+
+/**
+ * Registry ID of a company ("Acme, Inc." -> "acme-inc")
+ * @param {string} name - Company name
+ * @returns {string}
+ */
+export function companyIdOf(name) {
+  return slugifyValue(name);
+}
+
+/**
+ * Website domain from a URL or host name ("https://www.Acme.com/about" -> "acme.com")
+ * @param {string} value - URL or host name
+ * @returns {string|null} Domain, or null when the value is not one
+ */
+export function normalizeDomain(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  try {
+    const { hostname } = new URL(/^[a-z][\w+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    const domain = hostname.toLowerCase().replace(/^www\./, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeAliases(aliases, name) {
+  const list = Array.isArray(aliases) ? aliases : String(aliases ?? '').split(ALIAS_SEPARATOR);
+  const unique = new Map();
+  list.map(alias => String(alias).trim())
+    .filter(alias => alias && normalizeValue(alias) !== normalizeValue(name))
+    .forEach(alias => unique.set(normalizeValue(alias), unique.get(normalizeValue(alias)) || alias));
+  return [...unique.values()];
+}
+
+/**
+ * Add a company
+ * @param {Object} input - { name, domain?, aliases?, ats?, careerPageUrl?, jobListingsUrl?, urlTemplate?,
+ *   priority?, status? }
+ * @param {Object} [options] - { actor, reason } recorded in the status history
+ * @returns {Promise<Object>} Company
+ * @throws {CompanyRegistryError} DUPLICATE when a company of the same ID exists
+ */
+export async function createCompany(input, options = {}) {
+  const now = new Date().toISOString();
+  const status = input.status || COMPANY_STATUS.PENDING;
+  const company = {
+    company_id: companyIdOf(input.name),
+    name: input.name.trim(),
+    domain: normalizeDomain(input.domain),
+    aliases: normalizeAliases(input.aliases, input.name),
+    ats: input.ats || null,
+    careerPageUrl: input.careerPageUrl || null,
+    jobListingsUrl: input.jobListingsUrl || null,
+    urlTemplate: input.urlTemplate || null,
+    priority: input.priority ?? 0,
+    status,
+    statusHistory: [statusHistoryEntry(null, status, { reason: options.reason || 'Added to the registry', actor: options.actor, at: now })],
+    lastVerifiedAt: input.lastVerifiedAt || null,
+    lastAttemptAt: null,
+    nextAttemptAt: input.nextAttemptAt || null,
+    consecutiveFailures: 0,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  try {
+    await getStorageBackend().put({
+      TableName: COMPANIES_TABLE,
+      Item: company,
+      ConditionExpression: 'attribute_not_exists(company_id)'
+    });
+  } catch (error) {
+    if (isConditionalCheckFailed(error)) {
+      throw new CompanyRegistryError(COMPANY_ERRORS.DUPLICATE, `Company ${company.company_id} already exists`);
+    }
+    throw error;
+  }
+
+  logger.info(`Companies: added ${company.company_id}`, { name: company.name, domain: company.domain });
+  return company;
+}
+
+/**
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object|null>} Company
+ */
+export async function getCompany(companyId) {
+  return (await getItem(COMPANIES_TABLE, { company_id: companyId })) || null;
+}
+
+/**
+ * Company known by a name, alias or website domain
+ * @param {string} nameOrDomain - Name, alias, domain or URL
+ * @returns {Promise<Object|null>} Company
+ */
+export async function findCompany(nameOrDomain) {
+  const byId = await getCompany(companyIdOf(nameOrDomain));
+  if (byId) return byId;
+
+  const wanted = normalizeValue(nameOrDomain);
+  const domain = normalizeDomain(nameOrDomain);
+  return (await listCompanies()).find(company => (domain && company.domain === domain)
+    || (company.aliases || []).some(alias => normalizeValue(alias) === wanted)) || null;
+}
+
+/**
+ * @param {Object} [filter] - { status }
+ * @returns {Promise<Array<Object>>} Companies by name
+ */
+export async function listCompanies({ status } = {}) {
+  const companies = await scanAllItems(COMPANIES_TABLE);
+  return companies
+    .filter(company => !status || company.status === status)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Change a company. A status change is appended to its status history.
+ * @param {string} companyId - Company ID
+ * @param {Object} changes - Any of { name, domain, aliases, ats, careerPageUrl, jobListingsUrl, urlTemplate,
+ *   priority, status, lastVerifiedAt, lastAttemptAt, nextAttemptAt, consecutiveFailures, lastError }
+ * @param {Object} [options] - { reason, actor } of a status change
+ * @returns {Promise<Object|null>} Updated company, or null if it does not exist
+ * @throws {CompanyRegistryError} STATUS_CHANGED when the status changed since it was read
+ */
+export async function updateCompany(companyId, changes, options = {}) {
+  const current = await getCompany(companyId);
+  if (!current) return null;
+
+  const now = new Date().toISOString();
+  const fields = Object.entries({
+    ...changes,
+    ...(changes.domain !== undefined && { domain: normalizeDomain(changes.domain) }),
+    ...(changes.aliases !== undefined && { aliases: normalizeAliases(changes.aliases, changes.name || current.name) }),
+    updatedAt: now
+  }).filter(([field, value]) => value !== undefined && !['company_id', 'createdAt', 'statusHistory'].includes(field));
+
+  const names = Object.fromEntries(fields.map(([field], index) => [`#f${index}`, field]));
+  const values = Object.fromEntries(fields.map(([, value], index) => [`:f${index}`, value]));
+  const setClauses = fields.map((_, index) => `#f${index} = :f${index}`);
+  let condition = 'attribute_exists(company_id)';
+
+  if (changes.status && changes.status !== current.status) {
+    Object.assign(names, { '#status': 'status', '#statusHistory': 'statusHistory' });
+    Object.assign(values, {
+      ':from': current.status,
+      ':empty': [],
+      ':entry': [statusHistoryEntry(current.status, changes.status, { reason: options.reason, actor: options.actor, at: now })]
+    });
+    setClauses.push('#statusHistory = list_append(if_not_exists(#statusHistory, :empty), :entry)');
+    condition += ' AND #status = :from';
+  }
+
+  try {
+    const result = await getStorageBackend().update({
+      TableName: COMPANIES_TABLE,
+      Key: { company_id: companyId },
+      UpdateExpression: `SET ${setClauses.join(', ')}`,
+      ConditionExpression: condition,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    });
+    return result.Attributes;
+  } catch (error) {
+    if (isConditionalCheckFailed(error)) {
+      if (!(await getCompany(companyId))) return null;
+      throw new CompanyRegistryError(COMPANY_ERRORS.STATUS_CHANGED, `Company ${companyId} changed status while it was updated`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a company
+ * @param {string} companyId - Company ID
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function deleteCompany(companyId) {
+  try {
+    await getStorageBackend().delete({
+      TableName: COMPANIES_TABLE,
+      Key: { company_id: companyId },
+      ConditionExpression: 'attribute_exists(company_id)'
+    });
+    logger.info(`Companies: deleted ${companyId}`);
+    return true;
+  } catch (error) {
+    if (isConditionalCheckFailed(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether career discovery should run for a company at a time
+ * @param {Object} company - Company
+ * @param {Date} [now] - Time
+ * @returns {boolean}
+ */
+export function isCompanyDue(company, now = new Date()) {
+  return company.status !== COMPANY_STATUS.DISABLED
+    && (!company.nextAttemptAt || new Date(company.nextAttemptAt) <= now);
+}
+
+/**
+ * The company career discovery runs next: highest priority among the due companies,
+ * then companies never tried, then the one tried longest ago
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object|null>} Company, or null when none is due
+ */
+export async function selectNextCompany({ now = new Date() } = {}) {
+  const due = (await listCompanies()).filter(company => isCompanyDue(company, now));
+  due.sort((a, b) => (b.priority || 0) - (a.priority || 0)
+    || Number(Boolean(a.lastAttemptAt)) - Number(Boolean(b.lastAttemptAt))
+    || (a.lastAttemptAt || '').localeCompare(b.lastAttemptAt || '')
+    || a.name.localeCompare(b.name));
+  return due[0] || null;
+}
+
+/**
+ * Record the outcome of a career discovery run and schedule the next one
+ * @param {string} companyId - Company ID
+ * @param {Object} result - Final state of the career discovery workflow
+ * @returns {Promise<Object|null>} Updated company
+ */
+export async function recordDiscoveryResult(companyId, result) {
+  const company = await getCompany(companyId);
+  if (!company) return null;
+
+  const now = new Date();
+  const succeeded = result.status === 'metadata_constructed';
+  const failures = succeeded ? 0 : (company.consecutiveFailures || 0) + 1;
+  const waitMs = succeeded
+    ? config.companies.reverifyAfterMs
+    : Math.min(config.companies.retryAfterMs * 2 ** (failures - 1), config.companies.reverifyAfterMs);
+  const error = succeeded ? null : (result.errors || []).map(entry => entry?.error || entry).join(', ') || 'Unknown error';
+
+  return updateCompany(companyId, {
+    status: succeeded ? COMPANY_STATUS.DISCOVERED : COMPANY_STATUS.FAILED,
+    lastAttemptAt: now.toISOString(),
+    nextAttemptAt: new Date(now.getTime() + waitMs).toISOString(),
+    consecutiveFailures: failures,
+    lastError: error,
+    ...(succeeded && {
+      lastVerifiedAt: now.toISOString(),
+      // A verified domain of the website resolver is kept for the next runs, where it counts as explicit
+      domain: company.domain || (result.companyWebsite?.verified ? result.companyWebsite.domain : null),
+      careerPageUrl: result.careerPageUrl || company.careerPageUrl,
+      jobListingsUrl: result.jobListingsUrl || company.jobListingsUrl,
+      ats: result.ats || company.ats || null,
+      urlTemplate: result.urlTemplate?.url || company.urlTemplate
+    })
+  }, {
+    reason: succeeded ? 'Career discovery completed successfully' : error,
+    actor: 'career-discovery'
+  });
+}
+
+/**
+ * Make every company that is not disabled due now
+ * @returns {Promise<number>} Companies rescheduled
+ */
+export async function resetCompanySchedule() {
+  const companies = (await listCompanies()).filter(company => company.status !== COMPANY_STATUS.DISABLED);
+  for (const company of companies) {
+    await updateCompany(company.company_id, { nextAttemptAt: null });
+  }
+  logger.info(`Companies: ${companies.length} companies due for career discovery`);
+  return companies.length;
+}
+
+/**
+ * Counts of companies by status, and how many are due
+ * @returns {Promise<Object>} { total, due, byStatus, lastAttemptAt, next }
+ */
+export async function summarizeCompanies() {
+  const companies = await listCompanies();
+  const next = await selectNextCompany();
+  return {
+    total: companies.length,
+    due: companies.filter(company => isCompanyDue(company)).length,
+    byStatus: Object.fromEntries(Object.values(COMPANY_STATUS)
+      .map(status => [status, companies.filter(company => company.status === status).length])),
+    lastAttemptAt: companies.map(company => company.lastAttemptAt).filter(Boolean).sort().at(-1) || null,
+    next: next ? { company_id: next.company_id, name: next.name } : null
+  };
+}
+
+/**
+ * ATS board of a CSV row. Adapters list boards by their ID, so rows without
+ * ats_board_id (files of earlier versions) get it from the board URL.
+ */
+function atsFromRow(platform, boardId, boardUrl) {
+  const detected = boardId ? null : detectAtsFromUrl(boardUrl);
+  const id = boardId || (detected?.platform === platform ? detected.boardId : undefined);
+  return { platform, ...(id && { boardId: id }), boardUrl };
+}
+
+/**
+ * Company fields of a CSV row; empty cells are left out
+ */
+function companyFromRow(row) {
+  const name = (row.name ?? row.company_name ?? row.company ?? '').trim();
+  const legacyStatus = LEGACY_STATUS[(row.status || '').trim().toLowerCase()];
+  const status = Object.values(COMPANY_STATUS).includes(row.status?.trim()) ? row.status.trim() : legacyStatus;
+  const atsBoardUrl = row.ats_board_url?.trim();
+  const fields = {
+    name,
+    domain: row.domain || row.website,
+    aliases: row.aliases,
+    ats: row.ats_platform?.trim() && atsBoardUrl ? atsFromRow(row.ats_platform.trim(), row.ats_board_id?.trim(), atsBoardUrl) : undefined,
+    careerPageUrl: row.career_page_url,
+    jobListingsUrl: row.job_listings_url,
+    urlTemplate: row.url_template,
+    priority: row.priority?.trim() ? Number(row.priority) : undefined,
+    status,
+    lastVerifiedAt: row.last_verified_at
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Add the companies of a CSV, or update the ones already registered. Quoted
+ * cells may contain commas. Besides the export columns (COMPANY_CSV_COLUMNS),
+ * company_name/status/reason rows of earlier companies.csv files are read:
+ * "success" companies are discovered and due again after the reverify delay,
+ * "failed" ones after the retry delay.
+ * @param {string} csv - CSV text with a header row
+ * @param {Object} [options] - { actor }
+ * @returns {Promise<Object>} { created, updated, skipped: [{ line, reason }] }
+ * @throws {CompanyRegistryError} INVALID_CSV when the text cannot be parsed or has no name column
+ */
+export async function importCompaniesCsv(csv, options = {}) {
+  let rows;
+  try {
+    rows = parse(csv, { columns: header => header.map(column => column.trim().toLowerCase()), skip_empty_lines: true, trim: true, relax_column_count: true });
+  } catch (error) {
+    throw new CompanyRegistryError(COMPANY_ERRORS.INVALID_CSV, `Invalid companies CSV: ${error.message}`);
+  }
+  if (rows.length > 0 && !['name', 'company_name', 'company'].some(column => column in rows[0])) {
+    throw new CompanyRegistryError(COMPANY_ERRORS.INVALID_CSV, 'Companies CSV needs a name or company_name column');
+  }
+
+  const summary = { created: 0, updated: 0, skipped: [] };
+  const now = Date.now();
+
+  for (const [index, row] of rows.entries()) {
+    const line = index + 2;
+    const fields = companyFromRow(row);
+    if (!fields.name || !companyIdOf(fields.name)) {
+      summary.skipped.push({ line, reason: 'No company name' });
+      continue;
+    }
+    if (fields.priority !== undefined && !Number.isFinite(fields.priority)) {
+      summary.skipped.push({ line, reason: `Invalid priority '${row.priority}'` });
+      continue;
+    }
+
+    const reason = row.reason?.trim() || `Imported from CSV line ${line}`;
+    const existing = await getCompany(companyIdOf(fields.name));
+
+    if (existing) {
+      await updateCompany(existing.company_id, {
+        ...fields,
+        ...(fields.aliases && { aliases: [...(existing.aliases || []), ...normalizeAliases(fields.aliases, fields.name)] })
+      }, { reason, actor: options.actor });
+      summary.updated++;
+    } else {
+      // Companies already handled by earlier runs are not due at once
+      const waitMs = { [COMPANY_STATUS.DISCOVERED]: config.companies.reverifyAfterMs, [COMPANY_STATUS.FAILED]: config.companies.retryAfterMs }[fields.status];
+      await createCompany({
+        ...fields,
+        ...(waitMs && { nextAttemptAt: new Date(now + waitMs).toISOString() })
+      }, { reason, actor: options.actor });
+      summary.created++;
+    }
+  }
+
+  logger.info(`Companies: imported CSV (${summary.created} added, ${summary.updated} updated, ${summary.skipped.length} skipped)`);
+  return summary;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The registry as CSV (COMPANY_CSV_COLUMNS), which importCompaniesCsv() reads back
+ * @param {Object} [filter] - { status }
+ * @returns {Promise<string>}
+ */
+export async function exportCompaniesCsv(filter = {}) {
+  const rows = (await listCompanies(filter)).map(company => [
+    company.name,
+    company.domain,
+    (company.aliases || []).join(ALIAS_SEPARATOR),
+    company.ats?.platform,
+    company.ats?.boardId,
+    company.ats?.boardUrl,
+    company.careerPageUrl,
+    company.jobListingsUrl,
+    company.urlTemplate,
+    company.priority,
+    company.status,
+    company.lastVerifiedAt
+  ].map(csvCell).join(','));
+
+  return [COMPANY_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,388 @@
+/**
+ * Company Website Resolution
+ * Finds a company's website, and the career pages it links to, before career
+ * discovery searches the web:
+ *
+ *   1. Domain candidates: the explicit domain (the registry's), else the entries of the
+ *      company-domain dictionary (config.companyWebsite.dictionary) for its name and
+ *      aliases, else guesses from the name ("Acme Robotics, Inc." -> acmerobotics.com,
+ *      acme-robotics.com, acmerobotics.io, ...).
+ *   2. Homepage inspection: each candidate's homepage is fetched. Unreachable ones are
+ *      dropped, and so are guesses whose homepage does not name the company (parked or
+ *      unrelated domains). The rest are ranked by source and by whether the page names
+ *      the company.
+ *   3. Career pages: links of the winning homepage whose text or URL points to careers,
+ *      ranked higher in the nav, header and footer and on ATS boards, plus career URLs
+ *      listed in its sitemap.xml.
+ *
+ * The career page finder tries these career pages first and only searches the web
+ * when none of them loads.
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { parse } from 'csv-parse/sync';
+import { detectAtsFromUrl } from '../ats/detect.js';
+import { config } from '../config/environment.js';
+import { normalizeDomain } from './companyRegistry.js';
+import { getDomainGovernor } from './domainGovernor.js';
+import { logger } from './logger.js';
+
+export const WEBSITE_SOURCES = Object.freeze({
+  EXPLICIT: 'explicit',
+  DICTIONARY: 'dictionary',
+  GUESS: 'guess'
+});
+
+export const CAREER_PAGE_SOURCES = Object.freeze({
+  NAV: 'nav',
+  HEADER: 'header',
+  FOOTER: 'footer',
+  LINK: 'link',
+  SITEMAP: 'sitemap'
+});
+
+// Base score of a domain candidate by where it came from
+const SOURCE_SCORES = { explicit: 100, dictionary: 60, guess: 20 };
+
+// Words dropped from company names before they are matched or turned into domains
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'plc', 'gmbh', 'ag', 'sa', 'sas', 'srl', 'bv', 'nv', 'oy', 'ab', 'pty', 'group', 'holdings'
+]);
+
+const CAREER_TEXT = /\b(careers?|jobs|join (us|our team)|work (with|for|at) us|open (positions|roles)|we('| a)re hiring|vacancies|karriere|stellenangebote|emplois?|empleos?)\b/i;
+const CAREER_PATH = /(^|[/._-])(careers?|jobs|join-?us|work-?with-?us|vacancies|hiring|karriere|jobboard)([/._-]|$)/i;
+const CAREER_HOST = /^(careers?|jobs|karriere)\./i;
+
+// Child sitemaps of a sitemap index that are read, career-looking ones first
+const MAX_CHILD_SITEMAPS = 2;
+
+/**
+ * Words of a company name without punctuation and legal suffixes
+ * ("The Acme Robotics Co., Ltd." -> ['acme', 'robotics'])
+ * @param {string} name - Company name
+ * @returns {Array<string>}
+ */
+export function nameTokens(name) {
+  const tokens = String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens.at(-1))) tokens.pop();
+  if (tokens.length > 1 && tokens[0] === 'the') tokens.shift();
+  return tokens;
+}
+
+function nameKey(name) {
+  return nameTokens(name).join(' ');
+}
+
+/**
+ * Domains a company name suggests, most likely first: the name as a domain
+ * ("Housing.com"), then the joined and hyphenated name under each configured TLD
+ * @param {string} name - Company name
+ * @param {Array<string>} [tlds] - Top-level domains (config.companyWebsite.tlds)
+ * @returns {Array<string>} Domains
+ */
+export function guessDomains(name, tlds = config.companyWebsite.tlds) {
+  const tokens = nameTokens(name);
+  if (tokens.length === 0) return [];
+
+  const asDomain = /^[a-z0-9-]+(\.[a-z]{2,})+$/i.test(String(name).trim()) ? String(name).trim().toLowerCase() : null;
+  const labels = [...new Set([tokens.join(''), tokens.join('-')])];
+  const guesses = tlds.flatMap(tld => labels.map(label => `${label}.${tld}`));
+  return [...new Set([asDomain, ...guesses].filter(Boolean))];
+}
+
+let dictionaryCache = null;
+
+/**
+ * The company-domain dictionary, keyed by company name and alias
+ * (CSV with name, domain and optional aliases separated by "|"); re-read when the file changes
+ * @param {string} [filePath] - Dictionary CSV (config.companyWebsite.dictionary)
+ * @returns {Map<string, string>} Name key -> domain
+ */
+export function loadDomainDictionary(filePath = config.companyWebsite.dictionary) {
+  let modifiedAt;
+  try {
+    modifiedAt = statSync(filePath).mtimeMs;
+  } catch (error) {
+    return new Map();
+  }
+  if (dictionaryCache?.filePath === filePath && dictionaryCache.modifiedAt === modifiedAt) {
+    return dictionaryCache.entries;
+  }
+
+  const entries = new Map();
+  try {
+    const rows = parse(readFileSync(filePath, 'utf-8'), { columns: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+    for (const row of rows) {
+      const domain = row.domain?.toLowerCase().replace(/^www\./, '');
+      if (!row.name || !domain) continue;
+      [row.name, ...(row.aliases || '').split('|')]
+        .map(nameKey)
+        .filter(key => key && !entries.has(key))
+        .forEach(key => entries.set(key, domain));
+    }
+  } catch (error) {
+    logger.warn('Company domain dictionary could not be read', { filePath, error: error.message });
+  }
+
+  dictionaryCache = { filePath, modifiedAt, entries };
+  return entries;
+}
+
+/**
+ * Dictionary domains of a company and its aliases
+ * @param {string} name - Company name
+ * @param {Array<string>} [aliases] - Other names
+ * @returns {Array<string>} Domains
+ */
+export function lookupDomains(name, aliases = []) {
+  const dictionary = loadDomainDictionary();
+  return [...new Set([name, ...aliases].map(nameKey).map(key => dictionary.get(key)).filter(Boolean))];
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, '\'')
+    .replace(/&nbsp;/g, ' ');
+}
+
+function textOf(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether a homepage names the company in its title or site name
+ * @param {string} html - Homepage
+ * @param {string} name - Company name
+ * @returns {boolean}
+ */
+export function homepageNamesCompany(html, name) {
+  const tokens = nameTokens(name);
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '';
+  const siteName = html.match(/<meta[^>]+property=["']og:site_name["'][^>]*content=["']([^"']*)["']/i)?.[1] || '';
+  // Host names do not count: parked domains put theirs in the title
+  const words = nameTokens(`${textOf(title)} ${decodeEntities(siteName)}`.replace(/\S+\.[a-z]{2,}\b/gi, ' ')).join(' ');
+  if (tokens.length === 0) return false;
+  // "Acme Robotics" is also named by "AcmeRobotics"
+  return ` ${words} `.includes(` ${tokens.join(' ')} `)
+    || (tokens.length > 1 && ` ${words} `.includes(` ${tokens.join('')} `));
+}
+
+function isOnSite(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Score of a career page candidate; 0 for URLs that do not look like one
+ * @param {Object} candidate - { url, text?, source }
+ * @param {string} domain - Company domain
+ * @returns {number}
+ */
+export function scoreCareerPage({ url, text = '', source }, domain) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 0;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const ats = detectAtsFromUrl(parsed.href);
+  const textMatch = CAREER_TEXT.test(text);
+  const pathMatch = CAREER_PATH.test(parsed.pathname);
+  const hostMatch = CAREER_HOST.test(host);
+  if (!textMatch && !pathMatch && !hostMatch && !ats) return 0;
+  // Other sites only count as their board or careers subdomain
+  if (!isOnSite(host, domain) && !ats && !(hostMatch && host.includes(domain.split('.')[0]))) return 0;
+
+  const depth = parsed.pathname.split('/').filter(Boolean).length;
+  return (textMatch ? 40 : 0)
+    + (pathMatch ? 30 : 0)
+    + (hostMatch ? 30 : 0)
+    + (ats ? 35 : 0)
+    + ({ nav: 20, header: 20, footer: 15, sitemap: 5 }[source] || 0)
+    - Math.max(0, depth - 1) * 5;
+}
+
+/**
+ * Links of a page that lead to careers, with the region they appear in
+ * @param {string} html - Page
+ * @param {string} pageUrl - URL of the page, to resolve relative links
+ * @param {string} domain - Company domain
+ * @returns {Array<Object>} [{ url, text, source, score }]
+ */
+export function findCareerLinks(html, pageUrl, domain) {
+  const regions = [...html.matchAll(/<(nav|header|footer)\b[\s\S]*?<\/\1>/gi)]
+    .map(match => ({ source: match[1].toLowerCase(), start: match.index, end: match.index + match[0].length }));
+
+  const links = [];
+  for (const match of html.matchAll(/<a\b[^>]*\bhref=["']([^"'#][^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    let url;
+    try {
+      url = new URL(decodeEntities(match[1]), pageUrl);
+    } catch (error) {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol)) continue;
+    url.hash = '';
+
+    const source = regions.find(region => match.index >= region.start && match.index < region.end)?.source || CAREER_PAGE_SOURCES.LINK;
+    const attributes = match[0].match(/\b(?:title|aria-label)=["']([^"']*)["']/i)?.[1] || '';
+    const text = textOf(match[2]) || attributes;
+    const score = scoreCareerPage({ url: url.href, text, source }, domain);
+    if (score > 0) {
+      links.push({ url: url.href, text, source, score });
+    }
+  }
+  return links;
+}
+
+/**
+ * URLs of a sitemap
+ * @param {string} xml - sitemap.xml
+ * @returns {Object} { urls: page URLs, sitemaps: child sitemaps of a sitemap index }
+ */
+export function parseSitemap(xml) {
+  const locs = block => [...block.matchAll(/<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi)].map(match => decodeEntities(match[1].trim()));
+  return {
+    urls: [...xml.matchAll(/<url>([\s\S]*?)<\/url>/gi)].flatMap(match => locs(match[1])),
+    sitemaps: [...xml.matchAll(/<sitemap>([\s\S]*?)<\/sitemap>/gi)].flatMap(match => locs(match[1]))
+  };
+}
+
+/**
+ * GET a page under the domain governor; null when it cannot be read
+ */
+async function fetchPage(url, { fetch: fetchImpl = fetch, politeness } = {}) {
+  try {
+    const response = await getDomainGovernor().run(url, () => fetchImpl(url, {
+      headers: { Accept: 'text/html,application/xml;q=0.9,*/*;q=0.8', 'User-Agent': config.politeness.userAgent },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(config.companyWebsite.timeoutMs)
+    }), politeness);
+    if (!response.ok) return null;
+    return { url: response.url || url, text: await response.text() };
+  } catch (error) {
+    logger.debug('Website request failed', { url, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Career URLs of a site's sitemap.xml (and of the career-looking children of a sitemap index)
+ */
+async function sitemapCareerPages(homepageUrl, domain, options) {
+  const sitemap = await fetchPage(new URL('/sitemap.xml', homepageUrl).href, options);
+  if (!sitemap) return [];
+
+  let { urls, sitemaps } = parseSitemap(sitemap.text);
+  const children = [...sitemaps]
+    .sort((a, b) => Number(CAREER_PATH.test(b)) - Number(CAREER_PATH.test(a)))
+    .slice(0, MAX_CHILD_SITEMAPS);
+  for (const child of children) {
+    const page = await fetchPage(child, options);
+    if (page) urls = urls.concat(parseSitemap(page.text).urls);
+  }
+
+  return urls
+    .map(url => ({ url, text: '', source: CAREER_PAGE_SOURCES.SITEMAP }))
+    .map(candidate => ({ ...candidate, score: scoreCareerPage(candidate, domain) }))
+    .filter(candidate => candidate.score > 0);
+}
+
+/**
+ * Best score per URL, highest first
+ */
+function rankCareerPages(candidates, limit) {
+  const byUrl = new Map();
+  for (const candidate of candidates) {
+    const key = candidate.url.replace(/\/$/, '');
+    if (!byUrl.has(key) || byUrl.get(key).score < candidate.score) {
+      byUrl.set(key, candidate);
+    }
+  }
+  return [...byUrl.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Website of a company and the career pages it links to
+ * @param {string} companyName - Company name
+ * @param {Object} [options] - { domain: explicit domain, aliases: other names for the dictionary,
+ *   politeness: per-domain rules of the run, fetch (default: global fetch) }
+ * @returns {Promise<Object>} { domain, homepageUrl, source, verified, candidates: [{ domain, source, score,
+ *   reachable, namesCompany }], careerPages: [{ url, text, source, score }] }; domain is null when no candidate
+ *   loads or no guessed homepage names the company. verified: the domain was explicit, from the dictionary,
+ *   or its homepage names the company
+ */
+export async function resolveCompanyWebsite(companyName, options = {}) {
+  const { domain: explicitDomain = null, aliases = [] } = options;
+  const { maxProbes, maxCareerPages, sitemaps } = config.companyWebsite;
+
+  const explicit = normalizeDomain(explicitDomain) ? [{ domain: normalizeDomain(explicitDomain), source: WEBSITE_SOURCES.EXPLICIT }] : [];
+  const dictionary = explicit.length ? [] : lookupDomains(companyName, aliases).map(domain => ({ domain, source: WEBSITE_SOURCES.DICTIONARY }));
+  const guesses = explicit.length || dictionary.length ? [] : guessDomains(companyName).slice(0, maxProbes)
+    .map(domain => ({ domain, source: WEBSITE_SOURCES.GUESS }));
+
+  const candidates = [];
+  for (const [index, candidate] of [...explicit, ...dictionary, ...guesses].entries()) {
+    const homepage = await fetchPage(`https://${candidate.domain}/`, options);
+    if (!homepage) {
+      candidates.push({ ...candidate, score: 0, reachable: false, namesCompany: false });
+      continue;
+    }
+
+    // Redirects decide the site (acme.com -> www.acme.de)
+    const domain = new URL(homepage.url).hostname.toLowerCase().replace(/^www\./, '');
+    const namesCompany = homepageNamesCompany(homepage.text, companyName);
+    const careerLinks = findCareerLinks(homepage.text, homepage.url, domain);
+    candidates.push({
+      ...candidate,
+      domain,
+      homepage,
+      careerLinks,
+      reachable: true,
+      namesCompany,
+      score: SOURCE_SCORES[candidate.source] - index + (namesCompany ? 30 : 0) + (careerLinks.length > 0 ? 10 : 0)
+    });
+  }
+
+  // A guessed domain whose homepage does not name the company is parked or someone else's
+  const best = candidates
+    .filter(candidate => candidate.reachable && (candidate.source !== WEBSITE_SOURCES.GUESS || candidate.namesCompany))
+    .sort((a, b) => b.score - a.score)[0];
+  const summary = candidates.map(({ domain, source, score, reachable, namesCompany }) => ({ domain, source, score, reachable, namesCompany }));
+
+  if (!best) {
+    logger.info('No website found for company', { companyName, candidates: summary.map(candidate => candidate.domain) });
+    return { domain: null, homepageUrl: null, source: null, verified: false, candidates: summary, careerPages: [] };
+  }
+
+  const fromSitemap = sitemaps ? await sitemapCareerPages(best.homepage.url, best.domain, options) : [];
+  const careerPages = rankCareerPages([...best.careerLinks, ...fromSitemap], maxCareerPages);
+
+  logger.info('Company website resolved', {
+    companyName,
+    domain: best.domain,
+    source: best.source,
+    careerPages: careerPages.length
+  });
+
+  return {
+    domain: best.domain,
+    homepageUrl: best.homepage.url,
+    source: best.source,
+    verified: best.source !== WEBSITE_SOURCES.GUESS || best.namesCompany,
+    candidates: summary,
+    careerPages
+  };
+}
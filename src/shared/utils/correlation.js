@@ -0,0 +1,65 @@
+/**
+ * Correlation IDs
+ * Every API request, run and workflow invocation executes inside a log context
+ * carrying a correlation ID (and the run ID, once there is one). The logger adds
+ * both to every entry, so all lines of one request or run can be found with one
+ * filter, across the route, the run manager and the workflow nodes.
+ *
+ * The ID comes from the X-Correlation-ID (or X-Request-ID) request header when
+ * the caller sent one, and is echoed on the response. A run keeps the ID of the
+ * request that started it; workflows started outside a request (cron jobs,
+ * scripts) get a fresh one. Workflows also carry it in their state as
+ * `correlationId`.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+export const CORRELATION_HEADER = 'X-Correlation-ID';
+
+// Header values accepted as correlation IDs, anything else is replaced
+const VALID_CORRELATION_ID = /^[\w.:-]{1,128}$/;
+
+const logContext = new AsyncLocalStorage();
+
+/**
+ * @returns {string} A new correlation ID
+ */
+export function newCorrelationId() {
+  return `cor_${crypto.randomUUID()}`;
+}
+
+/**
+ * @param {*} value - Header value sent by a client
+ * @returns {boolean} Whether it can be used as a correlation ID
+ */
+export function isValidCorrelationId(value) {
+  return typeof value === 'string' && VALID_CORRELATION_ID.test(value);
+}
+
+/**
+ * Execute fn with fields (correlationId, runId) added to the log context of
+ * everything it awaits. Fields left undefined keep the outer value.
+ * @param {Object} fields - { correlationId, runId }
+ * @param {Function} fn - Function to execute
+ * @returns {*} fn's return value
+ */
+export function withLogContext(fields, fn) {
+  const defined = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+  return logContext.run({ ...logContext.getStore(), ...defined }, fn);
+}
+
+/**
+ * Log context of the current async context
+ * @returns {Object} { correlationId, runId } (either may be missing)
+ */
+export function currentLogContext() {
+  return logContext.getStore() || {};
+}
+
+/**
+ * @returns {string|null} Correlation ID of the current async context
+ */
+export function currentCorrelationId() {
+  return logContext.getStore()?.correlationId || null;
+}
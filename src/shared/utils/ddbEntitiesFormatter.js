@@ -1,5 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { logger } from './logger.js';
 
 /**
  * Converts dimension mapping output to DDB entities format
@@ -19,26 +20,28 @@ export async function formatDimensionMappingToDDBEntities(dimensionMapping) {
     };
 
     // Process each dimension
-    console.log('DDBFormatter: Processing dimensions:', Object.keys(dimensionMapping.dimensions));
+    logger.debug('DDBFormatter: Processing dimensions', { dimensions: Object.keys(dimensionMapping.dimensions) });
     
     for (const [dimensionName, dimensionData] of Object.entries(dimensionMapping.dimensions)) {
       const value = dimensionData.value;
-      console.log(`DDBFormatter: Processing dimension "${dimensionName}" with value:`, value);
+      logger.debug(`DDBFormatter: Processing dimension "${dimensionName}"`);
       
       // Check if dimension maps to main DDB field
       if (domainToEntitiesMapping[dimensionName]) {
         const ddbFieldName = domainToEntitiesMapping[dimensionName];
         ddbEntities[ddbFieldName] = value;
-        console.log(`DDBFormatter: Mapped "${dimensionName}" to main field "${ddbFieldName}"`);
+        logger.debug(`DDBFormatter: Mapped "${dimensionName}" to main field "${ddbFieldName}"`);
       } else {
         // Auto-go to inferred_sections
         ddbEntities.inferred_sections[dimensionName] = value;
-        console.log(`DDBFormatter: Added "${dimensionName}" to inferred_sections with value:`, value);
+        logger.debug(`DDBFormatter: Added "${dimensionName}" to inferred_sections`);
       }
     }
     
-    console.log('DDBFormatter: Final inferred_sections:', Object.keys(ddbEntities.inferred_sections));
-    console.log('DDBFormatter: Final entities keys:', Object.keys(ddbEntities));
+    logger.debug('DDBFormatter: Formatted entities', {
+      entities: Object.keys(ddbEntities),
+      inferredSections: Object.keys(ddbEntities.inferred_sections)
+    });
 
     // Ensure all main DDB fields exist (even if empty)
     const mainDDBFields = [
@@ -67,7 +70,7 @@ export async function formatDimensionMappingToDDBEntities(dimensionMapping) {
     return ddbEntities;
 
   } catch (error) {
-    console.error('Error formatting dimension mapping to DDB entities:', error);
+    logger.error('Error formatting dimension mapping to DDB entities', { error });
     throw error;
   }
 }
@@ -82,7 +85,7 @@ export function validateDDBEntities(ddbEntities) {
   
   for (const field of requiredFields) {
     if (!ddbEntities[field]) {
-      console.warn(`Missing required field: ${field}`);
+      logger.warn(`Missing required field: ${field}`);
       return false;
     }
   }
@@ -0,0 +1,283 @@
+/**
+ * Domain Governor
+ * Per-host politeness for the scraping nodes: page loads of one host are spaced
+ * by at least minIntervalMs (or the robots.txt Crawl-delay when longer), at most
+ * maxConcurrent of them are in flight at once, and a 429 or 403 answer makes every
+ * later request to that host wait an exponential backoff (or the Retry-After the
+ * site sent). A 429 is retried up to maxRetries times; a 403 is not, the host is
+ * only backed off. With respectRobots, URLs disallowed by the site's robots.txt
+ * are refused with a DomainPolicyError.
+ *
+ * Rules come from config.politeness, then its per-domain entries, then the
+ * per-domain entries of the run (the politeness object of a discovery input):
+ *
+ *   { "*": { minIntervalMs: 3000 }, "linkedin.com": { maxConcurrent: 1, respectRobots: true } }
+ *
+ * A domain key matches the host and its subdomains; when several match, the most
+ * specific one takes precedence.
+ *
+ *   const response = await getDomainGovernor().goto(page, url, { waitUntil: 'networkidle' }, state.politeness);
+ */
+
+import { z } from 'zod';
+import { config } from '../config/environment.js';
+import { logger } from './logger.js';
+import { RobotsCache } from './robotsTxt.js';
+
+export const DOMAIN_POLICY_ERRORS = Object.freeze({
+  ROBOTS_DISALLOWED: 'robots_disallowed'
+});
+
+export class DomainPolicyError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'DomainPolicyError';
+    this.type = type;
+  }
+}
+
+export const domainRulesSchema = z.object({
+  minIntervalMs: z.number().int().min(0).optional(),
+  maxConcurrent: z.number().int().min(1).optional(),
+  backoffBaseMs: z.number().int().min(0).optional(),
+  backoffMaxMs: z.number().int().min(0).optional(),
+  maxRetries: z.number().int().min(0).optional(),
+  respectRobots: z.boolean().optional(),
+  userAgent: z.string().min(1).optional()
+}).strict();
+
+// Per-domain rules of a run, keyed by domain ('*' for every host)
+export const politenessSchema = z.record(z.string(), domainRulesSchema);
+
+/**
+ * Merge per-domain rule sets, later sets overriding earlier ones rule by rule
+ * (the discovery settings, then the discovery input)
+ * @param {...Object} ruleSets - Per-domain rules, keyed by domain
+ * @returns {Object} Per-domain rules
+ */
+export function mergePoliteness(...ruleSets) {
+  const merged = {};
+  ruleSets.filter(Boolean).forEach(ruleSet => {
+    Object.entries(ruleSet).forEach(([domain, rules]) => {
+      merged[domain] = { ...merged[domain], ...rules };
+    });
+  });
+  return merged;
+}
+
+const BLOCKED_STATUSES = new Set([403, 429]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Host a URL's requests are governed under ('www.' is ignored)
+ * @param {string} url - URL
+ * @returns {string}
+ */
+export function hostOf(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Rules of the domain keys matching a host, merged from the least to the most specific
+ */
+function matchDomain(domains, host) {
+  const matches = Object.entries(domains || {})
+    .map(([key, rules]) => [key.toLowerCase().replace(/^www\./, ''), rules])
+    .filter(([domain]) => domain === '*' || host === domain || host.endsWith(`.${domain}`))
+    .sort(([a], [b]) => (a === '*' ? -1 : b === '*' ? 1 : a.length - b.length));
+  return Object.assign({}, ...matches.map(([, rules]) => rules));
+}
+
+function statusOf(result) {
+  if (typeof result?.status === 'function') return result.status();
+  if (typeof result?.status === 'number') return result.status;
+  return null;
+}
+
+/**
+ * Retry-After of a response in ms (seconds or an HTTP date)
+ */
+function retryAfterOf(result) {
+  let value = null;
+  try {
+    const headers = typeof result?.headers === 'function' ? result.headers() : result?.headers;
+    value = headers?.['retry-after'] ?? headers?.get?.('retry-after') ?? null;
+  } catch (error) {
+    return null;
+  }
+  if (value === null || value === undefined) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export class DomainGovernor {
+  /**
+   * @param {Object} [options] - { defaults (rules for every host), domains (per-domain rules),
+   *   robots (RobotsCache) }; defaults: config.politeness
+   */
+  constructor(options = {}) {
+    const { domains, robotsCacheTtlMs, ...defaults } = config.politeness;
+    this.defaults = { ...defaults, ...options.defaults };
+    this.domains = options.domains ?? domains;
+    this.robots = options.robots || new RobotsCache({ ttlMs: robotsCacheTtlMs });
+    this.hosts = new Map();
+  }
+
+  /**
+   * Rules that apply to a URL
+   * @param {string} url - URL
+   * @param {Object} [overrides] - Per-domain rules of the run
+   * @returns {Object} Rules
+   */
+  rulesFor(url, overrides = {}) {
+    const host = hostOf(url);
+    return { ...this.defaults, ...matchDomain(this.domains, host), ...matchDomain(overrides, host) };
+  }
+
+  hostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, waiters: [], nextStartAt: 0, blockedUntil: 0, strikes: 0, requests: 0, blocked: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Whether the rules of a URL let it be fetched (robots.txt when respected)
+   * @param {string} url - URL
+   * @param {Object} [overrides] - Per-domain rules of the run
+   * @returns {Promise<boolean>}
+   */
+  async isAllowed(url, overrides = {}) {
+    const rules = this.rulesFor(url, overrides);
+    if (!rules.respectRobots) return true;
+    return (await this.robots.check(url, rules.userAgent)).allowed;
+  }
+
+  /**
+   * Run a request to a URL under the rules of its host
+   * @param {string} url - URL the request goes to
+   * @param {Function} request - async () => response (a page.goto() response or anything with a status)
+   * @param {Object} [overrides] - Per-domain rules of the run
+   * @returns {Promise<*>} The response; after the last retry, the blocked one
+   * @throws {DomainPolicyError} When robots.txt disallows the URL
+   */
+  async run(url, request, overrides = {}) {
+    const host = hostOf(url);
+    const rules = this.rulesFor(url, overrides);
+    let intervalMs = rules.minIntervalMs;
+
+    if (rules.respectRobots) {
+      const { allowed, crawlDelay } = await this.robots.check(url, rules.userAgent);
+      if (!allowed) {
+        throw new DomainPolicyError(DOMAIN_POLICY_ERRORS.ROBOTS_DISALLOWED, `robots.txt of ${host} disallows ${url}`);
+      }
+      intervalMs = Math.max(intervalMs, (crawlDelay || 0) * 1000);
+    }
+
+    const state = this.hostState(host);
+    for (let attempt = 0; ; attempt++) {
+      await this.enter(state, rules, intervalMs);
+      let response;
+      try {
+        response = await request();
+      } finally {
+        this.leave(state);
+      }
+
+      const status = statusOf(response);
+      if (!BLOCKED_STATUSES.has(status)) {
+        if (status !== null) state.strikes = 0;
+        return response;
+      }
+
+      const delayMs = this.backOff(host, state, rules, retryAfterOf(response));
+      if (status !== 429 || attempt >= rules.maxRetries) {
+        logger.warn('Request blocked by host', { host, url, status, backoffMs: delayMs });
+        return response;
+      }
+      logger.warn('Rate limited by host, retrying after backoff', { host, url, attempt: attempt + 1, backoffMs: delayMs });
+    }
+  }
+
+  /**
+   * page.goto() under the rules of the URL's host
+   * @param {Object} page - Stagehand page
+   * @param {string} url - URL to open
+   * @param {Object} [gotoOptions] - page.goto() options
+   * @param {Object} [overrides] - Per-domain rules of the run
+   * @returns {Promise<Object>} page.goto() response
+   */
+  async goto(page, url, gotoOptions, overrides = {}) {
+    return this.run(url, () => (gotoOptions ? page.goto(url, gotoOptions) : page.goto(url)), overrides);
+  }
+
+  /**
+   * Wait for a concurrency slot and the earliest start time of the host
+   */
+  async enter(state, rules, intervalMs) {
+    while (state.active >= rules.maxConcurrent) {
+      await new Promise(resolve => state.waiters.push(resolve));
+    }
+    state.active++;
+
+    let waitMs;
+    while ((waitMs = Math.max(state.nextStartAt, state.blockedUntil) - Date.now()) > 0) {
+      await sleep(waitMs);
+    }
+    state.nextStartAt = Date.now() + intervalMs;
+    state.requests++;
+  }
+
+  leave(state) {
+    state.active--;
+    state.waiters.shift()?.();
+  }
+
+  backOff(host, state, rules, retryAfterMs) {
+    state.strikes++;
+    state.blocked++;
+    const delayMs = Math.min(rules.backoffMaxMs, retryAfterMs ?? rules.backoffBaseMs * 2 ** (state.strikes - 1));
+    state.blockedUntil = Math.max(state.blockedUntil, Date.now() + delayMs);
+    return delayMs;
+  }
+
+  /**
+   * Request counts and backoff of every host seen
+   * @returns {Object} host → { active, waiting, requests, blocked, strikes, blockedUntil }
+   */
+  stats() {
+    return Object.fromEntries([...this.hosts.entries()].map(([host, state]) => [host, {
+      active: state.active,
+      waiting: state.waiters.length,
+      requests: state.requests,
+      blocked: state.blocked,
+      strikes: state.strikes,
+      blockedUntil: state.blockedUntil > Date.now() ? new Date(state.blockedUntil).toISOString() : null
+    }]));
+  }
+}
+
+let governor = null;
+
+/**
+ * The process-wide governor (created from config.politeness on first use), shared
+ * by every run so that concurrent runs are spaced too
+ * @returns {DomainGovernor}
+ */
+export function getDomainGovernor() {
+  if (!governor) {
+    governor = new DomainGovernor();
+  }
+  return governor;
+}
+
+/**
+ * Replace the process-wide governor (tests, or other rules)
+ * @param {DomainGovernor|null} domainGovernor - Governor; null creates a default one on next use
+ */
+export function setDomainGovernor(domainGovernor) {
+  governor = domainGovernor;
+}
@@ -1,19 +1,13 @@
-import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, PutCommand, UpdateCommand, GetCommand, QueryCommand, DeleteCommand, BatchWriteCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
+/**
+ * Table helpers used by every workflow. Despite the file name these run on
+ * whichever storage backend is configured (see src/shared/storage).
+ */
+
+import { getStorageBackend, isConditionalCheckFailed, JOB_STATUS_INDEX } from '../storage/index.js';
+import { INITIAL_JOB_STATUS, JOB_STATUS, statusHistoryEntry, transitionJob } from './jobLifecycle.js';
 import { logger } from './logger.js';
 import crypto from 'crypto';
 
-// Initialize DynamoDB client
-const client = new DynamoDBClient({
-  region: process.env.AWS_REGION || 'us-east-1',
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  }
-});
-
-const docClient = DynamoDBDocumentClient.from(client);
-
 /**
  * Generate a unique ID based on a value and prefix
  */
@@ -23,7 +17,7 @@ function generateItemId(value, prefix) {
 }
 
 /**
- * Insert a single item into DynamoDB
+ * Insert a single item
  */
 export const insertItem = async (tableName, item, options = {}) => {
   const {
@@ -52,12 +46,10 @@ export const insertItem = async (tableName, item, options = {}) => {
       [statusField]: statusValue
     };
 
-    const putCommand = new PutCommand({
+    await getStorageBackend().put({
       TableName: tableName,
       Item: dbItem
     });
-
-    await docClient.send(putCommand);
     logger.info(`Inserted item: ${dbItem[idField]} in table ${tableName}`);
     
     return dbItem;
@@ -68,7 +60,7 @@ export const insertItem = async (tableName, item, options = {}) => {
 };
 
 /**
- * Insert multiple items into DynamoDB using BatchWrite
+ * Insert multiple items using BatchWrite
  */
 export const insertItems = async (tableName, items, options = {}) => {
   const {
@@ -121,13 +113,11 @@ export const insertItems = async (tableName, items, options = {}) => {
     // Execute batch write if we have items
     if (batchItems.length > 0) {
       try {
-        const batchWriteCommand = new BatchWriteCommand({
+        const result = await getStorageBackend().batchWrite({
           RequestItems: {
             [tableName]: batchItems
           }
         });
-
-        const result = await docClient.send(batchWriteCommand);
         
         // Check for unprocessed items (retry logic could be added here)
         if (result.UnprocessedItems && Object.keys(result.UnprocessedItems).length > 0) {
@@ -152,7 +142,7 @@ export const insertItems = async (tableName, items, options = {}) => {
 };
 
 /**
- * Insert multiple items into DynamoDB with retry logic for unprocessed items
+ * Insert multiple items with retry logic for unprocessed items
  */
 export const insertItemsWithRetry = async (tableName, items, options = {}) => {
   const {
@@ -211,13 +201,11 @@ export const insertItemsWithRetry = async (tableName, items, options = {}) => {
 
       while (unprocessedItems.length > 0 && retryCount < maxRetries) {
         try {
-          const batchWriteCommand = new BatchWriteCommand({
+          const result = await getStorageBackend().batchWrite({
             RequestItems: {
               [tableName]: unprocessedItems
             }
           });
-
-          const result = await docClient.send(batchWriteCommand);
           
           // Check for unprocessed items
           if (result.UnprocessedItems && Object.keys(result.UnprocessedItems).length > 0) {
@@ -264,7 +252,7 @@ export const insertItemsWithRetry = async (tableName, items, options = {}) => {
 };
 
 /**
- * Update an item in DynamoDB
+ * Update an item
  */
 export const updateItem = async (tableName, key, updates) => {
   try {
@@ -287,7 +275,7 @@ export const updateItem = async (tableName, key, updates) => {
       expressionAttributeValues[attrValue] = value;
     });
 
-    const updateCommand = new UpdateCommand({
+    const result = await getStorageBackend().update({
       TableName: tableName,
       Key: key,
       UpdateExpression: `SET ${updateExpression.join(', ')}`,
@@ -295,8 +283,6 @@ export const updateItem = async (tableName, key, updates) => {
       ExpressionAttributeValues: expressionAttributeValues,
       ReturnValues: 'ALL_NEW'
     });
-
-    const result = await docClient.send(updateCommand);
     logger.info(`Updated item in table ${tableName}`);
     
     return result.Attributes;
@@ -307,16 +293,14 @@ export const updateItem = async (tableName, key, updates) => {
 };
 
 /**
- * Get an item from DynamoDB
+ * Get an item
  */
 export const getItem = async (tableName, key) => {
   try {
-    const getCommand = new GetCommand({
+    const result = await getStorageBackend().get({
       TableName: tableName,
       Key: key
     });
-
-    const result = await docClient.send(getCommand);
     return result.Item;
   } catch (error) {
     logger.error(`Failed to get item from table ${tableName}:`, error.message);
@@ -325,16 +309,14 @@ export const getItem = async (tableName, key) => {
 };
 
 /**
- * Query items from DynamoDB
+ * Query items
  */
 export const queryItems = async (tableName, queryParams) => {
   try {
-    const queryCommand = new QueryCommand({
+    const result = await getStorageBackend().query({
       TableName: tableName,
       ...queryParams
     });
-
-    const result = await docClient.send(queryCommand);
     return result.Items;
   } catch (error) {
     logger.error(`Failed to query items from table ${tableName}:`, error.message);
@@ -343,16 +325,35 @@ export const queryItems = async (tableName, queryParams) => {
 };
 
 /**
- * Scan items from DynamoDB
+ * Query one page of items, keeping the pagination cursor
+ * @returns {Promise<{items: Array, lastEvaluatedKey: Object|undefined}>}
+ */
+export const queryItemsPage = async (tableName, queryParams) => {
+  try {
+    const result = await getStorageBackend().query({
+      TableName: tableName,
+      ...queryParams
+    });
+
+    return {
+      items: result.Items || [],
+      lastEvaluatedKey: result.LastEvaluatedKey
+    };
+  } catch (error) {
+    logger.error(`Failed to query items page from table ${tableName}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Scan items
  */
 export const scanItems = async (tableName, scanParams = {}) => {
   try {
-    const scanCommand = new ScanCommand({
+    const result = await getStorageBackend().scan({
       TableName: tableName,
       ...scanParams
     });
-
-    const result = await docClient.send(scanCommand);
     return result.Items;
   } catch (error) {
     logger.error(`Failed to scan items from table ${tableName}:`, error.message);
@@ -361,16 +362,38 @@ export const scanItems = async (tableName, scanParams = {}) => {
 };
 
 /**
- * Delete an item from DynamoDB
+ * Scan every item of a table, following LastEvaluatedKey across pages
+ * (a single scan stops at 1 MB)
+ */
+export const scanAllItems = async (tableName, scanParams = {}) => {
+  try {
+    const items = [];
+    let startKey;
+    do {
+      const result = await getStorageBackend().scan({
+        TableName: tableName,
+        ...scanParams,
+        ...(startKey && { ExclusiveStartKey: startKey })
+      });
+      items.push(...(result.Items || []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+  } catch (error) {
+    logger.error(`Failed to scan items from table ${tableName}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Delete an item
  */
 export const deleteItem = async (tableName, key) => {
   try {
-    const deleteCommand = new DeleteCommand({
+    await getStorageBackend().delete({
       TableName: tableName,
       Key: key
     });
-
-    await docClient.send(deleteCommand);
     logger.info(`Deleted item from table ${tableName}`);
   } catch (error) {
     logger.error(`Failed to delete item from table ${tableName}:`, error.message);
@@ -383,14 +406,83 @@ export const insertJobDescriptions = async (jobDescriptions) => {
   return insertItemsWithRetry('job_descriptions', jobDescriptions, {
     idField: 'id',
     idPrefix: 'job',
-    additionalFields: {},
+    additionalFields: {
+      statusHistory: [statusHistoryEntry(null, INITIAL_JOB_STATUS, { reason: 'discovered' })]
+    },
     statusField: 'status',
-    statusValue: 'discovered',
-    timestampField: 'scrapedAt',
+    statusValue: INITIAL_JOB_STATUS,
+    timestampField: 'createdAt', // sort key of the status index
     maxRetries: 3
   });
 };
 
+/**
+ * Insert job descriptions keyed by a deterministic jd_id, leaving known ones in place.
+ * New jobs are written with a conditional put; a job whose jd_id already exists only
+ * gets lastSeenAt/seenCount bumped (and is moved back to 'discovered' if it had expired),
+ * so rediscovering a posting never resets its extraction or application progress.
+ * @param {Array<Object>} jobDescriptions - Jobs with jd_id set
+ * @param {Object} options - { tableName }
+ * @returns {Promise<{newJobs: Array, knownJobs: Array, errors: Array}>}
+ */
+export const upsertJobDescriptions = async (jobDescriptions, options = {}) => {
+  const { tableName = process.env.DYNAMODB_TABLE || 'job_descriptions' } = options;
+  const backend = getStorageBackend();
+  const newJobs = [];
+  const knownJobs = [];
+  const errors = [];
+
+  for (const job of jobDescriptions) {
+    const now = new Date().toISOString();
+    try {
+      const dbItem = {
+        ...JSON.parse(JSON.stringify(job)),
+        status: INITIAL_JOB_STATUS,
+        statusHistory: [statusHistoryEntry(null, INITIAL_JOB_STATUS, { reason: 'discovered', at: now })],
+        createdAt: now,
+        lastSeenAt: now,
+        seenCount: 1
+      };
+
+      await backend.put({
+        TableName: tableName,
+        Item: dbItem,
+        ConditionExpression: 'attribute_not_exists(jd_id)'
+      });
+      newJobs.push(dbItem);
+
+    } catch (error) {
+      if (!isConditionalCheckFailed(error)) {
+        logger.error(`Failed to upsert job ${job.jd_id}:`, error.message);
+        errors.push({ item: job, error: error.message });
+        continue;
+      }
+
+      try {
+        const { Attributes: known } = await backend.update({
+          TableName: tableName,
+          Key: { jd_id: job.jd_id },
+          UpdateExpression: 'SET #lastSeenAt = :now, #seenCount = if_not_exists(#seenCount, :one) + :one',
+          ExpressionAttributeNames: { '#lastSeenAt': 'lastSeenAt', '#seenCount': 'seenCount' },
+          ExpressionAttributeValues: { ':now': now, ':one': 1 },
+          ReturnValues: 'ALL_NEW'
+        });
+
+        knownJobs.push(known.status === JOB_STATUS.EXPIRED
+          ? await transitionJob(job.jd_id, JOB_STATUS.DISCOVERED, { reason: 'seen again', actor: 'job-discovery', tableName })
+          : known);
+      } catch (updateError) {
+        logger.error(`Failed to refresh known job ${job.jd_id}:`, updateError.message);
+        errors.push({ item: job, error: updateError.message });
+      }
+    }
+  }
+
+  logger.info(`Upserted job descriptions: ${newJobs.length} new, ${knownJobs.length} already known, ${errors.length} failed`);
+
+  return { newJobs, knownJobs, errors };
+};
+
 export const insertUserProfiles = async (userProfiles) => {
   return insertItemsWithRetry('user_profiles', userProfiles, {
     idField: 'id',
@@ -413,4 +505,52 @@ export const insertApplicationData = async (applicationData) => {
     timestampField: 'submittedAt',
     maxRetries: 3
   });
-}; 
\ No newline at end of file
+};
+
+/**
+ * Get the next N oldest job descriptions in a status, using the status index
+ * @param {string} status - Job status (e.g. 'discovered')
+ * @param {Object} options - { limit, startKey, newestFirst, createdBefore, readyBy, tableName }
+ *   readyBy skips jobs whose nextAttemptAt (retry backoff) is later than the given ISO time
+ * @returns {Promise<{items: Array, lastEvaluatedKey: Object|undefined}>} One page of jobs, oldest first
+ */
+export const queryJobsByStatus = async (status, options = {}) => {
+  const {
+    limit = 25,
+    startKey = undefined,
+    newestFirst = false,
+    createdBefore = null,
+    readyBy = null,
+    tableName = process.env.DYNAMODB_TABLE || 'job_descriptions'
+  } = options;
+
+  const queryParams = {
+    IndexName: JOB_STATUS_INDEX,
+    KeyConditionExpression: createdBefore
+      ? '#status = :status AND #createdAt < :createdBefore'
+      : '#status = :status',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+      ...(createdBefore && { '#createdAt': 'createdAt' }),
+      ...(readyBy && { '#nextAttemptAt': 'nextAttemptAt' })
+    },
+    ExpressionAttributeValues: {
+      ':status': status,
+      ...(createdBefore && { ':createdBefore': createdBefore }),
+      ...(readyBy && { ':readyBy': readyBy })
+    },
+    ScanIndexForward: !newestFirst,
+    Limit: limit
+  };
+
+  // Limit applies before the filter, so a page can hold fewer than `limit` ready jobs
+  if (readyBy) {
+    queryParams.FilterExpression = 'attribute_not_exists(#nextAttemptAt) OR #nextAttemptAt <= :readyBy';
+  }
+
+  if (startKey) {
+    queryParams.ExclusiveStartKey = startKey;
+  }
+
+  return queryItemsPage(tableName, queryParams);
+};
@@ -4,6 +4,7 @@ export const easyApplyStateSchema = {
   currentStep: { type: 'string', optional: true },
   isComplete: { type: 'boolean', optional: true },
   error: { type: 'string', optional: true },
+  correlationId: { type: 'string', optional: true }, // Correlation ID of the request or run (correlation.js)
   
   // Page context
   page: { type: 'any', optional: true }, // Stagehand page reference
@@ -2,8 +2,28 @@ import { Stagehand } from '@browserbasehq/stagehand';
 import { z } from 'zod';
 import { config } from '../config/environment.js';
 import { logger } from './logger.js';
+import { getLlmProvider } from '../llm/index.js';
+import { recordLlmUsage } from './llmUsage.js';
 
-class EnhancedStagehandClient {
+// Stagehand log levels: 0 errors, 1 info, 2 debug
+const STAGEHAND_LOG_LEVELS = ['error', 'info', 'debug'];
+
+/**
+ * Forward a Stagehand log line to the structured logger, which redacts it and
+ * writes it to LOG_FILE. Stagehand's own logger prints act/extract instructions,
+ * which carry candidate data when filling forms, straight to stdout.
+ * @param {Object} logLine - Stagehand LogLine { category, message, level, auxiliary }
+ */
+export function logStagehandLine({ category, message, level = 1, auxiliary = {} }) {
+  const fields = Object.fromEntries(Object.entries(auxiliary).map(([key, entry]) => [key, entry?.value]));
+  logger.log(STAGEHAND_LOG_LEVELS[level] || 'info', `Stagehand${category ? ` [${category}]` : ''}: ${message}`, fields);
+}
+
+/**
+ * One Stagehand browser session. Workflows lease sessions from the browser pool
+ * (browserPool.js) instead of creating clients themselves.
+ */
+export class EnhancedStagehandClient {
   constructor() {
     this.stagehand = null;
     this.isInitialized = false;
@@ -12,29 +32,36 @@ class EnhancedStagehandClient {
   async initialize() {
     if (this.isInitialized) return;
 
-    logger.info('Initializing Enhanced Stagehand client');
-    console.log("browserbaseApiKey",  config.stagehand.browserbaseApiKey);
-    console.log("projectId", config.stagehand.projectId);
-    console.log("openaiApiKey", config.stagehand.openaiApiKey);
-    console.log("env", config.stagehand.env);
+    // Only whether credentials are configured is logged, never their values
+    logger.info('Initializing Enhanced Stagehand client', {
+      env: config.stagehand.env,
+      projectId: config.stagehand.projectId,
+      browserbaseApiKeyConfigured: Boolean(config.stagehand.browserbaseApiKey),
+      openaiApiKeyConfigured: Boolean(config.stagehand.openaiApiKey)
+    });
 
     try {
+      // Model from the configured LLM provider (a fast model for extraction)
+      const provider = getLlmProvider();
+      const modelOptions = await provider.stagehandOptions(process.env.STAGEHAND_MODEL_NAME);
+
       this.stagehand = new Stagehand({
         env: "LOCAL", // Use cloud-based browser
         apiKey: config.stagehand.browserbaseApiKey,
         projectId: config.stagehand.projectId,
-        modelName: "openai/gpt-4o-mini", // Use a fast model for extraction
-        modelClientOptions: {
-          apiKey: config.stagehand.openaiApiKey,
-        },
+        ...modelOptions,
+        verbose: 1,
+        logger: logStagehandLine,
+        // Stagehand's own call cache (tmp/.cache) has no TTL or per-call opt-out and would keep
+        // the candidate data of form filling; an llmClient from src/shared/llm uses the LLM response cache
+        enableCaching: false,
       });
 
+      this.recordStagehandUsage(modelOptions.modelName || provider.defaultModel);
+
       await this.stagehand.init();
       this.isInitialized = true;
 
-      // const health = await this.checkHealth();
-      // console.log("health", health);  
-      
       logger.info('Enhanced Stagehand client initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize Enhanced Stagehand client', { error: error.message });
@@ -42,6 +69,24 @@ class EnhancedStagehandClient {
     }
   }
 
+  /**
+   * Record the tokens of every act/extract/observe/agent call in the LLM usage ledger.
+   * Stagehand reports them through updateMetrics() from inside the call, so the
+   * usage is attributed to the node that awaited it.
+   * @param {string} model - Model Stagehand was configured with
+   */
+  recordStagehandUsage(model) {
+    const updateMetrics = this.stagehand.updateMetrics.bind(this.stagehand);
+    this.stagehand.updateMetrics = (functionName, promptTokens, completionTokens, inferenceTimeMs) => {
+      updateMetrics(functionName, promptTokens, completionTokens, inferenceTimeMs);
+      recordLlmUsage({
+        model,
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+        source: `stagehand.${String(functionName).toLowerCase()}`
+      });
+    };
+  }
+
   async start() {
     await this.initialize();
   }
@@ -244,37 +289,35 @@ class EnhancedStagehandClient {
     return this.stagehand.agent();
   }
 
-  // async checkHealth() {
-  //   try {
-  //     if (!this.isInitialized) {
-  //       await this.initialize();
-  //     }
-      
-  //     // Test if we can access the page
-  //     const page = this.stagehand.page;
-  //     if (!page) {
-  //       return { status: 'error', message: 'No page available' };
-  //     }
-      
-  //     // Try a simple operation to test connectivity
-  //     await page.goto('https://www.google.com', { waitUntil: 'domcontentloaded' });
-  //     const title = await page.title();
-      
-  //     return { 
-  //       status: 'healthy', 
-  //       message: 'Stagehand is working correctly',
-  //       title: title,
-  //       isInitialized: this.isInitialized
-  //     };
-      
-  //   } catch (error) {
-  //     return { 
-  //       status: 'error', 
-  //       message: `Stagehand health check failed: ${error.message}`,
-  //       isInitialized: this.isInitialized
-  //     };
-  //   }
-  // }
+  /**
+   * Check that the browser still answers (used by the browser pool before reusing a session)
+   * @returns {Promise<Object>} { status: 'healthy' | 'error', message, isInitialized }
+   */
+  async checkHealth() {
+    const page = this.stagehand?.page;
+    if (!this.isInitialized || !page) {
+      return { status: 'error', message: 'No page available', isInitialized: this.isInitialized };
+    }
+    if (page.isClosed?.()) {
+      return { status: 'error', message: 'Page is closed', isInitialized: this.isInitialized };
+    }
+
+    try {
+      await page.evaluate(() => document.readyState);
+      return { status: 'healthy', message: 'Stagehand is working correctly', isInitialized: this.isInitialized };
+    } catch (error) {
+      return { status: 'error', message: `Stagehand health check failed: ${error.message}`, isInitialized: this.isInitialized };
+    }
+  }
+
+  /**
+   * Clear what the last run left behind (cookies, open page) before the session is leased again
+   */
+  async reset() {
+    if (!this.isInitialized) return;
+    await this.stagehand.context.clearCookies();
+    await this.stagehand.page.goto('about:blank');
+  }
 
   async close() {
     if (this.stagehand && this.isInitialized) {
@@ -288,5 +331,3 @@ class EnhancedStagehandClient {
     }
   }
 }
-
-export const enhancedStagehandClient = new EnhancedStagehandClient(); 
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Evidence Capture
+ * Screenshots and trimmed DOM of the browser nodes, so a failed application or
+ * filter analysis can be looked at after the fact instead of guessed from logs.
+ *
+ * EVIDENCE_CAPTURE=off (default) | errors | all
+ *
+ *   errors  capture when a node throws or reports an error in its state update
+ *   all     also capture at every node entry and exit
+ *
+ * Artifacts go to the configured artifact store (src/shared/artifacts) under
+ * runs/<run ID>/ and are listed on the run record as `artifacts`, each with a
+ * GET /api/v1/runs/:id/artifacts/:name link. Outside an API run they go under
+ * unattached/<date>/ and are only logged. Capturing never fails a node.
+ *
+ *   workflow.addNode('fill_form', withRunEvents('easy-apply', 'fill_form',
+ *     withEvidence('easy-apply', 'fill_form', fillFormNode)));
+ */
+
+import { config } from '../config/environment.js';
+import { getArtifactStore } from '../artifacts/index.js';
+import { logger } from './logger.js';
+import { RUN_EVENT_TYPES, currentRunId, publishRunEvent } from './runEvents.js';
+
+export const EVIDENCE_MODES = Object.freeze({
+  OFF: 'off',
+  ERRORS: 'errors',
+  ALL: 'all'
+});
+
+export const EVIDENCE_PHASES = Object.freeze({
+  ENTRY: 'entry',
+  EXIT: 'exit',
+  ERROR: 'error'
+});
+
+// Artifacts listed on one run record; later captures are still stored, only not listed
+const MAX_RUN_ARTIFACTS = 200;
+
+// run ID -> { sequence, artifacts } for the runs capturing in this process
+const runArtifacts = new Map();
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Page HTML without scripts, styles, SVGs, comments and inline data URIs,
+ * whitespace collapsed and cut at maxBytes
+ * @param {string} html - Page HTML
+ * @param {number} [maxBytes] - Size limit
+ * @returns {string}
+ */
+export function trimDom(html = '', maxBytes = config.evidence.maxDomBytes) {
+  const trimmed = html
+    .replace(/<(script|style|noscript|svg|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/(["'])data:[^"']{64,}\1/g, '$1data:…$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (Buffer.byteLength(trimmed) <= maxBytes) {
+    return trimmed;
+  }
+  return `${Buffer.from(trimmed).subarray(0, maxBytes).toString().replace(/�+$/, '')}\n<!-- truncated by evidence capture -->`;
+}
+
+function slug(value) {
+  return String(value).replace(/[^\w-]+/g, '_');
+}
+
+function nextArtifactName(runId, workflow, node, phase) {
+  let entry = runArtifacts.get(runId);
+  if (!entry) {
+    entry = { sequence: 0, artifacts: [] };
+    runArtifacts.set(runId, entry);
+  }
+  entry.sequence++;
+  return `${String(entry.sequence).padStart(3, '0')}-${slug(workflow)}-${slug(node)}-${phase}`;
+}
+
+/**
+ * Capture a screenshot and the trimmed DOM of a page
+ * @param {Object} page - Stagehand page
+ * @param {Object} details - { workflow, node, phase, error }
+ * @returns {Promise<Object|null>} Artifact record, or null when nothing could be captured
+ */
+export async function captureEvidence(page, { workflow, node, phase, error = null }) {
+  const runId = currentRunId();
+  const prefix = runId ? `runs/${runId}` : `unattached/${new Date().toISOString().slice(0, 10)}`;
+  const name = nextArtifactName(runId || prefix, workflow, node, phase);
+  const store = getArtifactStore();
+  const { timeoutMs } = config.evidence;
+
+  const record = {
+    workflow,
+    node,
+    phase,
+    url: null,
+    capturedAt: new Date().toISOString(),
+    ...(error && { error })
+  };
+
+  try {
+    record.url = page.url?.() || null;
+  } catch (urlError) {
+    // A closed page has no URL
+  }
+
+  const parts = [
+    ['screenshot', 'png', 'image/png', () => page.screenshot({ type: 'png' })],
+    ['dom', 'html', 'text/html; charset=utf-8', async () => trimDom(await page.content())]
+  ];
+
+  for (const [part, extension, contentType, read] of parts) {
+    try {
+      const body = await withTimeout(read(), timeoutMs, `${part} capture timed out after ${timeoutMs}ms`);
+      const file = `${name}.${extension}`;
+      const stored = await store.put(`${prefix}/${file}`, body, { contentType });
+      record[part] = {
+        ...stored,
+        ...(runId && { link: `/api/v1/runs/${runId}/artifacts/${file}` })
+      };
+    } catch (captureError) {
+      logger.warn('Evidence capture failed', { workflow, node, phase, part, error: captureError.message });
+    }
+  }
+
+  if (!record.screenshot && !record.dom) {
+    return null;
+  }
+
+  if (runId) {
+    const { artifacts } = runArtifacts.get(runId);
+    if (artifacts.length < MAX_RUN_ARTIFACTS) {
+      artifacts.push(record);
+    }
+    publishRunEvent(RUN_EVENT_TYPES.ARTIFACT, record);
+  } else {
+    logger.info('Evidence captured', { workflow, node, phase, screenshot: record.screenshot?.location, dom: record.dom?.location });
+  }
+  return record;
+}
+
+/**
+ * Artifacts captured for a run, forgotten afterwards (the run manager stores them on the run record)
+ * @param {string} runId - Run ID
+ * @returns {Array<Object>}
+ */
+export function takeRunArtifacts(runId) {
+  const artifacts = runArtifacts.get(runId)?.artifacts || [];
+  runArtifacts.delete(runId);
+  return artifacts;
+}
+
+function describeError(error) {
+  return typeof error === 'string' ? error : error?.error || error?.message || JSON.stringify(error);
+}
+
+/**
+ * Error a node reported without throwing: a new entry in errors (discovery
+ * nodes), a new error (easy apply nodes) or a step ending in _failed
+ */
+function failureOf(state, update) {
+  const newErrors = Array.isArray(update?.errors) ? update.errors.slice((state.errors || []).length) : [];
+  if (newErrors.length > 0) {
+    return describeError(newErrors[0]);
+  }
+  if (update?.error && update.error !== state.error) {
+    return describeError(update.error);
+  }
+  if (/_failed$/.test(update?.currentStep || '') && update.currentStep !== state.currentStep) {
+    return update.currentStep;
+  }
+  return null;
+}
+
+/**
+ * Wrap a browser node so it captures evidence of state.page per EVIDENCE_CAPTURE:
+ * at entry and exit (all), and when it throws or reports an error (errors, all)
+ * @param {string} workflow - Workflow name (e.g. 'easy-apply')
+ * @param {string} nodeName - Node name in the graph
+ * @param {Function} node - The node function
+ * @returns {Function} Wrapped node
+ */
+export function withEvidence(workflow, nodeName, node) {
+  return async (state, nodeConfig) => {
+    const mode = config.evidence.mode;
+    const page = state?.page;
+    if (mode === EVIDENCE_MODES.OFF || !page) {
+      return node(state, nodeConfig);
+    }
+
+    const capture = (phase, error) => captureEvidence(page, { workflow, node: nodeName, phase, error })
+      .catch(captureError => logger.warn('Evidence capture failed', { workflow, node: nodeName, phase, error: captureError.message }));
+
+    if (mode === EVIDENCE_MODES.ALL) {
+      await capture(EVIDENCE_PHASES.ENTRY);
+    }
+
+    let update;
+    try {
+      update = await node(state, nodeConfig);
+    } catch (error) {
+      await capture(EVIDENCE_PHASES.ERROR, error.message);
+      throw error;
+    }
+
+    const failure = failureOf(state, update);
+    if (failure) {
+      await capture(EVIDENCE_PHASES.ERROR, failure);
+    } else if (mode === EVIDENCE_MODES.ALL) {
+      await capture(EVIDENCE_PHASES.EXIT);
+    }
+
+    return update;
+  };
+}
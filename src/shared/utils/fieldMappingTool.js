@@ -1,5 +1,6 @@
 // Field Mapping Tool - AI-powered field mapping for job applications
 import { config } from '../config/environment.js';
+import { logger } from './logger.js';
 
 export const fieldMappingTool = {
   name: "map_form_fields",
@@ -8,22 +9,21 @@ export const fieldMappingTool = {
   invoke: async (input) => {
     const { formFields, candidateData } = input;
     
-    console.log('🔧 FieldMappingTool: Mapping fields...');
-    console.log('Form fields:', formFields);
-    console.log('Candidate data:', candidateData);
+    logger.info('🔧 FieldMappingTool: Mapping fields...', { formFields: formFields?.length ?? 0 });
     
     try {
       // Use AI to map fields intelligently
       const mappingResult = await mapFieldsWithAI(formFields, candidateData);
       
-      console.log('✅ FieldMappingTool: Mapping completed');
-      console.log('Mapped fields:', mappingResult.mappedFields.length);
-      console.log('Unmapped fields:', mappingResult.unmappedFields.length);
+      logger.info('✅ FieldMappingTool: Mapping completed', {
+        mappedFields: mappingResult.mappedFields.length,
+        unmappedFields: mappingResult.unmappedFields.length
+      });
       
       return mappingResult;
       
     } catch (error) {
-      console.error('❌ FieldMappingTool error:', error.message);
+      logger.error('❌ FieldMappingTool error', { error: error.message });
       return {
         success: false,
         mappedFields: [],
@@ -185,7 +185,7 @@ function normalizeCandidateData(candidateData) {
       const today = new Date();
       candidate.age = Math.floor((today - dobDate) / (365.25 * 24 * 60 * 60 * 1000)).toString();
     } catch (e) {
-      console.log('Could not calculate age from DOB:', candidate.dob);
+      logger.warn('Could not calculate age from the date of birth');
     }
   }
   
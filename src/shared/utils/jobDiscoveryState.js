@@ -1,10 +1,22 @@
 import { z } from 'zod';
 
+// Applicant tracking system board a URL is listed from (src/shared/ats)
+const atsBoardSchema = z.object({
+  platform: z.string(),
+  boardId: z.string(),
+  boardUrl: z.string(),
+  detectedFrom: z.string().optional()
+});
+
 export const jobDiscoveryStateSchema = {
   // Input configuration
   configPath: z.string().describe('Path to the CSV file containing job discovery URLs'),
   domain: z.string().optional().describe('Target domain for job search (e.g., "software engineering", "data science")'),
   filters: z.record(z.any()).optional().describe('Search filters like keywords, location, experience level, etc.'),
+  politeness: z.record(z.any()).optional().describe('Per-domain request rules of the run (domainGovernor.js), keyed by domain'),
+  valueMappings: z.record(z.record(z.record(z.string()))).optional()
+    .describe('Filter value -> site value tables per parameter, keyed by company ("*" for every company), used when expanding URL templates'),
+  correlationId: z.string().optional().describe('Correlation ID of the request or run, on every log entry (correlation.js)'),
   
   // Browser automation
   page: z.any().optional().describe('Browser page instance'),
@@ -21,7 +33,9 @@ export const jobDiscoveryStateSchema = {
     company: z.string().optional(),
     domain: z.string().optional(),
     filters: z.record(z.any()).optional(),
-    urlType: z.string().optional()
+    urlType: z.string().optional(),
+    ats: atsBoardSchema.optional(),
+    construction: z.string().optional()
   }).optional().describe('Current URL being processed'),
   
   currentUrlIndex: z.number().describe('Current URL index in the processed URLs array').default(0),
@@ -41,8 +55,22 @@ export const jobDiscoveryStateSchema = {
     company: z.string().optional(),
     domain: z.string().optional(),
     filters: z.record(z.any()).optional(),
-    urlType: z.string().optional()
+    urlType: z.string().optional(),
+    ats: atsBoardSchema.optional(),
+    construction: z.string().optional().describe('How the final URL was built: ats, template, stored_template or llm')
   })).optional().describe('URLs processed and ready for scraping'),
+
+  urlConstruction: z.object({
+    ats: z.number(),
+    template: z.number(),
+    stored_template: z.number(),
+    llm: z.number(),
+    failed: z.array(z.object({
+      template: z.string(),
+      company: z.string().optional(),
+      error: z.string().optional()
+    }))
+  }).optional().describe('Config rows per URL construction path, and the rows no URL was built for'),
   
   scrapedJobs: z.array(z.object({
     url: z.string().optional(),
@@ -52,6 +80,8 @@ export const jobDiscoveryStateSchema = {
     salary: z.string().optional(),
     postedDate: z.string().optional(),
     source: z.string(),
+    posting: z.record(z.any()).optional().describe('Structured fields of postings listed from an ATS feed'),
+    promptVersions: z.record(z.number()).optional().describe('Versions of the prompts that selected the job link'),
     scrapedAt: z.string()
   })).optional().describe('Jobs scraped from job sites'),
   
@@ -65,6 +95,12 @@ export const jobDiscoveryStateSchema = {
   
   storedJobs: z.array(z.record(z.any())).optional().describe('Jobs stored in DynamoDB'),
   storageErrors: z.array(z.record(z.any())).optional().describe('Errors from DynamoDB storage'),
+  storageSummary: z.object({
+    new: z.number(),
+    known: z.number(),
+    duplicates: z.number(),
+    invalid: z.number()
+  }).optional().describe('Jobs stored for the first time vs already known (same canonical URL)'),
   
   // Error handling
   errors: z.array(z.object({
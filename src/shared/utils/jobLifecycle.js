@@ -0,0 +1,231 @@
+/**
+ * Job Lifecycle
+ * The single source of truth for the status of job_descriptions records.
+ *
+ * Every status change goes through transitionJob(), which checks the move
+ * against JOB_TRANSITIONS, writes it conditionally on the status it read (so
+ * two writers cannot both move the same job) and appends it to the item's
+ * statusHistory in the same write.
+ */
+
+import { getStorageBackend, isConditionalCheckFailed } from '../storage/index.js';
+import { logger } from './logger.js';
+
+export const JOB_STATUS = Object.freeze({
+  DISCOVERED: 'discovered',
+  EXTRACTING: 'extracting',
+  EXTRACTED: 'extracted',
+  EXTRACTION_FAILED: 'extraction_failed',
+  DEAD_LETTER: 'dead_letter',
+  EXPIRED: 'expired',
+  MATCHED: 'matched',
+  APPLYING: 'applying',
+  APPLIED: 'applied',
+  APPLICATION_FAILED: 'application_failed'
+});
+
+const S = JOB_STATUS;
+
+/**
+ * Allowed moves, keyed by the current status.
+ * extracting -> extracting is a lease takeover after a worker died;
+ * discovered -> extracted covers workflows run directly, outside the queue.
+ */
+export const JOB_TRANSITIONS = Object.freeze({
+  [S.DISCOVERED]: [S.EXTRACTING, S.EXTRACTED, S.EXPIRED],
+  [S.EXTRACTING]: [S.EXTRACTING, S.EXTRACTED, S.DISCOVERED, S.EXTRACTION_FAILED, S.DEAD_LETTER],
+  [S.EXTRACTED]: [S.MATCHED, S.APPLYING, S.EXPIRED],
+  [S.EXTRACTION_FAILED]: [S.DISCOVERED, S.EXPIRED],
+  [S.DEAD_LETTER]: [S.DISCOVERED, S.EXPIRED],
+  [S.EXPIRED]: [S.DISCOVERED],
+  [S.MATCHED]: [S.APPLYING, S.EXPIRED],
+  [S.APPLYING]: [S.APPLIED, S.APPLICATION_FAILED],
+  [S.APPLIED]: [],
+  [S.APPLICATION_FAILED]: [S.APPLYING, S.MATCHED, S.EXPIRED]
+});
+
+export const INITIAL_JOB_STATUS = S.DISCOVERED;
+
+// Attributes owned by the lifecycle; transitionJob() never takes them from `updates`
+const LIFECYCLE_FIELDS = ['jd_id', 'status', 'statusHistory', 'statusUpdatedAt'];
+
+const DEFAULT_TABLE = () => process.env.DYNAMODB_TABLE || 'job_descriptions';
+
+/**
+ * Error thrown when a transition is not allowed or loses a race
+ */
+export class JobTransitionError extends Error {
+  constructor(message, { jdId, from, to, statusCode = 409 } = {}) {
+    super(message);
+    this.name = 'JobTransitionError';
+    this.jdId = jdId;
+    this.from = from;
+    this.to = to;
+    this.statusCode = statusCode;
+  }
+}
+
+export function isJobStatus(status) {
+  return Object.values(JOB_STATUS).includes(status);
+}
+
+/**
+ * Check whether a job may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (JOB_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Statuses a job may be in for the given target status to be reachable
+ * @param {string} to - Target status
+ * @returns {Array<string>}
+ */
+export function statusesLeadingTo(to) {
+  return Object.keys(JOB_TRANSITIONS).filter(from => canTransition(from, to));
+}
+
+/**
+ * Build one statusHistory entry
+ * @param {string|null} from - Previous status (null for a new record)
+ * @param {string} to - New status
+ * @param {Object} details - { reason, actor, at }
+ * @returns {Object} History entry
+ */
+export function statusHistoryEntry(from, to, { reason, actor, at = new Date().toISOString() } = {}) {
+  return {
+    from: from ?? null,
+    to,
+    at,
+    ...(reason && { reason }),
+    ...(actor && { actor })
+  };
+}
+
+/**
+ * Move a job to a new status with a conditional write
+ * @param {string} jdId - Job ID
+ * @param {string} to - Target status
+ * @param {Object} options
+ * @param {string|Array<string>} options.expectedFrom - Only move from these statuses
+ * @param {Object|Function} options.updates - Attributes to SET in the same write,
+ *   or a function of the current job returning them
+ * @param {Object} options.append - Lists to append to, { attribute: [entries] }
+ * @param {Array<string>} options.remove - Attributes to REMOVE in the same write
+ * @param {Object|Function} options.condition - Extra condition, { expression, names, values },
+ *   or a function of the current job returning one (or null for none)
+ * @param {string} options.reason - Why the job moved (recorded in statusHistory)
+ * @param {string} options.actor - Who moved it (worker ID, route, workflow)
+ * @param {string} options.tableName - Job descriptions table
+ * @returns {Promise<Object>} The updated job
+ * @throws {JobTransitionError} If the job is missing, the move is not allowed,
+ *   or the job changed between the read and the write
+ */
+export async function transitionJob(jdId, to, options = {}) {
+  const {
+    expectedFrom,
+    updates = {},
+    append = {},
+    remove = [],
+    condition,
+    reason,
+    actor,
+    tableName = DEFAULT_TABLE()
+  } = options;
+
+  if (!isJobStatus(to)) {
+    throw new JobTransitionError(`Unknown job status '${to}'`, { jdId, to, statusCode: 400 });
+  }
+
+  const backend = getStorageBackend();
+  const { Item: job } = await backend.get({ TableName: tableName, Key: { jd_id: jdId } });
+
+  if (!job) {
+    throw new JobTransitionError(`Job ${jdId} not found`, { jdId, to, statusCode: 404 });
+  }
+
+  const from = job.status;
+  const expected = expectedFrom ? [].concat(expectedFrom) : null;
+
+  if (expected && !expected.includes(from)) {
+    throw new JobTransitionError(
+      `Job ${jdId} has status '${from}', expected ${expected.map(status => `'${status}'`).join(' or ')}`,
+      { jdId, from, to }
+    );
+  }
+
+  if (!canTransition(from, to)) {
+    throw new JobTransitionError(`Job ${jdId} cannot move from '${from}' to '${to}'`, { jdId, from, to });
+  }
+
+  const now = new Date().toISOString();
+  const names = { '#status': 'status', '#statusUpdatedAt': 'statusUpdatedAt', '#statusHistory': 'statusHistory' };
+  const values = {
+    ':from': from,
+    ':to': to,
+    ':now': now,
+    ':empty': [],
+    ':entry': [statusHistoryEntry(from, to, { reason, actor, at: now })]
+  };
+  const setClauses = [
+    '#status = :to',
+    '#statusUpdatedAt = :now',
+    '#statusHistory = list_append(if_not_exists(#statusHistory, :empty), :entry)'
+  ];
+
+  const fields = typeof updates === 'function' ? updates(job) : updates;
+  Object.entries(fields)
+    .filter(([field, value]) => !LIFECYCLE_FIELDS.includes(field) && value !== undefined)
+    .forEach(([field, value], index) => {
+      names[`#u${index}`] = field;
+      values[`:u${index}`] = value;
+      setClauses.push(`#u${index} = :u${index}`);
+    });
+
+  Object.entries(append).forEach(([field, entries], index) => {
+    names[`#a${index}`] = field;
+    values[`:a${index}`] = entries;
+    setClauses.push(`#a${index} = list_append(if_not_exists(#a${index}, :empty), :a${index})`);
+  });
+
+  const removeClauses = remove.map((field, index) => {
+    names[`#r${index}`] = field;
+    return `#r${index}`;
+  });
+
+  let conditionExpression = '#status = :from';
+  const extraCondition = typeof condition === 'function' ? condition(job) : condition;
+  if (extraCondition) {
+    conditionExpression += ` AND (${extraCondition.expression})`;
+    Object.assign(names, extraCondition.names);
+    Object.assign(values, extraCondition.values);
+  }
+
+  try {
+    const result = await backend.update({
+      TableName: tableName,
+      Key: { jd_id: jdId },
+      UpdateExpression: `SET ${setClauses.join(', ')}${removeClauses.length > 0 ? ` REMOVE ${removeClauses.join(', ')}` : ''}`,
+      ConditionExpression: conditionExpression,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    });
+
+    logger.info(`JobLifecycle: ${jdId} ${from} -> ${to}${reason ? ` (${reason})` : ''}`);
+    return result.Attributes;
+
+  } catch (error) {
+    if (isConditionalCheckFailed(error)) {
+      throw new JobTransitionError(`Job ${jdId} changed while moving from '${from}' to '${to}'`, { jdId, from, to });
+    }
+    throw error;
+  }
+}
+
+export function isJobTransitionError(error) {
+  return error?.name === 'JobTransitionError';
+}
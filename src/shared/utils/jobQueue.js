@@ -0,0 +1,303 @@
+/**
+ * Job Queue
+ * Lease-based work queue on top of the job_descriptions table.
+ *
+ * A worker claims a job with a lifecycle transition that moves it from the
+ * pending status (e.g. 'discovered') to a working status (e.g. 'extracting')
+ * and stamps a lease. Only one claim can win; a lease that expires (crashed
+ * worker) makes the job claimable again. Failures put the job back with an
+ * exponential backoff until maxAttempts, after which it is dead-lettered.
+ * Status moves go through jobLifecycle.js so they land in statusHistory.
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import { getStorageBackend, isConditionalCheckFailed } from '../storage/index.js';
+import { queryJobsByStatus } from './dynamoDB.js';
+import { JOB_STATUS, transitionJob, isJobTransitionError } from './jobLifecycle.js';
+import { logger } from './logger.js';
+
+export const DEAD_LETTER_STATUS = JOB_STATUS.DEAD_LETTER;
+
+const DEFAULT_TABLE = () => process.env.DYNAMODB_TABLE || 'job_descriptions';
+
+/**
+ * Create a worker identifier that is unique across hosts and processes
+ * @param {string} prefix - Worker kind (e.g. 'processor', 'api')
+ * @returns {string} Worker ID
+ */
+export function createWorkerId(prefix = 'worker') {
+  return `${prefix}:${os.hostname()}:${process.pid}:${crypto.randomUUID().substring(0, 8)}`;
+}
+
+/**
+ * Backoff before the next attempt: baseMs, 2x, 4x, ... capped at maxMs
+ * @param {number} attempts - Attempts made so far
+ * @param {Object} options - { baseMs, maxMs }
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempts, { baseMs = 60000, maxMs = 3600000 } = {}) {
+  return Math.min(baseMs * Math.pow(2, Math.max(0, attempts - 1)), maxMs);
+}
+
+/**
+ * Find jobs that can be claimed right now, oldest first
+ * @param {Object} options - { pendingStatus, workingStatus, limit, tableName, maxPages }
+ * @returns {Promise<Array>} Claimable jobs (claims can still lose a race)
+ */
+export async function findClaimableJobs(options = {}) {
+  const {
+    pendingStatus = JOB_STATUS.DISCOVERED,
+    workingStatus = JOB_STATUS.EXTRACTING,
+    limit = 1,
+    tableName = DEFAULT_TABLE(),
+    maxPages = 5
+  } = options;
+
+  const now = new Date().toISOString();
+  const candidates = [];
+
+  // Pending jobs whose backoff has elapsed
+  let startKey;
+  let pages = 0;
+  do {
+    const page = await queryJobsByStatus(pendingStatus, {
+      limit: Math.max(limit, 10),
+      startKey,
+      readyBy: now,
+      tableName
+    });
+    candidates.push(...page.items);
+    startKey = page.lastEvaluatedKey;
+    pages++;
+  } while (startKey && candidates.length < limit && pages < maxPages);
+
+  // Jobs whose worker died without releasing the lease
+  if (candidates.length < limit) {
+    const { items } = await queryJobsByStatus(workingStatus, { limit: Math.max(limit, 10), tableName });
+    candidates.push(...items.filter(job => !job.leaseExpiresAt || job.leaseExpiresAt < now));
+  }
+
+  return candidates.slice(0, limit);
+}
+
+/**
+ * Atomically claim a job
+ * @param {string} jdId - Job ID
+ * @param {Object} options - { workerId, leaseMs, pendingStatus, workingStatus, tableName }
+ * @returns {Promise<Object|null>} Claimed job, or null if someone else holds it or it is not pending
+ */
+export async function claimJob(jdId, options = {}) {
+  const {
+    workerId,
+    leaseMs = 15 * 60 * 1000,
+    pendingStatus = JOB_STATUS.DISCOVERED,
+    workingStatus = JOB_STATUS.EXTRACTING,
+    tableName = DEFAULT_TABLE()
+  } = options;
+
+  const now = new Date();
+
+  try {
+    const job = await transitionJob(jdId, workingStatus, {
+      expectedFrom: [pendingStatus, workingStatus],
+      // Pending jobs must be past their backoff; working jobs must have lost their worker
+      condition: current => ({
+        expression: current.status === workingStatus
+          ? 'attribute_not_exists(#leaseExpiresAt) OR #leaseExpiresAt < :claimedAt'
+          : 'attribute_not_exists(#nextAttemptAt) OR #nextAttemptAt <= :claimedAt',
+        names: current.status === workingStatus
+          ? { '#leaseExpiresAt': 'leaseExpiresAt' }
+          : { '#nextAttemptAt': 'nextAttemptAt' },
+        values: { ':claimedAt': now.toISOString() }
+      }),
+      updates: current => ({
+        leaseOwner: workerId,
+        leaseExpiresAt: new Date(now.getTime() + leaseMs).toISOString(),
+        claimedAt: now.toISOString(),
+        attempts: (current.attempts || 0) + 1
+      }),
+      reason: 'claimed',
+      actor: workerId,
+      tableName
+    });
+
+    logger.info(`JobQueue: ${workerId} claimed ${jdId} (attempt ${job.attempts})`);
+    return job;
+
+  } catch (error) {
+    if (isJobTransitionError(error)) {
+      logger.info(`JobQueue: ${jdId} is not claimable (already claimed or not ${pendingStatus})`);
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Extend a lease held by this worker
+ * @returns {Promise<boolean>} False if the lease was lost
+ */
+export async function extendLease(jdId, options = {}) {
+  const { workerId, leaseMs = 15 * 60 * 1000, tableName = DEFAULT_TABLE() } = options;
+
+  try {
+    await getStorageBackend().update({
+      TableName: tableName,
+      Key: { jd_id: jdId },
+      UpdateExpression: 'SET #leaseExpiresAt = :expires',
+      ConditionExpression: '#leaseOwner = :worker',
+      ExpressionAttributeNames: { '#leaseExpiresAt': 'leaseExpiresAt', '#leaseOwner': 'leaseOwner' },
+      ExpressionAttributeValues: {
+        ':expires': new Date(Date.now() + leaseMs).toISOString(),
+        ':worker': workerId
+      }
+    });
+    return true;
+  } catch (error) {
+    if (isConditionalCheckFailed(error)) {
+      logger.warn(`JobQueue: ${workerId} lost the lease on ${jdId}`);
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Release a lease after the job finished successfully.
+ * The status itself is written by the workflow (e.g. the storage node sets 'extracted').
+ * @returns {Promise<boolean>} False if the lease was lost before completion
+ */
+export async function completeJob(jdId, options = {}) {
+  const { workerId, tableName = DEFAULT_TABLE() } = options;
+
+  try {
+    await getStorageBackend().update({
+      TableName: tableName,
+      Key: { jd_id: jdId },
+      UpdateExpression: 'SET #completedAt = :now REMOVE #leaseOwner, #leaseExpiresAt, #nextAttemptAt',
+      ConditionExpression: '#leaseOwner = :worker',
+      ExpressionAttributeNames: {
+        '#completedAt': 'completedAt',
+        '#leaseOwner': 'leaseOwner',
+        '#leaseExpiresAt': 'leaseExpiresAt',
+        '#nextAttemptAt': 'nextAttemptAt'
+      },
+      ExpressionAttributeValues: {
+        ':now': new Date().toISOString(),
+        ':worker': workerId
+      }
+    });
+    return true;
+  } catch (error) {
+    if (isConditionalCheckFailed(error)) {
+      logger.warn(`JobQueue: ${workerId} completed ${jdId} after losing its lease`);
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a failed attempt: back to the pending status with a backoff, or dead-letter.
+ * Failures that retrying cannot fix go straight to the failed status.
+ * @param {Object} job - Claimed job (needs jd_id and attempts)
+ * @param {string} errorMessage - Failure reason
+ * @param {Object} options - { workerId, maxAttempts, backoffMs, retryable, pendingStatus, workingStatus, failedStatus, deadLetterStatus, tableName }
+ * @returns {Promise<Object|null>} Updated job, or null if the lease was lost
+ */
+export async function failJob(job, errorMessage, options = {}) {
+  const {
+    workerId,
+    maxAttempts = 3,
+    backoffMs = 60000,
+    retryable = true,
+    pendingStatus = JOB_STATUS.DISCOVERED,
+    workingStatus = JOB_STATUS.EXTRACTING,
+    failedStatus = JOB_STATUS.EXTRACTION_FAILED,
+    deadLetterStatus = DEAD_LETTER_STATUS,
+    tableName = DEFAULT_TABLE()
+  } = options;
+
+  const attempts = job.attempts || 1;
+  const now = new Date();
+  const nextAttemptAt = new Date(now.getTime() + computeBackoff(attempts, { baseMs: backoffMs })).toISOString();
+
+  let status = pendingStatus;
+  if (!retryable) {
+    status = failedStatus;
+  } else if (attempts >= maxAttempts) {
+    status = deadLetterStatus;
+  }
+  const retrying = status === pendingStatus;
+
+  try {
+    const updated = await transitionJob(job.jd_id, status, {
+      expectedFrom: workingStatus,
+      condition: {
+        expression: '#leaseOwner = :worker',
+        names: { '#leaseOwner': 'leaseOwner' },
+        values: { ':worker': workerId }
+      },
+      updates: {
+        lastError: errorMessage,
+        ...(retrying && { nextAttemptAt }),
+        ...(status === deadLetterStatus && { deadLetteredAt: now.toISOString() }),
+        ...(status === failedStatus && { failedAt: now.toISOString() })
+      },
+      append: {
+        failures: [{ attempt: attempts, error: errorMessage, worker: workerId, at: now.toISOString() }]
+      },
+      remove: retrying ? ['leaseOwner', 'leaseExpiresAt'] : ['leaseOwner', 'leaseExpiresAt', 'nextAttemptAt'],
+      reason: errorMessage,
+      actor: workerId,
+      tableName
+    });
+
+    if (retrying) {
+      logger.warn(`JobQueue: ${job.jd_id} failed attempt ${attempts}/${maxAttempts}, retrying after ${nextAttemptAt}`);
+    } else {
+      logger.error(`JobQueue: ${job.jd_id} moved to ${status} after ${attempts} attempt(s): ${errorMessage}`);
+    }
+
+    return updated;
+
+  } catch (error) {
+    if (isJobTransitionError(error)) {
+      logger.warn(`JobQueue: ${workerId} could not record failure of ${job.jd_id}, lease was lost`);
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Put a dead-lettered or failed job back in the queue with a fresh attempt counter
+ * @returns {Promise<Object|null>} Requeued job, or null if it was not dead-lettered or failed
+ */
+export async function requeueJob(jdId, options = {}) {
+  const {
+    pendingStatus = JOB_STATUS.DISCOVERED,
+    requeueFrom = [DEAD_LETTER_STATUS, JOB_STATUS.EXTRACTION_FAILED],
+    actor = 'requeue',
+    tableName = DEFAULT_TABLE()
+  } = options;
+
+  try {
+    const job = await transitionJob(jdId, pendingStatus, {
+      expectedFrom: requeueFrom,
+      updates: { attempts: 0 },
+      remove: ['nextAttemptAt', 'deadLetteredAt', 'failedAt'],
+      reason: 'requeued',
+      actor,
+      tableName
+    });
+    logger.info(`JobQueue: ${jdId} requeued`);
+    return job;
+  } catch (error) {
+    if (isJobTransitionError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
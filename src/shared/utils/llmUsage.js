@@ -0,0 +1,293 @@
+/**
+ * LLM Usage Accounting
+ * Records the tokens and estimated cost (see src/shared/llm/pricing.js) of
+ * every LLM call: chatCompletion() and Stagehand's act/extract/observe.
+ *
+ * Calls are attributed to the run, workflow, node and jd_id they execute for,
+ * picked up from an async context so nodes do not have to pass anything along:
+ * the run manager sets the run, withRunEvents() the workflow and node, and the
+ * extraction worker the jd_id. Each call is written to the llm_usage ledger
+ * (one partition per UTC day, plus a running 'total' item per day) and added
+ * to the usage summaries of the enclosing contexts, which the run manager
+ * stores on the run record and the extraction worker on the job item.
+ *
+ * LLM_DAILY_BUDGET_USD and LLM_DAILY_TOKEN_BUDGET cap a day's usage; when one
+ * is exceeded the cron jobs pause until the next UTC day. Runs started through
+ * the API are not stopped.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { config } from '../config/environment.js';
+import { estimateCost } from '../llm/pricing.js';
+import { getStorageBackend, isConditionalCheckFailed, LLM_USAGE_TABLE } from '../storage/index.js';
+import { queryItemsPage } from './dynamoDB.js';
+import { logger } from './logger.js';
+
+export const USAGE_GROUPS = Object.freeze(['day', 'model', 'workflow', 'node', 'run_id', 'jd_id', 'source']);
+
+const TOTAL_ENTRY_ID = 'total';
+
+const COUNTERS = ['calls', 'cached_calls', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'cost_usd'];
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * UTC day of a date (YYYY-MM-DD), the ledger partition
+ */
+export function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function emptyCounters() {
+  return Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+}
+
+function addCounters(target, entry) {
+  COUNTERS.forEach(counter => {
+    target[counter] += entry[counter] || 0;
+  });
+  target.cost_usd = roundCost(target.cost_usd);
+  return target;
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * New usage summary: totals plus a breakdown by node and by model
+ * @returns {Object}
+ */
+export function createUsageSummary() {
+  return { ...emptyCounters(), by_node: {}, by_model: {} };
+}
+
+function addToSummary(summary, entry) {
+  addCounters(summary, entry);
+  const node = entry.node || 'unattributed';
+  summary.by_node[node] = addCounters(summary.by_node[node] || emptyCounters(), entry);
+  summary.by_model[entry.model] = addCounters(summary.by_model[entry.model] || emptyCounters(), entry);
+}
+
+/**
+ * Execute fn with its LLM usage attributed to the given run, workflow, node or
+ * jd_id (merged over the attribution of the enclosing context)
+ * @param {Object} attribution - { runId?, workflow?, node?, jdId? }
+ * @param {Function} fn - Function to execute
+ * @param {Object} [summary] - Usage summary (createUsageSummary()) that also totals the usage of fn
+ * @returns {*} fn's return value
+ */
+export function withUsageContext(attribution, fn, summary = null) {
+  const parent = usageContext.getStore();
+  return usageContext.run({
+    attribution: { ...parent?.attribution, ...attribution },
+    summaries: summary ? [...(parent?.summaries || []), summary] : (parent?.summaries || [])
+  }, fn);
+}
+
+/**
+ * Attribution of the current async context
+ * @returns {Object} { runId?, workflow?, node?, jdId? }
+ */
+export function currentUsageAttribution() {
+  return usageContext.getStore()?.attribution || {};
+}
+
+/**
+ * Record one LLM call. Never throws: accounting must not fail the call it accounts for.
+ * @param {Object} call - { model, usage: { prompt_tokens, completion_tokens, total_tokens }, cached?, source? }
+ * @returns {Promise<Object|null>} Ledger entry, or null if it could not be stored
+ */
+export async function recordLlmUsage({ model, usage = {}, cached = false, source = 'chat' }) {
+  const store = usageContext.getStore();
+  const { runId, workflow, node, jdId } = store?.attribution || {};
+  const now = new Date();
+
+  // Cached answers cost nothing; they are counted, not priced
+  const promptTokens = cached ? 0 : usage?.prompt_tokens || 0;
+  const completionTokens = cached ? 0 : usage?.completion_tokens || 0;
+  const { costUsd, priced } = estimateCost(model, { prompt_tokens: promptTokens, completion_tokens: completionTokens });
+
+  const entry = {
+    day: usageDay(now),
+    entry_id: `${now.toISOString()}#${crypto.randomUUID().slice(0, 8)}`,
+    createdAt: now.toISOString(),
+    model: model || 'unknown',
+    source,
+    calls: 1,
+    cached_calls: cached ? 1 : 0,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: cached ? 0 : usage?.total_tokens || promptTokens + completionTokens,
+    cost_usd: roundCost(costUsd),
+    priced,
+    ...(runId && { run_id: runId }),
+    ...(workflow && { workflow }),
+    ...(node && { node }),
+    ...(jdId && { jd_id: jdId })
+  };
+
+  (store?.summaries || []).forEach(summary => addToSummary(summary, entry));
+
+  try {
+    const backend = getStorageBackend();
+    await backend.put({ TableName: LLM_USAGE_TABLE, Item: entry });
+    await backend.update({
+      TableName: LLM_USAGE_TABLE,
+      Key: { day: entry.day, entry_id: TOTAL_ENTRY_ID },
+      UpdateExpression: `ADD ${COUNTERS.map(counter => `#${counter} :${counter}`).join(', ')} SET #updatedAt = :now`,
+      ExpressionAttributeNames: {
+        ...Object.fromEntries(COUNTERS.map(counter => [`#${counter}`, counter])),
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: {
+        ...Object.fromEntries(COUNTERS.map(counter => [`:${counter}`, entry[counter]])),
+        ':now': entry.createdAt
+      }
+    });
+    return entry;
+  } catch (error) {
+    logger.warn(`LLM usage could not be recorded (${entry.model}, ${entry.total_tokens} tokens): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Totals of one day
+ * @param {string} [day] - YYYY-MM-DD, defaults to today (UTC)
+ * @returns {Promise<Object>} { day, calls, cached_calls, prompt_tokens, completion_tokens, total_tokens, cost_usd }
+ */
+export async function getDailyUsage(day = usageDay()) {
+  const { Item } = await getStorageBackend().get({ TableName: LLM_USAGE_TABLE, Key: { day, entry_id: TOTAL_ENTRY_ID } });
+  const totals = emptyCounters();
+  COUNTERS.forEach(counter => {
+    totals[counter] = Item?.[counter] || 0;
+  });
+  return { day, ...totals };
+}
+
+/**
+ * Compare today's usage with the configured daily budgets
+ * @returns {Promise<Object>} { day, exceeded, reason, usage, budget: { costUsd, tokens } }
+ */
+export async function checkDailyBudget() {
+  const { dailyBudgetUsd, dailyTokenBudget } = config.usage;
+  const usage = await getDailyUsage();
+  const budget = { costUsd: dailyBudgetUsd, tokens: dailyTokenBudget };
+
+  let reason = null;
+  if (dailyBudgetUsd && usage.cost_usd >= dailyBudgetUsd) {
+    reason = `daily LLM budget of $${dailyBudgetUsd} reached ($${usage.cost_usd.toFixed(4)} spent on ${usage.day})`;
+  } else if (dailyTokenBudget && usage.total_tokens >= dailyTokenBudget) {
+    reason = `daily LLM token budget of ${dailyTokenBudget} reached (${usage.total_tokens} tokens used on ${usage.day})`;
+  }
+
+  return { day: usage.day, exceeded: Boolean(reason), reason, usage, budget };
+}
+
+/**
+ * Whether a cron job should skip its run because a daily budget is exceeded.
+ * A budget that cannot be checked does not pause anything.
+ * @param {string} jobName - Job name for the log
+ * @returns {Promise<boolean>}
+ */
+export async function isPausedByBudget(jobName) {
+  if (!config.usage.dailyBudgetUsd && !config.usage.dailyTokenBudget) {
+    return false;
+  }
+
+  try {
+    const { exceeded, reason } = await checkDailyBudget();
+    if (exceeded) {
+      logger.warn(`⏸️ ${jobName} paused: ${reason}`);
+    }
+    return exceeded;
+  } catch (error) {
+    logger.error(`Failed to check the daily LLM budget for ${jobName}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Ledger entries of one day
+ */
+async function listDayEntries(day) {
+  const entries = [];
+  let startKey;
+  do {
+    const { items, lastEvaluatedKey } = await queryItemsPage(LLM_USAGE_TABLE, {
+      KeyConditionExpression: '#day = :day',
+      ExpressionAttributeNames: { '#day': 'day' },
+      ExpressionAttributeValues: { ':day': day },
+      ...(startKey && { ExclusiveStartKey: startKey })
+    });
+    entries.push(...items.filter(item => item.entry_id !== TOTAL_ENTRY_ID));
+    startKey = lastEvaluatedKey;
+  } while (startKey);
+  return entries;
+}
+
+/**
+ * Usage report over a range of days
+ * @param {Object} options - { from, to (YYYY-MM-DD, inclusive), groupBy (one of USAGE_GROUPS),
+ *   runId?, jdId?, workflow?, model?, limit? }
+ * @returns {Promise<Object>} { from, to, groupBy, totals, groups: [{ key, ...counters }] }, groups by cost, highest first
+ */
+export async function getUsageReport(options = {}) {
+  const { from = usageDay(), to = from, groupBy = 'day', runId, jdId, workflow, model, limit = 100 } = options;
+
+  const days = [];
+  for (let date = new Date(`${from}T00:00:00Z`); usageDay(date) <= to; date.setUTCDate(date.getUTCDate() + 1)) {
+    days.push(usageDay(date));
+  }
+
+  const totals = emptyCounters();
+  const groups = new Map();
+
+  for (const day of days) {
+    const entries = await listDayEntries(day);
+    entries
+      .filter(entry => (!runId || entry.run_id === runId) && (!jdId || entry.jd_id === jdId)
+        && (!workflow || entry.workflow === workflow) && (!model || entry.model === model))
+      .forEach(entry => {
+        addCounters(totals, entry);
+        const key = entry[groupBy] ?? null;
+        groups.set(key, addCounters(groups.get(key) || emptyCounters(), entry));
+      });
+  }
+
+  return {
+    from,
+    to,
+    groupBy,
+    totals,
+    groups: [...groups.entries()]
+      .map(([key, counters]) => ({ key, ...counters }))
+      .sort((a, b) => b.cost_usd - a.cost_usd || b.total_tokens - a.total_tokens)
+      .slice(0, limit)
+  };
+}
+
+/**
+ * Store the usage of an extraction on its job item (llm_usage)
+ * @param {string} jdId - Job ID
+ * @param {Object} summary - Usage summary
+ * @param {string} tableName - Job descriptions table
+ */
+export async function saveJobUsage(jdId, summary, tableName = process.env.DYNAMODB_TABLE || 'job_descriptions') {
+  try {
+    await getStorageBackend().update({
+      TableName: tableName,
+      Key: { jd_id: jdId },
+      UpdateExpression: 'SET #usage = :usage',
+      ConditionExpression: 'attribute_exists(jd_id)',
+      ExpressionAttributeNames: { '#usage': 'llm_usage' },
+      ExpressionAttributeValues: { ':usage': { ...summary, recordedAt: new Date().toISOString() } }
+    });
+  } catch (error) {
+    if (!isConditionalCheckFailed(error)) {
+      logger.warn(`Failed to store LLM usage on job ${jdId}: ${error.message}`);
+    }
+  }
+}
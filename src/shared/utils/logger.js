@@ -1,55 +1,191 @@
+/**
+ * Logger
+ * Structured logger behind every module of the service.
+ *
+ * Each entry carries a timestamp, the level, the message, the correlation ID
+ * and run ID of the context it was logged in (see correlation.js) and the meta
+ * object. Messages and meta go through redact() (see redaction.js) first, so
+ * API keys, emails, phone numbers and candidate data never reach a sink.
+ *
+ *   LOG_FORMAT=text (default) | json   console output
+ *   LOG_FILE=./logs/application.log    JSON lines, rotated at LOG_MAX_FILE_BYTES,
+ *                                       keeping LOG_MAX_FILES old files (.1 newest)
+ */
+
+import fs from 'fs';
+import path from 'path';
 import { config } from '../config/environment.js';
+import { currentLogContext } from './correlation.js';
+import { redact, redactText } from './redaction.js';
 
-// Simple logger implementation without winston dependency
-class SimpleLogger {
-  constructor() {
-    this.level = config.logging?.level || 'info';
-    this.levels = {
-      error: 0,
-      warn: 1,
-      info: 2,
-      debug: 3,
-    };
+export const LOG_LEVELS = Object.freeze({
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+});
+
+export const LOG_FORMATS = Object.freeze({
+  TEXT: 'text',
+  JSON: 'json'
+});
+
+const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'info', debug: 'debug' };
+
+/**
+ * Append-only JSON lines file, rotated by size: application.log is moved to
+ * application.log.1, .1 to .2 and so on, the oldest beyond maxFiles deleted
+ */
+class RotatingFileSink {
+  constructor({ file, maxBytes, maxFiles }) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.fd = null;
+    this.size = 0;
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.fd = fs.openSync(this.file, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  rotate() {
+    this.close();
+    for (let index = this.maxFiles; index >= 1; index--) {
+      const source = index === 1 ? this.file : `${this.file}.${index - 1}`;
+      if (!fs.existsSync(source)) continue;
+      if (index === this.maxFiles) {
+        fs.rmSync(`${this.file}.${index}`, { force: true });
+      }
+      fs.renameSync(source, `${this.file}.${index}`);
+    }
+    if (this.maxFiles < 1) {
+      fs.rmSync(this.file, { force: true });
+    }
+    this.open();
+  }
+
+  write(line) {
+    if (this.fd === null) {
+      this.open();
+    }
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      this.rotate();
+    }
+    fs.writeSync(this.fd, line);
+    this.size += bytes;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+class StructuredLogger {
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * (Re)configure the logger; settings default to config.logging
+   * @param {Object} options - { level, format, file, maxFileBytes, maxFiles, output }
+   *   output: (level, line) => void replaces the console (used by tests)
+   */
+  configure(options = {}) {
+    const settings = { ...config.logging, ...options };
+    this.sink?.close();
+    this.level = LOG_LEVELS[settings.level] !== undefined ? settings.level : 'info';
+    this.format = settings.format === LOG_FORMATS.JSON ? LOG_FORMATS.JSON : LOG_FORMATS.TEXT;
+    this.output = settings.output || ((level, line) => console[CONSOLE_METHODS[level]](line));
+    this.sink = settings.file
+      ? new RotatingFileSink({ file: settings.file, maxBytes: settings.maxFileBytes, maxFiles: settings.maxFiles })
+      : null;
   }
 
   shouldLog(level) {
-    return this.levels[level] <= this.levels[this.level];
+    return LOG_LEVELS[level] <= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Redacted log entry with the current correlation and run IDs
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object|Error} meta - Extra fields
+   * @returns {Object}
+   */
+  entry(level, message, meta = {}) {
+    const fields = meta instanceof Error ? { error: meta } : (meta && typeof meta === 'object' ? meta : { value: meta });
+    const { correlationId, runId } = currentLogContext();
+    return {
+      timestamp: new Date().toISOString(),
+      level,
+      message: redactText(typeof message === 'string' ? message : JSON.stringify(redact(message))),
+      ...(correlationId && { correlationId }),
+      ...(runId && { runId }),
+      ...redact(fields)
+    };
   }
 
-  formatMessage(level, message, meta = {}) {
-    const timestamp = new Date().toISOString();
+  formatText(entry) {
+    const { timestamp, level, message, correlationId, runId, ...meta } = entry;
+    const ids = [correlationId, runId].filter(Boolean).join(' ');
     const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
-    return `[${timestamp}] ${level.toUpperCase()}: ${message}${metaStr}`;
+    return `[${timestamp}] ${level.toUpperCase()}${ids ? ` (${ids})` : ''}: ${message}${metaStr}`;
   }
 
-  error(message, meta = {}) {
-    if (this.shouldLog('error')) {
-      console.error(this.formatMessage('error', message, meta));
+  log(level, message, meta = {}) {
+    if (!this.shouldLog(level)) {
+      return;
+    }
+
+    const entry = this.entry(level, message, meta);
+    const json = JSON.stringify(entry);
+    this.output(level, this.format === LOG_FORMATS.JSON ? json : this.formatText(entry));
+
+    if (this.sink) {
+      try {
+        this.sink.write(`${json}\n`);
+      } catch (error) {
+        // A broken log file must not break the caller; keep logging to the console
+        this.sink = null;
+        this.output('error', `Logger: LOG_FILE disabled after a write error: ${error.message}`);
+      }
     }
   }
 
+  error(message, meta = {}) {
+    this.log('error', message, meta);
+  }
+
   warn(message, meta = {}) {
-    if (this.shouldLog('warn')) {
-      console.warn(this.formatMessage('warn', message, meta));
-    }
+    this.log('warn', message, meta);
   }
 
   info(message, meta = {}) {
-    if (this.shouldLog('info')) {
-      console.info(this.formatMessage('info', message, meta));
-    }
+    this.log('info', message, meta);
   }
 
   debug(message, meta = {}) {
-    if (this.shouldLog('debug')) {
-      console.debug(this.formatMessage('debug', message, meta));
-    }
+    this.log('debug', message, meta);
   }
 
   // Legacy method for compatibility
   langgraph(nodeName, message, meta = {}) {
     this.info(`[${nodeName}] ${message}`, meta);
   }
+
+  /**
+   * Close the log file (it is reopened by the next entry)
+   */
+  close() {
+    this.sink?.close();
+  }
 }
 
-export const logger = new SimpleLogger(); 
\ No newline at end of file
+export const logger = new StructuredLogger();
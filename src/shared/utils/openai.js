@@ -1,41 +1,60 @@
 /**
  * OpenAI Utility
- * Centralized OpenAI API calls with consistent configuration and error handling
+ * Centralized chat completion calls with consistent configuration and error handling.
+ * The model is served by the configured LLM provider (src/shared/llm): OpenAI,
+ * an OpenAI-compatible endpoint, or the offline stub. Answers are cached by
+ * prompt hash (src/shared/llm/cache.js) unless the call opts out, and the
+ * usage of every call is recorded (src/shared/utils/llmUsage.js).
+ *
+ * structuredCompletion() adds a zod schema on top: the answer is parsed and
+ * validated, and an invalid answer is sent back to the model with the
+ * validation errors until it passes or the repair attempts run out.
  */
 
-import OpenAI from 'openai';
+import { config } from '../config/environment.js';
+import { completeWithCache, getLlmProvider } from '../llm/index.js';
+import { recordLlmUsage } from './llmUsage.js';
+import { logger } from './logger.js';
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: 30000,
-  model: 'gpt-4o-mini'
-});
+/**
+ * First defined option among its aliases; null is kept and means "omit"
+ */
+function option(options, names, fallback) {
+  const name = names.find(candidate => options[candidate] !== undefined);
+  return name ? options[name] : fallback;
+}
 
 /**
  * Make a chat completion request with consistent configuration
  * @param {Array} messages - Array of message objects
- * @param {Object} options - Additional options
- * @returns {Promise<Object>} OpenAI response
+ * @param {Object} options - { model?, maxTokens? (null: no limit), temperature?, responseFormat? (null: plain text),
+ *   cache? (false: always ask the model, { ttlMs }: custom TTL) }
+ * @returns {Promise<Object>} { success, data: message content, usage, model, cached } or { success: false, error, data: null }
  */
 export async function chatCompletion(messages, options = {}) {
+  const provider = getLlmProvider();
+
   try {
-    const response = await openai.chat.completions.create({
-      model: options.model || 'gpt-4o-mini', // Use mini for cost optimization
+    const response = await completeWithCache(provider, {
+      model: options.model || provider.defaultModel,
       messages,
-      max_tokens: options.maxTokens || options.max_tokens || 1000,
-      temperature: options.temperature || 0.1,
-      response_format: options.responseFormat || options.response_format || { type: 'json_object' }
-    });
+      maxTokens: option(options, ['maxTokens', 'max_tokens'], 1000),
+      temperature: option(options, ['temperature'], 0.1),
+      responseFormat: option(options, ['responseFormat', 'response_format'], { type: 'json_object' })
+    }, options.cache);
+
+    await recordLlmUsage({ model: response.model, usage: response.usage, cached: Boolean(response.cached) });
 
     return {
       success: true,
-      data: response.choices[0].message.content,
-      usage: response.usage
+      data: response.content,
+      usage: response.usage,
+      model: response.model,
+      cached: Boolean(response.cached)
     };
 
   } catch (error) {
-    console.error('OpenAI API Error:', error);
+    logger.error(`LLM API Error (${provider.name}):`, error.message);
     return {
       success: false,
       error: error.message,
@@ -44,6 +63,126 @@ export async function chatCompletion(messages, options = {}) {
   }
 }
 
+export const STRUCTURED_OUTPUT_FAILURES = Object.freeze({
+  REQUEST_FAILED: 'request_failed',
+  INVALID_OUTPUT: 'invalid_output'
+});
+
+/**
+ * Failure of structuredCompletion(): the request itself failed, or every
+ * answer (including the repairs) failed validation
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { type, issues = [], raw = null, attempts = 0 } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.type = type;
+    this.issues = issues;
+    this.raw = raw;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Whether a schema describes a plain-text answer (z.string(), possibly refined or transformed)
+ */
+function isTextSchema(schema) {
+  let current = schema;
+  while (current?._def?.schema || current?._def?.innerType) {
+    current = current._def.schema || current._def.innerType;
+  }
+  return current?._def?.typeName === 'ZodString';
+}
+
+/**
+ * Parse and validate one answer
+ * @returns {{ data?: *, issues?: Array<string> }}
+ */
+function validateAnswer(content, schema, textMode) {
+  let value = content ?? '';
+  if (!textMode) {
+    // Models wrap JSON in markdown fences even when asked not to
+    const fenced = value.match(/```(?:json)?\s*([\s\S]*?)```/);
+    try {
+      value = JSON.parse((fenced ? fenced[1] : value).trim());
+    } catch (error) {
+      return { issues: [`The answer is not valid JSON (${error.message})`] };
+    }
+  }
+
+  const parsed = schema.safeParse(value);
+  if (parsed.success) {
+    return { data: parsed.data };
+  }
+  return {
+    issues: parsed.error.issues.map(issue => (issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+  };
+}
+
+/**
+ * Chat completion whose answer must match a zod schema. Invalid answers are
+ * re-prompted with their validation errors up to maxRepairs times.
+ * A z.string() schema validates the trimmed text answer (plain-text mode by
+ * default); any other schema validates the JSON answer (JSON mode by default).
+ * @param {Array} messages - Array of message objects
+ * @param {Object} schema - zod schema of the answer
+ * @param {Object} options - chatCompletion options, plus maxRepairs? (default LLM_MAX_REPAIRS) and name? (for messages)
+ * @returns {Promise<Object>} { success: true, data: parsed answer, raw, attempts, usage }
+ *   or { success: false, error, failure: StructuredOutputError, data: null }
+ */
+export async function structuredCompletion(messages, schema, options = {}) {
+  const { maxRepairs = config.llm.maxRepairs, name = 'answer', ...completionOptions } = options;
+  const textMode = isTextSchema(schema);
+  const conversation = [...messages];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let issues = [];
+  let raw = null;
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    const completion = await chatCompletion([...conversation], {
+      ...(textMode && { responseFormat: null }),
+      ...completionOptions
+    });
+
+    if (!completion.success) {
+      const failure = new StructuredOutputError(`LLM request for the ${name} failed: ${completion.error}`, {
+        type: STRUCTURED_OUTPUT_FAILURES.REQUEST_FAILED,
+        attempts: attempt
+      });
+      return { success: false, error: failure.message, failure, data: null };
+    }
+
+    Object.keys(usage).forEach(key => {
+      usage[key] += completion.usage?.[key] || 0;
+    });
+    raw = completion.data;
+
+    const result = validateAnswer(raw, schema, textMode);
+    if (!result.issues) {
+      return { success: true, data: result.data, raw, attempts: attempt, usage };
+    }
+
+    issues = result.issues;
+    logger.warn(`LLM ${name} failed validation (attempt ${attempt}/${maxRepairs + 1}): ${issues.join('; ')}`);
+
+    conversation.push(
+      { role: 'assistant', content: raw ?? '' },
+      {
+        role: 'user',
+        content: `Your answer was rejected:\n${issues.map(issue => `- ${issue}`).join('\n')}\n\n`
+          + `Reply again with only the corrected ${textMode ? 'answer' : 'JSON'}, in the format requested above.`
+      }
+    );
+  }
+
+  const failure = new StructuredOutputError(
+    `LLM ${name} did not pass validation after ${maxRepairs + 1} attempt(s): ${issues.join('; ')}`,
+    { type: STRUCTURED_OUTPUT_FAILURES.INVALID_OUTPUT, issues, raw, attempts: maxRepairs + 1 }
+  );
+  return { success: false, error: failure.message, failure, data: null };
+}
+
 export default {
-  chatCompletion
-}; 
\ No newline at end of file
+  chatCompletion,
+  structuredCompletion
+};
@@ -0,0 +1,109 @@
+/**
+ * Redaction
+ * Masks secrets and personal data before they leave the process in logs:
+ * values of credential keys (API keys, passwords, tokens, cookies), values of
+ * candidate data keys (the candidate profile, names, contact details, resume),
+ * and, inside any string, API keys, bearer tokens, emails and phone numbers.
+ *
+ * The logger runs every message and meta object through redact(), so callers
+ * do not have to remember which fields are sensitive.
+ */
+
+export const REDACTED = '[REDACTED]';
+
+// Normalized (lowercase, alphanumeric) key endings whose values are credentials
+const SECRET_KEY_PATTERN = /(apikey|secret|password|passwd|authorization|cookie|privatekey|accesstoken|refreshtoken|sessiontoken|idtoken)$|^token$/;
+
+// Normalized keys whose values are candidate data
+const CANDIDATE_KEYS = new Set([
+  'candidate', 'candidatedata', 'candidateprofile', 'personal', 'personalinfo',
+  'firstname', 'lastname', 'fullname', 'email', 'emailaddress', 'phone', 'phonenumber', 'mobile',
+  'address', 'streetaddress', 'dateofbirth', 'dob', 'ssn', 'linkedin', 'linkedinurl',
+  'resume', 'resumetext', 'coverletter'
+]);
+
+// [pattern, replacement] applied to every string, credentials first
+const TEXT_PATTERNS = [
+  [/\b(ak_[0-9a-f]{16})\.[A-Za-z0-9_-]{16,}/g, `$1.${REDACTED}`],
+  [/\b(sk|pk|rk)-[A-Za-z0-9_-]{16,}/g, `$1-${REDACTED}`],
+  [/\bbb_(live|test)_[A-Za-z0-9_-]{8,}/g, `bb_$1_${REDACTED}`],
+  [/\bAKIA[0-9A-Z]{16}\b/g, REDACTED],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/-]{8,}=*/gi, `$1 ${REDACTED}`],
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g, '[REDACTED_EMAIL]'],
+  [/(?<![\w.+/-])(\+\d{1,3}[\s.-]?)?(\(\d{2,4}\)\s?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}(?![\w/-])/g, '[REDACTED_PHONE]'],
+  [/(?<![\w.+/-])\+\d{8,15}(?![\w/-])/g, '[REDACTED_PHONE]']
+];
+
+// Objects nested deeper than this are summarized
+const MAX_DEPTH = 8;
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Whether the value under a key must not be logged at all
+ * @param {string} key - Object key
+ * @returns {boolean}
+ */
+export function isSensitiveKey(key) {
+  const normalized = normalizeKey(key);
+  return SECRET_KEY_PATTERN.test(normalized) || CANDIDATE_KEYS.has(normalized);
+}
+
+/**
+ * Mask API keys, bearer tokens, emails and phone numbers in a string
+ * @param {string} text - Text
+ * @returns {string}
+ */
+export function redactText(text) {
+  return TEXT_PATTERNS.reduce((masked, [pattern, replacement]) => masked.replace(pattern, replacement), text);
+}
+
+function redactValue(value, depth, seen) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? '[Function]' : typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactText(value.message),
+      ...(value.stack && { stack: redactText(value.stack) })
+    };
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+  }
+
+  seen.add(value);
+  const copy = Array.isArray(value)
+    ? value.map(item => redactValue(item, depth + 1, seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      isSensitiveKey(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redactValue(item, depth + 1, seen)
+    ]));
+  seen.delete(value);
+  return copy;
+}
+
+/**
+ * Copy of a value with secrets and personal data masked. Errors become
+ * { name, message, stack }; functions, buffers and cycles are summarized.
+ * @param {*} value - Any value
+ * @returns {*}
+ */
+export function redact(value) {
+  return redactValue(value, 0, new WeakSet());
+}
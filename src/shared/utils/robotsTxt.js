@@ -0,0 +1,191 @@
+/**
+ * robots.txt
+ * Local parser and per-origin cache used by the domain governor
+ * (domainGovernor.js) when a domain's rules ask for robots.txt to be respected.
+ *
+ * Follows RFC 9309: the group of the most specific matching user-agent applies
+ * (else the '*' group), the longest matching Allow/Disallow path wins, Allow wins
+ * ties, '*' matches any characters and '$' anchors the end of the path.
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * Parse a robots.txt body
+ * @param {string} text - robots.txt content
+ * @returns {Object} { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }
+ */
+export function parseRobotsTxt(text = '') {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!group || !lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (!group) {
+      // Rules before any user-agent line belong to no group
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay) && delay >= 0) group.crawlDelay = delay;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Group that applies to a user agent: the longest matching agent token, else '*'
+ */
+function groupFor(robots, userAgent) {
+  const agent = userAgent.toLowerCase();
+  let best = null;
+  let bestLength = -1;
+
+  robots.groups.forEach(group => {
+    group.agents.forEach(token => {
+      if (token !== '*' && agent.includes(token) && token.length > bestLength) {
+        best = group;
+        bestLength = token.length;
+      }
+    });
+  });
+
+  return best || robots.groups.find(group => group.agents.includes('*')) || null;
+}
+
+function pathPattern(rulePath) {
+  const anchored = rulePath.endsWith('$');
+  const body = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Whether robots.txt lets a user agent fetch a path
+ * @param {Object} robots - parseRobotsTxt() result
+ * @param {string} userAgent - Crawler user agent
+ * @param {string} urlPath - Path and query of the URL
+ * @returns {boolean}
+ */
+export function isPathAllowed(robots, userAgent, urlPath) {
+  const group = groupFor(robots, userAgent);
+  if (!group) return true;
+
+  let match = null;
+  group.rules.forEach(rule => {
+    if (!pathPattern(rule.path).test(urlPath)) return;
+    const length = rule.path.length;
+    if (!match || length > match.length || (length === match.length && rule.allow)) {
+      match = { allow: rule.allow, length };
+    }
+  });
+
+  return match ? match.allow : true;
+}
+
+/**
+ * Crawl-delay of the group that applies to a user agent
+ * @param {Object} robots - parseRobotsTxt() result
+ * @param {string} userAgent - Crawler user agent
+ * @returns {number|null} Seconds
+ */
+export function crawlDelayFor(robots, userAgent) {
+  return groupFor(robots, userAgent)?.crawlDelay ?? null;
+}
+
+/**
+ * robots.txt files fetched per origin and kept for a TTL. A missing file (4xx)
+ * allows everything; so does one that cannot be fetched, which is logged.
+ */
+export class RobotsCache {
+  /**
+   * @param {Object} [options] - { ttlMs, timeoutMs, fetch }
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? 60 * 60 * 1000;
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.entries = new Map();
+  }
+
+  /**
+   * Parsed robots.txt of the origin of a URL
+   * @param {string} url - Any URL of the site
+   * @param {string} userAgent - Sent as the User-Agent header
+   * @returns {Promise<Object>} parseRobotsTxt() result
+   */
+  async get(url, userAgent) {
+    const { origin } = new URL(url);
+    const cached = this.entries.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.robots;
+    }
+
+    // Concurrent lookups of one origin share the request
+    const robots = this.load(origin, userAgent);
+    this.entries.set(origin, { robots, expiresAt: Date.now() + this.ttlMs });
+    return robots;
+  }
+
+  async load(origin, userAgent) {
+    try {
+      const response = await this.fetch(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': userAgent },
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      if (!response.ok) {
+        logger.debug('No robots.txt, everything allowed', { origin, status: response.status });
+        return parseRobotsTxt('');
+      }
+      return parseRobotsTxt(await response.text());
+    } catch (error) {
+      logger.warn('Could not fetch robots.txt, everything allowed', { origin, error: error.message });
+      return parseRobotsTxt('');
+    }
+  }
+
+  /**
+   * Whether a URL may be fetched
+   * @param {string} url - URL to fetch
+   * @param {string} userAgent - Crawler user agent
+   * @returns {Promise<{ allowed: boolean, crawlDelay: number|null }>}
+   */
+  async check(url, userAgent) {
+    const robots = await this.get(url, userAgent);
+    const { pathname, search } = new URL(url);
+    return {
+      allowed: isPathAllowed(robots, userAgent, `${pathname}${search}`),
+      crawlDelay: crawlDelayFor(robots, userAgent)
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
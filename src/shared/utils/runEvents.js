@@ -0,0 +1,229 @@
+/**
+ * Run Events
+ * In-process event bus for workflow progress. Node wrappers publish node
+ * start/finish/error, step changes, partial results and captured evidence
+ * (evidence.js) for the run they execute in; GET /api/v1/runs/:id/events streams them as Server-Sent Events.
+ *
+ * The run is picked up from the async context set by the run manager, so
+ * workflows do not have to thread a run ID through their state. Outside a run
+ * (cron jobs, scripts) publishing is a no-op. Events live in memory only: a
+ * client connected to another API instance than the one executing the run
+ * sees nothing but the persisted run record.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
+import { withUsageContext } from './llmUsage.js';
+
+export const RUN_EVENT_TYPES = Object.freeze({
+  STATUS: 'status',
+  NODE_START: 'node_start',
+  NODE_FINISH: 'node_finish',
+  NODE_ERROR: 'node_error',
+  STEP: 'step',
+  PARTIAL_RESULT: 'partial_result',
+  ARTIFACT: 'artifact'
+});
+
+// Events kept per run so late subscribers and reconnects (Last-Event-ID) can catch up
+const MAX_BUFFERED_EVENTS = 500;
+
+// How long the buffer of a finished run is kept around
+const FINISHED_RUN_RETENTION_MS = 5 * 60 * 1000;
+
+// Values larger than this are summarized instead of sent in partial results
+const MAX_PARTIAL_VALUE_BYTES = 2048;
+
+// State keys that hold browser handles, never published
+const UNPUBLISHED_STATE_KEYS = new Set(['page', 'agent', 'stagehand']);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const runContext = new AsyncLocalStorage();
+
+// run ID -> { nextId, events }
+const buffers = new Map();
+
+/**
+ * Execute fn with runId as the current run for everything it awaits
+ * @param {string} runId - Run ID
+ * @param {Function} fn - Function to execute
+ * @returns {*} fn's return value
+ */
+export function runWithEventContext(runId, fn) {
+  return runContext.run({ runId }, fn);
+}
+
+/**
+ * Run ID of the run executing in the current async context
+ * @returns {string|null}
+ */
+export function currentRunId() {
+  return runContext.getStore()?.runId || null;
+}
+
+/**
+ * Publish an event for a run
+ * @param {string} type - One of RUN_EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @param {string} [runId] - Defaults to the current run
+ * @returns {Object|null} The published event, or null outside a run
+ */
+export function publishRunEvent(type, data = {}, runId = currentRunId()) {
+  if (!runId) {
+    return null;
+  }
+
+  let buffer = buffers.get(runId);
+  if (!buffer) {
+    buffer = { nextId: 1, events: [] };
+    buffers.set(runId, buffer);
+  }
+
+  const event = {
+    id: buffer.nextId++,
+    run_id: runId,
+    type,
+    timestamp: new Date().toISOString(),
+    data
+  };
+
+  buffer.events.push(event);
+  if (buffer.events.length > MAX_BUFFERED_EVENTS) {
+    buffer.events.shift();
+  }
+
+  emitter.emit(runId, event);
+  return event;
+}
+
+/**
+ * Publish the final status of a run and schedule its buffer for removal
+ * @param {string} runId - Run ID
+ * @param {Object} data - Status payload ({ status, ... })
+ */
+export function publishRunFinished(runId, data) {
+  publishRunEvent(RUN_EVENT_TYPES.STATUS, { ...data, final: true }, runId);
+  setTimeout(() => buffers.delete(runId), FINISHED_RUN_RETENTION_MS).unref();
+}
+
+/**
+ * Buffered events of a run
+ * @param {string} runId - Run ID
+ * @param {number} [afterId=0] - Only events with a greater ID
+ * @returns {Array<Object>}
+ */
+export function getRunEvents(runId, afterId = 0) {
+  return (buffers.get(runId)?.events || []).filter(event => event.id > afterId);
+}
+
+/**
+ * Listen to new events of a run
+ * @param {string} runId - Run ID
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRun(runId, listener) {
+  emitter.on(runId, listener);
+  return () => emitter.off(runId, listener);
+}
+
+/**
+ * Whether an event ends the stream of its run
+ * @param {Object} event - Run event
+ * @returns {boolean}
+ */
+export function isFinalEvent(event) {
+  return event.type === RUN_EVENT_TYPES.STATUS && event.data?.final === true;
+}
+
+/**
+ * Publishable view of a node's state update: scalars as-is, arrays as their
+ * length, small objects as-is, everything else by its keys
+ */
+function summarizeUpdate(update) {
+  if (!update || typeof update !== 'object') {
+    return {};
+  }
+
+  const summary = {};
+  for (const [key, value] of Object.entries(update)) {
+    if (UNPUBLISHED_STATE_KEYS.has(key) || value === undefined || typeof value === 'function') {
+      continue;
+    }
+    if (value === null || typeof value !== 'object') {
+      summary[key] = value;
+    } else if (Array.isArray(value)) {
+      summary[key] = { count: value.length };
+    } else {
+      let json;
+      try {
+        json = JSON.stringify(value);
+      } catch (error) {
+        json = null;
+      }
+      summary[key] = json && json.length <= MAX_PARTIAL_VALUE_BYTES
+        ? JSON.parse(json)
+        : { keys: Object.keys(value) };
+    }
+  }
+  return summary;
+}
+
+/**
+ * Wrap a LangGraph node so it publishes its progress to the current run:
+ * node_start, step (when currentStep/current_node changes), partial_result,
+ * node_finish, or node_error before rethrowing. The node's LLM usage is
+ * attributed to it whether or not it runs inside an API run.
+ * @param {string} workflow - Workflow name (e.g. 'easy-apply')
+ * @param {string} nodeName - Node name in the graph
+ * @param {Function} node - The node function
+ * @returns {Function} Wrapped node
+ */
+export function withRunEvents(workflow, nodeName, node) {
+  const attributed = (state, config) => withUsageContext({ workflow, node: nodeName }, () => node(state, config));
+
+  return async (state, config) => {
+    if (!currentRunId()) {
+      return attributed(state, config);
+    }
+
+    const startTime = Date.now();
+    publishRunEvent(RUN_EVENT_TYPES.NODE_START, { workflow, node: nodeName });
+
+    let update;
+    try {
+      update = await attributed(state, config);
+    } catch (error) {
+      publishRunEvent(RUN_EVENT_TYPES.NODE_ERROR, {
+        workflow,
+        node: nodeName,
+        error: error.message,
+        durationMs: Date.now() - startTime
+      });
+      throw error;
+    }
+
+    for (const stepKey of ['currentStep', 'current_node']) {
+      if (update?.[stepKey] !== undefined && update[stepKey] !== state?.[stepKey]) {
+        publishRunEvent(RUN_EVENT_TYPES.STEP, { workflow, node: nodeName, from: state?.[stepKey] ?? null, to: update[stepKey] });
+      }
+    }
+
+    const newErrors = Array.isArray(update?.errors) && Array.isArray(state?.errors)
+      ? update.errors.slice(state.errors.length)
+      : [];
+    newErrors.forEach(error => publishRunEvent(RUN_EVENT_TYPES.NODE_ERROR, {
+      workflow,
+      node: nodeName,
+      error: typeof error === 'string' ? error : error?.error || error?.message || JSON.stringify(error),
+      handled: true
+    }));
+
+    publishRunEvent(RUN_EVENT_TYPES.PARTIAL_RESULT, { workflow, node: nodeName, update: summarizeUpdate(update) });
+    publishRunEvent(RUN_EVENT_TYPES.NODE_FINISH, { workflow, node: nodeName, durationMs: Date.now() - startTime });
+
+    return update;
+  };
+}
@@ -0,0 +1,372 @@
+/**
+ * Run Manager
+ * Runs long API operations (browser workflows) in the background and keeps a
+ * persisted run record for each: status, timestamps, input, result and error.
+ *
+ * Routes call startRun() and answer 202 with the run ID; clients poll
+ * GET /api/v1/runs/:id. Status moves are conditional writes, so a run that was
+ * cancelled while its workflow was still going stays cancelled when the
+ * workflow finishes.
+ *
+ * Executors run inside a run event context (see runEvents.js), so status
+ * changes and node progress can be streamed from GET /api/v1/runs/:id/events,
+ * and inside a usage context (see llmUsage.js), so the tokens and estimated
+ * cost of the run's LLM calls are stored on the finished run as `usage`. Evidence
+ * captured by the browser nodes (see evidence.js) is listed as `artifacts`.
+ *
+ * A run keeps the correlation ID of the request that created it as
+ * `correlation_id` and executes in its log context (see correlation.js), so
+ * every log entry of the run carries it and the run ID.
+ */
+
+import crypto from 'crypto';
+import { getStorageBackend, isConditionalCheckFailed, RUNS_TABLE, RUN_TYPE_INDEX, RUN_STATUS_INDEX } from '../storage/index.js';
+import { queryItemsPage } from './dynamoDB.js';
+import { currentCorrelationId, newCorrelationId, withLogContext } from './correlation.js';
+import { createUsageSummary, withUsageContext } from './llmUsage.js';
+import { takeRunArtifacts } from './evidence.js';
+import { logger } from './logger.js';
+import { RUN_EVENT_TYPES, publishRunEvent, publishRunFinished, runWithEventContext } from './runEvents.js';
+
+export const RUN_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+});
+
+export const RUN_TYPES = Object.freeze({
+  JOB_DISCOVERY: 'job-discovery',
+  JOB_EXTRACTION: 'job-extraction',
+  CAREER_DISCOVERY: 'career-discovery',
+  JOB_APPLICATION: 'job-application'
+});
+
+const ACTIVE_STATUSES = [RUN_STATUS.QUEUED, RUN_STATUS.RUNNING];
+
+// DynamoDB items are capped at 400KB; larger results are stored as a summary
+const MAX_RESULT_BYTES = 350 * 1024;
+
+// AbortControllers of the runs executing in this process, by run ID
+const activeRuns = new Map();
+
+/**
+ * Error thrown by an executor to fail a run with a specific HTTP-style status
+ */
+export class RunError extends Error {
+  constructor(message, { statusCode = 500, details } = {}) {
+    super(message);
+    this.name = 'RunError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * JSON-safe copy of a value: drops functions and circular references
+ * (workflow results can still hold page/agent objects)
+ */
+function toStorable(value, ancestors = []) {
+  if (value === undefined || typeof value === 'function') return undefined;
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.toJSON === 'function') return toStorable(value.toJSON(), ancestors);
+  if (ancestors.includes(value)) return undefined;
+
+  const path = [...ancestors, value];
+  if (Array.isArray(value)) {
+    return value.map(item => toStorable(item, path) ?? null);
+  }
+  return Object.fromEntries(
+    Object.entries(value)
+      .map(([key, nested]) => [key, toStorable(nested, path)])
+      .filter(([, nested]) => nested !== undefined)
+  );
+}
+
+function limitResultSize(result) {
+  const bytes = Buffer.byteLength(JSON.stringify(result ?? null));
+  if (bytes <= MAX_RESULT_BYTES) {
+    return result;
+  }
+  return {
+    truncated: true,
+    bytes,
+    success: result?.success,
+    ...(result?.count && { count: result.count })
+  };
+}
+
+/**
+ * Conditionally move a run to another status
+ * @returns {Promise<Object|null>} Updated run, or null if it was not in one of the expected statuses
+ */
+async function moveRun(runId, status, expectedStatuses, fields = {}) {
+  const now = new Date().toISOString();
+  const names = { '#status': 'status', '#updatedAt': 'updatedAt' };
+  const values = { ':status': status, ':now': now };
+  const setClauses = ['#status = :status', '#updatedAt = :now'];
+
+  Object.entries(fields).forEach(([field, value], index) => {
+    names[`#f${index}`] = field;
+    values[`:f${index}`] = value;
+    setClauses.push(`#f${index} = :f${index}`);
+  });
+
+  const expected = expectedStatuses.map((expectedStatus, index) => {
+    values[`:expected${index}`] = expectedStatus;
+    return `:expected${index}`;
+  });
+
+  try {
+    const result = await getStorageBackend().update({
+      TableName: RUNS_TABLE,
+      Key: { run_id: runId },
+      UpdateExpression: `SET ${setClauses.join(', ')}`,
+      ConditionExpression: `#status IN (${expected.join(', ')})`,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    });
+    return result.Attributes;
+  } catch (error) {
+    if (isConditionalCheckFailed(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Persist a new run record in the queued status
+ * @param {string} type - One of RUN_TYPES
+ * @param {Object} input - Request input (stored as-is)
+ * @returns {Promise<Object>} Run record
+ */
+export async function createRun(type, input = {}) {
+  const now = new Date().toISOString();
+  const run = {
+    run_id: `run_${crypto.randomUUID()}`,
+    type,
+    status: RUN_STATUS.QUEUED,
+    correlation_id: currentCorrelationId() || newCorrelationId(),
+    input: toStorable(input) ?? {},
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await getStorageBackend().put({
+    TableName: RUNS_TABLE,
+    Item: run,
+    ConditionExpression: 'attribute_not_exists(run_id)'
+  });
+
+  logger.info(`RunManager: created ${type} run ${run.run_id}`);
+  publishRunEvent(RUN_EVENT_TYPES.STATUS, { status: RUN_STATUS.QUEUED, type }, run.run_id);
+  return run;
+}
+
+/**
+ * Get a run record
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Run record
+ */
+export async function getRun(runId) {
+  const { Item } = await getStorageBackend().get({ TableName: RUNS_TABLE, Key: { run_id: runId } });
+  return Item || null;
+}
+
+/**
+ * List runs, newest first when filtered by type or status
+ * @param {Object} filters - { type, status, createdAfter, createdBefore, limit, startKey }
+ * @returns {Promise<{items: Array, lastEvaluatedKey: Object|undefined}>}
+ */
+export async function listRuns(filters = {}) {
+  const { type, status, createdAfter, createdBefore, limit = 25, startKey } = filters;
+
+  const names = {};
+  const values = {};
+  const createdConditions = [];
+  if (createdAfter) {
+    values[':createdAfter'] = createdAfter;
+    createdConditions.push('#createdAt >= :createdAfter');
+  }
+  if (createdBefore) {
+    values[':createdBefore'] = createdBefore;
+    createdConditions.push('#createdAt < :createdBefore');
+  }
+  if (createdConditions.length > 0) {
+    names['#createdAt'] = 'createdAt';
+  }
+
+  if (type || status) {
+    // Type wins the index when both are given; status then becomes a filter
+    const keyConditions = [];
+    if (type) {
+      names['#type'] = 'type';
+      values[':type'] = type;
+      keyConditions.push('#type = :type');
+    } else {
+      names['#status'] = 'status';
+      values[':status'] = status;
+      keyConditions.push('#status = :status');
+    }
+
+    // A key condition allows a single range condition on the sort key
+    if (createdAfter && createdBefore) {
+      keyConditions.push('#createdAt BETWEEN :createdAfter AND :createdBefore');
+    } else {
+      keyConditions.push(...createdConditions);
+    }
+
+    if (type && status) {
+      names['#status'] = 'status';
+      values[':status'] = status;
+    }
+
+    return queryItemsPage(RUNS_TABLE, {
+      IndexName: type ? RUN_TYPE_INDEX : RUN_STATUS_INDEX,
+      KeyConditionExpression: keyConditions.join(' AND '),
+      ...(type && status && { FilterExpression: '#status = :status' }),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ScanIndexForward: false,
+      Limit: limit,
+      ...(startKey && { ExclusiveStartKey: startKey })
+    });
+  }
+
+  // No type or status: scan (unordered across pages), newest first within the page
+  const result = await getStorageBackend().scan({
+    TableName: RUNS_TABLE,
+    ...(createdConditions.length > 0 && {
+      FilterExpression: createdConditions.join(' AND '),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    }),
+    Limit: limit,
+    ...(startKey && { ExclusiveStartKey: startKey })
+  });
+
+  return {
+    items: (result.Items || []).sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')),
+    lastEvaluatedKey: result.LastEvaluatedKey
+  };
+}
+
+/**
+ * Create a run and execute it in the background
+ * @param {string} type - One of RUN_TYPES
+ * @param {Object} input - Request input
+ * @param {Function} execute - async ({ runId, correlationId, input, signal }) => result.
+ *   A result with success === false, or a thrown error, fails the run.
+ *   signal is aborted when the run is cancelled.
+ * @returns {Promise<Object>} The queued run record (execution has not finished)
+ */
+export async function startRun(type, input, execute) {
+  const run = await createRun(type, input);
+  const controller = new AbortController();
+  activeRuns.set(run.run_id, controller);
+
+  setImmediate(() => withLogContext({ correlationId: run.correlation_id, runId: run.run_id }, () => {
+    executeRun(run, execute, controller)
+      .catch(error => logger.error(`RunManager: could not record the outcome of run ${run.run_id}: ${error.message}`))
+      .finally(() => activeRuns.delete(run.run_id));
+  }));
+
+  return run;
+}
+
+async function executeRun(run, execute, controller) {
+  const { run_id: runId, type } = run;
+
+  const started = await moveRun(runId, RUN_STATUS.RUNNING, [RUN_STATUS.QUEUED], {
+    startedAt: new Date().toISOString()
+  });
+  if (!started) {
+    logger.info(`RunManager: ${type} run ${runId} was cancelled before it started`);
+    return;
+  }
+
+  logger.info(`RunManager: ${type} run ${runId} started`);
+  publishRunEvent(RUN_EVENT_TYPES.STATUS, { status: RUN_STATUS.RUNNING, type }, runId);
+  const startTime = Date.now();
+
+  let status;
+  let fields;
+  const usage = createUsageSummary();
+  try {
+    const output = await runWithEventContext(runId, () => withUsageContext(
+      { runId },
+      () => execute({ runId, correlationId: run.correlation_id, input: run.input, signal: controller.signal }),
+      usage
+    ));
+    const result = limitResultSize(toStorable(output) ?? null);
+    status = result?.success === false ? RUN_STATUS.FAILED : RUN_STATUS.SUCCEEDED;
+    fields = {
+      result,
+      ...(status === RUN_STATUS.FAILED && { error: { message: result.error || result.message || result.reason || 'Run failed' } })
+    };
+  } catch (error) {
+    status = RUN_STATUS.FAILED;
+    fields = {
+      error: toStorable({
+        message: error.message,
+        name: error.name,
+        ...(error.statusCode && { statusCode: error.statusCode }),
+        ...(error.details && { details: error.details })
+      })
+    };
+  }
+
+  const artifacts = takeRunArtifacts(runId);
+  const finished = await moveRun(runId, status, [RUN_STATUS.RUNNING], {
+    ...fields,
+    ...(usage.calls > 0 && { usage }),
+    ...(artifacts.length > 0 && { artifacts: toStorable(artifacts) }),
+    finishedAt: new Date().toISOString(),
+    durationMs: Date.now() - startTime
+  });
+
+  if (finished) {
+    logger.info(`RunManager: ${type} run ${runId} ${status} in ${Date.now() - startTime}ms`);
+    publishRunFinished(runId, {
+      status,
+      type,
+      durationMs: finished.durationMs,
+      ...(finished.error && { error: finished.error })
+    });
+  } else {
+    logger.info(`RunManager: ${type} run ${runId} finished after it was cancelled, result discarded`);
+  }
+}
+
+/**
+ * Cancel a queued or running run. The workflow is signalled through its
+ * AbortSignal; work it cannot interrupt finishes but its result is discarded.
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Cancelled run, or null if it was not queued or running
+ */
+export async function cancelRun(runId) {
+  const cancelled = await moveRun(runId, RUN_STATUS.CANCELLED, ACTIVE_STATUSES, {
+    cancelledAt: new Date().toISOString()
+  });
+
+  if (cancelled) {
+    activeRuns.get(runId)?.abort();
+    logger.info(`RunManager: run ${runId} cancelled`);
+    publishRunFinished(runId, { status: RUN_STATUS.CANCELLED, type: cancelled.type });
+  }
+
+  return cancelled;
+}
+
+/**
+ * Throw if the run behind this signal was cancelled (for executors to call between steps)
+ * @param {AbortSignal} signal - Signal passed to the executor
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new RunError('Run was cancelled', { statusCode: 409 });
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Job URL Canonicalizer
+ * Reduces the many URLs a posting can be reached by (tracking parameters,
+ * locale prefixes, apply sub-pages, country subdomains) to one canonical URL,
+ * and derives a stable jd_id from it so rediscovering a posting updates the
+ * existing record instead of inserting a duplicate.
+ */
+
+import crypto from 'crypto';
+
+// Query parameters known to only identify the visit, never the posting. Generic
+// names (ref, src, source, from) are kept: some career sites route or filter on them.
+const TRACKING_PARAMS = new Set([
+  'trackingid', 'refid', 'ebp', 'trk', 'trkinfo', 'lipi', 'midtoken', 'midsig', 'original_referer',
+  'gclid', 'fbclid', 'msclkid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi',
+  'gh_src', 'lever-source', 'lever-origin', 'iis', 'iisn', 'vjs', 'tk'
+]);
+
+const TRACKING_PREFIXES = ['utm_', 'trk_'];
+
+/**
+ * Per-platform rules. Each match() gets the parsed URL and returns
+ * { jobId, url } for a posting it recognizes, or null.
+ */
+const PLATFORMS = [
+  {
+    name: 'linkedin',
+    test: host => host === 'linkedin.com' || host.endsWith('.linkedin.com'),
+    match(url) {
+      // /jobs/view/3812345678 or /jobs/view/software-engineer-at-acme-3812345678
+      const view = url.pathname.match(/\/jobs\/view\/(?:[^/]*?-)?(\d{6,})\/?$/);
+      const jobId = view?.[1] || url.searchParams.get('currentJobId');
+      return jobId ? { jobId, url: `https://www.linkedin.com/jobs/view/${jobId}` } : null;
+    }
+  },
+  {
+    name: 'greenhouse',
+    test: host => host.endsWith('greenhouse.io'),
+    match(url) {
+      const posting = url.pathname.match(/^\/([^/]+)\/jobs\/(\d+)/);
+      if (posting) {
+        return { jobId: posting[2], url: `https://boards.greenhouse.io/${posting[1].toLowerCase()}/jobs/${posting[2]}` };
+      }
+      // Embedded boards: /embed/job_app?for=acme&token=123
+      const board = url.searchParams.get('for');
+      const jobId = url.searchParams.get('token') || url.searchParams.get('gh_jid');
+      return board && jobId ? { jobId, url: `https://boards.greenhouse.io/${board.toLowerCase()}/jobs/${jobId}` } : null;
+    }
+  },
+  {
+    name: 'lever',
+    test: host => host === 'jobs.lever.co' || host === 'jobs.eu.lever.co',
+    match(url) {
+      const posting = url.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})/i);
+      return posting
+        ? { jobId: posting[2].toLowerCase(), url: `https://${url.hostname}/${posting[1].toLowerCase()}/${posting[2].toLowerCase()}` }
+        : null;
+    }
+  },
+  {
+    name: 'ashby',
+    test: host => host === 'jobs.ashbyhq.com',
+    match(url) {
+      const posting = url.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})/i);
+      return posting
+        ? { jobId: posting[2].toLowerCase(), url: `https://jobs.ashbyhq.com/${posting[1].toLowerCase()}/${posting[2].toLowerCase()}` }
+        : null;
+    }
+  },
+  {
+    name: 'workday',
+    test: host => host.endsWith('.myworkdayjobs.com'),
+    match(url) {
+      // /en-US/External/job/Remote-USA/Software-Engineer_R-12345(/apply)
+      const path = url.pathname.replace(/^\/[a-z]{2}-[A-Z]{2}(?=\/)/, '').replace(/\/apply(\/.*)?$/, '');
+      const posting = path.match(/\/job\/.*_([A-Za-z0-9-]+)$/);
+      return posting ? { jobId: posting[1], url: `https://${url.hostname}${path}` } : null;
+    }
+  },
+  {
+    name: 'smartrecruiters',
+    test: host => host === 'jobs.smartrecruiters.com' || host === 'careers.smartrecruiters.com',
+    match(url) {
+      // /Acme/744000012345678-software-engineer
+      const posting = url.pathname.match(/^\/([^/]+)\/(\d{6,})(?:-[^/]*)?\/?$/);
+      return posting ? { jobId: posting[2], url: `https://jobs.smartrecruiters.com/${posting[1]}/${posting[2]}` } : null;
+    }
+  },
+  {
+    name: 'icims',
+    test: host => host.endsWith('.icims.com'),
+    match(url) {
+      // /jobs/1234/software-engineer/job
+      const posting = url.pathname.match(/^\/jobs\/(\d+)\/([^/]+)\/job/);
+      return posting
+        ? { jobId: posting[1], url: `https://${url.hostname.toLowerCase()}/jobs/${posting[1]}/${posting[2].toLowerCase()}/job` }
+        : null;
+    }
+  },
+  {
+    name: 'indeed',
+    test: host => host === 'indeed.com' || host.endsWith('.indeed.com'),
+    match(url) {
+      const jobId = url.searchParams.get('jk') || url.searchParams.get('vjk');
+      return jobId ? { jobId, url: `https://www.indeed.com/viewjob?jk=${jobId}` } : null;
+    }
+  },
+  {
+    name: 'google',
+    test: host => host === 'careers.google.com' || host === 'google.com',
+    match(url) {
+      const posting = url.pathname.match(/\/jobs\/results\/(\d+)/);
+      return posting
+        ? { jobId: posting[1], url: `https://www.google.com/about/careers/applications/jobs/results/${posting[1]}` }
+        : null;
+    }
+  }
+];
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Normalize a URL without platform knowledge: https, lowercase host without
+ * "www.", no fragment, no tracking parameters, sorted query, no trailing slash
+ * @param {URL} url - Parsed URL
+ * @returns {string} Normalized URL
+ */
+function normalizeGenericUrl(url) {
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const path = url.pathname.replace(/\/{2,}/g, '/').replace(/\/+$/, '') || '/';
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+
+  return `https://${host}${path === '/' ? '' : path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Canonicalize a job posting URL
+ * @param {string} rawUrl - URL as scraped
+ * @returns {{ url: string, platform: string|null, platformJobId: string|null }}
+ *   The canonical URL, plus the platform and its job ID when the platform is recognized
+ * @throws {TypeError} If rawUrl is not an absolute URL
+ */
+export function canonicalizeJobUrl(rawUrl) {
+  const url = new URL(String(rawUrl).trim());
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+
+  for (const platform of PLATFORMS) {
+    if (!platform.test(host)) continue;
+    const match = platform.match(url);
+    if (match) {
+      return { url: match.url, platform: platform.name, platformJobId: match.jobId };
+    }
+  }
+
+  return { url: normalizeGenericUrl(url), platform: null, platformJobId: null };
+}
+
+/**
+ * Deterministic jd_id for a canonical URL, formatted as a name-based (v5-style) UUID
+ * so it has the same shape as the random IDs of older records
+ * @param {string} canonicalUrl - Output of canonicalizeJobUrl().url
+ * @returns {string} jd_id
+ */
+export function jobIdFromCanonicalUrl(canonicalUrl) {
+  const hash = crypto.createHash('sha1').update(`job-url:${canonicalUrl}`).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50; // version 5
+  hash[8] = (hash[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20, 32)}`;
+}
+
+/**
+ * Canonicalize a URL and derive its jd_id in one step
+ * @param {string} rawUrl - URL as scraped
+ * @returns {{ jd_id: string, url: string, platform: string|null, platformJobId: string|null }}
+ */
+export function identifyJobUrl(rawUrl) {
+  const canonical = canonicalizeJobUrl(rawUrl);
+  return { jd_id: jobIdFromCanonicalUrl(canonical.url), ...canonical };
+}
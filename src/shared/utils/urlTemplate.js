@@ -0,0 +1,489 @@
+/**
+ * Search URL Templates
+ * Machine-readable description of how a job listings page puts its filters in
+ * the URL, derived by diffing the URLs the page navigates to when one filter at
+ * a time is submitted (filterAnalyzerNode), and stored per company.
+ *
+ *   {
+ *     url: 'https://acme.com/jobs/{department}?lang=en&q={keyword}&loc={location}&page={page}',
+ *     baseUrl: 'https://acme.com/jobs',
+ *     parameters: {
+ *       keyword:    { in: 'query', name: 'q' },
+ *       location:   { in: 'query', name: 'loc', values: { remote: '4021' } },
+ *       department: { in: 'path', index: 1, style: 'slug' },
+ *       page:       { in: 'query', name: 'page', start: 1, step: 1 }
+ *     },
+ *     fixedQuery: { lang: 'en' },
+ *     unresolved: ['experience'],
+ *     verified: true
+ *   }
+ *
+ * Placeholders are written {parameter}. `values` maps a filter value to what the
+ * site put in the URL for it (an ID, a code), when the two differ. `style: 'slug'`
+ * marks values written lowercase with dashes. `index` counts path segments from 0.
+ *
+ * expandUrlTemplate() fills the placeholders of a template, or of any URL written
+ * with them ('https://acme.com/jobs?q={keywords}&l={location}'), from search filters.
+ */
+
+import { getStorageBackend, URL_TEMPLATES_TABLE } from '../storage/index.js';
+import { getItem, scanAllItems } from './dynamoDB.js';
+import { logger } from './logger.js';
+
+export const TEMPLATE_PARAMETERS = Object.freeze({
+  KEYWORD: 'keyword',
+  LOCATION: 'location',
+  DEPARTMENT: 'department',
+  REMOTE: 'remote',
+  EXPERIENCE: 'experience',
+  PAGE: 'page'
+});
+
+// Order of the parameters in a template's query string
+const PARAMETER_ORDER = Object.values(TEMPLATE_PARAMETERS);
+
+// Filter and placeholder names that stand for a template parameter
+const PARAMETER_ALIASES = {
+  keywords: TEMPLATE_PARAMETERS.KEYWORD,
+  query: TEMPLATE_PARAMETERS.KEYWORD,
+  search: TEMPLATE_PARAMETERS.KEYWORD,
+  title: TEMPLATE_PARAMETERS.KEYWORD,
+  locations: TEMPLATE_PARAMETERS.LOCATION,
+  city: TEMPLATE_PARAMETERS.LOCATION,
+  team: TEMPLATE_PARAMETERS.DEPARTMENT,
+  category: TEMPLATE_PARAMETERS.DEPARTMENT,
+  workplace: TEMPLATE_PARAMETERS.REMOTE,
+  experience_level: TEMPLATE_PARAMETERS.EXPERIENCE,
+  experienceLevel: TEMPLATE_PARAMETERS.EXPERIENCE,
+  seniority: TEMPLATE_PARAMETERS.EXPERIENCE,
+  level: TEMPLATE_PARAMETERS.EXPERIENCE
+};
+
+const PLACEHOLDER = /\{([A-Za-z_][\w-]*)\}/g;
+
+export const URL_TEMPLATE_ERRORS = Object.freeze({
+  NO_PLACEHOLDERS: 'no_placeholders',
+  INVALID_URL: 'invalid_url'
+});
+
+export class UrlTemplateError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = 'UrlTemplateError';
+    this.type = type;
+  }
+}
+
+// Query parameters that page through results, most common first
+const PAGE_PARAMETER_NAMES = ['page', 'p', 'pg', 'pagenum', 'pagenumber', 'page_number', 'start', 'offset', 'from', 'startrow', 'skip', 'begin'];
+
+/**
+ * Lowercase words of a URL value or filter value ("Software+Engineer" -> "software engineer")
+ * @param {string} value - Value
+ * @returns {string}
+ */
+export function normalizeValue(value) {
+  let decoded = String(value ?? '').replace(/\+/g, ' ');
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch (error) {
+    // Keep values that are not valid percent-encoding as they are
+  }
+  return decoded.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * @param {string} value - Value
+ * @returns {string} Lowercase words joined by dashes
+ */
+export function slugifyValue(value) {
+  return normalizeValue(value).replace(/ /g, '-');
+}
+
+function partsOf(url) {
+  const parsed = new URL(url);
+  return {
+    origin: parsed.origin,
+    segments: parsed.pathname.split('/').filter(Boolean),
+    query: new Map(parsed.searchParams.entries()),
+    trailingSlash: parsed.pathname.length > 1 && parsed.pathname.endsWith('/')
+  };
+}
+
+/**
+ * What changed between the page without filters and the page after a submission
+ * @returns {{ query: Array<{ name, value }>, path: { index, value }|null, pathChanged: boolean }}
+ */
+function diffUrls(base, submitted) {
+  const query = [...submitted.query.entries()]
+    .filter(([name, value]) => base.query.get(name) !== value)
+    .map(([name, value]) => ({ name, value }));
+
+  let path = null;
+  const { segments } = submitted;
+  const sameLength = segments.length === base.segments.length;
+  const changed = segments.map((segment, index) => index).filter(index => segments[index] !== base.segments[index]);
+
+  if (sameLength && changed.length === 1) {
+    path = { index: changed[0], value: segments[changed[0]] };
+  } else if (segments.length === base.segments.length + 1 && base.segments.every((segment, index) => segments[index] === segment)) {
+    path = { index: base.segments.length, value: segments[base.segments.length] };
+  }
+
+  return { query, path, pathChanged: !sameLength || changed.length > 0 };
+}
+
+/**
+ * Parameter description for a value the site wrote for a filter value
+ */
+function describeValue(location, probe, observed) {
+  if (normalizeValue(observed) === normalizeValue(probe)) {
+    return observed === slugifyValue(probe) && /\s/.test(String(probe).trim()) ? { ...location, style: 'slug' } : location;
+  }
+  return { ...location, values: { [probe]: decodeValue(observed) } };
+}
+
+function decodeValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Pagination parameter of a results page, from the links to its other pages:
+ * the numeric query parameter that alone differs between the page and its links
+ * @param {string} url - Results page
+ * @param {Array<string>} links - href of the links on the page
+ * @returns {Object|null} { in: 'query', name, start, step }
+ */
+export function detectPagination(url, links = []) {
+  let page;
+  try {
+    page = partsOf(url);
+  } catch (error) {
+    return null;
+  }
+
+  // name -> numbers seen in links
+  const candidates = new Map();
+  for (const href of links) {
+    let link;
+    try {
+      link = partsOf(new URL(href, url).href);
+    } catch (error) {
+      continue;
+    }
+    if (link.origin !== page.origin || link.segments.join('/') !== page.segments.join('/')) continue;
+
+    const names = new Set([...page.query.keys(), ...link.query.keys()]);
+    const differing = [...names].filter(name => page.query.get(name) !== link.query.get(name));
+    if (differing.length !== 1 || !link.query.has(differing[0])) continue;
+
+    const [name] = differing;
+    const value = Number(link.query.get(name));
+    if (!Number.isInteger(value) || value < 0) continue;
+    candidates.set(name, [...(candidates.get(name) || []), value]);
+  }
+
+  if (candidates.size === 0) return null;
+
+  const rank = name => {
+    const known = PAGE_PARAMETER_NAMES.indexOf(name.toLowerCase());
+    return known === -1 ? PAGE_PARAMETER_NAMES.length : known;
+  };
+  const [name, values] = [...candidates.entries()]
+    .sort(([a, aValues], [b, bValues]) => rank(a) - rank(b) || bValues.length - aValues.length)[0];
+
+  const current = Number(page.query.get(name));
+  const positive = values.filter(value => value > 0);
+  const smallest = Math.min(...positive);
+
+  // Links to page 2, 3, ... count pages; links to 10, 20, ... (or 25, 50) count results
+  if (Number.isInteger(current) && page.query.has(name)) {
+    const next = Math.min(...positive.filter(value => value > current));
+    const step = Number.isFinite(next) ? next - current : 1;
+    return { in: 'query', name, start: step > 1 ? 0 : 1, step };
+  }
+  return smallest > 2 ? { in: 'query', name, start: 0, step: smallest } : { in: 'query', name, start: 1, step: 1 };
+}
+
+function formatTemplate(base, parameters, fixedQuery) {
+  const segments = [...base.segments];
+  const pathParameters = Object.entries(parameters)
+    .filter(([, parameter]) => parameter.in === 'path')
+    .sort(([, a], [, b]) => a.index - b.index);
+  for (const [name, parameter] of pathParameters) {
+    segments[parameter.index] = `{${name}}`;
+  }
+
+  const query = [
+    ...Object.entries(fixedQuery).map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`),
+    ...PARAMETER_ORDER
+      .filter(name => parameters[name]?.in === 'query')
+      .map(name => `${encodeURIComponent(parameters[name].name)}={${name}}`)
+  ];
+
+  const path = segments.length > 0 ? `/${segments.join('/')}${base.trailingSlash ? '/' : ''}` : '';
+  return `${base.origin}${path}${query.length > 0 ? `?${query.join('&')}` : ''}`;
+}
+
+/**
+ * Whether a URL carries the given values where the template expects them
+ */
+function templateMatchesUrl(template, values, url) {
+  const parts = partsOf(url);
+  return Object.entries(values).every(([name, value]) => {
+    const parameter = template.parameters[name];
+    if (!parameter) return true;
+    const expected = parameter.values?.[value] ?? value;
+    const actual = parameter.in === 'query' ? parts.query.get(parameter.name) : parts.segments[parameter.index];
+    return actual !== undefined && normalizeValue(actual) === normalizeValue(expected);
+  });
+}
+
+/**
+ * Derive a template by diffing the URLs of single-filter submissions against
+ * the listings page without filters
+ * @param {string} baseUrl - Job listings page, no filter applied
+ * @param {Array<Object>} submissions - { parameter, value, url }: the URL reached with one filter set
+ * @param {Object} [options] - { pagination: detectPagination() result,
+ *   combined: { values, url } a submission with every filter set, to verify the template against }
+ * @returns {Object|null} Template, or null when no parameter could be located
+ */
+export function deriveUrlTemplate(baseUrl, submissions, options = {}) {
+  const base = partsOf(baseUrl);
+  const diffs = submissions.map(submission => ({ ...submission, diff: diffUrls(base, partsOf(submission.url)) }));
+
+  // A parameter that changes in every submission without carrying any filter value
+  // (a session or cache-busting token) belongs to none of them
+  const changedIn = name => diffs.filter(({ diff }) => diff.query.some(change => change.name === name)).length;
+  const isNoise = change => diffs.length > 1 && changedIn(change.name) === diffs.length
+    && !diffs.some(({ value, diff }) => diff.query.some(other => other.name === change.name && normalizeValue(other.value) === normalizeValue(value)));
+  const isPageReset = change => PAGE_PARAMETER_NAMES.includes(change.name.toLowerCase()) && /^[01]$/.test(change.value);
+
+  const parameters = {};
+  const unresolved = [];
+  const claimedQuery = new Set();
+  const claimedPath = new Set();
+
+  for (const { parameter, value, diff } of diffs) {
+    const changes = diff.query.filter(change => !isNoise(change) && !isPageReset(change) && !claimedQuery.has(change.name));
+    const matching = changes.filter(change => normalizeValue(change.value) === normalizeValue(value));
+
+    if (matching.length === 1 || (matching.length === 0 && changes.length === 1)) {
+      const [change] = matching.length === 1 ? matching : changes;
+      parameters[parameter] = describeValue({ in: 'query', name: change.name }, value, change.value);
+      claimedQuery.add(change.name);
+    } else if (changes.length === 0 && diff.path && !claimedPath.has(diff.path.index)) {
+      parameters[parameter] = describeValue({ in: 'path', index: diff.path.index }, value, diff.path.value);
+      claimedPath.add(diff.path.index);
+    } else {
+      unresolved.push(parameter);
+    }
+  }
+
+  if (options.pagination && !claimedQuery.has(options.pagination.name)) {
+    parameters[TEMPLATE_PARAMETERS.PAGE] = options.pagination;
+  }
+
+  if (Object.keys(parameters).length === 0) {
+    return null;
+  }
+
+  const pageName = parameters[TEMPLATE_PARAMETERS.PAGE]?.name;
+  const fixedQuery = Object.fromEntries([...base.query.entries()].filter(([name]) => !claimedQuery.has(name) && name !== pageName));
+
+  const template = {
+    url: formatTemplate(base, parameters, fixedQuery),
+    baseUrl: `${base.origin}/${base.segments.join('/')}`.replace(/\/$/, ''),
+    parameters,
+    fixedQuery,
+    unresolved,
+    verified: null,
+    samples: submissions.map(({ parameter, value, url }) => ({ parameter, value, url })),
+    derivedAt: new Date().toISOString()
+  };
+
+  if (options.combined?.url) {
+    template.verified = templateMatchesUrl(template, options.combined.values, options.combined.url);
+  }
+
+  return template;
+}
+
+/**
+ * @param {string} url - URL written with {placeholders}
+ * @returns {Array<string>} Placeholder names, in order of appearance
+ */
+export function templatePlaceholders(url) {
+  return [...new Set([...String(url ?? '').matchAll(PLACEHOLDER)].map(([, name]) => name))];
+}
+
+/**
+ * Template parameter a filter or placeholder name stands for ("keywords" -> "keyword")
+ * @param {string} name - Filter or placeholder name
+ * @returns {string}
+ */
+export function parameterOf(name) {
+  return PARAMETER_ALIASES[name] || name;
+}
+
+/**
+ * Value of a placeholder among the filters: under its own name, else under
+ * any name standing for the same parameter
+ * @param {Object} filters - Search filters
+ * @param {string} name - Placeholder name
+ * @returns {*} Value, undefined when no filter gives one
+ */
+export function filterValueFor(filters, name) {
+  if (filters?.[name] !== undefined) return filters[name];
+  const parameter = parameterOf(name);
+  const match = Object.entries(filters || {}).find(([key]) => parameterOf(key) === parameter);
+  return match?.[1];
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === false
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * URL value of one filter value: page numbers become the site's page or offset,
+ * `true` becomes the site's "on" value, mapped values their ID
+ */
+function formatValue(parameter, description, value, table, unmapped) {
+  if (parameter === TEMPLATE_PARAMETERS.PAGE && description?.start !== undefined) {
+    return String(description.start + (Number(value) - 1) * (description.step || 1));
+  }
+
+  if (value === true) {
+    const onValues = Object.values(table);
+    return onValues.length === 1 ? String(onValues[0]) : 'true';
+  }
+
+  if (Object.keys(table).length > 0) {
+    const mapped = Object.entries(table).find(([from]) => normalizeValue(from) === normalizeValue(value));
+    if (mapped) return String(mapped[1]);
+    unmapped.add(parameter);
+  }
+
+  return description?.style === 'slug' ? slugifyValue(value) : String(value);
+}
+
+function fillPlaceholders(part, resolved) {
+  return part.replace(PLACEHOLDER, (placeholder, name) => encodeURIComponent(resolved.get(name)));
+}
+
+/**
+ * Build a URL from a template and search filters, without the model.
+ * Values are percent-encoded. A query pair or path segment whose placeholder has
+ * no value is left out, so is the page parameter of the first page.
+ * @param {string|Object} template - URL with {placeholders}, or a deriveUrlTemplate() result
+ * @param {Object} filters - Values by parameter name or alias ({ keywords, location, page })
+ * @param {Object} [options] - { mappings: { location: { 'San Francisco': '1234' } } value tables
+ *   added to the ones of the template }
+ * @returns {{ url: string, used: Array<string>, omitted: Array<string>, unmapped: Array<string> }}
+ *   unmapped: parameters with a mapping table that has no entry for the value, which is used as is
+ * @throws {UrlTemplateError} NO_PLACEHOLDERS, INVALID_URL
+ */
+export function expandUrlTemplate(template, filters = {}, options = {}) {
+  const url = typeof template === 'string' ? template : template?.url;
+  const descriptions = (typeof template === 'object' && template?.parameters) || {};
+  const placeholders = templatePlaceholders(url);
+
+  if (placeholders.length === 0) {
+    throw new UrlTemplateError(URL_TEMPLATE_ERRORS.NO_PLACEHOLDERS, `No {placeholders} in ${url}`);
+  }
+
+  const resolved = new Map();
+  const used = [];
+  const omitted = [];
+  const unmapped = new Set();
+
+  for (const name of placeholders) {
+    const parameter = parameterOf(name);
+    const description = descriptions[name] || descriptions[parameter];
+    let value = filterValueFor(filters, name);
+
+    if (parameter === TEMPLATE_PARAMETERS.PAGE && Number(value) <= 1) {
+      value = undefined;
+    }
+    if (isMissing(value)) {
+      omitted.push(name);
+      continue;
+    }
+
+    const table = { ...description?.values, ...options.mappings?.[name], ...options.mappings?.[parameter] };
+    const values = Array.isArray(value) ? value : [value];
+    resolved.set(name, values.map(each => formatValue(parameter, description, each, table, unmapped)).join(','));
+    used.push(name);
+  }
+
+  const isFilled = part => templatePlaceholders(part).every(name => resolved.has(name));
+
+  const hashStart = url.indexOf('#');
+  const beforeHash = hashStart === -1 ? url : url.slice(0, hashStart);
+  const queryStart = beforeHash.indexOf('?');
+  const pathPart = queryStart === -1 ? beforeHash : beforeHash.slice(0, queryStart);
+  const queryPart = queryStart === -1 ? '' : beforeHash.slice(queryStart + 1);
+
+  const path = pathPart.split('/').filter(isFilled).map(segment => fillPlaceholders(segment, resolved)).join('/');
+  const query = queryPart.split('&').filter(pair => pair && isFilled(pair)).map(pair => fillPlaceholders(pair, resolved));
+  const hash = hashStart === -1 ? null : url.slice(hashStart + 1);
+
+  const expanded = `${path}${query.length > 0 ? `?${query.join('&')}` : ''}${hash !== null && isFilled(hash) ? `#${fillPlaceholders(hash, resolved)}` : ''}`;
+
+  try {
+    new URL(expanded);
+  } catch (error) {
+    throw new UrlTemplateError(URL_TEMPLATE_ERRORS.INVALID_URL, `${url} expands to an invalid URL: ${expanded}`);
+  }
+
+  return { url: expanded, used, omitted, unmapped: [...unmapped] };
+}
+
+/**
+ * Template ID of a company ("Acme, Inc." -> "acme-inc")
+ * @param {string} company - Company name
+ * @returns {string}
+ */
+export function templateIdOf(company) {
+  return slugifyValue(company) || 'unknown';
+}
+
+/**
+ * Store the template derived for a company, replacing the previous one
+ * @param {string} company - Company name
+ * @param {Object} template - deriveUrlTemplate() result
+ * @param {Object} [details] - Extra fields to keep with it (jobListingsUrl)
+ * @returns {Promise<Object>} Stored record
+ */
+export async function saveUrlTemplate(company, template, details = {}) {
+  const record = {
+    template_id: templateIdOf(company),
+    company,
+    ...details,
+    ...template,
+    updatedAt: new Date().toISOString()
+  };
+  await getStorageBackend().put({ TableName: URL_TEMPLATES_TABLE, Item: record });
+  logger.info('Stored URL template', { company, template: record.url, parameters: Object.keys(template.parameters) });
+  return record;
+}
+
+/**
+ * @param {string} company - Company name
+ * @returns {Promise<Object|null>} Stored template of the company
+ */
+export async function getUrlTemplate(company) {
+  return (await getItem(URL_TEMPLATES_TABLE, { template_id: templateIdOf(company) })) || null;
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Every stored template
+ */
+export async function listUrlTemplates() {
+  return scanAllItems(URL_TEMPLATES_TABLE);
+}
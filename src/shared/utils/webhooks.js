@@ -0,0 +1,408 @@
+/**
+ * Outbound Webhooks
+ * Subscription registry and delivery of job lifecycle events to downstream
+ * systems. Every delivery is a JSON POST signed with the subscription secret:
+ *
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ *
+ * Failed deliveries (network errors, timeouts, 408, 429, 5xx) are retried with
+ * exponential backoff; every attempt is recorded in the delivery log.
+ * Retries are timers in this process, so deliveries pending when it stops
+ * stay "pending" in the log and can be redelivered through the API.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/environment.js';
+import { getStorageBackend, isConditionalCheckFailed, WEBHOOKS_TABLE, WEBHOOK_DELIVERIES_TABLE, WEBHOOK_DELIVERY_INDEX } from '../storage/index.js';
+import { getItem, queryItemsPage, scanAllItems } from './dynamoDB.js';
+import { logger } from './logger.js';
+
+export const WEBHOOK_EVENTS = Object.freeze({
+  JOB_DISCOVERED: 'job.discovered',
+  JOB_EXTRACTED: 'job.extracted',
+  JOB_EXTRACTION_FAILED: 'job.extraction_failed',
+  APPLICATION_SUBMITTED: 'application.submitted',
+  APPLICATION_FAILED: 'application.failed'
+});
+
+// Subscribes to every event
+export const ALL_WEBHOOK_EVENTS = '*';
+
+export const DELIVERY_STATUS = Object.freeze({
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+});
+
+// Longest wait between two attempts
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Response bodies are kept in the delivery log up to this length
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+/**
+ * Signature of a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {number|string} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} 'sha256=<hex>'
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received webhook the way a consumer should
+ * @param {string} secret - Subscription secret
+ * @param {Object} received - { timestamp, signature, body }
+ * @param {number} [toleranceSeconds=300] - Maximum age of the timestamp
+ * @returns {boolean} Whether the signature matches and the timestamp is recent
+ */
+export function verifyWebhookSignature(secret, { timestamp, signature, body }, toleranceSeconds = 300) {
+  if (!timestamp || !signature) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Subscription without its secret, for API responses
+ */
+export function toPublicWebhook(webhook) {
+  if (!webhook) return webhook;
+  const { secret, ...publicFields } = webhook;
+  return publicFields;
+}
+
+/**
+ * Register a webhook subscription
+ * @param {Object} input - { url, events, description?, secret?, active? }
+ * @returns {Promise<Object>} Subscription, including its secret
+ */
+export async function createWebhook({ url, events, description = null, secret = null, active = true }) {
+  const now = new Date().toISOString();
+  const webhook = {
+    webhook_id: `wh_${crypto.randomUUID()}`,
+    url,
+    events: [...new Set(events)],
+    description,
+    secret: secret || generateSecret(),
+    active,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await getStorageBackend().put({
+    TableName: WEBHOOKS_TABLE,
+    Item: webhook,
+    ConditionExpression: 'attribute_not_exists(webhook_id)'
+  });
+
+  logger.info(`Webhooks: registered ${webhook.webhook_id} for ${webhook.events.join(', ')} -> ${url}`);
+  return webhook;
+}
+
+/**
+ * @param {string} webhookId - Subscription ID
+ * @returns {Promise<Object|null>} Subscription, including its secret
+ */
+export async function getWebhook(webhookId) {
+  return (await getItem(WEBHOOKS_TABLE, { webhook_id: webhookId })) || null;
+}
+
+/**
+ * @returns {Promise<Array<Object>>} All subscriptions, oldest first
+ */
+export async function listWebhooks() {
+  const webhooks = await scanAllItems(WEBHOOKS_TABLE);
+  return webhooks.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+/**
+ * Change a subscription
+ * @param {string} webhookId - Subscription ID
+ * @param {Object} changes - Any of { url, events, description, active, secret }
+ * @returns {Promise<Object|null>} Updated subscription, or null if it does not exist
+ */
+export async function updateWebhook(webhookId, changes) {
+  const fields = Object.entries({
+    ...changes,
+    ...(changes.events && { events: [...new Set(changes.events)] }),
+    updatedAt: new Date().toISOString()
+  }).filter(([field, value]) => value !== undefined && field !== 'webhook_id' && field !== 'createdAt');
+
+  try {
+    const result = await getStorageBackend().update({
+      TableName: WEBHOOKS_TABLE,
+      Key: { webhook_id: webhookId },
+      UpdateExpression: `SET ${fields.map((_, index) => `#f${index} = :f${index}`).join(', ')}`,
+      ConditionExpression: 'attribute_exists(webhook_id)',
+      ExpressionAttributeNames: Object.fromEntries(fields.map(([field], index) => [`#f${index}`, field])),
+      ExpressionAttributeValues: Object.fromEntries(fields.map(([, value], index) => [`:f${index}`, value])),
+      ReturnValues: 'ALL_NEW'
+    });
+    return result.Attributes;
+  } catch (error) {
+    if (isConditionalCheckFailed(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Replace the secret of a subscription
+ * @param {string} webhookId - Subscription ID
+ * @returns {Promise<Object|null>} Updated subscription with the new secret
+ */
+export async function rotateWebhookSecret(webhookId) {
+  return updateWebhook(webhookId, { secret: generateSecret() });
+}
+
+/**
+ * Remove a subscription. Its delivery log is kept.
+ * @param {string} webhookId - Subscription ID
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function deleteWebhook(webhookId) {
+  try {
+    await getStorageBackend().delete({
+      TableName: WEBHOOKS_TABLE,
+      Key: { webhook_id: webhookId },
+      ConditionExpression: 'attribute_exists(webhook_id)'
+    });
+    logger.info(`Webhooks: deleted ${webhookId}`);
+    return true;
+  } catch (error) {
+    if (isConditionalCheckFailed(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delivery log of a subscription, newest first
+ * @param {string} webhookId - Subscription ID
+ * @param {Object} options - { limit, startKey }
+ * @returns {Promise<{items: Array, lastEvaluatedKey: Object|undefined}>}
+ */
+export async function listDeliveries(webhookId, { limit = 25, startKey } = {}) {
+  return queryItemsPage(WEBHOOK_DELIVERIES_TABLE, {
+    IndexName: WEBHOOK_DELIVERY_INDEX,
+    KeyConditionExpression: 'webhook_id = :webhookId',
+    ExpressionAttributeValues: { ':webhookId': webhookId },
+    ScanIndexForward: false,
+    Limit: limit,
+    ...(startKey && { ExclusiveStartKey: startKey })
+  });
+}
+
+/**
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} Delivery with its attempts
+ */
+export async function getDelivery(deliveryId) {
+  return (await getItem(WEBHOOK_DELIVERIES_TABLE, { delivery_id: deliveryId })) || null;
+}
+
+function subscribesTo(webhook, event) {
+  return webhook.active !== false && (webhook.events || []).some(subscribed => subscribed === event || subscribed === ALL_WEBHOOK_EVENTS);
+}
+
+function isRetryableStatus(statusCode) {
+  return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+function backoffDelay(attempt) {
+  return Math.min(config.webhooks.retryBackoffMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+}
+
+async function recordAttempt(deliveryId, attempt, fields) {
+  const { Attributes } = await getStorageBackend().update({
+    TableName: WEBHOOK_DELIVERIES_TABLE,
+    Key: { delivery_id: deliveryId },
+    UpdateExpression: 'SET #status = :status, attemptCount = if_not_exists(attemptCount, :zero) + :one, attempts = list_append(if_not_exists(attempts, :empty), :attempt), updatedAt = :now, nextAttemptAt = :nextAttemptAt, lastStatusCode = :statusCode, lastError = :error'
+      + (fields.status === DELIVERY_STATUS.SUCCEEDED ? ', deliveredAt = :now' : ''),
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':status': fields.status,
+      ':zero': 0,
+      ':one': 1,
+      ':empty': [],
+      ':attempt': [attempt],
+      ':now': attempt.at,
+      ':nextAttemptAt': fields.nextAttemptAt || null,
+      ':statusCode': attempt.statusCode ?? null,
+      ':error': attempt.error ?? null
+    },
+    ReturnValues: 'ALL_NEW'
+  });
+  return Attributes;
+}
+
+/**
+ * POST a delivery once and record the outcome; schedules the next attempt when it may be retried
+ * @param {Object} delivery - Delivery record
+ * @param {number} attempt - Attempt number within the current delivery round (1-based)
+ * @returns {Promise<Object>} Updated delivery record
+ */
+async function attemptDelivery(delivery, attempt = 1) {
+  const webhook = await getWebhook(delivery.webhook_id);
+  const at = new Date().toISOString();
+
+  if (!webhook || webhook.active === false) {
+    return recordAttempt(delivery.delivery_id, { at, error: webhook ? 'Subscription is disabled' : 'Subscription was deleted' }, {
+      status: DELIVERY_STATUS.FAILED
+    });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startTime = Date.now();
+  let statusCode = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'job-in-js-webhooks/1.0',
+        'X-Webhook-Id': webhook.webhook_id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.delivery_id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+    });
+    statusCode = response.status;
+    responseBody = (await response.text().catch(() => '')).substring(0, MAX_RESPONSE_BODY_LENGTH);
+    if (!response.ok) {
+      error = `HTTP ${statusCode}`;
+    }
+  } catch (requestError) {
+    error = requestError.name === 'TimeoutError' ? `Timed out after ${config.webhooks.timeoutMs}ms` : requestError.message;
+  }
+
+  const attemptRecord = { at, url: webhook.url, statusCode, durationMs: Date.now() - startTime, error, responseBody };
+
+  if (!error) {
+    logger.info(`Webhooks: delivered ${delivery.event} ${delivery.delivery_id} to ${webhook.url} (${statusCode})`);
+    return recordAttempt(delivery.delivery_id, attemptRecord, { status: DELIVERY_STATUS.SUCCEEDED });
+  }
+
+  const retryable = statusCode === null || isRetryableStatus(statusCode);
+  if (!retryable || attempt >= config.webhooks.maxAttempts) {
+    logger.error(`Webhooks: delivery ${delivery.delivery_id} of ${delivery.event} to ${webhook.url} failed after ${attempt} attempt(s): ${error}`);
+    return recordAttempt(delivery.delivery_id, attemptRecord, { status: DELIVERY_STATUS.FAILED });
+  }
+
+  const delay = backoffDelay(attempt);
+  logger.warn(`Webhooks: delivery ${delivery.delivery_id} to ${webhook.url} failed (${error}), retrying in ${delay}ms`);
+  const updated = await recordAttempt(delivery.delivery_id, attemptRecord, {
+    status: DELIVERY_STATUS.PENDING,
+    nextAttemptAt: new Date(Date.now() + delay).toISOString()
+  });
+  scheduleAttempt(updated, attempt + 1, delay);
+  return updated;
+}
+
+function scheduleAttempt(delivery, attempt, delay) {
+  setTimeout(() => {
+    attemptDelivery(delivery, attempt)
+      .catch(error => logger.error(`Webhooks: could not record delivery ${delivery.delivery_id}: ${error.message}`));
+  }, delay);
+}
+
+/**
+ * Create a delivery for one subscription and send it in the background
+ */
+async function enqueueDelivery(webhook, event, data) {
+  const now = new Date().toISOString();
+  const deliveryId = `dlv_${crypto.randomUUID()}`;
+  const delivery = {
+    delivery_id: deliveryId,
+    webhook_id: webhook.webhook_id,
+    event,
+    url: webhook.url,
+    payload: { id: deliveryId, event, createdAt: now, data },
+    status: DELIVERY_STATUS.PENDING,
+    attemptCount: 0,
+    attempts: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await getStorageBackend().put({ TableName: WEBHOOK_DELIVERIES_TABLE, Item: delivery });
+  scheduleAttempt(delivery, 1, 0);
+  return delivery;
+}
+
+/**
+ * Fire an event to every active subscription listening for it. Deliveries
+ * happen in the background; this never throws, so callers in workflows can
+ * await it without guarding their own outcome.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<Array<Object>>} Created (pending) deliveries
+ */
+export async function emitWebhookEvent(event, data) {
+  return emitWebhookEvents(event, [data]);
+}
+
+/**
+ * Fire an event once per data item (e.g. every job of a discovery batch),
+ * reading the subscriptions once for the whole batch. Never throws.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Array<Object>} dataItems - Event data, one event each
+ * @returns {Promise<Array<Object>>} Created (pending) deliveries, in the order of dataItems
+ */
+export async function emitWebhookEvents(event, dataItems) {
+  if (dataItems.length === 0) {
+    return [];
+  }
+
+  try {
+    const webhooks = (await listWebhooks()).filter(webhook => subscribesTo(webhook, event));
+    return await Promise.all(dataItems.flatMap(data => webhooks.map(webhook => enqueueDelivery(webhook, event, data))));
+  } catch (error) {
+    logger.error(`Webhooks: could not emit ${event}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Send a delivery again (a new round of attempts), e.g. one left pending by a restart
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} The delivery, or null if it does not exist
+ */
+export async function redeliver(deliveryId) {
+  const delivery = await getDelivery(deliveryId);
+  if (!delivery) {
+    return null;
+  }
+  scheduleAttempt(delivery, 1, 0);
+  return delivery;
+}
+
+/**
+ * Send a test event to one subscription, whatever events it listens for
+ * @param {Object} webhook - Subscription
+ * @returns {Promise<Object>} Pending delivery
+ */
+export async function sendTestEvent(webhook) {
+  return enqueueDelivery(webhook, 'webhook.test', { webhook_id: webhook.webhook_id, message: 'Test delivery' });
+}
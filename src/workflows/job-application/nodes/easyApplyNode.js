@@ -1,5 +1,4 @@
 import { runEasyApplyWorkflow } from '../../../new-workflows/easyApply/index.js';
-import { enhancedStagehandClient } from '../../../shared/utils/enhancedStagehand.js';
 import { logger } from '../../../shared/utils/logger.js';
 
 export async function easyApplyNode(state) {
@@ -9,7 +8,7 @@ export async function easyApplyNode(state) {
   
   try {
     // Trigger the Easy Apply workflow - it handles everything internally
-    const result = await runEasyApplyWorkflow(jobUrl, candidateData, enhancedStagehandClient);
+    const result = await runEasyApplyWorkflow(jobUrl, candidateData);
     
     logger.info('Easy apply workflow completed', { 
       jobUrl, 
@@ -1,4 +1,4 @@
-import { enhancedStagehandClient } from '../../../shared/utils/enhancedStagehand.js';
+import { withBrowserSession } from '../../../shared/utils/browserPool.js';
 import { logger } from '../../../shared/utils/logger.js';
 
 export async function jobClassifierNode(state) {
@@ -8,10 +8,11 @@ export async function jobClassifierNode(state) {
   
   try {
     // Classify the job application type
-    const classification = await enhancedStagehandClient.classifyJobApplication(jobUrl);
-    
-    // Analyze application requirements
-    const requirements = await enhancedStagehandClient.analyzeApplicationRequirements(jobUrl);
+    // and analyze its requirements, in one leased browser session
+    const { classification, requirements } = await withBrowserSession(async ({ client }) => ({
+      classification: await client.classifyJobApplication(jobUrl),
+      requirements: await client.analyzeApplicationRequirements(jobUrl)
+    }));
     
     // Determine if application is possible
     const canApply = classification.applicationType !== 'oauth_required' && 
@@ -1,4 +1,4 @@
-import { enhancedStagehandClient } from '../../../shared/utils/enhancedStagehand.js';
+import { withBrowserSession } from '../../../shared/utils/browserPool.js';
 import { createCandidateProfile } from '../../../shared/utils/candidateProfile.js';
 import { logger } from '../../../shared/utils/logger.js';
 
@@ -43,11 +43,11 @@ export async function resumeUploadNode(state) {
     }
     
     // Handle resume upload using Stagehand
-    const result = await enhancedStagehandClient.handleFormSubmission(
+    const result = await withBrowserSession(({ client }) => client.handleFormSubmission(
       jobUrl, 
       candidateProfile.toJSON(), 
       requirements
-    );
+    ));
     
     logger.info('Resume upload completed', { 
       jobUrl, 
@@ -0,0 +1,148 @@
+/**
+ * Test Script for API Key Management
+ * Creates, uses and revokes keys through the API and checks hashing, scopes,
+ * last-used tracking and per-key rate limits, on the in-memory local backend
+ */
+
+import express from 'express';
+import { check, reportChecks } from './test/helpers/check.js';
+
+process.env.VALID_API_KEYS = 'bootstrap-admin-key=admin,legacy-key,reader-key=jobs:read+discovery:trigger';
+// Record every use so the test does not wait for the throttle interval
+process.env.API_KEY_LAST_USED_INTERVAL_MS = '1';
+
+const { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY, API_KEYS_TABLE } = await import('./src/shared/storage/index.js');
+const { API_KEY_SCOPES, authenticateApiKey, consumeRateLimit, createApiKey, getApiKey, hasScope } = await import('./src/shared/utils/apiKeys.js');
+const { validateApiKey } = await import('./src/api/middleware/validateApiKey.js');
+const { default: apiKeyRoutes } = await import('./src/api/routes/apiKeys.js');
+const { default: runRoutes } = await import('./src/api/routes/runs.js');
+const { RUN_TYPES, startRun, getRun } = await import('./src/shared/utils/runManager.js');
+const { buildOpenApiDocument } = await import('./src/api/openapi/document.js');
+const { getItem } = await import('./src/shared/utils/dynamoDB.js');
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testApiKeys() {
+  console.log('🧪 Testing API key management\n');
+
+  // Store
+  const created = await createApiKey({ name: 'reader', scopes: [API_KEY_SCOPES.JOBS_READ] });
+  const stored = await getItem(API_KEYS_TABLE, { key_id: created.key_id });
+  check('keys are returned once and stored hashed', created.key.startsWith(`${created.key_id}.`)
+    && !created.key_hash && stored.key_hash && !JSON.stringify(stored).includes(created.key.split('.')[1]));
+  check('a stored key authenticates', (await authenticateApiKey(created.key))?.key_id === created.key_id);
+  check('a wrong secret does not', (await authenticateApiKey(`${created.key_id}.wrong`)) === null);
+  check('VALID_API_KEYS get the scopes written after them', hasScope((await authenticateApiKey('bootstrap-admin-key'))?.scopes, API_KEY_SCOPES.APPLICATIONS_WRITE)
+    && (await authenticateApiKey('reader-key'))?.scopes.join() === [API_KEY_SCOPES.JOBS_READ, API_KEY_SCOPES.DISCOVERY_TRIGGER].join());
+  check('VALID_API_KEYS without scopes only read', (await authenticateApiKey('legacy-key'))?.scopes.join() === API_KEY_SCOPES.JOBS_READ);
+  check('there is no built-in test key', (await authenticateApiKey('test-api-key')) === null);
+  check('scopes do not imply each other', !hasScope([API_KEY_SCOPES.JOBS_READ], API_KEY_SCOPES.DISCOVERY_TRIGGER));
+
+  const expired = await createApiKey({ name: 'expired', scopes: [API_KEY_SCOPES.ADMIN], expiresAt: new Date(Date.now() - 1000).toISOString() });
+  check('expired keys are rejected', (await authenticateApiKey(expired.key)) === null);
+
+  const start = 1_000_000;
+  const limits = [1, 2, 3].map(() => consumeRateLimit('ak_window', 2, start));
+  check('the limit applies per window', limits.map(limit => limit.allowed).join() === 'true,true,false' && limits[2].remaining === 0);
+  check('the next window starts fresh', consumeRateLimit('ak_window', 2, start + 60 * 1000).allowed);
+
+  // API
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1', validateApiKey);
+  app.use('/api/v1/runs', runRoutes);
+  app.use('/api/v1/api-keys', apiKeyRoutes);
+  const server = app.listen(0);
+  const baseUrl = `http://localhost:${server.address().port}/api/v1`;
+  const request = (path, key, method = 'GET', body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(key && { 'X-API-Key': key }) },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  try {
+    check('requests without a key are 401', (await request('/runs')).status === 401);
+    check('unknown keys are 401', (await request('/runs', 'ak_0000000000000000.nope')).status === 401);
+
+    const createResponse = await request('/api-keys', 'bootstrap-admin-key', 'POST', {
+      name: 'discovery dashboard',
+      scopes: [API_KEY_SCOPES.JOBS_READ],
+      rateLimitPerMinute: 3
+    });
+    const { data: dashboardKey } = await createResponse.json();
+    check('admin keys create keys', createResponse.status === 201 && dashboardKey.key && dashboardKey.createdBy === 'env_1');
+    check('invalid scopes are rejected', (await request('/api-keys', 'bootstrap-admin-key', 'POST', { name: 'x', scopes: ['everything'] })).status === 400);
+
+    const allowed = await request('/runs', dashboardKey.key);
+    check('a key can use routes in its scopes', allowed.status === 200);
+    check('rate limit headers are sent', allowed.headers.get('x-ratelimit-limit') === '3' && allowed.headers.get('x-ratelimit-remaining') === '2');
+
+    const forbidden = await request('/api-keys', dashboardKey.key);
+    check('routes outside its scopes are 403', forbidden.status === 403 && (await forbidden.json()).message.includes('admin'));
+
+    await request('/runs', dashboardKey.key);
+    const limited = await request('/runs', dashboardKey.key);
+    check('requests over the limit are 429 with Retry-After', limited.status === 429 && Number(limited.headers.get('retry-after')) > 0);
+    check('other keys keep their own limit', (await request('/runs', 'bootstrap-admin-key')).status === 200);
+
+    await sleep(50);
+    const { data: record } = await (await request(`/api-keys/${dashboardKey.key_id}`, 'bootstrap-admin-key')).json();
+    check('last use is recorded', Boolean(record.lastUsedAt) && record.lastUsedIp !== undefined);
+    check('responses never include the hash', !('key_hash' in record) && !('key' in record));
+
+    const { data: list } = await (await request('/api-keys', 'bootstrap-admin-key')).json();
+    check('keys are listed', list.count === 3 && list.apiKeys.every(apiKey => !apiKey.key_hash));
+
+    const revoked = await request(`/api-keys/${created.key_id}`, 'bootstrap-admin-key', 'DELETE');
+    check('keys can be revoked', revoked.status === 200 && (await revoked.json()).data.status === 'revoked');
+    check('revoked keys are 401', (await request('/runs', created.key)).status === 401);
+    check('the record is kept', (await getApiKey(created.key_id))?.revokedBy === 'env_1');
+    check('revoking an unknown key is 404', (await request('/api-keys/ak_missing', 'bootstrap-admin-key', 'DELETE')).status === 404);
+
+    // Job-application runs hold candidate data: jobs:read keys do not see them
+    const candidateData = { personal: { firstName: 'Ada', email: 'ada@example.com', phone: '+1 555 0100' } };
+    const application = await startRun(RUN_TYPES.JOB_APPLICATION, { jobUrl: 'https://example.com/jobs/1', candidateData },
+      async () => ({ success: true, data: { candidateData, status: 'submitted' } }));
+    const discovery = await startRun(RUN_TYPES.JOB_DISCOVERY, { domain: 'software_engineering' }, async () => ({ success: true }));
+    await sleep(50);
+    check('the application run stores the candidate', Boolean((await getRun(application.run_id))?.result?.data?.candidateData));
+
+    const reader = await createApiKey({ name: 'run reader', scopes: [API_KEY_SCOPES.JOBS_READ] });
+    const applicant = await createApiKey({ name: 'applicant', scopes: [API_KEY_SCOPES.APPLICATIONS_WRITE, API_KEY_SCOPES.JOBS_READ] });
+
+    const readerList = await (await request('/runs', reader.key)).json();
+    check('jobs:read keys list runs without the job-application ones', readerList.data.runs.some(run => run.run_id === discovery.run_id)
+      && readerList.data.runs.every(run => run.type !== RUN_TYPES.JOB_APPLICATION)
+      && !JSON.stringify(readerList).includes('ada@example.com'));
+    check('jobs:read keys cannot filter on job-application runs', (await request(`/runs?type=${RUN_TYPES.JOB_APPLICATION}`, reader.key)).status === 403);
+
+    const readerRun = await request(`/runs/${application.run_id}`, reader.key);
+    const readerRunBody = await readerRun.text();
+    check('jobs:read keys cannot read a job-application run', readerRun.status === 403
+      && !readerRunBody.includes('ada@example.com') && readerRunBody.includes(API_KEY_SCOPES.APPLICATIONS_WRITE));
+    check('nor stream its events', (await request(`/runs/${application.run_id}/events`, reader.key)).status === 403);
+    check('nor download its artifacts', (await request(`/runs/${application.run_id}/artifacts/form.png`, reader.key)).status === 403);
+    check('other runs stay readable', (await request(`/runs/${discovery.run_id}`, reader.key)).status === 200);
+
+    const applicantRun = await (await request(`/runs/${application.run_id}`, applicant.key)).json();
+    check('applications:write keys read job-application runs', applicantRun.data?.input?.candidateData?.personal?.email === 'ada@example.com');
+    const applicantList = await (await request(`/runs?type=${RUN_TYPES.JOB_APPLICATION}`, applicant.key)).json();
+    check('and list them', applicantList.data.runs.some(run => run.run_id === application.run_id));
+
+    const spec = buildOpenApiDocument();
+    const createOperation = spec.paths['/api/v1/api-keys'].post;
+    check('the document names the required scope', createOperation['x-required-scope'] === API_KEY_SCOPES.ADMIN
+      && Boolean(createOperation.responses[403]) && Boolean(createOperation.responses[429]));
+  } finally {
+    server.close();
+  }
+
+  reportChecks('API key');
+}
+
+testApiKeys().catch(error => {
+  console.error('❌ API key test crashed:', error);
+  process.exit(1);
+});
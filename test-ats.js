@@ -0,0 +1,224 @@
+/**
+ * Test Script for ATS Detection and Adapters
+ * Detects boards from URLs, embeds and links, lists every adapter's postings
+ * from the saved feed responses in test/fixtures/ats, and runs the career and
+ * job discovery nodes that record and list ATS boards.
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from './src/shared/config/environment.js';
+import { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } from './src/shared/storage/index.js';
+import { DomainGovernor, setDomainGovernor } from './src/shared/utils/domainGovernor.js';
+import {
+  ATS_ERRORS, ATS_SIGNALS, detectAts, detectAtsFromUrl, detectAtsOnPage, filterAtsPostings, listAtsPostings
+} from './src/shared/ats/index.js';
+import careerPageFinderNode from './src/new-workflows/career-page-discovery/nodes/careerPageFinderNode.js';
+import jobListingsNavigatorNode from './src/new-workflows/career-page-discovery/nodes/jobListingsNavigatorNode.js';
+import { urlConstructionNode } from './src/new-nodes/processing/urlConstructionNode.js';
+import { urlIteratorNode } from './src/new-workflows/job-discovery/urlIteratorNode.js';
+import { atsListingNode } from './src/new-nodes/scraping/atsListingNode.js';
+import { storageNode } from './src/new-workflows/job-discovery/storageNode.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+
+// Saved responses need no spacing between requests
+setDomainGovernor(new DomainGovernor({ defaults: { minIntervalMs: 0, backoffBaseMs: 1, backoffMaxMs: 5, maxRetries: 2 } }));
+
+const MANIFEST = path.join(process.cwd(), 'test', 'fixtures', 'ats', 'manifest.json');
+
+const board = url => detectAtsFromUrl(url);
+
+/**
+ * Fake Stagehand page: goto() moves to the URL, evaluate() answers with the
+ * URL and the scripts/iframes/links given for it
+ */
+function fakePage(pages, { observeLink = null, extract = [] } = {}) {
+  return {
+    currentUrl: 'about:blank',
+    gotoCalls: [],
+    async goto(url) {
+      this.gotoCalls.push(url);
+      this.currentUrl = url;
+      return { ok: () => true, status: () => 200 };
+    },
+    async evaluate() {
+      return { scripts: [], frames: [], links: [], ...pages[this.currentUrl], url: this.currentUrl };
+    },
+    async waitForSelector() {},
+    async type() {},
+    keyboard: { press: async () => {} },
+    async waitForNavigation() {},
+    async observe() {
+      return { link: observeLink };
+    },
+    async extract() {
+      return extract.shift() || {};
+    }
+  };
+}
+
+async function testAts() {
+  console.log('🧪 Testing ATS detection and adapters\n');
+
+  const directory = mkdtempSync(path.join(os.tmpdir(), 'ats-'));
+  const originalFixtures = config.ats.fixtures;
+  config.ats.fixtures = MANIFEST;
+
+  try {
+    // Detection from URLs
+    check('Greenhouse boards and embeds are recognized', board('https://boards.greenhouse.io/Acme/jobs/4012345')?.boardId === 'acme'
+      && board('https://boards.greenhouse.io/embed/job_board?for=acme')?.boardUrl === 'https://boards.greenhouse.io/acme'
+      && board('https://job-boards.greenhouse.io/acme')?.platform === 'greenhouse');
+    check('Lever boards keep their region', board('https://jobs.lever.co/acme/5f3c2a1e-8b7d-4c6e-9a0b-1c2d3e4f5a6b')?.boardUrl === 'https://jobs.lever.co/acme'
+      && board('https://jobs.eu.lever.co/acme')?.boardUrl === 'https://jobs.eu.lever.co/acme');
+    check('Ashby and SmartRecruiters boards are recognized', board('https://jobs.ashbyhq.com/acme/embed?version=2')?.boardId === 'acme'
+      && board('https://careers.smartrecruiters.com/Acme')?.boardUrl === 'https://jobs.smartrecruiters.com/Acme');
+    check('Workday boards are identified by tenant and site, past the locale',
+      board('https://acme.wd5.myworkdayjobs.com/en-US/External/job/Austin/Software-Engineer_R-1000')?.boardId === 'acme/External'
+      && board('https://acme.wd5.myworkdayjobs.com/wday/cxs/acme/External/jobs')?.boardUrl === 'https://acme.wd5.myworkdayjobs.com/External');
+    check('iCIMS portals are recognized, icims.com itself is not', board('https://careers-acme.icims.com/jobs/5521/warehouse-associate/job')?.boardId === 'careers-acme'
+      && board('https://www.icims.com/products') === null);
+    check('other URLs belong to no ATS', board('https://acme.com/careers') === null && board('https://www.linkedin.com/jobs/view/123456') === null
+      && board('not a url') === null);
+
+    // Detection from page signals
+    const redirected = detectAts({ url: 'https://jobs.lever.co/acme', links: ['https://boards.greenhouse.io/other'] });
+    check('a page that is a board wins over its links', redirected.platform === 'lever' && redirected.detectedFrom === ATS_SIGNALS.URL);
+    const embedded = detectAts({ url: 'https://acme.com/careers', scripts: ['https://cdn.acme.com/app.js', 'https://boards.greenhouse.io/embed/job_board/js?for=acme'] });
+    check('embedded board scripts are detected', embedded.boardId === 'acme' && embedded.detectedFrom === ATS_SIGNALS.EMBED);
+    const linked = detectAts({
+      url: 'https://acme.com/careers',
+      links: ['https://jobs.lever.co/partner', 'https://acme.wd5.myworkdayjobs.com/en-US/External/job/A_R-1', 'https://acme.wd5.myworkdayjobs.com/External']
+    });
+    check('the most linked board wins', linked.platform === 'workday' && linked.detectedFrom === ATS_SIGNALS.LINKS);
+    check('pages that cannot be read have no board', await detectAtsOnPage({}) === null);
+
+    // Adapters against saved responses
+    const greenhouse = await listAtsPostings(board('https://boards.greenhouse.io/acme'));
+    check('Greenhouse postings are listed with title, URL and location', greenhouse.length === 2
+      && greenhouse[0].platformJobId === '4012345' && greenhouse[0].title === 'Senior Backend Engineer'
+      && greenhouse[0].location === 'Remote - US' && greenhouse[1].postedAt === '2026-10-10T08:00:00-04:00');
+
+    const lever = await listAtsPostings(board('https://jobs.lever.co/acme'));
+    check('Lever postings carry commitment, team and creation date', lever.length === 2 && lever[0].employmentType === 'Full-time'
+      && lever[0].department === 'Engineering' && lever[1].department === 'Sales' && lever[0].postedAt === '2025-10-01T10:00:00.000Z');
+
+    const ashby = await listAtsPostings(board('https://jobs.ashbyhq.com/acme'));
+    check('unlisted Ashby postings are left out', ashby.length === 1 && ashby[0].title === 'Machine Learning Engineer');
+
+    const workday = await listAtsPostings(board('https://acme.wd5.myworkdayjobs.com/en-US/External'));
+    check('Workday feeds are paged to the total of the first page', workday.length === 22
+      && workday[0].url === 'https://acme.wd5.myworkdayjobs.com/External/job/Austin/Software-Engineer-1_R-1000'
+      && workday[21].platformJobId === 'R-1021-1');
+
+    const smartRecruiters = await listAtsPostings(board('https://jobs.smartrecruiters.com/Acme'));
+    check('SmartRecruiters postings get their board URL and location', smartRecruiters.length === 2
+      && smartRecruiters[0].url === 'https://jobs.smartrecruiters.com/Acme/744000087654321'
+      && smartRecruiters[0].location === 'Warsaw, Masovian Voivodeship, PL' && smartRecruiters[1].location === 'Lisbon, PT, Remote');
+
+    const icims = await listAtsPostings(board('https://careers-acme.icims.com/jobs/intro'));
+    check('iCIMS search pages are read until no new posting appears', icims.length === 2
+      && icims[0].url === 'https://careers-acme.icims.com/jobs/5521/warehouse-associate/job' && icims[1].title === 'R&D Technician');
+
+    // Failures
+    const notFound = await listAtsPostings(board('https://boards.greenhouse.io/gone')).then(() => null, error => error);
+    check('feeds answering an error status fail with request_failed', notFound?.type === ATS_ERRORS.REQUEST_FAILED && notFound.message.includes('HTTP 404'));
+    const missing = await listAtsPostings(board('https://boards.greenhouse.io/unknown')).then(() => null, error => error);
+    check('requests without a saved response fail with fixture_missing', missing?.type === ATS_ERRORS.FIXTURE_MISSING);
+    const unsupported = await listAtsPostings({ platform: 'taleo', boardId: 'acme', boardUrl: 'https://acme.taleo.net' }).then(() => null, error => error);
+    check('platforms without an adapter are rejected', unsupported?.type === ATS_ERRORS.UNSUPPORTED_PLATFORM);
+    const invalid = await listAtsPostings(board('https://boards.greenhouse.io/acme'), {
+      fetch: async () => new Response(JSON.stringify({ jobs: [{ id: 1 }] }), { status: 200 })
+    }).then(() => null, error => error);
+    check('feeds of another shape fail with invalid_response', invalid?.type === ATS_ERRORS.INVALID_RESPONSE && invalid.message.includes('jobs.0.title'));
+
+    let attempts = 0;
+    const retried = await listAtsPostings(board('https://jobs.ashbyhq.com/acme'), {
+      fetch: async () => (++attempts === 1
+        ? new Response('slow down', { status: 429, headers: { 'retry-after': '0' } })
+        : new Response(JSON.stringify({ jobs: [] }), { status: 200 }))
+    });
+    check('rate-limited feed requests are retried by the domain governor', attempts === 2 && retried.length === 0);
+
+    // Career discovery nodes
+    const finderPage = fakePage({}, { observeLink: 'https://boards.greenhouse.io/acme' });
+    const found = await careerPageFinderNode({ companyName: 'Acme', page: finderPage, errors: [], promptVersions: {} });
+    check('the career page finder records the ATS board of the career page', found.status === 'career_page_found'
+      && found.ats?.platform === 'greenhouse' && found.ats.boardId === 'acme' && found.ats.detectedFrom === ATS_SIGNALS.URL);
+
+    const boardPage = fakePage({});
+    const navigated = await jobListingsNavigatorNode({ ...found, page: boardPage });
+    check('a known board is the job listings page, without browsing', navigated.jobListingsUrl === 'https://boards.greenhouse.io/acme'
+      && navigated.status === 'job_listings_found' && boardPage.gotoCalls.length === 0);
+
+    const companyPage = fakePage({
+      'https://acme.com/careers/openings': { frames: ['https://careers-acme.icims.com/jobs/search?in_iframe=1'] }
+    }, { extract: [{ link: 'https://acme.com/careers/openings' }, { isValid: true }] });
+    const listed = await jobListingsNavigatorNode({ companyName: 'Acme', careerPageUrl: 'https://acme.com/careers', page: companyPage, ats: null, errors: [], promptVersions: {} });
+    check('the navigator detects a board embedded in the listings page', listed.jobListingsUrl === 'https://acme.com/careers/openings'
+      && listed.ats?.platform === 'icims' && listed.ats.detectedFrom === ATS_SIGNALS.EMBED);
+
+    // Filters
+    const boardPostings = [
+      { title: 'Senior Backend Engineer', location: 'Remote - US', department: 'Engineering' },
+      { title: 'Product Designer', location: 'New York, NY', department: 'Design' },
+      { title: 'Data Scientist', location: 'Berlin, DE', department: null },
+      { title: 'Account Executive', location: null, department: 'Sales' }
+    ];
+    const titles = request => filterAtsPostings(boardPostings, request).map(posting => posting.title).join();
+    check('postings are kept when nothing filters them', titles() === boardPostings.map(posting => posting.title).join());
+    check('keywords need all their words in the title', titles({ filters: { keywords: 'backend engineer' } }) === 'Senior Backend Engineer'
+      && titles({ filters: { keyword: 'frontend engineer' } }) === '');
+    check('the domain needs one of its words, stemmed', titles({ domain: 'software_engineering' }) === 'Senior Backend Engineer'
+      && titles({ domain: 'data_science' }) === 'Data Scientist');
+    check('locations match any of their values; postings without one are kept',
+      titles({ filters: { location: ['New York', 'Berlin'] } }) === 'Product Designer,Data Scientist,Account Executive');
+    check('remote and department filters skip postings without the field', titles({ filters: { remote: true } }) === 'Senior Backend Engineer,Account Executive'
+      && titles({ filters: { department: 'sales' } }) === 'Data Scientist,Account Executive');
+
+    // Job discovery pipeline
+    const configPath = path.join(directory, 'job_discovery_urls.csv');
+    writeFileSync(configPath, [
+      'url,description,company',
+      'https://jobs.smartrecruiters.com/Acme,SmartRecruiters board,Acme',
+      'https://boards.greenhouse.io/gone,Closed board,Gone'
+    ].join('\n'));
+
+    const constructed = await urlConstructionNode({ configPath, domain: null, filters: { location: 'remote' }, errors: [] });
+    check('board URLs of the config are listed from the feed, without building a search URL', constructed.processedUrls.length === 2
+      && constructed.processedUrls[0].finalUrl === 'https://jobs.smartrecruiters.com/Acme' && constructed.processedUrls[0].ats?.platform === 'smartrecruiters');
+
+    const iterated = await urlIteratorNode({ ...constructed, currentUrlIndex: 0, scrapedJobs: [] });
+    const remoteOnly = await atsListingNode(iterated);
+    check('the listing node keeps the postings matching the run\'s filters', remoteOnly.scrapedJobs.map(job => job.title).join() === 'Support Specialist');
+    const qualityOnly = await atsListingNode({ ...iterated, currentUrl: { ...iterated.currentUrl, domain: 'quality_assurance', filters: {} } });
+    check('and its domain', qualityOnly.scrapedJobs.map(job => job.title).join() === 'QA Analyst');
+
+    const scraped = await atsListingNode({ ...iterated, currentUrl: { ...iterated.currentUrl, domain: null, filters: {} } });
+    check('the listing node adds the feed postings as scraped jobs', scraped.currentStep === 'ats_listing_complete'
+      && scraped.scrapedJobs.length === 2 && scraped.scrapedJobs[0].title === 'QA Analyst'
+      && scraped.scrapedJobs[0].source === 'ats:smartrecruiters' && scraped.scrapedJobs[0].posting.department === 'Quality');
+
+    const stored = await storageNode(scraped);
+    const storedJob = stored.storedJobs.find(job => job.platformJobId === '744000087654321');
+    check('stored jobs keep the posting title and details', stored.storageSummary.new === 2 && storedJob?.platform === 'smartrecruiters'
+      && storedJob.title === 'QA Analyst' && storedJob.posting.location === 'Warsaw, Masovian Voivodeship, PL');
+
+    const failed = await atsListingNode(await urlIteratorNode(scraped));
+    check('a failing feed is reported so the board page is scraped instead', failed.currentStep === 'ats_listing_failed'
+      && failed.errors.at(-1).failure_type === ATS_ERRORS.REQUEST_FAILED && failed.scrapedJobs.length === 2);
+  } finally {
+    config.ats.fixtures = originalFixtures;
+    rmSync(directory, { recursive: true, force: true });
+  }
+
+  reportChecks('ATS');
+}
+
+testAts().catch(error => {
+  console.error('❌ ATS test crashed:', error);
+  process.exit(1);
+});
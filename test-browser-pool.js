@@ -0,0 +1,192 @@
+/**
+ * Test Script for the Browser Session Pool
+ * Checks leasing, queueing when the pool is exhausted, reuse with reset, health
+ * checks, idle timeouts and shutdown, with fake sessions in place of Stagehand.
+ */
+
+import { check, reportChecks } from './test/helpers/check.js';
+
+const { BROWSER_POOL_ERRORS, BrowserPool, BrowserPoolError, setBrowserPool, withBrowserSession } = await import('./src/shared/utils/browserPool.js');
+const { runWithEventContext } = await import('./src/shared/utils/runEvents.js');
+const { default: JobExtractionWorkflow } = await import('./src/new-workflows/job-extraction/index.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let sessionCount = 0;
+let failNextStart = false;
+
+class FakeStagehandClient {
+  constructor() {
+    this.number = ++sessionCount;
+    this.page = { session: this.number };
+    this.healthy = true;
+    this.failReset = false;
+    this.resets = 0;
+    this.closed = false;
+  }
+
+  async initialize() {
+    if (failNextStart) {
+      failNextStart = false;
+      throw new Error('browser failed to launch');
+    }
+  }
+
+  async newPage() {
+    return this.page;
+  }
+
+  async newAgent() {
+    return { session: this.number };
+  }
+
+  async checkHealth() {
+    return this.healthy ? { status: 'healthy' } : { status: 'error', message: 'Page is closed' };
+  }
+
+  async reset() {
+    if (this.failReset) throw new Error('reset failed');
+    this.resets++;
+  }
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+function createPool(options = {}) {
+  return new BrowserPool({
+    size: 2,
+    idleTimeoutMs: 0,
+    acquireTimeoutMs: 0,
+    healthCheckTimeoutMs: 1000,
+    createSession: () => new FakeStagehandClient(),
+    ...options
+  });
+}
+
+async function rejectsWith(promise, type) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error instanceof BrowserPoolError && error.type === type;
+  }
+}
+
+async function testBrowserPool() {
+  console.log('🧪 Testing the browser session pool\n');
+
+  // Leasing and queueing
+  const pool = createPool();
+  const first = await pool.acquire();
+  const second = await pool.acquire();
+  check('concurrent leases get their own sessions', first.sessionId !== second.sessionId && first.page !== second.page);
+  check('leases carry the session page and agent', first.page.session === first.client.number && (await first.newAgent()).session === first.client.number);
+
+  let third = null;
+  const queued = pool.acquire({ owner: 'queued-run' }).then(lease => { third = lease; return lease; });
+  await sleep(10);
+  check('leases queue when every session is leased', third === null && pool.stats().waiting === 1 && pool.stats().sessions === 2);
+
+  await first.release();
+  await queued;
+  check('a released session goes to the next queued lease after a reset', third.sessionId === first.sessionId && first.client.resets === 1
+    && third.owner === 'queued-run' && pool.stats().waiting === 0);
+  check('releasing a lease does not close the browser of the other runs', !second.client.closed && !first.client.closed);
+
+  await first.release();
+  check('releasing a lease twice has no effect', pool.stats().leased === 2);
+
+  check('queued leases time out', await rejectsWith(pool.acquire({ timeoutMs: 20 }), BROWSER_POOL_ERRORS.QUEUE_TIMEOUT)
+    && pool.stats().waiting === 0);
+
+  // Health checks and replacement
+  await third.release();
+  await second.release();
+  check('released sessions stay warm', pool.stats().idle === 2 && pool.stats().leased === 0);
+
+  second.client.healthy = false;
+  const healthy = await pool.acquire();
+  check('idle sessions that fail their health check are replaced', second.client.closed && healthy.client !== second.client
+    && !healthy.client.closed);
+
+  healthy.client.failReset = true;
+  await healthy.release();
+  check('sessions that cannot be reset are closed', healthy.client.closed && pool.stats().sessions === 0);
+
+  const discarded = await pool.acquire();
+  await discarded.release({ discard: true });
+  check('leases can discard their session', discarded.client.closed);
+
+  failNextStart = true;
+  const startsBefore = sessionCount;
+  const failedStart = await pool.acquire().then(() => null, error => error);
+  const afterFailure = await pool.acquire();
+  const another = await pool.acquire();
+  check('sessions that fail to start reject the lease and free their slot', failedStart?.message === 'browser failed to launch'
+    && sessionCount > startsBefore && pool.stats().leased === 2);
+  await afterFailure.release();
+  await another.release();
+
+  // Run ownership
+  const owned = await runWithEventContext('run-123', () => pool.acquire());
+  check('leases belong to the API run that took them', owned.owner === 'run-123'
+    && pool.stats().leases.some(lease => lease.owner === 'run-123'));
+  await owned.release();
+
+  // Shutdown
+  const leasedAtShutdown = await pool.acquire();
+  await pool.acquire();
+  const waiting = pool.acquire();
+  await sleep(10);
+  await pool.close();
+  check('closing the pool closes leased sessions and rejects queued leases', leasedAtShutdown.client.closed
+    && await rejectsWith(waiting, BROWSER_POOL_ERRORS.POOL_CLOSED) && pool.stats().sessions === 0);
+  check('a closed pool hands out no leases', await rejectsWith(pool.acquire(), BROWSER_POOL_ERRORS.POOL_CLOSED));
+
+  // Idle timeout
+  const idlePool = createPool({ idleTimeoutMs: 30 });
+  const idleLease = await idlePool.acquire();
+  await idleLease.release();
+  await sleep(80);
+  check('sessions idle for longer than the idle timeout are closed', idleLease.client.closed && idlePool.stats().sessions === 0);
+  await idlePool.close();
+
+  // withBrowserSession and the workflows
+  const sharedPool = createPool({ size: 1 });
+  setBrowserPool(sharedPool);
+  const order = [];
+  await Promise.all(['a', 'b'].map(name => withBrowserSession(async ({ page }) => {
+    order.push(`${name}:start:${page.session}`);
+    await sleep(20);
+    order.push(`${name}:end`);
+  })));
+  check('runs queue for a pool of one instead of sharing its browser', order.join(',').match(/^a:start:\d+,a:end,b:start:\d+,b:end$/) !== null);
+  check('withBrowserSession releases its lease', sharedPool.stats().leased === 0 && sharedPool.stats().idle === 1);
+
+  const failing = await withBrowserSession(async () => { throw new Error('node failed'); }).then(() => null, error => error);
+  check('withBrowserSession releases its lease when the run fails', failing?.message === 'node failed' && sharedPool.stats().leased === 0);
+
+  const workflow = new JobExtractionWorkflow({ stopOnError: false });
+  const seenPages = [];
+  Object.keys(workflow.nodes).forEach(name => {
+    workflow.nodes[name] = async state => {
+      seenPages.push(state.page);
+      return state;
+    };
+  });
+  await workflow.execute({ jd_id: 'job-1' });
+  check('job extraction runs use the page of their lease and release it', seenPages.length > 0
+    && seenPages.every(page => page?.session) && sharedPool.stats().leased === 0);
+
+  await sharedPool.close();
+  setBrowserPool(null);
+
+  reportChecks('browser pool');
+}
+
+testBrowserPool().catch(error => {
+  console.error('❌ Browser pool test crashed:', error);
+  process.exit(1);
+});
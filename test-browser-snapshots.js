@@ -0,0 +1,224 @@
+/**
+ * Test Script for Browser Snapshot Recording and Replay
+ * Records the career page finder against a scripted fake browser, then replays
+ * the snapshot through the browser pool with no browser at all.
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { check, reportChecks } from './test/helpers/check.js';
+
+const {
+  RecordingStagehandClient, ReplayStagehandClient, SNAPSHOT_MODES, SnapshotMissError, SnapshotStore, createBrowserSession
+} = await import('./src/shared/snapshots/index.js');
+const { BrowserPool, setBrowserPool } = await import('./src/shared/utils/browserPool.js');
+const { EnhancedStagehandClient } = await import('./src/shared/utils/enhancedStagehand.js');
+const { DomainGovernor, setDomainGovernor } = await import('./src/shared/utils/domainGovernor.js');
+const { default: careerPageFinderNode } = await import('./src/new-workflows/career-page-discovery/nodes/careerPageFinderNode.js');
+
+const PAGES = {
+  'https://www.google.com': '<html><head><title>Google</title></head><body><input name="q"></body></html>',
+  'https://www.google.com/search?q=Acme+careers': '<html><head><title>Acme careers - Search</title></head><body><a href="https://acme.com/careers">Careers at Acme</a></body></html>',
+  'https://acme.com/careers': '<html><head><title>Careers at Acme</title></head><body><h1>Join Acme</h1></body></html>'
+};
+
+let liveCalls = 0;
+
+function fakeResponse(url, status = 200) {
+  return {
+    status: () => status,
+    ok: () => status >= 200 && status < 400,
+    url: () => url,
+    headers: () => ({ 'content-type': 'text/html' }),
+    text: async () => PAGES[url] || '',
+    request: () => ({ resourceType: () => 'document', method: () => 'GET' })
+  };
+}
+
+// Scripted stand-in for a live Stagehand page
+class FakeLivePage {
+  constructor() {
+    this.currentUrl = 'about:blank';
+    this.listeners = [];
+    this.keyboard = {
+      press: async () => {
+        liveCalls++;
+        this.pendingUrl = 'https://www.google.com/search?q=Acme+careers';
+      }
+    };
+  }
+
+  async goto(url) {
+    liveCalls++;
+    this.currentUrl = url;
+    const response = fakeResponse(url);
+    await Promise.all(this.listeners.map(listener => listener(response)));
+    return response;
+  }
+
+  async waitForSelector() {
+    liveCalls++;
+    return { element: true };
+  }
+
+  async type() {
+    liveCalls++;
+  }
+
+  async waitForNavigation() {
+    liveCalls++;
+    this.currentUrl = this.pendingUrl;
+    return null;
+  }
+
+  async observe() {
+    liveCalls++;
+    return { link: 'https://acme.com/careers' };
+  }
+
+  async extract({ instruction }) {
+    liveCalls++;
+    if (instruction === 'broken') throw new Error('extraction failed');
+    return { count: liveCalls };
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  async content() {
+    return PAGES[this.currentUrl] || '<html></html>';
+  }
+
+  on(event, listener) {
+    if (event === 'response') this.listeners.push(listener);
+  }
+
+  off(event, listener) {
+    this.listeners = this.listeners.filter(registered => registered !== listener);
+  }
+}
+
+class FakeLiveClient {
+  constructor() {
+    this.page = new FakeLivePage();
+  }
+
+  async initialize() {}
+
+  async newPage() {
+    return this.page;
+  }
+
+  async newAgent() {
+    return { execute: async ({ instruction }) => { liveCalls++; return { success: true, message: instruction }; } };
+  }
+
+  async checkHealth() {
+    return { status: 'healthy' };
+  }
+
+  async reset() {}
+
+  async close() {}
+}
+
+async function rejectsWith(promise, errorClass, message) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error instanceof errorClass && (!message || error.message === message);
+  }
+}
+
+async function testBrowserSnapshots() {
+  console.log('🧪 Testing browser snapshot recording and replay\n');
+
+  // Fake pages need no spacing between page loads
+  setDomainGovernor(new DomainGovernor({ defaults: { minIntervalMs: 0 } }));
+
+  const directory = mkdtempSync(path.join(os.tmpdir(), 'browser-snapshots-'));
+
+  try {
+    // Record
+    const recorder = new RecordingStagehandClient(new FakeLiveClient(), new SnapshotStore(directory));
+    await recorder.initialize();
+    const recordingPage = await recorder.newPage();
+    const recorded = await careerPageFinderNode({ companyName: 'Acme', page: recordingPage, errors: [] });
+    await recordingPage.extract({ instruction: 'count' });
+    await recordingPage.extract({ instruction: 'count' });
+    await recordingPage.extract({ instruction: 'broken' }).catch(() => null);
+    await (await recorder.newAgent()).execute({ instruction: 'apply' });
+    await recorder.close();
+
+    const steps = readFileSync(path.join(directory, 'steps.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    const network = readFileSync(path.join(directory, 'network.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    check('the recorded run behaves like the live one', recorded.careerPageUrl === 'https://acme.com/careers'
+      && recorded.status === 'career_page_found');
+    check('every page and agent call is recorded as a step', ['goto', 'waitForSelector', 'type', 'keyboard.press', 'waitForNavigation', 'observe']
+      .every(method => steps.some(step => step.method === method)) && steps.some(step => step.target === 'agent'));
+    check('zod schemas in the arguments are recorded as placeholders', steps.find(step => step.method === 'observe').args[0].schema === '[schema]');
+    check('goto responses are recorded with their status', steps.find(step => step.method === 'goto').result.status === 200);
+    check('the page HTML is stored once per distinct page', steps.filter(step => step.dom).length > new Set(steps.map(step => step.dom).filter(Boolean)).size);
+    check('document responses are recorded with their bodies', network.some(response => response.url === 'https://acme.com/careers'
+      && response.body.includes('Join Acme')));
+
+    // Replay through the browser pool
+    const liveCallsBeforeReplay = liveCalls;
+    const store = new SnapshotStore(directory);
+    const pool = new BrowserPool({ size: 1, idleTimeoutMs: 0, acquireTimeoutMs: 0, createSession: () => new ReplayStagehandClient(store) });
+    setBrowserPool(pool);
+
+    const lease = await pool.acquire();
+    const replayPage = lease.page;
+    const seenResponses = [];
+    replayPage.on('response', response => seenResponses.push(response.url()));
+
+    const replayed = await careerPageFinderNode({ companyName: 'Acme', page: replayPage, errors: [] });
+    check('the replayed run returns the recorded result', replayed.careerPageUrl === recorded.careerPageUrl && replayed.status === recorded.status);
+    check('replay uses no live browser', liveCalls === liveCallsBeforeReplay);
+    check('url(), content() and title() follow the recorded page', replayPage.url() === 'https://acme.com/careers'
+      && (await replayPage.content()).includes('Join Acme') && await replayPage.title() === 'Careers at Acme');
+    check('recorded network responses are replayed to response listeners', seenResponses.includes('https://acme.com/careers'));
+    check('replayed goto responses answer ok()', (await replayPage.goto('https://www.google.com')).ok() === true);
+
+    const first = await replayPage.extract({ instruction: 'count' });
+    const second = await replayPage.extract({ instruction: 'count' });
+    const third = await replayPage.extract({ instruction: 'count' });
+    check('repeated calls replay their recorded occurrences in order', first.count < second.count && third.count === second.count);
+    check('recorded errors are thrown again', await rejectsWith(replayPage.extract({ instruction: 'broken' }), Error, 'extraction failed'));
+    check('agents replay their recorded actions', (await (await lease.newAgent()).execute({ instruction: 'apply' })).message === 'apply');
+    check('calls that were never recorded fail with SnapshotMissError', await rejectsWith(replayPage.extract({ instruction: 'unknown' }), SnapshotMissError));
+
+    await lease.release();
+    await pool.close();
+    setBrowserPool(null);
+
+    const emptyStore = new SnapshotStore(path.join(directory, 'missing'));
+    check('replaying a snapshot that does not exist fails with SnapshotMissError',
+      await rejectsWith(new ReplayStagehandClient(emptyStore).initialize(), SnapshotMissError));
+
+    // Session factory
+    check('live mode creates Stagehand sessions', createBrowserSession({ mode: SNAPSHOT_MODES.LIVE }) instanceof EnhancedStagehandClient);
+    check('record mode wraps a Stagehand session in a recorder', createBrowserSession({ mode: SNAPSHOT_MODES.RECORD, directory }) instanceof RecordingStagehandClient);
+    check('replay mode creates replay sessions', createBrowserSession({ mode: SNAPSHOT_MODES.REPLAY, directory }) instanceof ReplayStagehandClient);
+    let unknownMode = null;
+    try {
+      createBrowserSession({ mode: 'rewind' });
+    } catch (error) {
+      unknownMode = error;
+    }
+    check('unknown snapshot modes are rejected', unknownMode?.message.includes('rewind'));
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+
+  reportChecks('browser snapshot');
+}
+
+testBrowserSnapshots().catch(error => {
+  console.error('❌ Browser snapshot test crashed:', error);
+  process.exit(1);
+});
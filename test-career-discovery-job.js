@@ -1,5 +1,6 @@
 import { CareerDiscoveryJob } from './jobs/career-discovery.js';
 import { logger } from './src/shared/utils/logger.js';
+import { summarizeCompanies } from './src/shared/utils/companyRegistry.js';
 
 /**
  * Test Career Discovery Job
@@ -13,13 +14,13 @@ async function testCareerDiscoveryJob() {
     
     // Test 1: Check initial status
     logger.info('📊 Test 1: Checking initial status...');
-    const initialStatus = careerDiscoveryJob.getStatus();
+    const initialStatus = await careerDiscoveryJob.getStatus();
     logger.info('Initial status:', JSON.stringify(initialStatus, null, 2));
     
-    // Test 2: Check input CSV
-    logger.info('📊 Test 2: Checking input CSV...');
-    const csvCheck = careerDiscoveryJob.checkInputCsv();
-    logger.info('CSV check:', JSON.stringify(csvCheck, null, 2));
+    // Test 2: Check the company registry
+    logger.info('📊 Test 2: Checking the company registry...');
+    const companies = await summarizeCompanies();
+    logger.info('Companies:', JSON.stringify(companies, null, 2));
     
     // Test 3: Run career discovery for one company
     logger.info('📊 Test 3: Running career discovery for one company...');
@@ -28,18 +29,13 @@ async function testCareerDiscoveryJob() {
     
     // Test 4: Check updated status
     logger.info('📊 Test 4: Checking updated status...');
-    const updatedStatus = careerDiscoveryJob.getStatus();
+    const updatedStatus = await careerDiscoveryJob.getStatus();
     logger.info('Updated status:', JSON.stringify(updatedStatus, null, 2));
     
-    // Test 5: Test state reset
-    logger.info('📊 Test 5: Testing state reset...');
-    careerDiscoveryJob.saveState({
-      csvRowIndex: 1,
-      csvFilePath: null,
-      totalRows: 0,
-      lastRun: null
-    });
-    const resetStatus = careerDiscoveryJob.getStatus();
+    // Test 5: Test schedule reset
+    logger.info('📊 Test 5: Testing schedule reset...');
+    await careerDiscoveryJob.resetSchedule();
+    const resetStatus = await careerDiscoveryJob.getStatus();
     logger.info('Reset status:', JSON.stringify(resetStatus, null, 2));
     
     logger.info('✅ Career Discovery Job tests completed successfully!');
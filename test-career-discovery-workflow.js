@@ -1,13 +1,34 @@
 /**
- * Test Career Discovery Workflow - Simple State Approach
+ * Test Career Discovery Workflow - Company Registry
  * 
  * Demonstrates how to use the career discovery workflow with:
- * 1. CSV row index tracking
- * 2. Simple state management
- * 3. CSV file updates
+ * 1. The company registry (seeded from data/companies.csv when empty)
+ * 2. Selection of the next company by priority and staleness
+ * 3. Status history and rescheduling of each company
  */
 
-import { runCareerDiscovery, loadState } from './src/new-workflows/career-page-discovery/index.js';
+import { runCareerDiscovery } from './src/new-workflows/career-page-discovery/index.js';
+import { closeBrowserPool } from './src/shared/utils/browserPool.js';
+import { exportCompaniesCsv, importCompaniesCsv, listCompanies, summarizeCompanies } from './src/shared/utils/companyRegistry.js';
+
+function printResult(result) {
+  if (result.message) {
+    console.log(result.message);
+  } else if (result.error) {
+    console.log(`Error: ${result.error}`);
+  } else {
+    console.log(`Company: ${result.companyName} (${result.companyId})`);
+    console.log(`Status: ${result.status} -> ${result.registryStatus}`);
+    console.log(`Due again: ${result.nextAttemptAt}`);
+    console.log(`Next Company: ${result.nextCompany || 'none due'}`);
+    
+    if (result.result) {
+      console.log(`Career Page: ${result.result.careerPageUrl || 'Not found'}`);
+      console.log(`Job Listings: ${result.result.jobListingsUrl || 'Not found'}`);
+      console.log(`Filtered URL: ${result.result.filteredJobUrl || 'Not found'}`);
+    }
+  }
+}
 
 // Test single company processing
 async function testSingleCompanyProcessing() {
@@ -20,29 +41,7 @@ async function testSingleCompanyProcessing() {
     
     console.log('\n📊 Result:');
     console.log('==========');
-    
-    if (result.message) {
-      // Company already processed or other message
-      console.log(result.message);
-      if (result.nextRow) {
-        console.log(`Next row to process: ${result.nextRow}`);
-      }
-    } else if (result.error) {
-      console.log(`Error: ${result.error}`);
-    } else {
-      // Single company processed
-      console.log(`Company: ${result.companyName}`);
-      console.log(`Row: ${result.rowIndex}`);
-      console.log(`Status: ${result.status}`);
-      console.log(`Next Row: ${result.nextRow}`);
-      console.log(`Total Rows: ${result.totalRows}`);
-      
-      if (result.result) {
-        console.log(`Career Page: ${result.result.careerPageUrl || 'Not found'}`);
-        console.log(`Job Listings: ${result.result.jobListingsUrl || 'Not found'}`);
-        console.log(`Filtered URL: ${result.result.filteredJobUrl || 'Not found'}`);
-      }
-    }
+    printResult(result);
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
@@ -56,7 +55,6 @@ async function testMultipleRuns() {
   
   try {
     let runCount = 0;
-    let resetCount = 0;
     
     while (runCount < 20) { // Safety limit
       runCount++;
@@ -66,106 +64,78 @@ async function testMultipleRuns() {
       const result = await runCareerDiscovery();
       
       if (result.message) {
+        // Every company has been tried and none is due yet
         console.log(result.message);
-        if (result.nextRow === 1) {
-          resetCount++;
-          console.log('🔄 Reset to first row detected');
-        }
-      } else if (result.error) {
-        console.log(`Error: ${result.error}`);
         break;
       } else {
-        console.log(`Processed: ${result.companyName} (Row ${result.rowIndex}/${result.totalRows})`);
+        console.log(`Processed: ${result.companyName} (${result.registryStatus}, next: ${result.nextCompany || 'none due'})`);
       }
       
       // Small delay between runs
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
-    console.log(`\n✅ Completed ${runCount} runs, ${resetCount} resets`);
+    console.log(`\n✅ Completed ${runCount} runs`);
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
   }
 }
 
-// Test state inspection
+// Test registry inspection
 async function testStateInspection() {
-  console.log('🧪 Testing State Inspection');
-  console.log('===========================');
+  console.log('🧪 Testing Registry Inspection');
+  console.log('==============================');
   
   try {
-    const state = await loadState();
-    
-    console.log('\n📊 Current State:');
-    console.log('=================');
-    console.log(`CSV File Path: ${state.csvFilePath || 'Not set'}`);
-    console.log(`Current Row Index: ${state.csvRowIndex || 'Not set'}`);
-    console.log(`Total Rows: ${state.totalRows || 'Not set'}`);
+    const summary = await summarizeCompanies();
     
-    if (state.csvFilePath) {
-      console.log(`\n📋 CSV Status:`);
-      console.log(`   File: ${state.csvFilePath}`);
-      console.log(`   Next Row: ${state.csvRowIndex}`);
-      console.log(`   Total Rows: ${state.totalRows}`);
-    }
+    console.log('\n📊 Company Registry:');
+    console.log('====================');
+    console.log(`Companies: ${summary.total}`);
+    console.log(`Due: ${summary.due}`);
+    console.log(`By Status: ${JSON.stringify(summary.byStatus)}`);
+    console.log(`Last Attempt: ${summary.lastAttemptAt || 'Never'}`);
+    console.log(`Next Company: ${summary.next?.name || 'none due'}`);
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
   }
 }
 
-// Test force row processing
-async function testForceRow() {
-  console.log('🧪 Testing Force Row Processing');
-  console.log('===============================');
+// Test processing a given company
+async function testGivenCompany(company = 'Google') {
+  console.log('🧪 Testing Given Company Processing');
+  console.log('===================================');
   
   try {
-    // Force process company at row 1
-    const result = await runCareerDiscovery({ forceRowIndex: 1 });
-    
-    console.log('\n📊 Force Row Result:');
-    console.log('====================');
+    // Process a company regardless of its schedule
+    const result = await runCareerDiscovery({ company });
     
-    if (result.message) {
-      console.log(result.message);
-    } else if (result.error) {
-      console.log(`Error: ${result.error}`);
-    } else {
-      console.log(`Forced Company: ${result.companyName}`);
-      console.log(`Row: ${result.rowIndex}`);
-      console.log(`Status: ${result.status}`);
-    }
+    console.log('\n📊 Company Result:');
+    console.log('==================');
+    printResult(result);
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
   }
 }
 
-// Test CSV file inspection
+// Test registry CSV export
 async function testCSVInspection() {
-  console.log('🧪 Testing CSV File Inspection');
+  console.log('🧪 Testing Registry CSV Export');
   console.log('==============================');
   
   try {
-    const fs = await import('fs/promises');
-    const path = await import('path');
-    
-    const csvFilePath = './data/companies.csv';
-    const csvContent = await fs.readFile(csvFilePath, 'utf-8');
-    const lines = csvContent.split('\n').filter(line => line.trim());
+    const lines = (await exportCompaniesCsv()).split('\n').filter(line => line.trim());
     
-    console.log('\n📊 CSV File Status:');
+    console.log('\n📊 Registry Export:');
     console.log('===================');
-    console.log(`File: ${csvFilePath}`);
-    console.log(`Total Lines: ${lines.length}`);
+    console.log(`Companies: ${lines.length - 1}`);
     
     if (lines.length > 0) {
       console.log('\n📋 First few rows:');
-      lines.slice(0, 5).forEach((line, index) => {
-        const values = line.split(',').map(val => val.replace(/"/g, '').trim());
-        console.log(`   ${index}: ${values.join(' | ')}`);
-      });
+      lines.slice(0, 5).forEach((line, index) => console.log(`   ${index}: ${line}`));
     }
     
   } catch (error) {
@@ -179,114 +149,44 @@ async function testWorkflowWithTestData() {
   console.log('=====================================================');
   
   try {
-    // Use test CSV file
+    // Register the companies of the test CSV
     const testCsvPath = './data/test-companies.csv';
+    const fs = await import('fs/promises');
+    const imported = await importCompaniesCsv(await fs.readFile(testCsvPath, 'utf-8'), { actor: 'test' });
     
     console.log('\n📋 Test Setup:');
     console.log('==============');
-    console.log(`Test CSV: ${testCsvPath}`);
+    console.log(`Test CSV: ${testCsvPath} (${imported.created} added, ${imported.updated} updated)`);
     console.log('Companies: Google, Microsoft, Meta');
     console.log('Expected: Process each company through full workflow');
     
-    // Test 1: First company (Google)
-    console.log('\n🔄 Test 1: Processing Google (Row 1)');
-    console.log('=====================================');
-    const result1 = await runCareerDiscovery({ 
-      csvFilePath: testCsvPath,
-      forceRowIndex: 1 
-    });
-    
-    console.log('\n📊 Result 1:');
-    if (result1.message) {
-      console.log(result1.message);
-    } else if (result1.error) {
-      console.log(`Error: ${result1.error}`);
-    } else {
-      console.log(`Company: ${result1.companyName}`);
-      console.log(`Status: ${result1.status}`);
-      console.log(`Row: ${result1.rowIndex}/${result1.totalRows}`);
-      console.log(`Next Row: ${result1.nextRow}`);
+    for (const [index, company] of ['Google', 'Microsoft', 'Meta'].entries()) {
+      console.log(`\n🔄 Test ${index + 1}: Processing ${company}`);
+      console.log('='.repeat(30));
+      const result = await runCareerDiscovery({ company });
       
-      if (result1.result) {
-        console.log(`Career Page: ${result1.result.careerPageUrl || 'Not found'}`);
-        console.log(`Job Listings: ${result1.result.jobListingsUrl || 'Not found'}`);
-        console.log(`Filtered URL: ${result1.result.filteredJobUrl || 'Not found'}`);
-      }
+      console.log(`\n📊 Result ${index + 1}:`);
+      printResult(result);
     }
     
-    // Test 2: Second company (Microsoft)
-    console.log('\n🔄 Test 2: Processing Microsoft (Row 2)');
-    console.log('========================================');
-    const result2 = await runCareerDiscovery({ 
-      csvFilePath: testCsvPath,
-      forceRowIndex: 2 
-    });
+    // Test 4: Check final registry state
+    console.log('\n🔄 Test 4: Checking Final Registry State');
+    console.log('=========================================');
     
-    console.log('\n📊 Result 2:');
-    if (result2.message) {
-      console.log(result2.message);
-    } else if (result2.error) {
-      console.log(`Error: ${result2.error}`);
-    } else {
-      console.log(`Company: ${result2.companyName}`);
-      console.log(`Status: ${result2.status}`);
-      console.log(`Row: ${result2.rowIndex}/${result2.totalRows}`);
-      console.log(`Next Row: ${result2.nextRow}`);
-      
-      if (result2.result) {
-        console.log(`Career Page: ${result2.result.careerPageUrl || 'Not found'}`);
-        console.log(`Job Listings: ${result2.result.jobListingsUrl || 'Not found'}`);
-        console.log(`Filtered URL: ${result2.result.filteredJobUrl || 'Not found'}`);
-      }
+    console.log('\n📊 Final Registry State:');
+    console.log('========================');
+    for (const company of await listCompanies()) {
+      const last = company.statusHistory.at(-1);
+      console.log(`${company.name}: ${company.status} (${last.reason}) - due ${company.nextAttemptAt || 'now'}`);
     }
     
-    // Test 3: Third company (Meta)
-    console.log('\n🔄 Test 3: Processing Meta (Row 3)');
-    console.log('===================================');
-    const result3 = await runCareerDiscovery({ 
-      csvFilePath: testCsvPath,
-      forceRowIndex: 3 
-    });
-    
-    console.log('\n📊 Result 3:');
-    if (result3.message) {
-      console.log(result3.message);
-    } else if (result3.error) {
-      console.log(`Error: ${result3.error}`);
-    } else {
-      console.log(`Company: ${result3.companyName}`);
-      console.log(`Status: ${result3.status}`);
-      console.log(`Row: ${result3.rowIndex}/${result3.totalRows}`);
-      console.log(`Next Row: ${result3.nextRow}`);
-      
-      if (result3.result) {
-        console.log(`Career Page: ${result3.result.careerPageUrl || 'Not found'}`);
-        console.log(`Job Listings: ${result3.result.jobListingsUrl || 'Not found'}`);
-        console.log(`Filtered URL: ${result3.result.filteredJobUrl || 'Not found'}`);
-      }
-    }
-    
-    // Test 4: Check final CSV state
-    console.log('\n🔄 Test 4: Checking Final CSV State');
-    console.log('====================================');
-    const fs = await import('fs/promises');
-    const finalCsvContent = await fs.readFile(testCsvPath, 'utf-8');
-    const lines = finalCsvContent.split('\n').filter(line => line.trim());
-    
-    console.log('\n📊 Final CSV State:');
-    console.log('===================');
-    lines.forEach((line, index) => {
-      const values = line.split(',').map(val => val.replace(/"/g, '').trim());
-      console.log(`Row ${index}: ${values.join(' | ')}`);
-    });
-    
     console.log('\n✅ Workflow Test Completed!');
     console.log('===========================');
     console.log('Summary:');
     console.log('- Tested 3 companies through full workflow');
     console.log('- Used actual browser automation');
-    console.log('- Verified CSV updates');
-    console.log('- Checked state management');
+    console.log('- Verified registry status history');
+    console.log('- Checked rescheduling');
     
   } catch (error) {
     console.error('❌ Workflow test failed:', error.message);
@@ -295,16 +195,16 @@ async function testWorkflowWithTestData() {
 
 // Main test function
 async function runTests() {
-  console.log('🚀 Career Discovery Workflow Tests - Simple State Approach');
-  console.log('==========================================================');
+  console.log('🚀 Career Discovery Workflow Tests - Company Registry');
+  console.log('====================================================');
   console.log('');
   
-  // Test 1: State inspection
+  // Test 1: Registry inspection
   await testStateInspection();
   
   console.log('\n' + '='.repeat(50) + '\n');
   
-  // Test 2: CSV inspection
+  // Test 2: Registry export
   await testCSVInspection();
   
   console.log('\n' + '='.repeat(50) + '\n');
@@ -314,8 +214,8 @@ async function runTests() {
   
   console.log('\n' + '='.repeat(50) + '\n');
   
-  // Test 4: Force row processing
-  await testForceRow();
+  // Test 4: Given company processing
+  await testGivenCompany();
   
   console.log('\n' + '='.repeat(50) + '\n');
   
@@ -334,21 +234,24 @@ async function runTests() {
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
   
+  let run;
   if (args.includes('--single')) {
-    testSingleCompanyProcessing();
+    run = testSingleCompanyProcessing();
   } else if (args.includes('--multiple')) {
-    testMultipleRuns();
+    run = testMultipleRuns();
   } else if (args.includes('--state')) {
-    testStateInspection();
-  } else if (args.includes('--force')) {
-    testForceRow();
+    run = testStateInspection();
+  } else if (args.includes('--company')) {
+    run = testGivenCompany(args[args.indexOf('--company') + 1]);
   } else if (args.includes('--csv')) {
-    testCSVInspection();
+    run = testCSVInspection();
   } else if (args.includes('--workflow')) {
-    testWorkflowWithTestData();
+    run = testWorkflowWithTestData();
   } else {
-    runTests();
+    run = runTests();
   }
+  // Pooled browser sessions stay open until the pool is closed
+  run.finally(closeBrowserPool);
 }
 
-export { testSingleCompanyProcessing, testMultipleRuns, testStateInspection, testForceRow, testCSVInspection, testWorkflowWithTestData, runTests }; 
\ No newline at end of file
+export { testSingleCompanyProcessing, testMultipleRuns, testStateInspection, testGivenCompany, testCSVInspection, testWorkflowWithTestData, runTests }; 
\ No newline at end of file
@@ -4,12 +4,15 @@
  * Real Career Page Finder Test
  * 
  * Tests Node 1 with actual company names and real Stagehand pages
+ *
+ * Record a run to replay it offline later:
+ *   BROWSER_SNAPSHOT_MODE=record BROWSER_SNAPSHOTS=test/fixtures/snapshots/career-google node test-career-page-finder-real.js --company=Google
+ *   BROWSER_SNAPSHOT_MODE=replay BROWSER_SNAPSHOTS=test/fixtures/snapshots/career-google node test-career-page-finder-real.js --company=Google
  */
 
-import { Stagehand } from '@browserbasehq/stagehand';
-import { config } from './src/shared/config/environment.js';
 import { logger } from './src/shared/utils/logger.js';
-import careerPageFinderNode from './src/new-workflows/job-discovery/nodes/careerPageFinderNode.js';
+import { closeBrowserPool, getBrowserPool } from './src/shared/utils/browserPool.js';
+import careerPageFinderNode from './src/new-workflows/career-page-discovery/nodes/careerPageFinderNode.js';
 
 // Test companies
 const testCompanies = [
@@ -26,23 +29,11 @@ const testCompanies = [
 async function testWithRealStagehand() {
   logger.info('Starting real Career Page Finder test');
   
-  let stagehand = null;
-  
   try {
-    // Initialize Stagehand
-    logger.info('Initializing Stagehand client');
-    stagehand = new Stagehand({
-      env: "LOCAL",
-      apiKey: config.stagehand.browserbaseApiKey,
-      projectId: config.stagehand.projectId,
-      modelName: "openai/gpt-4o-mini",
-      modelClientOptions: {
-        apiKey: config.stagehand.openaiApiKey,
-      },
-    });
-
-    await stagehand.init();
-    logger.info('Stagehand initialized successfully');
+    // Lease a browser session (live, recording or replaying per BROWSER_SNAPSHOT_MODE)
+    logger.info('Leasing a browser session');
+    const lease = await getBrowserPool().acquire();
+    logger.info('Browser session leased successfully');
 
     // Test each company
     for (const companyName of testCompanies) {
@@ -50,8 +41,8 @@ async function testWithRealStagehand() {
       console.log('=' .repeat(50));
       
       try {
-        // Use the main page for each company
-        const page = stagehand.page;
+        // Use the leased page for each company
+        const page = lease.page;
         
         // Create test state
         const state = {
@@ -90,10 +81,8 @@ async function testWithRealStagehand() {
     logger.error('Test failed', { error: error.message });
     console.error('💥 Test failed:', error.message);
   } finally {
-    if (stagehand) {
-      await stagehand.close();
-      logger.info('Stagehand client closed');
-    }
+    await closeBrowserPool();
+    logger.info('Browser sessions closed');
   }
 }
 
@@ -101,24 +90,9 @@ async function testWithRealStagehand() {
 async function testSingleCompany(companyName) {
   logger.info(`Testing single company: ${companyName}`);
   
-  let stagehand = null;
-  
   try {
-    // Initialize Stagehand
-    stagehand = new Stagehand({
-      env: "LOCAL",
-      apiKey: config.stagehand.browserbaseApiKey,
-      projectId: config.stagehand.projectId,
-      modelName: "openai/gpt-4o-mini",
-      modelClientOptions: {
-        apiKey: config.stagehand.openaiApiKey,
-      },
-    });
-
-    await stagehand.init();
-    
-    // Use the main page
-    const page = stagehand.page;
+    // Lease a browser session (live, recording or replaying per BROWSER_SNAPSHOT_MODE)
+    const { page } = await getBrowserPool().acquire();
     
     // Create test state
     const state = {
@@ -150,9 +124,7 @@ async function testSingleCompany(companyName) {
     logger.error('Single company test failed', { companyName, error: error.message });
     console.error('💥 Test failed:', error.message);
   } finally {
-    if (stagehand) {
-      await stagehand.close();
-    }
+    await closeBrowserPool();
   }
 }
 
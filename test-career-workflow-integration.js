@@ -69,7 +69,7 @@ class MockStagehandPage {
   async goto(url) {
     this.gotoCalls.push(url);
     this.url = url;
-    return { ok: true };
+    return { ok: () => true, status: () => 200 };
   }
 
   async extract(options) {
@@ -117,7 +117,7 @@ class MockStagehandPage {
   }
 
   async close() {
-    return { ok: true };
+    return { ok: () => true, status: () => 200 };
   }
 }
 
@@ -171,6 +171,10 @@ function validateNodeResult(result, expectedFields = []) {
 // Import the actual node implementations
 import careerPageFinderNode from './src/new-workflows/career-page-discovery/nodes/careerPageFinderNode.js';
 import jobListingsNavigatorNode from './src/new-workflows/career-page-discovery/nodes/jobListingsNavigatorNode.js';
+import { DomainGovernor, setDomainGovernor } from './src/shared/utils/domainGovernor.js';
+
+// Mock pages need no spacing between page loads
+setDomainGovernor(new DomainGovernor({ defaults: { minIntervalMs: 0 } }));
 
 /**
  * Strategy 1: CTA phrase matching for job listings discovery
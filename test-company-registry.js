@@ -0,0 +1,296 @@
+/**
+ * Test Script for the Company Registry
+ * CRUD and status history, CSV import/export (including the companies.csv of
+ * earlier versions), selection of the next company by priority and staleness,
+ * rescheduling after discovery runs and the /companies API, on the in-memory local backend
+ */
+
+import express from 'express';
+import { check, reportChecks } from './test/helpers/check.js';
+
+const { createStorageBackend, getStorageBackend, setStorageBackend, MEMORY_DIRECTORY } = await import('./src/shared/storage/index.js');
+const {
+  COMPANY_ERRORS,
+  COMPANY_STATUS,
+  createCompany,
+  deleteCompany,
+  exportCompaniesCsv,
+  findCompany,
+  getCompany,
+  importCompaniesCsv,
+  listCompanies,
+  recordDiscoveryResult,
+  resetCompanySchedule,
+  selectNextCompany,
+  summarizeCompanies,
+  updateCompany
+} = await import('./src/shared/utils/companyRegistry.js');
+const { config } = await import('./src/shared/config/environment.js');
+const { BrowserPool, setBrowserPool } = await import('./src/shared/utils/browserPool.js');
+const { runCareerDiscovery } = await import('./src/new-workflows/career-page-discovery/index.js');
+const { default: companyRoutes } = await import('./src/api/routes/companies.js');
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function clearRegistry() {
+  for (const company of await listCompanies()) {
+    await deleteCompany(company.company_id);
+  }
+}
+
+async function testRegistry() {
+  console.log('📋 Registry');
+
+  const acme = await createCompany({ name: 'Acme, Inc.', domain: 'https://www.Acme.com/about', aliases: ['Acme', 'ACME Corp', 'acme corp'] });
+  check('IDs are slugs of the name', acme.company_id === 'acme-inc');
+  check('domains are normalized to the host', acme.domain === 'acme.com');
+  check('aliases are deduplicated', acme.aliases.length === 2);
+  check('new companies are pending with one history entry', acme.status === COMPANY_STATUS.PENDING
+    && acme.statusHistory.length === 1 && acme.statusHistory[0].from === null);
+
+  let duplicate = null;
+  await createCompany({ name: 'ACME inc' }).catch(error => { duplicate = error; });
+  check('a second company of the same ID is rejected', duplicate?.type === COMPANY_ERRORS.DUPLICATE);
+
+  check('companies are found by domain', (await findCompany('acme.com'))?.company_id === 'acme-inc');
+  check('companies are found by alias', (await findCompany('acme corp'))?.company_id === 'acme-inc');
+  check('unknown companies are not found', (await findCompany('Globex')) === null);
+
+  const disabled = await updateCompany('acme-inc', { status: COMPANY_STATUS.DISABLED }, { reason: 'Acquired', actor: 'test' });
+  check('status changes are added to the history', disabled.statusHistory.length === 2
+    && disabled.statusHistory[1].from === COMPANY_STATUS.PENDING
+    && disabled.statusHistory[1].to === COMPANY_STATUS.DISABLED
+    && disabled.statusHistory[1].reason === 'Acquired');
+  const renamed = await updateCompany('acme-inc', { priority: 3 });
+  check('other changes leave the history alone', renamed.priority === 3 && renamed.statusHistory.length === 2);
+  check('missing companies are not updated', (await updateCompany('globex', { priority: 1 })) === null);
+
+  await clearRegistry();
+}
+
+async function testCsv() {
+  console.log('\n📄 CSV import and export');
+
+  const legacy = [
+    'company_name,status,reason',
+    '"Google","success","Career discovery completed successfully"',
+    '"Acme, Inc.",,',
+    '"Initech","failed","Career page not found"',
+    ',,'
+  ].join('\n');
+  const summary = await importCompaniesCsv(legacy, { actor: 'test' });
+  check('legacy rows are imported, nameless ones skipped', summary.created === 3 && summary.skipped.length === 1);
+
+  const acme = await getCompany('acme-inc');
+  check('quoted names keep their commas', acme?.name === 'Acme, Inc.');
+  const google = await getCompany('google');
+  check('success rows become discovered companies', google.status === COMPANY_STATUS.DISCOVERED
+    && google.statusHistory[0].reason === 'Career discovery completed successfully');
+  check('discovered companies are due after the reverify delay',
+    new Date(google.nextAttemptAt) - Date.now() > config.companies.reverifyAfterMs - HOUR_MS);
+  const initech = await getCompany('initech');
+  check('failed rows keep their reason', initech.status === COMPANY_STATUS.FAILED
+    && initech.statusHistory[0].reason === 'Career page not found');
+
+  const update = await importCompaniesCsv([
+    'name,domain,aliases,priority',
+    '"Acme, Inc.",acme.com,Acme|Acme Corp,5',
+    'Globex,globex.io,,abc'
+  ].join('\n'));
+  const updated = await getCompany('acme-inc');
+  check('known companies are updated', update.updated === 1 && updated.domain === 'acme.com'
+    && updated.priority === 5 && updated.aliases.length === 2);
+  check('invalid rows are skipped with their line', update.skipped.length === 1 && update.skipped[0].line === 3);
+
+  let invalid = null;
+  await importCompaniesCsv('url,status\nhttps://acme.com,').catch(error => { invalid = error; });
+  check('CSVs without a name column are rejected', invalid?.type === COMPANY_ERRORS.INVALID_CSV);
+
+  await updateCompany('initech', {
+    ats: { platform: 'workday', boardId: 'initech/External', boardUrl: 'https://initech.wd5.myworkdayjobs.com/External' }
+  });
+  const exported = await exportCompaniesCsv();
+  check('exports quote cells with commas', exported.includes('"Acme, Inc.",acme.com,Acme|Acme Corp'));
+  await clearRegistry();
+  await importCompaniesCsv(exported);
+  const roundTrip = await getCompany('acme-inc');
+  check('exports import back', (await listCompanies()).length === 3 && roundTrip.name === 'Acme, Inc.'
+    && roundTrip.priority === 5 && (await getCompany('google')).status === COMPANY_STATUS.DISCOVERED);
+  check('ATS boards keep their ID', (await getCompany('initech')).ats?.boardId === 'initech/External');
+
+  await importCompaniesCsv('name,ats_platform,ats_board_url\nHooli,greenhouse,https://boards.greenhouse.io/hooli');
+  check('rows without ats_board_id get it from the board URL', (await getCompany('hooli')).ats?.boardId === 'hooli');
+
+  await clearRegistry();
+}
+
+async function testScheduling() {
+  console.log('\n⏱️ Scheduling');
+
+  const now = new Date();
+  const hoursAgo = hours => new Date(now.getTime() - hours * HOUR_MS).toISOString();
+  await createCompany({ name: 'Stale' });
+  await updateCompany('stale', { lastAttemptAt: hoursAgo(48), nextAttemptAt: hoursAgo(1) });
+  await createCompany({ name: 'Recent' });
+  await updateCompany('recent', { lastAttemptAt: hoursAgo(2), nextAttemptAt: hoursAgo(1) });
+  await createCompany({ name: 'Waiting' });
+  await updateCompany('waiting', { lastAttemptAt: hoursAgo(72), nextAttemptAt: new Date(now.getTime() + HOUR_MS).toISOString() });
+  await createCompany({ name: 'Never Tried' });
+
+  check('companies never tried come first', (await selectNextCompany({ now }))?.company_id === 'never-tried');
+  await updateCompany('never-tried', { status: COMPANY_STATUS.DISABLED });
+  check('disabled companies are skipped', (await selectNextCompany({ now }))?.company_id === 'stale');
+  await updateCompany('recent', { priority: 1 });
+  check('priority wins over staleness', (await selectNextCompany({ now }))?.company_id === 'recent');
+  await updateCompany('recent', { priority: 0 });
+
+  const failed = await recordDiscoveryResult('stale', { status: 'failed', errors: ['Career page not found'] });
+  check('failures are recorded with their error', failed.status === COMPANY_STATUS.FAILED
+    && failed.consecutiveFailures === 1 && failed.lastError === 'Career page not found'
+    && failed.statusHistory.at(-1).actor === 'career-discovery');
+  const retryIn = new Date(failed.nextAttemptAt) - new Date(failed.lastAttemptAt);
+  check('failed companies are retried after the retry delay', retryIn === config.companies.retryAfterMs);
+  const again = await recordDiscoveryResult('stale', { status: 'failed', errors: [{ step: 'career_page_finder', error: 'Timeout' }] });
+  check('the retry delay doubles with each failure',
+    new Date(again.nextAttemptAt) - new Date(again.lastAttemptAt) === config.companies.retryAfterMs * 2
+    && again.lastError === 'Timeout');
+
+  const discovered = await recordDiscoveryResult('stale', {
+    status: 'metadata_constructed',
+    careerPageUrl: 'https://stale.com/careers',
+    jobListingsUrl: 'https://boards.greenhouse.io/stale',
+    ats: { platform: 'greenhouse', boardId: 'stale', boardUrl: 'https://boards.greenhouse.io/stale' },
+    urlTemplate: { url: 'https://stale.com/jobs?q={keyword}' },
+    companyWebsite: { domain: 'stale.com', source: 'guess', verified: true }
+  });
+  check('discoveries record what was found', discovered.status === COMPANY_STATUS.DISCOVERED
+    && discovered.consecutiveFailures === 0 && discovered.lastVerifiedAt
+    && discovered.jobListingsUrl === 'https://boards.greenhouse.io/stale'
+    && discovered.ats.platform === 'greenhouse' && discovered.urlTemplate === 'https://stale.com/jobs?q={keyword}'
+    && discovered.domain === 'stale.com');
+  check('discovered companies wait for reverification',
+    new Date(discovered.nextAttemptAt) - new Date(discovered.lastAttemptAt) === config.companies.reverifyAfterMs);
+  check('the history tells the whole story', discovered.statusHistory.map(entry => entry.to).join(',') === 'pending,failed,discovered');
+
+  check('the stalest due company is next', (await selectNextCompany())?.company_id === 'recent');
+  check('resets make enabled companies due', (await resetCompanySchedule()) === 3);
+  const summary = await summarizeCompanies();
+  check('the summary counts companies by status', summary.total === 4 && summary.due === 3
+    && summary.byStatus.disabled === 1 && summary.byStatus.discovered === 1);
+
+  const unverified = await recordDiscoveryResult('recent', {
+    status: 'metadata_constructed',
+    careerPageUrl: 'https://recent.io/careers',
+    companyWebsite: { domain: 'recent.io', source: 'guess', verified: false }
+  });
+  check('unverified website domains are not kept', unverified.status === COMPANY_STATUS.DISCOVERED && unverified.domain === null);
+
+  // DynamoDB scans stop at 1 MB: with one company per page, every company is still seen
+  const backend = getStorageBackend();
+  const scan = backend.scan.bind(backend);
+  backend.scan = params => scan({ Limit: 1, ...params });
+  try {
+    check('listing follows the scan pages', (await listCompanies()).length === 4 && (await summarizeCompanies()).total === 4);
+  } finally {
+    backend.scan = scan;
+  }
+
+  await clearRegistry();
+}
+
+async function testCareerDiscoveryRun() {
+  console.log('\n🔄 Career discovery runs');
+
+  // Sessions that cannot start, so the run fails without a browser
+  setBrowserPool(new BrowserPool({
+    size: 1,
+    idleTimeoutMs: 0,
+    acquireTimeoutMs: 0,
+    createSession: () => { throw new Error('No browser in tests'); }
+  }));
+
+  try {
+    check('runs report when no company is due', (await runCareerDiscovery({ csvFilePath: 'data/missing.csv' })).message !== undefined);
+
+    await createCompany({ name: 'Acme', priority: 1 });
+    await createCompany({ name: 'Globex' });
+    const run = await runCareerDiscovery();
+    check('runs take the next due company', run.companyId === 'acme');
+    check('runs record their outcome', run.registryStatus === COMPANY_STATUS.FAILED
+      && (await getCompany('acme')).lastError.includes('No browser in tests'));
+    check('the failed company is not next', run.nextCompany === 'Globex');
+
+    const given = await runCareerDiscovery({ company: 'globex' });
+    check('a given company runs regardless of the schedule', given.companyId === 'globex');
+    check('unknown companies are reported', (await runCareerDiscovery({ company: 'Initech' })).error !== undefined);
+  } finally {
+    setBrowserPool(null);
+  }
+
+  await clearRegistry();
+}
+
+async function testApi() {
+  console.log('\n🌐 API');
+
+  const app = express();
+  // Stand-in for validateApiKey: requests carry an admin key
+  app.use((req, res, next) => { req.apiKeyScopes = ['admin']; next(); });
+  app.use(express.json());
+  app.use('/api/v1/companies', companyRoutes);
+  const server = app.listen(0);
+  const api = `http://localhost:${server.address().port}/api/v1/companies`;
+  const request = (path, method = 'GET', body) => fetch(`${api}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  try {
+    const created = await request('', 'POST', { name: 'Acme, Inc.', domain: 'acme.com', priority: 2 });
+    check('companies are added', created.status === 201 && created.headers.get('location') === '/api/v1/companies/acme-inc');
+    check('duplicates conflict', (await request('', 'POST', { name: 'Acme Inc' })).status === 409);
+    check('companies need a name', (await request('', 'POST', { domain: 'acme.com' })).status === 400);
+
+    const changed = await request('/acme-inc', 'PUT', { status: COMPANY_STATUS.DISABLED, reason: 'Hiring freeze' });
+    const company = (await changed.json()).data;
+    check('status changes keep their reason', changed.status === 200 && company.statusHistory.at(-1).reason === 'Hiring freeze');
+    check('unknown companies are 404', (await request('/globex')).status === 404
+      && (await request('/globex', 'PUT', { priority: 1 })).status === 404);
+
+    const imported = await request('/import', 'POST', { csv: 'name,domain\n"Globex, Corp",globex.io\n' });
+    check('CSVs are imported', (await imported.json()).data.created === 1);
+    check('unreadable CSVs are 400', (await request('/import', 'POST', { csv: 'domain\nacme.com\n' })).status === 400);
+
+    const listed = (await (await request('?status=disabled')).json()).data;
+    check('companies are listed by status', listed.count === 1 && listed.companies[0].company_id === 'acme-inc');
+
+    const exported = await request('/export');
+    check('the registry is exported as CSV', exported.headers.get('content-type').startsWith('text/csv')
+      && (await exported.text()).includes('"Globex, Corp",globex.io'));
+
+    check('companies are deleted', (await request('/acme-inc', 'DELETE')).status === 200
+      && (await request('/acme-inc')).status === 404);
+  } finally {
+    server.close();
+  }
+}
+
+async function testCompanyRegistry() {
+  console.log('🧪 Testing the company registry\n');
+
+  await testRegistry();
+  await testCsv();
+  await testScheduling();
+  await testCareerDiscoveryRun();
+  await testApi();
+
+  reportChecks('company registry');
+}
+
+testCompanyRegistry().catch(error => {
+  console.error('❌ Company registry test crashed:', error);
+  process.exit(1);
+});
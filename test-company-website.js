@@ -0,0 +1,230 @@
+/**
+ * Test Script for Company Website Resolution
+ * Domain candidates from an explicit domain, the company-domain dictionary and
+ * the company name, homepage ranking, career links of the nav/footer and
+ * sitemap.xml, and the website resolver and career page finder nodes, against
+ * saved pages instead of the network
+ */
+
+import { mkdtempSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from './src/shared/config/environment.js';
+import {
+  CAREER_PAGE_SOURCES,
+  WEBSITE_SOURCES,
+  findCareerLinks,
+  guessDomains,
+  homepageNamesCompany,
+  lookupDomains,
+  nameTokens,
+  parseSitemap,
+  resolveCompanyWebsite
+} from './src/shared/utils/companyWebsite.js';
+import { DomainGovernor, setDomainGovernor } from './src/shared/utils/domainGovernor.js';
+import websiteResolverNode from './src/new-workflows/career-page-discovery/nodes/websiteResolverNode.js';
+import careerPageFinderNode from './src/new-workflows/career-page-discovery/nodes/careerPageFinderNode.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+// No spacing between requests to the same host in tests
+setDomainGovernor(new DomainGovernor({ defaults: { minIntervalMs: 0 } }));
+
+const DICTIONARY = [
+  'name,domain,aliases',
+  'Deutsche Bank,db.com,',
+  'Procter & Gamble,pg.com,P&G',
+  'Initech,initech.example,Initrode'
+].join('\n');
+
+const ACME_HOME = `<html><head><title>Acme Robotics | Robots for every warehouse</title></head><body>
+  <header><nav><a href="/products">Products</a><a href="/about">About</a></nav></header>
+  <main><a href="/blog/jobs-report-2026">Read our jobs report</a><a href="https://partner.example/careers">Partner careers</a></main>
+  <footer><a href="/company/careers">Careers</a><a href="https://boards.greenhouse.io/acmerobotics">Open positions</a></footer>
+</body></html>`;
+
+const SITEMAP_INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://acmerobotics.io/sitemap-blog.xml</loc></sitemap>
+  <sitemap><loc>https://acmerobotics.io/sitemap-careers.xml</loc></sitemap>
+</sitemapindex>`;
+
+const CAREERS_SITEMAP = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://acmerobotics.io/careers</loc></url>
+  <url><loc>https://acmerobotics.io/careers/engineering/senior-robotics-engineer</loc></url>
+  <url><loc><![CDATA[https://acmerobotics.io/pricing]]></loc></url>
+</urlset>`;
+
+/**
+ * fetch() answering from a map of URL -> { status, body, url (after redirects) }
+ */
+function fakeFetch(pages) {
+  const requested = [];
+  const fetchImpl = async url => {
+    requested.push(url);
+    const page = pages[url];
+    if (!page) throw new Error(`getaddrinfo ENOTFOUND ${new URL(url).hostname}`);
+    const status = page.status || 200;
+    return { ok: status < 400, status, url: page.url || url, headers: {}, text: async () => page.body || '' };
+  };
+  fetchImpl.requested = requested;
+  return fetchImpl;
+}
+
+function fakePage({ failing = [], observeLink = null } = {}) {
+  return {
+    gotoCalls: [],
+    observeCalls: 0,
+    typed: [],
+    async goto(url) {
+      this.gotoCalls.push(url);
+      const ok = !failing.includes(url);
+      return { ok: () => ok, status: () => (ok ? 200 : 404) };
+    },
+    async evaluate() {
+      return { scripts: [], frames: [], links: [], url: this.gotoCalls.at(-1) };
+    },
+    async waitForSelector() {},
+    async type(selector, text) {
+      this.typed.push(text);
+    },
+    keyboard: { press: async () => {} },
+    async waitForNavigation() {},
+    async observe() {
+      this.observeCalls++;
+      return { link: observeLink };
+    }
+  };
+}
+
+async function testCompanyWebsite() {
+  console.log('🧪 Testing company website resolution\n');
+
+  const directory = mkdtempSync(path.join(os.tmpdir(), 'company-website-'));
+  const dictionaryPath = path.join(directory, 'company_domains.csv');
+  writeFileSync(dictionaryPath, DICTIONARY);
+  const originalWebsite = { ...config.companyWebsite };
+  config.companyWebsite.dictionary = dictionaryPath;
+  config.companyWebsite.tlds = ['com', 'io'];
+
+  try {
+    // Names and guesses
+    check('legal suffixes and punctuation are dropped from names', nameTokens('The Acme Robotics Co., Ltd.').join(' ') === 'acme robotics');
+    const guesses = guessDomains('Acme Robotics, Inc.');
+    check('multi-word names are guessed joined and hyphenated under each TLD',
+      guesses.join(',') === 'acmerobotics.com,acme-robotics.com,acmerobotics.io,acme-robotics.io');
+    check('names that are domains are tried first', guessDomains('Housing.com')[0] === 'housing.com');
+
+    // Dictionary
+    check('the dictionary knows domains that cannot be guessed', lookupDomains('Deutsche Bank AG').join() === 'db.com');
+    check('the dictionary matches aliases and ampersands', lookupDomains('P&G').join() === 'pg.com'
+      && lookupDomains('Procter and Gamble').join() === 'pg.com');
+    check('registry aliases are looked up too', lookupDomains('Initrode Global', ['Initrode']).join() === 'initech.example');
+
+    // Homepage inspection
+    check('homepages naming the company are recognized', homepageNamesCompany(ACME_HOME, 'Acme Robotics Inc')
+      && homepageNamesCompany('<meta property="og:site_name" content="AcmeRobotics">', 'Acme Robotics')
+      && !homepageNamesCompany('<title>acmerobotics.com is for sale</title>', 'Acme Robotics'));
+
+    const links = findCareerLinks(ACME_HOME, 'https://acmerobotics.io/', 'acmerobotics.io');
+    const footer = links.find(link => link.url === 'https://acmerobotics.io/company/careers');
+    const board = links.find(link => link.url === 'https://boards.greenhouse.io/acmerobotics');
+    check('footer career links are found', footer?.source === CAREER_PAGE_SOURCES.FOOTER);
+    check('ATS boards linked from the homepage rank first', board && board.score > footer.score);
+    check('career links of other sites are ignored', !links.some(link => link.url.startsWith('https://partner.example')));
+    const report = links.find(link => link.url.includes('jobs-report'));
+    check('deep body links rank below the footer', !report || report.score < footer.score);
+
+    const index = parseSitemap(SITEMAP_INDEX);
+    const urlset = parseSitemap(CAREERS_SITEMAP);
+    check('sitemap indexes and URL sets are read', index.sitemaps.length === 2 && index.urls.length === 0
+      && urlset.urls.length === 3 && urlset.urls[2] === 'https://acmerobotics.io/pricing');
+
+    // Resolution from guesses: the homepage naming the company wins over a parked domain
+    const guessedFetch = fakeFetch({
+      'https://acmerobotics.com/': { body: '<title>acmerobotics.com is for sale</title>' },
+      'https://acmerobotics.io/': { body: ACME_HOME },
+      'https://acmerobotics.io/sitemap.xml': { body: SITEMAP_INDEX },
+      'https://acmerobotics.io/sitemap-careers.xml': { body: CAREERS_SITEMAP },
+      'https://acmerobotics.io/sitemap-blog.xml': { body: '<urlset></urlset>' }
+    });
+    const guessed = await resolveCompanyWebsite('Acme Robotics, Inc.', { fetch: guessedFetch });
+    check('the guessed homepage naming the company wins', guessed.domain === 'acmerobotics.io'
+      && guessed.source === WEBSITE_SOURCES.GUESS);
+    check('unreachable guesses are kept as unreachable candidates', guessed.candidates.length === 4
+      && guessed.candidates.filter(candidate => candidate.reachable).length === 2);
+    check('parked domains do not name the company', guessed.candidates.find(candidate => candidate.domain === 'acmerobotics.com')?.namesCompany === false);
+    check('career pages are ranked from links and the sitemap', guessed.careerPages[0].url === 'https://boards.greenhouse.io/acmerobotics'
+      && guessed.careerPages.some(page => page.url === 'https://acmerobotics.io/careers' && page.source === CAREER_PAGE_SOURCES.SITEMAP)
+      && !guessed.careerPages.some(page => page.url.endsWith('/pricing')));
+    check('career sitemaps are read before others', guessedFetch.requested.indexOf('https://acmerobotics.io/sitemap-careers.xml')
+      < guessedFetch.requested.indexOf('https://acmerobotics.io/sitemap-blog.xml'));
+
+    // Explicit and dictionary domains are not guessed
+    const explicitFetch = fakeFetch({
+      'https://acme.de/': { body: ACME_HOME.replace(/acmerobotics\.io/g, 'acme.de'), url: 'https://www.acme.de/' }
+    });
+    const explicit = await resolveCompanyWebsite('Acme Robotics', { domain: 'https://www.acme.de', fetch: explicitFetch });
+    check('explicit domains are the only candidate', explicit.source === WEBSITE_SOURCES.EXPLICIT
+      && explicit.candidates.length === 1 && explicit.domain === 'acme.de' && explicit.homepageUrl === 'https://www.acme.de/');
+    check('relative career links resolve against the redirected homepage', explicit.careerPages.some(page => page.url === 'https://www.acme.de/company/careers'));
+
+    const dictionaryFetch = fakeFetch({ 'https://db.com/': { body: '<title>Deutsche Bank</title><footer><a href="https://careers.db.com/">Careers</a></footer>' } });
+    const dictionary = await resolveCompanyWebsite('Deutsche Bank', { fetch: dictionaryFetch });
+    check('dictionary domains resolve names that guesses miss', dictionary.domain === 'db.com'
+      && dictionary.source === WEBSITE_SOURCES.DICTIONARY && dictionary.careerPages[0]?.url === 'https://careers.db.com/');
+    check('dictionary hits are not guessed', !dictionaryFetch.requested.some(url => url.includes('deutschebank')));
+
+    const parked = await resolveCompanyWebsite('Acme Robotics', {
+      fetch: fakeFetch({ 'https://acmerobotics.com/': { body: '<title>acmerobotics.com is for sale</title>' } })
+    });
+    check('guesses whose homepage does not name the company are rejected', parked.domain === null && parked.verified === false
+      && parked.candidates.find(candidate => candidate.domain === 'acmerobotics.com')?.reachable === true);
+    check('resolved domains are verified', guessed.verified && explicit.verified && dictionary.verified);
+
+    const nothing = await resolveCompanyWebsite('Nowhere Labs', { fetch: fakeFetch({}) });
+    check('companies without a reachable website resolve to no domain', nothing.domain === null && nothing.careerPages.length === 0);
+
+    // Nodes
+    // A name that yields no candidate, so nothing is fetched
+    const unresolved = await websiteResolverNode({ companyName: '???', companyDomain: null, errors: [] });
+    check('the resolver node leaves unresolved companies to the search', unresolved.currentStep === 'website_resolver'
+      && unresolved.status === 'website_unresolved' && unresolved.companyWebsite.domain === null
+      && unresolved.careerPageCandidates.length === 0 && unresolved.errors.length === 0);
+
+    const website = { domain: 'acmerobotics.io', homepageUrl: 'https://acmerobotics.io/', source: WEBSITE_SOURCES.GUESS };
+    const linkedPage = fakePage({ failing: ['https://boards.greenhouse.io/acmerobotics'] });
+    const linked = await careerPageFinderNode({
+      companyName: 'Acme Robotics',
+      page: linkedPage,
+      companyWebsite: website,
+      careerPageCandidates: guessed.careerPages,
+      errors: [],
+      promptVersions: {}
+    });
+    check('the finder opens the ranked career pages before searching', linked.status === 'career_page_found'
+      && linked.careerPageUrl === guessed.careerPages[1].url && linkedPage.observeCalls === 0
+      && !linkedPage.gotoCalls.includes('https://www.google.com'));
+
+    const searchPage = fakePage({ observeLink: null, failing: ['https://db.com/intl/en-in/careers', 'https://db.com/intl/en-us/careers'] });
+    const searched = await careerPageFinderNode({
+      companyName: 'Deutsche Bank',
+      page: searchPage,
+      companyWebsite: { domain: 'db.com' },
+      careerPageCandidates: [],
+      errors: [],
+      promptVersions: {}
+    });
+    check('searches name the resolved domain', searchPage.typed[0] === 'Deutsche Bank careers db.com');
+    check('fallback patterns use the resolved domain', searched.careerPageUrl === 'https://db.com/careers');
+  } finally {
+    Object.assign(config.companyWebsite, originalWebsite);
+  }
+
+  reportChecks('company website');
+}
+
+testCompanyWebsite().catch(error => {
+  console.error('❌ Company website test crashed:', error);
+  process.exit(1);
+});
@@ -13,7 +13,7 @@ async function testCronCareerDiscovery() {
     const careerDiscoveryJob = new CareerDiscoveryJob();
     
     // Check initial status
-    const initialStatus = careerDiscoveryJob.getStatus();
+    const initialStatus = await careerDiscoveryJob.getStatus();
     logger.info('📊 Initial status:', JSON.stringify(initialStatus, null, 2));
     
     // Start the cron job (will run every minute)
@@ -26,14 +26,14 @@ async function testCronCareerDiscovery() {
     let minuteCount = 0;
     const maxMinutes = 3;
     
-    const monitorInterval = setInterval(() => {
+    const monitorInterval = setInterval(async () => {
       minuteCount++;
-      const status = careerDiscoveryJob.getStatus();
+      const status = await careerDiscoveryJob.getStatus();
       
       logger.info(`📊 Minute ${minuteCount}/${maxMinutes} - Status:`, {
         isRunning: status.isRunning,
-        currentRow: status.currentRow,
-        totalRows: status.totalRows,
+        dueCompanies: status.dueCompanies,
+        nextCompany: status.nextCompany?.name,
         lastRun: status.lastRun
       });
       
@@ -0,0 +1,212 @@
+/**
+ * Test Script for Per-Domain Politeness
+ * Checks request spacing, concurrency caps, backoff on 429/403, per-domain rules
+ * and robots.txt enforcement of the domain governor, with fake pages and a fake
+ * robots.txt server.
+ */
+
+import { check, reportChecks } from './test/helpers/check.js';
+
+const {
+  DOMAIN_POLICY_ERRORS, DomainGovernor, DomainPolicyError, mergePoliteness, setDomainGovernor
+} = await import('./src/shared/utils/domainGovernor.js');
+const { RobotsCache, crawlDelayFor, isPathAllowed, parseRobotsTxt } = await import('./src/shared/utils/robotsTxt.js');
+const { jobListingScraperNode } = await import('./src/new-nodes/scraping/jobListingScraperNode.js');
+const { paginationScraperNode } = await import('./src/new-nodes/scraping/paginationScraperNode.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function response(status, headers = {}) {
+  return { status: () => status, ok: () => status >= 200 && status < 400, headers: () => headers };
+}
+
+// Page whose goto() answers with scripted statuses and records when each load started
+function fakePage(statuses = {}, loadMs = 0) {
+  const page = {
+    loads: [],
+    active: 0,
+    maxActive: 0,
+    async goto(url) {
+      page.loads.push({ url, at: Date.now() });
+      page.active++;
+      page.maxActive = Math.max(page.maxActive, page.active);
+      await sleep(loadMs);
+      page.active--;
+      const scripted = statuses[url];
+      return response(Array.isArray(scripted) ? (scripted.shift() ?? 200) : (scripted ?? 200));
+    }
+  };
+  return page;
+}
+
+const ROBOTS = `
+# Example robots.txt
+User-agent: *
+Disallow: /private
+Allow: /private/jobs
+Disallow: /*.pdf$
+Crawl-delay: 0.1
+
+User-agent: job-in-js
+User-agent: other-bot
+Disallow: /search
+Allow: /search/jobs
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+function robotsServer(files) {
+  const requests = [];
+  return {
+    requests,
+    fetch: async url => {
+      requests.push(url);
+      const { origin } = new URL(url);
+      if (files[origin] === undefined) return { ok: false, status: 404, text: async () => '' };
+      if (files[origin] instanceof Error) throw files[origin];
+      return { ok: true, status: 200, text: async () => files[origin] };
+    }
+  };
+}
+
+function governor(defaults = {}, options = {}) {
+  return new DomainGovernor({
+    defaults: { minIntervalMs: 0, maxConcurrent: 2, backoffBaseMs: 40, backoffMaxMs: 1000, maxRetries: 2, respectRobots: false, ...defaults },
+    domains: {},
+    ...options
+  });
+}
+
+async function testDomainGovernor() {
+  console.log('🧪 Testing per-domain politeness\n');
+
+  // robots.txt parsing
+  const robots = parseRobotsTxt(ROBOTS);
+  check('robots.txt groups share consecutive user-agent lines', robots.groups.length === 2
+    && robots.groups[1].agents.join(',') === 'job-in-js,other-bot' && robots.sitemaps[0] === 'https://example.com/sitemap.xml');
+  check('the longest matching rule wins', !isPathAllowed(robots, 'SomeBot', '/private/data') && isPathAllowed(robots, 'SomeBot', '/private/jobs/1'));
+  check('wildcards and end anchors are honoured', !isPathAllowed(robots, 'SomeBot', '/files/list.pdf') && isPathAllowed(robots, 'SomeBot', '/files/list.pdf?x=1'));
+  check('the most specific user-agent group applies instead of *', isPathAllowed(robots, 'job-in-js/1.0', '/private/data')
+    && !isPathAllowed(robots, 'job-in-js/1.0', '/search?q=x') && isPathAllowed(robots, 'job-in-js/1.0', '/search/jobs'));
+  check('crawl-delay is read per group', crawlDelayFor(robots, 'SomeBot') === 0.1 && crawlDelayFor(robots, 'job-in-js') === null);
+  check('an empty robots.txt allows everything', isPathAllowed(parseRobotsTxt(''), 'SomeBot', '/anything'));
+
+  // Spacing
+  const spaced = governor({ minIntervalMs: 60 });
+  const spacedPage = fakePage();
+  await Promise.all(['https://a.example/1', 'https://a.example/2', 'https://a.example/3'].map(url => spaced.goto(spacedPage, url)));
+  const gaps = spacedPage.loads.slice(1).map((load, index) => load.at - spacedPage.loads[index].at);
+  check('page loads of one host are spaced by the minimum interval', gaps.every(gap => gap >= 55));
+
+  const otherHostStarted = Date.now();
+  await spaced.goto(spacedPage, 'https://b.example/1');
+  check('other hosts are not held back', Date.now() - otherHostStarted < 40);
+
+  const wwwStarted = Date.now();
+  await spaced.goto(spacedPage, 'https://www.a.example/4');
+  check('www. is the same host', Date.now() - wwwStarted >= 30);
+
+  // Concurrency
+  const capped = governor({ maxConcurrent: 2 });
+  const cappedPage = fakePage({}, 30);
+  await Promise.all([1, 2, 3, 4, 5].map(n => capped.goto(cappedPage, `https://c.example/${n}`)));
+  check('at most maxConcurrent page loads of a host run at once', cappedPage.maxActive === 2 && cappedPage.loads.length === 5);
+
+  const single = governor({}, { domains: { 'c.example': { maxConcurrent: 1 } } });
+  const singlePage = fakePage({}, 20);
+  await Promise.all([1, 2, 3].map(n => single.goto(singlePage, `https://jobs.c.example/${n}`)));
+  check('per-domain rules apply to subdomains', singlePage.maxActive === 1);
+
+  // Backoff
+  const backoff = governor();
+  const rateLimited = fakePage({ 'https://d.example/list': [429, 429, 200] });
+  const started = Date.now();
+  const finalResponse = await backoff.goto(rateLimited, 'https://d.example/list');
+  check('429 answers are retried after an exponential backoff', finalResponse.status() === 200 && rateLimited.loads.length === 3
+    && Date.now() - started >= 40 + 80 - 10);
+  check('a successful answer resets the backoff', backoff.stats()['d.example'].strikes === 0 && backoff.stats()['d.example'].blocked === 2);
+
+  const forbidden = fakePage({ 'https://e.example/list': 403 });
+  const forbiddenResponse = await backoff.goto(forbidden, 'https://e.example/list');
+  const nextStarted = Date.now();
+  await backoff.goto(forbidden, 'https://e.example/other');
+  check('403 answers are not retried but back off the host', forbiddenResponse.status() === 403 && forbidden.loads.length === 2
+    && Date.now() - nextStarted >= 30);
+
+  const exhausted = fakePage({ 'https://f.example/list': [429, 429, 429, 429] });
+  const exhaustedResponse = await governor({ maxRetries: 1, backoffBaseMs: 5 }).goto(exhausted, 'https://f.example/list');
+  check('the blocked response is returned once the retries are used up', exhaustedResponse.status() === 429 && exhausted.loads.length === 2);
+
+  const retryAfter = governor({ backoffBaseMs: 1000 });
+  const retryAfterStarted = Date.now();
+  let retryAfterCalls = 0;
+  await retryAfter.run('https://g.example/api', async () => (++retryAfterCalls === 1 ? response(429, { 'retry-after': '0.05' }) : response(200)));
+  check('Retry-After replaces the computed backoff', retryAfterCalls === 2 && Date.now() - retryAfterStarted < 500);
+
+  // Rule merging
+  const layered = governor({ minIntervalMs: 1 }, { domains: { '*': { minIntervalMs: 2 }, 'h.example': { minIntervalMs: 3, maxConcurrent: 1 } } });
+  const rules = layered.rulesFor('https://jobs.h.example/x', { 'jobs.h.example': { minIntervalMs: 4 } });
+  check('run rules override configured domain rules, which override the defaults', rules.minIntervalMs === 4 && rules.maxConcurrent === 1
+    && layered.rulesFor('https://i.example/').minIntervalMs === 2);
+  check('discovery settings and input rules are merged per domain', JSON.stringify(mergePoliteness(
+    { 'linkedin.com': { minIntervalMs: 5000, maxConcurrent: 1 } },
+    { 'linkedin.com': { minIntervalMs: 10000 }, '*': { respectRobots: true } }
+  )) === JSON.stringify({ 'linkedin.com': { minIntervalMs: 10000, maxConcurrent: 1 }, '*': { respectRobots: true } }));
+
+  // robots.txt enforcement
+  const server = robotsServer({ 'https://example.com': ROBOTS, 'https://down.example': new Error('ECONNREFUSED') });
+  const polite = governor({ respectRobots: true, userAgent: 'SomeBot' }, { robots: new RobotsCache({ fetch: server.fetch }) });
+  const politePage = fakePage();
+  let refused = null;
+  try {
+    await polite.goto(politePage, 'https://example.com/private/data');
+  } catch (error) {
+    refused = error;
+  }
+  check('URLs disallowed by robots.txt are refused', refused instanceof DomainPolicyError
+    && refused.type === DOMAIN_POLICY_ERRORS.ROBOTS_DISALLOWED && politePage.loads.length === 0);
+
+  await polite.goto(politePage, 'https://example.com/private/jobs/1');
+  const crawlDelayStarted = Date.now();
+  await polite.goto(politePage, 'https://example.com/careers');
+  check('allowed URLs load and the crawl-delay spaces them', politePage.loads.length === 2 && Date.now() - crawlDelayStarted >= 90);
+  check('robots.txt is fetched once per origin', server.requests.filter(url => url === 'https://example.com/robots.txt').length === 1);
+
+  await polite.goto(politePage, 'https://missing.example/private/data');
+  await polite.goto(politePage, 'https://down.example/private/data');
+  check('sites without a reachable robots.txt are allowed', politePage.loads.length === 4);
+  check('robots.txt is only consulted when the rules ask for it', await governor().isAllowed('https://example.com/private/data')
+    && !(await polite.isAllowed('https://example.com/private/data')));
+
+  // Nodes
+  setDomainGovernor(governor({}, { domains: { 'blocked.example': { maxRetries: 0 } } }));
+  const blockedPage = {
+    goto: async () => response(429),
+    evaluate: async () => { throw new Error('the block page must not be read'); }
+  };
+  const scraped = await jobListingScraperNode({
+    currentUrl: { finalUrl: 'https://blocked.example/jobs', description: 'Jobs', originalTemplate: 'https://blocked.example/jobs' },
+    page: blockedPage,
+    scrapedJobs: [],
+    errors: []
+  });
+  check('the job listing scraper reports blocked pages instead of scraping them', scraped.currentStep === 'job_scraping_failed'
+    && scraped.errors[0].error.includes('HTTP 429'));
+
+  setDomainGovernor(governor({ respectRobots: true, userAgent: 'SomeBot' }, { robots: new RobotsCache({ fetch: server.fetch }) }));
+  const paginated = await paginationScraperNode({
+    currentUrl: { finalUrl: 'https://example.com/careers', description: 'Jobs', originalTemplate: 'https://example.com/careers' },
+    pagination: { currentPage: 1 },
+    page: { extract: async () => ({ hasMorePages: true, nextPageUrl: 'https://example.com/private/page-2' }) },
+    errors: []
+  });
+  check('pagination stops at next pages robots.txt disallows', paginated.pagination.hasMorePages === false && paginated.pagination.nextPageUrl === null);
+  setDomainGovernor(null);
+
+  reportChecks('politeness');
+}
+
+testDomainGovernor().catch(error => {
+  console.error('❌ Domain governor test crashed:', error);
+  process.exit(1);
+});
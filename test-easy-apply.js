@@ -1,5 +1,5 @@
 import { runEasyApplyWorkflow } from './src/new-workflows/easyApply/index.js';
-import { enhancedStagehandClient } from './src/shared/utils/enhancedStagehand.js';
+import { closeBrowserPool } from './src/shared/utils/browserPool.js';
 import fs from 'fs';
 const candidateData = JSON.parse(fs.readFileSync('./data/sample_candidate.json', 'utf8'));
 
@@ -7,15 +7,12 @@ async function testEasyApply() {
   console.log('🧪 Testing Easy Apply Workflow\n');
   
   try {
-    // Initialize Stagehand
-    await enhancedStagehandClient.initialize();
-    
     // Test with Clipboard Health job
     const jobUrl = 'https://job-boards.greenhouse.io/clipboardhealth/jobs/5570020004';
     
     console.log(`Testing with job URL: ${jobUrl}`);
     
-    const result = await runEasyApplyWorkflow(jobUrl, candidateData, enhancedStagehandClient);
+    const result = await runEasyApplyWorkflow(jobUrl, candidateData);
     
     console.log('\n✅ Workflow completed!');
     console.log('Final Analysis:', JSON.stringify(result.analysis, null, 2));
@@ -25,9 +22,9 @@ async function testEasyApply() {
   } finally {
     // Clean up
     try {
-      await enhancedStagehandClient.close();
+      await closeBrowserPool();
     } catch (error) {
-      console.warn('Warning: Error closing Stagehand client:', error.message);
+      console.warn('Warning: Error closing browser sessions:', error.message);
     }
   }
 }
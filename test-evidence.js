@@ -0,0 +1,177 @@
+/**
+ * Test Script for Evidence Capture
+ * Runs wrapped nodes against a fake page in each EVIDENCE_CAPTURE mode and
+ * checks the stored screenshots/DOM, the artifacts on the run record and the
+ * artifact download endpoint.
+ */
+
+import express from 'express';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { StateGraph, END } from '@langchain/langgraph';
+import { config } from './src/shared/config/environment.js';
+import { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } from './src/shared/storage/index.js';
+import { createArtifactStore, setArtifactStore } from './src/shared/artifacts/index.js';
+import { EVIDENCE_MODES, EVIDENCE_PHASES, trimDom, withEvidence } from './src/shared/utils/evidence.js';
+import { RUN_EVENT_TYPES, getRunEvents, withRunEvents } from './src/shared/utils/runEvents.js';
+import { RUN_STATUS, RUN_TYPES, getRun, startRun } from './src/shared/utils/runManager.js';
+import runRoutes from './src/api/routes/runs.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const PAGE_HTML = `<html>
+  <head><title>Apply</title><style>body { color: red; }</style><script>window.tracking = true;</script></head>
+  <body>
+    <!-- hero -->
+    <img src="data:image/png;base64,${'A'.repeat(200)}">
+    <form id="apply">   <input name="email">   </form>
+    <svg><path d="M0 0"/></svg>
+  </body>
+</html>`;
+
+function fakePage({ failScreenshot = false } = {}) {
+  return {
+    screenshots: 0,
+    url: () => 'https://jobs.example.com/apply/42',
+    content: async () => PAGE_HTML,
+    async screenshot() {
+      if (failScreenshot) throw new Error('page crashed');
+      this.screenshots++;
+      return Buffer.from('fake-png');
+    }
+  };
+}
+
+async function waitForRun(runId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const run = await getRun(runId);
+    if ([RUN_STATUS.SUCCEEDED, RUN_STATUS.FAILED].includes(run.status)) return run;
+    await sleep(20);
+  }
+  throw new Error(`Run ${runId} did not finish`);
+}
+
+function createTestWorkflow() {
+  const workflow = new StateGraph({
+    channels: {
+      page: { value: null },
+      currentStep: { value: null },
+      errors: { value: null }
+    }
+  });
+
+  workflow.addNode('load', withRunEvents('test', 'load', withEvidence('test', 'load', async () => ({ currentStep: 'loaded' }))));
+  workflow.addNode('fill', withRunEvents('test', 'fill', withEvidence('test', 'fill', async state => ({
+    currentStep: 'fill_failed',
+    errors: [...state.errors, 'email field not found']
+  }))));
+  workflow.addEdge('load', 'fill');
+  workflow.addEdge('fill', END);
+  workflow.setEntryPoint('load');
+
+  return workflow.compile();
+}
+
+async function testEvidence() {
+  console.log('🧪 Testing evidence capture\n');
+
+  const directory = mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+  setArtifactStore(createArtifactStore('local', { directory }));
+  const originalMode = config.evidence.mode;
+
+  const app = express();
+  app.use((req, res, next) => { req.apiKeyScopes = ['admin']; next(); });
+  app.use('/api/v1/runs', runRoutes);
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/v1/runs`;
+
+  try {
+    // DOM trimming
+    const trimmed = trimDom(PAGE_HTML);
+    check('trimmed DOM drops scripts, styles, SVGs and comments', !/tracking|color: red|<svg|hero/.test(trimmed) && trimmed.includes('<form id="apply">'));
+    check('trimmed DOM collapses whitespace and inline data URIs', !/\s{2,}/.test(trimmed) && trimmed.includes('src="data:…"'));
+    check('trimmed DOM is cut at the size limit', trimDom(`<p>${'x'.repeat(5000)}</p>`, 1000).endsWith('<!-- truncated by evidence capture -->'));
+
+    // Modes
+    const node = withEvidence('test', 'scrape', async state => ({ ...state, currentStep: 'scraped' }));
+    const failing = withEvidence('test', 'scrape', async () => { throw new Error('selector not found'); });
+
+    config.evidence.mode = EVIDENCE_MODES.OFF;
+    const offPage = fakePage();
+    await node({ page: offPage, errors: [] });
+    check('nothing is captured when capture is off', offPage.screenshots === 0);
+
+    config.evidence.mode = EVIDENCE_MODES.ERRORS;
+    const quietPage = fakePage();
+    await node({ page: quietPage, errors: [] });
+    check('errors mode captures nothing for a node that succeeds', quietPage.screenshots === 0);
+
+    const errorPage = fakePage();
+    const thrown = await failing({ page: errorPage, errors: [] }).then(() => null, error => error);
+    check('errors mode captures when a node throws, and rethrows', errorPage.screenshots === 1 && thrown?.message === 'selector not found');
+
+    const reportedPage = fakePage();
+    await withEvidence('easy-apply', 'fill_form', async state => ({ ...state, error: 'No form detected' }))({ page: reportedPage });
+    check('errors reported in the state update are captured', reportedPage.screenshots === 1);
+
+    config.evidence.mode = EVIDENCE_MODES.ALL;
+    const allPage = fakePage();
+    await node({ page: allPage, errors: [] });
+    check('all mode captures at entry and exit', allPage.screenshots === 2);
+
+    const crashedPage = fakePage({ failScreenshot: true });
+    const survived = await node({ page: crashedPage, errors: [] });
+    check('a failed capture does not fail the node', survived.currentStep === 'scraped');
+
+    const noPage = await node({ errors: [] });
+    check('nodes without a page run without capture', noPage.currentStep === 'scraped');
+
+    const unattached = readdirSync(path.join(directory, 'unattached'), { recursive: true });
+    check('captures outside a run are stored under unattached/', unattached.some(file => String(file).endsWith('-scrape-error.png'))
+      && unattached.some(file => String(file).endsWith('-scrape-entry.html')));
+
+    // Runs
+    const run = await startRun(RUN_TYPES.JOB_APPLICATION, {}, async () => {
+      const result = await createTestWorkflow().invoke({ page: fakePage(), currentStep: 'start', errors: [] });
+      return { success: true, currentStep: result.currentStep };
+    });
+    const finished = await waitForRun(run.run_id);
+    const phases = (finished.artifacts || []).map(artifact => `${artifact.node}:${artifact.phase}`);
+    check('artifacts are listed on the run record', phases.join(',') === 'load:entry,load:exit,fill:entry,fill:error');
+
+    const errorArtifact = finished.artifacts?.find(artifact => artifact.phase === EVIDENCE_PHASES.ERROR);
+    check('artifacts carry the page URL, the error and their links', errorArtifact?.url === 'https://jobs.example.com/apply/42'
+      && errorArtifact.error === 'email field not found'
+      && errorArtifact.screenshot.link === `/api/v1/runs/${run.run_id}/artifacts/004-test-fill-error.png`
+      && errorArtifact.dom.location.startsWith(directory));
+    check('captured artifacts are published as run events', getRunEvents(run.run_id).filter(event => event.type === RUN_EVENT_TYPES.ARTIFACT).length === 4);
+
+    const screenshot = await fetch(`${baseUrl}/${run.run_id}/artifacts/004-test-fill-error.png`);
+    check('screenshots are served from the run', screenshot.status === 200 && screenshot.headers.get('content-type') === 'image/png'
+      && Buffer.from(await screenshot.arrayBuffer()).toString() === 'fake-png');
+
+    const dom = await fetch(`${baseUrl}/${run.run_id}/artifacts/004-test-fill-error.html`);
+    check('DOM snapshots are served as HTML', dom.status === 200 && (await dom.text()).includes('<form id="apply">'));
+
+    const missing = await fetch(`${baseUrl}/${run.run_id}/artifacts/099-test-fill-error.png`);
+    const traversal = await fetch(`${baseUrl}/${run.run_id}/artifacts/..%2F..%2Fsecrets.png`);
+    const unknownRun = await fetch(`${baseUrl}/run_missing/artifacts/001-test-load-entry.png`);
+    check('unknown artifacts and runs answer 404, other names are rejected', missing.status === 404 && traversal.status === 400 && unknownRun.status === 404);
+  } finally {
+    config.evidence.mode = originalMode;
+    setArtifactStore(null);
+    server.close();
+    rmSync(directory, { recursive: true, force: true });
+  }
+
+  reportChecks('evidence capture');
+}
+
+testEvidence().catch(error => {
+  console.error('❌ Evidence capture test crashed:', error);
+  process.exit(1);
+});
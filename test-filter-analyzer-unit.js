@@ -5,7 +5,7 @@
  * to validate that it can analyze and extract filter parameters from job listings pages.
  */
 
-import { enhancedStagehandClient } from './src/shared/utils/enhancedStagehand.js';
+import { closeBrowserPool, getBrowserPool } from './src/shared/utils/browserPool.js';
 import filterAnalyzerNode from './src/new-workflows/career-page-discovery/nodes/filterAnalyzerNode.js';
 
 // Test configuration
@@ -69,13 +69,13 @@ async function testFilterAnalyzerWithRealSite() {
   let page = null;
   
   try {
-    // Step 1: Initialize enhanced Stagehand client
-    console.log('📱 Initializing enhanced Stagehand client...');
-    await enhancedStagehandClient.initialize();
+    // Step 1: Lease a browser session
+    console.log('📱 Leasing a browser session...');
+    const lease = await getBrowserPool().acquire();
     
-    // Step 2: Get page from enhanced client
-    console.log('📄 Getting page from enhanced client...');
-    page = await enhancedStagehandClient.newPage();
+    // Step 2: Get page from the lease
+    console.log('📄 Getting page from the leased session...');
+    page = lease.page;
     
     // Step 3: Create test state with the actual page object
     console.log('🔧 Setting up test state...');
@@ -224,7 +224,7 @@ async function testFilterAnalyzerWithRealSite() {
     }
     
     console.log('🧹 Closing enhanced Stagehand client...');
-    await enhancedStagehandClient.close();
+    await closeBrowserPool();
     
     console.log('✅ Cleanup completed');
   }
@@ -4,7 +4,7 @@
  */
 
 import JobExtractionWorkflow from './src/new-workflows/job-extraction/index.js';
-import { enhancedStagehandClient } from './src/shared/utils/enhancedStagehand.js';
+import { closeBrowserPool } from './src/shared/utils/browserPool.js';
 
 /**
  * Mock job loader node for testing
@@ -13,28 +13,24 @@ async function mockJobLoaderNode(state) {
   try {
     console.log('MockJobLoaderNode: Starting mock job loading...');
     
-    // Initialize Stagehand page object for content extraction
-    let page = null;
-    try {
-      await enhancedStagehandClient.start();
-      page = await enhancedStagehandClient.newPage();
-      console.log('MockJobLoaderNode: Stagehand page initialized successfully');
-    } catch (error) {
-      console.error('MockJobLoaderNode: Failed to initialize Stagehand page:', error.message);
+    // Stagehand page leased by the workflow for content extraction
+    const page = state.page;
+    if (!page) {
+      console.error('MockJobLoaderNode: No Stagehand page in state');
       return {
         ...state,
         errors: [
           ...state.errors,
           {
             node: 'job_loader',
-            error: `Failed to initialize Stagehand page: ${error.message}`,
+            error: 'No Stagehand page in state',
             timestamp: new Date().toISOString()
           }
         ],
         metadata: {
           ...state.metadata,
           job_loader_failed: true,
-          job_loader_error: `Stagehand initialization failed: ${error.message}`,
+          job_loader_error: 'Stagehand page missing',
           job_loader_timestamp: new Date().toISOString()
         }
       };
@@ -210,7 +206,7 @@ async function testJobExtractionWorkflowMock() {
   } finally {
     // Clean up
     try {
-      await enhancedStagehandClient.close();
+      await closeBrowserPool();
       console.log('Test cleanup completed');
     } catch (error) {
       console.warn('Warning: Error during cleanup:', error.message);
@@ -4,6 +4,7 @@
  */
 
 import JobExtractionWorkflow from './src/new-workflows/job-extraction/index.js';
+import { closeBrowserPool } from './src/shared/utils/browserPool.js';
 
 /**
  * Test the job extraction workflow
@@ -223,4 +224,4 @@ async function testJobExtractionWorkflow() {
 }
 
 // Run the test
-testJobExtractionWorkflow().catch(console.error); 
\ No newline at end of file
+testJobExtractionWorkflow().catch(console.error).finally(closeBrowserPool);
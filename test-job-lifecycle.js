@@ -0,0 +1,77 @@
+/**
+ * Test Script for the Job Lifecycle
+ * Checks allowed/blocked transitions and statusHistory on the in-memory local backend
+ */
+
+import { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } from './src/shared/storage/index.js';
+import { insertJobDescriptions } from './src/shared/utils/dynamoDB.js';
+import { JOB_STATUS, canTransition, transitionJob, isJobTransitionError } from './src/shared/utils/jobLifecycle.js';
+import { claimJob, failJob, requeueJob } from './src/shared/utils/jobQueue.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+
+async function expectTransitionError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    if (!isJobTransitionError(error)) throw error;
+    return error;
+  }
+}
+
+async function testJobLifecycle() {
+  console.log('🧪 Testing job lifecycle\n');
+
+  check('discovered -> extracting is allowed', canTransition(JOB_STATUS.DISCOVERED, JOB_STATUS.EXTRACTING));
+  check('applied is terminal', !canTransition(JOB_STATUS.APPLIED, JOB_STATUS.APPLYING));
+
+  await insertJobDescriptions([{ jd_id: 'life-1', url: 'https://example.com/jobs/1' }]);
+
+  // Walk a job through extraction and application
+  let job = await claimJob('life-1', { workerId: 'worker-a' });
+  job = await transitionJob('life-1', JOB_STATUS.EXTRACTED, { updates: { title: 'Engineer' }, reason: 'extraction stored' });
+  job = await transitionJob('life-1', JOB_STATUS.MATCHED, { actor: 'matcher' });
+  job = await transitionJob('life-1', JOB_STATUS.APPLYING);
+  job = await transitionJob('life-1', JOB_STATUS.APPLIED, { expectedFrom: JOB_STATUS.APPLYING });
+
+  check('updates are written with the transition', job.title === 'Engineer');
+  check('statusHistory records every move in order',
+    job.statusHistory.map(entry => entry.to).join(',') === 'discovered,extracting,extracted,matched,applying,applied');
+  check('statusHistory records where each move came from', job.statusHistory[2].from === JOB_STATUS.EXTRACTING);
+  check('statusHistory records who moved the job', job.statusHistory[3].actor === 'matcher');
+
+  // Blocked moves
+  let error = await expectTransitionError(transitionJob('life-1', JOB_STATUS.DISCOVERED));
+  check('moves not in the transition table are rejected', error?.from === JOB_STATUS.APPLIED && error.statusCode === 409);
+
+  error = await expectTransitionError(transitionJob('missing', JOB_STATUS.EXTRACTING));
+  check('missing jobs are reported as 404', error?.statusCode === 404);
+
+  error = await expectTransitionError(transitionJob('life-1', 'active'));
+  check('unknown statuses are rejected', error?.statusCode === 400);
+
+  // Only one of two concurrent moves from the same status wins
+  await insertJobDescriptions([{ jd_id: 'life-2', url: 'https://example.com/jobs/2' }]);
+  const results = await Promise.allSettled([
+    transitionJob('life-2', JOB_STATUS.EXTRACTING),
+    transitionJob('life-2', JOB_STATUS.EXPIRED)
+  ]);
+  check('concurrent transitions: exactly one wins', results.filter(result => result.status === 'fulfilled').length === 1);
+
+  // Non-retryable extraction failures skip the backoff and can be requeued
+  await insertJobDescriptions([{ jd_id: 'life-3' }]);
+  job = await claimJob('life-3', { workerId: 'worker-a' });
+  job = await failJob(job, 'Job has no URL to extract from', { workerId: 'worker-a', retryable: false });
+  check('non-retryable failures go to extraction_failed', job.status === JOB_STATUS.EXTRACTION_FAILED && !job.leaseOwner);
+  job = await requeueJob('life-3');
+  check('extraction_failed jobs can be requeued', job?.status === JOB_STATUS.DISCOVERED);
+
+  reportChecks('job lifecycle');
+}
+
+testJobLifecycle().catch(error => {
+  console.error('❌ Job lifecycle test crashed:', error);
+  process.exit(1);
+});
@@ -5,7 +5,7 @@
  * to validate that it can find job listings pages from career homepages.
  */
 
-import { enhancedStagehandClient } from './src/shared/utils/enhancedStagehand.js';
+import { closeBrowserPool, getBrowserPool } from './src/shared/utils/browserPool.js';
 import jobListingsNavigatorNode from './src/new-workflows/career-page-discovery/nodes/jobListingsNavigatorNode.js';
 
 // Test configuration
@@ -67,13 +67,13 @@ async function testJobListingsNavigatorWithRealSite() {
   let page = null;
   
   try {
-    // Step 1: Initialize enhanced Stagehand client
-    console.log('📱 Initializing enhanced Stagehand client...');
-    await enhancedStagehandClient.initialize();
+    // Step 1: Lease a browser session
+    console.log('📱 Leasing a browser session...');
+    const lease = await getBrowserPool().acquire();
     
-    // Step 2: Get page from enhanced client
-    console.log('📄 Getting page from enhanced client...');
-    page = await enhancedStagehandClient.newPage();
+    // Step 2: Get page from the lease
+    console.log('📄 Getting page from the leased session...');
+    page = lease.page;
     
     // Step 3: Create test state with the actual page object
     console.log('🔧 Setting up test state...');
@@ -169,7 +169,7 @@ async function testJobListingsNavigatorWithRealSite() {
     }
     
     console.log('🧹 Closing enhanced Stagehand client...');
-    await enhancedStagehandClient.close();
+    await closeBrowserPool();
     
     console.log('✅ Cleanup completed');
   }
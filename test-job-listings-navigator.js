@@ -7,6 +7,10 @@
 
 import { logger } from './src/shared/utils/logger.js';
 import jobListingsNavigatorNode from './src/new-workflows/career-page-discovery/nodes/jobListingsNavigatorNode.js';
+import { DomainGovernor, setDomainGovernor } from './src/shared/utils/domainGovernor.js';
+
+// Mock pages need no spacing between page loads
+setDomainGovernor(new DomainGovernor({ defaults: { minIntervalMs: 0 } }));
 
 // Mock Stagehand page for testing
 class MockStagehandPage {
@@ -27,7 +31,7 @@ class MockStagehandPage {
   async goto(url) {
     this.gotoCalls.push(url);
     this.url = url;
-    return { ok: true };
+    return { ok: () => true, status: () => 200 };
   }
 
   async extract(options) {
@@ -67,7 +71,7 @@ class MockStagehandPage {
   }
 
   async close() {
-    return { ok: true };
+    return { ok: () => true, status: () => 200 };
   }
 }
 
@@ -0,0 +1,74 @@
+/**
+ * Test Script for the Job Extraction Queue
+ * Exercises claiming, leasing, retries and dead-lettering on the in-memory local backend
+ */
+
+import { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } from './src/shared/storage/index.js';
+import { insertJobDescriptions, getItem } from './src/shared/utils/dynamoDB.js';
+import { claimJob, completeJob, failJob, findClaimableJobs, requeueJob, DEAD_LETTER_STATUS } from './src/shared/utils/jobQueue.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+const backend = createStorageBackend('local', { directory: MEMORY_DIRECTORY });
+setStorageBackend(backend);
+
+async function testJobQueue() {
+  console.log('🧪 Testing job extraction queue\n');
+
+  await insertJobDescriptions([
+    { jd_id: 'queue-1', url: 'https://example.com/jobs/1' },
+    { jd_id: 'queue-2', url: 'https://example.com/jobs/2' }
+  ]);
+
+  // Only one of two concurrent claims wins
+  const [first, second] = await Promise.all([
+    claimJob('queue-1', { workerId: 'worker-a' }),
+    claimJob('queue-1', { workerId: 'worker-b' })
+  ]);
+  check('exactly one concurrent claim wins', (first === null) !== (second === null));
+
+  const claimed = first || second;
+  check('claim moves the job to "extracting" with a lease', claimed.status === 'extracting' && !!claimed.leaseExpiresAt && claimed.attempts === 1);
+
+  const claimable = await findClaimableJobs({ limit: 5 });
+  check('claimed jobs are not offered again', claimable.map(job => job.jd_id).join(',') === 'queue-2');
+
+  // Completion releases the lease
+  check('only the lease owner can complete', !(await completeJob('queue-1', { workerId: 'someone-else' })));
+  await completeJob('queue-1', { workerId: claimed.leaseOwner });
+  const completed = await getItem('job_descriptions', { jd_id: 'queue-1' });
+  check('completion removes the lease', !completed.leaseOwner && !!completed.completedAt);
+
+  // Failure backs off, then dead-letters
+  let job = await claimJob('queue-2', { workerId: 'worker-a' });
+  job = await failJob(job, 'page did not load', { workerId: 'worker-a', maxAttempts: 2, backoffMs: 60000 });
+  check('failed job returns to "discovered" with a retry time', job.status === 'discovered' && job.nextAttemptAt > new Date().toISOString());
+  check('job waiting for backoff is not claimable', (await claimJob('queue-2', { workerId: 'worker-a' })) === null);
+
+  // Pretend the backoff elapsed
+  await backend.update({
+    TableName: 'job_descriptions',
+    Key: { jd_id: 'queue-2' },
+    UpdateExpression: 'SET nextAttemptAt = :past',
+    ExpressionAttributeValues: { ':past': '2000-01-01T00:00:00.000Z' }
+  });
+  job = await claimJob('queue-2', { workerId: 'worker-a' });
+  check('job is claimable after the backoff', job?.attempts === 2);
+  job = await failJob(job, 'still broken', { workerId: 'worker-a', maxAttempts: 2 });
+  check('job is dead-lettered after max attempts', job.status === DEAD_LETTER_STATUS && job.failures.length === 2);
+
+  // Requeue
+  job = await requeueJob('queue-2');
+  check('dead-lettered job can be requeued', job.status === 'discovered' && job.attempts === 0);
+
+  // Expired lease can be taken over
+  job = await claimJob('queue-2', { workerId: 'worker-a', leaseMs: -1000 });
+  const takenOver = await claimJob('queue-2', { workerId: 'worker-b' });
+  check('expired lease can be reclaimed by another worker', takenOver?.leaseOwner === 'worker-b');
+
+  reportChecks('job queue');
+}
+
+testJobQueue().catch(error => {
+  console.error('❌ Job queue test crashed:', error);
+  process.exit(1);
+});
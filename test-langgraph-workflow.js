@@ -4,6 +4,7 @@
  */
 
 import JobExtractionWorkflow from './src/new-workflows/job-extraction/index.js';
+import { closeBrowserPool } from './src/shared/utils/browserPool.js';
 
 async function testLangGraphWorkflow() {
   console.log('🧪 Testing LangGraph Workflow Implementation...\n');
@@ -120,4 +121,4 @@ async function testLangGraphWorkflow() {
 }
 
 // Run the test
-testLangGraphWorkflow(); 
\ No newline at end of file
+testLangGraphWorkflow().finally(closeBrowserPool);
@@ -0,0 +1,141 @@
+/**
+ * Test Script for the LLM Response Cache
+ * Runs chatCompletion and jobListingScraperNode's URL filter against a counting
+ * provider with the cache in a temporary directory, and checks keys, TTL,
+ * per-call opt-out and the providers that are never cached.
+ */
+
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { check, reportChecks } from './test/helpers/check.js';
+
+process.env.LLM_PROVIDER = 'stub';
+
+const { LlmResponseCache, setLlmCache, setLlmProvider, StubLlmProvider } = await import('./src/shared/llm/index.js');
+const { chatCompletion } = await import('./src/shared/utils/openai.js');
+const { jobListingScraperNode } = await import('./src/new-nodes/scraping/jobListingScraperNode.js');
+
+/**
+ * Provider standing in for a paid model: counts requests, answers with respond(request)
+ */
+function countingProvider(respond) {
+  return {
+    name: 'counting',
+    defaultModel: 'gpt-4o-mini',
+    requests: [],
+    async complete(request) {
+      this.requests.push(request);
+      return { content: await respond(request), usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }, model: request.model };
+    },
+    async stagehandOptions() {
+      return {};
+    }
+  };
+}
+
+function entryFiles(directory) {
+  return readdirSync(directory, { recursive: true }).filter(file => file.endsWith('.json'));
+}
+
+async function testLlmCache() {
+  console.log('🧪 Testing LLM response cache\n');
+
+  const workDir = mkdtempSync(path.join(tmpdir(), 'llm-cache-'));
+  const cache = new LlmResponseCache({ directory: workDir, ttlMs: 60000 });
+  setLlmCache(cache);
+
+  try {
+    // Identical prompts are answered once
+    const provider = countingProvider(() => '{"domain": "software_engineering"}');
+    setLlmProvider(provider);
+    const messages = [{ role: 'user', content: 'Classify this job' }];
+
+    const first = await chatCompletion(messages);
+    const second = await chatCompletion(messages);
+    check('the first call reaches the provider', first.success && !first.cached);
+    check('an identical call is served from the cache', second.cached && second.data === first.data && provider.requests.length === 1);
+    check('cached answers keep their usage', second.usage.total_tokens === 15);
+    check('entries are stored on disk', entryFiles(workDir).length === 1 && cache.stats.hits === 1);
+
+    // Anything that shapes the answer is part of the key
+    await chatCompletion(messages, { temperature: 0.7 });
+    await chatCompletion(messages, { model: 'gpt-4o' });
+    await chatCompletion(messages, { responseFormat: null });
+    check('temperature, model and response format change the key', provider.requests.length === 4);
+
+    // The same model behind another provider or endpoint is asked again
+    const otherEndpoint = { ...countingProvider(() => '{"domain": "data_science"}'), baseUrl: 'http://localhost:11434/v1' };
+    setLlmProvider(otherEndpoint);
+    const fromOtherEndpoint = await chatCompletion(messages);
+    check('the provider and its base URL are part of the key', !fromOtherEndpoint.cached && otherEndpoint.requests.length === 1
+      && fromOtherEndpoint.data.includes('data_science'));
+    setLlmProvider(provider);
+
+    // Per-call opt-out
+    const uncached = await chatCompletion(messages, { cache: false });
+    check('cache: false always asks the model', !uncached.cached && provider.requests.length === 5);
+
+    // TTL
+    const shortLived = [{ role: 'user', content: 'Short-lived answer' }];
+    await chatCompletion(shortLived, { cache: { ttlMs: 1 } });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const expired = await chatCompletion(shortLived);
+    check('expired entries are asked again', !expired.cached && provider.requests.length === 7);
+
+    // A fresh cache instance reads what an earlier run stored
+    setLlmCache(new LlmResponseCache({ directory: workDir, ttlMs: 60000 }));
+    check('entries survive a restart', (await chatCompletion(messages)).cached && provider.requests.length === 7);
+
+    // Unreadable entries are dropped
+    const key = cache.keyFor({ model: 'gpt-4o-mini', messages, responseFormat: { type: 'json_object' }, temperature: 0.1, maxTokens: 1000 }, provider);
+    writeFileSync(cache.entryPath(key), '{not json');
+    check('corrupt entries are treated as misses', !(await chatCompletion(messages)).cached && provider.requests.length === 8);
+
+    // Failures are not cached
+    let fail = true;
+    const flaky = countingProvider(() => {
+      if (fail) throw new Error('rate limited');
+      return '{"ok": true}';
+    });
+    setLlmProvider(flaky);
+    const failed = await chatCompletion([{ role: 'user', content: 'flaky' }]);
+    fail = false;
+    const recovered = await chatCompletion([{ role: 'user', content: 'flaky' }]);
+    check('failed calls are not cached', !failed.success && recovered.success && !recovered.cached);
+
+    // Providers that must not be cached
+    const stub = new StubLlmProvider({ script: [{ match: 'stubbed', respond: '{"n": 1}', times: 1 }] });
+    setLlmProvider(stub);
+    await chatCompletion([{ role: 'user', content: 'stubbed' }]);
+    check('stub answers are never cached', !(await chatCompletion([{ role: 'user', content: 'stubbed' }])).success);
+
+    // jobListingScraperNode's URL filter on a re-scraped listing page
+    const listingUrls = ['https://example.com/jobs/1-software-engineer', 'https://example.com/about-us-page'];
+    const filter = countingProvider(() => JSON.stringify({ jobDetailUrls: [listingUrls[0]], reasoning: 'job paths' }));
+    setLlmProvider(filter);
+    const page = { goto: async () => {}, evaluate: async () => listingUrls };
+    const state = { currentUrl: { finalUrl: 'https://example.com/jobs', company: 'Example' }, page, scrapedJobs: [] };
+    const firstScrape = await jobListingScraperNode(state);
+    const secondScrape = await jobListingScraperNode(state);
+    check('re-filtering the same listing page costs one model call', filter.requests.length === 1
+      && firstScrape.scrapedJobs.length === 1 && secondScrape.scrapedJobs[0].url === listingUrls[0]);
+
+    // Disabled cache
+    setLlmCache(null);
+    const direct = countingProvider(() => '{}');
+    setLlmProvider(direct);
+    await chatCompletion(messages);
+    await chatCompletion(messages);
+    check('a disabled cache sends every call', direct.requests.length === 2);
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+
+  reportChecks('LLM cache');
+}
+
+testLlmCache().catch(error => {
+  console.error('❌ LLM cache test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,137 @@
+/**
+ * Test Script for the LLM Providers
+ * Runs chatCompletion and the nodes that call the model against the scripted
+ * stub, records and replays fixtures, and checks the OpenAI-compatible
+ * provider against a local fake endpoint. No network access is needed.
+ */
+
+import http from 'http';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { z } from 'zod';
+import { check, reportChecks } from './test/helpers/check.js';
+
+process.env.LLM_PROVIDER = 'stub';
+
+const { createLlmProvider, setLlmCache, setLlmProvider, RecordingLlmProvider, StubLlmProvider } = await import('./src/shared/llm/index.js');
+const { chatCompletion } = await import('./src/shared/utils/openai.js');
+const { urlConstructionNode } = await import('./src/new-nodes/processing/urlConstructionNode.js');
+const { fieldMappingNode } = await import('./src/new-nodes/mapping/fieldMappingNode.js');
+
+async function testLlmProviders() {
+  console.log('🧪 Testing LLM providers\n');
+
+  const workDir = mkdtempSync(path.join(tmpdir(), 'llm-providers-'));
+  // Every request below has to reach its provider (see test-llm-cache.js)
+  setLlmCache(null);
+
+  try {
+    // Scripted stub behind chatCompletion
+    const stub = new StubLlmProvider({
+      script: [
+        { match: 'classify', respond: { domain: 'software_engineering' }, times: 1 },
+        { match: /salary/i, respond: request => `{"echo": ${request.messages.length}}` }
+      ]
+    });
+    setLlmProvider(stub);
+
+    const classified = await chatCompletion([{ role: 'user', content: 'Please classify this job' }]);
+    check('scripted answers are returned as message content', classified.success && JSON.parse(classified.data).domain === 'software_engineering');
+    check('usage is estimated when the script gives none', classified.usage.total_tokens > 0);
+
+    const again = await chatCompletion([{ role: 'user', content: 'Please classify this job' }]);
+    check('rules stop after their times', !again.success && again.error.includes('no scripted response'));
+
+    const salary = await chatCompletion([{ role: 'system', content: 'x' }, { role: 'user', content: 'Salary range?' }]);
+    check('function responses see the request', JSON.parse(salary.data).echo === 2);
+    check('calls are recorded', stub.calls.length === 2 && stub.calls.every(call => call.source === 'script'));
+
+    // Record with one provider, replay with a fresh stub
+    const fixturesPath = path.join(workDir, 'fixtures.jsonl');
+    const live = new StubLlmProvider({ script: [{ respond: '{"answer": 42}' }] });
+    setLlmProvider(new RecordingLlmProvider(live, fixturesPath));
+    const messages = [{ role: 'user', content: 'What is the answer?' }];
+    await chatCompletion(messages, { model: 'gpt-4o-mini' });
+    await chatCompletion(messages, { model: 'gpt-4o-mini' });
+    check('exchanges are recorded once per request', readFileSync(fixturesPath, 'utf-8').trim().split('\n').length === 1);
+
+    const replay = createLlmProvider('stub', { fixtures: fixturesPath });
+    setLlmProvider(replay);
+    const replayed = await chatCompletion(messages, { model: 'another-model' });
+    check('fixtures replay regardless of the model', replayed.success && JSON.parse(replayed.data).answer === 42 && replay.calls[0].source === 'fixture');
+    check('different response formats are different requests', !(await chatCompletion(messages, { responseFormat: null })).success);
+
+    // Nodes that used to build their own OpenAI client
+    const configPath = path.join(workDir, 'urls.csv');
+    writeFileSync(configPath, 'url,description,company\nhttps://example.com/jobs,Example board searched with the q parameter,\n');
+    const urlStub = new StubLlmProvider({
+      script: [{ match: 'URL Template: https://example.com/jobs', respond: ' https://example.com/jobs?q=software%20engineer \n' }]
+    });
+    setLlmProvider(urlStub);
+    const urlState = await urlConstructionNode({ configPath, domain: 'software_engineering', filters: { keywords: 'software engineer' } });
+    check('urlConstructionNode uses the provider', urlState.processedUrls?.[0]?.finalUrl === 'https://example.com/jobs?q=software%20engineer');
+    check('plain-text prompts are sent without JSON mode', urlStub.calls[0].responseFormat === null);
+
+    setLlmProvider(new StubLlmProvider({
+      script: [{
+        match: 'field mapping expert',
+        respond: '```json\n[{"fieldName": "email", "fieldType": "email", "mapped": true, "value": "ada@example.com", "confidence": 0.95}]\n```'
+      }]
+    }));
+    const mappingState = await fieldMappingNode({
+      formAnalysis: { success: true, fields: [{ name: 'email', type: 'email', label: 'Email' }] },
+      candidateData: { personal: { email: 'ada@example.com' } }
+    });
+    check('fieldMappingNode uses the provider', mappingState.fieldMapping?.mappings?.[0]?.value === 'ada@example.com');
+
+    // Stagehand adapter answering structured calls from the stub
+    const stagehandStub = new StubLlmProvider({ script: [{ respond: { title: 'Engineer' } }] });
+    const { llmClient } = await stagehandStub.stagehandOptions();
+    const extraction = await llmClient.createChatCompletion({
+      options: { messages: [{ role: 'user', content: [{ type: 'text', text: 'extract the title' }] }], response_model: { name: 'Extraction', schema: z.object({ title: z.string() }) } }
+    });
+    check('Stagehand structured calls resolve to checked data', extraction.data.title === 'Engineer' && extraction.usage.total_tokens > 0);
+
+    // OpenAI-compatible endpoint
+    const requests = [];
+    const endpoint = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ path: req.url, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+          id: 'cmpl-1',
+          object: 'chat.completion',
+          created: 0,
+          model: 'llama3',
+          choices: [{ index: 0, message: { role: 'assistant', content: 'hello' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 }
+        }));
+      });
+    });
+    endpoint.listen(0);
+    try {
+      const baseUrl = `http://localhost:${endpoint.address().port}/v1`;
+      const local = createLlmProvider('openai-compatible', { baseUrl, model: 'llama3', apiKey: undefined });
+      setLlmProvider(local);
+      const answer = await chatCompletion([{ role: 'user', content: 'hi' }], { responseFormat: null, maxTokens: null });
+      check('OpenAI-compatible endpoints answer through chatCompletion', answer.success && answer.data === 'hello' && answer.usage.total_tokens === 4);
+      check('requests use the configured model and omit unset options', requests[0].path === '/v1/chat/completions'
+        && requests[0].body.model === 'llama3' && !('response_format' in requests[0].body) && !('max_tokens' in requests[0].body));
+      const options = await local.stagehandOptions();
+      check('Stagehand gets the same endpoint', options.modelName === 'openai/llama3' && options.modelClientOptions.baseURL === baseUrl);
+    } finally {
+      endpoint.close();
+    }
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+
+  reportChecks('LLM provider');
+}
+
+testLlmProviders().catch(error => {
+  console.error('❌ LLM provider test crashed:', error);
+  process.exit(1);
+});
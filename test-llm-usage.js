@@ -0,0 +1,143 @@
+/**
+ * Test Script for LLM Usage Accounting
+ * Runs scripted LLM calls inside runs, workflow nodes and job extractions on
+ * the in-memory local backend, and checks the price table, the stored
+ * summaries, the ledger report, the daily budgets and the /usage routes.
+ */
+
+import express from 'express';
+import { check, reportChecks } from './test/helpers/check.js';
+
+process.env.LLM_PROVIDER = 'stub';
+
+const { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } = await import('./src/shared/storage/index.js');
+const { config } = await import('./src/shared/config/environment.js');
+const { setLlmCache, setLlmProvider, StubLlmProvider } = await import('./src/shared/llm/index.js');
+const { estimateCost } = await import('./src/shared/llm/pricing.js');
+const { chatCompletion } = await import('./src/shared/utils/openai.js');
+const { RUN_STATUS, RUN_TYPES, getRun, startRun } = await import('./src/shared/utils/runManager.js');
+const { withRunEvents } = await import('./src/shared/utils/runEvents.js');
+const { createUsageSummary, getDailyUsage, getUsageReport, isPausedByBudget, saveJobUsage, withUsageContext } = await import('./src/shared/utils/llmUsage.js');
+const { insertItem, getItem } = await import('./src/shared/utils/dynamoDB.js');
+const { EnhancedStagehandClient } = await import('./src/shared/utils/enhancedStagehand.js');
+const { default: usageRoutes } = await import('./src/api/routes/usage.js');
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+setLlmCache(null);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForRun(runId) {
+  for (let i = 0; i < 100; i++) {
+    const run = await getRun(runId);
+    if ([RUN_STATUS.SUCCEEDED, RUN_STATUS.FAILED].includes(run.status)) return run;
+    await sleep(10);
+  }
+  throw new Error(`Run ${runId} did not finish`);
+}
+
+async function testLlmUsage() {
+  console.log('🧪 Testing LLM usage accounting\n');
+
+  // Price table
+  const cost = estimateCost('gpt-4o-mini', { prompt_tokens: 1000000, completion_tokens: 1000000 });
+  check('known models are priced per million tokens', cost.priced && Math.abs(cost.costUsd - 0.75) < 1e-9);
+  check('dated snapshots and provider prefixes price like their family',
+    estimateCost('gpt-4o-2024-08-06', { prompt_tokens: 1000000 }).costUsd === 2.5
+    && estimateCost('openai/gpt-4o-mini', { prompt_tokens: 1000000 }).costUsd === 0.15);
+  check('unknown models cost 0 and are flagged', !estimateCost('llama3', { prompt_tokens: 10 }).priced);
+
+  const usage = { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200 };
+  setLlmProvider(new StubLlmProvider({ model: 'gpt-4o-mini', script: [{ respond: '{"ok": true}', usage }] }));
+
+  // Attributed to run and node
+  const classify = withRunEvents('job-extraction', 'domain_classifier', async () => {
+    await chatCompletion([{ role: 'user', content: 'classify' }]);
+    await chatCompletion([{ role: 'user', content: 'classify again' }]);
+    return { current_node: 'domain_classifier' };
+  });
+  const queued = await startRun(RUN_TYPES.JOB_EXTRACTION, { job_id: 'jd-1' }, async () => {
+    await withUsageContext({ jdId: 'jd-1' }, () => classify({ errors: [] }));
+    await chatCompletion([{ role: 'user', content: 'outside any node' }]);
+    return { success: true };
+  });
+  const run = await waitForRun(queued.run_id);
+  check('runs store their usage', run.usage?.calls === 3 && run.usage.total_tokens === 3600);
+  check('run usage is broken down by node and model', run.usage.by_node.domain_classifier?.calls === 2
+    && run.usage.by_node.unattributed?.calls === 1 && run.usage.by_model['gpt-4o-mini'].calls === 3);
+  check('run usage carries the estimated cost', Math.abs(run.usage.cost_usd - 3 * (1000 * 0.15 + 200 * 0.6) / 1e6) < 1e-9);
+
+  const noLlm = await waitForRun((await startRun(RUN_TYPES.JOB_DISCOVERY, {}, async () => ({ success: true }))).run_id);
+  check('runs without LLM calls store no usage', noLlm.usage === undefined);
+
+  // Ledger and report
+  const byNode = await getUsageReport({ groupBy: 'node' });
+  check('the report groups the ledger by node', byNode.totals.calls === 3
+    && byNode.groups.find(group => group.key === 'domain_classifier')?.calls === 2);
+  const forJob = await getUsageReport({ groupBy: 'run_id', jdId: 'jd-1' });
+  check('the report filters by jd_id and groups by run', forJob.totals.calls === 2 && forJob.groups[0].key === queued.run_id);
+  check('the daily total is kept with the ledger', (await getDailyUsage()).total_tokens === 3600);
+
+  // Job items
+  await insertItem('job_descriptions', { jd_id: 'jd-2', status: 'extracting', url: 'https://example.com/jobs/2' });
+  const jobUsage = createUsageSummary();
+  await withUsageContext({ jdId: 'jd-2' }, () => chatCompletion([{ role: 'user', content: 'map dimensions' }]), jobUsage);
+  await saveJobUsage('jd-2', jobUsage);
+  const job = await getItem('job_descriptions', { jd_id: 'jd-2' });
+  check('job items store the usage of their extraction', job.llm_usage?.calls === 1 && job.llm_usage.prompt_tokens === 1000);
+  await saveJobUsage('missing-job', jobUsage);
+  check('usage is not stored on jobs that do not exist', (await getItem('job_descriptions', { jd_id: 'missing-job' })) === undefined);
+
+  // Stagehand calls report their tokens through updateMetrics
+  const metrics = [];
+  const stagehandClient = new EnhancedStagehandClient();
+  stagehandClient.stagehand = { updateMetrics: (...args) => metrics.push(args) };
+  stagehandClient.recordStagehandUsage('openai/gpt-4o-mini');
+  const stagehandUsage = createUsageSummary();
+  await withUsageContext({ node: 'job_analyzer' }, async () => {
+    stagehandClient.stagehand.updateMetrics('EXTRACT', 500, 100, 30);
+  }, stagehandUsage);
+  await sleep(10);
+  const stagehandReport = await getUsageReport({ groupBy: 'source' });
+  check('Stagehand calls are recorded and still reach Stagehand', metrics.length === 1 && stagehandUsage.by_node.job_analyzer?.total_tokens === 600
+    && stagehandReport.groups.some(group => group.key === 'stagehand.extract'));
+
+  // Daily budgets
+  check('without budgets the cron jobs never pause', !(await isPausedByBudget('Processor Job')));
+  config.usage.dailyTokenBudget = 1000000;
+  check('cron jobs run under the budget', !(await isPausedByBudget('Processor Job')));
+  config.usage.dailyBudgetUsd = 0.001;
+  check('cron jobs pause once the daily budget is spent', await isPausedByBudget('Processor Job'));
+
+  // Routes
+  const app = express();
+  // Stand-in for validateApiKey: requests carry a read key
+  app.use((req, res, next) => { req.apiKeyScopes = ['jobs:read']; next(); });
+  app.use('/api/v1/usage', usageRoutes);
+  const server = app.listen(0);
+  const request = async path => {
+    const response = await fetch(`http://localhost:${server.address().port}${path}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const report = await request('/api/v1/usage?groupBy=model');
+    check('GET /usage reports totals, groups and the budget', report.status === 200
+      && report.body.data.groups[0].key === 'gpt-4o-mini' && report.body.data.budget.exceeded === true);
+    const tooLong = await request('/api/v1/usage?from=2026-01-01&to=2026-03-01');
+    check('ranges longer than 31 days are rejected', tooLong.status === 400);
+    check('invalid days are rejected', (await request('/api/v1/usage?from=yesterday')).status === 400);
+    const budget = await request('/api/v1/usage/budget');
+    check('GET /usage/budget reports today\'s spend', budget.status === 200 && budget.body.data.budget.costUsd === 0.001
+      && budget.body.data.usage.calls === 5);
+  } finally {
+    server.close();
+  }
+
+  reportChecks('LLM usage');
+}
+
+testLlmUsage().catch(error => {
+  console.error('❌ LLM usage test crashed:', error);
+  process.exit(1);
+});
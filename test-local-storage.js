@@ -0,0 +1,97 @@
+/**
+ * Test Script for the Local Storage Backend
+ * Runs the dynamoDB.js helpers against the in-memory local backend, no AWS needed
+ */
+
+import { createStorageBackend, setStorageBackend, isConditionalCheckFailed, MEMORY_DIRECTORY } from './src/shared/storage/index.js';
+import { insertItem, insertJobDescriptions, getItem, updateItem, queryItems, scanItems, deleteItem, queryJobsByStatus } from './src/shared/utils/dynamoDB.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+const backend = createStorageBackend('local', { directory: MEMORY_DIRECTORY });
+setStorageBackend(backend);
+
+async function testLocalStorage() {
+  console.log('🧪 Testing local storage backend\n');
+
+  // Insert and read back
+  const { results } = await insertJobDescriptions([
+    { jd_id: 'job-1', url: 'https://example.com/jobs/1', company: 'Example' },
+    { jd_id: 'job-2', url: 'https://example.com/jobs/2', company: 'Example' }
+  ]);
+  check('insertJobDescriptions stores every job', results.length === 2);
+
+  const job = await getItem('job_descriptions', { jd_id: 'job-1' });
+  check('getItem returns stored job', job?.url === 'https://example.com/jobs/1');
+  check('insertJobDescriptions sets status "discovered"', job?.status === 'discovered');
+
+  // Update
+  const updated = await updateItem('job_descriptions', { jd_id: 'job-1' }, { status: 'extracted', title: 'Engineer' });
+  check('updateItem returns the new item', updated.status === 'extracted' && updated.title === 'Engineer');
+
+  // Scan with filter
+  const discovered = await scanItems('job_descriptions', {
+    FilterExpression: '#status = :status',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: { ':status': 'discovered' }
+  });
+  check('scanItems applies FilterExpression', discovered.length === 1 && discovered[0].jd_id === 'job-2');
+
+  // Query by key
+  const queried = await queryItems('job_descriptions', {
+    KeyConditionExpression: 'jd_id = :id',
+    ExpressionAttributeValues: { ':id': 'job-2' }
+  });
+  check('queryItems applies KeyConditionExpression', queried.length === 1);
+
+  // Conditional writes behave like DynamoDB
+  try {
+    await backend.put({
+      TableName: 'job_descriptions',
+      Item: { jd_id: 'job-2', url: 'duplicate' },
+      ConditionExpression: 'attribute_not_exists(jd_id)'
+    });
+    check('conditional put on existing key is rejected', false);
+  } catch (error) {
+    check('conditional put on existing key is rejected', isConditionalCheckFailed(error));
+  }
+
+  const counter = await backend.update({
+    TableName: 'job_descriptions',
+    Key: { jd_id: 'job-2' },
+    UpdateExpression: 'SET attempts = if_not_exists(attempts, :zero) + :one, history = list_append(if_not_exists(history, :empty), :entry) REMOVE company',
+    ExpressionAttributeValues: { ':zero': 0, ':one': 1, ':empty': [], ':entry': ['claimed'] },
+    ReturnValues: 'ALL_NEW'
+  });
+  check('update expressions support if_not_exists, list_append and REMOVE',
+    counter.Attributes.attempts === 1 && counter.Attributes.history.length === 1 && counter.Attributes.company === undefined);
+
+  // Limit / ExclusiveStartKey paging
+  await insertItem('user_profiles', { id: 'user-1', email: 'a@example.com' });
+  await insertItem('user_profiles', { id: 'user-2', email: 'b@example.com' });
+  await insertItem('user_profiles', { id: 'user-3', email: 'c@example.com' });
+  const firstPage = await backend.scan({ TableName: 'user_profiles', Limit: 2 });
+  const secondPage = await backend.scan({ TableName: 'user_profiles', Limit: 2, ExclusiveStartKey: firstPage.LastEvaluatedKey });
+  check('scan pages with Limit and ExclusiveStartKey',
+    firstPage.Items.length === 2 && !!firstPage.LastEvaluatedKey && secondPage.Items.length === 1 && !secondPage.LastEvaluatedKey);
+
+  // Status index: oldest first, paginated
+  await backend.put({ TableName: 'job_descriptions', Item: { jd_id: 'old', status: 'discovered', createdAt: '2024-01-01T00:00:00.000Z' } });
+  await backend.put({ TableName: 'job_descriptions', Item: { jd_id: 'older', status: 'discovered', createdAt: '2023-01-01T00:00:00.000Z' } });
+  await backend.put({ TableName: 'job_descriptions', Item: { jd_id: 'no-timestamp', status: 'discovered' } });
+  const oldest = await queryJobsByStatus('discovered', { limit: 2 });
+  check('queryJobsByStatus returns the oldest jobs first', oldest.items.map(item => item.jd_id).join(',') === 'older,old');
+  const rest = await queryJobsByStatus('discovered', { limit: 2, startKey: oldest.lastEvaluatedKey });
+  check('queryJobsByStatus continues from the cursor', rest.items.length === 1 && rest.items[0].jd_id === 'job-2');
+  check('jobs without createdAt are not in the status index', !rest.items.some(item => item.jd_id === 'no-timestamp'));
+
+  // Delete
+  await deleteItem('job_descriptions', { jd_id: 'job-1' });
+  check('deleteItem removes the item', !(await getItem('job_descriptions', { jd_id: 'job-1' })));
+
+  reportChecks('local storage');
+}
+
+testLocalStorage().catch(error => {
+  console.error('❌ Local storage test crashed:', error);
+  process.exit(1);
+});
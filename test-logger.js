@@ -0,0 +1,162 @@
+/**
+ * Test Script for Structured Logging
+ * Checks the JSON/text formats, the rotated log file, redaction of secrets and
+ * candidate data, and correlation IDs of requests and runs.
+ */
+
+import express from 'express';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } from './src/shared/storage/index.js';
+import { logger, LOG_FORMATS } from './src/shared/utils/logger.js';
+import { REDACTED, redact, redactText } from './src/shared/utils/redaction.js';
+import { CORRELATION_HEADER, currentCorrelationId, withLogContext } from './src/shared/utils/correlation.js';
+import { correlationId } from './src/api/middleware/correlationId.js';
+import { RUN_STATUS, RUN_TYPES, getRun, startRun } from './src/shared/utils/runManager.js';
+import { logStagehandLine } from './src/shared/utils/enhancedStagehand.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const lines = [];
+
+function capture(options = {}) {
+  lines.length = 0;
+  logger.configure({ level: 'debug', format: LOG_FORMATS.JSON, file: null, output: (level, line) => lines.push(line), ...options });
+}
+
+const lastEntry = () => JSON.parse(lines[lines.length - 1]);
+
+async function waitForRun(runId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const run = await getRun(runId);
+    if ([RUN_STATUS.SUCCEEDED, RUN_STATUS.FAILED].includes(run.status)) return run;
+    await sleep(20);
+  }
+  throw new Error(`Run ${runId} did not finish`);
+}
+
+async function testLogger() {
+  console.log('🧪 Testing structured logging\n');
+
+  const directory = mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  let server = null;
+
+  try {
+    // Formats and levels
+    capture();
+    logger.info('Job stored', { jdId: 'job_1', count: 3 });
+    const entry = lastEntry();
+    check('JSON entries carry timestamp, level, message and meta', entry.level === 'info' && entry.message === 'Job stored'
+      && entry.jdId === 'job_1' && entry.count === 3 && !Number.isNaN(Date.parse(entry.timestamp)));
+
+    capture({ format: LOG_FORMATS.TEXT });
+    logger.warn('Slow page', { ms: 1200 });
+    check('text entries keep the console layout', /^\[[^\]]+\] WARN: Slow page \{"ms":1200\}$/.test(lines[0]));
+
+    capture({ level: 'warn' });
+    logger.info('hidden');
+    logger.debug('hidden');
+    logger.error('shown', new Error('boom'));
+    check('entries below LOG_LEVEL are dropped, errors are serialized', lines.length === 1
+      && lastEntry().error.message === 'boom' && lastEntry().error.stack.includes('boom'));
+
+    // Redaction
+    capture();
+    logger.info('Applying for jane.doe@example.com, call +1 (555) 123-4567', {
+      apiKey: 'sk-live-0123456789abcdefghij',
+      headers: { Authorization: 'Bearer abcdefghijklmnop', 'X-API-Key': 'ak_0123456789abcdef.secretsecretsecretsecret' },
+      candidateData: { personal: { firstName: 'Jane', email: 'jane.doe@example.com' } },
+      note: 'key sk-proj-abcdefghijklmnopqrstu in text',
+      usage: { totalTokens: 1200 }
+    });
+    const redacted = lastEntry();
+    check('emails and phone numbers in messages are masked', redacted.message === 'Applying for [REDACTED_EMAIL], call [REDACTED_PHONE]');
+    check('credential keys and candidate data are masked', redacted.apiKey === REDACTED && redacted.headers.Authorization === REDACTED
+      && redacted.headers['X-API-Key'] === REDACTED && redacted.candidateData === REDACTED);
+    check('API keys inside strings are masked, other fields kept', redacted.note === 'key sk-[REDACTED] in text' && redacted.usage.totalTokens === 1200);
+    check('ISO timestamps and run IDs are not mistaken for phone numbers',
+      redactText('2026-10-18T10:00:00.000Z run_550e8400-e29b-41d4-a716-446655440000') === '2026-10-18T10:00:00.000Z run_550e8400-e29b-41d4-a716-446655440000');
+
+    capture();
+    logStagehandLine({
+      category: 'action',
+      message: 'performing act for jane.doe@example.com',
+      level: 1,
+      auxiliary: { action: { value: 'Type "+1 (555) 123-4567" into the phone field', type: 'string' } }
+    });
+    check('Stagehand log lines go through the redacting logger', lastEntry().message === 'Stagehand [action]: performing act for [REDACTED_EMAIL]'
+      && lastEntry().action === 'Type "[REDACTED_PHONE]" into the phone field');
+
+    const cyclic = { name: 'loop' };
+    cyclic.self = cyclic;
+    check('cycles and buffers are summarized', redact(cyclic).self === '[Circular]' && redact({ body: Buffer.alloc(4) }).body === '[Buffer 4 bytes]');
+
+    // Correlation context
+    capture();
+    await withLogContext({ correlationId: 'cor_outer' }, async () => {
+      await sleep(1);
+      await withLogContext({ runId: 'run_1' }, async () => logger.info('inside'));
+    });
+    check('entries carry the correlation and run ID of their context', lastEntry().correlationId === 'cor_outer' && lastEntry().runId === 'run_1');
+    logger.info('outside');
+    check('entries outside a context have no IDs', lastEntry().correlationId === undefined);
+
+    // File sink
+    const file = path.join(directory, 'logs', 'application.log');
+    capture({ format: LOG_FORMATS.TEXT, file, maxFileBytes: 400, maxFiles: 2 });
+    for (let index = 0; index < 12; index++) {
+      logger.info(`line ${index}`, { padding: 'x'.repeat(80) });
+    }
+    logger.close();
+    const current = readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    check('the log file holds JSON lines whatever the console format', current.length > 0 && current.every(line => line.message.startsWith('line ')));
+    check('the log file is rotated by size, keeping LOG_MAX_FILES old files', existsSync(`${file}.1`) && existsSync(`${file}.2`) && !existsSync(`${file}.3`)
+      && current[current.length - 1].message === 'line 11');
+
+    // Requests and runs
+    capture();
+    const app = express();
+    app.use(correlationId);
+    app.get('/work', async (req, res) => {
+      await sleep(1);
+      logger.info('handling');
+      const run = await startRun(RUN_TYPES.JOB_DISCOVERY, {}, async ({ correlationId: runCorrelationId }) => {
+        logger.info('in run');
+        return { success: true, runCorrelationId, contextId: currentCorrelationId() };
+      });
+      res.json({ runId: run.run_id });
+    });
+    server = app.listen(0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const response = await fetch(`${baseUrl}/work`, { headers: { [CORRELATION_HEADER]: 'client-req-42' } });
+    const { runId } = await response.json();
+    check('the caller\'s correlation ID is echoed on the response', response.headers.get(CORRELATION_HEADER) === 'client-req-42');
+    check('request log entries carry it', lines.map(line => JSON.parse(line)).some(line => line.message === 'handling' && line.correlationId === 'client-req-42'));
+
+    const run = await waitForRun(runId);
+    const runLines = lines.map(line => JSON.parse(line)).filter(line => line.message === 'in run');
+    check('the run keeps the request\'s correlation ID', run.correlation_id === 'client-req-42'
+      && run.result.runCorrelationId === 'client-req-42' && run.result.contextId === 'client-req-42');
+    check('run log entries carry the correlation and run ID', runLines[0]?.correlationId === 'client-req-42' && runLines[0]?.runId === runId);
+
+    const generated = await fetch(`${baseUrl}/work`, { headers: { [CORRELATION_HEADER]: 'bad id with spaces' } });
+    check('invalid correlation IDs are replaced', /^cor_[0-9a-f-]{36}$/.test(generated.headers.get(CORRELATION_HEADER)));
+    await waitForRun((await generated.json()).runId);
+  } finally {
+    logger.configure({});
+    server?.close();
+    rmSync(directory, { recursive: true, force: true });
+  }
+
+  reportChecks('logging');
+}
+
+testLogger().catch(error => {
+  console.error('❌ Logger test crashed:', error);
+  process.exit(1);
+});
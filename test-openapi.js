@@ -0,0 +1,142 @@
+/**
+ * Test Script for the OpenAPI Document and Request Validation
+ * Builds /api/v1/openapi.json from the route definitions, checks that it is
+ * consistent and that the same definitions reject invalid requests
+ */
+
+import express from 'express';
+import { check, reportChecks } from './test/helpers/check.js';
+
+process.env.VALID_API_KEYS = 'test-api-key=admin';
+
+const { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } = await import('./src/shared/storage/index.js');
+const { buildOpenApiDocument } = await import('./src/api/openapi/document.js');
+const { validateApiKey } = await import('./src/api/middleware/validateApiKey.js');
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+
+// Mounted in the same order as src/api/server.js
+const ROUTES = [
+  ['/health', 'health'],
+  ['/api/v1', 'docs'],
+  ['/api/v1', validateApiKey],
+  ['/api/v1/job-application', 'jobApplication'],
+  ['/api/v1/job-discovery', 'jobDiscovery'],
+  ['/api/v1', 'jobExtraction'],
+  ['/api/v1/jobs', 'jobs'],
+  ['/api/v1/career-discovery', 'careerDiscovery'],
+  ['/api/v1/runs', 'runs'],
+  ['/api/v1/webhooks', 'webhooks'],
+  ['/api/v1/api-keys', 'apiKeys'],
+  ['/api/v1/usage', 'usage']
+];
+
+function collectRefs(value, refs = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (key === '$ref') refs.push(child);
+      else collectRefs(child, refs);
+    }
+  }
+  return refs;
+}
+
+async function testOpenApi() {
+  console.log('🧪 Testing the OpenAPI document and request validation\n');
+
+  const app = express();
+  app.use(express.json());
+  const mounted = [];
+  for (const [mountPath, name] of ROUTES) {
+    if (typeof name === 'function') {
+      app.use(mountPath, name);
+      continue;
+    }
+    try {
+      const { default: routes } = await import(`./src/api/routes/${name}.js`);
+      app.use(mountPath, routes);
+      mounted.push(name);
+    } catch (error) {
+      // Some route modules need optional dependencies or data files that may be missing locally
+      console.log(`⚠️  Skipping ${name} routes: ${error.message}`);
+    }
+  }
+
+  const server = app.listen(0);
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const request = (path, method = 'GET', body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  try {
+    const spec = buildOpenApiDocument();
+    check('document is OpenAPI 3', spec.openapi.startsWith('3.'));
+    check('runs and webhooks are documented', Boolean(spec.paths['/api/v1/runs/{id}']?.get && spec.paths['/api/v1/webhooks']?.post));
+    check('express params become OpenAPI path params', spec.paths['/api/v1/runs/{id}'].get.parameters.some(p => p.in === 'path' && p.name === 'id' && p.required));
+
+    const operations = Object.values(spec.paths).flatMap(Object.values);
+    check('every operation has an id and a summary', operations.every(op => op.operationId && op.summary));
+    const operationIds = operations.map(op => op.operationId);
+    check('operation ids are unique', new Set(operationIds).size === operationIds.length);
+
+    const missing = collectRefs(spec).filter(ref => !spec.components.schemas[ref.replace('#/components/schemas/', '')]);
+    check('every $ref resolves to a component', missing.length === 0);
+    if (missing.length > 0) console.log('   unresolved:', [...new Set(missing)]);
+
+    const listRuns = spec.paths['/api/v1/runs'].get;
+    const limit = listRuns.parameters.find(p => p.name === 'limit');
+    check('query schemas keep bounds and defaults', limit?.in === 'query' && !limit.required && limit.schema.maximum === 100 && limit.schema.default === 25);
+    check('validated routes document a 400 ValidationError', listRuns.responses[400]?.content['application/json'].schema.$ref === '#/components/schemas/ValidationError');
+    check('protected routes document a 401', Boolean(listRuns.responses[401]) && !listRuns.security);
+    check('health is public', Array.isArray(spec.paths['/health'].get.security) && spec.paths['/health'].get.security.length === 0);
+
+    const createWebhook = spec.paths['/api/v1/webhooks'].post;
+    const createBody = createWebhook.requestBody.content['application/json'].schema;
+    check('request bodies list their required fields', createWebhook.requestBody.required && createBody.required.includes('url') && createBody.required.includes('events'));
+    check('webhook events are an enum', createBody.properties.events.items.enum?.includes('job.discovered'));
+
+    if (mounted.includes('jobApplication')) {
+      check('shared domain schemas are components', Boolean(spec.components.schemas.CandidateProfile)
+        && spec.paths['/api/v1/job-application/single'].post.requestBody.content['application/json'].schema.$ref === '#/components/schemas/JobApplicationInput');
+    }
+
+    // Served document and viewer
+    const served = await request('/api/v1/openapi.json');
+    check('openapi.json is served', served.status === 200 && Object.keys((await served.json()).paths).length === Object.keys(spec.paths).length);
+    const viewer = await request('/api/v1/docs');
+    check('docs viewer is served as HTML', viewer.status === 200 && viewer.headers.get('content-type').includes('text/html')
+      && (await viewer.text()).includes('/api/v1/docs/viewer.js'));
+    check('viewer script is served', (await request('/api/v1/docs/viewer.js')).status === 200);
+
+    // Validation from the same definitions
+    const tooMany = await request('/api/v1/runs?limit=500');
+    const tooManyBody = await tooMany.json();
+    check('out-of-range query values are rejected', tooMany.status === 400 && tooManyBody.details[0].in === 'query' && tooManyBody.details[0].field === 'limit');
+    check('invalid cursors are rejected', (await request('/api/v1/runs?cursor=%%%')).status === 400);
+    check('valid queries pass', (await request('/api/v1/runs?limit=5')).status === 200);
+
+    const badWebhook = await request('/api/v1/webhooks', 'POST', { url: 'not a url', events: ['job.unknown'] });
+    const badWebhookBody = await badWebhook.json();
+    check('every body issue is reported', badWebhook.status === 400
+      && badWebhookBody.details.some(d => d.field === 'url') && badWebhookBody.details.some(d => d.field === 'events.0'));
+
+    check('missing required body fields are rejected', (await request('/api/v1/job-extraction', 'POST', {})).status === 400);
+    check('path params are validated', (await request('/api/v1/jobs/queue/not_a_status')).status === 400);
+    const transition = await request('/api/v1/jobs/lifecycle/jd_missing/transition', 'POST', { to: 'matched' });
+    check('valid requests reach the handler', transition.status === 404);
+    check('job discovery requires a domain', (await request('/api/v1/job-discovery', 'POST', { filters: {} })).status === 400);
+  } finally {
+    server.close();
+  }
+
+  reportChecks('OpenAPI');
+}
+
+testOpenApi().catch(error => {
+  console.error('❌ OpenAPI test crashed:', error);
+  process.exit(1);
+});
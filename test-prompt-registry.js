@@ -0,0 +1,158 @@
+/**
+ * Test Script for the Prompt Registry
+ * Checks template rendering, versioning and pinning, the prompt versions
+ * recorded by the nodes, the stored fixture inputs and the version comparison
+ * behind eval-prompts.js, against the scripted stub LLM.
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { check, reportChecks } from './test/helpers/check.js';
+
+process.env.LLM_PROVIDER = 'stub';
+
+const { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } = await import('./src/shared/storage/index.js');
+const { config } = await import('./src/shared/config/environment.js');
+const { setLlmCache, setLlmProvider, StubLlmProvider } = await import('./src/shared/llm/index.js');
+const {
+  PROMPT_KINDS, PromptError, comparePromptVersions, definePrompt, diffLines, getPrompt,
+  listPrompts, loadPromptFixtures, renderPrompt, withPromptVersions
+} = await import('./src/shared/prompts/index.js');
+const { urlConstructionNode } = await import('./src/new-nodes/processing/urlConstructionNode.js');
+const { fieldMappingNode } = await import('./src/new-nodes/mapping/fieldMappingNode.js');
+const { default: jobAnalyzerNode } = await import('./src/new-nodes/analysis/jobAnalyzerNode.js');
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+setLlmCache(null);
+
+function throwsPromptError(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error instanceof PromptError;
+  }
+}
+
+async function testPromptRegistry() {
+  console.log('🧪 Testing the prompt registry\n');
+
+  // Registry contents
+  const names = listPrompts().map(prompt => prompt.name);
+  check('the node prompts are registered', ['extraction.domain_classifier', 'extraction.dimension_mapper', 'discovery.url_construction',
+    'application.field_mapping', 'application.blocker_detection', 'career.career_page_finder', 'career.metadata_summary']
+    .every(name => names.includes(name)));
+
+  // Rendering
+  const rendered = renderPrompt('discovery.url_construction', {
+    urlTemplate: 'https://example.com/jobs?q={keywords}',
+    description: 'Example board',
+    domain: 'software_engineering',
+    urlType: 'job_discovery',
+    filters: { keywords: 'engineer' }
+  });
+  check('chat prompts render system and user messages', rendered.messages.length === 2 && rendered.messages[0].role === 'system'
+    && rendered.id === 'discovery.url_construction@1');
+  check('single-brace placeholders of the content are left alone', rendered.messages[1].content.includes('URL Template: https://example.com/jobs?q={keywords}'));
+  check('object variables are inserted as indented JSON', rendered.messages[1].content.includes('Filters: {\n  "keywords": "engineer"\n}'));
+  check('instruction prompts render a single instruction', renderPrompt('career.career_page_finder', { companyName: 'Acme' }).instruction
+    .includes('official careers or jobs page for Acme.'));
+  check('missing variables are rejected', throwsPromptError(() => renderPrompt('career.career_page_finder', {})));
+  check('unknown prompts and versions are rejected', throwsPromptError(() => renderPrompt('missing.prompt'))
+    && throwsPromptError(() => getPrompt('career.career_page_finder', 9)));
+
+  // Versions
+  definePrompt({ name: 'test.summary', version: 1, format: 'text', description: 'Test', user: 'Summarize: {{text}}' });
+  definePrompt({ name: 'test.summary', version: 2, format: 'text', description: 'Test', system: 'Be brief.', user: 'Summarize in one line: {{text}}' });
+  check('registered versions are immutable', throwsPromptError(() => definePrompt({ name: 'test.summary', version: 2, user: 'Changed' })));
+  check('the latest version is used by default', renderPrompt('test.summary', { text: 'x' }).version === 2);
+  config.prompts.versions['test.summary'] = 1;
+  check('PROMPT_VERSIONS pins an older version', renderPrompt('test.summary', { text: 'x' }).version === 1);
+  delete config.prompts.versions['test.summary'];
+  check('prompt versions are recorded by name', JSON.stringify(withPromptVersions({ a: 1 }, rendered)) === '{"a":1,"discovery.url_construction":1}');
+
+  // Stored fixtures render with the current version
+  const fixturePrompts = listPrompts().filter(prompt => !prompt.name.startsWith('test.'));
+  const fixtureErrors = [];
+  let fixtureCount = 0;
+  for (const prompt of fixturePrompts) {
+    let fixtures = [];
+    try {
+      fixtures = loadPromptFixtures(prompt.name);
+    } catch (error) {
+      continue;
+    }
+    for (const fixture of fixtures) {
+      fixtureCount++;
+      try {
+        renderPrompt(prompt.name, fixture.variables);
+      } catch (error) {
+        fixtureErrors.push(`${prompt.name}/${fixture.id}: ${error.message}`);
+      }
+    }
+  }
+  check(`the stored fixture inputs render with the current versions (${fixtureCount})`, fixtureCount > 0 && fixtureErrors.length === 0);
+  fixtureErrors.forEach(error => console.log(`   ${error}`));
+
+  // Versions recorded on node outputs
+  const workDir = mkdtempSync(path.join(tmpdir(), 'prompt-registry-'));
+  try {
+    const configPath = path.join(workDir, 'urls.csv');
+    writeFileSync(configPath, 'url,description,company\nhttps://example.com/jobs,Example board searched with the q parameter,\n');
+    setLlmProvider(new StubLlmProvider({ script: [{ match: 'URL Template:', respond: 'https://example.com/jobs?q=engineer' }] }));
+    const constructed = await urlConstructionNode({ configPath, domain: 'software_engineering', filters: { keywords: 'engineer' } });
+    check('constructed URLs record their prompt version', constructed.processedUrls[0].promptVersions['discovery.url_construction'] === 1);
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+
+  setLlmProvider(new StubLlmProvider({ script: [{ match: 'DETECTED FORM FIELDS', respond: '[{"fieldName": "email", "mapped": true, "value": "jane@example.com"}]' }] }));
+  const mapped = await fieldMappingNode({
+    formAnalysis: { success: true, fields: [{ name: 'email', type: 'email' }] },
+    candidateData: { personal: { email: 'jane@example.com' } }
+  });
+  check('field mappings record their prompt version', mapped.fieldMapping.mappings.length === 1
+    && mapped.fieldMapping.promptVersions['application.field_mapping'] === 1);
+
+  const instructions = [];
+  const page = { extract: async ({ instruction }) => { instructions.push(instruction); return { company: 'Acme' }; } };
+  const analyzed = await jobAnalyzerNode({ extracted_content: { rawText: 'Acme is hiring' }, page, errors: [], metadata: {} });
+  check('Stagehand nodes send the registry instruction and record its version',
+    instructions[0] === getPrompt('extraction.job_analyzer').instruction
+    && analyzed.analysis_results.prompt_versions['extraction.job_analyzer'] === 1);
+
+  // Version comparison
+  check('line diffs mark removed and added lines', JSON.stringify(diffLines('a\nb\nc', 'a\nc\nd')) === '["  a","- b","  c","+ d"]');
+
+  setLlmProvider(new StubLlmProvider({
+    script: [
+      { match: 'Summarize in one line: quarterly report', respond: 'Revenue grew.' },
+      { match: 'Summarize: quarterly report', respond: 'Revenue grew 10% while costs stayed flat.' },
+      { match: 'release notes', respond: 'Bug fixes.' }
+    ]
+  }));
+  const fixtures = [{ id: 'report', variables: { text: 'quarterly report' } }, { id: 'notes', variables: { text: 'release notes' } }];
+  const report = await comparePromptVersions('test.summary', { fixtures });
+  check('the current version is compared with the previous one', report.version === 2 && report.against === 1);
+  check('changed outputs are reported with a diff', report.results[0].outputChanged
+    && report.results[0].outputDiff.includes('- Revenue grew 10% while costs stayed flat.') && report.results[0].outputDiff.includes('+ Revenue grew.'));
+  check('unchanged outputs are reported as such', !report.results[1].outputChanged && report.results[1].promptChanged);
+  check('the summary counts the changes', report.summary.fixtures === 2 && report.summary.promptsChanged === 2
+    && report.summary.outputsChanged === 1 && report.summary.errors === 0);
+
+  definePrompt({ name: 'test.instruction', version: 1, kind: PROMPT_KINDS.INSTRUCTION, description: 'Test', instruction: 'Click {{label}}' });
+  definePrompt({ name: 'test.instruction', version: 2, kind: PROMPT_KINDS.INSTRUCTION, description: 'Test', instruction: 'Click the {{label}} button' });
+  const instructionReport = await comparePromptVersions('test.instruction', { fixtures: [{ id: 'apply', variables: { label: 'Apply' } }] });
+  check('instruction prompts compare their rendered text only', instructionReport.kind === PROMPT_KINDS.INSTRUCTION
+    && instructionReport.results[0].promptChanged && !instructionReport.results[0].outputChanged);
+  check('prompts with a single version have nothing to compare', await comparePromptVersions('career.current_url', { fixtures })
+    .then(() => false, error => error instanceof PromptError));
+
+  reportChecks('prompt registry');
+}
+
+testPromptRegistry().catch(error => {
+  console.error('❌ Prompt registry test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,123 @@
+/**
+ * Test Script for Run Progress Events
+ * Runs a small LangGraph workflow with wrapped nodes as a background run and
+ * reads its progress from the emitter and from the SSE endpoint
+ */
+
+import express from 'express';
+import { StateGraph, END } from '@langchain/langgraph';
+import { createStorageBackend, setStorageBackend, getStorageBackend, MEMORY_DIRECTORY, RUNS_TABLE } from './src/shared/storage/index.js';
+import { RUN_STATUS, RUN_TYPES, startRun, getRun } from './src/shared/utils/runManager.js';
+import { RUN_EVENT_TYPES, publishRunEvent, subscribeToRun, withRunEvents } from './src/shared/utils/runEvents.js';
+import runRoutes from './src/api/routes/runs.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createTestWorkflow({ failScrape = false } = {}) {
+  const workflow = new StateGraph({
+    channels: {
+      page: { value: null },
+      currentStep: { value: null },
+      scrapedJobs: { value: null },
+      errors: { value: null }
+    }
+  });
+
+  workflow.addNode('load', withRunEvents('test', 'load', async () => ({ currentStep: 'loaded' })));
+  workflow.addNode('scrape', withRunEvents('test', 'scrape', async state => {
+    await sleep(20);
+    if (failScrape) throw new Error('selector not found');
+    return { currentStep: 'scraped', scrapedJobs: [{ url: 'https://example.com/1' }, { url: 'https://example.com/2' }], errors: [...state.errors, 'page 2 timed out'] };
+  }));
+  workflow.addEdge('load', 'scrape');
+  workflow.addEdge('scrape', END);
+  workflow.setEntryPoint('load');
+
+  return workflow.compile();
+}
+
+async function readSse(url) {
+  const response = await fetch(url);
+  const text = await response.text();
+  const events = text.split('\n\n')
+    .filter(block => block.startsWith('id:'))
+    .map(block => JSON.parse(block.split('\n').find(line => line.startsWith('data: ')).slice(6)));
+  return { response, events };
+}
+
+async function testRunEvents() {
+  console.log('🧪 Testing run progress events\n');
+
+  check('publishing outside a run is a no-op', publishRunEvent(RUN_EVENT_TYPES.STEP, {}) === null);
+
+  const app = express();
+  // Stand-in for validateApiKey: requests carry an admin key
+  app.use((req, res, next) => { req.apiKeyScopes = ['admin']; next(); });
+  app.use('/api/v1/runs', runRoutes);
+  const server = app.listen(0);
+  const baseUrl = `http://localhost:${server.address().port}/api/v1/runs`;
+
+  try {
+    // Live stream of a successful run
+    const received = [];
+    const run = await startRun(RUN_TYPES.JOB_DISCOVERY, {}, async () => {
+      const result = await createTestWorkflow().invoke({ page: { browser: true }, currentStep: 'start', errors: [] });
+      return { success: true, jobs: result.scrapedJobs.length };
+    });
+    const unsubscribe = subscribeToRun(run.run_id, event => received.push(event));
+    const { response, events: streamed } = await readSse(`${baseUrl}/${run.run_id}/events`);
+    unsubscribe();
+
+    check('events endpoint answers with an event stream', response.headers.get('content-type').startsWith('text/event-stream'));
+
+    const types = streamed.map(event => `${event.type}${event.data.node ? `:${event.data.node}` : ''}`);
+    check('stream covers status, node start/finish and the final status in order',
+      types[0] === 'status' && types.indexOf('node_start:load') < types.indexOf('node_finish:load')
+      && types.indexOf('node_finish:load') < types.indexOf('node_start:scrape')
+      && streamed.at(-1).data.status === RUN_STATUS.SUCCEEDED && streamed.at(-1).data.final === true);
+    check('step changes are published', streamed.some(event => event.type === RUN_EVENT_TYPES.STEP && event.data.from === 'loaded' && event.data.to === 'scraped'));
+
+    const partial = streamed.find(event => event.type === RUN_EVENT_TYPES.PARTIAL_RESULT && event.data.node === 'scrape');
+    check('partial results summarize arrays and skip browser handles',
+      partial?.data.update.scrapedJobs.count === 2 && !('page' in partial.data.update));
+    check('errors added to state are published', streamed.some(event => event.type === RUN_EVENT_TYPES.NODE_ERROR && event.data.error === 'page 2 timed out'));
+    check('emitter subscribers see the same events', received.length > 0 && received.at(-1).id === streamed.at(-1).id);
+
+    // Reconnect and replay
+    const lastSeen = streamed[2].id;
+    const replay = await fetch(`${baseUrl}/${run.run_id}/events`, { headers: { 'Last-Event-ID': String(lastSeen) } });
+    const replayed = (await replay.text()).split('\n\n').filter(block => block.startsWith('id:'));
+    check('reconnecting with Last-Event-ID only replays newer events', replayed.length === streamed.length - 3);
+
+    // Failing node
+    const failing = await startRun(RUN_TYPES.CAREER_DISCOVERY, {}, () => createTestWorkflow({ failScrape: true }).invoke({ currentStep: 'start', errors: [] }));
+    const { events: failedEvents } = await readSse(`${baseUrl}/${failing.run_id}/events`);
+    check('thrown node errors are published before the run fails',
+      failedEvents.some(event => event.type === RUN_EVENT_TYPES.NODE_ERROR && event.data.node === 'scrape' && event.data.error === 'selector not found')
+      && failedEvents.at(-1).data.status === RUN_STATUS.FAILED);
+    check('run record agrees with the stream', (await getRun(failing.run_id)).status === RUN_STATUS.FAILED);
+
+    // Finished runs without buffered events (e.g. after a restart)
+    const orphanId = 'run_from_another_instance';
+    await getStorageBackend().put({
+      TableName: RUNS_TABLE,
+      Item: { run_id: orphanId, type: RUN_TYPES.JOB_EXTRACTION, status: RUN_STATUS.SUCCEEDED, createdAt: new Date().toISOString() }
+    });
+    const orphan = await readSse(`${baseUrl}/${orphanId}/events`);
+    check('finished runs stream their final status and close', orphan.events.length === 1 && orphan.events[0].data.status === RUN_STATUS.SUCCEEDED);
+
+    check('unknown runs are 404', (await fetch(`${baseUrl}/run_missing/events`)).status === 404);
+  } finally {
+    server.close();
+  }
+
+  reportChecks('run event');
+}
+
+testRunEvents().catch(error => {
+  console.error('❌ Run event test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+/**
+ * Test Script for the Run Manager
+ * Runs fake executors in the background on the in-memory local backend
+ */
+
+import { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } from './src/shared/storage/index.js';
+import { RUN_STATUS, RUN_TYPES, RunError, startRun, getRun, listRuns, cancelRun, throwIfCancelled } from './src/shared/utils/runManager.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForRun(runId, statuses = [RUN_STATUS.SUCCEEDED, RUN_STATUS.FAILED, RUN_STATUS.CANCELLED]) {
+  for (let i = 0; i < 100; i++) {
+    const run = await getRun(runId);
+    if (statuses.includes(run.status)) return run;
+    await sleep(10);
+  }
+  throw new Error(`Run ${runId} did not reach ${statuses.join('/')}`);
+}
+
+async function testRunManager() {
+  console.log('🧪 Testing run manager\n');
+
+  // Successful run
+  const queued = await startRun(RUN_TYPES.JOB_DISCOVERY, { domain: 'software_engineering' }, async ({ input }) => {
+    await sleep(20);
+    return { success: true, domain: input.domain, count: { jobs: 3 } };
+  });
+  check('startRun returns a queued run immediately', queued.status === RUN_STATUS.QUEUED && queued.run_id.startsWith('run_'));
+
+  const succeeded = await waitForRun(queued.run_id);
+  check('successful run stores its result and timestamps',
+    succeeded.status === RUN_STATUS.SUCCEEDED && succeeded.result.count.jobs === 3 && !!succeeded.startedAt && !!succeeded.finishedAt);
+  check('run keeps its input', succeeded.input.domain === 'software_engineering');
+
+  // Failed runs: thrown error and success: false result
+  const thrown = await startRun(RUN_TYPES.JOB_EXTRACTION, { job_id: 'missing' }, async () => {
+    throw new RunError('Job missing is already being processed', { statusCode: 409 });
+  });
+  const thrownRun = await waitForRun(thrown.run_id);
+  check('thrown errors fail the run with their status code',
+    thrownRun.status === RUN_STATUS.FAILED && thrownRun.error.statusCode === 409);
+
+  const unsuccessful = await startRun(RUN_TYPES.JOB_EXTRACTION, { job_id: 'broken' }, async () => ({ success: false, error: 'page did not load' }));
+  const unsuccessfulRun = await waitForRun(unsuccessful.run_id);
+  check('success: false results fail the run and keep the result',
+    unsuccessfulRun.status === RUN_STATUS.FAILED && unsuccessfulRun.error.message === 'page did not load' && unsuccessfulRun.result.success === false);
+
+  // Results that cannot be serialized as-is
+  const page = { name: 'page' };
+  page.self = page;
+  const circular = await startRun(RUN_TYPES.JOB_APPLICATION, {}, async () => ({ success: true, page, close: () => {} }));
+  check('circular references and functions are dropped from results', (await waitForRun(circular.run_id)).result.page.name === 'page');
+
+  // Cancellation
+  let sawAbort = false;
+  const slow = await startRun(RUN_TYPES.CAREER_DISCOVERY, {}, async ({ signal }) => {
+    await sleep(50);
+    sawAbort = signal.aborted;
+    throwIfCancelled(signal);
+    return { success: true };
+  });
+  await waitForRun(slow.run_id, [RUN_STATUS.RUNNING]);
+  const cancelled = await cancelRun(slow.run_id);
+  check('running runs can be cancelled', cancelled?.status === RUN_STATUS.CANCELLED && !!cancelled.cancelledAt);
+  await sleep(100);
+  check('executor sees the abort signal', sawAbort);
+  check('a cancelled run stays cancelled when its executor returns', (await getRun(slow.run_id)).status === RUN_STATUS.CANCELLED);
+  check('finished runs cannot be cancelled', (await cancelRun(queued.run_id)) === null);
+
+  // Listing
+  const extractionRuns = await listRuns({ type: RUN_TYPES.JOB_EXTRACTION });
+  check('listRuns filters by type', extractionRuns.items.length === 2 && extractionRuns.items.every(run => run.type === RUN_TYPES.JOB_EXTRACTION));
+
+  const failedRuns = await listRuns({ status: RUN_STATUS.FAILED });
+  check('listRuns filters by status', failedRuns.items.length === 2);
+
+  const failedExtractions = await listRuns({ type: RUN_TYPES.JOB_EXTRACTION, status: RUN_STATUS.FAILED, createdAfter: '2000-01-01T00:00:00.000Z' });
+  check('listRuns combines type, status and time filters', failedExtractions.items.length === 2);
+
+  const firstPage = await listRuns({ limit: 3 });
+  const secondPage = await listRuns({ limit: 3, startKey: firstPage.lastEvaluatedKey });
+  check('listRuns pages through all runs', firstPage.items.length + secondPage.items.length === 5);
+
+  reportChecks('run manager');
+}
+
+testRunManager().catch(error => {
+  console.error('❌ Run manager test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,123 @@
+/**
+ * Test Script for Structured LLM Outputs
+ * Runs structuredCompletion and the nodes that adopted it against the scripted
+ * stub: valid answers, repairs with the validation errors, exhausted repairs
+ * and failed requests. No network access is needed.
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { z } from 'zod';
+import { check, reportChecks } from './test/helpers/check.js';
+
+process.env.LLM_PROVIDER = 'stub';
+
+const { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } = await import('./src/shared/storage/index.js');
+const { setLlmCache, setLlmProvider, StubLlmProvider } = await import('./src/shared/llm/index.js');
+const { STRUCTURED_OUTPUT_FAILURES, StructuredOutputError, structuredCompletion } = await import('./src/shared/utils/openai.js');
+const { jobListingScraperNode } = await import('./src/new-nodes/scraping/jobListingScraperNode.js');
+const { urlConstructionNode } = await import('./src/new-nodes/processing/urlConstructionNode.js');
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+setLlmCache(null);
+
+const lastMessage = call => call.messages[call.messages.length - 1].content;
+
+async function testStructuredOutput() {
+  console.log('🧪 Testing structured LLM outputs\n');
+
+  const levelSchema = z.object({ level: z.enum(['junior', 'mid', 'senior']), confidence: z.number().min(0).max(1) });
+  const messages = [{ role: 'user', content: 'Detect the experience level' }];
+
+  // Valid on the first attempt
+  let stub = new StubLlmProvider({ script: [{ respond: { level: 'senior', confidence: 0.9 }, usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }] });
+  setLlmProvider(stub);
+  const valid = await structuredCompletion(messages, levelSchema);
+  check('valid answers are parsed and typed', valid.success && valid.data.level === 'senior' && valid.attempts === 1);
+  check('JSON mode is used for object schemas', stub.calls[0].responseFormat?.type === 'json_object');
+
+  // Invalid JSON, then a schema violation, then a valid answer
+  stub = new StubLlmProvider({
+    script: [
+      { respond: 'The level is senior', times: 1, usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } },
+      { respond: { level: 'principal', confidence: 2 }, times: 1, usage: { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 } },
+      { respond: '```json\n{"level": "mid", "confidence": 0.6}\n```', usage: { prompt_tokens: 30, completion_tokens: 5, total_tokens: 35 } }
+    ]
+  });
+  setLlmProvider(stub);
+  const repaired = await structuredCompletion(messages, levelSchema, { maxRepairs: 2 });
+  check('invalid answers are repaired', repaired.success && repaired.data.level === 'mid' && repaired.attempts === 3);
+  check('the repair prompt carries the JSON error', lastMessage(stub.calls[1]).includes('not valid JSON'));
+  check('the repair prompt carries the schema issues', lastMessage(stub.calls[2]).includes('level:') && lastMessage(stub.calls[2]).includes('confidence:'));
+  check('repairs continue the conversation', stub.calls[2].messages.length === 5 && stub.calls[2].messages[1].role === 'assistant');
+  check('usage is summed over the attempts', repaired.usage.total_tokens === 75);
+
+  // Out of repairs
+  setLlmProvider(new StubLlmProvider({ script: [{ respond: { level: 'principal', confidence: 0.5 } }] }));
+  const exhausted = await structuredCompletion(messages, levelSchema, { maxRepairs: 1, name: 'experience level' });
+  check('exhausted repairs report a typed failure', !exhausted.success && exhausted.failure instanceof StructuredOutputError
+    && exhausted.failure.type === STRUCTURED_OUTPUT_FAILURES.INVALID_OUTPUT && exhausted.failure.attempts === 2);
+  check('the failure keeps the issues and the last answer', exhausted.failure.issues[0].startsWith('level:')
+    && JSON.parse(exhausted.failure.raw).level === 'principal' && exhausted.error.includes('experience level'));
+
+  // Request failures are not retried
+  stub = new StubLlmProvider();
+  setLlmProvider(stub);
+  const unanswered = await structuredCompletion(messages, levelSchema);
+  check('failed requests are reported without repairs', !unanswered.success
+    && unanswered.failure.type === STRUCTURED_OUTPUT_FAILURES.REQUEST_FAILED && unanswered.failure.attempts === 1);
+
+  // Plain-text schemas
+  stub = new StubLlmProvider({ script: [{ respond: '  Searchable by keyword and location.\n' }] });
+  setLlmProvider(stub);
+  const text = await structuredCompletion(messages, z.string().trim().min(1));
+  check('string schemas validate the trimmed text answer', text.success && text.data === 'Searchable by keyword and location.');
+  check('string schemas default to plain-text mode', stub.calls[0].responseFormat === null);
+
+  // jobListingScraperNode: URLs the page does not contain are sent back
+  const listingUrls = ['https://example.com/jobs/1-software-engineer', 'https://example.com/jobs/2-data-engineer', 'https://example.com/about'];
+  const page = { goto: async () => {}, evaluate: async () => listingUrls };
+  const scraperState = { currentUrl: { finalUrl: 'https://example.com/jobs', company: 'Example' }, page, scrapedJobs: [], errors: [] };
+  stub = new StubLlmProvider({
+    script: [
+      { match: 'URLs to filter', respond: { jobDetailUrls: ['https://example.com/jobs/1', listingUrls[1]], reasoning: 'job paths' }, times: 1 },
+      { match: 'URLs to filter', respond: { jobDetailUrls: [listingUrls[0], listingUrls[1]], reasoning: 'job paths' }, times: 1 }
+    ]
+  });
+  setLlmProvider(stub);
+  const scraped = await jobListingScraperNode(scraperState);
+  check('the URL filter repairs URLs that are not on the page', scraped.scrapedJobs.length === 2
+    && lastMessage(stub.calls[1]).includes('https://example.com/jobs/1 is not one of the URLs'));
+
+  setLlmProvider(new StubLlmProvider({ script: [{ match: 'URLs to filter', respond: 'Here are the job URLs!' }] }));
+  const unfiltered = await jobListingScraperNode(scraperState);
+  check('a filter that never validates stores no jobs instead of every link', unfiltered.scrapedJobs.length === 0
+    && unfiltered.errors[0].failure_type === STRUCTURED_OUTPUT_FAILURES.INVALID_OUTPUT);
+
+  // urlConstructionNode: explanations around the URL are sent back
+  const workDir = mkdtempSync(path.join(tmpdir(), 'structured-output-'));
+  try {
+    const configPath = path.join(workDir, 'urls.csv');
+    writeFileSync(configPath, 'url,description,company\nhttps://example.com/jobs,Example board searched with the q parameter,\n');
+    stub = new StubLlmProvider({
+      script: [
+        { match: 'URL Template:', respond: 'Sure! The URL is https://example.com/jobs?q=engineer', times: 1 },
+        { match: 'URL Template:', respond: 'https://example.com/jobs?q=engineer' }
+      ]
+    });
+    setLlmProvider(stub);
+    const constructed = await urlConstructionNode({ configPath, domain: 'software_engineering', filters: { keywords: 'engineer' } });
+    check('urlConstructionNode repairs answers that are not a bare URL', constructed.processedUrls?.[0]?.finalUrl === 'https://example.com/jobs?q=engineer'
+      && stub.calls.length === 2);
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+
+  reportChecks('structured output');
+}
+
+testStructuredOutput().catch(error => {
+  console.error('❌ Structured output test crashed:', error);
+  process.exit(1);
+});
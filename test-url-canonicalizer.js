@@ -0,0 +1,94 @@
+/**
+ * Test Script for Job URL Canonicalization
+ * Checks canonical URLs, deterministic jd_ids and discovery upserts on the in-memory local backend
+ */
+
+import { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } from './src/shared/storage/index.js';
+import { canonicalizeJobUrl, identifyJobUrl } from './src/shared/utils/urlCanonicalizer.js';
+import { transitionJob, JOB_STATUS } from './src/shared/utils/jobLifecycle.js';
+import { storageNode } from './src/new-workflows/job-discovery/storageNode.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+
+const SAME_POSTING = {
+  'LinkedIn tracking params and slugs': [
+    'https://www.linkedin.com/jobs/view/3812345678/?trackingId=abc%3D%3D&refId=xyz&eBP=CwEAAAGN',
+    'https://in.linkedin.com/jobs/view/senior-software-engineer-at-acme-3812345678?trk=public_jobs',
+    'https://www.linkedin.com/jobs/search/?currentJobId=3812345678&keywords=engineer'
+  ],
+  'Greenhouse board and embed URLs': [
+    'https://boards.greenhouse.io/Acme/jobs/4012345?gh_src=linkedin',
+    'https://job-boards.greenhouse.io/acme/jobs/4012345',
+    'https://boards.greenhouse.io/embed/job_app?for=acme&token=4012345'
+  ],
+  'Lever apply page': [
+    'https://jobs.lever.co/acme/5f1c2d3e-1111-2222-3333-444455556666',
+    'https://jobs.lever.co/acme/5f1c2d3e-1111-2222-3333-444455556666/apply?lever-source=LinkedIn'
+  ],
+  'Workday locale and apply suffix': [
+    'https://acme.wd5.myworkdayjobs.com/en-US/External/job/Remote-USA/Software-Engineer_R-12345',
+    'https://acme.wd5.myworkdayjobs.com/External/job/Remote-USA/Software-Engineer_R-12345/apply'
+  ],
+  'Generic career site': [
+    'https://www.Example.com/careers/jobs/42/?utm_source=newsletter&b=2&a=1#apply',
+    'http://example.com/careers/jobs/42?a=1&b=2'
+  ]
+};
+
+async function testUrlCanonicalizer() {
+  console.log('🧪 Testing job URL canonicalization\n');
+
+  for (const [description, urls] of Object.entries(SAME_POSTING)) {
+    const ids = new Set(urls.map(url => identifyJobUrl(url).jd_id));
+    check(`${description} map to one jd_id`, ids.size === 1);
+  }
+
+  const linkedIn = canonicalizeJobUrl(SAME_POSTING['LinkedIn tracking params and slugs'][0]);
+  check('LinkedIn job ID is extracted', linkedIn.platform === 'linkedin' && linkedIn.platformJobId === '3812345678');
+  check('generic URLs keep meaningful params in sorted order',
+    canonicalizeJobUrl(SAME_POSTING['Generic career site'][0]).url === 'https://example.com/careers/jobs/42?a=1&b=2');
+  check('generic parameters that may route or filter are kept',
+    identifyJobUrl('https://example.com/jobs?source=engineering').jd_id !== identifyJobUrl('https://example.com/jobs?source=sales').jd_id
+    && canonicalizeJobUrl('https://example.com/jobs/42?ref=abc&from=berlin').url === 'https://example.com/jobs/42?from=berlin&ref=abc');
+  check('different postings get different jd_ids',
+    identifyJobUrl('https://www.linkedin.com/jobs/view/1111111').jd_id !== identifyJobUrl('https://www.linkedin.com/jobs/view/2222222').jd_id);
+  check('jd_id has UUID shape', /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(identifyJobUrl('https://example.com/a').jd_id));
+
+  // Discovery storage upserts
+  const scrapedAt = new Date().toISOString();
+  const firstRun = await storageNode({
+    currentUrl: { domain: 'software_engineering' },
+    scrapedJobs: [
+      ...SAME_POSTING['LinkedIn tracking params and slugs'].map(url => ({ url, company: 'Acme', scrapedAt })),
+      { url: 'https://jobs.lever.co/acme/5f1c2d3e-1111-2222-3333-444455556666', company: 'Acme', scrapedAt },
+      { url: 'not a url', company: 'Acme', scrapedAt }
+    ]
+  });
+  check('first run stores each posting once',
+    firstRun.storageSummary.new === 2 && firstRun.storageSummary.duplicates === 2 && firstRun.storageSummary.invalid === 1);
+
+  const [extracted] = firstRun.storedJobs;
+  await transitionJob(extracted.jd_id, JOB_STATUS.EXTRACTED);
+
+  const secondRun = await storageNode({
+    currentUrl: { domain: 'software_engineering' },
+    scrapedJobs: [
+      { url: SAME_POSTING['LinkedIn tracking params and slugs'][1], company: 'Acme', scrapedAt },
+      { url: 'https://jobs.lever.co/acme/5f1c2d3e-1111-2222-3333-444455556666/apply', company: 'Acme', scrapedAt },
+      { url: 'https://jobs.ashbyhq.com/acme/0a1b2c3d-1111-2222-3333-444455556666', company: 'Acme', scrapedAt }
+    ]
+  });
+  check('second run reports new vs already-known jobs', secondRun.storageSummary.new === 1 && secondRun.storageSummary.known === 2);
+
+  const rediscovered = secondRun.storedJobs.find(job => job.jd_id === extracted.jd_id);
+  check('rediscovery keeps the existing status and bumps seenCount',
+    rediscovered.status === JOB_STATUS.EXTRACTED && rediscovered.seenCount === 2);
+
+  reportChecks('URL canonicalization');
+}
+
+testUrlCanonicalizer().catch(error => {
+  console.error('❌ URL canonicalization test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,266 @@
+/**
+ * Test Script for URL Templates
+ * Derives templates from single-filter submissions (query and path parameters,
+ * value mappings, noise, pagination), stores them, and runs filterAnalyzerNode
+ * against a fake careers site whose search form leads to known URLs. Then
+ * expands templates into search URLs and runs urlConstructionNode over a config
+ * with rows for each construction path, the model answering from a stub.
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { setLlmCache, setLlmProvider, StubLlmProvider } from './src/shared/llm/index.js';
+import { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY } from './src/shared/storage/index.js';
+import { DomainGovernor, setDomainGovernor } from './src/shared/utils/domainGovernor.js';
+import {
+  deriveUrlTemplate, detectPagination, expandUrlTemplate, getUrlTemplate, listUrlTemplates, saveUrlTemplate, templateIdOf,
+  templatePlaceholders, TEMPLATE_PARAMETERS, URL_TEMPLATE_ERRORS
+} from './src/shared/utils/urlTemplate.js';
+import filterAnalyzerNode from './src/new-workflows/career-page-discovery/nodes/filterAnalyzerNode.js';
+import { URL_CONSTRUCTION_PATHS, urlConstructionNode } from './src/new-nodes/processing/urlConstructionNode.js';
+import { check, reportChecks } from './test/helpers/check.js';
+
+setStorageBackend(createStorageBackend('local', { directory: MEMORY_DIRECTORY }));
+setLlmCache(null);
+setDomainGovernor(new DomainGovernor({ defaults: { minIntervalMs: 0 } }));
+
+const BASE_URL = 'https://careers.acme.com/jobs?lang=en';
+
+// Acme's search form: keyword in q, location as a site ID in loc, department as a
+// path segment; every search gets a new session ID and starts over at page 1
+const LOCATION_IDS = { remote: '4021' };
+let session = 0;
+
+function acmeSearchUrl({ keyword, location, department }) {
+  const url = new URL(department ? `/jobs/${department.replace(/ /g, '-')}` : '/jobs', 'https://careers.acme.com');
+  url.searchParams.set('lang', 'en');
+  if (keyword) url.searchParams.set('q', keyword);
+  if (location) url.searchParams.set('loc', LOCATION_IDS[location]);
+  url.searchParams.set('sid', `s${++session}`);
+  url.searchParams.set('page', '1');
+  return url.href;
+}
+
+/**
+ * Fake Stagehand page of the Acme site: extract() finds the filters named in
+ * `found`, act() fills them and submits the form to acmeSearchUrl()
+ */
+function fakeAcmePage(found) {
+  const fields = { domain: 'Search jobs', location: 'Location', department: 'Team', remote: 'Remote only', experience: 'Level' };
+  const keyOf = { 'Search jobs': 'keyword', Location: 'location', Team: 'department' };
+  const filter = (key, property) => ({ [property]: found.includes(key) ? fields[key] : '', isFound: found.includes(key), selector: `#${key}` });
+
+  return {
+    currentUrl: 'about:blank',
+    filled: {},
+    submissions: [],
+    async goto(url) {
+      this.currentUrl = url;
+      this.filled = {};
+      return { ok: () => true, status: () => 200 };
+    },
+    url() {
+      return this.currentUrl;
+    },
+    async waitForTimeout() {},
+    async extract({ instruction }) {
+      if (instruction.includes('search input')) return filter('domain', 'searchBar');
+      if (instruction.includes('filter jobs by location')) return filter('location', 'locationFilter');
+      if (instruction.includes('filter jobs by department')) return filter('department', 'departmentFilter');
+      if (instruction.includes('only remote jobs')) return filter('remote', 'remoteFilter');
+      if (instruction.includes('experience or seniority')) return filter('experience', 'experienceFilter');
+      if (instruction.includes('valid job listing')) return { isValid: true };
+      throw new Error(`Unexpected extract: ${instruction}`);
+    },
+    async act({ action, variables }) {
+      if (variables) {
+        Object.entries(variables).forEach(([field, value]) => {
+          this.filled[keyOf[field]] = value;
+        });
+      } else if (action.includes('submit')) {
+        this.currentUrl = acmeSearchUrl(this.filled);
+        this.submissions.push(this.currentUrl);
+      }
+    },
+    async evaluate() {
+      const url = new URL(this.currentUrl);
+      return [2, 3].map(page => {
+        url.searchParams.set('page', String(page));
+        return url.href;
+      }).concat('https://careers.acme.com/about');
+    }
+  };
+}
+
+async function testUrlTemplates() {
+  console.log('🧪 Testing URL templates...\n');
+
+  // Query parameters, noise and value mappings
+  const submissions = [
+    { parameter: TEMPLATE_PARAMETERS.KEYWORD, value: 'software engineer', url: 'https://acme.com/jobs?lang=en&q=software+engineer&sid=a1&page=1' },
+    { parameter: TEMPLATE_PARAMETERS.LOCATION, value: 'remote', url: 'https://acme.com/jobs?lang=en&loc=4021&sid=b2' },
+    { parameter: TEMPLATE_PARAMETERS.EXPERIENCE, value: 'entry level', url: 'https://acme.com/jobs?lang=en&sid=c3' }
+  ];
+  const template = deriveUrlTemplate('https://acme.com/jobs?lang=en', submissions, {
+    pagination: { in: 'query', name: 'page', start: 1, step: 1 }
+  });
+
+  check('the parameter carrying the submitted value is the keyword parameter', template.parameters.keyword?.name === 'q' && template.parameters.keyword.in === 'query');
+  check('a value the site replaced with its own ID is recorded as a mapping', template.parameters.location?.name === 'loc'
+    && template.parameters.location.values?.remote === '4021');
+  check('parameters changing with every submission are not attributed to a filter', !Object.values(template.parameters).some(parameter => parameter.name === 'sid'));
+  check('filters that left no trace in the URL are reported unresolved', template.unresolved.length === 1 && template.unresolved[0] === 'experience');
+  check('the template keeps the fixed query and orders the placeholders', template.url === 'https://acme.com/jobs?lang=en&q={keyword}&loc={location}&page={page}'
+    && template.fixedQuery.lang === 'en' && template.baseUrl === 'https://acme.com/jobs');
+  check('the submissions are kept as samples', template.samples.length === 3 && template.verified === null);
+
+  // Path parameters
+  const pathTemplate = deriveUrlTemplate('https://acme.com/careers/search/all', [
+    { parameter: TEMPLATE_PARAMETERS.DEPARTMENT, value: 'Data Science', url: 'https://acme.com/careers/search/data-science' },
+    { parameter: TEMPLATE_PARAMETERS.KEYWORD, value: 'nurse', url: 'https://acme.com/careers/search/all?keywords=nurse' }
+  ]);
+  check('a replaced path segment is a slug path parameter', pathTemplate.parameters.department?.in === 'path'
+    && pathTemplate.parameters.department.index === 2 && pathTemplate.parameters.department.style === 'slug');
+  check('path and query placeholders are both written', pathTemplate.url === 'https://acme.com/careers/search/{department}?keywords={keyword}');
+
+  const appended = deriveUrlTemplate('https://acme.com/jobs', [
+    { parameter: TEMPLATE_PARAMETERS.LOCATION, value: 'Berlin', url: 'https://acme.com/jobs/berlin' }
+  ]);
+  check('an appended path segment is a path parameter', appended.url === 'https://acme.com/jobs/{location}' && !appended.parameters.location.style);
+
+  check('no template is derived when no filter changed the URL', deriveUrlTemplate('https://acme.com/jobs', [
+    { parameter: TEMPLATE_PARAMETERS.KEYWORD, value: 'nurse', url: 'https://acme.com/jobs' }
+  ]) === null);
+
+  // Pagination
+  const paged = detectPagination('https://acme.com/jobs?q=nurse', [
+    'https://acme.com/jobs?q=nurse&page=2', 'https://acme.com/jobs?q=nurse&page=3', 'https://acme.com/jobs/123', '/jobs?q=nurse&sort=date'
+  ]);
+  check('page numbers in result links are page-style pagination', paged?.name === 'page' && paged.start === 1 && paged.step === 1);
+
+  const offset = detectPagination('https://acme.com/jobs?q=nurse&startrow=0', [
+    '/jobs?q=nurse&startrow=25', '/jobs?q=nurse&startrow=50'
+  ]);
+  check('result offsets in result links are offset-style pagination', offset?.name === 'startrow' && offset.start === 0 && offset.step === 25);
+  check('pages without links to other pages have no pagination', detectPagination('https://acme.com/jobs', ['https://acme.com/about']) === null);
+
+  // Storage
+  const stored = await saveUrlTemplate('Acme, Inc.', template, { jobListingsUrl: 'https://acme.com/jobs' });
+  const loaded = await getUrlTemplate('acme inc');
+  check('templates are stored per company', templateIdOf('Acme, Inc.') === 'acme-inc' && stored.template_id === 'acme-inc'
+    && loaded?.url === template.url && loaded.jobListingsUrl === 'https://acme.com/jobs');
+  check('stored templates can be listed', (await listUrlTemplates()).some(record => record.company === 'Acme, Inc.'));
+  check('companies without a template have none', await getUrlTemplate('Globex') === null);
+
+  // Filter analyzer
+  const page = fakeAcmePage(['domain', 'location', 'department']);
+  const analyzed = await filterAnalyzerNode({ companyName: 'Acme', page, jobListingsUrl: BASE_URL, errors: [], promptVersions: {} });
+  const derived = analyzed.urlTemplate;
+
+  check('the analyzer submits the combined filters and then each filter alone', analyzed.status === 'success' && page.submissions.length === 4);
+  check('the filtered URL is read from the page', analyzed.filteredJobUrl === page.submissions[0]);
+  check('the analyzer derives the template of the site', derived?.url === 'https://careers.acme.com/jobs/{department}?lang=en&q={keyword}&loc={location}&page={page}'
+    && derived.parameters.location.values?.remote === '4021' && derived.parameters.department.index === 1);
+  check('the template is verified against the combined submission', derived?.verified === true && derived.unresolved.length === 0);
+  check('the new filter prompts are recorded', Boolean(analyzed.promptVersions['career.filter_remote'] && analyzed.promptVersions['career.filter_experience']));
+
+  const single = fakeAcmePage(['domain']);
+  const singleResult = await filterAnalyzerNode({ companyName: 'Acme', page: single, jobListingsUrl: BASE_URL, errors: [], promptVersions: {} });
+  check('a single filter is derived from the filtered URL without another submission', single.submissions.length === 1
+    && singleResult.urlTemplate?.url === 'https://careers.acme.com/jobs?lang=en&q={keyword}&page={page}');
+
+  // Expansion
+  const expandError = (template, filters) => {
+    try {
+      expandUrlTemplate(template, filters);
+      return null;
+    } catch (error) {
+      return error.type;
+    }
+  };
+
+  check('placeholders are listed once, in order', templatePlaceholders('https://a.com/{team}/jobs?q={keywords}&t={team}').join() === 'team,keywords');
+  check('values are percent-encoded and missing parameters left out', expandUrlTemplate('https://example.com/jobs?q={keywords}&l={location}&sort=date', {
+    keywords: 'C++ & Go developer'
+  }).url === 'https://example.com/jobs?q=C%2B%2B%20%26%20Go%20developer&sort=date');
+  check('filters fill placeholders named by another alias', expandUrlTemplate('https://example.com/search?keyword={keyword}&level={experience_level}', {
+    keywords: 'nurse', seniority: 'senior'
+  }).url === 'https://example.com/search?keyword=nurse&level=senior');
+  check('a path segment without a value is left out', expandUrlTemplate('https://example.com/jobs/{department}/list?q={keywords}', { keywords: 'qa' })
+    .url === 'https://example.com/jobs/list?q=qa');
+
+  const expanded = expandUrlTemplate(derived, { keywords: 'data engineer', location: 'Remote', department: 'platform', page: 2 });
+  check('derived templates map values and number pages', expanded.url
+    === 'https://careers.acme.com/jobs/platform?lang=en&q=data%20engineer&loc=4021&page=2' && expanded.omitted.length === 0);
+  check('slug parameters are written lowercase with dashes', expandUrlTemplate(pathTemplate, { department: 'Data Platform' }).url
+    === 'https://acme.com/careers/search/data-platform');
+  check('the first page leaves the page parameter out', !expandUrlTemplate(derived, { keywords: 'qa', page: 1 }).url.includes('page='));
+  check('offset pagination counts results', expandUrlTemplate({
+    url: 'https://example.com/jobs?q={keyword}&startrow={page}',
+    parameters: { page: { in: 'query', name: 'startrow', start: 0, step: 25 } }
+  }, { keyword: 'qa', page: 3 }).url === 'https://example.com/jobs?q=qa&startrow=50');
+
+  const mapped = expandUrlTemplate(derived, { keyword: 'qa', location: 'Berlin' }, { mappings: { location: { berlin: '17' } } });
+  const unmapped = expandUrlTemplate(derived, { keyword: 'qa', location: 'Paris' });
+  check('mapping tables add site values', mapped.url.includes('loc=17') && mapped.unmapped.length === 0);
+  check('values missing from a mapping table are used as they are and reported', unmapped.url.includes('loc=Paris') && unmapped.unmapped[0] === 'location');
+  check('true fills a switch with its site value', expandUrlTemplate({
+    url: 'https://example.com/jobs?remote={remote}', parameters: { remote: { in: 'query', name: 'remote', values: { remote: 'yes' } } }
+  }, { remote: true }).url === 'https://example.com/jobs?remote=yes');
+  check('URLs without placeholders cannot be expanded', expandError('https://example.com/jobs', {}) === URL_TEMPLATE_ERRORS.NO_PLACEHOLDERS);
+  check('templates expanding to invalid URLs are rejected', expandError('{site}/jobs?q={keywords}', { keywords: 'qa' }) === URL_TEMPLATE_ERRORS.INVALID_URL);
+
+  // URL construction
+  const workDir = mkdtempSync(path.join(tmpdir(), 'url-template-'));
+  try {
+    const configPath = path.join(workDir, 'urls.csv');
+    writeFileSync(configPath, [
+      'url,description,company',
+      'https://example.com/jobs?q={keywords}&l={location},Example board,Example',
+      'https://careers.acme.com/jobs,Acme careers,Acme',
+      'https://globex.com/careers,Search with the q parameter,Globex',
+      'https://initech.com/careers,Unknown search,Initech',
+      'https://boards.greenhouse.io/hooli,Hooli board,Hooli'
+    ].join('\n'));
+
+    const stub = new StubLlmProvider({
+      script: [
+        { match: 'URL Template: https://globex.com', respond: 'https://globex.com/careers?q=qa' },
+        { match: 'URL Template: https://initech.com', respond: 'I could not find a search URL.' }
+      ]
+    });
+    setLlmProvider(stub);
+    await saveUrlTemplate('Acme', derived);
+
+    const constructed = await urlConstructionNode({
+      configPath,
+      domain: 'qa',
+      filters: { location: 'Berlin' },
+      valueMappings: { Acme: { location: { Berlin: '17' } } },
+      errors: []
+    });
+    const byCompany = Object.fromEntries(constructed.processedUrls.map(url => [url.company, url]));
+
+    check('row templates are expanded without the model, the domain as keyword', byCompany.Example?.finalUrl === 'https://example.com/jobs?q=qa&l=Berlin'
+      && byCompany.Example.construction === URL_CONSTRUCTION_PATHS.TEMPLATE);
+    check('rows without placeholders use the stored template of their company', byCompany.Acme?.finalUrl === 'https://careers.acme.com/jobs?lang=en&q=qa&loc=17'
+      && byCompany.Acme.construction === URL_CONSTRUCTION_PATHS.STORED_TEMPLATE);
+    check('other rows are left to the model', byCompany.Globex?.finalUrl === 'https://globex.com/careers?q=qa'
+      && byCompany.Globex.construction === URL_CONSTRUCTION_PATHS.LLM && !stub.calls.some(call => JSON.stringify(call).includes('URL Template: https://example.com')));
+    check('ATS boards are reported as such', byCompany.Hooli?.construction === URL_CONSTRUCTION_PATHS.ATS);
+    check('the report counts the rows of each path', constructed.urlConstruction.template === 1 && constructed.urlConstruction.stored_template === 1
+      && constructed.urlConstruction.llm === 1 && constructed.urlConstruction.ats === 1);
+    check('rows without a URL are reported instead of dropped', !byCompany.Initech && constructed.urlConstruction.failed.length === 1
+      && constructed.urlConstruction.failed[0].company === 'Initech' && constructed.errors.some(error => error.url === 'https://initech.com/careers'));
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+
+  reportChecks('URL template');
+}
+
+testUrlTemplates().catch(error => {
+  console.error('❌ URL template test crashed:', error);
+  process.exit(1);
+});
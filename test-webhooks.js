@@ -0,0 +1,179 @@
+/**
+ * Test Script for Outbound Webhooks
+ * Registers subscriptions through the API, receives signed deliveries on a
+ * local HTTP server and checks retries and the delivery log, on the in-memory local backend
+ */
+
+import http from 'http';
+import express from 'express';
+import { check, reportChecks } from './test/helpers/check.js';
+
+// Fast retries for the test; read when the config module loads
+process.env.WEBHOOK_RETRY_BACKOFF_MS = '20';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const { createStorageBackend, setStorageBackend, MEMORY_DIRECTORY, WEBHOOKS_TABLE } = await import('./src/shared/storage/index.js');
+const { DELIVERY_STATUS, WEBHOOK_EVENTS, emitWebhookEvent, getDelivery, listWebhooks, verifyWebhookSignature } = await import('./src/shared/utils/webhooks.js');
+const { storageNode } = await import('./src/new-workflows/job-discovery/storageNode.js');
+const { default: webhookRoutes } = await import('./src/api/routes/webhooks.js');
+
+const backend = createStorageBackend('local', { directory: MEMORY_DIRECTORY });
+setStorageBackend(backend);
+
+// Counts reads of the subscriptions; scanPageSize stands in for DynamoDB's 1 MB scan pages
+let webhookScans = 0;
+let scanPageSize = null;
+const scan = backend.scan.bind(backend);
+backend.scan = params => {
+  if (params.TableName === WEBHOOKS_TABLE) webhookScans++;
+  return scan(scanPageSize ? { Limit: scanPageSize, ...params } : params);
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Receiver answering each path with the next queued status (200 when the queue is empty)
+const received = [];
+const responses = {};
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ path: req.url, headers: req.headers, body });
+    res.writeHead(responses[req.url]?.shift() || 200).end('ok');
+  });
+});
+
+async function waitForDelivery(deliveryId, statuses = [DELIVERY_STATUS.SUCCEEDED, DELIVERY_STATUS.FAILED]) {
+  for (let i = 0; i < 100; i++) {
+    const delivery = await getDelivery(deliveryId);
+    if (statuses.includes(delivery.status)) return delivery;
+    await sleep(20);
+  }
+  throw new Error(`Delivery ${deliveryId} did not finish`);
+}
+
+async function testWebhooks() {
+  console.log('🧪 Testing outbound webhooks\n');
+
+  receiver.listen(0);
+  const receiverUrl = `http://localhost:${receiver.address().port}`;
+
+  const app = express();
+  // Stand-in for validateApiKey: requests carry an admin key
+  app.use((req, res, next) => { req.apiKeyScopes = ['admin']; next(); });
+  app.use(express.json());
+  app.use('/api/v1/webhooks', webhookRoutes);
+  const server = app.listen(0);
+  const api = `http://localhost:${server.address().port}/api/v1/webhooks`;
+  const request = (path, method = 'GET', body) => fetch(`${api}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  try {
+    // Registry
+    const invalid = await request('', 'POST', { url: `${receiverUrl}/jobs`, events: ['job.deleted'] });
+    check('unknown events are rejected', invalid.status === 400);
+
+    const created = await request('', 'POST', { url: `${receiverUrl}/jobs`, events: [WEBHOOK_EVENTS.JOB_DISCOVERED, WEBHOOK_EVENTS.JOB_EXTRACTED] });
+    const jobsHook = (await created.json()).data;
+    check('creating a webhook returns 201 with its secret', created.status === 201 && jobsHook.secret.startsWith('whsec_'));
+
+    const listed = (await (await request('')).json()).data;
+    check('listing webhooks hides secrets', listed.count === 1 && !('secret' in listed.webhooks[0]));
+
+    const applicationsHook = (await (await request('', 'POST', { url: `${receiverUrl}/applications`, events: ['*'] })).json()).data;
+    const updated = await request(`/${applicationsHook.webhook_id}`, 'PUT', { events: [WEBHOOK_EVENTS.APPLICATION_SUBMITTED] });
+    check('webhooks can be updated', (await updated.json()).data.events.join() === WEBHOOK_EVENTS.APPLICATION_SUBMITTED);
+    check('updating an unknown webhook is 404', (await request('/wh_missing', 'PUT', { active: false })).status === 404);
+
+    // Signed delivery
+    const [delivery] = await emitWebhookEvent(WEBHOOK_EVENTS.JOB_EXTRACTED, { jd_id: 'job-1', title: 'Engineer' });
+    check('events go only to matching subscriptions', (await emitWebhookEvent(WEBHOOK_EVENTS.JOB_EXTRACTION_FAILED, {})).length === 0);
+    const delivered = await waitForDelivery(delivery.delivery_id);
+    const hit = received.find(entry => entry.headers['x-webhook-delivery'] === delivery.delivery_id);
+    check('delivery succeeds on the first attempt', delivered.status === DELIVERY_STATUS.SUCCEEDED && delivered.attemptCount === 1);
+    check('payload carries the event and data', JSON.parse(hit.body).event === WEBHOOK_EVENTS.JOB_EXTRACTED && JSON.parse(hit.body).data.jd_id === 'job-1');
+    check('signature verifies with the subscription secret', verifyWebhookSignature(jobsHook.secret, {
+      timestamp: hit.headers['x-webhook-timestamp'],
+      signature: hit.headers['x-webhook-signature'],
+      body: hit.body
+    }));
+    check('signature fails with another secret', !verifyWebhookSignature('whsec_other', {
+      timestamp: hit.headers['x-webhook-timestamp'],
+      signature: hit.headers['x-webhook-signature'],
+      body: hit.body
+    }));
+
+    // Retries
+    responses['/applications'] = [503, 500];
+    const [retried] = await emitWebhookEvent(WEBHOOK_EVENTS.APPLICATION_SUBMITTED, { jobUrl: 'https://example.com/jobs/1' });
+    const retriedDelivery = await waitForDelivery(retried.delivery_id);
+    check('5xx responses are retried until delivered',
+      retriedDelivery.status === DELIVERY_STATUS.SUCCEEDED && retriedDelivery.attemptCount === 3
+      && retriedDelivery.attempts.map(attempt => attempt.statusCode).join() === '503,500,200');
+
+    responses['/applications'] = [500, 500, 500];
+    const [exhausted] = await emitWebhookEvent(WEBHOOK_EVENTS.APPLICATION_SUBMITTED, {});
+    const exhaustedDelivery = await waitForDelivery(exhausted.delivery_id);
+    check('delivery fails after the maximum attempts', exhaustedDelivery.status === DELIVERY_STATUS.FAILED && exhaustedDelivery.attemptCount === 3);
+
+    responses['/applications'] = [410];
+    const [gone] = await emitWebhookEvent(WEBHOOK_EVENTS.APPLICATION_SUBMITTED, {});
+    const goneDelivery = await waitForDelivery(gone.delivery_id);
+    check('4xx responses are not retried', goneDelivery.status === DELIVERY_STATUS.FAILED && goneDelivery.attemptCount === 1);
+
+    const redelivered = await request(`/deliveries/${gone.delivery_id}/redeliver`, 'POST');
+    await sleep(100);
+    check('failed deliveries can be redelivered', redelivered.status === 202
+      && (await getDelivery(gone.delivery_id)).status === DELIVERY_STATUS.SUCCEEDED);
+
+    const log = (await (await request(`/${applicationsHook.webhook_id}/deliveries`)).json()).data;
+    check('delivery log lists a subscription\'s deliveries newest first',
+      log.count === 3 && log.deliveries[0].delivery_id === gone.delivery_id);
+
+    // Fired from the discovery storage node
+    const state = {
+      currentUrl: { domain: 'software_engineering' },
+      scrapedJobs: [{ url: 'https://jobs.lever.co/acme/5f1c2d3e-1111-2222-3333-444455556666', company: 'Acme', scrapedAt: new Date().toISOString() }]
+    };
+    const before = received.length;
+    await storageNode(state);
+    await storageNode(state);
+    await sleep(100);
+    const discovered = received.slice(before).filter(entry => entry.headers['x-webhook-event'] === WEBHOOK_EVENTS.JOB_DISCOVERED);
+    check('discovery announces a new job once', discovered.length === 1 && JSON.parse(discovered[0].body).data.company === 'Acme');
+
+    const scansBefore = webhookScans;
+    const batchBefore = received.length;
+    await storageNode({
+      currentUrl: { domain: 'software_engineering' },
+      scrapedJobs: ['a', 'b', 'c'].map(id => ({ url: `https://jobs.lever.co/acme/${id}0000000-1111-2222-3333-444455556666`, company: 'Acme', scrapedAt: new Date().toISOString() }))
+    });
+    await sleep(100);
+    const batch = received.slice(batchBefore).filter(entry => entry.headers['x-webhook-event'] === WEBHOOK_EVENTS.JOB_DISCOVERED);
+    check('a discovery batch reads the subscriptions once', batch.length === 3 && webhookScans - scansBefore === 1);
+
+    scanPageSize = 1;
+    const paged = await listWebhooks();
+    scanPageSize = null;
+    check('subscriptions past the first scan page are listed', paged.length === 2);
+
+    // Disabled and deleted subscriptions
+    await request(`/${jobsHook.webhook_id}`, 'PUT', { active: false });
+    check('disabled webhooks receive nothing', (await emitWebhookEvent(WEBHOOK_EVENTS.JOB_EXTRACTED, {})).length === 0);
+    check('webhooks can be deleted', (await request(`/${jobsHook.webhook_id}`, 'DELETE')).status === 200
+      && (await request(`/${jobsHook.webhook_id}`)).status === 404);
+  } finally {
+    server.close();
+    receiver.close();
+  }
+
+  reportChecks('webhook');
+}
+
+testWebhooks().catch(error => {
+  console.error('❌ Webhook test crashed:', error);
+  process.exit(1);
+});
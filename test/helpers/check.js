@@ -0,0 +1,29 @@
+/**
+ * Check Helper for the Test Scripts
+ * Prints one ✅/❌ line per check and ends the script with the summary and exit code
+ */
+
+let failures = 0;
+
+/**
+ * Record one check
+ * @param {string} description - What the check verifies
+ * @param {boolean} condition - Whether it holds
+ */
+export function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    failures++;
+    console.log(`❌ ${description}`);
+  }
+}
+
+/**
+ * Print the summary of the checks and exit, with 1 when any check failed
+ * @param {string} subject - What was checked, e.g. 'local storage' ('🎉 All local storage checks passed')
+ */
+export function reportChecks(subject) {
+  console.log(`\n${failures === 0 ? `🎉 All ${subject} checks passed` : `💥 ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}